@@ -8,6 +8,14 @@
  * @author Grid Tycoon Team
  */
 
+// Territory distribution strategies offered at session setup (see plan_territory_distribution)
+const DISTRIBUTION_STRATEGIES = {
+    round_robin: 'Round robin (alphabetical)',
+    area: 'Area (bounding box)',
+    population: 'Population',
+    power_features: 'Existing power features'
+};
+
 class GridTycoonApp {
     constructor() {
         // Component instances
@@ -23,6 +31,18 @@ class GridTycoonApp {
         this.currentSection = 'registration';
         this.statusTimeout = null;
 
+        // Prepared setup awaiting confirmation from the distribution preview
+        this.pendingSessionSetup = null;
+
+        // Debounce timers for realtime refreshes, keyed by view
+        this.realtimeTimers = {};
+
+        // Overpass preset picked in the mapping interface; null follows the participant's role
+        this.josmQueryPresetOverride = null;
+
+        // Territory whose history is listed next to the coordinator map
+        this.selectedTerritoryId = null;
+
         console.log('GridTycoonApp v3.3 initializing...');
         this.init();
     }
@@ -74,25 +94,45 @@ async initializeComponents() {
             console.error('Supabase initialization failed:', error);
             
             if (this.config.app.fallbackToIndividualMode) {
-                console.log('Falling back to individual mode');
-                this.showStatus('warning', 'Database unavailable. Running in offline mode.');
+                console.log('Falling back to the offline mock backend');
+                this.showStatus('warning', 'Database unavailable. Running in offline mode with data stored in this browser.');
                 this.config.app.mockMode = true;
             } else {
                 throw error;
             }
         }
     } else {
-        console.log('Running in mock mode - database features disabled');
-        this.showStatus('info', 'Running in demo mode. Database features disabled.');
+        this.showStatus('info', 'Running in demo mode. Sessions and teams are stored in this browser only.');
+    }
+
+    // Mock mode: the same manager, backed by an in-browser copy of the database
+    if (this.config.app.mockMode) {
+        this.supabaseManager = new MockTeamManager(this.config.mock || {});
+        console.log('Running in mock mode - using the offline mock backend');
     }
     
     // Initialize JOSM integration
     try {
-        this.josmIntegration = new JOSMIntegration();
+        this.josmIntegration = new JOSMIntegration(this.config.josm);
         console.log('JOSM integration initialized');
     } catch (error) {
         console.warn('JOSM integration initialization failed:', error);
     }
+
+    // Initialize changeset analysis (counts the session hashtag JOSM adds to changesets)
+    try {
+        this.changesetAnalyzer = new ChangesetAnalyzer({
+            hashtag: this.josmIntegration?.defaultChangesetTags.comment,
+            ...this.config.osm
+        });
+    } catch (error) {
+        console.warn('Changeset analysis initialization failed:', error);
+    }
+
+    // Extend the Osmose issue type catalog in the background; the built-in types work meanwhile
+    if (typeof loadPowerIssueTypes === 'function') {
+        loadPowerIssueTypes();
+    }
 }
 
 setupEventHandlers() {
@@ -164,11 +204,8 @@ async checkSavedSession() {
         // Show status
         this.showStatus('info', `Welcome back, ${userData.firstName}! Restoring your session...`, true);
 
-        // Restore the appropriate view based on user type and mode
-        if (this.config.app.mockMode) {
-            console.log('Restoring session in mock mode');
-            this.handleMockMode();
-        } else if (!this.supabaseManager) {
+        // Restore the appropriate view based on user type
+        if (!this.supabaseManager) {
             // Database not available - clear session and show error
             console.error('Cannot restore session: database not available');
             sessionStorage.removeItem('gridTycoonUser');
@@ -202,15 +239,17 @@ async checkUserStatus() {
         return;
     }
     
-    const { firstName, osmUsername, sessionId } = userData.data;
+    const { firstName, osmUsername, sessionId, coordinatorPassphrase, rolePreference, experienceLevel } = userData.data;
     
-    this.isCoordinator = this.determineCoordinatorStatus(firstName, sessionId);
-    const cleanSessionId = this.cleanSessionId(sessionId);
+    // Coordinator access is only granted once coordinator_login accepts the passphrase
+    this.isCoordinator = !!coordinatorPassphrase;
 
     this.currentUser = { 
         firstName, 
         osmUsername, 
-        sessionId: cleanSessionId, 
+        sessionId, 
+        rolePreference,
+        experienceLevel,
         isCoordinator: this.isCoordinator 
     };
     
@@ -221,14 +260,9 @@ async checkUserStatus() {
         'Checking your team assignment...';
     this.showStatus('info', loadingMessage, true);
 
-    if (this.config.app.mockMode) {
-        this.handleMockMode();
-        return;
-    }
-
     try {
         if (this.isCoordinator) {
-            await this.handleCoordinatorLogin();
+            await this.handleCoordinatorLogin(coordinatorPassphrase);
         } else {
             await this.handleParticipantLogin();
         }
@@ -243,6 +277,9 @@ validateUserInput() {
     const osmUsername = document.getElementById('osmUsernameInput')?.value?.trim();
     const sessionIdRaw = document.getElementById('sessionIdInput')?.value?.trim();
     const sessionId = sessionIdRaw?.toUpperCase();
+    const coordinatorPassphrase = document.getElementById('coordinatorPassphraseInput')?.value || '';
+    const rolePreference = document.getElementById('rolePreferenceInput')?.value || null;
+    const experienceLevel = document.getElementById('experienceLevelInput')?.value || null;
 
     if (!firstName || !osmUsername || !sessionId) {
         return {
@@ -258,41 +295,31 @@ validateUserInput() {
         };
     }
 
-    console.log(`Input validated: firstName="${firstName}", osmUsername="${osmUsername}", sessionId="${sessionIdRaw}" (normalized to "${sessionId}")`);
+    if (coordinatorPassphrase && coordinatorPassphrase.length < 8) {
+        return {
+            success: false,
+            error: 'Coordinator passphrase must be at least 8 characters long!'
+        };
+    }
+
+    console.log(`Input validated: firstName="${firstName}", osmUsername="${osmUsername}", sessionId="${sessionIdRaw}" (normalized to "${sessionId}"), coordinator=${!!coordinatorPassphrase}`);
 
     return {
         success: true,
-        data: { firstName, osmUsername, sessionId }
+        data: { firstName, osmUsername, sessionId, coordinatorPassphrase, rolePreference, experienceLevel }
     };
 }
 
-determineCoordinatorStatus(firstName, sessionId) {
-    const upperSessionId = sessionId.toUpperCase();
-    const isCoord = upperSessionId.includes('COORD') ||
-                    upperSessionId.includes('ADMIN') ||
-                    firstName.toLowerCase().includes('coord');
-
-    console.log(`Coordinator detection: sessionId="${sessionId}", isCoordinator=${isCoord}`);
-    return isCoord;
-}
-
-cleanSessionId(sessionId) {
-    // Make case-insensitive by converting to uppercase first
-    const cleaned = sessionId.toUpperCase()
-        .replace('-COORD', '')
-        .replace('-ADMIN', '')
-        .replace('COORD', '')
-        .replace('ADMIN', '');
-
-    console.log(`Session ID cleaned: "${sessionId}" → "${cleaned}"`);
-    return cleaned;
-}
-
 // ================================
 // COORDINATOR WORKFLOW
 // ================================
 
-async handleCoordinatorLogin() {
+/**
+ * Verify coordinator access server-side, then open the dashboard.
+ * Uses the passphrase on a fresh login, or the saved coordinator token when restoring.
+ * @param {string|null} passphrase - Coordinator passphrase from the registration form
+ */
+async handleCoordinatorLogin(passphrase = null) {
     try {
         const sessionId = this.currentUser.sessionId;
 
@@ -303,16 +330,32 @@ async handleCoordinatorLogin() {
             throw new Error('Database not configured. Coordinator dashboard requires database access. Please check your configuration in index.html.');
         }
 
-        const sessionResult = await this.supabaseManager.ensureSessionExists(sessionId);
-        if (!sessionResult.success) {
-            throw new Error(sessionResult.error);
+        const accessResult = passphrase
+            ? await this.supabaseManager.coordinatorLogin(sessionId, passphrase)
+            : await this.supabaseManager.verifyCoordinatorAccess(sessionId, this.currentUser.coordinatorToken);
+
+        if (!accessResult.success) {
+            throw new Error(accessResult.error);
+        }
+
+        this.currentUser.coordinatorToken = accessResult.data.coordinatorToken;
+        sessionStorage.setItem('gridTycoonUser', JSON.stringify(this.currentUser));
+
+        const passphraseInput = document.getElementById('coordinatorPassphraseInput');
+        if (passphraseInput) passphraseInput.value = '';
+
+        if (accessResult.data.sessionCreated) {
+            this.showStatus('success', `Session "${sessionId}" created. Share the session ID with participants; keep the passphrase for coordinators only.`);
         }
 
-        console.log(`Session "${sessionId}" verified, loading coordinator dashboard...`);
+        console.log(`Coordinator access for "${sessionId}" verified, loading coordinator dashboard...`);
         await this.showCoordinatorDashboard();
 
     } catch (error) {
         console.error('Coordinator login failed:', error);
+        this.isCoordinator = false;
+        sessionStorage.removeItem('gridTycoonUser');
+        this.showSection('registrationSection');
         this.showStatus('error', `Coordinator login failed: ${error.message}`);
     }
 }
@@ -323,29 +366,16 @@ async showCoordinatorDashboard() {
     this.showStatus('info', 'Loading coordinator dashboard...', true);
     
     try {
-        const [participantsResult, progressResult] = await Promise.all([
-            this.supabaseManager.getSessionParticipants(sessionId),
-            this.supabaseManager.getSessionProgress(sessionId)
-        ]);
-
-        const participants = participantsResult.success ? participantsResult.data.participants : [];
-        const progress = progressResult.success ? progressResult.data : { 
-            teamCount: 0, totalTerritories: 0, completedTerritories: 0, 
-            completionPercentage: 0, teams: [], leaderboard: []
-        };
-
-        const teamFormationInfo = this.getTeamFormationInfo(participants.length);
-
-        const dashboardHtml = this.renderCoordinatorDashboard({
-            sessionId,
-            user: this.currentUser,
-            participants,
-            progress,
-            teamFormationInfo
-        });
+        const dashboardData = await this.loadCoordinatorDashboardData(sessionId);
+        const dashboardHtml = this.renderCoordinatorDashboard(dashboardData);
+        this.selectedTerritoryId = null;
         
         this.showSection('coordinatorSection', dashboardHtml);
         this.showStatus('success', `Coordinator dashboard loaded for session ${sessionId}`);
+
+        await this.loadCoordinatorSessionMap(dashboardData.progress);
+
+        await this.startRealtimeUpdates();
         
     } catch (error) {
         console.error('Error loading coordinator dashboard:', error);
@@ -353,12 +383,35 @@ async showCoordinatorDashboard() {
     }
 }
 
+async loadCoordinatorDashboardData(sessionId) {
+    const [participantsResult, progressResult] = await Promise.all([
+        this.supabaseManager.getSessionParticipants(sessionId),
+        this.supabaseManager.getSessionProgress(sessionId)
+    ]);
+
+    const participants = participantsResult.success ? participantsResult.data.participants : [];
+    const progress = progressResult.success ? progressResult.data : { 
+        teamCount: 0, totalTerritories: 0, completedTerritories: 0, 
+        completionPercentage: 0, teams: [], leaderboard: []
+    };
+
+    return {
+        sessionId,
+        user: this.currentUser,
+        participants,
+        progress,
+        teamFormationInfo: this.getTeamFormationInfo(participants.length)
+    };
+}
+
 async setupCompleteSession() {
     const sessionId = this.currentUser.sessionId;
 
     // Get team size from input field
     const teamSizeInput = document.getElementById('teamSizeInput');
     const teamSize = teamSizeInput ? parseInt(teamSizeInput.value) : 3;
+    const strategyInput = document.getElementById('distributionStrategyInput');
+    const strategy = strategyInput ? strategyInput.value : 'round_robin';
 
     // Validate team size
     if (teamSize < 1 || teamSize > 20) {
@@ -366,18 +419,112 @@ async setupCompleteSession() {
         return;
     }
 
-    this.showStatus('info', `Setting up teams (size: ${teamSize}) and distributing territories... This may take several minutes.`, true);
+    this.showStatus('info', `Fetching territories and planning the distribution (team size: ${teamSize})...`, true);
 
     try {
-        console.log(`Starting complete session setup with team size: ${teamSize}...`);
+        console.log(`Preparing session setup with team size: ${teamSize}, strategy: ${strategy}...`);
+
+        const result = await this.supabaseManager.coordinatorPrepareDistribution(
+            sessionId, this.overpassAPI, teamSize, strategy,
+            message => this.showStatus('info', message, true)
+        );
+
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+
+        this.pendingSessionSetup = result.data;
+        this.showStatus('info', 'Review the per-team load before confirming.');
+        this.showDistributionPreviewModal(result.data);
+
+    } catch (error) {
+        console.error('Session setup failed:', error);
+        this.showStatus('error', `Failed to setup session: ${error.message}`);
+    }
+}
+
+/**
+ * Show the expected load per team for the chosen strategy
+ * @param {object} prepared - Result data from coordinatorPrepareDistribution()
+ */
+showDistributionPreviewModal(prepared) {
+    const preview = prepared.preview;
+    const strategyLabel = DISTRIBUTION_STRATEGIES[prepared.strategy] || prepared.strategy;
+    const effortLabel = {
+        round_robin: 'Territories',
+        area: 'Bounding-box area (km²)',
+        population: 'Population',
+        power_features: 'Power features'
+    }[prepared.strategy];
+
+    const rows = preview.teams.map(team => `
+        <tr>
+            <td style="padding: 6px; border-bottom: 1px solid #eee;"><strong>Team ${team.team_slot}</strong></td>
+            <td style="padding: 6px; border-bottom: 1px solid #eee; text-align: right;">${team.territory_count}</td>
+            <td style="padding: 6px; border-bottom: 1px solid #eee; text-align: right;">${Math.round(team.total_effort).toLocaleString()}</td>
+            <td style="padding: 6px; border-bottom: 1px solid #eee; text-align: right;">${team.share_percentage}%</td>
+            <td style="padding: 6px; border-bottom: 1px solid #eee; font-size: 0.85em; color: #555;">${team.territories.join(', ')}</td>
+        </tr>
+    `).join('');
+
+    this.showModal(`
+        <div style="max-width: 760px;">
+            <h3>Distribution Preview: ${strategyLabel}</h3>
+            <p style="color: #555;">
+                ${preview.territory_count} territories of ${getCountryConfig(prepared.countryCode).name} across
+                ${prepared.teamCount} teams (${prepared.participantsTotal} participants).
+                ${preview.max_to_min_ratio ? `Heaviest team carries ${preview.max_to_min_ratio}× the lightest.` : ''}
+            </p>
+            ${preview.territories_missing_metric > 0 ? `
+                <p style="color: #B45309; background: #FEF3C7; padding: 8px; border-radius: 5px;">
+                    ${preview.territories_missing_metric} territories have no ${effortLabel.toLowerCase()} data and are weighted at the average.
+                </p>
+            ` : ''}
+            <div style="max-height: 360px; overflow-y: auto; margin: 15px 0;">
+                <table style="width: 100%; border-collapse: collapse;">
+                    <thead>
+                        <tr style="background: #f5f5f5;">
+                            <th style="padding: 6px; text-align: left;">Team</th>
+                            <th style="padding: 6px; text-align: right;">Territories</th>
+                            <th style="padding: 6px; text-align: right;">${effortLabel}</th>
+                            <th style="padding: 6px; text-align: right;">Share</th>
+                            <th style="padding: 6px; text-align: left;">Assigned</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+            <div style="text-align: right;">
+                <button class="btn btn-secondary" onclick="app.closeModal()">Cancel</button>
+                <button class="btn btn-success" onclick="app.confirmSessionSetup()">Create Teams & Distribute</button>
+            </div>
+        </div>
+    `);
+}
+
+async confirmSessionSetup() {
+    const prepared = this.pendingSessionSetup;
+    if (!prepared) {
+        this.showStatus('error', 'No distribution has been previewed');
+        return;
+    }
+
+    this.closeModal();
+    this.showStatus('info', `Setting up teams (size: ${prepared.teamSize}) and distributing territories...`, true);
 
-        const result = await this.supabaseManager.coordinatorSetupSession(sessionId, this.overpassAPI, teamSize);
+    try {
+        const result = await this.supabaseManager.coordinatorSetupSession(
+            prepared.sessionId, this.overpassAPI, prepared.teamSize,
+            { strategy: prepared.strategy, prepared }
+        );
 
         if (result.success) {
+            this.pendingSessionSetup = null;
             this.showStatus('success',
                 `Session setup complete! ${result.data.teamsCreated} teams formed, ${result.data.territoriesDistributed} territories distributed.`
             );
             await this.refreshCoordinatorDashboard();
+            await this.captureSessionSnapshots('start');
         } else {
             throw new Error(result.error);
         }
@@ -388,6 +535,203 @@ async setupCompleteSession() {
     }
 }
 
+async rebalanceTeams() {
+    if (!this.supabaseManager) {
+        this.showStatus('error', 'Database not available');
+        return;
+    }
+
+    if (!window.confirm('Rebalance teams? Members may be moved to another team or given another role.')) {
+        return;
+    }
+
+    this.showStatus('info', 'Rebalancing teams...', true);
+
+    const result = await this.supabaseManager.rebalanceSessionTeams(this.currentUser.sessionId);
+
+    if (result.success) {
+        const { participants_placed, members_moved, roles_changed, territories_moved } = result.data;
+        this.showStatus('success',
+            `Teams rebalanced: ${participants_placed} placed, ${members_moved} moved, ${roles_changed} roles changed, ${territories_moved} territories moved.`
+        );
+        await this.updateCoordinatorDashboardLive();
+    } else {
+        this.showStatus('error', `Rebalance failed: ${result.error}`);
+    }
+}
+
+// Session lifecycle actions (close, archive, reset, clone)
+
+async closeSession() {
+    if (!window.confirm('End this session? Territory and team changes will be frozen.')) return;
+
+    const result = await this.supabaseManager.closeSession(this.currentUser.sessionId);
+
+    if (result.success) {
+        this.showStatus('success', `Session ${this.currentUser.sessionId} closed.`);
+        await this.updateCoordinatorDashboardLive();
+        await this.captureSessionSnapshots('end');
+    } else {
+        this.showStatus('error', `Could not close session: ${result.error}`);
+    }
+}
+
+async archiveSession() {
+    if (!window.confirm('Archive this session? It can no longer be changed or reset, only cloned.')) return;
+
+    const result = await this.supabaseManager.archiveSession(this.currentUser.sessionId);
+
+    if (result.success) {
+        this.showStatus('success', `Session ${this.currentUser.sessionId} archived.`);
+        await this.updateCoordinatorDashboardLive();
+    } else {
+        this.showStatus('error', `Could not archive session: ${result.error}`);
+    }
+}
+
+async resetSession() {
+    const sessionId = this.currentUser.sessionId;
+    const typed = window.prompt(`This deletes all teams, territory assignments and progress for session ${sessionId}. Participants stay registered.\n\nType the session ID to confirm:`);
+    if (typed === null) return;
+
+    if (typed.trim().toUpperCase() !== sessionId) {
+        this.showStatus('error', 'Session ID did not match; nothing was reset.');
+        return;
+    }
+
+    this.showStatus('info', 'Resetting session...', true);
+
+    const result = await this.supabaseManager.resetSession(sessionId);
+
+    if (result.success) {
+        this.showStatus('success',
+            `Session reset: ${result.data.teams_deleted} teams and ${result.data.assignments_deleted} territory assignments removed.`
+        );
+        await this.showCoordinatorDashboard();
+    } else {
+        this.showStatus('error', `Could not reset session: ${result.error}`);
+    }
+}
+
+showCloneSessionModal() {
+    this.showModal(`
+        <div style="max-width: 480px;">
+            <h3>Clone Session ${this.currentUser.sessionId}</h3>
+            <p style="color: #555;">
+                The new session gets this session's country, team size and distribution strategy,
+                and the same coordinator passphrase.
+            </p>
+            <div class="form-group">
+                <label for="cloneSessionIdInput" class="form-label">New Session ID</label>
+                <input type="text" id="cloneSessionIdInput" class="form-input" placeholder="e.g., ${this.currentUser.sessionId}-2">
+            </div>
+            <label style="display: block; margin: 10px 0;">
+                <input type="checkbox" id="cloneIncludeParticipantsInput">
+                Copy the participant list (participants link their browser again on first login)
+            </label>
+            <div style="text-align: right;">
+                <button class="btn btn-secondary" onclick="app.closeModal()">Cancel</button>
+                <button class="btn btn-success" onclick="app.cloneSession()">Clone</button>
+            </div>
+        </div>
+    `);
+}
+
+async cloneSession() {
+    const newSessionId = document.getElementById('cloneSessionIdInput')?.value?.trim().toUpperCase();
+    const includeParticipants = !!document.getElementById('cloneIncludeParticipantsInput')?.checked;
+
+    if (!newSessionId || newSessionId.length < 3) {
+        this.showStatus('error', 'Session ID must be at least 3 characters long!');
+        return;
+    }
+
+    const result = await this.supabaseManager.cloneSession(this.currentUser.sessionId, newSessionId, includeParticipants);
+
+    if (!result.success) {
+        this.showStatus('error', `Could not clone session: ${result.error}`);
+        return;
+    }
+
+    this.closeModal();
+
+    if (!window.confirm(`Session ${newSessionId} created (${result.data.participants_copied} participants copied). Switch to it now?`)) {
+        this.showStatus('success', `Session ${newSessionId} created. Log in with the same passphrase to manage it.`);
+        return;
+    }
+
+    // Switch the dashboard to the clone using its coordinator token
+    this.stopRealtimeUpdates();
+    this.currentUser.sessionId = newSessionId;
+    this.currentUser.coordinatorToken = result.data.coordinator_token;
+    await this.handleCoordinatorLogin();
+}
+
+renderOsmoseIssueTypeSettings(selectedKeys) {
+    return `
+        <div style="background: rgba(107, 142, 143, 0.1); padding: 20px; border-radius: 10px; margin: 15px 0;">
+            <strong style="display: block; margin-bottom: 8px; color: #1F2937;">Osmose Issue Types:</strong>
+            <div style="display: grid; grid-template-columns: repeat(auto-fill, minmax(260px, 1fr)); gap: 4px;">
+                ${powerIssueTypes.map(type => `
+                    <label>
+                        <input type="checkbox" class="osmose-issue-type-input" value="${type.key}" ${selectedKeys.includes(type.key) ? 'checked' : ''}>
+                        ${type.name} <small style="color: #666;">(${type.key}${type.roles.length > 0 ? `; ${type.roles.join(', ')}` : ''})</small>
+                    </label>
+                `).join('')}
+            </div>
+            <button class="btn btn-secondary" onclick="app.saveSessionOsmoseIssueTypes()" style="margin-top: 10px;">Save Issue Types</button>
+            <small style="display: block; margin-top: 5px; color: #666;">
+                ${selectedKeys.length > 0
+                    ? 'Every participant fetches these types.'
+                    : 'None selected: each participant fetches the types listed for their role.'}
+            </small>
+        </div>
+    `;
+}
+
+async saveSessionOsmoseIssueTypes() {
+    if (!this.supabaseManager) {
+        this.showStatus('error', 'Database not available');
+        return;
+    }
+
+    const issueTypes = [...document.querySelectorAll('.osmose-issue-type-input:checked')].map(input => input.value);
+    const result = await this.supabaseManager.updateSessionOsmoseIssueTypes(this.currentUser.sessionId, issueTypes);
+
+    if (result.success) {
+        this.showStatus('success', issueTypes.length > 0
+            ? `Participants will fetch ${issueTypes.length} Osmose issue type${issueTypes.length === 1 ? '' : 's'}`
+            : 'Participants will fetch the Osmose issue types of their role');
+        await this.refreshCoordinatorDashboard();
+    } else {
+        this.showStatus('error', `Could not save Osmose issue types: ${result.error}`);
+    }
+}
+
+async saveSessionCountry() {
+    if (!this.supabaseManager) {
+        this.showStatus('error', 'Database not available');
+        return;
+    }
+
+    const countryInput = document.getElementById('countryCodeInput');
+    const countryCode = normalizeCountryCode(countryInput ? countryInput.value : '');
+
+    if (!countryCode) {
+        this.showStatus('error', 'Enter a two-letter ISO 3166-1 country code (e.g. IN)');
+        return;
+    }
+
+    const result = await this.supabaseManager.updateSessionCountry(this.currentUser.sessionId, countryCode);
+
+    if (result.success) {
+        this.showStatus('success', `Session country set to ${getCountryConfig(countryCode).name}`);
+        await this.updateCoordinatorDashboardLive();
+    } else {
+        this.showStatus('error', `Could not set country: ${result.error}`);
+    }
+}
+
 // ================================
 // PARTICIPANT WORKFLOW
 // ================================
@@ -402,6 +746,7 @@ async handleParticipantLogin() {
 
         if (userResult.success && userResult.data.user) {
             console.log(`Existing participant found:`, userResult.data.user);
+            await this.restoreParticipantCredentials(userResult.data.user);
             const teamResult = await this.supabaseManager.getUserTeamInfo(userResult.data.user.id);
 
             if (teamResult.success && teamResult.data.teamInfo) {
@@ -413,7 +758,7 @@ async handleParticipantLogin() {
                 await this.showMappingInterface();
             } else {
                 console.log(`Participant exists but has no team assignment yet`);
-                this.showWaitingForTeam();
+                await this.joinTeamIfFormed();
             }
         } else {
             console.log(`New participant - proceeding with registration`);
@@ -426,17 +771,22 @@ async handleParticipantLogin() {
 }
 
 async registerNewParticipant() {
-    const { firstName, osmUsername, sessionId } = this.currentUser;
+    const { firstName, osmUsername, sessionId, rolePreference, experienceLevel } = this.currentUser;
 
     console.log(`Registering new participant: ${firstName} (@${osmUsername}) for session ${sessionId}`);
 
     try {
-        const result = await this.supabaseManager.registerParticipant(firstName, osmUsername, sessionId);
+        const result = await this.supabaseManager.registerParticipant(
+            firstName, osmUsername, sessionId, { rolePreference, experienceLevel }
+        );
 
         if (result.success) {
-            console.log(`Registration successful - participant should wait for coordinator to form teams`);
-            this.showWaitingForTeam();
-            this.showStatus('success', 'Registration successful! Waiting for coordinator to form teams.');
+            this.saveParticipantToken(sessionId, osmUsername, result.data.accessToken);
+            const joined = await this.joinTeamIfFormed();
+            if (!joined) {
+                console.log(`Registration successful - participant should wait for coordinator to form teams`);
+                this.showStatus('success', 'Registration successful! Waiting for coordinator to form teams.');
+            }
         } else {
             throw new Error(result.error);
         }
@@ -446,6 +796,82 @@ async registerNewParticipant() {
     }
 }
 
+/**
+ * Late joiners: once teams exist, put this participant on a team straight away
+ * instead of leaving them on the waiting screen
+ * @returns {Promise<boolean>} True when the participant now has a team
+ */
+async joinTeamIfFormed() {
+    const result = await this.supabaseManager.joinFormedTeam(this.currentUser.sessionId);
+
+    if (result.success && result.data.placed) {
+        await this.reloadParticipantTeam();
+        return true;
+    }
+
+    if (!result.success) {
+        console.warn('Could not join a team automatically:', result.error);
+    }
+
+    this.showWaitingForTeam();
+    return false;
+}
+
+/**
+ * Restore this browser's access token for a returning participant.
+ * Falls back to linking the device with a link code from the coordinator;
+ * without one the participant can view their team but not change territory status.
+ * @param {object} participant - Participant row from getUserByOSMUsername
+ */
+async restoreParticipantCredentials(participant) {
+    const { sessionId, osmUsername } = this.currentUser;
+    const storedToken = this.getStoredParticipantToken(sessionId, osmUsername);
+
+    if (storedToken) {
+        this.supabaseManager.useParticipantCredentials(participant.id, storedToken);
+        return;
+    }
+
+    const linkCode = window.prompt(`This browser is not linked to @${osmUsername} yet. Enter the device link code from your coordinator, or cancel for read-only access.`);
+    if (!linkCode || !linkCode.trim()) {
+        this.supabaseManager.useParticipantCredentials(participant.id, null);
+        this.showStatus('warning', 'Read-only access: ask your coordinator for a device link code to update territories from this browser.');
+        return;
+    }
+
+    const linkResult = await this.supabaseManager.linkParticipantDevice(sessionId, osmUsername, linkCode);
+    if (linkResult.success) {
+        this.saveParticipantToken(sessionId, osmUsername, linkResult.data.accessToken);
+        return;
+    }
+
+    console.warn('Participant device not linked:', linkResult.error);
+    this.supabaseManager.useParticipantCredentials(participant.id, null);
+    this.showStatus('warning', `Read-only access: ${linkResult.error}`);
+}
+
+getStoredParticipantToken(sessionId, osmUsername) {
+    try {
+        const tokens = JSON.parse(localStorage.getItem('gridTycoonParticipantTokens') || '{}');
+        return tokens[`${sessionId}:${osmUsername.toLowerCase()}`] || null;
+    } catch (error) {
+        console.warn('Could not read stored participant tokens:', error);
+        return null;
+    }
+}
+
+saveParticipantToken(sessionId, osmUsername, accessToken) {
+    if (!accessToken) return;
+
+    try {
+        const tokens = JSON.parse(localStorage.getItem('gridTycoonParticipantTokens') || '{}');
+        tokens[`${sessionId}:${osmUsername.toLowerCase()}`] = accessToken;
+        localStorage.setItem('gridTycoonParticipantTokens', JSON.stringify(tokens));
+    } catch (error) {
+        console.warn('Could not store participant token:', error);
+    }
+}
+
 showWaitingForTeam() {
     const waitingHtml = `
         <div class="participant-waiting">
@@ -480,6 +906,9 @@ showWaitingForTeam() {
     `;
 
     this.showSection('teamSection', waitingHtml);
+
+    // Team formation arrives through realtime, so the page updates without a manual refresh
+    this.startRealtimeUpdates();
 }
 
 async showParticipantDashboard() {
@@ -546,6 +975,7 @@ async showParticipantDashboard() {
         `;
         
         this.showSection('teamSection', participantHtml);
+        this.startRealtimeUpdates();
         
         const roleMessage = `Welcome to ${this.currentTeam.team_name}! Your role: ${userRole.role_name}`;
         this.showStatus('success', roleMessage);
@@ -565,10 +995,6 @@ async showMappingInterface() {
 
     this.showStatus('info', 'Loading mapping interface...', true);
 
-    const completedCount = this.getCompletedCount();
-    const availableCount = this.getAvailableCount();
-    const progressPercentage = this.getProgressPercentage();
-
     const mappingHtml = `
         <div class="mapping-interface">
             <!-- Territory Map at Top -->
@@ -577,40 +1003,26 @@ async showMappingInterface() {
                 <div id="territoryMap" style="height: 500px; border-radius: 10px; border: 2px solid #ddd;"></div>
             </div>
 
-            <div class="team-progress-summary">
-                <h3>Team Progress Summary</h3>
-                <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 15px; margin: 15px 0;">
-                    <div style="text-align: center;">
-                        <div style="font-size: 2em; font-weight: bold; color: #6B8E8F;">${this.currentTerritories.length}</div>
-                        <div>Total Territories</div>
-                    </div>
-                    <div style="text-align: center;">
-                        <div style="font-size: 2em; font-weight: bold; color: #7D8F69;">${completedCount}</div>
-                        <div>Completed</div>
-                    </div>
-                    <div style="text-align: center;">
-                        <div style="font-size: 2em; font-weight: bold; color: #D4A574;">${availableCount}</div>
-                        <div>Available</div>
-                    </div>
-                    <div style="text-align: center;">
-                        <div style="font-size: 2em; font-weight: bold; color: #C4704F;">${Math.round(progressPercentage)}%</div>
-                        <div>Progress</div>
-                    </div>
-                </div>
+            <div class="team-progress-summary" id="teamProgressSummary">
+                ${this.renderTeamProgressSummary()}
             </div>
 
-            <div class="territories-list-container" id="territoriesListContainer">
-                <h3>Your Assigned Territories</h3>
+            <div class="josm-preset-selector" style="display: flex; align-items: center; gap: 10px; flex-wrap: wrap; margin: 15px 0;">
+                <label for="josmPresetSelect"><strong>JOSM data:</strong></label>
+                <select id="josmPresetSelect" onchange="app.setJosmQueryPreset(this.value)"
+                        style="padding: 6px; border: 2px solid #6B8E8F; border-radius: 5px;">
+                    <option value="" ${!this.josmQueryPresetOverride ? 'selected' : ''}>
+                        For my role (${this.getJosmQueryPreset(null).label})
+                    </option>
+                    ${this.overpassAPI.getRoleQueryPresets().map(preset => `
+                        <option value="${preset.key}" ${preset.key === this.josmQueryPresetOverride ? 'selected' : ''}>${preset.label}</option>
+                    `).join('')}
+                </select>
+                <small id="josmPresetDescription" style="color: #666;">${this.getJosmQueryPreset().description}</small>
+            </div>
 
-                ${this.currentTerritories.length === 0 ? `
-                    <div class="no-territories">
-                        <p>No territories assigned yet. Wait for coordinator to assign territories.</p>
-                    </div>
-                ` : `
-                    <div class="territories-list">
-                        ${this.currentTerritories.map(territory => this.renderTerritoryCard(territory)).join('')}
-                    </div>
-                `}
+            <div class="territories-list-container" id="territoriesListContainer">
+                ${this.renderTerritoriesList()}
             </div>
         </div>
     `;
@@ -631,36 +1043,100 @@ async showMappingInterface() {
     }, 100);
 
     this.showStatus('success', `Loaded ${this.currentTerritories.length} territories for your team.`);
-}
 
-initializeTerritoryMap() {
-    try {
-        if (!this.territoryMap) {
-            this.territoryMap = new TerritoryMap();
-        }
-        
-        const initialized = this.territoryMap.initializeMap('territoryMap', {
-            zoom: 5,
-            minZoom: 4,
-            maxZoom: 12
-        });
-        
-        if (initialized) {
-            this.territoryMap.displayTeamTerritories(
-                this.currentTerritories,
-                this.currentTeam
-            );
-            console.log('Territory map initialized successfully');
-        }
-    } catch (error) {
-        console.error('Map initialization failed:', error);
-        this.showStatus('warning', 'Map display failed. Using list view.');
-    }
+    await this.startRealtimeUpdates();
 }
 
-toggleMapView() {
-    const mapContainer = document.querySelector('.territory-map-container');
-    const listContainer = document.getElementById('territoriesListContainer');
+renderTeamProgressSummary() {
+    const completedCount = this.getCompletedCount();
+    const availableCount = this.getAvailableCount();
+    const progressPercentage = this.getProgressPercentage();
+
+    return `
+        <h3>Team Progress Summary</h3>
+        <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 15px; margin: 15px 0;">
+            <div style="text-align: center;">
+                <div style="font-size: 2em; font-weight: bold; color: #6B8E8F;">${this.currentTerritories.length}</div>
+                <div>Total Territories</div>
+            </div>
+            <div style="text-align: center;">
+                <div style="font-size: 2em; font-weight: bold; color: #7D8F69;">${completedCount}</div>
+                <div>Completed</div>
+            </div>
+            <div style="text-align: center;">
+                <div style="font-size: 2em; font-weight: bold; color: #D4A574;">${availableCount}</div>
+                <div>Available</div>
+            </div>
+            <div style="text-align: center;">
+                <div style="font-size: 2em; font-weight: bold; color: #C4704F;">${Math.round(progressPercentage)}%</div>
+                <div>Progress</div>
+            </div>
+        </div>
+    `;
+}
+
+renderTerritoriesList() {
+    return `
+        <h3>Your Assigned Territories</h3>
+
+        ${this.currentTerritories.length === 0 ? `
+            <div class="no-territories">
+                <p>No territories assigned yet. Wait for coordinator to assign territories.</p>
+            </div>
+        ` : `
+            <div class="territories-list">
+                ${this.currentTerritories.map(territory => this.renderTerritoryCard(territory)).join('')}
+            </div>
+        `}
+    `;
+}
+
+/**
+ * Create the territory map component shared by the mapping interface and the coordinator dashboard
+ * @returns {TerritoryMap}
+ */
+createTerritoryMap() {
+    // Boundaries fetched once are reused from IndexedDB and the territory_boundaries table
+    return new TerritoryMap({
+        boundaryCache: new BoundaryCache({
+            ...this.config.boundaries,
+            manager: this.supabaseManager
+        }),
+        onTerritorySelect: assignmentId => {
+            if (this.isCoordinator) this.showTerritoryHistory(assignmentId);
+        }
+    });
+}
+
+initializeTerritoryMap() {
+    try {
+        if (!this.territoryMap) {
+            this.territoryMap = this.createTerritoryMap();
+        }
+
+        this.territoryMap.setCountry(this.currentTerritories[0]?.country_code);
+        
+        const initialized = this.territoryMap.initializeMap('territoryMap', {
+            minZoom: 4,
+            maxZoom: 12
+        });
+        
+        if (initialized) {
+            this.territoryMap.displayTeamTerritories(
+                this.currentTerritories,
+                this.currentTeam
+            );
+            console.log('Territory map initialized successfully');
+        }
+    } catch (error) {
+        console.error('Map initialization failed:', error);
+        this.showStatus('warning', 'Map display failed. Using list view.');
+    }
+}
+
+toggleMapView() {
+    const mapContainer = document.querySelector('.territory-map-container');
+    const listContainer = document.getElementById('territoriesListContainer');
     
     if (mapContainer && listContainer) {
         const mapVisible = mapContainer.style.display !== 'none';
@@ -692,6 +1168,7 @@ renderTerritoryCard(territory) {
                 <p><strong>Notes:</strong> ${territory.notes}</p>
             </div>
             ` : ''}
+            ${territory.work_units && territory.work_units.length > 0 ? this.renderWorkUnitList(territory) : ''}
             <div class="territory-actions">
                 ${this.renderTerritoryActions(territory)}
             </div>
@@ -699,6 +1176,62 @@ renderTerritoryCard(territory) {
     `;
 }
 
+renderWorkUnitList(territory) {
+    const units = territory.work_units;
+    const completedUnits = units.filter(unit => unit.status === 'completed').length;
+
+    return `
+        <div class="work-units" style="margin: 10px 0;">
+            <div style="font-size: 0.9em; color: #555; margin-bottom: 6px;">
+                <strong>${completedUnits}/${units.length}</strong> ${units[0].unit_type === 'district' ? 'districts' : 'grid tiles'} completed
+            </div>
+            <div style="display: flex; flex-direction: column; gap: 6px; max-height: 320px; overflow-y: auto;">
+                ${units.map(unit => this.renderWorkUnitRow(territory, unit)).join('')}
+            </div>
+        </div>
+    `;
+}
+
+renderWorkUnitRow(territory, unit) {
+    return `
+        <div class="work-unit-item" data-work-unit-id="${unit.id}"
+             style="display: flex; align-items: center; justify-content: space-between; gap: 8px; padding: 6px 10px; background: #f8f9fa; border-radius: 6px;">
+            <span style="cursor: pointer;" onclick="app.focusWorkUnit('${unit.id}')" title="Show on map">
+                ${unit.name}
+                <span class="territory-status-badge status-${unit.status}" style="${this.getStatusBadgeStyle(unit.status)}; font-size: 0.75em; margin-left: 6px;">
+                    ${this.getStatusText(unit.status)}
+                </span>
+            </span>
+            <span style="display: flex; gap: 4px; flex-wrap: wrap;">
+                ${unit.status !== 'completed' ? `
+                    <button class="btn btn-success" style="padding: 4px 8px; font-size: 0.8em;"
+                            onclick="app.loadTerritoryInJOSM('${territory.id}', '${unit.id}')">
+                        JOSM
+                    </button>
+                ` : ''}
+                ${unit.status === 'available' ? `
+                    <button class="btn btn-warning" style="padding: 4px 8px; font-size: 0.8em;"
+                            onclick="app.setWorkUnitStatus('${unit.id}', 'current')">
+                        Start
+                    </button>
+                ` : ''}
+                ${unit.status === 'current' ? `
+                    <button class="btn btn-warning" style="padding: 4px 8px; font-size: 0.8em;"
+                            onclick="app.setWorkUnitStatus('${unit.id}', 'available')">
+                        Stop
+                    </button>
+                ` : ''}
+                ${unit.status !== 'completed' ? `
+                    <button class="btn btn-danger" style="padding: 4px 8px; font-size: 0.8em;"
+                            onclick="app.setWorkUnitStatus('${unit.id}', 'completed')">
+                        Complete
+                    </button>
+                ` : ''}
+            </span>
+        </div>
+    `;
+}
+
 renderTerritoryActions(territory) {
     if (territory.status === 'completed') {
         return `
@@ -708,15 +1241,56 @@ renderTerritoryActions(territory) {
         `;
     }
 
+    // Split territories are worked (and completed) unit by unit
+    if (territory.work_units && territory.work_units.length > 0) {
+        return `
+            <button class="btn btn-info" onclick="app.loadOsmoseIssues('${territory.id}')"
+                    title="Show Osmose quality assurance issues on the territory map">
+                🔍 Show Osmose QA
+            </button>
+            <button class="btn btn-secondary" onclick="app.downloadOsmoseIssues('${territory.id}')"
+                    title="Download Osmose quality assurance issues as GeoJSON file">
+                📥 GeoJSON
+            </button>
+            <button class="btn btn-secondary" onclick="app.togglePowerInfrastructure('${territory.id}')"
+                    title="Show or hide the mapped power lines, substations and plants on the territory map">
+                ⚡ Power Grid
+            </button>
+            ${!territory.work_units.some(unit => unit.status !== 'available') ? `
+                <button class="btn btn-secondary" onclick="app.showSplitTerritoryModal('${territory.id}')">
+                    Re-split
+                </button>
+            ` : ''}
+        `;
+    }
+
     return `
         <button class="btn btn-success" onclick="app.loadTerritoryInJOSM('${territory.id}')"
                 ${!territory.overpass_ready ? 'disabled title="Territory not ready for JOSM"' : ''}>
             Load in JOSM
         </button>
+        <button class="btn btn-secondary" onclick="app.showChunkedLoadModal('${territory.id}')"
+                ${!territory.overpass_ready ? 'disabled title="Territory not ready for JOSM"' : 'title="Load a large territory as several smaller downloads"'}>
+            Load in Parts
+        </button>
         <button class="btn btn-info" onclick="app.loadOsmoseIssues('${territory.id}')"
+                title="Show Osmose quality assurance issues on the territory map">
+            🔍 Show Osmose QA
+        </button>
+        <button class="btn btn-secondary" onclick="app.downloadOsmoseIssues('${territory.id}')"
                 title="Download Osmose quality assurance issues as GeoJSON file">
-            📥 Download Osmose QA
+            📥 GeoJSON
         </button>
+        <button class="btn btn-secondary" onclick="app.togglePowerInfrastructure('${territory.id}')"
+                title="Show or hide the mapped power lines, substations and plants on the territory map">
+            ⚡ Power Grid
+        </button>
+        ${territory.status === 'available' ? `
+            <button class="btn btn-secondary" onclick="app.showSplitTerritoryModal('${territory.id}')"
+                    title="Split a large territory into districts or grid tiles">
+                Split into Work Units
+            </button>
+        ` : ''}
         ${territory.status === 'available' ? `
             <button class="btn btn-warning" onclick="app.startWorkingOnTerritory('${territory.id}')">
                 Start Working
@@ -730,6 +1304,9 @@ renderTerritoryActions(territory) {
         <button class="btn btn-danger" onclick="app.markTerritoryComplete('${territory.id}')">
             Mark Complete
         </button>
+        <button class="btn btn-secondary" onclick="app.viewTerritoryDetails('${territory.id}')">
+            Details
+        </button>
     `;
 }
 
@@ -737,7 +1314,12 @@ renderTerritoryActions(territory) {
 // ENHANCED JOSM OPERATIONS
 // ================================
 
-async loadTerritoryInJOSM(assignmentId) {
+/**
+ * Load a territory (or one of its work units) into JOSM
+ * @param {string} assignmentId - Team territory assignment ID
+ * @param {string|null} workUnitId - Work unit to load instead of the whole territory
+ */
+async loadTerritoryInJOSM(assignmentId, workUnitId = null) {
     if (!this.josmIntegration) {
         this.showStatus('error', 'JOSM integration not available');
         return;
@@ -753,16 +1335,41 @@ async loadTerritoryInJOSM(assignmentId) {
         }
         
         const territory = territoryResult.data;
-        
-        if (!territory.iso_code) {
-            throw new Error('Territory does not have ISO code for JOSM loading');
+        const preset = this.getJosmQueryPreset();
+        let query;
+        let layerName = territory.territory_name;
+
+        if (workUnitId) {
+            const unit = this.findWorkUnit(workUnitId)?.unit;
+            if (!unit) {
+                throw new Error('Work unit not found');
+            }
+
+            query = this.overpassAPI.generateRolePowerQuery(preset.key, {
+                bounds: {
+                    minLat: unit.min_lat,
+                    minLon: unit.min_lon,
+                    maxLat: unit.max_lat,
+                    maxLon: unit.max_lon
+                }
+            });
+            layerName = `${territory.territory_name} - ${unit.name}`;
+        } else {
+            if (!territory.iso_code) {
+                throw new Error('Territory does not have ISO code for JOSM loading');
+            }
+
+            query = this.overpassAPI.generateRolePowerQuery(preset.key, { isoCode: territory.iso_code });
         }
 
-        const query = this.overpassAPI.generatePowerQuery(territory.iso_code);
+        // Non-default presets load only part of the network, so say which in the layer name
+        if (preset.key !== 'pioneer') {
+            layerName = `${layerName} (${preset.role})`;
+        }
         
         const result = await this.josmIntegration.loadOverpassData(
             query,
-            territory.territory_name,
+            layerName,
             {
                 changesetTags: {
                     comment: '#mapyourgrid'
@@ -771,16 +1378,29 @@ async loadTerritoryInJOSM(assignmentId) {
             }
         );
 
-        if (result.success) {
+        if (!result.success) {
+            this.showStatus('error', `Error loading JOSM: ${result.error}`);
+            this.showJOSMTroubleshootingModal(result.error, result.errorCode);
+            return;
+        }
+
+        if (result.verified) {
             this.showStatus('success', 
-                `✅ ${territory.territory_name} loaded into JOSM with imagery layers!`
+                `✅ ${layerName} loaded into JOSM with imagery layers!`
             );
-            
-            if (this.territoryMap && this.territoryMap.isReady()) {
+        } else {
+            // iframe fallback: the request went out but JOSM's answer could not be read
+            this.showStatus('warning',
+                `${layerName} was sent to JOSM, but this browser does not let the page read JOSM's answer. Check JOSM for the new layer.`
+            );
+        }
+
+        if (this.territoryMap && this.territoryMap.isReady()) {
+            if (workUnitId) {
+                this.territoryMap.focusOnWorkUnit(workUnitId);
+            } else {
                 this.territoryMap.focusOnTerritory(assignmentId);
             }
-        } else {
-            throw new Error(result.error);
         }
 
     } catch (error) {
@@ -790,10 +1410,203 @@ async loadTerritoryInJOSM(assignmentId) {
     }
 }
 
-showJOSMTroubleshootingModal(errorMessage) {
+/**
+ * The Overpass query preset "Load in JOSM" uses: the participant's override, else their role's preset
+ * @param {string|null} override - Preset key; defaults to the override picked in the mapping interface
+ * @returns {{key: string, role: string, label: string, description: string}}
+ */
+getJosmQueryPreset(override = this.josmQueryPresetOverride) {
+    const presets = this.overpassAPI.getRoleQueryPresets();
+    const key = override || this.overpassAPI.getRoleQueryPresetKey(this.getUserRole().role_name);
+    return presets.find(preset => preset.key === key) || presets[0];
+}
+
+setJosmQueryPreset(presetKey) {
+    this.josmQueryPresetOverride = presetKey || null;
+
+    const description = document.getElementById('josmPresetDescription');
+    if (description) {
+        description.textContent = this.getJosmQueryPreset().description;
+    }
+}
+
+/**
+ * Offer to load a large territory into JOSM in parts, resuming an unfinished load if there is one
+ * @param {string} assignmentId - Team territory assignment ID
+ */
+showChunkedLoadModal(assignmentId) {
+    const territory = this.currentTerritories.find(t => t.id === assignmentId);
+    if (!territory || !this.josmIntegration) return;
+
+    const tileSize = this.overpassAPI ? this.overpassAPI.gridCellSize : 1;
+    const modes = [
+        { mode: 'feature_class', label: 'By feature type', description: 'Lines and substations first, then generation, then towers and poles' },
+        { mode: 'tiles', label: `In ${tileSize}° tiles`, description: 'Everything, one map tile at a time' },
+        { mode: 'tiles_by_class', label: 'Tiles, lines first', description: 'Lines and substations for every tile, then the rest tile by tile' }
+    ];
+
+    this.showModal(`
+        <div style="max-width: 540px;">
+            <h3>Load ${territory.territory_name} in Parts</h3>
+            <p style="color: #555;">
+                Big territories can time out or run JOSM out of memory when loaded in one go.
+                Loading in parts sends several smaller downloads into the same JOSM layer.
+            </p>
+            <div style="display: flex; flex-direction: column; gap: 10px; margin: 20px 0;">
+                ${modes.map(({ mode, label, description }) => {
+                    const loadedParts = this.josmIntegration.getChunkProgress(`${assignmentId}:${mode}`).length;
+                    return `
+                        <div style="display: flex; gap: 8px; align-items: center;">
+                            <button class="btn btn-primary" style="flex: 1;" onclick="app.loadTerritoryInChunks('${assignmentId}', '${mode}')">
+                                ${loadedParts > 0 ? `Resume: ${label} (${loadedParts} parts loaded)` : label}
+                            </button>
+                            ${loadedParts > 0 ? `
+                                <button class="btn btn-secondary" onclick="app.restartChunkedLoad('${assignmentId}', '${mode}')" title="Forget progress and start again">
+                                    Restart
+                                </button>
+                            ` : ''}
+                        </div>
+                        <small style="color: #666; margin-top: -6px;">${description}</small>
+                    `;
+                }).join('')}
+            </div>
+            <div style="text-align: right;">
+                <button class="btn btn-secondary" onclick="app.closeModal()">Cancel</button>
+            </div>
+        </div>
+    `);
+}
+
+restartChunkedLoad(assignmentId, mode) {
+    this.josmIntegration.clearChunkProgress(`${assignmentId}:${mode}`);
+    this.loadTerritoryInChunks(assignmentId, mode);
+}
+
+/**
+ * Load a territory into JOSM as a series of tile or feature-class chunks
+ * @param {string} assignmentId - Team territory assignment ID
+ * @param {string} mode - 'feature_class', 'tiles' or 'tiles_by_class'
+ */
+async loadTerritoryInChunks(assignmentId, mode) {
+    this.closeModal();
+    this.showStatus('info', 'Preparing territory parts for JOSM...', true);
+
+    try {
+        const territoryResult = await this.supabaseManager.getTerritoryForOverpass(assignmentId);
+        if (!territoryResult.success) {
+            throw new Error(territoryResult.error);
+        }
+
+        const territory = territoryResult.data;
+        if (!territory.iso_code) {
+            throw new Error('Territory does not have ISO code for JOSM loading');
+        }
+
+        let bounds = territory.min_lat !== null && territory.min_lat !== undefined ? {
+            minLat: Number(territory.min_lat),
+            minLon: Number(territory.min_lon),
+            maxLat: Number(territory.max_lat),
+            maxLon: Number(territory.max_lon)
+        } : null;
+
+        if (!bounds && mode !== 'feature_class') {
+            const boundsResult = await this.overpassAPI.fetchTerritoryBounds(territory.osm_relation_id);
+            if (!boundsResult.success) {
+                throw new Error(boundsResult.error);
+            }
+            bounds = boundsResult.data;
+        }
+
+        const chunksResult = this.overpassAPI.generateChunkedPowerQueries(territory.iso_code, { mode, bounds });
+        if (!chunksResult.success) {
+            throw new Error(chunksResult.error);
+        }
+
+        const result = await this.josmIntegration.loadOverpassChunks(chunksResult.data, territory.territory_name, {
+            resumeKey: `${assignmentId}:${mode}`,
+            changesetTags: { comment: '#mapyourgrid' },
+            onProgress: ({ done, total, chunk }) => {
+                if (chunk) {
+                    this.showStatus('info', `Loading ${territory.territory_name} into JOSM: part ${done + 1}/${total} (${chunk.label})...`, true);
+                }
+            }
+        });
+
+        if (!result.success) {
+            this.showStatus('error',
+                `Stopped at "${result.failedChunk.label}" (${result.skipped + result.loaded}/${result.total} parts loaded): ${result.error}. Use Load in Parts again to resume.`
+            );
+            this.showJOSMTroubleshootingModal(result.error, result.errorCode);
+            return;
+        }
+
+        this.showStatus(result.verified ? 'success' : 'warning',
+            result.verified
+                ? `✅ ${territory.territory_name} loaded into JOSM in ${result.total} parts.`
+                : `${territory.territory_name} was sent to JOSM in ${result.total} parts, but JOSM's answers could not be read. Check JOSM for the layer.`
+        );
+
+        if (this.territoryMap && this.territoryMap.isReady()) {
+            this.territoryMap.focusOnTerritory(assignmentId);
+        }
+
+    } catch (error) {
+        console.error('Error loading territory in parts:', error);
+        this.showStatus('error', `Error loading JOSM: ${error.message}`);
+    }
+}
+
+/**
+ * Show troubleshooting steps for a failed JOSM command
+ * @param {string} errorMessage - Message to show
+ * @param {string|null} errorCode - JOSM_ERROR_CODES value from JOSMIntegration, if known
+ */
+showJOSMTroubleshootingModal(errorMessage, errorCode = null) {
+    const codes = window.JOSM_ERROR_CODES || {};
+    let title = 'JOSM Connection Issue';
+    let steps;
+
+    if (errorCode && errorCode === codes.FORBIDDEN) {
+        title = 'JOSM Refused the Request';
+        steps = `
+            <li><strong>Allow the command:</strong> In JOSM, go to <code>Edit → Preferences → Remote Control</code></li>
+            <li>Tick <strong>"Import data from URL"</strong>, <strong>"Load data from API"</strong> and <strong>"Load imagery layers"</strong></li>
+            <li>Click OK and try again</li>
+        `;
+    } else if (errorCode && errorCode === codes.REJECTED) {
+        title = 'JOSM Rejected the Request';
+        steps = `
+            <li><strong>JOSM is running</strong> and answered, but it could not use the request (see the error above).</li>
+            <li><strong>Large territory?</strong> Split it into work units and load them one at a time.</li>
+            <li><strong>Try again</strong> after a moment; if it keeps failing, tell your coordinator what the error says.</li>
+        `;
+    } else if (errorCode && (errorCode === codes.JOSM_ERROR || errorCode === codes.TIMEOUT)) {
+        title = 'JOSM Did Not Finish the Request';
+        steps = `
+            <li><strong>Check JOSM for an open dialog</strong> (for example a download or conflict prompt) and close it.</li>
+            <li><strong>JOSM may be busy</strong> downloading a previous layer; wait until it finishes.</li>
+            <li><strong>Try again</strong>; restart JOSM if it stays unresponsive.</li>
+        `;
+    } else {
+        steps = `
+            <li><strong>Is JOSM running?</strong> Make sure JOSM is open on your computer.</li>
+            <li><strong>Enable Remote Control:</strong>
+                <ul>
+                    <li>In JOSM, go to <code>Edit → Preferences</code></li>
+                    <li>Click on "Remote Control" (globe icon)</li>
+                    <li>Check "Enable remote control"</li>
+                    <li>Click OK</li>
+                </ul>
+            </li>
+            <li><strong>Check port 8111:</strong> Make sure nothing else is using port 8111</li>
+            <li><strong>Firewall:</strong> Allow JOSM through your firewall</li>
+            <li><strong>Browser permissions:</strong> Allow this page to connect to localhost</li>
+        `;
+    }
+
     const modalContent = `
         <div style="max-width: 600px;">
-            <h3 style="color: #e74c3c;">JOSM Connection Issue</h3>
+            <h3 style="color: #e74c3c;">${title}</h3>
             
             <div style="background: #F7EFE3; padding: 15px; border-radius: 8px; margin: 15px 0; border-left: 4px solid #D4A574;">
                 <strong>Error:</strong> ${errorMessage}
@@ -802,18 +1615,7 @@ showJOSMTroubleshootingModal(errorMessage) {
             <div style="background: #E5EEEE; padding: 20px; border-radius: 10px; margin: 20px 0;">
                 <h4>Troubleshooting Steps:</h4>
                 <ol style="line-height: 1.8;">
-                    <li><strong>Is JOSM running?</strong> Make sure JOSM is open on your computer.</li>
-                    <li><strong>Enable Remote Control:</strong>
-                        <ul>
-                            <li>In JOSM, go to <code>Edit → Preferences</code></li>
-                            <li>Click on "Remote Control" (globe icon)</li>
-                            <li>Check "Enable remote control"</li>
-                            <li>Click OK</li>
-                        </ul>
-                    </li>
-                    <li><strong>Check port 8111:</strong> Make sure nothing else is using port 8111</li>
-                    <li><strong>Firewall:</strong> Allow JOSM through your firewall</li>
-                    <li><strong>Browser permissions:</strong> Allow this page to connect to localhost</li>
+                    ${steps}
                 </ol>
             </div>
             
@@ -857,7 +1659,7 @@ async checkJOSMStatus() {
             this.showStatus('error', 
                 '❌ JOSM is not running or Remote Control is not enabled'
             );
-            this.showJOSMTroubleshootingModal('JOSM not detected');
+            this.showJOSMTroubleshootingModal('JOSM not detected', window.JOSM_ERROR_CODES?.NOT_RUNNING);
         }
     } catch (error) {
         this.showStatus('error', `❌ Cannot connect to JOSM: ${error.message}`);
@@ -929,106 +1731,1106 @@ async markTerritoryComplete(assignmentId) {
 }
 
 // ================================
-// OSMOSE QUALITY ASSURANCE INTEGRATION
+// WORK UNITS
+// ================================
+
+showSplitTerritoryModal(assignmentId) {
+    const territory = this.currentTerritories.find(t => t.id === assignmentId);
+    if (!territory) return;
+
+    const gridCellSize = this.overpassAPI ? this.overpassAPI.gridCellSize : 1;
+
+    this.showModal(`
+        <div style="max-width: 520px;">
+            <h3>Split ${territory.territory_name}</h3>
+            <p style="color: #555;">
+                Large territories are easier to map in pieces. Each work unit is loaded into JOSM
+                on its own and tracked separately; the territory is complete once every unit is.
+            </p>
+            <div style="display: flex; flex-direction: column; gap: 10px; margin: 20px 0;">
+                <button class="btn btn-primary" onclick="app.splitTerritoryIntoWorkUnits('${assignmentId}', 'district')">
+                    Split by districts
+                </button>
+                <button class="btn btn-secondary" onclick="app.splitTerritoryIntoWorkUnits('${assignmentId}', 'grid')">
+                    Split into ${gridCellSize}° grid tiles
+                </button>
+            </div>
+            <div style="text-align: right;">
+                <button class="btn btn-secondary" onclick="app.closeModal()">Cancel</button>
+            </div>
+        </div>
+    `);
+}
+
+/**
+ * Split a territory into districts (from OSM admin boundaries) or a fixed bbox grid
+ * @param {string} assignmentId - Team territory assignment ID
+ * @param {string} unitType - 'district' or 'grid'
+ */
+async splitTerritoryIntoWorkUnits(assignmentId, unitType) {
+    const territory = this.currentTerritories.find(t => t.id === assignmentId);
+    if (!territory || !this.supabaseManager || !this.overpassAPI) {
+        this.showStatus('error', 'Database not available');
+        return;
+    }
+
+    this.closeModal();
+    this.showStatus('info', `Fetching ${unitType === 'district' ? 'districts' : 'territory bounds'} for ${territory.territory_name}...`, true);
+
+    try {
+        let unitsResult;
+
+        if (unitType === 'district') {
+            unitsResult = await this.overpassAPI.fetchDistricts(territory.territory_osm_id);
+        } else {
+            const boundsResult = await this.overpassAPI.fetchTerritoryBounds(territory.territory_osm_id);
+            if (!boundsResult.success) {
+                throw new Error(boundsResult.error);
+            }
+            unitsResult = this.overpassAPI.generateGridUnits(boundsResult.data);
+        }
+
+        if (!unitsResult.success) {
+            throw new Error(unitsResult.error);
+        }
+
+        const result = await this.supabaseManager.createWorkUnits(assignmentId, unitType, unitsResult.data);
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+
+        this.showStatus('success', `${territory.territory_name} split into ${result.data.unit_count} work units`);
+        await this.reloadTeamTerritories();
+    } catch (error) {
+        console.error('Error splitting territory:', error);
+        this.showStatus('error', `Could not split territory: ${error.message}`);
+    }
+}
+
+async setWorkUnitStatus(workUnitId, newStatus) {
+    if (newStatus === 'completed' && !confirm('Mark this work unit as complete?')) {
+        return;
+    }
+
+    try {
+        const result = await this.supabaseManager.updateWorkUnitStatus(workUnitId, newStatus);
+
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+
+        this.applyWorkUnitUpdate({
+            id: result.data.work_unit_id,
+            team_territory_id: result.data.assignment_id,
+            status: result.data.status,
+            started_at: result.data.started_at,
+            completed_at: result.data.completed_at,
+            completed_by: result.data.completed_by
+        });
+
+        // Keep the rolled-up territory status in step even if live updates are unavailable
+        const territory = this.currentTerritories.find(t => t.id === result.data.assignment_id);
+        if (territory && territory.status !== result.data.territory_status) {
+            this.applyTerritoryUpdate({ ...territory, status: result.data.territory_status });
+        }
+
+        this.showStatus('success', result.data.territory_status === 'completed'
+            ? 'All work units done - territory complete!'
+            : `${result.data.name}: ${this.getStatusText(result.data.status)}`);
+    } catch (error) {
+        console.error('Error updating work unit:', error);
+        this.showStatus('error', `Error: ${error.message}`);
+    }
+}
+
+focusWorkUnit(workUnitId) {
+    if (this.territoryMap && this.territoryMap.isReady()) {
+        this.territoryMap.focusOnWorkUnit(workUnitId);
+    }
+}
+
+/**
+ * Find a work unit and its parent territory among the current team's territories
+ * @returns {{territory: object, unit: object}|null}
+ */
+findWorkUnit(workUnitId) {
+    for (const territory of this.currentTerritories || []) {
+        const unit = (territory.work_units || []).find(u => u.id === workUnitId);
+        if (unit) {
+            return { territory, unit };
+        }
+    }
+    return null;
+}
+
+// ================================
+// OSMOSE QUALITY ASSURANCE INTEGRATION
+// ================================
+
+/**
+ * Fetch a territory's Osmose QA issues and show them on the territory map
+ * @param {string} assignmentId - Territory assignment ID
+ */
+async loadOsmoseIssues(assignmentId) {
+    // Check if Osmose fetch function is available
+    if (typeof fetchOsmoseIssuesForTerritory !== 'function') {
+        this.showStatus('error', 'Osmose integration not loaded. Please refresh the page.');
+        return;
+    }
+
+    if (!this.territoryMap || !this.territoryMap.isReady()) {
+        this.showStatus('warning', 'The territory map is not available. Use 📥 GeoJSON to download the issues instead.');
+        return;
+    }
+
+    try {
+        const { territory, options } = await this.getOsmoseRequestForAssignment(assignmentId);
+
+        const fetchResult = await fetchOsmoseIssuesForTerritory(territory.territory_name, territory.iso_code, options);
+
+        if (!fetchResult.success) {
+            throw new Error(fetchResult.error);
+        }
+
+        const { geoJSON, failedTypes, truncatedTypes } = fetchResult.data;
+        const mapTerritory = (this.currentTerritories || []).find(t => t.id === assignmentId) || { ...territory, id: assignmentId };
+
+        // Claimed issues Osmose no longer reports have been fixed; only fully re-checked types
+        // count, not failed ones or ones cut off at the issue limit
+        const checkedTypes = options.issueTypes
+            .map(type => type.key)
+            .filter(key => !failedTypes.some(failed => failed.key === key) && !truncatedTypes.includes(key));
+        const autoResolveResult = await this.supabaseManager.autoResolveOsmoseIssueClaims(
+            assignmentId,
+            geoJSON.features.map(feature => feature.properties.id).filter(Boolean),
+            checkedTypes
+        );
+        if (!autoResolveResult.success) {
+            console.warn('Could not auto-resolve Osmose issue claims:', autoResolveResult.error);
+        }
+        const autoResolved = autoResolveResult.success ? autoResolveResult.data.resolved_count : 0;
+
+        await this.loadOsmoseIssueClaims();
+
+        // Bring the map back if the participant switched to the list view
+        const mapContainer = document.querySelector('.territory-map-container');
+        if (mapContainer && mapContainer.style.display === 'none') {
+            this.toggleMapView();
+        }
+
+        this.territoryMap.displayOsmoseIssues(mapTerritory, geoJSON);
+        this.territoryMap.focusOnTerritory(assignmentId);
+
+        this.showStatus(failedTypes.length > 0 ? 'warning' : 'success',
+            `🔍 Showing ${geoJSON.features.length} Osmose issues for ${territory.territory_name} on the map. Use the chips in the map corner to filter by issue type.` +
+            (autoResolved > 0 ? ` ${autoResolved} claimed issue${autoResolved === 1 ? ' is' : 's are'} no longer reported by Osmose and ${autoResolved === 1 ? 'was' : 'were'} marked resolved.` : '') +
+            (failedTypes.length > 0 ? ` ${failedTypes.length} issue type${failedTypes.length === 1 ? '' : 's'} could not be fetched (see console).` : '')
+        );
+
+    } catch (error) {
+        console.error('Error loading Osmose issues:', error);
+        this.showStatus('error', `Error loading Osmose issues: ${error.message}`);
+    }
+}
+
+/**
+ * Load the team's Osmose issue claims onto the map
+ */
+async loadOsmoseIssueClaims() {
+    if (!this.currentTeam || !this.territoryMap) return;
+
+    const claimsResult = await this.supabaseManager.getTeamOsmoseIssueClaims(this.currentTeam.id);
+    if (!claimsResult.success) {
+        console.warn('Could not load Osmose issue claims:', claimsResult.error);
+        return;
+    }
+
+    this.territoryMap.setOsmoseClaims(claimsResult.data.claims);
+}
+
+/**
+ * Claim, release, resolve or mark false-positive an Osmose issue shown on the map
+ * @param {string} assignmentId - Territory assignment the issue was fetched for
+ * @param {string} issueId - Osmose issue UUID
+ * @param {string} newStatus - 'claimed', 'resolved', 'false_positive' or 'open'
+ */
+async updateOsmoseIssueClaim(assignmentId, issueId, newStatus) {
+    const issues = this.territoryMap?.osmoseIssues.get(assignmentId);
+    const feature = issues?.features.find(f => f.properties.id === issueId);
+
+    if (!feature) {
+        this.showStatus('error', 'Osmose issue is no longer on the map. Show the Osmose issues again.');
+        return;
+    }
+
+    const [lon, lat] = feature.geometry.coordinates;
+    const result = await this.supabaseManager.updateOsmoseIssueClaim(assignmentId, {
+        id: issueId,
+        issue_type: feature.properties.issue_type,
+        title: feature.properties.issue_label || feature.properties.title,
+        lat,
+        lon
+    }, newStatus);
+
+    if (!result.success) {
+        this.showStatus('error', `Could not update Osmose issue: ${result.error}`);
+        return;
+    }
+
+    const messages = {
+        claimed: '🙋 Issue claimed. Your teammates will see it as yours.',
+        resolved: '✅ Issue marked resolved.',
+        false_positive: '🚫 Issue marked as a false positive.',
+        open: '↩ Issue is open again.'
+    };
+    this.showStatus('success', messages[newStatus]);
+
+    await this.loadOsmoseIssueClaims();
+}
+
+/**
+ * Trigger automatic download of Osmose QA issues for a territory as a GeoJSON file
+ * @param {string} assignmentId - Territory assignment ID
+ */
+async downloadOsmoseIssues(assignmentId) {
+    // Check if Osmose download function is available
+    if (typeof downloadOsmoseIssuesForTerritory !== 'function') {
+        this.showStatus('error', 'Osmose integration not loaded. Please refresh the page.');
+        return;
+    }
+
+    try {
+        const { territory, options } = await this.getOsmoseRequestForAssignment(assignmentId);
+
+        // Trigger automatic download of Osmose issues for this territory
+        const downloadResult = await downloadOsmoseIssuesForTerritory(territory.territory_name, territory.iso_code, options);
+
+        if (!downloadResult.success) {
+            throw new Error(downloadResult.error);
+        }
+
+        const { fileName, territoryName, issueCount, failedTypes } = downloadResult.data;
+
+        this.showStatus(failedTypes.length > 0 ? 'warning' : 'success',
+            `✅ Downloaded ${issueCount} Osmose issues for ${territoryName}. Check your downloads folder for ${fileName}. The file can be loaded into JOSM.` +
+            (failedTypes.length > 0 ? ` ${failedTypes.length} issue type${failedTypes.length === 1 ? '' : 's'} could not be fetched (see console).` : '')
+        );
+
+    } catch (error) {
+        console.error('Error downloading Osmose issues:', error);
+        this.showStatus('error', `Error downloading Osmose issues: ${error.message}`);
+    }
+}
+
+/**
+ * Look up a territory and the Osmose fetch options (issue types, bounds) for it
+ * @private
+ * @param {string} assignmentId - Territory assignment ID
+ * @returns {Promise<{territory: object, options: object}>}
+ */
+async getOsmoseRequestForAssignment(assignmentId) {
+    this.showStatus('info', 'Fetching Osmose quality assurance issues...', true);
+
+    // Get territory data from database
+    const territoryResult = await this.supabaseManager.getTerritoryForOverpass(assignmentId);
+
+    if (!territoryResult.success) {
+        throw new Error(territoryResult.error);
+    }
+
+    const territory = territoryResult.data;
+
+    if (!territory.iso_code) {
+        throw new Error('Territory does not have ISO code for Osmose loading');
+    }
+
+    console.log(`Fetching Osmose issues for ${territory.territory_name} (${territory.iso_code})`);
+
+    const issueTypes = await this.getOsmoseIssueTypesForUser();
+    this.showStatus('info', `Fetching ${issueTypes.length} Osmose issue type${issueTypes.length === 1 ? '' : 's'}: ${issueTypes.map(type => type.name).join(', ')}...`, true);
+
+    return {
+        territory,
+        options: {
+            issueTypes,
+            // Used for countries without an Osmose region prefix
+            bounds: territory.min_lat !== null && territory.min_lat !== undefined ? {
+                minLat: territory.min_lat,
+                minLon: territory.min_lon,
+                maxLat: territory.max_lat,
+                maxLon: territory.max_lon
+            } : null
+        }
+    };
+}
+
+/**
+ * Osmose issue types for the current participant: the session's selection, else their role's
+ * @returns {Promise<Array<object>>} Entries of powerIssueTypes
+ */
+async getOsmoseIssueTypesForUser() {
+    let sessionTypes = null;
+
+    if (this.supabaseManager && this.currentUser?.sessionId) {
+        const sessionResult = await this.supabaseManager.getSession(this.currentUser.sessionId);
+        if (sessionResult.success) {
+            sessionTypes = sessionResult.data.session?.osmose_issue_types || null;
+        } else {
+            console.warn('Could not read the session\'s Osmose issue types:', sessionResult.error);
+        }
+    }
+
+    return getOsmoseIssueTypes({ sessionTypes, role: this.getUserRole().role_name });
+}
+
+/**
+ * Open an Osmose issue in JOSM: download the area around it and select the offending elements
+ * @param {string} issueId - Osmose issue UUID
+ * @param {number} lat - Issue latitude
+ * @param {number} lon - Issue longitude
+ */
+async fixOsmoseIssueInJOSM(issueId, lat, lon) {
+    if (!this.josmIntegration) {
+        this.showStatus('error', 'JOSM integration not available');
+        return;
+    }
+
+    this.showStatus('info', 'Opening Osmose issue in JOSM...', true);
+
+    // The elements are only needed for selection; zoom to the issue even without them
+    let elements = [];
+    if (typeof fetchOsmoseIssueElements === 'function') {
+        const elementsResult = await fetchOsmoseIssueElements(issueId);
+        if (elementsResult.success) {
+            elements = elementsResult.data;
+        } else {
+            console.warn(`Could not read elements of Osmose issue ${issueId}:`, elementsResult.error);
+        }
+    }
+
+    // About 200 m around the issue, well inside the OSM API's bbox limit
+    const padding = 0.002;
+    const result = await this.josmIntegration.loadAndZoom({
+        minLat: lat - padding,
+        minLon: lon - padding,
+        maxLat: lat + padding,
+        maxLon: lon + padding
+    }, {
+        select: elements,
+        changesetTags: { comment: '#mapyourgrid' }
+    });
+
+    if (!result.success) {
+        this.showStatus('error', `Error opening issue in JOSM: ${result.error}`);
+        this.showJOSMTroubleshootingModal(result.error, result.errorCode);
+        return;
+    }
+
+    const selected = elements.length > 0 ? ` with ${elements.length} element${elements.length === 1 ? '' : 's'} selected` : '';
+    this.showStatus(result.verified ? 'success' : 'warning',
+        result.verified
+            ? `✅ JOSM zoomed to the issue${selected}.`
+            : `Issue sent to JOSM${selected}, but JOSM's answer could not be read. Check JOSM.`
+    );
+}
+
+// ================================
+// POWER INFRASTRUCTURE MAP
+// ================================
+
+/**
+ * Show or hide a territory's power grid (lines, substations, plants) on the territory map
+ * @param {string} assignmentId - Territory assignment ID
+ */
+togglePowerInfrastructure(assignmentId) {
+    if (!this.territoryMap || !this.territoryMap.isReady()) {
+        this.showStatus('warning', 'The territory map is not available.');
+        return;
+    }
+
+    if (this.territoryMap.getInfrastructureTerritoryId() === assignmentId) {
+        this.territoryMap.clearInfrastructureLayer();
+        this.showStatus('info', 'Power grid hidden.');
+        return;
+    }
+
+    const territory = (this.currentTerritories || []).find(t => t.id === assignmentId);
+    if (!territory) {
+        this.showStatus('error', 'Territory not found. Refresh your territories.');
+        return;
+    }
+
+    // Bring the map back if the participant switched to the list view
+    const mapContainer = document.querySelector('.territory-map-container');
+    if (mapContainer && mapContainer.style.display === 'none') {
+        this.toggleMapView();
+    }
+
+    this.territoryMap.focusOnTerritory(assignmentId);
+    this.territoryMap.showPowerInfrastructure(this.overpassAPI, territory);
+
+    this.showStatus('info',
+        `⚡ Showing the power grid of ${territory.territory_name}. Lines load for the visible area as you pan and zoom; minor lines and cables appear when zoomed in closer.`
+    );
+}
+
+// ================================
+// COORDINATOR SESSION MAP
+// ================================
+
+renderCoordinatorSessionMap(progress) {
+    return `
+        <div class="coordinator-session-map" id="coordinatorMapPanel" style="margin: 15px 0; ${progress.teamCount > 0 ? '' : 'display: none;'}">
+            <h4>Session Map</h4>
+            <p style="color: #666; margin: 0 0 10px 0;">
+                Territories are outlined in their team's colour and filled by status. Click one to see its history.
+            </p>
+            <button class="btn btn-info" onclick="app.toggleSessionActivity()"
+                    title="Heatmap of the changesets recorded with Measure OSM Edits, with a slider to replay the session">
+                🔥 Mapping Activity
+            </button>
+            <div style="display: flex; gap: 15px; flex-wrap: wrap; margin-top: 10px;">
+                <div id="coordinatorMap" style="flex: 1 1 400px; height: 500px; border-radius: 10px; border: 2px solid #ddd;"></div>
+                <div id="coordinatorTerritoryPanel" class="coordinator-territory-panel"
+                     style="flex: 0 1 300px; max-height: 500px; overflow-y: auto; background: rgba(107, 142, 143, 0.1); padding: 15px; border-radius: 10px;">
+                    ${this.renderTerritoryHistoryPlaceholder()}
+                </div>
+            </div>
+        </div>
+    `;
+}
+
+renderTerritoryHistoryPlaceholder() {
+    return '<p style="color: #666; margin: 0;">Select a territory on the map to see its history.</p>';
+}
+
+/**
+ * Show every territory of the session on the coordinator map, creating the map on first use
+ * @param {object} progress - Session progress (country and team count)
+ * @param {boolean} fitBounds - Zoom to the territories; live updates keep the coordinator's view
+ */
+async loadCoordinatorSessionMap(progress, fitBounds = true) {
+    const panel = document.getElementById('coordinatorMapPanel');
+    if (!panel) return;
+
+    panel.style.display = progress.teamCount > 0 ? '' : 'none';
+    if (!progress.teamCount) return;
+
+    const result = await this.supabaseManager.getAllTerritoryAssignments(this.currentUser.sessionId);
+    if (!result.success) {
+        console.error('Could not load the session map:', result.error);
+        return;
+    }
+
+    try {
+        if (!this.territoryMap) {
+            this.territoryMap = this.createTerritoryMap();
+        }
+
+        // The dashboard was re-rendered: attach the map to the new container
+        const container = document.getElementById('coordinatorMap');
+        if (!this.territoryMap.isReady() || this.territoryMap.map.getContainer() !== container) {
+            this.territoryMap.setCountry(progress.countryCode);
+            if (!this.territoryMap.initializeMap('coordinatorMap', { minZoom: 3, maxZoom: 12 })) return;
+            fitBounds = true;
+        }
+
+        this.territoryMap.displaySessionOverview(this.groupAssignmentsByTeam(result.data.assignments), { fitBounds });
+    } catch (error) {
+        console.error('Session map failed:', error);
+        this.showStatus('warning', 'Session map could not be displayed.');
+    }
+}
+
+/**
+ * Group get_all_territory_assignments rows into the teams TerritoryMap.displaySessionOverview expects
+ * @param {Array} assignments - Territory assignments of the session
+ * @returns {Array} Teams with their territories and progress counts
+ */
+groupAssignmentsByTeam(assignments) {
+    const teams = new Map(); // team_id -> team
+
+    (assignments || []).forEach(assignment => {
+        if (!teams.has(assignment.team_id)) {
+            teams.set(assignment.team_id, {
+                team_id: assignment.team_id,
+                team_name: assignment.team_name,
+                team_index: assignment.team_index,
+                territories: [],
+                completed_count: 0,
+                total_count: 0
+            });
+        }
+
+        const team = teams.get(assignment.team_id);
+        team.territories.push({
+            id: assignment.assignment_id,
+            territory_name: assignment.territory_name,
+            territory_osm_id: assignment.territory_osm_id,
+            iso_code: assignment.iso_code,
+            status: assignment.status,
+            center: assignment.center_lat !== null && assignment.center_lon !== null
+                ? [Number(assignment.center_lat), Number(assignment.center_lon)]
+                : null
+        });
+        team.total_count++;
+        if (assignment.status === 'completed') team.completed_count++;
+    });
+
+    return [...teams.values()];
+}
+
+/**
+ * List a territory's history in the panel next to the coordinator map:
+ * distribution, moves between teams, start, completion and recorded edits
+ * @param {string} assignmentId - Territory assignment ID
+ */
+async showTerritoryHistory(assignmentId) {
+    const panel = document.getElementById('coordinatorTerritoryPanel');
+    if (!panel) return;
+
+    this.selectedTerritoryId = assignmentId;
+
+    const result = await this.supabaseManager.getTerritoryAssignmentDetails(assignmentId);
+    if (!result.success) {
+        // The territory is gone, e.g. after a reset
+        this.selectedTerritoryId = null;
+        panel.innerHTML = this.renderTerritoryHistoryPlaceholder();
+        return;
+    }
+
+    const details = result.data;
+    const reassignments = details.reassignments || [];
+    const sessionOpen = details.session.session_status !== 'completed' && details.session.session_status !== 'archived';
+
+    const events = [
+        {
+            time: details.created_at,
+            icon: '📌',
+            text: `Assigned to <strong>${reassignments.length > 0 ? reassignments[0].from_team_name : details.team.team_name}</strong>`
+        },
+        ...reassignments.map(move => ({
+            time: move.reassigned_at,
+            icon: '↔',
+            text: `Moved from <strong>${move.from_team_name}</strong> to <strong>${move.to_team_name}</strong>` +
+                (move.status && move.status !== 'available' ? ` while ${this.getStatusText(move.status).toLowerCase()}` : '') +
+                (move.reason ? `<br><small style="color: #666;">${move.reason}</small>` : '')
+        })),
+        details.started_at ? { time: details.started_at, icon: '🚧', text: 'Mapping started' } : null,
+        details.completed_at ? {
+            time: details.completed_at,
+            icon: '✅',
+            text: 'Completed' + (details.completed_by_participant
+                ? ` by ${details.completed_by_participant.first_name} (@${details.completed_by_participant.osm_username})`
+                : '')
+        } : null
+    ].filter(event => event && event.time)
+        .sort((a, b) => new Date(a.time) - new Date(b.time));
+
+    const edits = details.osm_edits;
+
+    panel.innerHTML = `
+        <h4 style="margin: 0 0 5px 0;">${details.territory.name}</h4>
+        <p style="margin: 0 0 10px 0;">
+            <span class="territory-status-badge status-${details.status}" style="${this.getStatusBadgeStyle(details.status)}">
+                ${this.getStatusText(details.status)}
+            </span>
+            ${details.team.team_name}
+        </p>
+
+        <ul style="list-style: none; padding: 0; margin: 0 0 10px 0;">
+            ${events.map(event => `
+                <li style="display: flex; gap: 8px; padding: 6px 0; border-bottom: 1px solid #ddd;">
+                    <span>${event.icon}</span>
+                    <span>
+                        ${event.text}<br>
+                        <small style="color: #666;">${new Date(event.time).toLocaleString()}</small>
+                    </span>
+                </li>
+            `).join('')}
+        </ul>
+
+        <p style="margin: 0 0 10px 0; font-size: 0.9em;">
+            ${edits && edits.changesets > 0
+                ? `<strong>${edits.changesets}</strong> changeset${edits.changesets === 1 ? '' : 's'} recorded:
+                   ${edits.power_created} power objects created, ${edits.power_modified} modified, ${edits.power_deleted} deleted`
+                : 'No #mapyourgrid changesets recorded yet.'}
+        </p>
+
+        <button class="btn btn-secondary" onclick="app.viewTerritoryDetails('${assignmentId}')">Details</button>
+        ${sessionOpen && details.status !== 'completed' ? `
+            <button class="btn btn-warning" onclick="app.showReassignTerritoryModal('${assignmentId}')">↔ Reassign</button>
+        ` : ''}
+    `;
+}
+
+async showReassignTerritoryModal(assignmentId) {
+    const sessionId = this.currentUser.sessionId;
+
+    const [detailsResult, teamsResult] = await Promise.all([
+        this.supabaseManager.getTerritoryAssignmentDetails(assignmentId),
+        this.supabaseManager.getSessionTeams(sessionId)
+    ]);
+
+    if (!detailsResult.success || !teamsResult.success) {
+        this.showStatus('error', `Could not load teams: ${detailsResult.error || teamsResult.error}`);
+        return;
+    }
+
+    const details = detailsResult.data;
+    const otherTeams = teamsResult.data.teams.filter(team => team.id !== details.team.team_id);
+
+    if (otherTeams.length === 0) {
+        this.showStatus('warning', 'There is no other team to move this territory to.');
+        return;
+    }
+
+    this.showModal(`
+        <div style="max-width: 480px;">
+            <h3>Reassign ${details.territory.name}</h3>
+            <p>Currently assigned to <strong>${details.team.team_name}</strong> (${this.getStatusText(details.status)}).
+               Its status, work units and recorded edits move with it.</p>
+
+            <label for="reassignTeamSelect" style="display: block; margin: 15px 0 8px; font-weight: bold;">Move to team:</label>
+            <select id="reassignTeamSelect" style="width: 100%; padding: 8px; border: 2px solid #6B8E8F; border-radius: 5px;">
+                ${otherTeams.map(team => `<option value="${team.id}">${team.team_name}</option>`).join('')}
+            </select>
+
+            <label for="reassignReasonInput" style="display: block; margin: 15px 0 8px; font-weight: bold;">Reason (optional):</label>
+            <input type="text" id="reassignReasonInput" maxlength="200" placeholder="e.g. Team Beta has local knowledge"
+                   style="width: 100%; padding: 8px; border: 2px solid #6B8E8F; border-radius: 5px;">
+
+            <div style="text-align: right; margin-top: 20px;">
+                <button class="btn btn-secondary" onclick="app.closeModal()">Cancel</button>
+                <button class="btn btn-warning" onclick="app.reassignTerritory('${assignmentId}')">Reassign</button>
+            </div>
+        </div>
+    `);
+}
+
+async reassignTerritory(assignmentId) {
+    const teamSelect = document.getElementById('reassignTeamSelect');
+    const reasonInput = document.getElementById('reassignReasonInput');
+    if (!teamSelect) return;
+
+    this.showStatus('info', 'Reassigning territory...', true);
+
+    const result = await this.supabaseManager.coordinatorReassignTerritory(
+        this.currentUser.sessionId,
+        assignmentId,
+        teamSelect.value,
+        reasonInput ? reasonInput.value : null
+    );
+
+    if (!result.success) {
+        this.showStatus('error', `Could not reassign territory: ${result.error}`);
+        return;
+    }
+
+    this.closeModal();
+    this.showStatus('success', `${result.data.territory_name} moved from ${result.data.from_team_name} to ${result.data.to_team_name}.`);
+
+    this.selectedTerritoryId = assignmentId;
+    await this.updateCoordinatorDashboardLive();
+}
+
+/**
+ * Show or hide the heatmap of the session's recorded changesets on the coordinator map
+ */
+async toggleSessionActivity() {
+    if (!this.territoryMap || !this.territoryMap.isReady()) {
+        this.showStatus('warning', 'The session map is not available.');
+        return;
+    }
+
+    if (this.territoryMap.hasActivityLayer()) {
+        this.territoryMap.clearActivityLayer();
+        this.showStatus('info', 'Mapping activity hidden.');
+        return;
+    }
+
+    this.showStatus('info', 'Loading recorded changesets...', true);
+
+    const result = await this.supabaseManager.getSessionChangesets(this.currentUser.sessionId);
+    if (!result.success) {
+        this.showStatus('error', `Could not load changesets: ${result.error}`);
+        return;
+    }
+
+    const shown = this.territoryMap.showSessionActivity(result.data);
+    if (shown === 0) {
+        this.showStatus('warning', 'No changesets recorded for this session yet. Use Measure OSM Edits to read them from OpenStreetMap.');
+        return;
+    }
+
+    this.showStatus('success',
+        `🔥 Showing ${shown} changeset${shown === 1 ? '' : 's'}, weighted by power edits. Press ▶ on the map to replay the session.`
+    );
+}
+
+// ================================
+// OSM EDIT MEASUREMENT
+// ================================
+
+/**
+ * Analyse every participant's #mapyourgrid changesets and record their power edits (coordinator)
+ */
+async syncSessionOsmEdits() {
+    if (!this.changesetAnalyzer) {
+        this.showStatus('error', 'Changeset analysis not available');
+        return;
+    }
+
+    this.showStatus('info', 'Reading participants\' changesets from OpenStreetMap...', true);
+
+    const result = await this.supabaseManager.coordinatorSyncOsmEdits(
+        this.currentUser.sessionId,
+        this.changesetAnalyzer,
+        (done, total, osmUsername) => this.showStatus('info', `Analyzing @${osmUsername}'s changesets (${done + 1}/${total})...`, true),
+        this.overpassAPI
+    );
+
+    if (!result.success) {
+        this.showStatus('error', `Could not measure OSM edits: ${result.error}`);
+        return;
+    }
+
+    const { participants, recorded, skipped, unattributed, errors } = result.data;
+    if (errors.length > 0) {
+        console.warn('OSM edit sync errors:', errors);
+    }
+
+    this.showStatus(errors.length > 0 || unattributed > 0 ? 'warning' : 'success',
+        `Recorded ${recorded} changesets for ${participants} participants` +
+        (skipped > 0 ? `; ${skipped} outside session territories` : '') +
+        (unattributed > 0 ? `; ${unattributed} not attributed because some session territories have no bounds yet` : '') +
+        (errors.length > 0 ? `; ${errors.length} participant${errors.length === 1 ? '' : 's'} could not be read (see console)` : '') + '.'
+    );
+
+    await this.updateCoordinatorDashboardLive();
+}
+
+renderOsmEditCounts(edits) {
+    if (!edits || edits.changesets === 0) {
+        return '<p style="color: #666;">No #mapyourgrid changesets recorded for this territory yet.</p>';
+    }
+
+    return `
+        <div style="display: grid; grid-template-columns: repeat(4, 1fr); gap: 10px; text-align: center; margin: 10px 0;">
+            <div><div style="font-size: 1.5em; font-weight: bold; color: #6B8E8F;">${edits.changesets}</div><div>Changesets</div></div>
+            <div><div style="font-size: 1.5em; font-weight: bold; color: #7D8F69;">${edits.power_created}</div><div>Power created</div></div>
+            <div><div style="font-size: 1.5em; font-weight: bold; color: #D4A574;">${edits.power_modified}</div><div>Power modified</div></div>
+            <div><div style="font-size: 1.5em; font-weight: bold; color: #C4704F;">${edits.power_deleted}</div><div>Power deleted</div></div>
+        </div>
+        ${edits.by_participant.length > 0 ? `
+            <table style="width: 100%; border-collapse: collapse; font-size: 0.9em;">
+                <thead>
+                    <tr style="text-align: left; border-bottom: 1px solid #ddd;">
+                        <th>Mapper</th><th>Changesets</th><th>Created</th><th>Modified</th><th>Deleted</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${edits.by_participant.map(mapper => `
+                        <tr>
+                            <td>${mapper.first_name} (@${mapper.osm_username})</td>
+                            <td>${mapper.changesets}</td>
+                            <td>${mapper.power_created}</td>
+                            <td>${mapper.power_modified}</td>
+                            <td>${mapper.power_deleted}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        ` : ''}
+        ${edits.last_analyzed_at ? `<small style="color: #666;">Last measured ${new Date(edits.last_analyzed_at).toLocaleString()}</small>` : ''}
+    `;
+}
+
+// ================================
+// TAG COMPLETENESS
+// ================================
+
+/**
+ * Count a team territory's missing power tags on Overpass and record them, then reopen its details
+ */
+async measureTerritoryTagCompleteness(assignmentId, isoCode) {
+    this.closeModal();
+    this.showStatus('info', 'Counting power tags on Overpass...', true);
+
+    const result = await this.supabaseManager.measureOwnTagCompleteness(assignmentId, isoCode, this.overpassAPI);
+    if (!result.success) {
+        this.showStatus('error', `Could not measure tag completeness: ${result.error}`);
+        return;
+    }
+
+    this.showStatus('success', 'Tag completeness recorded.');
+    await this.viewTerritoryDetails(assignmentId);
+}
+
+/**
+ * Count missing power tags in every session territory and record them (coordinator).
+ * The first run is each territory's baseline; later runs are compared with it.
+ */
+async measureSessionTagCompleteness() {
+    this.showStatus('info', 'Counting power tags on Overpass...', true);
+
+    const result = await this.supabaseManager.coordinatorMeasureTagCompleteness(
+        this.currentUser.sessionId,
+        this.overpassAPI,
+        (done, total, territoryName) => this.showStatus('info', `Counting tags in ${territoryName} (${done + 1}/${total})...`, true)
+    );
+
+    if (!result.success) {
+        this.showStatus('error', `Could not measure tag completeness: ${result.error}`);
+        return;
+    }
+
+    const { territories, measured, errors } = result.data;
+    if (errors.length > 0) {
+        console.warn('Tag completeness errors:', errors);
+    }
+
+    this.showStatus(errors.length > 0 ? 'warning' : 'success',
+        `Tag completeness recorded for ${measured}/${territories} territories` +
+        (errors.length > 0 ? `; ${errors.length} failed (see console)` : '') + '.'
+    );
+
+    await this.updateCoordinatorDashboardLive();
+}
+
+/**
+ * Render baseline and latest tag completeness side by side
+ * @param {{baseline: object, baseline_at: string, latest: object, latest_at: string}} tagCompleteness
+ */
+renderTagCompleteness(tagCompleteness) {
+    if (!tagCompleteness || !tagCompleteness.latest) {
+        return '<p style="color: #666;">Tag completeness has not been measured for this territory yet.</p>';
+    }
+
+    const { baseline, latest } = tagCompleteness;
+    const percentComplete = counts => counts && counts.total > 0
+        ? Math.round(((counts.total - counts.missing) / counts.total) * 100)
+        : null;
+
+    return `
+        <table style="width: 100%; border-collapse: collapse; font-size: 0.9em;">
+            <thead>
+                <tr style="text-align: left; border-bottom: 1px solid #ddd;">
+                    <th>Check</th><th>Before</th><th>Now</th><th>Still missing</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${this.overpassAPI.getTagCompletenessChecks().filter(check => latest[check.key]).map(check => {
+                    const before = percentComplete(baseline?.[check.key]);
+                    const now = percentComplete(latest[check.key]);
+                    const change = before !== null && now !== null ? now - before : 0;
+                    return `
+                        <tr>
+                            <td>${check.label}</td>
+                            <td>${before !== null ? `${before}%` : '—'}</td>
+                            <td>${now !== null ? `${now}%` : '—'}${change !== 0 ? ` <span style="color: ${change > 0 ? '#7D8F69' : '#C4704F'};">(${change > 0 ? '+' : ''}${change})</span>` : ''}</td>
+                            <td>${latest[check.key].missing.toLocaleString()} of ${latest[check.key].total.toLocaleString()}</td>
+                        </tr>
+                    `;
+                }).join('')}
+            </tbody>
+        </table>
+        <small style="color: #666;">
+            Before: ${tagCompleteness.baseline_at ? new Date(tagCompleteness.baseline_at).toLocaleString() : 'not measured by the coordinator yet'} · Now: ${new Date(tagCompleteness.latest_at).toLocaleString()}
+        </small>
+    `;
+}
+
+/**
+ * Render the session-wide tag completeness, summed over the measured territories
+ * @param {Array} entries - tag_completeness rows from get_session_progress_overview
+ * @param {number} totalTerritories - Territories assigned in the session
+ */
+renderSessionTagCompleteness(entries, totalTerritories) {
+    if (!entries || entries.length === 0) {
+        return `
+            <div class="tag-completeness" style="margin: 15px 0;">
+                <h4>Tag Completeness</h4>
+                <p style="color: #666;">Not measured yet. Measure once before mapping starts to record the baseline.</p>
+            </div>
+        `;
+    }
+
+    const sumCounts = key => {
+        const sums = {};
+        entries.forEach(entry => {
+            Object.entries(entry[key] || {}).forEach(([check, counts]) => {
+                sums[check] = sums[check] || { total: 0, missing: 0 };
+                sums[check].total += counts.total;
+                sums[check].missing += counts.missing;
+            });
+        });
+        return sums;
+    };
+    const times = key => entries.filter(entry => entry[key]).map(entry => new Date(entry[key]).getTime());
+    const baselineTimes = times('baseline_at');
+
+    return `
+        <div class="tag-completeness" style="margin: 15px 0;">
+            <h4>Tag Completeness</h4>
+            <p style="color: #555;">${entries.length} of ${totalTerritories} territories measured</p>
+            ${this.renderTagCompleteness({
+                baseline: sumCounts('baseline'),
+                baseline_at: baselineTimes.length > 0 ? new Date(Math.min(...baselineTimes)).toISOString() : null,
+                latest: sumCounts('latest'),
+                latest_at: new Date(Math.max(...times('latest_at'))).toISOString()
+            })}
+        </div>
+    `;
+}
+
+// ================================
+// SESSION IMPACT
 // ================================
 
 /**
- * Trigger automatic download of Osmose QA issues for a territory as a GeoJSON file
- * @param {string} assignmentId - Territory assignment ID
+ * Measure every territory's power infrastructure on Overpass and store it as the
+ * session's start (after distribution) or end (after closing) snapshot
+ * @param {string} phase - 'start' or 'end'
  */
-async loadOsmoseIssues(assignmentId) {
-    // Check if Osmose download function is available
-    if (typeof downloadOsmoseIssuesForTerritory !== 'function') {
-        this.showStatus('error', 'Osmose integration not loaded. Please refresh the page.');
+async captureSessionSnapshots(phase) {
+    const phaseLabel = phase === 'start' ? 'start' : 'end';
+    this.showStatus('info', `Capturing ${phaseLabel} snapshot of the power infrastructure...`, true);
+
+    const result = await this.supabaseManager.captureSessionSnapshots(
+        this.currentUser.sessionId,
+        phase,
+        this.overpassAPI,
+        (done, total, territoryName) => this.showStatus('info', `Measuring ${territoryName} for the ${phaseLabel} snapshot (${done + 1}/${total})...`, true)
+    );
+
+    if (!result.success) {
+        this.showStatus('error', `Could not capture the ${phaseLabel} snapshot: ${result.error}`);
         return;
     }
 
-    this.showStatus('info', 'Triggering Osmose quality assurance issues download...', true);
-
-    try {
-        // Get territory data from database
-        const territoryResult = await this.supabaseManager.getTerritoryForOverpass(assignmentId);
-
-        if (!territoryResult.success) {
-            throw new Error(territoryResult.error);
-        }
-
-        const territory = territoryResult.data;
-
-        if (!territory.iso_code) {
-            throw new Error('Territory does not have ISO code for Osmose loading');
-        }
-
-        console.log(`Triggering Osmose download for ${territory.territory_name} (${territory.iso_code})`);
-
-        // Trigger automatic download of Osmose issues for this territory
-        const downloadResult = await downloadOsmoseIssuesForTerritory(
-            territory.territory_name,
-            territory.iso_code
-        );
-
-        if (!downloadResult.success) {
-            throw new Error(downloadResult.error);
-        }
-
-        const { fileName, territoryName } = downloadResult.data;
+    const { territories, captured, errors } = result.data;
+    if (errors.length > 0) {
+        console.warn(`${phaseLabel} snapshot errors:`, errors);
+    }
 
-        this.showStatus('success',
-            `✅ Downloaded Osmose issues for ${territoryName}. Check your downloads folder for ${fileName}. The file can be loaded into JOSM.`
-        );
+    this.showStatus(errors.length > 0 ? 'warning' : 'success',
+        `${phase === 'start' ? 'Start' : 'End'} snapshot captured for ${captured}/${territories} territories` +
+        (errors.length > 0 ? `; ${errors.length} failed (see console). Retry from the Impact Report.` : '.')
+    );
+}
 
-    } catch (error) {
-        console.error('Error downloading Osmose issues:', error);
-        this.showStatus('error', `Error downloading Osmose issues: ${error.message}`);
+async showImpactReport() {
+    const result = await this.supabaseManager.getSessionImpactReport(this.currentUser.sessionId);
+    if (!result.success) {
+        this.showStatus('error', `Could not load impact report: ${result.error}`);
+        return;
     }
+
+    this.showModal(this.renderImpactReport(result.data));
 }
 
-// ================================
-// MOCK MODE HANDLING
-// ================================
+async recaptureSnapshots(phase) {
+    this.closeModal();
+    await this.captureSessionSnapshots(phase);
+    await this.showImpactReport();
+}
 
-handleMockMode() {
-    const mockTeam = {
-        id: 'mock-team-1',
-        team_name: 'Mock Team Alpha',
-        team_index: 0,
-        members: [
-            {
-                participants: {
-                    first_name: this.currentUser.firstName,
-                    osm_username: this.currentUser.osmUsername
-                },
-                role_name: 'Pioneer',
-                role_description: 'In charge of traditional style mapping',
-                role_icon: '🗺️'
-            }
-        ]
+renderImpactReport(report) {
+    const formatChange = (value, unit = '') => {
+        const rounded = Math.round(value * 10) / 10;
+        const color = rounded > 0 ? '#7D8F69' : rounded < 0 ? '#C4704F' : '#666';
+        return `<span style="color: ${color};">${rounded > 0 ? '+' : ''}${rounded.toLocaleString()}${unit}</span>`;
     };
+    const sessionClosed = report.session_status === 'completed';
+    const cell = 'padding: 6px; border-bottom: 1px solid #eee;';
 
-    this.currentTeam = mockTeam;
-    this.currentTerritories = [
-        {
-            id: 't1',
-            territory_name: 'Maharashtra',
-            status: 'available',
-            territory_osm_id: 1656179,
-            overpass_ready: true,
-            iso_code: 'IN-MH',
-            place_type: 'state'
-        },
-        {
-            id: 't2',
-            territory_name: 'Karnataka',
-            status: 'available',
-            territory_osm_id: 1656160,
-            overpass_ready: true,
-            iso_code: 'IN-KA',
-            place_type: 'state'
-        }
-    ];
+    return `
+        <div style="max-width: 820px;">
+            <h3>Session Impact: ${report.session_id}</h3>
+            <p style="color: #555;">
+                Start snapshots: ${report.territories_with_start}/${report.territories_total} territories ·
+                End snapshots: ${report.territories_with_end}/${report.territories_total} ·
+                Compared: ${report.territories_compared}
+            </p>
+
+            ${report.territories_compared === 0 ? `
+                <p style="background: rgba(212, 165, 116, 0.1); padding: 10px; border-radius: 5px;">
+                    No territory has both snapshots yet. The start snapshot is taken after territories are
+                    distributed and the end snapshot when the session is closed.
+                </p>
+            ` : `
+                <div style="display: grid; grid-template-columns: repeat(4, 1fr); gap: 10px; text-align: center; margin: 15px 0;">
+                    <div><div style="font-size: 1.5em; font-weight: bold;">${formatChange(report.totals.total_features)}</div><div>Power features</div></div>
+                    <div><div style="font-size: 1.5em; font-weight: bold;">${formatChange(report.totals.line_km, ' km')}</div><div>Power lines</div></div>
+                    <div><div style="font-size: 1.5em; font-weight: bold;">${formatChange(report.totals.substations)}</div><div>Substations</div></div>
+                    <div><div style="font-size: 1.5em; font-weight: bold;">${formatChange(report.totals.plants)}</div><div>Plants</div></div>
+                </div>
 
-    this.showMappingInterface();
-    this.showStatus('success', 'Mock registration successful! Test the mapping interface.');
+                <h4>By Team</h4>
+                <table style="width: 100%; border-collapse: collapse; font-size: 0.9em;">
+                    <thead>
+                        <tr style="background: #f5f5f5; text-align: left;">
+                            <th style="padding: 6px;">Team</th><th style="padding: 6px;">Compared</th><th style="padding: 6px;">Features</th>
+                            <th style="padding: 6px;">Line km</th><th style="padding: 6px;">Substations</th><th style="padding: 6px;">Plants</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${report.teams.map(team => `
+                            <tr>
+                                <td style="${cell}"><strong>${team.team_name}</strong></td>
+                                <td style="${cell}">${team.territories_compared}/${team.territories}</td>
+                                <td style="${cell}">${formatChange(team.change.total_features)}</td>
+                                <td style="${cell}">${formatChange(team.change.line_km)}</td>
+                                <td style="${cell}">${formatChange(team.change.substations)}</td>
+                                <td style="${cell}">${formatChange(team.change.plants)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `}
+
+            <h4>By Territory</h4>
+            <div style="max-height: 320px; overflow-y: auto;">
+                <table style="width: 100%; border-collapse: collapse; font-size: 0.9em;">
+                    <thead>
+                        <tr style="background: #f5f5f5; text-align: left;">
+                            <th style="padding: 6px;">Territory</th><th style="padding: 6px;">Team</th>
+                            <th style="padding: 6px;">Features (start → end)</th><th style="padding: 6px;">Line km (start → end)</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${report.territories.map(territory => `
+                            <tr>
+                                <td style="${cell}">${territory.territory_name}</td>
+                                <td style="${cell}">${territory.team_name}</td>
+                                <td style="${cell}">
+                                    ${territory.start ? territory.start.total_features.toLocaleString() : '—'} →
+                                    ${territory.end ? territory.end.total_features.toLocaleString() : '—'}
+                                    ${territory.change ? `(${formatChange(territory.change.total_features)})` : ''}
+                                </td>
+                                <td style="${cell}">
+                                    ${territory.start ? territory.start.line_km.toLocaleString() : '—'} →
+                                    ${territory.end ? territory.end.line_km.toLocaleString() : '—'}
+                                    ${territory.change ? `(${formatChange(territory.change.line_km)})` : ''}
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+
+            <div style="text-align: right; margin-top: 15px;">
+                ${report.session_status !== 'archived' && report.territories_with_start < report.territories_total ? `
+                    <button class="btn btn-info" onclick="app.recaptureSnapshots('start')">Capture Missing Start Snapshots</button>
+                ` : ''}
+                ${sessionClosed ? `
+                    <button class="btn btn-info" onclick="app.recaptureSnapshots('end')">Capture End Snapshot Again</button>
+                ` : ''}
+                <button class="btn btn-secondary" onclick="app.closeModal()">Close</button>
+            </div>
+        </div>
+    `;
 }
 
 // ================================
@@ -1156,6 +2958,10 @@ async refreshParticipantStatus() {
 async refreshTerritories() {
     if (this.currentTeam) {
         this.showStatus('info', 'Refreshing territories...', true);
+        const territoriesResult = await this.supabaseManager.getTeamTerritories(this.currentTeam.id);
+        if (territoriesResult.success) {
+            this.currentTerritories = territoriesResult.data.territories;
+        }
         await this.showMappingInterface();
     }
 }
@@ -1166,6 +2972,261 @@ async refreshCoordinatorDashboard() {
     }
 }
 
+// ================================
+// REALTIME UPDATES
+// ================================
+
+/**
+ * Subscribe to live changes for the current session (no-op if already subscribed;
+ * calls made while the subscription is being set up share it).
+ * Changes made by other participants and the coordinator update the open view in place.
+ */
+async startRealtimeUpdates() {
+    if (!this.supabaseManager || !this.currentUser) return;
+
+    const sessionId = this.currentUser.sessionId;
+    if (this.supabaseManager.realtimeSessionId === sessionId) return;
+
+    const result = await this.supabaseManager.subscribeToSession(sessionId, {
+        onTerritoryChange: payload => this.handleRealtimeTerritoryChange(payload),
+        onWorkUnitChange: payload => this.handleRealtimeWorkUnitChange(payload),
+        onTeamMemberChange: () => this.handleRealtimeTeamChange(),
+        onParticipantChange: () => this.handleRealtimeTeamChange(),
+        onOsmoseClaimChange: payload => this.handleRealtimeOsmoseClaimChange(payload),
+        onStatusChange: status => {
+            if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT') {
+                console.warn(`Live updates unavailable (${status}). Use Refresh to update manually.`);
+            }
+        }
+    });
+
+    if (!result.success) {
+        console.warn('Live updates unavailable:', result.error);
+    }
+}
+
+stopRealtimeUpdates() {
+    Object.values(this.realtimeTimers).forEach(timer => clearTimeout(timer));
+    this.realtimeTimers = {};
+
+    if (this.supabaseManager) {
+        this.supabaseManager.unsubscribeFromSession();
+    }
+}
+
+/**
+ * Debounce bursts of changes (e.g. territory distribution inserts dozens of rows)
+ * into one refresh per view
+ */
+scheduleRealtimeRefresh(key, callback, delay = 750) {
+    clearTimeout(this.realtimeTimers[key]);
+    this.realtimeTimers[key] = setTimeout(async () => {
+        delete this.realtimeTimers[key];
+        try {
+            await callback();
+        } catch (error) {
+            console.error(`Realtime refresh "${key}" failed:`, error);
+        }
+    }, delay);
+}
+
+handleRealtimeTerritoryChange(payload) {
+    if (this.isCoordinator) {
+        this.scheduleRealtimeRefresh('coordinator', () => this.updateCoordinatorDashboardLive());
+        return;
+    }
+
+    if (!this.currentTeam) return;
+
+    if (payload.eventType === 'UPDATE' && payload.new.team_id === this.currentTeam.id) {
+        this.applyTerritoryUpdate(payload.new);
+    } else if (payload.new?.team_id === this.currentTeam.id ||
+               this.currentTerritories.some(t => t.id === payload.old?.id)) {
+        this.scheduleRealtimeRefresh('territories', () => this.reloadTeamTerritories());
+    }
+}
+
+handleRealtimeWorkUnitChange(payload) {
+    // Coordinators follow the rolled-up territory status instead
+    if (this.isCoordinator || !this.currentTeam) return;
+
+    if (payload.eventType === 'UPDATE') {
+        if (this.findWorkUnit(payload.new.id)) {
+            this.applyWorkUnitUpdate(payload.new);
+        }
+    } else if (this.currentTerritories.some(t =>
+        t.id === payload.new?.team_territory_id || t.id === payload.old?.team_territory_id ||
+        (t.work_units || []).some(unit => unit.id === payload.old?.id))) {
+        this.scheduleRealtimeRefresh('territories', () => this.reloadTeamTerritories());
+    }
+}
+
+handleRealtimeTeamChange() {
+    if (this.isCoordinator) {
+        this.scheduleRealtimeRefresh('coordinator', () => this.updateCoordinatorDashboardLive());
+    } else if (this.currentUser) {
+        this.scheduleRealtimeRefresh('team', () => this.reloadParticipantTeam());
+    }
+}
+
+handleRealtimeOsmoseClaimChange(payload) {
+    if (this.isCoordinator || !this.currentTeam || !this.territoryMap?.hasOsmoseLayer()) return;
+
+    // DELETE payloads only carry the primary key, so a release always refreshes
+    const teamId = payload.new?.team_id || payload.old?.team_id;
+    if (teamId && teamId !== this.currentTeam.id) return;
+
+    this.scheduleRealtimeRefresh('osmoseClaims', () => this.loadOsmoseIssueClaims());
+}
+
+/**
+ * Apply a team_territories row change to the territory card, progress summary and map
+ * @param {object} row - Updated team_territories row from the realtime payload
+ */
+applyTerritoryUpdate(row) {
+    const territory = this.currentTerritories.find(t => t.id === row.id);
+    if (!territory) {
+        this.scheduleRealtimeRefresh('territories', () => this.reloadTeamTerritories());
+        return;
+    }
+
+    Object.assign(territory, {
+        status: row.status,
+        started_at: row.started_at,
+        completed_at: row.completed_at,
+        completed_by: row.completed_by,
+        notes: row.notes
+    });
+
+    if (this.currentSection !== 'mappingSection') return;
+
+    const card = document.querySelector(`.territory-item[data-territory-id="${row.id}"]`);
+    if (card) {
+        card.outerHTML = this.renderTerritoryCard(territory);
+    }
+
+    const summary = document.getElementById('teamProgressSummary');
+    if (summary) {
+        summary.innerHTML = this.renderTeamProgressSummary();
+    }
+
+    if (this.territoryMap && this.territoryMap.isReady()) {
+        this.territoryMap.updateTerritoryStatus(row.id, row.status);
+    }
+}
+
+/**
+ * Apply a work_units row change to its territory card and map layer
+ * @param {object} row - Updated work_units row
+ */
+applyWorkUnitUpdate(row) {
+    const match = this.findWorkUnit(row.id);
+    if (!match) return;
+
+    Object.assign(match.unit, {
+        status: row.status,
+        started_at: row.started_at,
+        completed_at: row.completed_at,
+        completed_by: row.completed_by
+    });
+
+    if (this.currentSection !== 'mappingSection') return;
+
+    const card = document.querySelector(`.territory-item[data-territory-id="${match.territory.id}"]`);
+    if (card) {
+        card.outerHTML = this.renderTerritoryCard(match.territory);
+    }
+
+    if (this.territoryMap && this.territoryMap.isReady()) {
+        this.territoryMap.updateWorkUnitStatus(row.id, row.status);
+    }
+}
+
+async reloadTeamTerritories() {
+    if (!this.currentTeam) return;
+
+    const territoriesResult = await this.supabaseManager.getTeamTerritories(this.currentTeam.id);
+    if (!territoriesResult.success) return;
+
+    this.currentTerritories = territoriesResult.data.territories;
+
+    if (this.currentSection !== 'mappingSection') return;
+
+    const listContainer = document.getElementById('territoriesListContainer');
+    if (listContainer) {
+        listContainer.innerHTML = this.renderTerritoriesList();
+    }
+
+    const summary = document.getElementById('teamProgressSummary');
+    if (summary) {
+        summary.innerHTML = this.renderTeamProgressSummary();
+    }
+
+    if (this.territoryMap && this.territoryMap.isReady()) {
+        this.territoryMap.displayTeamTerritories(this.currentTerritories, this.currentTeam);
+    }
+}
+
+/**
+ * Pick up team formation, role changes and team moves for the current participant
+ */
+async reloadParticipantTeam() {
+    const participantId = this.supabaseManager.currentUserId;
+    if (!participantId) return;
+
+    const teamResult = await this.supabaseManager.getUserTeamInfo(participantId);
+    if (!teamResult.success) return;
+
+    const teamInfo = teamResult.data.teamInfo;
+    const previousTeamId = this.currentTeam?.id;
+
+    if (!teamInfo) {
+        if (previousTeamId) {
+            this.currentTeam = null;
+            this.currentTerritories = [];
+            this.showWaitingForTeam();
+        }
+        return;
+    }
+
+    this.currentTeam = teamInfo;
+
+    if (teamInfo.id !== previousTeamId) {
+        const territoriesResult = await this.supabaseManager.getTeamTerritories(teamInfo.id);
+        this.currentTerritories = territoriesResult.success ? territoriesResult.data.territories : [];
+        this.showStatus('success', `You have been assigned to ${teamInfo.team_name}!`);
+        await this.showMappingInterface();
+    }
+}
+
+/**
+ * Re-render only the live parts of the coordinator dashboard so form inputs
+ * (such as the team size) keep their values
+ */
+async updateCoordinatorDashboardLive() {
+    if (!this.isCoordinator || this.currentSection !== 'coordinatorSection') return;
+
+    const dashboard = document.querySelector('#coordinatorSection .coordinator-dashboard');
+    if (!dashboard) return;
+
+    const dashboardData = await this.loadCoordinatorDashboardData(this.currentUser.sessionId);
+    const template = document.createElement('div');
+    template.innerHTML = this.renderCoordinatorDashboard(dashboardData);
+
+    template.querySelectorAll('[data-live-section]').forEach(updated => {
+        const current = dashboard.querySelector(`[data-live-section="${updated.dataset.liveSection}"]`);
+        if (current) {
+            current.replaceWith(updated);
+        }
+    });
+
+    await this.loadCoordinatorSessionMap(dashboardData.progress, false);
+
+    if (this.selectedTerritoryId) {
+        await this.showTerritoryHistory(this.selectedTerritoryId);
+    }
+}
+
 // ================================
 // UI MANAGEMENT
 // ================================
@@ -1195,6 +3256,7 @@ returnToLanding() {
     }
 
     // Clear all state
+    this.stopRealtimeUpdates();
     sessionStorage.removeItem('gridTycoonUser');
     this.currentUser = null;
     this.currentTeam = null;
@@ -1210,7 +3272,7 @@ returnToLanding() {
     }
 
     // Clear input fields
-    const inputs = ['firstNameInput', 'osmUsernameInput', 'sessionIdInput'];
+    const inputs = ['firstNameInput', 'osmUsernameInput', 'sessionIdInput', 'coordinatorPassphraseInput', 'rolePreferenceInput', 'experienceLevelInput'];
     inputs.forEach(id => {
         const input = document.getElementById(id);
         if (input) input.value = '';
@@ -1462,16 +3524,17 @@ renderCoordinatorDashboard({ sessionId, user, participants, progress, teamFormat
     return `
         <div class="coordinator-dashboard">
             <h2>Coordinator Dashboard</h2>
-            <div class="session-info">
+            <div class="session-info" data-live-section="session-info">
                 <h3>Session: ${sessionId}</h3>
                 <p><strong>Coordinator:</strong> ${user.firstName} (@${user.osmUsername})</p>
                 <p><strong>Status:</strong> ${progress.sessionStatus || 'Not Started'}</p>
+                <p><strong>Country:</strong> ${getCountryConfig(progress.countryCode).name} (${getCountryConfig(progress.countryCode).code})</p>
                 <p><strong>Participants:</strong> ${participants.length}</p>
                 <p><strong>Teams:</strong> ${progress.teamCount || 0}</p>
                 <p><strong>Progress:</strong> ${progress.completedTerritories || 0}/${progress.totalTerritories || 0} territories (${progress.completionPercentage || 0}%)</p>
             </div>
 
-            <div class="team-formation-status">
+            <div class="team-formation-status" data-live-section="team-formation">
                 <h4>Team Formation Status</h4>
                 <div class="status-card ${teamFormationInfo.canFormTeams ? 'status-ready' : 'status-waiting'}" style="background: ${teamFormationInfo.canFormTeams ? 'rgba(125, 143, 105, 0.1)' : 'rgba(212, 165, 116, 0.1)'}; padding: 15px; border-radius: 10px; margin: 15px 0;">
                     <p><strong>${teamFormationInfo.title}</strong></p>
@@ -1483,6 +3546,29 @@ renderCoordinatorDashboard({ sessionId, user, participants, progress, teamFormat
             <div class="coordinator-actions">
                 <h4>Session Management</h4>
 
+                ${!progress.totalTerritories ? `
+                <div style="background: rgba(107, 142, 143, 0.1); padding: 20px; border-radius: 10px; margin: 15px 0;">
+                    <label for="countryCodeInput" style="display: block; margin-bottom: 8px; font-weight: bold; color: #1F2937;">
+                        Country:
+                    </label>
+                    <input
+                        type="text"
+                        id="countryCodeInput"
+                        list="countryCodeOptions"
+                        maxlength="2"
+                        value="${getCountryConfig(progress.countryCode).code}"
+                        style="width: 100px; padding: 8px; border: 2px solid #6B8E8F; border-radius: 5px; font-size: 1em; text-transform: uppercase;"
+                    />
+                    <datalist id="countryCodeOptions">
+                        ${getConfiguredCountries().map(country => `<option value="${country.code}">${country.name}</option>`).join('')}
+                    </datalist>
+                    <button class="btn btn-secondary" onclick="app.saveSessionCountry()">Set Country</button>
+                    <small style="display: block; margin-top: 5px; color: #666;">
+                        ISO 3166-1 code (e.g. IN, KE). Its states/provinces are fetched from OpenStreetMap during setup.
+                    </small>
+                </div>
+                ` : ''}
+
                 <div style="background: rgba(107, 142, 143, 0.1); padding: 20px; border-radius: 10px; margin: 15px 0;">
                     <label for="teamSizeInput" style="display: block; margin-bottom: 8px; font-weight: bold; color: #1F2937;">
                         Desired Team Size:
@@ -1492,33 +3578,116 @@ renderCoordinatorDashboard({ sessionId, user, participants, progress, teamFormat
                         id="teamSizeInput"
                         min="1"
                         max="20"
-                        value="3"
+                        value="${progress.teamSize || 3}"
                         style="width: 100px; padding: 8px; border: 2px solid #6B8E8F; border-radius: 5px; font-size: 1em;"
                     />
                     <small style="display: block; margin-top: 5px; color: #666;">
                         Number of members per team (default: 3)
                     </small>
+                    <label for="distributionStrategyInput" style="display: block; margin: 15px 0 8px; font-weight: bold; color: #1F2937;">
+                        Balance Territories By:
+                    </label>
+                    <select
+                        id="distributionStrategyInput"
+                        style="padding: 8px; border: 2px solid #6B8E8F; border-radius: 5px; font-size: 1em;"
+                    >
+                        ${Object.entries(DISTRIBUTION_STRATEGIES).map(([value, label]) => `<option value="${value}" ${value === progress.distributionStrategy ? 'selected' : ''}>${label}</option>`).join('')}
+                    </select>
+                    <small style="display: block; margin-top: 5px; color: #666;">
+                        You will see each team's expected load before anything is created
+                    </small>
                 </div>
 
-                <button class="btn btn-primary" onclick="app.viewParticipants()" ${participants.length === 0 ? 'disabled' : ''}>
+                ${!this.isSessionClosed(progress) ? this.renderOsmoseIssueTypeSettings(progress.osmoseIssueTypes) : ''}
+
+                <button class="btn btn-primary" data-live-section="view-participants" onclick="app.viewParticipants()" ${participants.length === 0 ? 'disabled' : ''}>
                     View Participants (${participants.length})
                 </button>
                 <button class="btn btn-info" onclick="app.launchJitsiMeeting()">
                     📹 Join Meeting Room
                 </button>
-                <button class="btn btn-success" onclick="app.setupCompleteSession()" ${!teamFormationInfo.canFormTeams ? 'disabled' : ''}>
+                <button class="btn btn-success" data-live-section="setup-session" onclick="app.setupCompleteSession()" ${!teamFormationInfo.canFormTeams || this.isSessionClosed(progress) ? 'disabled' : ''}>
                     Setup Teams & Territories
                 </button>
+                <button class="btn btn-info" data-live-section="sync-osm-edits" onclick="app.syncSessionOsmEdits()" ${progress.teamCount > 0 && progress.sessionStatus !== 'archived' ? '' : 'disabled'}
+                        title="Count the power objects in every participant's #mapyourgrid changesets">
+                    Measure OSM Edits
+                </button>
+                <button class="btn btn-info" data-live-section="measure-tag-completeness" onclick="app.measureSessionTagCompleteness()" ${progress.teamCount > 0 && progress.sessionStatus !== 'archived' ? '' : 'disabled'}
+                        title="Count power objects missing voltage, name, operator and output tags in every territory">
+                    Measure Tag Completeness
+                </button>
                 <button class="btn btn-secondary" onclick="app.refreshCoordinatorDashboard()">
                     Refresh Dashboard
                 </button>
                 <button class="btn btn-warning" onclick="app.logout()">
                     Logout
                 </button>
+
+                <div data-live-section="team-maintenance">
+                    ${progress.teamCount > 0 && !this.isSessionClosed(progress) ? `
+                        <div style="background: rgba(212, 165, 116, 0.1); padding: 15px; border-radius: 10px; margin: 15px 0;">
+                            <p style="margin: 0 0 10px 0;">
+                                ${progress.unassignedParticipants > 0
+                                    ? `<strong>${progress.unassignedParticipants} participant${progress.unassignedParticipants === 1 ? '' : 's'} not on a team.</strong> Late joiners who log in are placed automatically; rebalancing places the rest.`
+                                    : 'Every participant is on a team.'}
+                            </p>
+                            <button class="btn btn-primary" onclick="app.rebalanceTeams()">
+                                Rebalance Teams
+                            </button>
+                            <small style="display: block; margin-top: 5px; color: #666;">
+                                Evens out team sizes and roles and moves territories nobody has started. Current and completed work is kept.
+                            </small>
+                        </div>
+                    ` : ''}
+                </div>
+            </div>
+
+            ${this.renderSessionLifecycle(progress)}
+
+            ${this.renderCoordinatorSessionMap(progress)}
+
+            <div data-live-section="progress">
+                ${progress.teamCount > 0 ? this.renderTeamsOverview(progress.teams_data) : ''}
+                ${progress.leaderboard && progress.leaderboard.length > 0 ? this.renderLeaderboard(progress.leaderboard) : ''}
+            </div>
+
+            <div data-live-section="tag-completeness">
+                ${progress.teamCount > 0 ? this.renderSessionTagCompleteness(progress.tagCompleteness, progress.totalTerritories) : ''}
             </div>
+        </div>
+    `;
+}
+
+isSessionClosed(progress) {
+    return progress.sessionStatus === 'completed' || progress.sessionStatus === 'archived';
+}
+
+renderSessionLifecycle(progress) {
+    const status = progress.sessionStatus;
 
-            ${progress.teamCount > 0 ? this.renderTeamsOverview(progress.teams_data) : ''}
-            ${progress.leaderboard && progress.leaderboard.length > 0 ? this.renderLeaderboard(progress.leaderboard) : ''}
+    return `
+        <div class="session-lifecycle" data-live-section="session-lifecycle" style="background: rgba(107, 142, 143, 0.1); padding: 15px; border-radius: 10px; margin: 15px 0;">
+            <h4>Session Lifecycle</h4>
+            ${status === 'completed' ? `
+                <p>Closed ${progress.completedAt ? new Date(progress.completedAt).toLocaleString() : ''}. Territory and team changes are frozen.</p>
+            ` : status === 'archived' ? `
+                <p>Archived ${progress.archivedAt ? new Date(progress.archivedAt).toLocaleString() : ''}. Clone it to run the session again.</p>
+            ` : `
+                <p>Close the session when mapping is over to freeze every territory status.</p>
+            `}
+            ${progress.clonedFrom ? `<p><small>Cloned from session ${progress.clonedFrom}</small></p>` : ''}
+            ${!this.isSessionClosed(progress) ? `
+                <button class="btn btn-success" onclick="app.closeSession()">End Session</button>
+            ` : ''}
+            ${status !== 'archived' ? `
+                <button class="btn btn-secondary" onclick="app.archiveSession()">Archive</button>
+                <button class="btn btn-warning" onclick="app.resetSession()" ${progress.teamCount > 0 ? '' : 'disabled'}>Reset Teams & Territories</button>
+            ` : ''}
+            <button class="btn btn-info" onclick="app.showCloneSessionModal()">Clone Session</button>
+            ${progress.teamCount > 0 ? `
+                <button class="btn btn-primary" onclick="app.showImpactReport()">Impact Report</button>
+            ` : ''}
         </div>
     `;
 }
@@ -1564,6 +3733,7 @@ renderLeaderboard(leaderboard) {
                             <span>${team.team_name}</span>
                             <span>${team.completed_territories}/${team.total_territories}</span>
                             <span>${team.completion_percentage}%</span>
+                            <span title="Power objects created / modified in #mapyourgrid changesets">⚡ ${team.power_created || 0} / ${team.power_modified || 0}</span>
                         </div>
                     `;
                 }).join('')}
@@ -1651,7 +3821,14 @@ async viewParticipants() {
                                     ${participants.map((participant, index) => `
                                         <tr style="border-bottom: 1px solid #eee;">
                                             <td style="padding: 8px;">${index + 1}</td>
-                                            <td style="padding: 8px; font-weight: 500;">${participant.first_name}</td>
+                                            <td style="padding: 8px; font-weight: 500;">
+                                                ${participant.first_name}
+                                                ${participant.role_preference || participant.experience_level ? `
+                                                    <div style="font-size: 0.75em; font-weight: normal; color: #888;">
+                                                        ${[participant.experience_level, participant.role_preference ? `prefers ${participant.role_preference}` : null].filter(Boolean).join(' · ')}
+                                                    </div>
+                                                ` : ''}
+                                            </td>
                                             <td style="padding: 8px; font-family: monospace; color: #666;">@${participant.osm_username}</td>
                                             <td style="padding: 8px;">
                                                 ${participant.team_assigned ?
@@ -1735,6 +3912,13 @@ async viewParticipants() {
                                                         Assign to Team
                                                     </button>`
                                                 }
+                                                <button
+                                                    class="btn btn-secondary"
+                                                    onclick="app.coordinatorResetDeviceLink('${participant.participant_id}', '${participant.osm_username}')"
+                                                    title="Issue a link code so this participant can log in from a new browser"
+                                                    style="padding: 3px 10px; font-size: 0.8em;">
+                                                    Reset Link
+                                                </button>
                                             </td>
                                         </tr>
                                     `).join('')}
@@ -1760,7 +3944,53 @@ async viewParticipants() {
 }
 
 async viewTerritoryDetails(assignmentId) {
-    this.showModal('<h3>Territory details - Implementation in progress</h3>');
+    if (!this.supabaseManager) {
+        this.showStatus('error', 'Database not available');
+        return;
+    }
+
+    const result = await this.supabaseManager.getTerritoryAssignmentDetails(assignmentId);
+    if (!result.success) {
+        this.showStatus('error', `Error loading territory details: ${result.error}`);
+        return;
+    }
+
+    const details = result.data;
+    const duration = details.duration ? `${Math.round(details.duration / 60)} min` : null;
+
+    this.showModal(`
+        <div style="max-width: 640px;">
+            <h3>${details.territory.name}</h3>
+            <p>
+                <span class="territory-status-badge status-${details.status}" style="${this.getStatusBadgeStyle(details.status)}">
+                    ${this.getStatusText(details.status)}
+                </span>
+                ${details.team.team_name}
+            </p>
+            <p style="color: #555;">
+                ${details.territory.iso_code || ''}
+                ${details.territory.area_km2 ? ` · ${Math.round(details.territory.area_km2).toLocaleString()} km²` : ''}
+                ${details.territory.population ? ` · population ${Number(details.territory.population).toLocaleString()}` : ''}
+            </p>
+            ${details.completed_by_participant ? `
+                <p><strong>Completed by:</strong> ${details.completed_by_participant.first_name} (@${details.completed_by_participant.osm_username})${duration ? ` in ${duration}` : ''}</p>
+            ` : ''}
+            ${details.notes ? `<p><strong>Notes:</strong> ${details.notes}</p>` : ''}
+
+            <h4>Measured OSM Edits</h4>
+            ${this.renderOsmEditCounts(details.osm_edits)}
+
+            <h4>Tag Completeness</h4>
+            ${this.renderTagCompleteness(details.tag_completeness)}
+
+            <div style="text-align: right; margin-top: 15px;">
+                ${!this.isCoordinator && details.territory.overpass_ready && details.session.session_status !== 'completed' && details.session.session_status !== 'archived' ? `
+                    <button class="btn btn-info" onclick="app.measureTerritoryTagCompleteness('${assignmentId}', '${details.territory.iso_code}')">Measure Tags</button>
+                ` : ''}
+                <button class="btn btn-secondary" onclick="app.closeModal()">Close</button>
+            </div>
+        </div>
+    `);
 }
 
 async viewTeamDetails(teamId, teamName) {
@@ -2035,6 +4265,41 @@ async coordinatorAssignParticipant(participantId) {
     }
 }
 
+async coordinatorResetDeviceLink(participantId, osmUsername) {
+    if (!this.supabaseManager) {
+        this.showStatus('error', 'Database not available');
+        return;
+    }
+
+    const confirmed = window.confirm(`Reset the device link for @${osmUsername}? Their current browser will lose write access; you get a one-time code that links the next browser they log in from.`);
+    if (!confirmed) return;
+
+    try {
+        this.showStatus('info', 'Resetting device link...', true);
+
+        const result = await this.supabaseManager.resetParticipantDeviceLink(this.currentUser.sessionId, participantId);
+
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+
+        this.showStatus('success', `Device link reset for @${osmUsername}.`);
+        this.showModal(`
+            <div style="text-align: center;">
+                <h3>Device Link Code for @${osmUsername}</h3>
+                <p style="font-family: monospace; font-size: 2em; letter-spacing: 4px; background: rgba(125, 143, 105, 0.2); padding: 10px; border-radius: 8px;">${result.data.link_code}</p>
+                <p style="color: #555;">Give this code to the participant; they enter it when they next log in. It works once.</p>
+                <button class="btn btn-secondary" onclick="app.viewParticipants()">Back to Participants</button>
+                <button class="btn btn-secondary" onclick="app.closeModal()">Close</button>
+            </div>
+        `);
+
+    } catch (error) {
+        console.error('Error resetting device link:', error);
+        this.showStatus('error', `Failed to reset device link: ${error.message}`);
+    }
+}
+
 async handleRoleChange(participantId, newRoleName) {
     if (!this.supabaseManager) {
         this.showStatus('error', 'Database not available');
@@ -0,0 +1,328 @@
+/**
+ * Territory Boundary Cache for Grid Tycoon
+ *
+ * Keeps the simplified boundary GeoJSON of each territory so the map can draw
+ * polygons at once instead of asking Overpass for every relation's geometry
+ * on each visit. Boundaries are looked up fastest first: in memory, in this
+ * browser's IndexedDB, then in the shared territory_boundaries table, which
+ * the first browser to fetch a boundary fills for everyone else (see
+ * save_territory_boundary in sql/functions.sql).
+ *
+ * Every entry is stamped with BOUNDARY_CACHE_VERSION. Raise it when the
+ * stored geometry changes (e.g. a new simplification) and older entries are
+ * ignored and refetched. It is the only copy of the version: the shared table
+ * lets a newer version replace an older one and never the other way round.
+ *
+ * @version 1.0
+ * @requires None (uses native IndexedDB; a SupabaseTeamManager for the shared table)
+ * @author Grid Tycoon Team
+ */
+
+// 2: relations assembled into closed (Multi)Polygons with holes
+const BOUNDARY_CACHE_VERSION = 2;
+
+class BoundaryCache {
+    constructor(config = {}) {
+        // IndexedDB configuration
+        this.databaseName = config.databaseName || 'gridTycoonBoundaries';
+        this.storeName = 'boundaries';
+        this.maxAgeDays = config.maxAgeDays || 90; // Boundaries rarely change; refetch after this
+
+        // Simplification: points closer than the tolerance (degrees) to the last kept point are dropped
+        this.tolerance = config.tolerance ?? 0.001;
+        this.precision = 5; // Decimal places kept (about 1 m)
+
+        // Shared copy in the territory_boundaries table (optional)
+        this.manager = config.share === false ? null : (config.manager || null);
+
+        this.memory = new Map(); // osmRelationId -> GeoJSON Feature
+        this.databasePromise = null;
+
+        console.log('BoundaryCache initialized', {
+            version: BOUNDARY_CACHE_VERSION,
+            shared: !!this.manager
+        });
+    }
+
+    // ================================
+    // LOOKUP
+    // ================================
+
+    /**
+     * Get a cached boundary
+     * @param {string|number} osmRelationId - OSM relation ID of the territory
+     * @returns {Promise<object|null>} Simplified GeoJSON Feature or null if not cached
+     */
+    async get(osmRelationId) {
+        const key = String(osmRelationId);
+        if (this.memory.has(key)) {
+            return this.memory.get(key);
+        }
+
+        const [entry] = await this.readEntries([key]);
+        if (entry && this.isFresh(entry.version, entry.cachedAt)) {
+            this.memory.set(key, entry.geojson);
+            return entry.geojson;
+        }
+
+        return null;
+    }
+
+    /**
+     * Load many boundaries at once, from IndexedDB and then from the shared table,
+     * so the following get() calls are answered from memory
+     * @param {Array<string|number>} osmRelationIds - OSM relation IDs
+     * @returns {Promise<number>} Number of boundaries available without Overpass
+     */
+    async preload(osmRelationIds) {
+        const keys = [...new Set(osmRelationIds.filter(Boolean).map(String))]
+            .filter(key => !this.memory.has(key));
+
+        const entries = await this.readEntries(keys);
+        entries.forEach((entry, index) => {
+            if (entry && this.isFresh(entry.version, entry.cachedAt)) {
+                this.memory.set(keys[index], entry.geojson);
+            }
+        });
+
+        const missing = keys.filter(key => !this.memory.has(key));
+        if (missing.length > 0 && this.manager) {
+            const result = await this.manager.getTerritoryBoundaries(missing, BOUNDARY_CACHE_VERSION);
+
+            if (result.success) {
+                for (const row of result.data) {
+                    const fetchedAt = Date.parse(row.fetched_at);
+                    if (!this.isFresh(row.cache_version, fetchedAt)) continue;
+
+                    // Keep the shared row's age so it expires here when it does on the server
+                    const key = String(row.osm_relation_id);
+                    this.memory.set(key, row.geojson);
+                    await this.writeEntry(key, row.geojson, fetchedAt);
+                }
+            } else {
+                console.warn('Shared territory boundaries unavailable:', result.error);
+            }
+        }
+
+        const available = osmRelationIds.filter(id => id && this.memory.has(String(id))).length;
+        console.log(`Boundary cache: ${available}/${osmRelationIds.length} boundaries cached`);
+        return available;
+    }
+
+    /**
+     * Check an entry's version stamp and age
+     * @private
+     * @param {number} version - Cache version the entry was stored with
+     * @param {number} cachedAt - Timestamp (ms) the boundary was fetched from Overpass
+     * @returns {boolean} True if the entry can be used
+     */
+    isFresh(version, cachedAt) {
+        if (version !== BOUNDARY_CACHE_VERSION) return false;
+        if (!cachedAt) return true;
+        return Date.now() - cachedAt < this.maxAgeDays * 24 * 60 * 60 * 1000;
+    }
+
+    // ================================
+    // STORAGE
+    // ================================
+
+    /**
+     * Simplify and store a boundary fetched from Overpass
+     * @param {string|number} osmRelationId - OSM relation ID of the territory
+     * @param {object} geoJSON - GeoJSON Feature with a Polygon or MultiPolygon geometry
+     * @param {boolean} share - Also store it in the shared table (territory relations only)
+     * @returns {Promise<object>} The simplified GeoJSON Feature that was stored
+     */
+    async put(osmRelationId, geoJSON, share = true) {
+        const key = String(osmRelationId);
+        const simplified = this.simplify(geoJSON);
+
+        this.memory.set(key, simplified);
+        await this.writeEntry(key, simplified);
+
+        // Share with other browsers; the local copy is enough if this fails
+        if (share && this.manager) {
+            this.manager.saveTerritoryBoundary(key, BOUNDARY_CACHE_VERSION, simplified)
+                .then(result => {
+                    if (!result.success) {
+                        console.warn(`Boundary for relation ${key} not shared:`, result.error);
+                    }
+                });
+        }
+
+        return simplified;
+    }
+
+    /**
+     * Remove every boundary cached in this browser (the shared table is kept)
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        this.memory.clear();
+
+        const database = await this.openDatabase();
+        if (!database) return;
+
+        await new Promise(resolve => {
+            const transaction = database.transaction(this.storeName, 'readwrite');
+            transaction.objectStore(this.storeName).clear();
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => resolve();
+        });
+
+        console.log('Boundary cache cleared');
+    }
+
+    /**
+     * Open the IndexedDB database (once)
+     * @private
+     * @returns {Promise<IDBDatabase|null>} Database, or null where IndexedDB is unavailable
+     */
+    openDatabase() {
+        if (!this.databasePromise) {
+            this.databasePromise = new Promise(resolve => {
+                if (typeof indexedDB === 'undefined') {
+                    resolve(null);
+                    return;
+                }
+
+                try {
+                    const request = indexedDB.open(this.databaseName, 1);
+                    request.onupgradeneeded = () => {
+                        request.result.createObjectStore(this.storeName, { keyPath: 'osmRelationId' });
+                    };
+                    request.onsuccess = () => resolve(request.result);
+                    request.onerror = () => {
+                        console.warn('Boundary cache unavailable:', request.error?.message);
+                        resolve(null);
+                    };
+                } catch (error) {
+                    // Some private browsing modes refuse IndexedDB outright
+                    console.warn('Boundary cache unavailable:', error.message);
+                    resolve(null);
+                }
+            });
+        }
+
+        return this.databasePromise;
+    }
+
+    /**
+     * Read stored entries
+     * @private
+     * @param {Array<string>} keys - OSM relation IDs
+     * @returns {Promise<Array<object|undefined>>} Entries in the order of keys
+     */
+    async readEntries(keys) {
+        const database = await this.openDatabase();
+        if (!database || keys.length === 0) {
+            return keys.map(() => undefined);
+        }
+
+        return new Promise(resolve => {
+            const transaction = database.transaction(this.storeName, 'readonly');
+            const store = transaction.objectStore(this.storeName);
+            const entries = [];
+
+            keys.forEach((key, index) => {
+                const request = store.get(key);
+                request.onsuccess = () => { entries[index] = request.result; };
+            });
+
+            transaction.oncomplete = () => resolve(keys.map((key, index) => entries[index]));
+            transaction.onerror = () => resolve(keys.map(() => undefined));
+        });
+    }
+
+    /**
+     * Store an entry stamped with the current cache version
+     * @private
+     * @param {string} key - OSM relation ID
+     * @param {object} geoJSON - Simplified GeoJSON Feature
+     * @param {number} cachedAt - Timestamp (ms) the boundary was fetched from Overpass (default: now)
+     * @returns {Promise<void>}
+     */
+    async writeEntry(key, geoJSON, cachedAt = Date.now()) {
+        const database = await this.openDatabase();
+        if (!database) return;
+
+        await new Promise(resolve => {
+            const transaction = database.transaction(this.storeName, 'readwrite');
+            transaction.objectStore(this.storeName).put({
+                osmRelationId: key,
+                version: BOUNDARY_CACHE_VERSION,
+                cachedAt: cachedAt || Date.now(),
+                geojson: geoJSON
+            });
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => {
+                console.warn(`Failed to cache boundary for relation ${key}:`, transaction.error?.message);
+                resolve();
+            };
+        });
+    }
+
+    // ================================
+    // SIMPLIFICATION
+    // ================================
+
+    /**
+     * Simplify a boundary for storage: round coordinates and drop points
+     * closer than the tolerance to the previous kept point
+     * @param {object} geoJSON - GeoJSON Feature with a Polygon or MultiPolygon geometry
+     * @returns {object} Simplified copy of the Feature
+     */
+    simplify(geoJSON) {
+        const geometry = geoJSON.geometry;
+        const coordinates = geometry.type === 'MultiPolygon'
+            ? geometry.coordinates.map(polygon => polygon.map(ring => this.simplifyRing(ring)))
+            : geometry.coordinates.map(ring => this.simplifyRing(ring));
+
+        return {
+            type: 'Feature',
+            properties: { ...geoJSON.properties },
+            geometry: {
+                type: geometry.type,
+                coordinates: coordinates
+            }
+        };
+    }
+
+    /**
+     * Simplify one ring or line of [lon, lat] points
+     * @private
+     * @param {Array<Array<number>>} ring - Coordinates
+     * @returns {Array<Array<number>>} Simplified coordinates (first and last points kept)
+     */
+    simplifyRing(ring) {
+        const factor = Math.pow(10, this.precision);
+        const round = point => [Math.round(point[0] * factor) / factor, Math.round(point[1] * factor) / factor];
+
+        // Small rings (islands) are kept whole so they do not collapse
+        if (ring.length <= 4) {
+            return ring.map(round);
+        }
+
+        const kept = [round(ring[0])];
+        for (let i = 1; i < ring.length - 1; i++) {
+            const last = kept[kept.length - 1];
+            if (Math.abs(ring[i][0] - last[0]) > this.tolerance || Math.abs(ring[i][1] - last[1]) > this.tolerance) {
+                kept.push(round(ring[i]));
+            }
+        }
+        kept.push(round(ring[ring.length - 1]));
+
+        return kept.length >= 4 ? kept : ring.map(round);
+    }
+}
+
+// Export for global use
+if (typeof window !== 'undefined') {
+    window.BoundaryCache = BoundaryCache;
+    window.BOUNDARY_CACHE_VERSION = BOUNDARY_CACHE_VERSION;
+}
+
+// Export for Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BoundaryCache, BOUNDARY_CACHE_VERSION };
+}
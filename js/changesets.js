@@ -0,0 +1,292 @@
+/**
+ * OSM Changeset Analysis for Grid Tycoon
+ *
+ * Measures what participants actually changed in OpenStreetMap. Reads each
+ * participant's changesets that carry the session hashtag from the OSM API,
+ * downloads their osmChange and counts the power objects created, modified
+ * and deleted. The results are attributed to territories by bounding box in
+ * the database (see record_territory_changesets in sql/functions.sql).
+ *
+ * The API URL is configurable so a local mock of the OSM API can stand in
+ * for api.openstreetmap.org during development.
+ *
+ * @version 1.0
+ * @requires None (uses native fetch and DOMParser APIs)
+ * @author Grid Tycoon Team
+ */
+
+class ChangesetAnalyzer {
+    constructor(config = {}) {
+        // OSM API configuration
+        this.apiUrl = (config.apiUrl || 'https://api.openstreetmap.org/api/0.6').replace(/\/$/, '');
+        this.hashtag = config.hashtag || '#mapyourgrid';
+        // Whole hashtag, however it is punctuated: "#MapYourGrid;", "(#mapyourgrid)", not "#mapyourgrid-2"
+        const escapedHashtag = this.hashtag.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        this.hashtagPattern = new RegExp(`(^|[^\\w#])${escapedHashtag}(?![\\w-])`, 'i');
+        this.timeout = config.timeout || 30000;
+
+        // Limits: the OSM API returns at most 100 changesets per query
+        this.pageSize = 100;
+        this.maxChangesets = config.maxChangesets || 300;
+
+        console.log('ChangesetAnalyzer initialized', {
+            apiUrl: this.apiUrl,
+            hashtag: this.hashtag
+        });
+    }
+
+    // ================================
+    // CHANGESET DISCOVERY
+    // ================================
+
+    /**
+     * Fetch a user's changesets that carry the session hashtag
+     * @param {string} osmUsername - OSM display name
+     * @param {string|Date} since - Only changesets closed after this time (e.g. session start)
+     * @returns {Promise<{success: boolean, data?: Array, error?: string}>}
+     */
+    async fetchUserChangesets(osmUsername, since) {
+        try {
+            const sinceIso = new Date(since || 0).toISOString();
+            const tagged = [];
+            let before = null;
+            let fetched = 0;
+
+            // Page backwards in time until the API runs out or the limit is reached
+            while (fetched < this.maxChangesets) {
+                const time = before ? `${sinceIso},${before}` : sinceIso;
+                const url = `${this.apiUrl}/changesets.json?display_name=${encodeURIComponent(osmUsername)}&time=${encodeURIComponent(time)}&closed=true`;
+                const response = await this.fetchWithTimeout(url, { headers: { Accept: 'application/json' } });
+
+                if (response.status === 404) {
+                    throw new Error(`OSM user "${osmUsername}" not found`);
+                }
+                if (!response.ok) {
+                    throw new Error(`OSM API returned ${response.status} for ${osmUsername}'s changesets`);
+                }
+
+                const page = (await response.json()).changesets || [];
+                fetched += page.length;
+                tagged.push(...page.filter(changeset =>
+                    this.hasSessionHashtag(changeset) && !tagged.some(seen => seen.id === changeset.id)
+                ));
+
+                if (page.length < this.pageSize) break;
+                before = page[page.length - 1].created_at;
+            }
+
+            console.log(`Found ${tagged.length} ${this.hashtag} changesets for ${osmUsername}`);
+
+            return {
+                success: true,
+                data: tagged
+            };
+
+        } catch (error) {
+            console.error('Failed to fetch changesets:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Check whether a changeset carries the session hashtag in its comment or hashtags tag
+     * @param {object} changeset - Changeset from the OSM API JSON response
+     * @returns {boolean}
+     */
+    hasSessionHashtag(changeset) {
+        const tags = changeset.tags || {};
+        return this.hashtagPattern.test(tags.comment || '') || this.hashtagPattern.test(tags.hashtags || '');
+    }
+
+    // ================================
+    // CHANGESET CONTENT ANALYSIS
+    // ================================
+
+    /**
+     * Download a changeset's osmChange and count the power objects it touched
+     * @param {number} changesetId - Changeset ID
+     * @returns {Promise<{success: boolean, data?: object, error?: string}>}
+     */
+    async analyzeChangeset(changesetId) {
+        try {
+            const response = await this.fetchWithTimeout(`${this.apiUrl}/changeset/${changesetId}/download`);
+            if (!response.ok) {
+                throw new Error(`OSM API returned ${response.status} for changeset ${changesetId}`);
+            }
+
+            const osmChange = new DOMParser().parseFromString(await response.text(), 'application/xml');
+            if (osmChange.getElementsByTagName('parsererror').length > 0) {
+                throw new Error(`Changeset ${changesetId} download is not valid osmChange XML`);
+            }
+
+            const counts = { created: 0, modified: 0, deleted: 0, byType: {} };
+            const actions = { create: 'created', modify: 'modified', delete: 'deleted' };
+
+            for (const [action, key] of Object.entries(actions)) {
+                for (const block of osmChange.getElementsByTagName(action)) {
+                    for (const element of block.children) {
+                        let powerValue = this.getPowerTag(element);
+
+                        // Deleted elements come without tags; their last version has them
+                        if (!powerValue && action === 'delete') {
+                            powerValue = await this.fetchPreviousPowerTag(element);
+                        }
+
+                        if (!powerValue) continue;
+
+                        counts[key]++;
+                        counts.byType[powerValue] = (counts.byType[powerValue] || 0) + 1;
+                    }
+                }
+            }
+
+            return {
+                success: true,
+                data: counts
+            };
+
+        } catch (error) {
+            console.error(`Failed to analyze changeset ${changesetId}:`, error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Read the power tag of an osmChange element
+     * @param {Element} element - node, way or relation element
+     * @returns {string|null} Value of the power tag, if any
+     */
+    getPowerTag(element) {
+        for (const tag of element.getElementsByTagName('tag')) {
+            if (tag.getAttribute('k') === 'power') {
+                return tag.getAttribute('v');
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Look up the power tag a deleted element had in its previous version
+     * @param {Element} element - Deleted node, way or relation element
+     * @returns {Promise<string|null>} Value of the power tag, if any
+     */
+    async fetchPreviousPowerTag(element) {
+        const version = parseInt(element.getAttribute('version'), 10);
+        if (!version || version < 2) return null;
+
+        try {
+            const url = `${this.apiUrl}/${element.tagName}/${element.getAttribute('id')}/${version - 1}.json`;
+            const response = await this.fetchWithTimeout(url, { headers: { Accept: 'application/json' } });
+            if (!response.ok) return null;
+
+            const previous = ((await response.json()).elements || [])[0];
+            return previous?.tags?.power || null;
+
+        } catch (error) {
+            console.warn(`Could not read previous version of ${element.tagName} ${element.getAttribute('id')}:`, error.message);
+            return null;
+        }
+    }
+
+    // ================================
+    // PARTICIPANT ANALYSIS
+    // ================================
+
+    /**
+     * Find and analyse all of a participant's session changesets
+     * @param {string} osmUsername - OSM display name
+     * @param {string|Date} since - Session start time
+     * @param {function} onProgress - Optional callback(done, total)
+     * @returns {Promise<{success: boolean, data?: Array, error?: string}>} Changesets in the
+     *          shape record_session_changesets expects
+     */
+    async analyzeParticipant(osmUsername, since, onProgress = null) {
+        const changesetsResult = await this.fetchUserChangesets(osmUsername, since);
+        if (!changesetsResult.success) {
+            return changesetsResult;
+        }
+
+        const analyzed = [];
+        const failed = [];
+
+        for (const [index, changeset] of changesetsResult.data.entries()) {
+            // Empty changesets have no bounding box and cannot be attributed
+            if (changeset.min_lat === undefined || changeset.min_lat === null) {
+                if (onProgress) onProgress(index + 1, changesetsResult.data.length);
+                continue;
+            }
+
+            const result = await this.analyzeChangeset(changeset.id);
+            if (result.success) {
+                analyzed.push({
+                    changeset_id: changeset.id,
+                    created_at: changeset.created_at,
+                    min_lat: changeset.min_lat,
+                    min_lon: changeset.min_lon,
+                    max_lat: changeset.max_lat,
+                    max_lon: changeset.max_lon,
+                    power_created: result.data.created,
+                    power_modified: result.data.modified,
+                    power_deleted: result.data.deleted,
+                    power_by_type: result.data.byType
+                });
+            } else {
+                failed.push(changeset.id);
+            }
+
+            if (onProgress) onProgress(index + 1, changesetsResult.data.length);
+        }
+
+        if (failed.length > 0) {
+            console.warn(`Skipped ${failed.length} changesets for ${osmUsername} that could not be analyzed:`, failed);
+        }
+
+        return {
+            success: true,
+            data: analyzed,
+            failed: failed
+        };
+    }
+
+    // ================================
+    // UTILITY METHODS
+    // ================================
+
+    /**
+     * fetch() with an abort timeout
+     * @param {string} url - Request URL
+     * @param {object} options - fetch options
+     * @returns {Promise<Response>}
+     */
+    async fetchWithTimeout(url, options = {}) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeout);
+
+        try {
+            return await fetch(url, { ...options, signal: controller.signal });
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new Error(`OSM API request timed out after ${this.timeout / 1000}s`);
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+}
+
+// Export for global use
+if (typeof window !== 'undefined') {
+    window.ChangesetAnalyzer = ChangesetAnalyzer;
+}
+
+// Export for Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChangesetAnalyzer;
+}
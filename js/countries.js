@@ -0,0 +1,171 @@
+/**
+ * Country Configuration for Grid Tycoon
+ *
+ * A session maps the first-level subdivisions (states, provinces, regions) of one
+ * country, identified by its ISO 3166-1 alpha-2 code. Territories themselves are
+ * fetched from Overpass; this file only holds what OSM cannot tell us:
+ * the default map view, the Osmose region naming scheme and, optionally, an
+ * embedded territory list used when Overpass is unavailable.
+ *
+ * Countries without an entry here still work: the map fits the fetched
+ * territories and Osmose issues are downloaded by bounding box.
+ *
+ * @version 1.0
+ * @author Grid Tycoon Team
+ */
+
+const DEFAULT_COUNTRY_CODE = 'IN';
+
+const COUNTRY_CONFIGS = {
+    IN: {
+        name: 'India',
+        center: [22.5937, 78.9629],
+        zoom: 5,
+        bounds: [
+            [6.5, 68.0],  // Southwest
+            [35.5, 97.5]  // Northeast
+        ],
+        subdivisionAdminLevel: 4,
+        // Osmose splits India by state: india_maharashtra*, india_karnataka*, ...
+        osmoseRegionPrefix: 'india',
+        territories: [
+            // States (28)
+            { name: 'Andhra Pradesh', isoCode: 'IN-AP', osmRelationId: 1656186, placeType: 'state', center: [15.9129, 79.7400] },
+            { name: 'Arunachal Pradesh', isoCode: 'IN-AR', osmRelationId: 1656183, placeType: 'state', center: [28.2180, 94.7278] },
+            { name: 'Assam', isoCode: 'IN-AS', osmRelationId: 1656184, placeType: 'state', center: [26.2006, 92.9376] },
+            { name: 'Bihar', isoCode: 'IN-BR', osmRelationId: 1656168, placeType: 'state', center: [25.0961, 85.3131] },
+            { name: 'Chhattisgarh', isoCode: 'IN-CT', osmRelationId: 1656170, placeType: 'state', center: [21.2787, 81.8661] },
+            { name: 'Goa', isoCode: 'IN-GA', osmRelationId: 1656929, placeType: 'state', center: [15.2993, 74.1240] },
+            { name: 'Gujarat', isoCode: 'IN-GJ', osmRelationId: 1656190, placeType: 'state', center: [22.2587, 71.1924] },
+            { name: 'Haryana', isoCode: 'IN-HR', osmRelationId: 1656180, placeType: 'state', center: [29.0588, 76.0856] },
+            { name: 'Himachal Pradesh', isoCode: 'IN-HP', osmRelationId: 1656178, placeType: 'state', center: [31.1048, 77.1734] },
+            { name: 'Jharkhand', isoCode: 'IN-JH', osmRelationId: 1656166, placeType: 'state', center: [23.6102, 85.2799] },
+            { name: 'Karnataka', isoCode: 'IN-KA', osmRelationId: 1656160, placeType: 'state', center: [15.3173, 75.7139] },
+            { name: 'Kerala', isoCode: 'IN-KL', osmRelationId: 1656161, placeType: 'state', center: [10.8505, 76.2711] },
+            { name: 'Madhya Pradesh', isoCode: 'IN-MP', osmRelationId: 1656172, placeType: 'state', center: [22.9734, 78.6569] },
+            { name: 'Maharashtra', isoCode: 'IN-MH', osmRelationId: 1656179, placeType: 'state', center: [19.7515, 75.7139] },
+            { name: 'Manipur', isoCode: 'IN-MN', osmRelationId: 1656227, placeType: 'state', center: [24.6637, 93.9063] },
+            { name: 'Meghalaya', isoCode: 'IN-ML', osmRelationId: 1656174, placeType: 'state', center: [25.4670, 91.3662] },
+            { name: 'Mizoram', isoCode: 'IN-MZ', osmRelationId: 1656175, placeType: 'state', center: [23.1645, 92.9376] },
+            { name: 'Nagaland', isoCode: 'IN-NL', osmRelationId: 1656176, placeType: 'state', center: [26.1584, 94.5624] },
+            { name: 'Odisha', isoCode: 'IN-OR', osmRelationId: 1656177, placeType: 'state', center: [20.9517, 85.0985] },
+            { name: 'Punjab', isoCode: 'IN-PB', osmRelationId: 1656181, placeType: 'state', center: [31.1471, 75.3412] },
+            { name: 'Rajasthan', isoCode: 'IN-RJ', osmRelationId: 1656182, placeType: 'state', center: [27.0238, 74.2179] },
+            { name: 'Sikkim', isoCode: 'IN-SK', osmRelationId: 1656185, placeType: 'state', center: [27.5330, 88.5122] },
+            { name: 'Tamil Nadu', isoCode: 'IN-TN', osmRelationId: 1656187, placeType: 'state', center: [11.1271, 78.6569] },
+            { name: 'Telangana', isoCode: 'IN-TG', osmRelationId: 1656188, placeType: 'state', center: [18.1124, 79.0193] },
+            { name: 'Tripura', isoCode: 'IN-TR', osmRelationId: 1656189, placeType: 'state', center: [23.9408, 91.9882] },
+            { name: 'Uttar Pradesh', isoCode: 'IN-UP', osmRelationId: 1656191, placeType: 'state', center: [26.8467, 80.9462] },
+            { name: 'Uttarakhand', isoCode: 'IN-UT', osmRelationId: 1656192, placeType: 'state', center: [30.0668, 79.0193] },
+            { name: 'West Bengal', isoCode: 'IN-WB', osmRelationId: 1656193, placeType: 'state', center: [22.9868, 87.8550] },
+
+            // Union Territories (8)
+            { name: 'Andaman and Nicobar Islands', isoCode: 'IN-AN', osmRelationId: 1656194, placeType: 'union_territory', center: [11.7401, 92.6586] },
+            { name: 'Chandigarh', isoCode: 'IN-CH', osmRelationId: 1656195, placeType: 'union_territory', center: [30.7333, 76.7794] },
+            { name: 'Dadra and Nagar Haveli and Daman and Diu', isoCode: 'IN-DH', osmRelationId: 1656196, placeType: 'union_territory', center: [20.3974, 72.8328] },
+            { name: 'Delhi', isoCode: 'IN-DL', osmRelationId: 1656197, placeType: 'union_territory', center: [28.7041, 77.1025] },
+            { name: 'Jammu and Kashmir', isoCode: 'IN-JK', osmRelationId: 1656198, placeType: 'union_territory', center: [33.7782, 76.5762] },
+            { name: 'Ladakh', isoCode: 'IN-LA', osmRelationId: 1656199, placeType: 'union_territory', center: [34.1526, 77.5771] },
+            { name: 'Lakshadweep', isoCode: 'IN-LD', osmRelationId: 1656200, placeType: 'union_territory', center: [10.5667, 72.6417] },
+            { name: 'Puducherry', isoCode: 'IN-PY', osmRelationId: 1656201, placeType: 'union_territory', center: [11.9416, 79.8083] }
+        ]
+    },
+
+    BR: {
+        name: 'Brazil',
+        center: [-14.2350, -51.9253],
+        zoom: 4,
+        bounds: [
+            [-34.0, -74.5],
+            [5.5, -34.5]
+        ],
+        subdivisionAdminLevel: 4
+    },
+
+    KE: {
+        name: 'Kenya',
+        center: [0.0236, 37.9062],
+        zoom: 6,
+        bounds: [
+            [-4.9, 33.8],
+            [5.1, 42.0]
+        ],
+        subdivisionAdminLevel: 4
+    },
+
+    NG: {
+        name: 'Nigeria',
+        center: [9.0820, 8.6753],
+        zoom: 6,
+        bounds: [
+            [4.2, 2.6],
+            [13.9, 14.7]
+        ],
+        subdivisionAdminLevel: 4
+    }
+};
+
+/**
+ * Normalize a country code to upper-case ISO 3166-1 alpha-2
+ * @param {string} countryCode - Country code (e.g., "in")
+ * @returns {string|null} Normalized code or null if invalid
+ */
+function normalizeCountryCode(countryCode) {
+    if (!countryCode || typeof countryCode !== 'string') {
+        return null;
+    }
+
+    const code = countryCode.trim().toUpperCase();
+    return /^[A-Z]{2}$/.test(code) ? code : null;
+}
+
+/**
+ * Get the configuration for a country, with defaults for unconfigured countries
+ * @param {string} countryCode - ISO 3166-1 alpha-2 code (defaults to India)
+ * @returns {object} Country configuration
+ */
+function getCountryConfig(countryCode = DEFAULT_COUNTRY_CODE) {
+    const code = normalizeCountryCode(countryCode) || DEFAULT_COUNTRY_CODE;
+    const config = COUNTRY_CONFIGS[code] || {};
+
+    return {
+        code,
+        name: config.name || code,
+        center: config.center || null,
+        zoom: config.zoom || null,
+        bounds: config.bounds || null,
+        subdivisionAdminLevel: config.subdivisionAdminLevel || 4,
+        osmoseRegionPrefix: config.osmoseRegionPrefix || null,
+        territories: config.territories || []
+    };
+}
+
+/**
+ * List configured countries for selection menus
+ * @returns {Array<{code: string, name: string}>}
+ */
+function getConfiguredCountries() {
+    return Object.entries(COUNTRY_CONFIGS)
+        .map(([code, config]) => ({ code, name: config.name }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Export for global use
+if (typeof window !== 'undefined') {
+    window.DEFAULT_COUNTRY_CODE = DEFAULT_COUNTRY_CODE;
+    window.COUNTRY_CONFIGS = COUNTRY_CONFIGS;
+    window.getCountryConfig = getCountryConfig;
+    window.getConfiguredCountries = getConfiguredCountries;
+    window.normalizeCountryCode = normalizeCountryCode;
+}
+
+// Export for Node.js environments (optional)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DEFAULT_COUNTRY_CODE,
+        COUNTRY_CONFIGS,
+        getCountryConfig,
+        getConfiguredCountries,
+        normalizeCountryCode
+    };
+}
@@ -9,6 +9,38 @@
  * @author Grid Tycoon Team
  */
 
+/**
+ * Failure categories for JOSM Remote Control commands, so callers can show
+ * the right troubleshooting steps
+ */
+const JOSM_ERROR_CODES = {
+    NOT_RUNNING: 'not_running',     // Nothing answered on the Remote Control port
+    FORBIDDEN: 'forbidden',         // JOSM answered 403: command disabled in Remote Control preferences
+    REJECTED: 'rejected',           // JOSM answered 400: bad request, JOSM's reason is in the response body
+    JOSM_ERROR: 'josm_error',       // JOSM answered 5xx while running the command
+    TIMEOUT: 'timeout',             // JOSM accepted the connection but did not answer in time
+    UNKNOWN: 'unknown'
+};
+
+/**
+ * Error raised for a failed JOSM Remote Control command
+ */
+class JOSMCommandError extends Error {
+    /**
+     * @param {string} code - One of JOSM_ERROR_CODES
+     * @param {string} message - User-facing message
+     * @param {object} details - Optional {status, josmMessage, command}
+     */
+    constructor(code, message, details = {}) {
+        super(message);
+        this.name = 'JOSMCommandError';
+        this.code = code;
+        this.status = details.status || null;
+        this.josmMessage = details.josmMessage || null;
+        this.command = details.command || null;
+    }
+}
+
 class JOSMIntegration {
     constructor(config = {}) {
         // JOSM Remote Control configuration
@@ -16,6 +48,11 @@ class JOSMIntegration {
         this.josmPort = config.port || 8111;
         this.timeout = config.timeout || 5000;
 
+        // Command transport: 'fetch' reads JOSM's answer, 'iframe' only fires the request.
+        // 'auto' uses fetch and falls back to the iframe where mixed-content rules block it.
+        this.transport = config.transport || 'auto';
+        this.fetchConfirmed = false;  // Set once fetch has reached JOSM from this page
+
         // Imagery sources configuration
         this.imagerySources = config.imagerySources || [
             { id: 'Mapbox', name: 'Mapbox Satellite' },
@@ -54,7 +91,7 @@ class JOSMIntegration {
      * Load Overpass query data into JOSM
      * @param {string} overpassQuery - Overpass QL query string
      * @param {string} layerName - Name for the JOSM layer
-     * @param {object} options - Additional options
+     * @param {object} options - Additional options (newLayer: false adds to the active layer)
      * @returns {Promise<{success: boolean, details?: object, error?: string}>}
      */
     async loadOverpassData(overpassQuery, layerName, options = {}) {
@@ -72,15 +109,17 @@ class JOSMIntegration {
             const changesetTags = this.buildChangesetTags(options.changesetTags);
 
             const josmUrl = this.buildJOSMUrl('import', {
-                new_layer: true,
+                new_layer: options.newLayer !== false,
                 layer_name: encodeURIComponent(layerName),
                 changeset_tags: changesetTags,
                 url: overpassUrl
             });
 
-            await this.sendJOSMCommand(josmUrl, this.timeout);
+            const commandResult = await this.sendJOSMCommand(josmUrl, this.timeout);
 
-            console.log('✅ Data loaded successfully into JOSM');
+            console.log(commandResult.verified
+                ? '✅ JOSM accepted the import'
+                : '⚠️ Import sent to JOSM, but its answer could not be read');
 
             if (options.loadImagery !== false) {
                 console.log('Loading imagery layers...');
@@ -89,19 +128,18 @@ class JOSMIntegration {
 
             return {
                 success: true,
+                verified: commandResult.verified,
                 details: {
                     layerName,
                     overpassServer,
+                    transport: commandResult.transport,
                     imageryLoaded: options.loadImagery !== false
                 }
             };
 
         } catch (error) {
             console.error('JOSM load failed:', error);
-            return {
-                success: false,
-                error: this.getUserFriendlyError(error)
-            };
+            return this.buildFailureResult(error);
         }
     }
 
@@ -126,22 +164,19 @@ class JOSMIntegration {
                 url: encodeURIComponent(geojsonUrl)
             });
 
-            await this.sendJOSMCommand(josmUrl);
+            const commandResult = await this.sendJOSMCommand(josmUrl);
 
-            console.log('✅ GeoJSON loaded successfully into JOSM');
+            console.log('✅ GeoJSON sent to JOSM');
 
             if (options.loadImagery) {
                 await this.loadImageryLayers();
             }
 
-            return { success: true };
+            return { success: true, verified: commandResult.verified };
 
         } catch (error) {
             console.error('GeoJSON load failed:', error);
-            return {
-                success: false,
-                error: this.getUserFriendlyError(error)
-            };
+            return this.buildFailureResult(error);
         }
     }
 
@@ -155,7 +190,7 @@ class JOSMIntegration {
         try {
             console.log('Loading bounding box into JOSM:', bounds);
 
-            if (!bounds.minLat || !bounds.minLon || !bounds.maxLat || !bounds.maxLon) {
+            if (!this.isValidBounds(bounds)) {
                 throw new Error('Complete bounding box coordinates required');
             }
 
@@ -168,17 +203,190 @@ class JOSMIntegration {
                 layer_name: encodeURIComponent(layerName)
             });
 
-            await this.sendJOSMCommand(josmUrl);
+            const commandResult = await this.sendJOSMCommand(josmUrl);
 
-            console.log('✅ Bounding box loaded into JOSM');
-            return { success: true };
+            console.log('✅ Bounding box sent to JOSM');
+            return { success: true, verified: commandResult.verified };
 
         } catch (error) {
             console.error('Bounding box load failed:', error);
-            return {
-                success: false,
-                error: this.getUserFriendlyError(error)
+            return this.buildFailureResult(error);
+        }
+    }
+
+    /**
+     * Download the OSM data in a bounding box from the OSM API, zoom to it and
+     * optionally select elements (e.g. the objects an Osmose issue points at)
+     * @param {object} bounds - {minLat, minLon, maxLat, maxLon}; keep it small, the OSM API limits bbox size
+     * @param {object} options - Additional options
+     * @param {Array<{type: string, id: number}>} options.select - Elements to select after loading
+     * @param {boolean} options.newLayer - Load into a new layer instead of the active one (default false)
+     * @param {string} options.layerName - Name for a new layer
+     * @param {object} options.changesetTags - Extra changeset tags
+     * @returns {Promise<{success: boolean, verified?: boolean, error?: string, errorCode?: string}>}
+     */
+    async loadAndZoom(bounds, options = {}) {
+        try {
+            if (!this.isValidBounds(bounds)) {
+                throw new Error('Complete bounding box coordinates required');
+            }
+
+            const params = {
+                left: bounds.minLon,
+                bottom: bounds.minLat,
+                right: bounds.maxLon,
+                top: bounds.maxLat,
+                new_layer: options.newLayer === true,
+                changeset_tags: this.buildChangesetTags(options.changesetTags)
             };
+
+            if (options.newLayer && options.layerName) {
+                params.layer_name = encodeURIComponent(options.layerName);
+            }
+
+            const select = this.buildSelectParam(options.select);
+            if (select) {
+                params.select = select;
+            }
+
+            const commandResult = await this.sendJOSMCommand(this.buildJOSMUrl('load_and_zoom', params));
+
+            console.log(`✅ JOSM zoomed to bbox${select ? ` and selected ${select}` : ''}`);
+            return { success: true, verified: commandResult.verified };
+
+        } catch (error) {
+            console.error('load_and_zoom failed:', error);
+            return this.buildFailureResult(error);
+        }
+    }
+
+    // ================================
+    // CHUNKED LOADING
+    // ================================
+
+    /**
+     * Load a territory into JOSM as a series of smaller Overpass queries (tiles or
+     * feature classes) so no single download times out or exhausts JOSM's memory.
+     * All chunks go into one layer. Progress is saved per resumeKey, so a later call
+     * with the same key skips chunks that JOSM already accepted.
+     * @param {Array<{key: string, label: string, query: string}>} chunks - From OverpassAPI.generateChunkedPowerQueries
+     * @param {string} layerName - Name for the JOSM layer
+     * @param {object} options - Additional options
+     * @param {string} options.resumeKey - Key under which progress is saved (e.g. assignment ID + mode)
+     * @param {function} options.onProgress - Callback({done, total, chunk, skipped})
+     * @param {number} options.chunkDelay - Pause between chunks in milliseconds (default 1500)
+     * @param {object} options.changesetTags - Extra changeset tags
+     * @param {boolean} options.loadImagery - Load imagery layers after the first chunk (default true)
+     * @returns {Promise<{success: boolean, loaded: number, skipped: number, total: number, verified: boolean,
+     *          failedChunk?: object, error?: string, errorCode?: string}>}
+     */
+    async loadOverpassChunks(chunks, layerName, options = {}) {
+        const completed = new Set(options.resumeKey ? this.getChunkProgress(options.resumeKey) : []);
+        const chunkDelay = options.chunkDelay !== undefined ? options.chunkDelay : 1500;
+        const total = chunks.length;
+        let loaded = 0;
+        let verified = true;
+
+        // A resumed load adds to the layer that is already open in JOSM
+        let newLayer = completed.size === 0;
+        const skipped = chunks.filter(chunk => completed.has(chunk.key)).length;
+
+        console.log(`Loading ${layerName} into JOSM in ${total} chunks (${skipped} already loaded)`);
+
+        for (const chunk of chunks) {
+            if (completed.has(chunk.key)) continue;
+
+            if (options.onProgress) {
+                options.onProgress({ done: completed.size, total, chunk, skipped });
+            }
+
+            const result = await this.loadOverpassData(chunk.query, layerName, {
+                changesetTags: options.changesetTags,
+                newLayer,
+                loadImagery: newLayer && options.loadImagery !== false
+            });
+
+            if (!result.success) {
+                console.warn(`Chunk "${chunk.label}" failed; ${completed.size}/${total} loaded so far`);
+                return {
+                    ...result,
+                    loaded,
+                    skipped,
+                    total,
+                    verified,
+                    failedChunk: { key: chunk.key, label: chunk.label }
+                };
+            }
+
+            newLayer = false;
+            verified = verified && result.verified;
+            completed.add(chunk.key);
+            loaded++;
+
+            if (options.resumeKey) {
+                this.saveChunkProgress(options.resumeKey, [...completed]);
+            }
+
+            if (completed.size < total) {
+                await this.delay(chunkDelay);
+            }
+        }
+
+        if (options.onProgress) {
+            options.onProgress({ done: total, total, chunk: null, skipped });
+        }
+
+        if (options.resumeKey) {
+            this.clearChunkProgress(options.resumeKey);
+        }
+
+        console.log(`✅ ${layerName}: all ${total} chunks sent to JOSM`);
+
+        return {
+            success: true,
+            loaded,
+            skipped,
+            total,
+            verified
+        };
+    }
+
+    /**
+     * Keys of the chunks already loaded for a resumable load
+     * @param {string} resumeKey - Key passed to loadOverpassChunks
+     * @returns {Array<string>}
+     */
+    getChunkProgress(resumeKey) {
+        try {
+            return JSON.parse(localStorage.getItem(`gridTycoonJosmChunks:${resumeKey}`)) || [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * Save the chunks loaded so far for a resumable load
+     * @private
+     * @param {string} resumeKey - Key passed to loadOverpassChunks
+     * @param {Array<string>} chunkKeys - Loaded chunk keys
+     */
+    saveChunkProgress(resumeKey, chunkKeys) {
+        try {
+            localStorage.setItem(`gridTycoonJosmChunks:${resumeKey}`, JSON.stringify(chunkKeys));
+        } catch (error) {
+            console.warn('Could not save JOSM chunk progress:', error.message);
+        }
+    }
+
+    /**
+     * Forget a resumable load's progress (start over next time)
+     * @param {string} resumeKey - Key passed to loadOverpassChunks
+     */
+    clearChunkProgress(resumeKey) {
+        try {
+            localStorage.removeItem(`gridTycoonJosmChunks:${resumeKey}`);
+        } catch (error) {
+            // Ignore storage errors
         }
     }
 
@@ -236,17 +444,14 @@ class JOSMIntegration {
             console.log(`Adding custom imagery: ${imageryName || imageryId}`);
 
             const url = this.buildJOSMUrl('imagery', { id: imageryId });
-            await this.sendJOSMCommand(url);
+            const commandResult = await this.sendJOSMCommand(url);
 
             console.log(`✅ Added custom imagery: ${imageryName || imageryId}`);
-            return { success: true };
+            return { success: true, verified: commandResult.verified };
 
         } catch (error) {
             console.error('Custom imagery load failed:', error);
-            return {
-                success: false,
-                error: this.getUserFriendlyError(error)
-            };
+            return this.buildFailureResult(error);
         }
     }
 
@@ -292,6 +497,7 @@ class JOSMIntegration {
 
                     console.log(`✅ JOSM detected: ${versionClean}`);
 
+                    this.fetchConfirmed = true;
                     this.isConnected = true;
                     this.lastConnectionCheck = now;
 
@@ -370,13 +576,100 @@ class JOSMIntegration {
     }
 
     /**
-     * Send command to JOSM via iframe (cross-origin safe method)
+     * Send a command to JOSM Remote Control
      * @private
      * @param {string} url - Complete JOSM URL
      * @param {number} timeout - Timeout in milliseconds
-     * @returns {Promise<void>}
+     * @returns {Promise<{transport: string, verified: boolean, status?: number, message?: string}>}
+     *          verified is false when only the iframe could be used and JOSM's answer is unknown
+     * @throws {JOSMCommandError} When JOSM is unreachable or answers with an error
      */
     async sendJOSMCommand(url, timeout = this.timeout) {
+        if (this.transport === 'iframe') {
+            return this.sendJOSMCommandViaIframe(url, timeout);
+        }
+
+        try {
+            return await this.sendJOSMCommandViaFetch(url, timeout);
+        } catch (error) {
+            // Once fetch has reached JOSM from this page, a network error means JOSM is gone
+            const mayBeBlocked = !this.fetchConfirmed && this.isMixedContentRestricted();
+            if (this.transport === 'auto' && error.code === JOSM_ERROR_CODES.NOT_RUNNING && mayBeBlocked) {
+                console.warn('fetch to JOSM was blocked or failed on an HTTPS page; falling back to iframe');
+                return this.sendJOSMCommandViaIframe(url, timeout);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Send a command with fetch and read JOSM's status and answer
+     * (JOSM Remote Control sends CORS headers, so the body is readable)
+     * @private
+     * @param {string} url - Complete JOSM URL
+     * @param {number} timeout - Timeout in milliseconds
+     * @returns {Promise<{transport: string, verified: boolean, status: number, message: string}>}
+     * @throws {JOSMCommandError}
+     */
+    async sendJOSMCommandViaFetch(url, timeout) {
+        const command = this.getCommandName(url);
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+        let response;
+        try {
+            response = await fetch(url, { method: 'GET', signal: controller.signal });
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new JOSMCommandError(JOSM_ERROR_CODES.TIMEOUT,
+                    `JOSM did not answer the ${command} command within ${Math.round(timeout / 1000)}s`,
+                    { command });
+            }
+            throw new JOSMCommandError(JOSM_ERROR_CODES.NOT_RUNNING,
+                'JOSM is not running or Remote Control is not enabled',
+                { command });
+        } finally {
+            clearTimeout(timeoutId);
+        }
+
+        const message = (await response.text().catch(() => '')).trim();
+
+        this.fetchConfirmed = true;
+        this.isConnected = true;
+        this.lastConnectionCheck = Date.now();
+
+        if (response.ok) {
+            return { transport: 'fetch', verified: true, status: response.status, message };
+        }
+
+        const details = { status: response.status, josmMessage: message, command };
+
+        if (response.status === 403) {
+            throw new JOSMCommandError(JOSM_ERROR_CODES.FORBIDDEN,
+                `JOSM refused the ${command} command. Allow it in JOSM's Remote Control preferences.`, details);
+        }
+        if (response.status === 400) {
+            throw new JOSMCommandError(JOSM_ERROR_CODES.REJECTED,
+                `JOSM rejected the ${command} command${message ? `: ${message}` : ''}`, details);
+        }
+        if (response.status >= 500) {
+            throw new JOSMCommandError(JOSM_ERROR_CODES.JOSM_ERROR,
+                `JOSM failed to run the ${command} command${message ? `: ${message}` : ''}`, details);
+        }
+
+        throw new JOSMCommandError(JOSM_ERROR_CODES.UNKNOWN,
+            `JOSM answered the ${command} command with HTTP ${response.status}`, details);
+    }
+
+    /**
+     * Send command to JOSM via iframe. The response cannot be read, so success
+     * means "sent", not "accepted"; used only where fetch cannot reach JOSM.
+     * @private
+     * @param {string} url - Complete JOSM URL
+     * @param {number} timeout - Timeout in milliseconds
+     * @returns {Promise<{transport: string, verified: boolean}>}
+     */
+    async sendJOSMCommandViaIframe(url, timeout) {
         return new Promise((resolve, reject) => {
             const iframe = document.createElement('iframe');
             iframe.style.display = 'none';
@@ -402,7 +695,7 @@ class JOSMIntegration {
                 if (!resolved) {
                     resolved = true;
                     cleanup();
-                    resolve();
+                    resolve({ transport: 'iframe', verified: false });
                 }
             };
 
@@ -410,7 +703,9 @@ class JOSMIntegration {
                 if (!resolved) {
                     resolved = true;
                     cleanup();
-                    reject(new Error('JOSM command failed - check if JOSM is running and Remote Control is enabled'));
+                    reject(new JOSMCommandError(JOSM_ERROR_CODES.NOT_RUNNING,
+                        'JOSM command failed - check if JOSM is running and Remote Control is enabled',
+                        { command: this.getCommandName(url) }));
                 }
             };
 
@@ -418,7 +713,7 @@ class JOSMIntegration {
                 if (!resolved) {
                     resolved = true;
                     cleanup();
-                    resolve();
+                    resolve({ transport: 'iframe', verified: false });
                 }
             }, timeout);
 
@@ -426,11 +721,56 @@ class JOSMIntegration {
                 document.body.appendChild(iframe);
             } catch (error) {
                 cleanup();
-                reject(new Error('Failed to create iframe for JOSM communication'));
+                reject(new JOSMCommandError(JOSM_ERROR_CODES.UNKNOWN, 'Failed to create iframe for JOSM communication'));
             }
         });
     }
 
+    /**
+     * Whether the browser may block fetch from this page to JOSM's plain-HTTP port.
+     * Chrome and Firefox allow http://localhost from HTTPS pages; Safari and
+     * non-loopback JOSM hosts do not.
+     * @private
+     * @returns {boolean}
+     */
+    isMixedContentRestricted() {
+        return typeof window !== 'undefined' && window.location.protocol === 'https:';
+    }
+
+    /**
+     * Extract the command name from a JOSM Remote Control URL
+     * @private
+     * @param {string} url - Complete JOSM URL
+     * @returns {string} Command (e.g. 'import')
+     */
+    getCommandName(url) {
+        return url.split('?')[0].split('/').pop();
+    }
+
+    /**
+     * Build the load_and_zoom select parameter (e.g. "node123,way456")
+     * @private
+     * @param {Array<{type: string, id: number}>} elements - OSM elements
+     * @returns {string} Comma-separated element list, empty if there is nothing to select
+     */
+    buildSelectParam(elements = []) {
+        return (elements || [])
+            .filter(element => ['node', 'way', 'relation'].includes(element.type) && element.id)
+            .map(element => `${element.type}${element.id}`)
+            .join(',');
+    }
+
+    /**
+     * Check that a bounding box has all four (numeric, possibly zero) coordinates
+     * @private
+     * @param {object} bounds - {minLat, minLon, maxLat, maxLon}
+     * @returns {boolean}
+     */
+    isValidBounds(bounds) {
+        return !!bounds && ['minLat', 'minLon', 'maxLat', 'maxLon']
+            .every(key => bounds[key] !== null && bounds[key] !== undefined && !isNaN(bounds[key]));
+    }
+
     /**
      * Build changeset tags string for JOSM
      * @private
@@ -473,9 +813,11 @@ class JOSMIntegration {
 
             lastError = result.error;
 
-            if (result.error && result.error.includes('not running')) {
-                console.log('JOSM not running - no point retrying');
-                break;
+            // Retrying cannot help until the user fixes JOSM or its settings
+            const permanentFailures = [JOSM_ERROR_CODES.NOT_RUNNING, JOSM_ERROR_CODES.FORBIDDEN, JOSM_ERROR_CODES.REJECTED];
+            if (permanentFailures.includes(result.errorCode)) {
+                console.log(`JOSM command failed (${result.errorCode}) - no point retrying`);
+                return { ...result, attempts: attempt };
             }
 
             if (attempt < maxRetries) {
@@ -534,6 +876,10 @@ class JOSMIntegration {
      * @returns {string} User-friendly error message
      */
     getUserFriendlyError(error) {
+        if (error instanceof JOSMCommandError) {
+            return error.message;
+        }
+
         const errorMessages = {
             'Failed to fetch': 'JOSM is not running or Remote Control is not enabled',
             'NetworkError': 'Cannot connect to JOSM. Is it running?',
@@ -551,6 +897,22 @@ class JOSMIntegration {
         return error.message || 'Unknown JOSM error occurred';
     }
 
+    /**
+     * Build the failure result returned by the load methods
+     * @private
+     * @param {Error} error - Error from sendJOSMCommand or validation
+     * @returns {{success: boolean, error: string, errorCode: string, status?: number, josmMessage?: string}}
+     */
+    buildFailureResult(error) {
+        return {
+            success: false,
+            error: this.getUserFriendlyError(error),
+            errorCode: error.code || JOSM_ERROR_CODES.UNKNOWN,
+            status: error.status || null,
+            josmMessage: error.josmMessage || null
+        };
+    }
+
     /**
      * Simple delay utility
      * @private
@@ -573,6 +935,7 @@ class JOSMIntegration {
         if (settings.host !== undefined) this.josmHost = settings.host;
         if (settings.port !== undefined) this.josmPort = settings.port;
         if (settings.timeout !== undefined) this.timeout = settings.timeout;
+        if (settings.transport !== undefined) this.transport = settings.transport;
         if (settings.imagerySources !== undefined) this.imagerySources = settings.imagerySources;
         if (settings.overpassServers !== undefined) this.overpassServers = settings.overpassServers;
         if (settings.defaultChangesetTags !== undefined) {
@@ -594,6 +957,7 @@ class JOSMIntegration {
             host: this.josmHost,
             port: this.josmPort,
             timeout: this.timeout,
+            transport: this.transport,
             imagerySources: this.imagerySources,
             overpassServers: this.overpassServers,
             defaultChangesetTags: this.defaultChangesetTags,
@@ -625,9 +989,13 @@ class JOSMIntegration {
 // Export for global use
 if (typeof window !== 'undefined') {
     window.JOSMIntegration = JOSMIntegration;
+    window.JOSMCommandError = JOSMCommandError;
+    window.JOSM_ERROR_CODES = JOSM_ERROR_CODES;
 }
 
 // Export for Node.js environments (optional)
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = JOSMIntegration;
+    module.exports.JOSMCommandError = JOSMCommandError;
+    module.exports.JOSM_ERROR_CODES = JOSM_ERROR_CODES;
 }
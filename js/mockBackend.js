@@ -0,0 +1,3213 @@
+/**
+ * Offline Mock Backend for Grid Tycoon
+ *
+ * Stands in for the Supabase project in mock mode (or when the database is
+ * unreachable and fallbackToIndividualMode is on). MockSupabaseClient keeps the
+ * tables of sql/schema.sql in memory, mirrored to localStorage so a reload keeps
+ * the demo, and implements the RPC functions of sql/functions.sql in JavaScript.
+ * MockTeamManager is a SupabaseTeamManager wired to that client, so every
+ * manager method - coordinator setup included - runs unchanged.
+ *
+ * Only the queries SupabaseTeamManager issues are supported: select() with one
+ * level of embedded relations, eq(), neq(), in(), not(column, 'is', null), order(),
+ * limit() and single(). Row changes are delivered to realtime channels in this
+ * tab and, through storage events, in other tabs of the same browser, so a
+ * coordinator and participants can be demoed side by side.
+ *
+ * @version 1.0
+ * @requires SupabaseTeamManager (js/supabase.js)
+ * @author Grid Tycoon Team
+ */
+
+// Table definitions: primary key and column defaults (functions are evaluated per row)
+const MOCK_TABLES = {
+    sessions: {
+        key: 'id',
+        columns: {
+            id: null, name: null, description: null, status: 'registering',
+            created_at: () => new Date().toISOString(), teams_formed_at: null, completed_at: null,
+            archived_at: null, team_size: null, cloned_from: null, country_code: 'IN',
+            distribution_strategy: null, osmose_issue_types: null
+        }
+    },
+    territories: {
+        key: 'id',
+        columns: {
+            id: () => mockUuid(), country_code: null, name: null, name_en: null, iso_code: null,
+            osm_relation_id: null, place_type: null, center_lat: null, center_lon: null,
+            min_lat: null, min_lon: null, max_lat: null, max_lon: null, area_km2: null,
+            population: null, power_feature_count: null, power_features_counted_at: null,
+            capital: null, is_active: true, created_at: () => new Date().toISOString()
+        }
+    },
+    session_coordinators: {
+        key: 'session_id',
+        columns: {
+            session_id: null, passphrase_hash: null, coordinator_token: () => mockUuid(),
+            failed_attempts: 0, locked_until: null, created_at: () => new Date().toISOString(),
+            last_login_at: null
+        }
+    },
+    participants: {
+        key: 'id',
+        columns: {
+            id: () => mockUuid(), first_name: null, osm_username: null, session_id: null,
+            role_preference: null, experience_level: null, created_at: () => new Date().toISOString()
+        }
+    },
+    participant_credentials: {
+        key: 'participant_id',
+        columns: {
+            participant_id: null, access_token: () => mockUuid(), link_code: null,
+            created_at: () => new Date().toISOString(), last_used_at: null
+        }
+    },
+    teams: {
+        key: 'id',
+        columns: {
+            id: () => mockUuid(), session_id: null, team_name: null, team_index: null,
+            created_at: () => new Date().toISOString()
+        }
+    },
+    team_members: {
+        key: 'id',
+        columns: {
+            id: () => mockUuid(), team_id: null, participant_id: null, role_name: null,
+            role_description: null, role_icon: null, created_at: () => new Date().toISOString()
+        }
+    },
+    team_territories: {
+        key: 'id',
+        columns: {
+            id: () => mockUuid(), session_id: null, team_id: null, territory_id: null,
+            status: 'available', assigned_at: () => new Date().toISOString(), started_at: null,
+            completed_at: null, completed_by: null, notes: null,
+            created_at: () => new Date().toISOString(), territory_name: null, territory_osm_id: null,
+            tag_completeness_baseline: null, tag_completeness_baseline_at: null,
+            tag_completeness_latest: null, tag_completeness_latest_at: null
+        }
+    },
+    work_units: {
+        key: 'id',
+        columns: {
+            id: () => mockUuid(), session_id: null, team_territory_id: null, unit_index: null,
+            unit_type: null, name: null, osm_relation_id: null, min_lat: null, min_lon: null,
+            max_lat: null, max_lon: null, status: 'available', started_at: null,
+            completed_at: null, completed_by: null, created_at: () => new Date().toISOString()
+        }
+    },
+    territory_changesets: {
+        key: 'id',
+        columns: {
+            id: () => mockUuid(), session_id: null, team_territory_id: null, participant_id: null,
+            changeset_id: null, changeset_created_at: null, min_lat: null, min_lon: null,
+            max_lat: null, max_lon: null, power_created: 0, power_modified: 0, power_deleted: 0,
+            power_by_type: () => ({}), analyzed_at: () => new Date().toISOString()
+        }
+    },
+    territory_snapshots: {
+        key: 'id',
+        columns: {
+            id: () => mockUuid(), session_id: null, team_territory_id: null, phase: null,
+            lines: 0, cables: 0, substations: 0, plants: 0, generators: 0, total_features: 0,
+            line_km: 0, cable_km: 0, captured_at: () => new Date().toISOString()
+        }
+    },
+    osmose_issue_claims: {
+        key: 'id',
+        columns: {
+            id: () => mockUuid(), session_id: null, team_id: null, team_territory_id: null,
+            issue_id: null, issue_type: null, title: null, lat: null, lon: null,
+            status: 'claimed', claimed_by: null, updated_by: null, auto_resolved: false,
+            created_at: () => new Date().toISOString(), updated_at: () => new Date().toISOString()
+        }
+    },
+    territory_boundaries: {
+        key: 'osm_relation_id',
+        columns: {
+            osm_relation_id: null, cache_version: null, geojson: null,
+            fetched_at: () => new Date().toISOString()
+        }
+    },
+    territory_reassignments: {
+        key: 'id',
+        columns: {
+            id: () => mockUuid(), session_id: null, team_territory_id: null, from_team_id: null,
+            to_team_id: null, territory_name: null, from_team_name: null, to_team_name: null,
+            status: null, reason: null, reassigned_at: () => new Date().toISOString(), session_reset_at: null
+        }
+    }
+};
+
+// Embedded relations usable in select() strings: table -> relation -> join
+const MOCK_RELATIONS = {
+    team_members: {
+        teams: { table: 'teams', localKey: 'team_id' },
+        participants: { table: 'participants', localKey: 'participant_id' }
+    },
+    team_territories: {
+        territories: { table: 'territories', localKey: 'territory_id' },
+        teams: { table: 'teams', localKey: 'team_id' },
+        work_units: { table: 'work_units', foreignKey: 'team_territory_id', many: true }
+    }
+};
+
+// RPC functions granted to anon in sql/rls_policies.sql; internal helpers are not callable
+const MOCK_RPC_FUNCTIONS = [
+    'coordinator_login', 'verify_coordinator_token', 'update_session_country',
+    'update_session_osmose_issue_types', 'register_participant', 'link_participant_device',
+    'reset_participant_device_link', 'update_own_team_role', 'coordinator_update_team_member',
+    'coordinator_assign_participant', 'join_formed_team', 'rebalance_session_teams',
+    'populate_territories', 'create_teams_with_role_assignment', 'get_session_participants_detailed',
+    'get_territory_assignment_details', 'get_all_territory_assignments',
+    'preview_territory_distribution', 'distribute_territories_to_teams', 'coordinator_reassign_territory',
+    'get_territory_for_overpass_operations', 'update_territory_assignment_status',
+    'get_session_progress_overview', 'get_team_leaderboard_for_session', 'verify_session_teams',
+    'validate_territory_assignments', 'get_territory_statistics', 'create_work_units',
+    'update_work_unit_status', 'record_session_changesets',
+    'record_assignment_tag_completeness', 'record_session_tag_completeness',
+    'record_territory_snapshot', 'get_session_impact_report', 'update_osmose_issue_claim',
+    'auto_resolve_osmose_issue_claims', 'get_team_osmose_issue_claims',
+    'save_territory_boundary', 'close_session', 'archive_session', 'reset_session', 'clone_session'
+];
+
+// Mirrors team_role_details() in sql/functions.sql
+const MOCK_TEAM_ROLES = {
+    Pioneer: {
+        role_name: 'Pioneer',
+        role_description: 'In charge of traditional style mapping of annotating on a map',
+        role_icon: '🗺️'
+    },
+    Technician: {
+        role_name: 'Technician',
+        role_description: 'Ensures assets are correctly named and missing voltages are added',
+        role_icon: '⚡'
+    },
+    Seeker: {
+        role_name: 'Seeker',
+        role_description: 'Seeks out missing Power Plants, good first lines and available credible information sources, checks industries as well',
+        role_icon: '🔍'
+    }
+};
+
+const MOCK_ROLE_ORDER = ['Pioneer', 'Technician', 'Seeker'];
+
+const MOCK_TEAM_NAMES = ['Alpha', 'Beta', 'Gamma', 'Delta', 'Epsilon', 'Zeta', 'Eta', 'Theta', 'Iota', 'Kappa'];
+
+/**
+ * Random UUID (v4)
+ * @returns {string}
+ */
+function mockUuid() {
+    if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+        return crypto.randomUUID();
+    }
+    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, c => {
+        const r = Math.random() * 16 | 0;
+        return (c === 'x' ? r : (r & 0x3 | 0x8)).toString(16);
+    });
+}
+
+/**
+ * Error raised by a mock RPC function; returned to the caller like a Postgres RAISE EXCEPTION
+ */
+class MockDatabaseError extends Error {
+    constructor(message, code = 'P0001') {
+        super(message);
+        this.name = 'MockDatabaseError';
+        this.code = code;
+    }
+}
+
+/**
+ * Chainable, awaitable query on one mock table (the subset of the PostgREST builder
+ * SupabaseTeamManager uses)
+ */
+class MockQuery {
+    constructor(client, table) {
+        this.client = client;
+        this.table = table;
+        this.columns = '*';
+        this.filters = [];
+        this.orders = [];
+        this.limitCount = null;
+        this.singleRow = false;
+    }
+
+    select(columns = '*') {
+        this.columns = columns;
+        return this;
+    }
+
+    eq(column, value) {
+        this.filters.push(row => row[column] === value);
+        return this;
+    }
+
+    neq(column, value) {
+        this.filters.push(row => row[column] !== value);
+        return this;
+    }
+
+    in(column, values) {
+        this.filters.push(row => values.includes(row[column]));
+        return this;
+    }
+
+    not(column, operator, value) {
+        if (operator !== 'is' || value !== null) {
+            throw new Error(`Mock backend only supports not(column, 'is', null), got not(${column}, ${operator}, ${value})`);
+        }
+        this.filters.push(row => row[column] !== null && row[column] !== undefined);
+        return this;
+    }
+
+    order(column, options = {}) {
+        this.orders.push({ column, ascending: options.ascending !== false });
+        return this;
+    }
+
+    limit(count) {
+        this.limitCount = count;
+        return this;
+    }
+
+    single() {
+        this.singleRow = true;
+        return this;
+    }
+
+    then(resolve, reject) {
+        return this.client.runQuery(this).then(resolve, reject);
+    }
+}
+
+/**
+ * Realtime channel delivering mock postgres_changes events
+ */
+class MockChannel {
+    constructor(client, name) {
+        this.client = client;
+        this.name = name;
+        this.listeners = [];
+    }
+
+    on(type, filter, callback) {
+        if (type === 'postgres_changes') {
+            this.listeners.push({ ...filter, callback });
+        }
+        return this;
+    }
+
+    subscribe(callback) {
+        this.client.channels.add(this);
+        if (callback) {
+            setTimeout(() => callback('SUBSCRIBED'), 0);
+        }
+        return this;
+    }
+}
+
+/**
+ * In-memory stand-in for the Supabase client: tables, queries, RPC functions and realtime
+ */
+class MockSupabaseClient {
+    constructor(config = {}) {
+        this.storageKey = config.storageKey || 'gridTycoonMockDatabase';
+        this.persist = config.persist !== false && typeof localStorage !== 'undefined';
+        this.channels = new Set();
+
+        // Row changes of the running RPC, delivered once it succeeds
+        this.pendingEvents = [];
+
+        // Last value written to or read from localStorage
+        this.storedValue = null;
+
+        this.tables = this.loadTables();
+
+        // Changes saved by another tab arrive as storage events
+        if (this.persist && typeof window !== 'undefined' && window.addEventListener) {
+            window.addEventListener('storage', event => {
+                if (event.key === this.storageKey) {
+                    this.syncFromStorage();
+                }
+            });
+        }
+
+        console.log(`MockSupabaseClient initialized${this.persist ? ` (stored in localStorage "${this.storageKey}")` : ' (in memory only)'}`);
+    }
+
+    // ================================
+    // STORAGE
+    // ================================
+
+    /**
+     * Load the tables saved by a previous page load, or start empty
+     * @private
+     * @returns {object} table name -> rows
+     */
+    loadTables() {
+        if (!this.persist) return this.emptyTables();
+
+        this.storedValue = localStorage.getItem(this.storageKey);
+        return this.parseTables(this.storedValue) || this.emptyTables();
+    }
+
+    /**
+     * Parse a stored localStorage value
+     * @private
+     * @param {string|null} serialized
+     * @returns {object|null} table name -> rows, or null if unreadable
+     */
+    parseTables(serialized) {
+        const tables = this.emptyTables();
+
+        try {
+            const saved = JSON.parse(serialized || 'null');
+            if (saved && saved.tables) {
+                Object.keys(tables).forEach(name => {
+                    tables[name] = (saved.tables[name] || []).map(row => this.withDefaults(name, row));
+                });
+            }
+        } catch (error) {
+            console.warn('Mock database in localStorage is unreadable:', error);
+            return null;
+        }
+
+        return tables;
+    }
+
+    /**
+     * @private
+     * @returns {object} table name -> empty row list
+     */
+    emptyTables() {
+        return Object.fromEntries(Object.keys(MOCK_TABLES).map(name => [name, []]));
+    }
+
+    /**
+     * Save the tables to localStorage
+     * @private
+     */
+    saveTables() {
+        if (!this.persist) return;
+
+        try {
+            this.storedValue = JSON.stringify({ version: 1, tables: this.tables });
+            localStorage.setItem(this.storageKey, this.storedValue);
+        } catch (error) {
+            console.warn('Could not save mock database to localStorage:', error);
+        }
+    }
+
+    /**
+     * Delete every row (e.g. to start a fresh demo)
+     */
+    clear() {
+        const previous = this.tables;
+        this.tables = this.emptyTables();
+        this.emitDiff(previous, this.tables);
+        this.flushEvents();
+        this.saveTables();
+        console.log('Mock database cleared');
+    }
+
+    /**
+     * Adopt tables saved by another tab or manager instance and replay the
+     * differences as realtime events. Runs before every query and RPC call, so
+     * all managers sharing the storage key see the same database.
+     * @private
+     */
+    syncFromStorage() {
+        if (!this.persist) return;
+
+        const serialized = localStorage.getItem(this.storageKey);
+        if (serialized === this.storedValue) return;
+
+        const tables = this.parseTables(serialized);
+        this.storedValue = serialized;
+        if (!tables) return;
+
+        const previous = this.tables;
+        this.tables = tables;
+        this.emitDiff(previous, tables);
+        this.flushEvents();
+    }
+
+    /**
+     * Queue INSERT/UPDATE/DELETE events for the rows that differ between two table sets
+     * @private
+     */
+    emitDiff(previousTables, nextTables) {
+        Object.keys(MOCK_TABLES).forEach(name => {
+            const key = MOCK_TABLES[name].key;
+            const before = new Map(previousTables[name].map(row => [row[key], row]));
+            const after = new Map(nextTables[name].map(row => [row[key], row]));
+
+            after.forEach((row, id) => {
+                if (!before.has(id)) {
+                    this.queueEvent(name, 'INSERT', row, null);
+                } else if (JSON.stringify(before.get(id)) !== JSON.stringify(row)) {
+                    this.queueEvent(name, 'UPDATE', row, before.get(id));
+                }
+            });
+            before.forEach((row, id) => {
+                if (!after.has(id)) {
+                    this.queueEvent(name, 'DELETE', null, row);
+                }
+            });
+        });
+    }
+
+    // ================================
+    // ROW OPERATIONS
+    // ================================
+
+    /**
+     * Fill in column defaults for a row
+     * @private
+     */
+    withDefaults(table, values) {
+        const row = {};
+        Object.entries(MOCK_TABLES[table].columns).forEach(([column, fallback]) => {
+            if (values[column] !== undefined) {
+                row[column] = values[column];
+            } else {
+                row[column] = typeof fallback === 'function' ? fallback() : fallback;
+            }
+        });
+        return row;
+    }
+
+    /**
+     * Rows of a table matching a predicate (all rows without one)
+     * @param {string} table - Table name
+     * @param {Function} predicate - Optional row filter
+     * @returns {Array<object>}
+     */
+    rows(table, predicate = null) {
+        return predicate ? this.tables[table].filter(predicate) : this.tables[table];
+    }
+
+    /**
+     * First row matching a predicate
+     * @returns {object|null}
+     */
+    findRow(table, predicate) {
+        return this.tables[table].find(predicate) || null;
+    }
+
+    /**
+     * Insert a row with column defaults
+     * @returns {object} The inserted row
+     */
+    insertRow(table, values) {
+        const row = this.withDefaults(table, values);
+        this.tables[table].push(row);
+        this.queueEvent(table, 'INSERT', row, null);
+        return row;
+    }
+
+    /**
+     * Update the rows matching a predicate
+     * @param {object|Function} changes - Column values, or a function(row) returning them
+     * @returns {Array<object>} The updated rows
+     */
+    updateRows(table, predicate, changes) {
+        const updated = [];
+        this.tables[table].forEach((row, index) => {
+            if (!predicate(row)) return;
+
+            const next = { ...row, ...(typeof changes === 'function' ? changes(row) : changes) };
+            this.tables[table][index] = next;
+            this.queueEvent(table, 'UPDATE', next, row);
+            updated.push(next);
+        });
+        return updated;
+    }
+
+    /**
+     * Delete the rows matching a predicate
+     * @returns {number} Rows deleted
+     */
+    deleteRows(table, predicate) {
+        const kept = [];
+        let deleted = 0;
+        this.tables[table].forEach(row => {
+            if (predicate(row)) {
+                this.queueEvent(table, 'DELETE', null, row);
+                deleted++;
+            } else {
+                kept.push(row);
+            }
+        });
+        this.tables[table] = kept;
+        return deleted;
+    }
+
+    // ================================
+    // QUERIES
+    // ================================
+
+    /**
+     * Start a table query
+     * @param {string} table - Table name
+     * @returns {MockQuery}
+     */
+    from(table) {
+        return new MockQuery(this, table);
+    }
+
+    /**
+     * Run a MockQuery
+     * @private
+     * @returns {Promise<{data: *, error: object|null}>}
+     */
+    async runQuery(query) {
+        this.syncFromStorage();
+
+        if (!MOCK_TABLES[query.table]) {
+            return { data: null, error: { message: `relation "public.${query.table}" does not exist`, code: '42P01' } };
+        }
+
+        // The anon role cannot read the secret tables
+        if (query.table === 'session_coordinators' || query.table === 'participant_credentials') {
+            return { data: null, error: { message: `permission denied for table ${query.table}`, code: '42501' } };
+        }
+
+        try {
+            const selection = this.parseSelect(query.columns);
+            let rows = this.rows(query.table).filter(row => query.filters.every(filter => filter(row)));
+            rows = rows.map(row => this.projectRow(query.table, row, selection));
+
+            query.orders.slice().reverse().forEach(({ column, ascending }) => {
+                const read = this.orderValueReader(column);
+                rows.sort((a, b) => this.compareValues(read(a), read(b)) * (ascending ? 1 : -1));
+            });
+
+            if (query.limitCount !== null) {
+                rows = rows.slice(0, query.limitCount);
+            }
+
+            if (query.singleRow) {
+                if (rows.length !== 1) {
+                    return {
+                        data: null,
+                        error: { message: 'JSON object requested, multiple (or no) rows returned', code: 'PGRST116' }
+                    };
+                }
+                return { data: rows[0], error: null };
+            }
+
+            return { data: rows, error: null };
+
+        } catch (error) {
+            return { data: null, error: { message: error.message, code: 'PGRST100' } };
+        }
+    }
+
+    /**
+     * Parse a select() string into columns and embedded relations
+     * @private
+     * @param {string} columns - e.g. 'id, status, territories ( name, iso_code )'
+     * @returns {Array<{name: string, columns?: Array}>}
+     */
+    parseSelect(columns) {
+        const items = [];
+        let depth = 0;
+        let current = '';
+
+        for (const char of columns.replace(/\s+/g, '')) {
+            if (char === ',' && depth === 0) {
+                items.push(current);
+                current = '';
+                continue;
+            }
+            if (char === '(') depth++;
+            if (char === ')') depth--;
+            current += char;
+        }
+        if (current) items.push(current);
+
+        return items.map(item => {
+            const match = item.match(/^(\w+)\((.*)\)$/);
+            return match
+                ? { name: match[1], columns: this.parseSelect(match[2]) }
+                : { name: item };
+        });
+    }
+
+    /**
+     * Pick the selected columns of a row and attach embedded relations
+     * @private
+     */
+    projectRow(table, row, selection) {
+        const projected = {};
+
+        selection.forEach(item => {
+            if (item.name === '*') {
+                Object.assign(projected, row);
+            } else if (item.columns) {
+                const relation = (MOCK_RELATIONS[table] || {})[item.name];
+                if (!relation) {
+                    throw new Error(`Could not find a relationship between '${table}' and '${item.name}'`);
+                }
+
+                if (relation.many) {
+                    projected[item.name] = this.rows(relation.table, related => related[relation.foreignKey] === row.id)
+                        .map(related => this.projectRow(relation.table, related, item.columns));
+                } else {
+                    const related = this.findRow(relation.table, candidate => candidate.id === row[relation.localKey]);
+                    projected[item.name] = related ? this.projectRow(relation.table, related, item.columns) : null;
+                }
+            } else {
+                projected[item.name] = row[item.name] === undefined ? null : row[item.name];
+            }
+        });
+
+        return projected;
+    }
+
+    /**
+     * Value reader for order(), including embedded columns such as 'territories(name)'
+     * @private
+     */
+    orderValueReader(column) {
+        const embedded = column.match(/^(\w+)\((\w+)\)$/);
+        return embedded
+            ? row => (row[embedded[1]] || {})[embedded[2]]
+            : row => row[column];
+    }
+
+    /**
+     * Compare two values the way ORDER BY does (NULLs last)
+     * @private
+     */
+    compareValues(a, b) {
+        const aNull = a === null || a === undefined;
+        const bNull = b === null || b === undefined;
+        if (aNull || bNull) return aNull === bNull ? 0 : (aNull ? 1 : -1);
+        if (typeof a === 'number' && typeof b === 'number') return a - b;
+        return String(a).localeCompare(String(b));
+    }
+
+    // ================================
+    // RPC
+    // ================================
+
+    /**
+     * Call a mock RPC function. Like a Postgres function call it is atomic: a raised
+     * exception rolls back every change it made.
+     * @param {string} name - SQL function name (e.g. 'register_participant')
+     * @param {object} params - Named parameters
+     * @returns {Promise<{data: *, error: object|null}>}
+     */
+    async rpc(name, params = {}) {
+        const method = name.replace(/_([a-z])/g, (match, letter) => letter.toUpperCase());
+
+        if (!MOCK_RPC_FUNCTIONS.includes(name) || typeof this[method] !== 'function') {
+            return {
+                data: null,
+                error: { message: `Could not find the function public.${name} in the schema cache`, code: 'PGRST202' }
+            };
+        }
+
+        this.syncFromStorage();
+
+        const snapshot = JSON.stringify(this.tables);
+        this.pendingEvents = [];
+
+        try {
+            const data = this[method]({ ...params });
+            this.saveTables();
+            this.flushEvents();
+
+            // Hand out copies, as a database round trip would
+            return { data: data === undefined ? null : JSON.parse(JSON.stringify(data)), error: null };
+
+        } catch (error) {
+            this.tables = JSON.parse(snapshot);
+            this.pendingEvents = [];
+
+            if (error instanceof MockDatabaseError) {
+                return { data: null, error: { message: error.message, code: error.code, details: null, hint: null } };
+            }
+
+            console.error(`Mock RPC ${name} failed:`, error);
+            return { data: null, error: { message: error.message, code: 'XX000', details: null, hint: null } };
+        }
+    }
+
+    /**
+     * Raise a database exception (RAISE EXCEPTION)
+     * @private
+     */
+    raise(message, code = 'P0001') {
+        throw new MockDatabaseError(message, code);
+    }
+
+    // ================================
+    // REALTIME
+    // ================================
+
+    /**
+     * Create a realtime channel
+     * @param {string} name - Channel name
+     * @returns {MockChannel}
+     */
+    channel(name) {
+        return new MockChannel(this, name);
+    }
+
+    /**
+     * Stop delivering events to a channel
+     * @param {MockChannel} channel
+     * @returns {Promise<string>}
+     */
+    async removeChannel(channel) {
+        this.channels.delete(channel);
+        return 'ok';
+    }
+
+    /**
+     * @private
+     */
+    queueEvent(table, eventType, newRow, oldRow) {
+        this.pendingEvents.push({ table, eventType, newRow, oldRow });
+    }
+
+    /**
+     * Deliver queued row changes to matching channel listeners. As with Supabase,
+     * DELETE and UPDATE payloads only carry the old row's primary key.
+     * @private
+     */
+    flushEvents() {
+        const events = this.pendingEvents;
+        this.pendingEvents = [];
+        if (events.length === 0 || this.channels.size === 0) return;
+
+        setTimeout(() => {
+            events.forEach(({ table, eventType, newRow, oldRow }) => {
+                const key = MOCK_TABLES[table].key;
+                const payload = {
+                    schema: 'public',
+                    table,
+                    eventType,
+                    commit_timestamp: new Date().toISOString(),
+                    new: newRow ? { ...newRow } : {},
+                    old: oldRow ? { [key]: oldRow[key] } : {}
+                };
+
+                this.channels.forEach(channel => {
+                    channel.listeners.forEach(listener => {
+                        if (listener.table !== table) return;
+                        if (listener.event && listener.event !== '*' && listener.event !== eventType) return;
+                        if (!this.matchesRealtimeFilter(listener.filter, newRow || oldRow)) return;
+
+                        try {
+                            listener.callback(payload);
+                        } catch (error) {
+                            console.error('Mock realtime listener failed:', error);
+                        }
+                    });
+                });
+            });
+        }, 0);
+    }
+
+    /**
+     * Check a realtime filter such as 'session_id=eq.GRID2025'
+     * @private
+     */
+    matchesRealtimeFilter(filter, row) {
+        if (!filter) return true;
+
+        const match = filter.match(/^(\w+)=eq\.(.*)$/);
+        return !match || String(row[match[1]]) === match[2];
+    }
+
+    // ================================
+    // RPC HELPERS (internal functions of sql/functions.sql)
+    // ================================
+
+    /**
+     * Passphrase digest stored in session_coordinators. Not a real password hash:
+     * the mock database lives in the browser, so it only keeps passphrases out of plain sight.
+     * @private
+     */
+    hashPassphrase(passphrase) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < passphrase.length; i++) {
+            hash ^= passphrase.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        return `mock$${hash.toString(16)}$${passphrase.length}`;
+    }
+
+    /**
+     * @private
+     * @returns {string} Current time as timestamptz text
+     */
+    now() {
+        return new Date().toISOString();
+    }
+
+    /**
+     * @private
+     * @returns {object} The session row
+     */
+    getSession(sessionId) {
+        const session = this.findRow('sessions', row => row.id === sessionId);
+        if (!session) {
+            this.raise(`Session ${sessionId} does not exist`);
+        }
+        return session;
+    }
+
+    /**
+     * assert_session_coordinator()
+     * @private
+     */
+    assertSessionCoordinator(sessionId, coordinatorToken) {
+        const coordinator = this.findRow('session_coordinators', row =>
+            row.session_id === sessionId && row.coordinator_token === coordinatorToken
+        );
+        if (!coordinatorToken || !coordinator) {
+            this.raise(`Coordinator authorization required for session ${sessionId}`);
+        }
+    }
+
+    /**
+     * assert_session_open()
+     * @private
+     */
+    assertSessionOpen(sessionId) {
+        const session = this.findRow('sessions', row => row.id === sessionId);
+        if (session && ['completed', 'archived'].includes(session.status)) {
+            this.raise(`Session ${sessionId} is closed; no further changes are allowed`);
+        }
+    }
+
+    /**
+     * assert_participant_token()
+     * @private
+     */
+    assertParticipantToken(participantId, participantToken) {
+        const credential = this.findRow('participant_credentials', row =>
+            row.participant_id === participantId && row.access_token === participantToken
+        );
+        if (!participantToken || !credential) {
+            this.raise('Participant authorization failed. Please log in again on your registered browser.');
+        }
+
+        this.updateRows('participant_credentials', row => row.participant_id === participantId, { last_used_at: this.now() });
+    }
+
+    /**
+     * assert_assignment_member(): the participant's token is valid and they are on the
+     * team that holds the assignment
+     * @private
+     * @returns {object} The team_territories row
+     */
+    assertAssignmentMember(assignmentId, participantId, participantToken) {
+        this.assertParticipantToken(participantId, participantToken);
+
+        const assignment = this.findRow('team_territories', row => row.id === assignmentId);
+        if (!assignment) {
+            this.raise(`Territory assignment ${assignmentId} not found`);
+        }
+
+        this.assertSessionOpen(assignment.session_id);
+
+        const member = this.findRow('team_members', row =>
+            row.team_id === assignment.team_id && row.participant_id === participantId
+        );
+        if (!member) {
+            this.raise(`Only members of the assigned team can update territory ${assignmentId}`);
+        }
+
+        return assignment;
+    }
+
+    /**
+     * team_role_details()
+     * @private
+     * @returns {object|null}
+     */
+    teamRoleDetails(roleName) {
+        return MOCK_TEAM_ROLES[roleName] ? { ...MOCK_TEAM_ROLES[roleName] } : null;
+    }
+
+    /**
+     * Insert or update a team_members row, enforcing UNIQUE (participant_id) and the
+     * validate_team_member_session_match trigger
+     * @private
+     */
+    writeTeamMember(values, existing = null) {
+        const row = existing ? { ...existing, ...values } : values;
+        const participant = this.findRow('participants', p => p.id === row.participant_id);
+        const team = this.findRow('teams', t => t.id === row.team_id);
+
+        if (!participant) {
+            this.raise(`Participant ${row.participant_id} does not exist`);
+        }
+        if (!team) {
+            this.raise(`Team ${row.team_id} does not exist`);
+        }
+        if (participant.session_id !== team.session_id) {
+            this.raise(`Session mismatch: Participant belongs to session "${participant.session_id}" but team belongs to session "${team.session_id}". Participants can only be assigned to teams within their own session.`);
+        }
+
+        if (existing) {
+            return this.updateRows('team_members', member => member.id === existing.id, values)[0];
+        }
+
+        if (this.findRow('team_members', member => member.participant_id === row.participant_id)) {
+            this.raise('duplicate key value violates unique constraint "team_members_participant_id_key"', '23505');
+        }
+        return this.insertRow('team_members', values);
+    }
+
+    /**
+     * Number of members per role on a team
+     * @private
+     * @returns {object} role name -> count
+     */
+    teamRoleCounts(teamId) {
+        const counts = Object.fromEntries(MOCK_ROLE_ORDER.map(role => [role, 0]));
+        this.rows('team_members', member => member.team_id === teamId).forEach(member => {
+            counts[member.role_name] = (counts[member.role_name] || 0) + 1;
+        });
+        return counts;
+    }
+
+    /**
+     * Role a team has least of, preferring the given role on a tie, then role order
+     * @private
+     */
+    leastCoveredRole(teamId, preferredRole = null) {
+        const counts = this.teamRoleCounts(teamId);
+        return MOCK_ROLE_ORDER.slice().sort((a, b) =>
+            counts[a] - counts[b] ||
+            (b === preferredRole) - (a === preferredRole) ||
+            MOCK_ROLE_ORDER.indexOf(a) - MOCK_ROLE_ORDER.indexOf(b)
+        )[0];
+    }
+
+    /**
+     * ROUND(value, 2)
+     * @private
+     */
+    round2(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    /**
+     * Fisher-Yates shuffle (ORDER BY random())
+     * @private
+     */
+    shuffle(items) {
+        const shuffled = items.slice();
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+        return shuffled;
+    }
+
+    // ================================
+    // COORDINATOR AUTHENTICATION
+    // ================================
+
+    coordinatorLogin({ session_id_param: sessionId, passphrase_param: passphrase }) {
+        if (!sessionId || sessionId.trim().length < 3) {
+            this.raise('Session ID must be at least 3 characters long');
+        }
+        if (!passphrase || passphrase.length < 8) {
+            this.raise('Coordinator passphrase must be at least 8 characters long');
+        }
+
+        let sessionCreated = false;
+        if (!this.findRow('sessions', row => row.id === sessionId)) {
+            this.insertRow('sessions', { id: sessionId, name: `Session ${sessionId}`, status: 'registering' });
+            sessionCreated = true;
+        }
+
+        const coordinator = this.findRow('session_coordinators', row => row.session_id === sessionId);
+
+        // Claim an unclaimed session
+        if (!coordinator) {
+            if (this.findRow('participants', row => row.session_id === sessionId) ||
+                this.findRow('teams', row => row.session_id === sessionId)) {
+                return {
+                    success: false,
+                    error: `Session ${sessionId} already has participants but no coordinator passphrase, ` +
+                           'so it cannot be claimed. Ask your database administrator to set one in session_coordinators.'
+                };
+            }
+
+            const created = this.insertRow('session_coordinators', {
+                session_id: sessionId,
+                passphrase_hash: this.hashPassphrase(passphrase),
+                last_login_at: this.now()
+            });
+
+            return {
+                success: true,
+                session_id: sessionId,
+                coordinator_token: created.coordinator_token,
+                session_created: sessionCreated,
+                coordinator_registered: true
+            };
+        }
+
+        if (coordinator.locked_until && new Date(coordinator.locked_until) > new Date()) {
+            return {
+                success: false,
+                error: `Too many failed attempts. Coordinator login is locked until ${coordinator.locked_until.substring(11, 16)} UTC.`
+            };
+        }
+
+        // Wrong passphrase: record the attempt (returned, not raised, so it is kept)
+        if (coordinator.passphrase_hash !== this.hashPassphrase(passphrase)) {
+            const failedAttempts = coordinator.failed_attempts + 1;
+            this.updateRows('session_coordinators', row => row.session_id === sessionId, {
+                failed_attempts: failedAttempts,
+                locked_until: failedAttempts >= 5 ? new Date(Date.now() + 15 * 60 * 1000).toISOString() : null
+            });
+
+            return {
+                success: false,
+                error: `Invalid coordinator passphrase for session ${sessionId}`
+            };
+        }
+
+        this.updateRows('session_coordinators', row => row.session_id === sessionId, {
+            failed_attempts: 0,
+            locked_until: null,
+            last_login_at: this.now()
+        });
+
+        return {
+            success: true,
+            session_id: sessionId,
+            coordinator_token: coordinator.coordinator_token,
+            session_created: sessionCreated,
+            coordinator_registered: false
+        };
+    }
+
+    verifyCoordinatorToken({ session_id_param: sessionId, coordinator_token_param: coordinatorToken }) {
+        return {
+            session_id: sessionId,
+            valid: !!this.findRow('session_coordinators', row =>
+                row.session_id === sessionId && row.coordinator_token === coordinatorToken
+            )
+        };
+    }
+
+    updateSessionCountry({ session_id_param: sessionId, coordinator_token_param: coordinatorToken, country_code_param: countryCode }) {
+        this.assertSessionCoordinator(sessionId, coordinatorToken);
+        this.assertSessionOpen(sessionId);
+
+        const normalizedCode = (countryCode || '').trim().toUpperCase();
+        if (!/^[A-Z]{2}$/.test(normalizedCode)) {
+            this.raise(`Invalid country code: ${countryCode}. Use an ISO 3166-1 alpha-2 code such as IN`);
+        }
+
+        if (this.findRow('team_territories', row => row.session_id === sessionId)) {
+            this.raise(`Territories are already distributed for session ${sessionId}; the country can no longer be changed`);
+        }
+
+        this.updateRows('sessions', row => row.id === sessionId, { country_code: normalizedCode });
+
+        return { success: true, session_id: sessionId, country_code: normalizedCode };
+    }
+
+    updateSessionOsmoseIssueTypes({ session_id_param: sessionId, coordinator_token_param: coordinatorToken, issue_types_param: issueTypesParam }) {
+        this.assertSessionCoordinator(sessionId, coordinatorToken);
+        this.assertSessionOpen(sessionId);
+
+        if (issueTypesParam !== null && issueTypesParam !== undefined && !Array.isArray(issueTypesParam)) {
+            this.raise('Osmose issue types must be a JSON array of item/class keys');
+        }
+
+        let issueTypes = null;
+        if (issueTypesParam && issueTypesParam.length > 0) {
+            issueTypesParam.forEach(issueType => {
+                if (!/^[0-9]+\/[0-9]+$/.test(issueType)) {
+                    this.raise(`Invalid Osmose issue type: ${issueType}. Use item/class, e.g. 7040/2`);
+                }
+            });
+            issueTypes = [...new Set(issueTypesParam)].sort();
+        }
+
+        this.updateRows('sessions', row => row.id === sessionId, { osmose_issue_types: issueTypes });
+
+        return { success: true, session_id: sessionId, osmose_issue_types: issueTypes };
+    }
+
+    // ================================
+    // PARTICIPANT IDENTITY
+    // ================================
+
+    registerParticipant({
+        session_id_param: sessionId,
+        first_name_param: firstName,
+        osm_username_param: osmUsername,
+        role_preference_param: rolePreference = null,
+        experience_level_param: experienceLevel = null
+    }) {
+        if (!this.findRow('sessions', row => row.id === sessionId)) {
+            this.raise(`Session ${sessionId} does not exist. Ask your coordinator for the correct session ID.`);
+        }
+
+        this.assertSessionOpen(sessionId);
+
+        if (!(firstName || '').trim() || !(osmUsername || '').trim()) {
+            this.raise('First name and OSM username are required');
+        }
+
+        if (rolePreference && !MOCK_ROLE_ORDER.includes(rolePreference)) {
+            this.raise(`Invalid role preference: ${rolePreference}. Must be Pioneer, Technician or Seeker`);
+        }
+
+        if (experienceLevel && !['beginner', 'intermediate', 'experienced'].includes(experienceLevel)) {
+            this.raise(`Invalid experience level: ${experienceLevel}. Must be beginner, intermediate or experienced`);
+        }
+
+        const username = osmUsername.trim();
+        if (this.findRow('participants', row =>
+            row.session_id === sessionId && row.osm_username.toLowerCase() === username.toLowerCase()
+        )) {
+            this.raise(`OSM username ${username} is already registered in session ${sessionId}`);
+        }
+
+        const participant = this.insertRow('participants', {
+            first_name: firstName.trim(),
+            osm_username: username,
+            session_id: sessionId,
+            role_preference: rolePreference || null,
+            experience_level: experienceLevel || null
+        });
+
+        const credential = this.insertRow('participant_credentials', {
+            participant_id: participant.id,
+            last_used_at: this.now()
+        });
+
+        return { participant, access_token: credential.access_token };
+    }
+
+    linkParticipantDevice({ session_id_param: sessionId, osm_username_param: osmUsername, link_code_param: linkCode }) {
+        const username = (osmUsername || '').trim().toLowerCase();
+        const participant = this.findRow('participants', row =>
+            row.session_id === sessionId && row.osm_username.toLowerCase() === username
+        );
+
+        if (!participant) {
+            this.raise(`Participant ${osmUsername} is not registered in session ${sessionId}`);
+        }
+
+        const code = (linkCode || '').trim().toUpperCase();
+        const credential = this.findRow('participant_credentials', row =>
+            row.participant_id === participant.id && row.link_code && row.link_code === code
+        );
+
+        if (!credential) {
+            return {
+                success: false,
+                participant_id: participant.id,
+                error: 'This browser is not linked to your registration. Ask your coordinator for a device link code.'
+            };
+        }
+
+        const accessToken = mockUuid();
+        this.updateRows('participant_credentials', row => row.participant_id === participant.id, {
+            access_token: accessToken,
+            link_code: null,
+            last_used_at: this.now()
+        });
+
+        return { success: true, participant_id: participant.id, access_token: accessToken };
+    }
+
+    resetParticipantDeviceLink({ session_id_param: sessionId, coordinator_token_param: coordinatorToken, participant_id_param: participantId }) {
+        this.assertSessionCoordinator(sessionId, coordinatorToken);
+
+        if (!this.findRow('participants', row => row.id === participantId && row.session_id === sessionId)) {
+            this.raise(`Participant ${participantId} is not registered in session ${sessionId}`);
+        }
+
+        const linkCode = mockUuid().replace(/-/g, '').slice(0, 8).toUpperCase();
+
+        this.deleteRows('participant_credentials', row => row.participant_id === participantId);
+        this.insertRow('participant_credentials', { participant_id: participantId, link_code: linkCode });
+
+        return { success: true, participant_id: participantId, link_code: linkCode };
+    }
+
+    updateOwnTeamRole({ participant_id_param: participantId, participant_token_param: participantToken, role_name_param: roleName }) {
+        this.assertParticipantToken(participantId, participantToken);
+
+        const participant = this.findRow('participants', row => row.id === participantId);
+        this.assertSessionOpen(participant ? participant.session_id : null);
+
+        const roleInfo = this.teamRoleDetails(roleName);
+        if (!roleInfo) {
+            this.raise(`Invalid role: ${roleName}. Must be Pioneer, Technician, or Seeker.`);
+        }
+
+        const member = this.findRow('team_members', row => row.participant_id === participantId);
+        if (!member) {
+            this.raise(`Participant ${participantId} is not on a team yet`);
+        }
+
+        this.writeTeamMember(roleInfo, member);
+
+        return { participant_id: participantId, ...roleInfo };
+    }
+
+    // ================================
+    // COORDINATOR TEAM MANAGEMENT
+    // ================================
+
+    coordinatorUpdateTeamMember({
+        session_id_param: sessionId,
+        coordinator_token_param: coordinatorToken,
+        participant_id_param: participantId,
+        team_id_param: teamId = null,
+        role_name_param: roleName = null
+    }) {
+        this.assertSessionCoordinator(sessionId, coordinatorToken);
+        this.assertSessionOpen(sessionId);
+
+        if (!this.findRow('participants', row => row.id === participantId && row.session_id === sessionId)) {
+            this.raise(`Participant ${participantId} is not registered in session ${sessionId}`);
+        }
+
+        let roleInfo = {};
+        if (roleName) {
+            roleInfo = this.teamRoleDetails(roleName);
+            if (!roleInfo) {
+                this.raise(`Invalid role: ${roleName}. Must be Pioneer, Technician, or Seeker.`);
+            }
+        }
+
+        const member = this.findRow('team_members', row => row.participant_id === participantId);
+        if (!member) {
+            this.raise(`Participant ${participantId} is not on a team yet`);
+        }
+
+        const updated = this.writeTeamMember({ ...(teamId ? { team_id: teamId } : {}), ...roleInfo }, member);
+
+        return {
+            participant_id: updated.participant_id,
+            team_id: updated.team_id,
+            role_name: updated.role_name,
+            role_description: updated.role_description,
+            role_icon: updated.role_icon,
+            session_id: sessionId
+        };
+    }
+
+    coordinatorAssignParticipant({
+        session_id_param: sessionId,
+        coordinator_token_param: coordinatorToken,
+        participant_id_param: participantId,
+        team_id_param: teamId,
+        role_name_param: roleName
+    }) {
+        this.assertSessionCoordinator(sessionId, coordinatorToken);
+        this.assertSessionOpen(sessionId);
+
+        const roleInfo = this.teamRoleDetails(roleName);
+        if (!roleInfo) {
+            this.raise(`Invalid role: ${roleName}. Must be Pioneer, Technician, or Seeker.`);
+        }
+
+        if (!this.findRow('teams', row => row.id === teamId && row.session_id === sessionId)) {
+            this.raise(`Team ${teamId} does not belong to session ${sessionId}`);
+        }
+
+        this.writeTeamMember({ team_id: teamId, participant_id: participantId, ...roleInfo });
+
+        return { participant_id: participantId, team_id: teamId, ...roleInfo, session_id: sessionId };
+    }
+
+    /**
+     * place_participant_on_team(): smallest team first, preferring one that lacks the
+     * participant's preferred role (or any role); they get the role that team has least of
+     * @private
+     */
+    placeParticipantOnTeam(sessionId, participantId) {
+        this.assertSessionOpen(sessionId);
+
+        const participant = this.findRow('participants', row => row.id === participantId && row.session_id === sessionId);
+        if (!participant) {
+            this.raise(`Participant ${participantId} is not registered in session ${sessionId}`);
+        }
+
+        if (this.findRow('team_members', row => row.participant_id === participantId)) {
+            this.raise(`Participant ${participantId} is already on a team`);
+        }
+
+        const preferredRole = participant.role_preference;
+        const candidates = this.rows('teams', team => team.session_id === sessionId).map(team => {
+            const counts = this.teamRoleCounts(team.id);
+            return {
+                team,
+                size: Object.values(counts).reduce((sum, count) => sum + count, 0),
+                lacksPreferred: preferredRole ? counts[preferredRole] === 0 : false,
+                lacksAnyRole: Object.values(counts).filter(count => count > 0).length < 3
+            };
+        });
+
+        if (candidates.length === 0) {
+            this.raise(`No teams found for session ${sessionId}. Form teams first.`);
+        }
+
+        candidates.sort((a, b) =>
+            a.size - b.size ||
+            b.lacksPreferred - a.lacksPreferred ||
+            b.lacksAnyRole - a.lacksAnyRole ||
+            a.team.team_index - b.team.team_index
+        );
+        const target = candidates[0].team;
+
+        const roleInfo = this.teamRoleDetails(this.leastCoveredRole(target.id, preferredRole));
+        this.writeTeamMember({ team_id: target.id, participant_id: participantId, ...roleInfo });
+
+        return {
+            participant_id: participantId,
+            team_id: target.id,
+            team_name: target.team_name,
+            ...roleInfo,
+            session_id: sessionId
+        };
+    }
+
+    joinFormedTeam({ session_id_param: sessionId, participant_id_param: participantId, participant_token_param: participantToken }) {
+        this.assertParticipantToken(participantId, participantToken);
+        this.assertSessionOpen(sessionId);
+
+        if (!this.findRow('participants', row => row.id === participantId && row.session_id === sessionId)) {
+            this.raise(`Participant ${participantId} is not registered in session ${sessionId}`);
+        }
+
+        if (this.findRow('team_members', row => row.participant_id === participantId)) {
+            return { placed: false, reason: 'already_on_team', participant_id: participantId };
+        }
+
+        if (!this.findRow('teams', row => row.session_id === sessionId)) {
+            return { placed: false, reason: 'teams_not_formed', participant_id: participantId };
+        }
+
+        const placement = this.placeParticipantOnTeam(sessionId, participantId);
+
+        return {
+            placed: true,
+            participant_id: participantId,
+            team_id: placement.team_id,
+            team_name: placement.team_name,
+            role_name: placement.role_name,
+            role_icon: placement.role_icon
+        };
+    }
+
+    rebalanceSessionTeams({ session_id_param: sessionId, coordinator_token_param: coordinatorToken }) {
+        this.assertSessionCoordinator(sessionId, coordinatorToken);
+        this.assertSessionOpen(sessionId);
+
+        const teams = this.rows('teams', team => team.session_id === sessionId);
+        if (teams.length === 0) {
+            this.raise(`No teams found for session ${sessionId}. Form teams first.`);
+        }
+
+        let participantsPlaced = 0;
+        let membersMoved = 0;
+        let rolesChanged = 0;
+        let territoriesMoved = 0;
+
+        const membersOf = teamId => this.rows('team_members', member => member.team_id === teamId);
+        const byCreated = (a, b) => this.compareValues(a.created_at, b.created_at);
+
+        // Step 1: late joiners
+        this.rows('participants', participant =>
+            participant.session_id === sessionId &&
+            !this.findRow('team_members', member => member.participant_id === participant.id)
+        ).slice().sort(byCreated).forEach(participant => {
+            this.placeParticipantOnTeam(sessionId, participant.id);
+            participantsPlaced++;
+        });
+
+        // Step 2: team sizes
+        for (;;) {
+            const sized = teams.map(team => ({ team, count: membersOf(team.id).length }));
+            const largest = sized.slice().sort((a, b) => b.count - a.count || b.team.team_index - a.team.team_index)[0];
+            const smallest = sized.slice().sort((a, b) => a.count - b.count || a.team.team_index - b.team.team_index)[0];
+
+            if (largest.count - smallest.count <= 1) break;
+
+            const counts = this.teamRoleCounts(largest.team.id);
+            const mover = membersOf(largest.team.id).slice().sort((a, b) =>
+                counts[b.role_name] - counts[a.role_name] || byCreated(b, a)
+            )[0];
+
+            const roleInfo = this.teamRoleDetails(this.leastCoveredRole(smallest.team.id, mover.role_name));
+            this.writeTeamMember({ team_id: smallest.team.id, ...roleInfo }, mover);
+            membersMoved++;
+        }
+
+        // Step 3: role coverage within each team
+        teams.filter(team => membersOf(team.id).length >= 3).forEach(team => {
+            for (;;) {
+                const counts = this.teamRoleCounts(team.id);
+                const missingRole = MOCK_ROLE_ORDER.find(role => counts[role] === 0);
+                if (!missingRole) break;
+
+                const mover = membersOf(team.id)
+                    .filter(member => counts[member.role_name] > 1)
+                    .sort((a, b) => {
+                        const aPrefers = this.findRow('participants', p => p.id === a.participant_id).role_preference === missingRole;
+                        const bPrefers = this.findRow('participants', p => p.id === b.participant_id).role_preference === missingRole;
+                        return bPrefers - aPrefers || byCreated(b, a);
+                    })[0];
+                if (!mover) break;
+
+                this.writeTeamMember(this.teamRoleDetails(missingRole), mover);
+                rolesChanged++;
+            }
+        });
+
+        // Step 4: unstarted territories
+        const isMovable = assignment => assignment.status === 'available' &&
+            !this.findRow('work_units', unit => unit.team_territory_id === assignment.id && unit.status !== 'available');
+        const openCount = teamId => this.rows('team_territories', assignment =>
+            assignment.team_id === teamId && assignment.status !== 'completed'
+        ).length;
+
+        for (;;) {
+            const heavy = teams
+                .filter(team => this.rows('team_territories', assignment => assignment.team_id === team.id).some(isMovable))
+                .map(team => ({ team, count: openCount(team.id) }))
+                .sort((a, b) => b.count - a.count || a.team.team_index - b.team.team_index)[0];
+            if (!heavy) break;
+
+            const light = teams
+                .map(team => ({ team, count: openCount(team.id) }))
+                .sort((a, b) => a.count - b.count || a.team.team_index - b.team.team_index)[0];
+
+            if (heavy.count - light.count <= 1) break;
+
+            const movable = this.rows('team_territories', assignment => assignment.team_id === heavy.team.id && isMovable(assignment))
+                .sort((a, b) => this.compareValues(b.territory_name, a.territory_name))[0];
+
+            this.updateRows('team_territories', assignment => assignment.id === movable.id, {
+                team_id: light.team.id,
+                assigned_at: this.now()
+            });
+            this.insertRow('territory_reassignments', {
+                session_id: sessionId,
+                team_territory_id: movable.id,
+                from_team_id: heavy.team.id,
+                to_team_id: light.team.id,
+                territory_name: movable.territory_name,
+                from_team_name: heavy.team.team_name,
+                to_team_name: light.team.team_name,
+                status: 'available',
+                reason: 'Team rebalance'
+            });
+            territoriesMoved++;
+        }
+
+        return {
+            success: true,
+            session_id: sessionId,
+            participants_placed: participantsPlaced,
+            members_moved: membersMoved,
+            roles_changed: rolesChanged,
+            territories_moved: territoriesMoved
+        };
+    }
+
+    // ================================
+    // TERRITORIES AND TEAM FORMATION
+    // ================================
+
+    populateTerritories({ session_id_param: sessionId, coordinator_token_param: coordinatorToken, territories_param: territories }) {
+        this.assertSessionCoordinator(sessionId, coordinatorToken);
+        this.assertSessionOpen(sessionId);
+
+        const sessionCountry = this.getSession(sessionId).country_code;
+
+        if (territories.some(territory => {
+            const isoCode = String(territory.iso_code || '').trim().toUpperCase();
+            return !isoCode.startsWith(`${sessionCountry}-`) || isoCode.length <= sessionCountry.length + 1;
+        })) {
+            this.raise(`All territories must belong to the session country ${sessionCountry}`);
+        }
+
+        const numberOrNull = value => (value === null || value === undefined || value === '') ? null : Number(value);
+
+        territories.forEach(territory => {
+            const values = {
+                country_code: sessionCountry,
+                name: territory.name,
+                name_en: territory.name_en || territory.name,
+                iso_code: territory.iso_code.toUpperCase(),
+                osm_relation_id: numberOrNull(territory.osm_relation_id),
+                place_type: territory.place_type,
+                center_lat: numberOrNull(territory.center_lat),
+                center_lon: numberOrNull(territory.center_lon),
+                min_lat: numberOrNull(territory.min_lat),
+                min_lon: numberOrNull(territory.min_lon),
+                max_lat: numberOrNull(territory.max_lat),
+                max_lon: numberOrNull(territory.max_lon),
+                area_km2: numberOrNull(territory.area_km2),
+                population: numberOrNull(territory.population),
+                power_feature_count: numberOrNull(territory.power_feature_count),
+                power_features_counted_at: numberOrNull(territory.power_feature_count) !== null ? this.now() : null,
+                capital: territory.capital || null,
+                is_active: territory.is_active !== undefined && territory.is_active !== null ? !!territory.is_active : true
+            };
+
+            if (!values.name || values.osm_relation_id === null || !values.place_type) {
+                this.raise('null value in column of relation "territories" violates not-null constraint', '23502');
+            }
+
+            const existing = this.findRow('territories', row => row.iso_code === values.iso_code);
+            if (!existing) {
+                this.insertRow('territories', values);
+                return;
+            }
+
+            // Territory rows are shared by all sessions: keep the identity, fill in what is missing
+            const fillIn = column => existing[column] ?? values[column];
+            this.updateRows('territories', row => row.id === existing.id, {
+                ...Object.fromEntries([
+                    'center_lat', 'center_lon', 'min_lat', 'min_lon', 'max_lat', 'max_lon',
+                    'area_km2', 'population', 'capital'
+                ].map(column => [column, fillIn(column)])),
+                power_feature_count: values.power_feature_count ?? existing.power_feature_count,
+                power_features_counted_at: values.power_features_counted_at ?? existing.power_features_counted_at
+            });
+        });
+
+        return { success: true, country_code: sessionCountry, count: territories.length };
+    }
+
+    createTeamsWithRoleAssignment({
+        session_id_param: sessionId,
+        coordinator_token_param: coordinatorToken,
+        desired_team_size: desiredTeamSize = 3,
+        expected_team_count: expectedTeamCount = null
+    }) {
+        this.getSession(sessionId);
+        this.assertSessionCoordinator(sessionId, coordinatorToken);
+        this.assertSessionOpen(sessionId);
+
+        if (this.findRow('teams', row => row.session_id === sessionId)) {
+            this.raise(`Teams already exist for session ${sessionId}. Cannot recreate teams.`);
+        }
+
+        const participants = this.rows('participants', row => row.session_id === sessionId);
+        if (participants.length < 1) {
+            this.raise(`Need at least 1 participant to form teams, found ${participants.length}`);
+        }
+
+        if (desiredTeamSize < 1) {
+            this.raise(`Desired team size must be at least 1, got ${desiredTeamSize}`);
+        }
+
+        const teamCount = Math.ceil(participants.length / desiredTeamSize);
+
+        if (expectedTeamCount !== null && teamCount !== expectedTeamCount) {
+            this.raise(`The session now needs ${teamCount} teams, not the ${expectedTeamCount} previewed, because participants joined or left. Preview the distribution again.`);
+        }
+
+        // Most experienced first, shuffled within each level; no stated level counts as intermediate
+        const experienceRank = { experienced: 1, intermediate: 2, beginner: 3 };
+        const ordered = this.shuffle(participants).sort((a, b) =>
+            experienceRank[a.experience_level || 'intermediate'] - experienceRank[b.experience_level || 'intermediate']
+        );
+
+        const teams = [];
+        for (let teamIndex = 0; teamIndex < teamCount; teamIndex++) {
+            teams.push(this.insertRow('teams', {
+                session_id: sessionId,
+                team_name: `Team ${MOCK_TEAM_NAMES[teamIndex] || `Team ${teamIndex + 1}`}`,
+                team_index: teamIndex
+            }));
+        }
+
+        // Snake draft: teams pick 1..n then n..1 so experience is spread evenly
+        // and team sizes differ by at most one
+        const teamSlots = ordered.map((participant, index) => {
+            const round = Math.floor(index / teamCount);
+            const position = index % teamCount;
+            return round % 2 === 0 ? position : teamCount - 1 - position;
+        });
+
+        // Preferences first while the role is still free in that team; everyone else
+        // fills the least-covered role, preferring their choice on a tie
+        const memberRoles = [];
+        teams.forEach((team, slot) => {
+            const roleCounts = [0, 0, 0];
+
+            ordered.forEach((participant, index) => {
+                if (teamSlots[index] !== slot) return;
+                const preferred = MOCK_ROLE_ORDER.indexOf(participant.role_preference);
+                if (preferred >= 0 && roleCounts[preferred] === 0) {
+                    memberRoles[index] = preferred;
+                    roleCounts[preferred] = 1;
+                }
+            });
+
+            ordered.forEach((participant, index) => {
+                if (teamSlots[index] !== slot || memberRoles[index] !== undefined) return;
+                const preferred = MOCK_ROLE_ORDER.indexOf(participant.role_preference);
+                let roleIndex = 0;
+                for (let candidate = 1; candidate < 3; candidate++) {
+                    if (roleCounts[candidate] < roleCounts[roleIndex]) roleIndex = candidate;
+                }
+                if (preferred >= 0 && roleCounts[preferred] === roleCounts[roleIndex]) {
+                    roleIndex = preferred;
+                }
+                memberRoles[index] = roleIndex;
+                roleCounts[roleIndex]++;
+            });
+        });
+
+        ordered.forEach((participant, index) => {
+            this.writeTeamMember({
+                team_id: teams[teamSlots[index]].id,
+                participant_id: participant.id,
+                ...this.teamRoleDetails(MOCK_ROLE_ORDER[memberRoles[index]])
+            });
+        });
+
+        this.updateRows('sessions', row => row.id === sessionId, {
+            status: 'teams_formed',
+            teams_formed_at: this.now(),
+            team_size: desiredTeamSize
+        });
+
+        const teamDetails = teams.map(team => {
+            const members = this.rows('team_members', member => member.team_id === team.id)
+                .map(member => {
+                    const participant = this.findRow('participants', row => row.id === member.participant_id);
+                    return {
+                        participant_id: participant.id,
+                        first_name: participant.first_name,
+                        osm_username: participant.osm_username,
+                        experience_level: participant.experience_level,
+                        role_preference: participant.role_preference,
+                        role_name: member.role_name,
+                        role_icon: member.role_icon
+                    };
+                })
+                .sort((a, b) => a.role_name.localeCompare(b.role_name));
+
+            return {
+                team_id: team.id,
+                team_name: team.team_name,
+                team_index: team.team_index,
+                member_count: members.length,
+                members
+            };
+        });
+
+        return {
+            success: true,
+            session_id: sessionId,
+            teams_created: teamCount,
+            participants_assigned: participants.length,
+            unassigned_participants: 0,
+            // Balanced when every team of three or more covers all three roles
+            role_distribution_balanced: teamDetails.every(team =>
+                team.member_count < 3 || new Set(team.members.map(member => member.role_name)).size === 3
+            ),
+            team_details: teamDetails
+        };
+    }
+
+    getSessionParticipantsDetailed({ session_id_param: sessionId }) {
+        const participants = this.rows('participants', row => row.session_id === sessionId)
+            .slice()
+            .sort((a, b) => this.compareValues(a.created_at, b.created_at))
+            .map(participant => {
+                const member = this.findRow('team_members', row => row.participant_id === participant.id);
+                const team = member ? this.findRow('teams', row => row.id === member.team_id) : null;
+
+                return {
+                    participant_id: participant.id,
+                    first_name: participant.first_name,
+                    osm_username: participant.osm_username,
+                    role_preference: participant.role_preference,
+                    experience_level: participant.experience_level,
+                    created_at: participant.created_at,
+                    team_assigned: !!member,
+                    team_id: team ? team.id : null,
+                    team_name: team ? team.team_name : null,
+                    team_index: team ? team.team_index : null,
+                    role_name: member ? member.role_name : null,
+                    role_description: member ? member.role_description : null,
+                    role_icon: member ? member.role_icon : null
+                };
+            });
+
+        return {
+            session_id: sessionId,
+            participant_count: participants.length,
+            team_formation_ready: participants.length >= 1,
+            participants
+        };
+    }
+
+    getTerritoryAssignmentDetails({ assignment_id_param: assignmentId }) {
+        const assignment = this.findRow('team_territories', row => row.id === assignmentId);
+        const territory = assignment && this.findRow('territories', row => row.id === assignment.territory_id);
+        const team = assignment && this.findRow('teams', row => row.id === assignment.team_id);
+        const session = assignment && this.findRow('sessions', row => row.id === assignment.session_id);
+
+        if (!assignment || !territory || !team || !session) {
+            this.raise(`Territory assignment ${assignmentId} not found`);
+        }
+
+        const completedBy = assignment.completed_by
+            ? this.findRow('participants', row => row.id === assignment.completed_by)
+            : null;
+
+        const changesets = this.rows('territory_changesets', row => row.team_territory_id === assignmentId);
+        const byParticipant = new Map();
+        changesets.forEach(changeset => {
+            const participant = this.findRow('participants', row => row.id === changeset.participant_id);
+            if (!participant) return;
+
+            const entry = byParticipant.get(participant.id) || {
+                participant_id: participant.id,
+                first_name: participant.first_name,
+                osm_username: participant.osm_username,
+                changesets: 0,
+                power_created: 0,
+                power_modified: 0,
+                power_deleted: 0
+            };
+            entry.changesets++;
+            entry.power_created += changeset.power_created;
+            entry.power_modified += changeset.power_modified;
+            entry.power_deleted += changeset.power_deleted;
+            byParticipant.set(participant.id, entry);
+        });
+
+        const sum = column => changesets.reduce((total, changeset) => total + changeset[column], 0);
+
+        return {
+            assignment_id: assignment.id,
+            status: assignment.status,
+            created_at: assignment.created_at,
+            assigned_at: assignment.assigned_at,
+            started_at: assignment.started_at,
+            completed_at: assignment.completed_at,
+            notes: assignment.notes,
+            territory: {
+                territory_id: territory.id,
+                name: territory.name,
+                name_en: territory.name_en,
+                country_code: territory.country_code,
+                iso_code: territory.iso_code,
+                osm_relation_id: territory.osm_relation_id,
+                place_type: territory.place_type,
+                area_km2: territory.area_km2,
+                population: territory.population,
+                capital: territory.capital,
+                overpass_ready: !!territory.iso_code
+            },
+            team: {
+                team_id: team.id,
+                team_name: team.team_name,
+                team_index: team.team_index
+            },
+            session: {
+                session_id: session.id,
+                session_name: session.name,
+                session_status: session.status,
+                country_code: session.country_code
+            },
+            completed_by_participant: completedBy ? {
+                participant_id: completedBy.id,
+                first_name: completedBy.first_name,
+                osm_username: completedBy.osm_username
+            } : null,
+            duration: assignment.completed_at && assignment.started_at
+                ? (new Date(assignment.completed_at) - new Date(assignment.started_at)) / 1000
+                : null,
+            osm_edits: {
+                changesets: changesets.length,
+                power_created: sum('power_created'),
+                power_modified: sum('power_modified'),
+                power_deleted: sum('power_deleted'),
+                last_analyzed_at: changesets.map(changeset => changeset.analyzed_at).sort().pop() || null,
+                by_participant: [...byParticipant.values()].sort((a, b) =>
+                    (b.power_created + b.power_modified) - (a.power_created + a.power_modified) ||
+                    a.first_name.localeCompare(b.first_name)
+                )
+            },
+            reassignments: this.rows('territory_reassignments', row => row.team_territory_id === assignmentId)
+                .sort((a, b) => this.compareValues(a.reassigned_at, b.reassigned_at))
+                .map(reassignment => ({
+                    from_team_id: reassignment.from_team_id,
+                    from_team_name: reassignment.from_team_name,
+                    to_team_id: reassignment.to_team_id,
+                    to_team_name: reassignment.to_team_name,
+                    status: reassignment.status,
+                    reason: reassignment.reason,
+                    reassigned_at: reassignment.reassigned_at
+                })),
+            tag_completeness: {
+                baseline: assignment.tag_completeness_baseline,
+                baseline_at: assignment.tag_completeness_baseline_at,
+                latest: assignment.tag_completeness_latest,
+                latest_at: assignment.tag_completeness_latest_at
+            }
+        };
+    }
+
+    getAllTerritoryAssignments({ session_id_param: sessionId }) {
+        const assignments = this.rows('team_territories', row => row.session_id === sessionId)
+            .map(assignment => ({
+                assignment,
+                territory: this.findRow('territories', row => row.id === assignment.territory_id),
+                team: this.findRow('teams', row => row.id === assignment.team_id)
+            }))
+            .filter(({ territory, team }) => territory && team)
+            .sort((a, b) => a.team.team_index - b.team.team_index || a.territory.name.localeCompare(b.territory.name))
+            .map(({ assignment, territory, team }) => ({
+                assignment_id: assignment.id,
+                status: assignment.status,
+                territory_name: territory.name,
+                iso_code: territory.iso_code,
+                territory_osm_id: territory.osm_relation_id,
+                center_lat: territory.center_lat,
+                center_lon: territory.center_lon,
+                team_id: team.id,
+                team_name: team.team_name,
+                team_index: team.team_index,
+                assigned_at: assignment.assigned_at,
+                started_at: assignment.started_at,
+                completed_at: assignment.completed_at,
+                notes: assignment.notes,
+                overpass_ready: !!territory.iso_code
+            }));
+
+        return { session_id: sessionId, total_assignments: assignments.length, assignments };
+    }
+
+    // ================================
+    // TERRITORY DISTRIBUTION
+    // ================================
+
+    /**
+     * plan_territory_distribution(): team slot (0-based here) for each active territory
+     * of the session's country. Balanced strategies use greedy longest-processing-time;
+     * territories without the metric weigh the average of those that have it.
+     * @private
+     * @returns {Array<{territory: object, slot: number, effort: number, hasMetric: boolean}>}
+     */
+    planTerritoryDistribution(sessionId, strategy, teamCount) {
+        if (!['round_robin', 'area', 'population', 'power_features'].includes(strategy)) {
+            this.raise(`Invalid distribution strategy: ${strategy}. Must be round_robin, area, population or power_features`);
+        }
+
+        if (!teamCount || teamCount < 1) {
+            this.raise('At least one team is required to plan a distribution');
+        }
+
+        const session = this.findRow('sessions', row => row.id === sessionId);
+        const isKnown = value => value !== null && value !== undefined;
+
+        const candidates = this.rows('territories', territory =>
+            !!session && territory.country_code === session.country_code && territory.is_active === true
+        ).map(territory => {
+            let metric = 1;
+            if (strategy === 'area') {
+                metric = territory.area_km2;
+                if (!isKnown(metric) && isKnown(territory.min_lat) && isKnown(territory.max_lat) &&
+                    isKnown(territory.min_lon) && isKnown(territory.max_lon)) {
+                    // Bounding-box estimate: degrees to km, narrowed by latitude
+                    metric = (territory.max_lat - territory.min_lat) * 111.32 *
+                        (territory.max_lon - territory.min_lon) * 111.32 *
+                        Math.cos(((territory.max_lat + territory.min_lat) / 2) * Math.PI / 180);
+                }
+            } else if (strategy === 'population') {
+                metric = territory.population;
+            } else if (strategy === 'power_features') {
+                metric = territory.power_feature_count;
+            }
+            return { territory, metric: isKnown(metric) ? Number(metric) : null };
+        });
+
+        const measured = candidates.filter(candidate => candidate.metric !== null);
+        if (strategy !== 'round_robin' && candidates.length > 0 && measured.length === 0) {
+            const metricLabel = { area: 'bounding-box', population: 'population', power_features: 'power feature count' }[strategy];
+            this.raise(`No territory of the session country has ${metricLabel} data, so the ${strategy} strategy cannot balance the teams. Choose another strategy.`);
+        }
+
+        const averageMetric = measured.length > 0
+            ? measured.reduce((sum, candidate) => sum + candidate.metric, 0) / measured.length
+            : 1;
+
+        const weighted = candidates
+            .map(candidate => ({
+                territory: candidate.territory,
+                effort: candidate.metric !== null ? candidate.metric : averageMetric,
+                hasMetric: candidate.metric !== null
+            }))
+            .sort((a, b) =>
+                (strategy === 'round_robin' ? 0 : b.effort - a.effort) ||
+                a.territory.name.localeCompare(b.territory.name)
+            );
+
+        const loads = new Array(teamCount).fill(0);
+        const counts = new Array(teamCount).fill(0);
+
+        return weighted.map((candidate, dealt) => {
+            let slot = 0;
+            if (strategy === 'round_robin') {
+                slot = dealt % teamCount;
+            } else {
+                for (let other = 1; other < teamCount; other++) {
+                    if (loads[other] < loads[slot] || (loads[other] === loads[slot] && counts[other] < counts[slot])) {
+                        slot = other;
+                    }
+                }
+            }
+
+            loads[slot] += candidate.effort;
+            counts[slot]++;
+            return { ...candidate, slot };
+        });
+    }
+
+    previewTerritoryDistribution({
+        session_id_param: sessionId,
+        coordinator_token_param: coordinatorToken,
+        strategy_param: strategy,
+        team_count_param: teamCount
+    }) {
+        this.assertSessionCoordinator(sessionId, coordinatorToken);
+
+        const plan = this.planTerritoryDistribution(sessionId, strategy, teamCount);
+        const totalEffort = plan.reduce((sum, entry) => sum + entry.effort, 0);
+
+        const teamLoads = new Map();
+        plan.forEach(entry => {
+            const load = teamLoads.get(entry.slot) || { entries: [], total: 0 };
+            load.entries.push(entry);
+            load.total += entry.effort;
+            teamLoads.set(entry.slot, load);
+        });
+
+        const teams = [...teamLoads.entries()]
+            .sort((a, b) => a[0] - b[0])
+            .map(([slot, load]) => ({
+                team_slot: slot + 1,
+                territory_count: load.entries.length,
+                total_effort: this.round2(load.total),
+                share_percentage: totalEffort > 0 ? this.round2(load.total / totalEffort * 100) : 0,
+                territories: load.entries
+                    .slice()
+                    .sort((a, b) => b.effort - a.effort || a.territory.name.localeCompare(b.territory.name))
+                    .map(entry => entry.territory.name)
+            }));
+
+        const loadTotals = [...teamLoads.values()].map(load => load.total);
+        const minLoad = loadTotals.length > 0 ? Math.min(...loadTotals) : 0;
+
+        return {
+            session_id: sessionId,
+            strategy,
+            team_count: teamCount,
+            territory_count: plan.length,
+            territories_missing_metric: plan.filter(entry => !entry.hasMetric).length,
+            teams,
+            max_to_min_ratio: minLoad > 0 ? this.round2(Math.max(...loadTotals) / minLoad) : null
+        };
+    }
+
+    distributeTerritoriesToTeams({ session_id_param: sessionId, coordinator_token_param: coordinatorToken, strategy_param: strategy = 'round_robin' }) {
+        const session = this.getSession(sessionId);
+
+        this.assertSessionCoordinator(sessionId, coordinatorToken);
+        this.assertSessionOpen(sessionId);
+
+        const teams = this.rows('teams', row => row.session_id === sessionId)
+            .slice()
+            .sort((a, b) => a.team_index - b.team_index);
+
+        if (teams.length === 0) {
+            this.raise(`No teams found for session ${sessionId}. Create teams first.`);
+        }
+
+        if (this.findRow('team_territories', row => row.session_id === sessionId)) {
+            this.raise(`Territories already distributed for session ${sessionId}. Cannot redistribute.`);
+        }
+
+        const plan = this.planTerritoryDistribution(sessionId, strategy, teams.length);
+        plan.forEach(entry => {
+            this.insertRow('team_territories', {
+                session_id: sessionId,
+                team_id: teams[entry.slot].id,
+                territory_id: entry.territory.id,
+                status: 'available',
+                territory_name: entry.territory.name,
+                territory_osm_id: entry.territory.osm_relation_id
+            });
+        });
+
+        if (plan.length === 0) {
+            this.raise(`No active territories found for country ${session.country_code}. Populate territories first.`);
+        }
+
+        this.updateRows('sessions', row => row.id === sessionId, {
+            status: 'active',
+            distribution_strategy: strategy
+        });
+
+        return {
+            success: true,
+            session_id: sessionId,
+            country_code: session.country_code,
+            strategy,
+            teams_count: teams.length,
+            territories_distributed: plan.length,
+            avg_territories_per_team: this.round2(plan.length / teams.length)
+        };
+    }
+
+    coordinatorReassignTerritory({
+        session_id_param: sessionId,
+        coordinator_token_param: coordinatorToken,
+        assignment_id_param: assignmentId,
+        team_id_param: teamId,
+        reason_param: reason = null
+    }) {
+        this.assertSessionCoordinator(sessionId, coordinatorToken);
+        this.assertSessionOpen(sessionId);
+
+        const assignment = this.findRow('team_territories', row => row.id === assignmentId && row.session_id === sessionId);
+        const territory = assignment && this.findRow('territories', row => row.id === assignment.territory_id);
+        const fromTeam = assignment && this.findRow('teams', row => row.id === assignment.team_id);
+        if (!assignment || !territory || !fromTeam) {
+            this.raise(`Territory assignment ${assignmentId} not found in session ${sessionId}`);
+        }
+
+        const toTeam = this.findRow('teams', row => row.id === teamId && row.session_id === sessionId);
+        if (!toTeam) {
+            this.raise(`Team ${teamId} not found in session ${sessionId}`);
+        }
+
+        if (assignment.team_id === teamId) {
+            this.raise(`${territory.name} is already assigned to ${toTeam.team_name}`);
+        }
+
+        if (assignment.status === 'completed') {
+            this.raise(`${territory.name} is completed; completed territories stay with the team that completed them`);
+        }
+
+        this.updateRows('team_territories', row => row.id === assignmentId, {
+            team_id: teamId,
+            assigned_at: this.now()
+        });
+
+        const logged = this.insertRow('territory_reassignments', {
+            session_id: sessionId,
+            team_territory_id: assignmentId,
+            from_team_id: fromTeam.id,
+            to_team_id: teamId,
+            territory_name: territory.name,
+            from_team_name: fromTeam.team_name,
+            to_team_name: toTeam.team_name,
+            status: assignment.status,
+            reason: (reason || '').trim() || null
+        });
+
+        return {
+            success: true,
+            assignment_id: assignmentId,
+            territory_name: territory.name,
+            status: assignment.status,
+            from_team_id: fromTeam.id,
+            from_team_name: fromTeam.team_name,
+            to_team_id: teamId,
+            to_team_name: toTeam.team_name,
+            reassigned_at: logged.reassigned_at
+        };
+    }
+
+    getTerritoryForOverpassOperations({ assignment_id_param: assignmentId }) {
+        const assignment = this.findRow('team_territories', row => row.id === assignmentId);
+        const territory = assignment && this.findRow('territories', row => row.id === assignment.territory_id);
+
+        if (!assignment || !territory) {
+            this.raise(`Territory assignment ${assignmentId} not found`);
+        }
+
+        return {
+            assignment_id: assignment.id,
+            territory_id: territory.id,
+            territory_name: territory.name,
+            country_code: territory.country_code,
+            iso_code: territory.iso_code,
+            osm_relation_id: territory.osm_relation_id,
+            place_type: territory.place_type,
+            min_lat: territory.min_lat,
+            min_lon: territory.min_lon,
+            max_lat: territory.max_lat,
+            max_lon: territory.max_lon,
+            team_id: assignment.team_id,
+            session_id: assignment.session_id,
+            status: assignment.status
+        };
+    }
+
+    updateTerritoryAssignmentStatus({
+        assignment_id_param: assignmentId,
+        new_status_param: newStatus,
+        participant_id_param: participantId,
+        participant_token_param: participantToken,
+        notes_param: notes = null
+    }) {
+        if (!['available', 'current', 'completed'].includes(newStatus)) {
+            this.raise(`Invalid status: ${newStatus}. Must be available, current, or completed`);
+        }
+
+        const assignment = this.assertAssignmentMember(assignmentId, participantId, participantToken);
+
+        // Split territories take their status from their work units
+        if (this.findRow('work_units', row => row.team_territory_id === assignmentId)) {
+            this.raise(`Territory ${assignmentId} is split into work units; update the work units instead`);
+        }
+
+        const changes = { status: newStatus, notes: notes !== null ? notes : assignment.notes };
+        if (newStatus === 'current') {
+            changes.started_at = assignment.started_at || this.now();
+        } else if (newStatus === 'completed') {
+            changes.started_at = assignment.started_at || this.now();
+            changes.completed_at = this.now();
+            changes.completed_by = participantId;
+        }
+
+        const updated = this.updateRows('team_territories', row => row.id === assignmentId, changes)[0];
+        const territory = this.findRow('territories', row => row.id === updated.territory_id);
+
+        return {
+            assignment_id: updated.id,
+            territory_name: territory ? territory.name : updated.territory_name,
+            old_status: assignment.status,
+            new_status: updated.status,
+            started_at: updated.started_at,
+            completed_at: updated.completed_at,
+            completed_by: updated.completed_by,
+            notes: updated.notes
+        };
+    }
+
+    // ================================
+    // PROGRESS AND VALIDATION
+    // ================================
+
+    getSessionProgressOverview({ session_id_param: sessionId }) {
+        const session = this.findRow('sessions', row => row.id === sessionId);
+        if (!session) {
+            this.raise(`Session ${sessionId} not found`);
+        }
+
+        const teams = this.rows('teams', row => row.session_id === sessionId)
+            .slice()
+            .sort((a, b) => a.team_index - b.team_index);
+        const assignments = this.rows('team_territories', row => row.session_id === sessionId);
+        const countStatus = (rows, status) => rows.filter(row => row.status === status).length;
+        const completed = countStatus(assignments, 'completed');
+
+        return {
+            session_id: sessionId,
+            session_status: session.status,
+            country_code: session.country_code,
+            team_size: session.team_size,
+            distribution_strategy: session.distribution_strategy,
+            osmose_issue_types: session.osmose_issue_types,
+            completed_at: session.completed_at,
+            archived_at: session.archived_at,
+            cloned_from: session.cloned_from,
+            team_count: teams.length,
+            unassigned_participants: this.rows('participants', participant =>
+                participant.session_id === sessionId &&
+                !this.findRow('team_members', member => member.participant_id === participant.id)
+            ).length,
+            total_territories: assignments.length,
+            completed_territories: completed,
+            current_territories: countStatus(assignments, 'current'),
+            available_territories: countStatus(assignments, 'available'),
+            completion_percentage: assignments.length > 0 ? this.round2(completed / assignments.length * 100) : 0,
+            teams_data: teams.map(team => {
+                const teamAssignments = assignments.filter(row => row.team_id === team.id);
+                return {
+                    team_id: team.id,
+                    team_name: team.team_name,
+                    team_index: team.team_index,
+                    total_territories: teamAssignments.length,
+                    completed_territories: countStatus(teamAssignments, 'completed'),
+                    current_territories: countStatus(teamAssignments, 'current'),
+                    member_count: this.rows('team_members', member => member.team_id === team.id).length
+                };
+            }),
+            tag_completeness: assignments
+                .filter(assignment => assignment.tag_completeness_latest !== null)
+                .map(assignment => ({
+                    assignment,
+                    territory: this.findRow('territories', row => row.id === assignment.territory_id),
+                    team: this.findRow('teams', row => row.id === assignment.team_id)
+                }))
+                .filter(({ territory, team }) => territory && team)
+                .sort((a, b) => a.territory.name.localeCompare(b.territory.name))
+                .map(({ assignment, territory, team }) => ({
+                    assignment_id: assignment.id,
+                    territory_name: territory.name,
+                    team_name: team.team_name,
+                    baseline: assignment.tag_completeness_baseline,
+                    baseline_at: assignment.tag_completeness_baseline_at,
+                    latest: assignment.tag_completeness_latest,
+                    latest_at: assignment.tag_completeness_latest_at
+                }))
+        };
+    }
+
+    getTeamLeaderboardForSession({ session_id_param: sessionId }) {
+        return this.rows('teams', row => row.session_id === sessionId)
+            .map(team => {
+                const assignments = this.rows('team_territories', row => row.team_id === team.id);
+                const assignmentIds = assignments.map(assignment => assignment.id);
+                const changesets = this.rows('territory_changesets', row => assignmentIds.includes(row.team_territory_id));
+                const completed = assignments.filter(row => row.status === 'completed').length;
+                const sum = column => changesets.reduce((total, changeset) => total + changeset[column], 0);
+
+                return {
+                    team_id: team.id,
+                    team_name: team.team_name,
+                    team_index: team.team_index,
+                    total_territories: assignments.length,
+                    completed_territories: completed,
+                    current_territories: assignments.filter(row => row.status === 'current').length,
+                    completion_percentage: assignments.length > 0 ? this.round2(completed / assignments.length * 100) : 0,
+                    changesets: changesets.length,
+                    power_created: sum('power_created'),
+                    power_modified: sum('power_modified'),
+                    power_deleted: sum('power_deleted')
+                };
+            })
+            .sort((a, b) => b.completion_percentage - a.completion_percentage || a.team_name.localeCompare(b.team_name))
+            .map((entry, index) => ({ rank: index + 1, ...entry }));
+    }
+
+    verifySessionTeams({ session_id_param: sessionId }) {
+        const teams = this.rows('teams', row => row.session_id === sessionId);
+        const teamIds = teams.map(team => team.id);
+        const members = this.rows('team_members', member => teamIds.includes(member.team_id));
+
+        const crossSessionViolations = members.filter(member => {
+            const participant = this.findRow('participants', row => row.id === member.participant_id);
+            return participant && participant.session_id !== sessionId;
+        }).length;
+        const teamsWithoutMembers = teams.filter(team => !members.some(member => member.team_id === team.id)).length;
+
+        return {
+            session_id: sessionId,
+            total_teams: teams.length,
+            total_members: members.length,
+            teams_without_members: teamsWithoutMembers,
+            cross_session_violations: crossSessionViolations,
+            session_isolation_valid: crossSessionViolations === 0,
+            all_teams_have_members: teamsWithoutMembers === 0,
+            verification_passed: crossSessionViolations === 0 && teamsWithoutMembers === 0
+        };
+    }
+
+    validateTerritoryAssignments({ session_id_param: sessionId }) {
+        const assignments = this.rows('team_territories', row => row.session_id === sessionId);
+
+        const perTerritory = new Map();
+        assignments.forEach(assignment => {
+            perTerritory.set(assignment.territory_id, (perTerritory.get(assignment.territory_id) || 0) + 1);
+        });
+        const duplicateTerritories = [...perTerritory.values()].filter(count => count > 1).length;
+
+        const orphanedAssignments = assignments.filter(assignment =>
+            !this.findRow('teams', row => row.id === assignment.team_id) ||
+            !this.findRow('territories', row => row.id === assignment.territory_id)
+        ).length;
+
+        return {
+            session_id: sessionId,
+            total_assignments: assignments.length,
+            duplicate_territories: duplicateTerritories,
+            orphaned_assignments: orphanedAssignments,
+            no_duplicates: duplicateTerritories === 0,
+            no_orphans: orphanedAssignments === 0,
+            validation_passed: duplicateTerritories === 0 && orphanedAssignments === 0,
+            territories_per_team: this.rows('teams', row => row.session_id === sessionId)
+                .slice()
+                .sort((a, b) => a.team_index - b.team_index)
+                .map(team => ({
+                    team_name: team.team_name,
+                    territory_count: assignments.filter(assignment => assignment.team_id === team.id).length
+                }))
+        };
+    }
+
+    getTerritoryStatistics() {
+        const territories = this.rows('territories');
+        const countBy = column => territories.length > 0
+            ? territories.reduce((counts, territory) => {
+                counts[territory[column]] = (counts[territory[column]] || 0) + 1;
+                return counts;
+            }, {})
+            : null;
+
+        return {
+            total_territories: territories.length,
+            active_territories: territories.filter(territory => territory.is_active === true).length,
+            inactive_territories: territories.filter(territory => territory.is_active === false).length,
+            states: territories.filter(territory => territory.place_type === 'state').length,
+            union_territories: territories.filter(territory => ['union_territory', 'territory'].includes(territory.place_type)).length,
+            territories_by_type: countBy('place_type'),
+            territories_by_country: countBy('country_code'),
+            territories_with_iso_code: territories.filter(territory => !!territory.iso_code).length,
+            territories_ready_for_overpass: territories.filter(territory => !!territory.iso_code && territory.is_active === true).length
+        };
+    }
+
+    // ================================
+    // WORK UNITS
+    // ================================
+
+    createWorkUnits({
+        assignment_id_param: assignmentId,
+        participant_id_param: participantId,
+        participant_token_param: participantToken,
+        unit_type_param: unitType,
+        units_param: units
+    }) {
+        const assignment = this.assertAssignmentMember(assignmentId, participantId, participantToken);
+
+        if (!['district', 'grid'].includes(unitType)) {
+            this.raise(`Invalid work unit type: ${unitType}. Must be district or grid`);
+        }
+
+        if (!units || units.length === 0) {
+            this.raise('At least one work unit is required');
+        }
+
+        if (assignment.status === 'completed') {
+            this.raise(`Territory ${assignmentId} is already completed`);
+        }
+
+        if (this.findRow('work_units', row => row.team_territory_id === assignmentId && row.status !== 'available')) {
+            this.raise('Work has already started on this territory\'s units; it cannot be split again');
+        }
+
+        this.deleteRows('work_units', row => row.team_territory_id === assignmentId);
+
+        units.forEach((unit, index) => {
+            this.insertRow('work_units', {
+                session_id: assignment.session_id,
+                team_territory_id: assignmentId,
+                unit_index: index,
+                unit_type: unitType,
+                name: unit.name,
+                osm_relation_id: unit.osm_relation_id !== undefined && unit.osm_relation_id !== null ? Number(unit.osm_relation_id) : null,
+                min_lat: Number(unit.min_lat),
+                min_lon: Number(unit.min_lon),
+                max_lat: Number(unit.max_lat),
+                max_lon: Number(unit.max_lon)
+            });
+        });
+
+        return { assignment_id: assignmentId, unit_type: unitType, unit_count: units.length };
+    }
+
+    /**
+     * roll_up_territory_status(): all units completed -> completed, any started -> current,
+     * otherwise available
+     * @private
+     * @returns {string|null} The rolled-up status (null without work units)
+     */
+    rollUpTerritoryStatus(assignmentId, participantId) {
+        const units = this.rows('work_units', row => row.team_territory_id === assignmentId);
+        if (units.length === 0) return null;
+
+        const completedUnits = units.filter(unit => unit.status === 'completed').length;
+        const startedUnits = units.filter(unit => unit.status !== 'available').length;
+        const status = completedUnits === units.length ? 'completed' : (startedUnits > 0 ? 'current' : 'available');
+
+        this.updateRows('team_territories', row => row.id === assignmentId && row.status !== status, row => ({
+            status,
+            started_at: status === 'available' ? row.started_at : (row.started_at || this.now()),
+            completed_at: status === 'completed' ? (row.completed_at || this.now()) : null,
+            completed_by: status === 'completed' ? (row.completed_by || participantId) : null
+        }));
+
+        return status;
+    }
+
+    updateWorkUnitStatus({
+        work_unit_id_param: workUnitId,
+        new_status_param: newStatus,
+        participant_id_param: participantId,
+        participant_token_param: participantToken
+    }) {
+        if (!['available', 'current', 'completed'].includes(newStatus)) {
+            this.raise(`Invalid status: ${newStatus}. Must be available, current, or completed`);
+        }
+
+        const unit = this.findRow('work_units', row => row.id === workUnitId);
+        if (!unit) {
+            this.raise(`Work unit ${workUnitId} not found`);
+        }
+
+        this.assertAssignmentMember(unit.team_territory_id, participantId, participantToken);
+
+        const updated = this.updateRows('work_units', row => row.id === workUnitId, row => ({
+            status: newStatus,
+            started_at: newStatus === 'available' ? row.started_at : (row.started_at || this.now()),
+            completed_at: newStatus === 'completed' ? this.now() : null,
+            completed_by: newStatus === 'completed' ? participantId : null
+        }))[0];
+
+        const territoryStatus = this.rollUpTerritoryStatus(updated.team_territory_id, participantId);
+
+        return {
+            work_unit_id: updated.id,
+            assignment_id: updated.team_territory_id,
+            name: updated.name,
+            status: updated.status,
+            started_at: updated.started_at,
+            completed_at: updated.completed_at,
+            completed_by: updated.completed_by,
+            territory_status: territoryStatus
+        };
+    }
+
+    // ================================
+    // OSM EDIT MEASUREMENT
+    // ================================
+
+    /**
+     * record_territory_changesets(): attribute analysed changesets to the territory
+     * their bounding box overlaps most (own team first) and upsert their counts
+     * @private
+     */
+    recordTerritoryChangesets(sessionId, participantId, changesets) {
+        if (this.findRow('sessions', row => row.id === sessionId && row.status === 'archived')) {
+            this.raise(`Session ${sessionId} is archived; OSM edits can no longer be recorded`);
+        }
+
+        if (!this.findRow('participants', row => row.id === participantId && row.session_id === sessionId)) {
+            this.raise(`Participant ${participantId} is not registered for session ${sessionId}`);
+        }
+
+        const member = this.rows('team_members', row => row.participant_id === participantId)
+            .find(row => this.findRow('teams', team => team.id === row.team_id && team.session_id === sessionId));
+        const participantTeamId = member ? member.team_id : null;
+
+        const isKnown = value => value !== null && value !== undefined;
+        let recorded = 0;
+        let skipped = 0;
+        let unattributed = 0;
+
+        const hasUnboundedTerritory = this.rows('team_territories', row => row.session_id === sessionId)
+            .some(assignment => {
+                const territory = this.findRow('territories', row => row.id === assignment.territory_id);
+                return territory && ['min_lat', 'min_lon', 'max_lat', 'max_lon'].some(column => !isKnown(territory[column]));
+            });
+
+        (changesets || []).forEach(changeset => {
+            let match = null;
+
+            if (isKnown(changeset.min_lat) && isKnown(changeset.max_lat)) {
+                const box = {
+                    minLat: Number(changeset.min_lat), minLon: Number(changeset.min_lon),
+                    maxLat: Number(changeset.max_lat), maxLon: Number(changeset.max_lon)
+                };
+
+                match = this.rows('team_territories', row => row.session_id === sessionId)
+                    .map(assignment => ({
+                        assignment,
+                        territory: this.findRow('territories', row => row.id === assignment.territory_id)
+                    }))
+                    .filter(({ territory }) => territory && isKnown(territory.min_lat) &&
+                        territory.min_lat <= box.maxLat && territory.max_lat >= box.minLat &&
+                        territory.min_lon <= box.maxLon && territory.max_lon >= box.minLon)
+                    .map(({ assignment, territory }) => ({
+                        assignment,
+                        ownTeam: assignment.team_id === participantTeamId,
+                        overlap: (Math.min(territory.max_lat, box.maxLat) - Math.max(territory.min_lat, box.minLat)) *
+                            (Math.min(territory.max_lon, box.maxLon) - Math.max(territory.min_lon, box.minLon))
+                    }))
+                    .sort((a, b) => b.ownTeam - a.ownTeam || b.overlap - a.overlap)[0] || null;
+            }
+
+            if (!match) {
+                // It may belong to a territory whose bounds are not known yet
+                if (hasUnboundedTerritory && isKnown(changeset.min_lat)) {
+                    unattributed++;
+                } else {
+                    skipped++;
+                }
+                return;
+            }
+
+            const counts = {
+                team_territory_id: match.assignment.id,
+                participant_id: participantId,
+                power_created: Number(changeset.power_created) || 0,
+                power_modified: Number(changeset.power_modified) || 0,
+                power_deleted: Number(changeset.power_deleted) || 0,
+                power_by_type: changeset.power_by_type || {},
+                analyzed_at: this.now()
+            };
+            const changesetId = Number(changeset.changeset_id);
+            const existing = this.findRow('territory_changesets', row =>
+                row.session_id === sessionId && row.changeset_id === changesetId
+            );
+
+            if (existing) {
+                this.updateRows('territory_changesets', row => row.id === existing.id, counts);
+            } else {
+                this.insertRow('territory_changesets', {
+                    ...counts,
+                    session_id: sessionId,
+                    changeset_id: changesetId,
+                    changeset_created_at: changeset.created_at || null,
+                    min_lat: isKnown(changeset.min_lat) ? Number(changeset.min_lat) : null,
+                    min_lon: isKnown(changeset.min_lon) ? Number(changeset.min_lon) : null,
+                    max_lat: isKnown(changeset.max_lat) ? Number(changeset.max_lat) : null,
+                    max_lon: isKnown(changeset.max_lon) ? Number(changeset.max_lon) : null
+                });
+            }
+            recorded++;
+        });
+
+        return { success: true, session_id: sessionId, participant_id: participantId, recorded, skipped, unattributed };
+    }
+
+    recordSessionChangesets({
+        session_id_param: sessionId,
+        coordinator_token_param: coordinatorToken,
+        participant_id_param: participantId,
+        changesets_param: changesets
+    }) {
+        this.assertSessionCoordinator(sessionId, coordinatorToken);
+
+        return this.recordTerritoryChangesets(sessionId, participantId, changesets);
+    }
+
+    // ================================
+    // TAG COMPLETENESS
+    // ================================
+
+    /**
+     * record_tag_completeness(): store a count on an assignment, keeping the
+     * coordinator's first count as baseline
+     * @private
+     */
+    recordTagCompleteness(assignmentId, stats, setBaseline) {
+        if (!stats || typeof stats !== 'object' || Array.isArray(stats)) {
+            this.raise('Tag completeness counts must be a JSON object');
+        }
+
+        const assignment = this.findRow('team_territories', row => row.id === assignmentId);
+        if (assignment && this.findRow('sessions', row => row.id === assignment.session_id && row.status === 'archived')) {
+            this.raise('Session is archived; tag completeness can no longer be recorded');
+        }
+
+        if (!assignment) {
+            this.raise(`Territory assignment ${assignmentId} not found`);
+        }
+
+        const now = this.now();
+        const updated = this.updateRows('team_territories', row => row.id === assignmentId, row => ({
+            tag_completeness_baseline: row.tag_completeness_baseline || (setBaseline ? stats : null),
+            tag_completeness_baseline_at: row.tag_completeness_baseline_at || (setBaseline ? now : null),
+            tag_completeness_latest: stats,
+            tag_completeness_latest_at: now
+        }))[0];
+
+        return {
+            success: true,
+            assignment_id: updated.id,
+            baseline: updated.tag_completeness_baseline,
+            baseline_at: updated.tag_completeness_baseline_at,
+            latest: updated.tag_completeness_latest,
+            latest_at: updated.tag_completeness_latest_at
+        };
+    }
+
+    recordAssignmentTagCompleteness({
+        assignment_id_param: assignmentId,
+        participant_id_param: participantId,
+        participant_token_param: participantToken,
+        stats_param: stats
+    }) {
+        this.assertAssignmentMember(assignmentId, participantId, participantToken);
+
+        return this.recordTagCompleteness(assignmentId, stats, false);
+    }
+
+    recordSessionTagCompleteness({
+        session_id_param: sessionId,
+        coordinator_token_param: coordinatorToken,
+        assignment_id_param: assignmentId,
+        stats_param: stats
+    }) {
+        this.assertSessionCoordinator(sessionId, coordinatorToken);
+
+        if (!this.findRow('team_territories', row => row.id === assignmentId && row.session_id === sessionId)) {
+            this.raise(`Territory assignment ${assignmentId} is not part of session ${sessionId}`);
+        }
+
+        return this.recordTagCompleteness(assignmentId, stats, true);
+    }
+
+    // ================================
+    // INFRASTRUCTURE SNAPSHOTS
+    // ================================
+
+    recordTerritorySnapshot({
+        session_id_param: sessionId,
+        coordinator_token_param: coordinatorToken,
+        assignment_id_param: assignmentId,
+        phase_param: phase,
+        metrics_param: metrics
+    }) {
+        this.assertSessionCoordinator(sessionId, coordinatorToken);
+
+        if (!['start', 'end'].includes(phase)) {
+            this.raise(`Invalid snapshot phase: ${phase}. Must be start or end`);
+        }
+
+        if (this.findRow('sessions', row => row.id === sessionId && row.status === 'archived')) {
+            this.raise(`Session ${sessionId} is archived; snapshots can no longer be recorded`);
+        }
+
+        if (!this.findRow('team_territories', row => row.id === assignmentId && row.session_id === sessionId)) {
+            this.raise(`Territory assignment ${assignmentId} is not part of session ${sessionId}`);
+        }
+
+        const metric = key => Number((metrics || {})[key]) || 0;
+        const values = {
+            lines: Math.round(metric('lines')),
+            cables: Math.round(metric('cables')),
+            substations: Math.round(metric('substations')),
+            plants: Math.round(metric('plants')),
+            generators: Math.round(metric('generators')),
+            total_features: Math.round(metric('total')),
+            line_km: metric('line_km'),
+            cable_km: metric('cable_km'),
+            captured_at: this.now()
+        };
+
+        const existing = this.findRow('territory_snapshots', row => row.team_territory_id === assignmentId && row.phase === phase);
+        const snapshot = existing
+            ? this.updateRows('territory_snapshots', row => row.id === existing.id, values)[0]
+            : this.insertRow('territory_snapshots', { session_id: sessionId, team_territory_id: assignmentId, phase, ...values });
+
+        return {
+            success: true,
+            assignment_id: snapshot.team_territory_id,
+            phase: snapshot.phase,
+            total_features: snapshot.total_features,
+            line_km: snapshot.line_km,
+            captured_at: snapshot.captured_at
+        };
+    }
+
+    getSessionImpactReport({ session_id_param: sessionId }) {
+        const session = this.findRow('sessions', row => row.id === sessionId);
+        if (!session) {
+            this.raise(`Session ${sessionId} not found`);
+        }
+
+        const round1 = value => Math.round(value * 10) / 10;
+        const countKeys = ['lines', 'cables', 'substations', 'plants', 'generators', 'total_features'];
+        const kmKeys = ['line_km', 'cable_km'];
+        const describe = snapshot => snapshot ? {
+            ...Object.fromEntries(countKeys.map(key => [key, snapshot[key]])),
+            ...Object.fromEntries(kmKeys.map(key => [key, round1(snapshot[key])])),
+            captured_at: snapshot.captured_at
+        } : null;
+        const emptyChange = () => Object.fromEntries([...countKeys, ...kmKeys].map(key => [key, 0]));
+
+        const pairs = this.rows('team_territories', row => row.session_id === sessionId)
+            .map(assignment => {
+                const territory = this.findRow('territories', row => row.id === assignment.territory_id);
+                const team = this.findRow('teams', row => row.id === assignment.team_id);
+                if (!territory || !team) return null;
+
+                const start = this.findRow('territory_snapshots', row => row.team_territory_id === assignment.id && row.phase === 'start');
+                const end = this.findRow('territory_snapshots', row => row.team_territory_id === assignment.id && row.phase === 'end');
+                const compared = !!(start && end);
+
+                return {
+                    assignment,
+                    territory,
+                    team,
+                    start,
+                    end,
+                    change: compared
+                        ? Object.fromEntries([...countKeys, ...kmKeys].map(key => [key, end[key] - start[key]]))
+                        : null
+                };
+            })
+            .filter(Boolean);
+
+        const addChange = (total, change) => {
+            if (change) {
+                Object.keys(total).forEach(key => { total[key] += change[key]; });
+            }
+            return total;
+        };
+        const roundKm = change => ({ ...change, line_km: round1(change.line_km), cable_km: round1(change.cable_km) });
+
+        const teams = new Map();
+        pairs.forEach(pair => {
+            const entry = teams.get(pair.team.id) || {
+                team: pair.team,
+                territories: 0,
+                territories_compared: 0,
+                change: emptyChange()
+            };
+            entry.territories++;
+            if (pair.change) entry.territories_compared++;
+            addChange(entry.change, pair.change);
+            teams.set(pair.team.id, entry);
+        });
+
+        return {
+            session_id: sessionId,
+            session_status: session.status,
+            territories_total: pairs.length,
+            territories_with_start: pairs.filter(pair => pair.start).length,
+            territories_with_end: pairs.filter(pair => pair.end).length,
+            territories_compared: pairs.filter(pair => pair.change).length,
+            totals: roundKm(pairs.reduce((total, pair) => addChange(total, pair.change), emptyChange())),
+            teams: [...teams.values()]
+                .sort((a, b) => b.change.total_features - a.change.total_features || a.team.team_index - b.team.team_index)
+                .map(entry => ({
+                    team_id: entry.team.id,
+                    team_name: entry.team.team_name,
+                    team_index: entry.team.team_index,
+                    territories: entry.territories,
+                    territories_compared: entry.territories_compared,
+                    change: roundKm(entry.change)
+                })),
+            territories: pairs
+                .slice()
+                .sort((a, b) => a.team.team_index - b.team.team_index || a.territory.name.localeCompare(b.territory.name))
+                .map(pair => ({
+                    assignment_id: pair.assignment.id,
+                    territory_name: pair.territory.name,
+                    iso_code: pair.territory.iso_code,
+                    status: pair.assignment.status,
+                    team_id: pair.team.id,
+                    team_name: pair.team.team_name,
+                    start: describe(pair.start),
+                    end: describe(pair.end),
+                    change: pair.change ? roundKm(pair.change) : null
+                }))
+        };
+    }
+
+    // ================================
+    // OSMOSE ISSUE CLAIMS
+    // ================================
+
+    updateOsmoseIssueClaim({
+        assignment_id_param: assignmentId,
+        participant_id_param: participantId,
+        participant_token_param: participantToken,
+        issue_param: issue,
+        new_status_param: newStatus
+    }) {
+        if (!['open', 'claimed', 'resolved', 'false_positive'].includes(newStatus)) {
+            this.raise(`Invalid issue status: ${newStatus}. Must be open, claimed, resolved or false_positive`);
+        }
+
+        const assignment = this.assertAssignmentMember(assignmentId, participantId, participantToken);
+
+        const issueId = String((issue || {}).id || '').trim();
+        if (!issueId) {
+            this.raise('Osmose issue ID is required');
+        }
+
+        const isClaim = row => row.session_id === assignment.session_id &&
+            row.team_id === assignment.team_id && row.issue_id === issueId;
+        const claim = this.findRow('osmose_issue_claims', isClaim);
+
+        if (newStatus === 'claimed' && claim && claim.status === 'claimed' && claim.claimed_by !== participantId) {
+            const claimer = this.findRow('participants', row => row.id === claim.claimed_by);
+            this.raise(`Osmose issue ${issueId} is already claimed by ${claimer ? claimer.first_name : 'a teammate'}`);
+        }
+
+        if (newStatus === 'open') {
+            this.deleteRows('osmose_issue_claims', isClaim);
+            return { success: true, issue_id: issueId, status: 'open' };
+        }
+
+        const record = claim
+            ? this.updateRows('osmose_issue_claims', row => row.id === claim.id, {
+                team_territory_id: assignmentId,
+                status: newStatus,
+                claimed_by: newStatus === 'claimed' ? participantId : claim.claimed_by,
+                updated_by: participantId,
+                auto_resolved: false,
+                updated_at: this.now()
+            })[0]
+            : this.insertRow('osmose_issue_claims', {
+                session_id: assignment.session_id,
+                team_id: assignment.team_id,
+                team_territory_id: assignmentId,
+                issue_id: issueId,
+                issue_type: issue.issue_type || null,
+                title: issue.title || null,
+                lat: issue.lat !== undefined && issue.lat !== null ? Number(issue.lat) : null,
+                lon: issue.lon !== undefined && issue.lon !== null ? Number(issue.lon) : null,
+                status: newStatus,
+                claimed_by: newStatus === 'claimed' ? participantId : null,
+                updated_by: participantId
+            });
+
+        return {
+            success: true,
+            issue_id: record.issue_id,
+            status: record.status,
+            claimed_by: record.claimed_by,
+            updated_at: record.updated_at
+        };
+    }
+
+    autoResolveOsmoseIssueClaims({
+        assignment_id_param: assignmentId,
+        participant_id_param: participantId,
+        participant_token_param: participantToken,
+        current_issue_ids_param: currentIssueIds,
+        checked_issue_types_param: checkedIssueTypes
+    }) {
+        const assignment = this.assertAssignmentMember(assignmentId, participantId, participantToken);
+        const current = (currentIssueIds || []).map(String);
+        const checked = (checkedIssueTypes || []).map(String);
+
+        const resolved = this.updateRows('osmose_issue_claims', row =>
+            row.team_id === assignment.team_id &&
+            row.team_territory_id === assignmentId &&
+            row.status === 'claimed' &&
+            checked.includes(row.issue_type) &&
+            !current.includes(row.issue_id),
+        {
+            status: 'resolved',
+            auto_resolved: true,
+            updated_by: null,
+            updated_at: this.now()
+        });
+
+        return {
+            success: true,
+            assignment_id: assignmentId,
+            resolved_count: resolved.length,
+            resolved_issue_ids: resolved.map(row => row.issue_id)
+        };
+    }
+
+    getTeamOsmoseIssueClaims({ team_id_param: teamId }) {
+        const claims = this.rows('osmose_issue_claims', row => row.team_id === teamId);
+        const firstName = participantId => {
+            const participant = participantId ? this.findRow('participants', row => row.id === participantId) : null;
+            return participant ? participant.first_name : null;
+        };
+
+        return {
+            team_id: teamId,
+            claimed: claims.filter(claim => claim.status === 'claimed').length,
+            resolved: claims.filter(claim => claim.status === 'resolved').length,
+            false_positive: claims.filter(claim => claim.status === 'false_positive').length,
+            claims: claims
+                .slice()
+                .sort((a, b) => this.compareValues(b.updated_at, a.updated_at))
+                .map(claim => ({
+                    issue_id: claim.issue_id,
+                    assignment_id: claim.team_territory_id,
+                    issue_type: claim.issue_type,
+                    title: claim.title,
+                    lat: claim.lat,
+                    lon: claim.lon,
+                    status: claim.status,
+                    auto_resolved: claim.auto_resolved,
+                    claimed_by: claim.claimed_by,
+                    claimed_by_name: firstName(claim.claimed_by),
+                    updated_by_name: firstName(claim.updated_by),
+                    updated_at: claim.updated_at
+                }))
+        };
+    }
+
+    // ================================
+    // TERRITORY BOUNDARY CACHE
+    // ================================
+
+    saveTerritoryBoundary({
+        osm_relation_id_param: osmRelationId,
+        cache_version_param: cacheVersion,
+        boundary_param: boundary,
+        session_id_param: sessionId,
+        coordinator_token_param: coordinatorToken,
+        participant_id_param: participantId,
+        participant_token_param: participantToken
+    }) {
+        if (coordinatorToken) {
+            this.assertSessionCoordinator(sessionId, coordinatorToken);
+        } else {
+            this.assertParticipantToken(participantId, participantToken);
+        }
+
+        const relationId = Number(osmRelationId);
+        if (!this.findRow('territories', row => Number(row.osm_relation_id) === relationId)) {
+            this.raise(`No territory with OSM relation ${osmRelationId}`);
+        }
+
+        // Keep in step with maxAgeDays in js/boundaryCache.js
+        const maxBoundaryAge = 90 * 24 * 60 * 60 * 1000;
+        if (!Number.isInteger(cacheVersion) || cacheVersion < 1) {
+            this.raise('A boundary cache version is required');
+        }
+
+        if (!boundary || boundary.type !== 'Feature' ||
+            !['Polygon', 'MultiPolygon'].includes(boundary.geometry?.type)) {
+            this.raise('Boundary must be a GeoJSON Feature with a Polygon or MultiPolygon geometry');
+        }
+
+        const existing = this.findRow('territory_boundaries', row => row.osm_relation_id === relationId);
+
+        // A fresh boundary or one of a newer version is already stored: keep it
+        if (existing && (existing.cache_version > cacheVersion || (existing.cache_version === cacheVersion &&
+            existing.fetched_at && Date.now() - Date.parse(existing.fetched_at) < maxBoundaryAge))) {
+            return {
+                success: true,
+                osm_relation_id: relationId,
+                cache_version: existing.cache_version,
+                saved: false
+            };
+        }
+
+        const values = { cache_version: cacheVersion, geojson: boundary, fetched_at: this.now() };
+        const saved = existing
+            ? this.updateRows('territory_boundaries', row => row.osm_relation_id === relationId, values)[0]
+            : this.insertRow('territory_boundaries', { osm_relation_id: relationId, ...values });
+
+        return {
+            success: true,
+            osm_relation_id: saved.osm_relation_id,
+            cache_version: saved.cache_version,
+            saved: true,
+            fetched_at: saved.fetched_at
+        };
+    }
+
+    // ================================
+    // SESSION LIFECYCLE
+    // ================================
+
+    closeSession({ session_id_param: sessionId, coordinator_token_param: coordinatorToken }) {
+        this.assertSessionCoordinator(sessionId, coordinatorToken);
+        this.assertSessionOpen(sessionId);
+
+        const session = this.updateRows('sessions', row => row.id === sessionId, {
+            status: 'completed',
+            completed_at: this.now()
+        })[0];
+
+        return { success: true, session_id: session.id, status: session.status, completed_at: session.completed_at };
+    }
+
+    archiveSession({ session_id_param: sessionId, coordinator_token_param: coordinatorToken }) {
+        this.assertSessionCoordinator(sessionId, coordinatorToken);
+
+        const session = this.updateRows('sessions', row => row.id === sessionId && row.status !== 'archived', row => ({
+            status: 'archived',
+            completed_at: row.completed_at || this.now(),
+            archived_at: this.now()
+        }))[0];
+
+        if (!session) {
+            this.raise(`Session ${sessionId} is already archived`);
+        }
+
+        return { success: true, session_id: session.id, status: session.status, archived_at: session.archived_at };
+    }
+
+    resetSession({ session_id_param: sessionId, coordinator_token_param: coordinatorToken }) {
+        this.assertSessionCoordinator(sessionId, coordinatorToken);
+
+        if (this.findRow('sessions', row => row.id === sessionId && row.status === 'archived')) {
+            this.raise(`Session ${sessionId} is archived and cannot be reset. Clone it instead.`);
+        }
+
+        const inSession = row => row.session_id === sessionId;
+        const teamIds = this.rows('teams', inSession).map(team => team.id);
+
+        const workUnitsDeleted = this.deleteRows('work_units', inSession);
+        const changesetsDeleted = this.deleteRows('territory_changesets', inSession);
+        const snapshotsDeleted = this.deleteRows('territory_snapshots', inSession);
+        const claimsDeleted = this.deleteRows('osmose_issue_claims', inSession);
+        // Kept as an audit log; the deleted teams and assignments are no longer referenced
+        this.updateRows('territory_reassignments', row => inSession(row) && !row.session_reset_at, {
+            session_reset_at: this.now()
+        });
+        this.updateRows('territory_reassignments', inSession, {
+            team_territory_id: null,
+            from_team_id: null,
+            to_team_id: null
+        });
+        const assignmentsDeleted = this.deleteRows('team_territories', inSession);
+        const membersDeleted = this.deleteRows('team_members', member => teamIds.includes(member.team_id));
+        const teamsDeleted = this.deleteRows('teams', inSession);
+
+        this.updateRows('sessions', row => row.id === sessionId, {
+            status: 'registering',
+            teams_formed_at: null,
+            completed_at: null,
+            distribution_strategy: null
+        });
+
+        return {
+            success: true,
+            session_id: sessionId,
+            status: 'registering',
+            teams_deleted: teamsDeleted,
+            members_deleted: membersDeleted,
+            assignments_deleted: assignmentsDeleted,
+            work_units_deleted: workUnitsDeleted,
+            changesets_deleted: changesetsDeleted,
+            snapshots_deleted: snapshotsDeleted,
+            osmose_claims_deleted: claimsDeleted
+        };
+    }
+
+    cloneSession({
+        session_id_param: sessionId,
+        coordinator_token_param: coordinatorToken,
+        new_session_id_param: newSessionId,
+        include_participants_param: includeParticipants = false
+    }) {
+        this.assertSessionCoordinator(sessionId, coordinatorToken);
+
+        if (!newSessionId || newSessionId.trim().length < 3) {
+            this.raise('Session ID must be at least 3 characters long');
+        }
+
+        if (this.findRow('sessions', row => row.id === newSessionId)) {
+            this.raise(`Session ${newSessionId} already exists`);
+        }
+
+        const source = this.getSession(sessionId);
+        this.insertRow('sessions', {
+            id: newSessionId,
+            name: `Session ${newSessionId}`,
+            description: source.description,
+            status: 'registering',
+            country_code: source.country_code,
+            distribution_strategy: source.distribution_strategy,
+            team_size: source.team_size,
+            osmose_issue_types: source.osmose_issue_types,
+            cloned_from: source.id
+        });
+
+        const sourceCoordinator = this.findRow('session_coordinators', row => row.session_id === sessionId);
+        const coordinator = this.insertRow('session_coordinators', {
+            session_id: newSessionId,
+            passphrase_hash: sourceCoordinator.passphrase_hash,
+            last_login_at: this.now()
+        });
+
+        let participantsCopied = 0;
+        if (includeParticipants) {
+            this.rows('participants', row => row.session_id === sessionId)
+                .slice()
+                .sort((a, b) => this.compareValues(a.created_at, b.created_at))
+                .forEach(participant => {
+                    this.insertRow('participants', {
+                        first_name: participant.first_name,
+                        osm_username: participant.osm_username,
+                        session_id: newSessionId,
+                        role_preference: participant.role_preference,
+                        experience_level: participant.experience_level
+                    });
+                    participantsCopied++;
+                });
+        }
+
+        return {
+            success: true,
+            session_id: newSessionId,
+            cloned_from: sessionId,
+            coordinator_token: coordinator.coordinator_token,
+            participants_copied: participantsCopied
+        };
+    }
+}
+
+/**
+ * SupabaseTeamManager running against the offline mock backend
+ */
+class MockTeamManager extends SupabaseTeamManager {
+    /**
+     * @param {object} config - Mock configuration (config.mock): storageKey, persist
+     */
+    constructor(config = {}) {
+        super({ ...config, url: 'mock://grid-tycoon', client: new MockSupabaseClient(config) });
+
+        console.log('MockTeamManager initialized - all data stays in this browser');
+    }
+
+    /**
+     * Delete every session, participant and team stored by the mock backend
+     */
+    clearMockDatabase() {
+        this.supabase.clear();
+    }
+
+    /**
+     * Get manager statistics and configuration
+     * @returns {object} Manager status and configuration
+     */
+    getManagerStats() {
+        const stats = super.getManagerStats();
+        return {
+            ...stats,
+            mockMode: true,
+            databaseUrl: 'mock (browser storage)',
+            features: [...stats.features, 'Offline mock backend']
+        };
+    }
+}
+
+// Export for global use
+if (typeof window !== 'undefined') {
+    window.MockSupabaseClient = MockSupabaseClient;
+    window.MockTeamManager = MockTeamManager;
+}
+
+// Export for Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MockSupabaseClient, MockTeamManager };
+}
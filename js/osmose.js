@@ -1,41 +1,168 @@
 /**
  * Osmose Integration for Grid Tycoon v3.0
  *
- * Generates download URLs for Osmose API quality assurance issues for Indian territories.
- * Downloads GeoJSON files that can be loaded into JOSM or other mapping tools.
+ * Generates download URLs for Osmose API quality assurance issues for session territories.
+ * Fetches the issue types selected for the session or the participant's role and
+ * merges them into one GeoJSON file that can be loaded into JOSM or other mapping tools.
  *
- * Uses the format: india_territoryname* (e.g., india_maharashtra*, india_karnataka*)
+ * Countries with an Osmose region prefix in countries.js use the format
+ * prefix_territoryname* (e.g., india_maharashtra*, india_karnataka*); other
+ * countries are queried by the territory's bounding box.
  *
  * @version 3.0
  * @author Grid Tycoon Team
  */
 
-// Common power-related Osmose issue types
+// Power-related Osmose issue types. `key` is the item/class pair stored in a
+// session's osmose_issue_types; `roles` are the team roles that get the type by
+// default. The item 7040 ("Power lines" analyser) classes below are always
+// available; loadPowerIssueTypes() adds the other power items Osmose lists.
 const powerIssueTypes = [
-  { item: 7040, class: 2, name: 'Unfinished Major Line' }
+  { key: '7040/1', item: 7040, class: 1, name: 'Lone power tower or pole', roles: ['Pioneer'] },
+  { key: '7040/2', item: 7040, class: 2, name: 'Unfinished major power line', roles: ['Pioneer', 'Seeker'] },
+  { key: '7040/3', item: 7040, class: 3, name: 'Connection between different voltages', roles: ['Technician'] },
+  { key: '7040/4', item: 7040, class: 4, name: 'Non-power node on power line', roles: ['Technician'] },
+  { key: '7040/5', item: 7040, class: 5, name: 'Missing power tower or pole', roles: ['Pioneer'] },
+  { key: '7040/6', item: 7040, class: 6, name: 'Unfinished minor power line', roles: ['Pioneer'] },
+  { key: '7040/7', item: 7040, class: 7, name: 'Line voltage does not match substation', roles: ['Technician', 'Seeker'] },
+  { key: '7040/8', item: 7040, class: 8, name: 'Power line and support inconsistency', roles: ['Technician'] }
 ];
 
+// Osmose tag that marks an item as power-related in the items API
+const powerItemTag = 'power';
+
+// Used when neither the session nor the participant's role selects any type
+const defaultIssueTypeKeys = ['7040/2'];
+
+// Osmose returns at most this many issues per request unless options.limit says otherwise
+const defaultIssueLimit = 5000;
+
+/**
+ * Pick the Osmose issue types to fetch. A session's own selection wins; otherwise
+ * the participant's role decides; otherwise the default (unfinished major lines).
+ * @param {object} options - Selection inputs
+ * @param {Array<string>} options.sessionTypes - item/class keys configured on the session (e.g. ['7040/2'])
+ * @param {string} options.role - Team role name (Pioneer, Technician or Seeker)
+ * @returns {Array<object>} Entries of powerIssueTypes
+ */
+function getOsmoseIssueTypes(options = {}) {
+  if (options.sessionTypes && options.sessionTypes.length > 0) {
+    return options.sessionTypes.map(key => {
+      const known = powerIssueTypes.find(type => type.key === key);
+      if (known) return known;
+
+      // Items outside the catalogue can still be configured by item/class
+      const [item, classNum] = key.split('/').map(Number);
+      return { key, item, class: classNum, name: `Osmose item ${item} class ${classNum}`, roles: [] };
+    });
+  }
+
+  const roleTypes = powerIssueTypes.filter(type => type.roles.includes(options.role));
+  if (roleTypes.length > 0) return roleTypes;
+
+  return powerIssueTypes.filter(type => defaultIssueTypeKeys.includes(type.key));
+}
+
+/**
+ * Add every class of the power-tagged Osmose items to powerIssueTypes, so the
+ * coordinator can select issue types beyond the built-in item 7040 classes.
+ * Built-in entries keep their names and roles; new ones get no default roles.
+ * @returns {Promise<object>} Result with data: {added: number, total: number}
+ */
+async function loadPowerIssueTypes() {
+  try {
+    const response = await fetch('https://osmose.openstreetmap.fr/api/0.3/items');
+
+    if (!response.ok) {
+      throw new Error(`Osmose API returned ${response.status}: ${response.statusText}`);
+    }
+
+    // Titles are {auto: 'text'} (or {en: 'text'}) translations
+    const titleText = title => typeof title === 'string' ? title : (title?.auto || title?.en || '');
+
+    let added = 0;
+    const categories = (await response.json()).categories || [];
+    categories.forEach(category => {
+      (category.items || [])
+        .filter(item => (item.tags || []).includes(powerItemTag))
+        .forEach(item => {
+          (item.class || []).forEach(itemClass => {
+            const key = `${item.item}/${itemClass.class}`;
+            if (powerIssueTypes.some(type => type.key === key)) return;
+
+            powerIssueTypes.push({
+              key,
+              item: item.item,
+              class: itemClass.class,
+              name: titleText(itemClass.title) || `${titleText(item.title)} (class ${itemClass.class})`,
+              roles: []
+            });
+            added++;
+          });
+        });
+    });
+
+    console.log(`Loaded ${added} more power issue types from Osmose (${powerIssueTypes.length} in total)`);
+
+    return {
+      success: true,
+      data: { added, total: powerIssueTypes.length }
+    };
+
+  } catch (error) {
+    console.warn('Could not load the Osmose power issue types; using the built-in list:', error.message);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Normalize a territory name for Osmose region names and file names
+ * (lowercase ASCII, spaces to underscores)
+ * @param {string} territoryName - Name of the territory (e.g., "São Paulo")
+ * @returns {string} Normalized name (e.g., "sao_paulo")
+ */
+function normalizeOsmoseName(territoryName) {
+  return territoryName
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\s+/g, '_');
+}
+
 /**
  * Generate Osmose API URL for downloading issues
  * @param {string} territoryName - Name of the territory (e.g., "Maharashtra")
- * @param {string} isoCode - ISO 3166-2 code (e.g., "IN-MH")
+ * @param {string} isoCode - ISO 3166-2 code (e.g., "IN-MH"); its prefix selects the country config
  * @param {object} options - Optional parameters
  * @param {number} options.item - Osmose item number (defaults to 7040 - Unfinished Major Line)
  * @param {number} options.class - Osmose class number (defaults to 2)
  * @param {number} options.limit - Maximum number of issues to fetch (default: 5000)
+ * @param {object} options.bounds - Territory bounds {minLat, minLon, maxLat, maxLon}, used when
+ *                                  the country has no Osmose region prefix
  * @returns {string} URL to download Osmose issues as JSON
  */
 function generateOsmoseDownloadUrl(territoryName, isoCode, options = {}) {
   console.log(`Generating Osmose download URL for ${territoryName} (${isoCode})`);
 
-  // Normalize territory name: lowercase and replace spaces with underscores
-  const normalizedTerritoryName = territoryName.toLowerCase().replace(/\s+/g, '_');
+  const countryConfig = getCountryConfig(isoCode.slice(0, 2));
+  const limit = options.limit || defaultIssueLimit;
 
-  // Use format: india_territoryname* (e.g., india_maharashtra*)
-  const country = `india_${normalizedTerritoryName}*`;
-  const limit = options.limit || 5000;
-
-  console.log(`Using Osmose region: ${country}`);
+  let areaFilter;
+  if (countryConfig.osmoseRegionPrefix) {
+    // Use format: prefix_territoryname* (e.g., india_maharashtra*)
+    const region = `${countryConfig.osmoseRegionPrefix}_${normalizeOsmoseName(territoryName)}*`;
+    console.log(`Using Osmose region: ${region}`);
+    areaFilter = `country=${encodeURIComponent(region)}`;
+  } else if (options.bounds) {
+    const { minLat, minLon, maxLat, maxLon } = options.bounds;
+    console.log(`Using Osmose bounding box for ${countryConfig.name}`);
+    areaFilter = `bbox=${minLon},${minLat},${maxLon},${maxLat}`;
+  } else {
+    throw new Error(`No Osmose region configured for ${countryConfig.name} and no bounds available for ${territoryName}`);
+  }
 
   // Default to Unfinished Major Line (most common issue)
   const item = options.item || 7040;
@@ -43,7 +170,7 @@ function generateOsmoseDownloadUrl(territoryName, isoCode, options = {}) {
 
   const apiUrl =
     `https://osmose.openstreetmap.fr/api/0.3/issues.geojson?` +
-    `country=${encodeURIComponent(country)}` +
+    areaFilter +
     `&item=${item}&class=${classNum}&limit=${limit}` +
     `&useDevItem=all`;
 
@@ -53,31 +180,123 @@ function generateOsmoseDownloadUrl(territoryName, isoCode, options = {}) {
 }
 
 /**
- * Download Osmose issues for an Indian territory automatically
+ * Fetch several Osmose issue types for a territory and merge them into one GeoJSON
+ * FeatureCollection. Each feature keeps its type in `properties.issue_type` (the
+ * item/class key) and `properties.issue_label`; `title` falls back to the label.
  * @param {string} territoryName - Name of the territory (e.g., "Maharashtra")
  * @param {string} isoCode - ISO 3166-2 code (e.g., "IN-MH")
  * @param {object} options - Optional parameters
- * @returns {Promise<object>} Result with download URL
+ * @param {Array<object>} options.issueTypes - Entries from getOsmoseIssueTypes() (defaults to the default types)
+ * @param {number} options.limit - Maximum issues per type (default: 5000)
+ * @param {object} options.bounds - Territory bounds, used when the country has no Osmose region prefix
+ * @returns {Promise<object>} Result with data: {geoJSON, counts: {key: number}, failedTypes: [{key, error}],
+ *                            truncatedTypes: [key]} where truncated types hit the limit and may have more issues
+ */
+async function fetchOsmoseIssuesForTerritory(territoryName, isoCode, options = {}) {
+  try {
+    const issueTypes = options.issueTypes && options.issueTypes.length > 0
+      ? options.issueTypes
+      : getOsmoseIssueTypes();
+
+    const features = [];
+    const seenIssueIds = new Set();
+    const counts = {};
+    const failedTypes = [];
+    const truncatedTypes = [];
+    const limit = options.limit || defaultIssueLimit;
+
+    for (const issueType of issueTypes) {
+      const url = generateOsmoseDownloadUrl(territoryName, isoCode, {
+        ...options,
+        item: issueType.item,
+        class: issueType.class
+      });
+
+      try {
+        const response = await fetch(url);
+        if (!response.ok) {
+          throw new Error(`Osmose API returned ${response.status}: ${response.statusText}`);
+        }
+
+        const typeFeatures = (await response.json()).features || [];
+        counts[issueType.key] = typeFeatures.length;
+        if (typeFeatures.length >= limit) {
+          console.warn(`Osmose ${issueType.key} returned the maximum of ${limit} issues for ${territoryName}; some may be missing`);
+          truncatedTypes.push(issueType.key);
+        }
+
+        typeFeatures.forEach(feature => {
+          const issueId = feature.properties?.id;
+          if (issueId && seenIssueIds.has(issueId)) return;
+          if (issueId) seenIssueIds.add(issueId);
+
+          feature.properties = {
+            ...feature.properties,
+            item: feature.properties?.item ?? issueType.item,
+            class: feature.properties?.class ?? issueType.class,
+            title: feature.properties?.title || issueType.name,
+            issue_type: issueType.key,
+            issue_label: issueType.name
+          };
+          features.push(feature);
+        });
+
+      } catch (error) {
+        console.warn(`Osmose ${issueType.key} (${issueType.name}) failed for ${territoryName}:`, error.message);
+        failedTypes.push({ key: issueType.key, error: error.message });
+      }
+    }
+
+    if (failedTypes.length === issueTypes.length) {
+      throw new Error(failedTypes[0].error);
+    }
+
+    console.log(`Fetched ${features.length} Osmose issues of ${issueTypes.length} types for ${territoryName}`);
+
+    return {
+      success: true,
+      data: {
+        geoJSON: { type: 'FeatureCollection', features },
+        counts,
+        failedTypes,
+        truncatedTypes
+      }
+    };
+
+  } catch (error) {
+    console.error('Error fetching Osmose issues:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Download Osmose issues for a territory automatically, merged into one GeoJSON file
+ * @param {string} territoryName - Name of the territory (e.g., "Maharashtra")
+ * @param {string} isoCode - ISO 3166-2 code (e.g., "IN-MH")
+ * @param {object} options - Optional parameters (see fetchOsmoseIssuesForTerritory)
+ * @returns {Promise<object>} Result with file name and per-type counts
  */
 async function downloadOsmoseIssuesForTerritory(territoryName, isoCode, options = {}) {
   try {
     console.log(`Fetching Osmose issues for ${territoryName} (${isoCode})`);
 
-    const downloadUrl = generateOsmoseDownloadUrl(territoryName, isoCode, options);
+    // Create a safe filename: osmose_issues_<country>_territoryname.geojson
+    const countryConfig = getCountryConfig(isoCode.slice(0, 2));
+    const countryPrefix = countryConfig.osmoseRegionPrefix || countryConfig.code.toLowerCase();
+    const safeFileName = `osmose_issues_${countryPrefix}_${normalizeOsmoseName(territoryName)}.geojson`;
 
-    // Create a safe filename: osmose_issues_india_territoryname.geojson
-    const normalizedTerritoryName = territoryName.replace(/\s+/g, '_');
-    const safeFileName = `osmose_issues_india_${normalizedTerritoryName}.geojson`;
+    // Fetch and merge every selected issue type
+    const fetchResult = await fetchOsmoseIssuesForTerritory(territoryName, isoCode, options);
 
-    // Fetch the data from Osmose API
-    const response = await fetch(downloadUrl);
-
-    if (!response.ok) {
-      throw new Error(`Osmose API returned ${response.status}: ${response.statusText}`);
+    if (!fetchResult.success) {
+      throw new Error(fetchResult.error);
     }
 
     // Get the JSON data as text
-    const jsonText = await response.text();
+    const jsonText = JSON.stringify(fetchResult.data.geoJSON);
 
     // Create a Blob from the JSON text
     const blob = new Blob([jsonText], { type: 'application/json' });
@@ -106,10 +325,12 @@ async function downloadOsmoseIssuesForTerritory(territoryName, isoCode, options
     return {
       success: true,
       data: {
-        downloadUrl,
         fileName: safeFileName,
         territoryName,
-        isoCode
+        isoCode,
+        issueCount: fetchResult.data.geoJSON.features.length,
+        counts: fetchResult.data.counts,
+        failedTypes: fetchResult.data.failedTypes
       }
     };
 
@@ -122,13 +343,58 @@ async function downloadOsmoseIssuesForTerritory(territoryName, isoCode, options
   }
 }
 
+/**
+ * Fetch the OSM elements an Osmose issue points at
+ * @param {string} issueId - Osmose issue UUID (the `id` property of an issue feature)
+ * @returns {Promise<object>} Result with data: [{type: 'node'|'way'|'relation', id: number}]
+ */
+async function fetchOsmoseIssueElements(issueId) {
+  try {
+    const response = await fetch(`https://osmose.openstreetmap.fr/api/0.3/issue/${encodeURIComponent(issueId)}`);
+
+    if (!response.ok) {
+      throw new Error(`Osmose API returned ${response.status}: ${response.statusText}`);
+    }
+
+    const issue = await response.json();
+    const elements = (issue.elems || [])
+      .filter(elem => ['node', 'way', 'relation'].includes(elem.type) && elem.id)
+      .map(elem => ({ type: elem.type, id: elem.id }));
+
+    return {
+      success: true,
+      data: elements
+    };
+
+  } catch (error) {
+    console.error('Error fetching Osmose issue elements:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
 // Export for use in Grid Tycoon app
 if (typeof window !== 'undefined') {
   window.downloadOsmoseIssuesForTerritory = downloadOsmoseIssuesForTerritory;
+  window.fetchOsmoseIssuesForTerritory = fetchOsmoseIssuesForTerritory;
   window.generateOsmoseDownloadUrl = generateOsmoseDownloadUrl;
+  window.fetchOsmoseIssueElements = fetchOsmoseIssueElements;
+  window.getOsmoseIssueTypes = getOsmoseIssueTypes;
+  window.loadPowerIssueTypes = loadPowerIssueTypes;
+  window.powerIssueTypes = powerIssueTypes;
 }
 
 // Export for Node.js environments (optional)
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { downloadOsmoseIssuesForTerritory, generateOsmoseDownloadUrl };
+  module.exports = {
+    downloadOsmoseIssuesForTerritory,
+    fetchOsmoseIssuesForTerritory,
+    generateOsmoseDownloadUrl,
+    fetchOsmoseIssueElements,
+    getOsmoseIssueTypes,
+    loadPowerIssueTypes,
+    powerIssueTypes
+  };
 }
@@ -20,49 +20,12 @@ class OverpassAPI {
         ];
         this.timeout = this.config.timeout || 300;
         this.currentServerIndex = 0;
+
+        // Work unit limits: grid cell size in degrees and maximum units per territory
+        this.gridCellSize = this.config.gridCellSize || 1.0;
+        this.maxWorkUnits = this.config.maxWorkUnits || 60;
         
-        // Territory data with ISO codes as primary identifier
-        this.territories = [
-            {name: 'Andhra Pradesh', isoCode: 'IN-AP', osmRelationId: 1656186, placeType: 'state'},
-            {name: 'Arunachal Pradesh', isoCode: 'IN-AR', osmRelationId: 1656183, placeType: 'state'},
-            {name: 'Assam', isoCode: 'IN-AS', osmRelationId: 1656184, placeType: 'state'},
-            {name: 'Bihar', isoCode: 'IN-BR', osmRelationId: 1656168, placeType: 'state'},
-            {name: 'Chhattisgarh', isoCode: 'IN-CT', osmRelationId: 1656170, placeType: 'state'},
-            {name: 'Goa', isoCode: 'IN-GA', osmRelationId: 1656929, placeType: 'state'},
-            {name: 'Gujarat', isoCode: 'IN-GJ', osmRelationId: 1656190, placeType: 'state'},
-            {name: 'Haryana', isoCode: 'IN-HR', osmRelationId: 1656180, placeType: 'state'},
-            {name: 'Himachal Pradesh', isoCode: 'IN-HP', osmRelationId: 1656178, placeType: 'state'},
-            {name: 'Jharkhand', isoCode: 'IN-JH', osmRelationId: 1656166, placeType: 'state'},
-            {name: 'Karnataka', isoCode: 'IN-KA', osmRelationId: 1656160, placeType: 'state'},
-            {name: 'Kerala', isoCode: 'IN-KL', osmRelationId: 1656161, placeType: 'state'},
-            {name: 'Madhya Pradesh', isoCode: 'IN-MP', osmRelationId: 1656172, placeType: 'state'},
-            {name: 'Maharashtra', isoCode: 'IN-MH', osmRelationId: 1656179, placeType: 'state'},
-            {name: 'Manipur', isoCode: 'IN-MN', osmRelationId: 1656227, placeType: 'state'},
-            {name: 'Meghalaya', isoCode: 'IN-ML', osmRelationId: 1656174, placeType: 'state'},
-            {name: 'Mizoram', isoCode: 'IN-MZ', osmRelationId: 1656175, placeType: 'state'},
-            {name: 'Nagaland', isoCode: 'IN-NL', osmRelationId: 1656176, placeType: 'state'},
-            {name: 'Odisha', isoCode: 'IN-OR', osmRelationId: 1656177, placeType: 'state'},
-            {name: 'Punjab', isoCode: 'IN-PB', osmRelationId: 1656181, placeType: 'state'},
-            {name: 'Rajasthan', isoCode: 'IN-RJ', osmRelationId: 1656182, placeType: 'state'},
-            {name: 'Sikkim', isoCode: 'IN-SK', osmRelationId: 1656185, placeType: 'state'},
-            {name: 'Tamil Nadu', isoCode: 'IN-TN', osmRelationId: 1656187, placeType: 'state'},
-            {name: 'Telangana', isoCode: 'IN-TG', osmRelationId: 1656188, placeType: 'state'},
-            {name: 'Tripura', isoCode: 'IN-TR', osmRelationId: 1656189, placeType: 'state'},
-            {name: 'Uttar Pradesh', isoCode: 'IN-UP', osmRelationId: 1656191, placeType: 'state'},
-            {name: 'Uttarakhand', isoCode: 'IN-UT', osmRelationId: 1656192, placeType: 'state'},
-            {name: 'West Bengal', isoCode: 'IN-WB', osmRelationId: 1656193, placeType: 'state'},
-            // Union Territories
-            {name: 'Andaman and Nicobar Islands', isoCode: 'IN-AN', osmRelationId: 1656194, placeType: 'union_territory'},
-            {name: 'Chandigarh', isoCode: 'IN-CH', osmRelationId: 1656195, placeType: 'union_territory'},
-            {name: 'Dadra and Nagar Haveli and Daman and Diu', isoCode: 'IN-DH', osmRelationId: 1656196, placeType: 'union_territory'},
-            {name: 'Delhi', isoCode: 'IN-DL', osmRelationId: 1656197, placeType: 'union_territory'},
-            {name: 'Jammu and Kashmir', isoCode: 'IN-JK', osmRelationId: 1656198, placeType: 'union_territory'},
-            {name: 'Ladakh', isoCode: 'IN-LA', osmRelationId: 1656199, placeType: 'union_territory'},
-            {name: 'Lakshadweep', isoCode: 'IN-LD', osmRelationId: 1656200, placeType: 'union_territory'},
-            {name: 'Puducherry', isoCode: 'IN-PY', osmRelationId: 1656201, placeType: 'union_territory'}
-        ];
-        
-        console.log('OverpassAPI v3.3 initialized with ISO code support for', this.territories.length, 'territories');
+        console.log('OverpassAPI v3.3 initialized with ISO code support');
     }
 
     // ================================
@@ -70,39 +33,51 @@ class OverpassAPI {
     // ================================
 
     /**
-     * Fetch Indian territories using API and fallback data
+     * Fetch a country's first-level territories using API and fallback data
+     * @param {string} countryCode - ISO 3166-1 alpha-2 code (e.g., 'IN')
      * @returns {Promise<{success: boolean, data?: Array, error?: string}>}
      */
-    async fetchIndianStates() {
+    async fetchTerritories(countryCode = DEFAULT_COUNTRY_CODE) {
+        const country = getCountryConfig(countryCode);
+
         try {
-            console.log('Attempting to fetch states from Overpass API...');
+            console.log(`Attempting to fetch ${country.name} territories from Overpass API...`);
             
-            const apiStates = await this.fetchStatesFromAPI();
-            if (apiStates && apiStates.length > 0) {
-                console.log(`Success! Found ${apiStates.length} states from API`);
+            const apiTerritories = await this.fetchTerritoriesFromAPI(country);
+            if (apiTerritories && apiTerritories.length > 0) {
+                console.log(`Success! Found ${apiTerritories.length} territories from API`);
                 return {
                     success: true,
-                    data: this.formatTerritoriesForDatabase(apiStates),
+                    data: this.formatTerritoriesForDatabase(apiTerritories, country.code),
                     source: 'api'
                 };
             }
         } catch (error) {
             console.warn('API fetch failed, using fallback data:', error.message);
         }
+
+        if (country.territories.length === 0) {
+            return {
+                success: false,
+                error: `Could not fetch territories for ${country.name} from Overpass and no embedded list is configured`
+            };
+        }
         
         console.log('Using embedded territory data');
         
-        const fallbackFormatted = this.territories.map(territory => ({
+        const fallbackFormatted = country.territories.map(territory => ({
             name: territory.name,
             isoCode: territory.isoCode,
             osmRelationId: territory.osmRelationId,
             nameEn: territory.name,
-            placeType: territory.placeType
+            placeType: territory.placeType,
+            center: territory.center,
+            bounds: null
         }));
         
         return {
             success: true,
-            data: this.formatTerritoriesForDatabase(fallbackFormatted),
+            data: this.formatTerritoriesForDatabase(fallbackFormatted, country.code),
             source: 'fallback'
         };
     }
@@ -110,20 +85,23 @@ class OverpassAPI {
     /**
      * Fetch territories from Overpass API
      * @private
+     * @param {object} country - Country configuration from getCountryConfig()
      */
-    async fetchStatesFromAPI() {
+    async fetchTerritoriesFromAPI(country) {
+        const adminLevel = country.subdivisionAdminLevel;
         const queries = [
             `[out:json][timeout:${this.timeout}];
 (
-  relation["boundary"="administrative"]["admin_level"="4"]["country"="IN"];
+  relation["boundary"="administrative"]["admin_level"="${adminLevel}"]["ISO3166-2"~"^${country.code}-"];
 );
-out tags;`,
+out tags bb;`,
             
             `[out:json][timeout:120];
+area["ISO3166-1"="${country.code}"]["admin_level"="2"]->.country;
 (
-  relation["boundary"="administrative"]["admin_level"="4"]["ISO3166-2"~"^IN-"];
+  relation["boundary"="administrative"]["admin_level"="${adminLevel}"](area.country);
 );
-out tags;`
+out tags bb;`
         ];
 
         for (let queryIndex = 0; queryIndex < queries.length; queryIndex++) {
@@ -132,7 +110,7 @@ out tags;`
                 
                 const result = await this.executeQuery(queries[queryIndex]);
                 if (result.success) {
-                    const territories = this.processAPITerritoryData(result.data);
+                    const territories = this.processAPITerritoryData(result.data, country.code);
                     if (territories.length > 0) {
                         return territories;
                     }
@@ -150,25 +128,28 @@ out tags;`
      * Process raw API data into standardized territory objects
      * @private
      */
-    processAPITerritoryData(data) {
+    processAPITerritoryData(data, countryCode) {
         if (!data?.elements?.length) {
             return [];
         }
 
         return data.elements
             .filter(element => element.tags?.name && element.id && element.tags['ISO3166-2'])
-            .filter(element => {
-                const tags = element.tags;
-                return tags.country === 'IN' || tags['ISO3166-2']?.startsWith('IN-');
+            .filter(element => this.validateISOCode(element.tags['ISO3166-2'], countryCode))
+            .map(element => {
+                const bounds = element.bounds ? this.boundsFromOverpass(element.bounds) : null;
+                const population = parseInt(String(element.tags.population || '').replace(/[\s,.]/g, ''), 10);
+                return {
+                    name: element.tags.name,
+                    isoCode: element.tags['ISO3166-2'].toUpperCase(),
+                    osmRelationId: element.id,
+                    nameEn: element.tags['name:en'] || element.tags.name,
+                    placeType: this.determinePlaceType(element.tags, countryCode),
+                    center: bounds ? [(bounds.minLat + bounds.maxLat) / 2, (bounds.minLon + bounds.maxLon) / 2] : null,
+                    bounds,
+                    population: Number.isFinite(population) ? population : null
+                };
             })
-            .map(element => ({
-                name: element.tags.name,
-                isoCode: element.tags['ISO3166-2'],
-                osmRelationId: element.id,
-                nameEn: element.tags['name:en'] || element.tags.name,
-                placeType: this.determinePlaceType(element.tags)
-            }))
-            .filter(territory => this.validateISOCode(territory.isoCode))
             .sort((a, b) => a.name.localeCompare(b.name));
     }
 
@@ -176,16 +157,24 @@ out tags;`
      * Format territories for database insertion
      * @private
      */
-    formatTerritoriesForDatabase(territories) {
+    formatTerritoriesForDatabase(territories, countryCode) {
         return territories.map(territory => ({
+            country_code: countryCode,
             name: territory.name,
             name_en: territory.nameEn || territory.name,
             iso_code: territory.isoCode,
             osm_relation_id: territory.osmRelationId,
             place_type: this.normalizePlaceType(territory.placeType),
+            center_lat: territory.center ? territory.center[0] : null,
+            center_lon: territory.center ? territory.center[1] : null,
+            ...(territory.bounds ? this.boundsToUnitColumns(territory.bounds) : {
+                min_lat: null, min_lon: null, max_lat: null, max_lon: null
+            }),
             is_active: true,
+            // Not measured: the area strategy estimates it from the bounding box
             area_km2: null,
-            population: null,
+            population: territory.population ?? null,
+            power_feature_count: territory.powerFeatureCount ?? null,
             capital: null
         }));
     }
@@ -198,10 +187,9 @@ out tags;`
         if (!place) return 'state';
         
         const normalized = place.toLowerCase();
-        if (normalized === 'territory' || normalized === 'union_territory') {
-            return 'union_territory';
-        }
-        return 'state';
+        return ['state', 'province', 'region', 'territory', 'union_territory'].includes(normalized)
+            ? normalized
+            : 'state';
     }
 
     // ================================
@@ -218,12 +206,15 @@ out tags;`
             throw new Error(`Invalid ISO code: ${isoCode}`);
         }
 
+        // Territories are the country's first-level subdivisions, whatever their admin level
+        const adminLevel = getCountryConfig(isoCode.slice(0, 2)).subdivisionAdminLevel;
+
         return `[out:xml][timeout:${this.timeout}];
 
 // Find territory by ISO code using multiple methods
 (
   relation["ISO3166-2"="${isoCode}"];
-  relation["boundary"="administrative"]["admin_level"="4"]["ISO3166-2"="${isoCode}"];
+  relation["boundary"="administrative"]["admin_level"="${adminLevel}"]["ISO3166-2"="${isoCode}"];
   area["ISO3166-2"="${isoCode}"];
 )->.territory;
 
@@ -286,6 +277,38 @@ area["ISO3166-2"="${isoCode}"]->.directArea;
   .territory;
 );
 
+out meta;
+>;
+out meta;`;
+    }
+
+    /**
+     * Generate power infrastructure query for a bounding box (work unit)
+     * @param {{minLat: number, minLon: number, maxLat: number, maxLon: number}} bounds - Unit bounds
+     * @returns {string} Overpass QL query string
+     */
+    generateBoundingBoxPowerQuery(bounds) {
+        if (!this.validateBounds(bounds)) {
+            throw new Error('Invalid bounding box for power query');
+        }
+
+        const bbox = `${bounds.minLat},${bounds.minLon},${bounds.maxLat},${bounds.maxLon}`;
+
+        return `[out:xml][timeout:${this.timeout}][bbox:${bbox}];
+
+(
+  // Power transmission infrastructure
+  node["power"~"^(tower|pole|portal|switch)$"];
+
+  // Power lines and cables
+  way["power"~"^(line|cable)$"];
+
+  // Substations, plants and generators
+  node["power"~"^(substation|plant|generator|transformer)$"];
+  way["power"~"^(substation|plant|generator|transformer)$"];
+  relation["power"~"^(substation|plant)$"];
+);
+
 out meta;
 >;
 out meta;`;
@@ -340,6 +363,699 @@ out meta;`;
         }
     }
 
+    // ================================
+    // ROLE QUERY PRESETS
+    // ================================
+
+    /**
+     * Query presets matching the team roles. Pioneers get the whole network to draw
+     * against, Technicians the objects with missing tags, Seekers plants and
+     * industrial sites that nothing in OSM connects to the grid yet.
+     * @returns {Array<{key: string, role: string, label: string, description: string}>}
+     */
+    getRoleQueryPresets() {
+        return [
+            {
+                key: 'pioneer',
+                role: 'Pioneer',
+                label: 'Pioneer: full power network',
+                description: 'Every line, support, substation and plant, for drawing missing geometry'
+            },
+            {
+                key: 'technician',
+                role: 'Technician',
+                label: 'Technician: missing tags',
+                description: 'Lines without voltage or operator, substations and plants without name or voltage'
+            },
+            {
+                key: 'seeker',
+                role: 'Seeker',
+                label: 'Seeker: plants and unconnected industry',
+                description: 'Power plants and industrial areas with no power feature inside them'
+            }
+        ];
+    }
+
+    /**
+     * Preset key for a team role name, falling back to the full network
+     * @param {string} roleName - Pioneer, Technician or Seeker
+     * @returns {string} Preset key
+     */
+    getRoleQueryPresetKey(roleName) {
+        const preset = this.getRoleQueryPresets().find(p => p.role === roleName);
+        return preset ? preset.key : 'pioneer';
+    }
+
+    /**
+     * Generate the Overpass query for a role preset, for a whole territory or a work unit
+     * @param {string} presetKey - 'pioneer', 'technician' or 'seeker'
+     * @param {object} target - What to query
+     * @param {string} target.isoCode - ISO 3166-2 code (whole territory)
+     * @param {{minLat: number, minLon: number, maxLat: number, maxLon: number}} target.bounds - Work unit
+     *        bounds (used instead of the territory area when given)
+     * @returns {string} Overpass QL query string
+     */
+    generateRolePowerQuery(presetKey, { isoCode = null, bounds = null } = {}) {
+        if (presetKey === 'pioneer') {
+            return bounds ? this.generateBoundingBoxPowerQuery(bounds) : this.generatePowerQuery(isoCode);
+        }
+
+        const presetQueries = {
+            technician: {
+                prelude: '',
+                statements: `way["power"~"^(line|minor_line|cable)$"][!"voltage"]{{area}};
+  way["power"~"^(line|cable)$"][!"operator"]{{area}};
+  nwr["power"="substation"][!"name"]{{area}};
+  nwr["power"="substation"][!"voltage"]{{area}};
+  nwr["power"="plant"][!"name"]{{area}};`
+            },
+            seeker: {
+                // Industrial areas minus those containing a power node or a node of a power way
+                prelude: `way["landuse"="industrial"]{{area}}->.industrial;
+.industrial map_to_area->.industrialAreas;
+way["power"](area.industrialAreas)->.powerWays;
+(
+  node["power"](area.industrialAreas);
+  node(w.powerWays);
+)->.powerNodes;
+.powerNodes is_in->.containing;
+way(pivot.containing)["landuse"="industrial"]->.connected;
+(.industrial; - .connected;)->.unconnected;
+
+`,
+                statements: `nwr["power"="plant"]{{area}};
+  .unconnected;`
+            }
+        };
+
+        const presetQuery = presetQueries[presetKey];
+        if (!presetQuery) {
+            throw new Error(`Unknown query preset: ${presetKey}`);
+        }
+
+        let header;
+        let area;
+        if (bounds) {
+            if (!this.validateBounds(bounds)) {
+                throw new Error('Invalid bounding box for power query');
+            }
+            header = `[out:xml][timeout:${this.timeout}][bbox:${bounds.minLat},${bounds.minLon},${bounds.maxLat},${bounds.maxLon}];`;
+            area = '';
+        } else {
+            if (!this.validateISOCode(isoCode)) {
+                throw new Error(`Invalid ISO code: ${isoCode}`);
+            }
+            header = `[out:xml][timeout:${this.timeout}];
+area["ISO3166-2"="${isoCode}"]->.searchArea;`;
+            area = '(area.searchArea)';
+        }
+
+        const withArea = text => text.replace(/\{\{area\}\}/g, area);
+
+        return `${header}
+
+${withArea(presetQuery.prelude)}(
+  ${withArea(presetQuery.statements)}
+);
+
+out meta;
+>;
+out meta;`;
+    }
+
+    // ================================
+    // CHUNKED LOADING QUERIES
+    // ================================
+
+    /**
+     * Power feature classes a territory can be loaded in, largest structures first.
+     * Lines pull in their tower/pole nodes; the supports class adds free-standing ones.
+     * @returns {Array<{key: string, label: string, statements: string}>}
+     */
+    getPowerFeatureClasses() {
+        return [
+            {
+                key: 'lines_substations',
+                label: 'Lines, cables and substations',
+                statements: `way["power"~"^(line|minor_line|cable)$"](area.searchArea);
+  node["power"="substation"](area.searchArea);
+  way["power"="substation"](area.searchArea);
+  relation["power"="substation"](area.searchArea);`
+            },
+            {
+                key: 'generation',
+                label: 'Plants, generators and transformers',
+                statements: `node["power"~"^(plant|generator|transformer)$"](area.searchArea);
+  way["power"~"^(plant|generator|transformer)$"](area.searchArea);
+  relation["power"="plant"](area.searchArea);`
+            },
+            {
+                key: 'supports',
+                label: 'Towers, poles, portals and switches',
+                statements: `node["power"~"^(tower|pole|portal|switch)$"](area.searchArea);`
+            }
+        ];
+    }
+
+    /**
+     * Split a territory's power query into chunks that can be loaded into JOSM one after another
+     * @param {string} isoCode - ISO 3166-2 code of the territory
+     * @param {object} options - Chunking options
+     * @param {string} options.mode - 'feature_class', 'tiles' or 'tiles_by_class'
+     * @param {{minLat: number, minLon: number, maxLat: number, maxLon: number}} options.bounds - Territory
+     *        bounds (required for tile modes)
+     * @param {number} options.tileSize - Tile size in degrees (defaults to config gridCellSize)
+     * @returns {{success: boolean, data?: Array<{key: string, label: string, query: string}>, error?: string}}
+     */
+    generateChunkedPowerQueries(isoCode, options = {}) {
+        if (!this.validateISOCode(isoCode)) {
+            return {
+                success: false,
+                error: `Invalid ISO code: ${isoCode}`
+            };
+        }
+
+        const mode = options.mode || 'feature_class';
+        const featureClasses = this.getPowerFeatureClasses();
+        let tiles = [null];
+
+        if (mode === 'tiles' || mode === 'tiles_by_class') {
+            const gridResult = this.generateGridUnits(options.bounds, options.tileSize || this.gridCellSize);
+            if (!gridResult.success) {
+                return gridResult;
+            }
+            tiles = gridResult.data;
+        }
+
+        const classGroups = mode === 'tiles'
+            ? [{ key: 'all', label: 'All power features', statements: featureClasses.map(c => c.statements).join('\n  ') }]
+            : featureClasses;
+
+        // Tile-by-class loads every tile's lines before any tile's supports
+        const chunks = [];
+        for (const featureClass of classGroups) {
+            for (const tile of tiles) {
+                chunks.push({
+                    key: tile ? `${featureClass.key}:${tile.name}` : featureClass.key,
+                    label: tile ? `${tile.name} - ${featureClass.label}` : featureClass.label,
+                    query: this.buildChunkQuery(isoCode, featureClass.statements, tile, chunks.length === 0)
+                });
+            }
+        }
+
+        return {
+            success: true,
+            data: chunks
+        };
+    }
+
+    /**
+     * Build one chunk's Overpass query
+     * @private
+     * @param {string} isoCode - ISO 3166-2 code of the territory
+     * @param {string} statements - Feature statements using area.searchArea
+     * @param {object|null} tile - Grid unit ({min_lat, min_lon, max_lat, max_lon}) or null for the whole territory
+     * @param {boolean} includeBoundary - Add the territory boundary relation (first chunk only)
+     * @returns {string} Overpass QL query string
+     */
+    buildChunkQuery(isoCode, statements, tile, includeBoundary) {
+        const bboxSetting = tile ? `[bbox:${tile.min_lat},${tile.min_lon},${tile.max_lat},${tile.max_lon}]` : '';
+
+        return `[out:xml][timeout:${this.timeout}]${bboxSetting};
+
+relation["boundary"="administrative"]["ISO3166-2"="${isoCode}"]->.territory;
+area["ISO3166-2"="${isoCode}"]->.searchArea;
+
+(
+  ${statements}
+${includeBoundary ? '\n  // Include territory boundary for context\n  .territory;\n' : ''});
+
+out meta;
+>;
+out meta;`;
+    }
+
+    // ================================
+    // WORK UNIT GENERATION
+    // ================================
+
+    /**
+     * Fetch the bounding box of a territory relation
+     * @param {number} osmRelationId - Territory OSM relation ID
+     * @returns {Promise<{success: boolean, data?: object, error?: string}>}
+     */
+    async fetchTerritoryBounds(osmRelationId) {
+        try {
+            const query = `[out:json][timeout:60];
+rel(${osmRelationId});
+out bb;`;
+
+            const result = await this.executeQuery(query);
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+
+            const relation = result.data.elements?.find(element => element.bounds);
+            if (!relation) {
+                throw new Error(`No bounds returned for relation ${osmRelationId}`);
+            }
+
+            return {
+                success: true,
+                data: this.boundsFromOverpass(relation.bounds)
+            };
+
+        } catch (error) {
+            console.error('Territory bounds fetch failed:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Fetch admin_level 5 districts inside a territory (admin_level 6 if there are none)
+     * @param {number} osmRelationId - Territory OSM relation ID
+     * @returns {Promise<{success: boolean, data?: Array, error?: string}>}
+     */
+    async fetchDistricts(osmRelationId) {
+        try {
+            const query = `[out:json][timeout:${this.timeout}];
+rel(${osmRelationId})->.territory;
+.territory out bb;
+.territory map_to_area->.searchArea;
+(
+  relation["boundary"="administrative"]["admin_level"~"^(5|6)$"](area.searchArea);
+);
+out tags bb;`;
+
+            const result = await this.executeQuery(query);
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+
+            const elements = result.data.elements || [];
+            const territory = elements.find(element => element.id === osmRelationId && element.bounds);
+            const territoryBounds = territory ? this.boundsFromOverpass(territory.bounds) : null;
+
+            const candidates = elements.filter(element =>
+                element.id !== osmRelationId && element.bounds && element.tags?.name
+            );
+
+            // Prefer districts (admin_level 5); fall back to level 6 where level 5 is unused
+            const level5 = candidates.filter(element => element.tags.admin_level === '5');
+            const districts = level5.length > 0
+                ? level5
+                : candidates.filter(element => element.tags.admin_level === '6');
+
+            const units = districts
+                .map(element => ({
+                    name: element.tags['name:en'] || element.tags.name,
+                    osm_relation_id: element.id,
+                    ...this.boundsToUnitColumns(this.boundsFromOverpass(element.bounds))
+                }))
+                // Area queries also match neighbouring districts that touch the border
+                .filter(unit => !territoryBounds || this.isBoundsCenterInside(unit, territoryBounds))
+                .sort((a, b) => a.name.localeCompare(b.name));
+
+            if (units.length === 0) {
+                throw new Error('No districts found for this territory. Try a grid split instead.');
+            }
+
+            if (units.length > this.maxWorkUnits) {
+                throw new Error(`Found ${units.length} districts, more than the ${this.maxWorkUnits} work unit limit. Try a grid split instead.`);
+            }
+
+            return {
+                success: true,
+                data: units
+            };
+
+        } catch (error) {
+            console.error('District fetch failed:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Split a bounding box into a fixed grid of work units
+     * @param {{minLat: number, minLon: number, maxLat: number, maxLon: number}} bounds - Territory bounds
+     * @param {number} cellSize - Cell size in degrees (defaults to config gridCellSize)
+     * @returns {{success: boolean, data?: Array, error?: string}}
+     */
+    generateGridUnits(bounds, cellSize = this.gridCellSize) {
+        if (!this.validateBounds(bounds)) {
+            return {
+                success: false,
+                error: 'Invalid bounding box for grid split'
+            };
+        }
+
+        const rows = Math.max(1, Math.ceil((bounds.maxLat - bounds.minLat) / cellSize));
+        const cols = Math.max(1, Math.ceil((bounds.maxLon - bounds.minLon) / cellSize));
+
+        if (rows * cols > this.maxWorkUnits) {
+            return {
+                success: false,
+                error: `A ${cellSize}° grid would create ${rows * cols} cells, more than the ${this.maxWorkUnits} work unit limit. Use a larger cell size.`
+            };
+        }
+
+        const latStep = (bounds.maxLat - bounds.minLat) / rows;
+        const lonStep = (bounds.maxLon - bounds.minLon) / cols;
+        const units = [];
+
+        // Rows are lettered from the north so A1 is the north-west cell
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < cols; col++) {
+                const maxLat = bounds.maxLat - row * latStep;
+                const minLon = bounds.minLon + col * lonStep;
+                units.push({
+                    name: `Grid ${String.fromCharCode(65 + row)}${col + 1}`,
+                    osm_relation_id: null,
+                    ...this.boundsToUnitColumns({
+                        minLat: maxLat - latStep,
+                        minLon,
+                        maxLat,
+                        maxLon: minLon + lonStep
+                    })
+                });
+            }
+        }
+
+        return {
+            success: true,
+            data: units
+        };
+    }
+
+    /**
+     * Convert Overpass bounds ({minlat, minlon, maxlat, maxlon}) to camelCase bounds
+     * @private
+     */
+    boundsFromOverpass(bounds) {
+        return {
+            minLat: bounds.minlat,
+            minLon: bounds.minlon,
+            maxLat: bounds.maxlat,
+            maxLon: bounds.maxlon
+        };
+    }
+
+    /**
+     * Convert camelCase bounds to min/max lat/lon table columns (rounded to ~10 m)
+     * @private
+     */
+    boundsToUnitColumns(bounds) {
+        const round = value => Math.round(value * 10000) / 10000;
+        return {
+            min_lat: round(bounds.minLat),
+            min_lon: round(bounds.minLon),
+            max_lat: round(bounds.maxLat),
+            max_lon: round(bounds.maxLon)
+        };
+    }
+
+    /**
+     * Check whether the centre of a work unit lies inside the given bounds
+     * @private
+     */
+    isBoundsCenterInside(unit, bounds) {
+        const centerLat = (unit.min_lat + unit.max_lat) / 2;
+        const centerLon = (unit.min_lon + unit.max_lon) / 2;
+        return centerLat >= bounds.minLat && centerLat <= bounds.maxLat &&
+               centerLon >= bounds.minLon && centerLon <= bounds.maxLon;
+    }
+
+    // ================================
+    // POWER FEATURE COUNTS
+    // ================================
+
+    /**
+     * Count the power features already mapped in a territory. Uses `out count`,
+     * so only totals are transferred, never geometry.
+     * @param {string} isoCode - ISO code for the territory (e.g., 'IN-MH')
+     * @returns {Promise<{success: boolean, data?: {lines: number, cables: number, substations: number, plants: number, generators: number, total: number}, error?: string}>}
+     */
+    async countPowerFeatures(isoCode) {
+        if (!this.validateISOCode(isoCode)) {
+            return { success: false, error: `Invalid ISO code: ${isoCode}` };
+        }
+
+        const categories = ['lines', 'cables', 'substations', 'plants', 'generators'];
+        const query = `[out:json][timeout:${this.timeout}];
+area["ISO3166-2"="${isoCode}"]->.searchArea;
+way["power"="line"](area.searchArea);
+out count;
+way["power"="cable"](area.searchArea);
+out count;
+nwr["power"="substation"](area.searchArea);
+out count;
+nwr["power"="plant"](area.searchArea);
+out count;
+nwr["power"="generator"](area.searchArea);
+out count;`;
+
+        const result = await this.executeQuery(query);
+        if (!result.success) {
+            return result;
+        }
+
+        const countElements = (result.data?.elements || []).filter(element => element.type === 'count');
+        if (countElements.length !== categories.length) {
+            return { success: false, error: `Unexpected count response for ${isoCode}` };
+        }
+
+        const counts = { total: 0 };
+        categories.forEach((category, index) => {
+            counts[category] = parseInt(countElements[index].tags?.total, 10) || 0;
+            counts.total += counts[category];
+        });
+
+        return { success: true, data: counts };
+    }
+
+    // ================================
+    // TAG COMPLETENESS
+    // ================================
+
+    /**
+     * Tags every object of a kind should carry. Each check counts the objects
+     * matching `selector` and how many of them lack `tag`.
+     * @returns {Array<{key: string, label: string, selector: string, tag: string}>}
+     */
+    getTagCompletenessChecks() {
+        return [
+            { key: 'line_voltage', label: 'Power lines with voltage', selector: 'way["power"="line"]', tag: 'voltage' },
+            { key: 'line_operator', label: 'Power lines with operator', selector: 'way["power"="line"]', tag: 'operator' },
+            { key: 'cable_voltage', label: 'Power cables with voltage', selector: 'way["power"="cable"]', tag: 'voltage' },
+            { key: 'substation_name', label: 'Substations with name', selector: 'nwr["power"="substation"]', tag: 'name' },
+            { key: 'substation_operator', label: 'Substations with operator', selector: 'nwr["power"="substation"]', tag: 'operator' },
+            { key: 'substation_voltage', label: 'Substations with voltage', selector: 'nwr["power"="substation"]', tag: 'voltage' },
+            { key: 'plant_name', label: 'Power plants with name', selector: 'nwr["power"="plant"]', tag: 'name' },
+            { key: 'plant_output', label: 'Power plants with electrical output', selector: 'nwr["power"="plant"]', tag: 'plant:output:electricity' },
+            { key: 'plant_source', label: 'Power plants with source', selector: 'nwr["power"="plant"]', tag: 'plant:source' }
+        ];
+    }
+
+    /**
+     * Count, per completeness check, the objects in a territory and those missing
+     * the tag. Count-only like countPowerFeatures; each object kind is counted once.
+     * @param {string} isoCode - ISO code for the territory (e.g., 'IN-MH')
+     * @returns {Promise<{success: boolean, data?: Object<string, {total: number, missing: number}>, error?: string}>}
+     */
+    async countTagCompleteness(isoCode) {
+        if (!this.validateISOCode(isoCode)) {
+            return { success: false, error: `Invalid ISO code: ${isoCode}` };
+        }
+
+        const checks = this.getTagCompletenessChecks();
+        const selectors = [...new Set(checks.map(check => check.selector))];
+        const statements = [
+            ...selectors.map(selector => `${selector}(area.searchArea);\nout count;`),
+            ...checks.map(check => `${check.selector}[!"${check.tag}"](area.searchArea);\nout count;`)
+        ];
+
+        const query = `[out:json][timeout:${this.timeout}];
+area["ISO3166-2"="${isoCode}"]->.searchArea;
+${statements.join('\n')}`;
+
+        const result = await this.executeQuery(query);
+        if (!result.success) {
+            return result;
+        }
+
+        const countElements = (result.data?.elements || []).filter(element => element.type === 'count');
+        if (countElements.length !== statements.length) {
+            return { success: false, error: `Unexpected count response for ${isoCode}` };
+        }
+
+        const readCount = index => parseInt(countElements[index].tags?.total, 10) || 0;
+        const stats = {};
+        checks.forEach((check, index) => {
+            stats[check.key] = {
+                total: readCount(selectors.indexOf(check.selector)),
+                missing: readCount(selectors.length + index)
+            };
+        });
+
+        return { success: true, data: stats };
+    }
+
+    // ================================
+    // INFRASTRUCTURE SNAPSHOTS
+    // ================================
+
+    /**
+     * Measure the power infrastructure mapped in a territory: the feature counts of
+     * countPowerFeatures plus the total length of power lines and cables. Lengths are
+     * summed on the Overpass server with `make stat`, so no geometry is transferred.
+     * @param {string} isoCode - ISO code for the territory (e.g., 'IN-MH')
+     * @returns {Promise<{success: boolean, data?: {lines: number, cables: number, substations: number, plants: number, generators: number, total: number, line_km: number, cable_km: number}, error?: string}>}
+     */
+    async measurePowerInfrastructure(isoCode) {
+        if (!this.validateISOCode(isoCode)) {
+            return { success: false, error: `Invalid ISO code: ${isoCode}` };
+        }
+
+        const categories = ['lines', 'cables', 'substations', 'plants', 'generators'];
+        const query = `[out:json][timeout:${this.timeout}];
+area["ISO3166-2"="${isoCode}"]->.searchArea;
+way["power"="line"](area.searchArea)->.lines;
+way["power"="cable"](area.searchArea)->.cables;
+.lines out count;
+.cables out count;
+nwr["power"="substation"](area.searchArea);
+out count;
+nwr["power"="plant"](area.searchArea);
+out count;
+nwr["power"="generator"](area.searchArea);
+out count;
+make stat line_m=lines.sum(length()),cable_m=cables.sum(length());
+out;`;
+
+        const result = await this.executeQuery(query);
+        if (!result.success) {
+            return result;
+        }
+
+        const elements = result.data?.elements || [];
+        const countElements = elements.filter(element => element.type === 'count');
+        const statElement = elements.find(element => element.type === 'stat');
+        if (countElements.length !== categories.length || !statElement) {
+            return { success: false, error: `Unexpected snapshot response for ${isoCode}` };
+        }
+
+        const metrics = { total: 0 };
+        categories.forEach((category, index) => {
+            metrics[category] = parseInt(countElements[index].tags?.total, 10) || 0;
+            metrics.total += metrics[category];
+        });
+        metrics.line_km = Math.round((parseFloat(statElement.tags?.line_m) || 0) / 100) / 10;
+        metrics.cable_km = Math.round((parseFloat(statElement.tags?.cable_m) || 0) / 100) / 10;
+
+        return { success: true, data: metrics };
+    }
+
+    // ================================
+    // MAP INFRASTRUCTURE LAYERS
+    // ================================
+
+    /**
+     * Generate the query for the power grid drawn on the territory map
+     * Only tags and geometry are requested (no metadata) to keep responses small
+     * @param {{minLat: number, minLon: number, maxLat: number, maxLon: number}} bounds - Area to load
+     * @param {boolean} includeMinor - Also load minor lines and cables (for close zoom levels)
+     * @returns {string} Overpass QL query string
+     */
+    generateMapInfrastructureQuery(bounds, includeMinor = false) {
+        if (!this.validateBounds(bounds)) {
+            throw new Error('Invalid bounding box for infrastructure query');
+        }
+
+        const bbox = `${bounds.minLat},${bounds.minLon},${bounds.maxLat},${bounds.maxLon}`;
+        const lineTypes = includeMinor ? 'line|minor_line|cable' : 'line';
+
+        return `[out:json][timeout:60][bbox:${bbox}];
+way["power"~"^(${lineTypes})$"];
+out tags geom qt;
+nwr["power"~"^(substation|plant)$"];
+out tags center qt;`;
+    }
+
+    /**
+     * Fetch power lines, substations and plants in an area for the territory map
+     * @param {{minLat: number, minLon: number, maxLat: number, maxLon: number}} bounds - Area to load
+     * @param {object} options - Options
+     * @param {boolean} options.includeMinor - Also load minor lines and cables
+     * @returns {Promise<{success: boolean, data?: {lines: Array, substations: Array, plants: Array}, error?: string}>}
+     */
+    async fetchMapInfrastructure(bounds, options = {}) {
+        let query;
+        try {
+            query = this.generateMapInfrastructureQuery(bounds, options.includeMinor);
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+
+        const result = await this.executeQuery(query);
+        if (!result.success) {
+            return result;
+        }
+
+        const infrastructure = { lines: [], substations: [], plants: [] };
+
+        for (const element of result.data?.elements || []) {
+            const tags = element.tags || {};
+            const voltageKv = this.parseVoltageKv(tags.voltage);
+
+            if (element.type === 'way' && element.geometry && /^(line|minor_line|cable)$/.test(tags.power)) {
+                infrastructure.lines.push({
+                    id: `way/${element.id}`,
+                    power: tags.power,
+                    voltageKv,
+                    coordinates: element.geometry.filter(node => node).map(node => [node.lat, node.lon]),
+                    tags
+                });
+                continue;
+            }
+
+            // Nodes carry their own position; ways and relations come with a centre
+            const lat = element.lat ?? element.center?.lat;
+            const lon = element.lon ?? element.center?.lon;
+            if (lat === undefined || lon === undefined) continue;
+
+            const site = { id: `${element.type}/${element.id}`, lat, lon, voltageKv, tags };
+            if (tags.power === 'substation') {
+                infrastructure.substations.push(site);
+            } else if (tags.power === 'plant') {
+                infrastructure.plants.push(site);
+            }
+        }
+
+        return { success: true, data: infrastructure };
+    }
+
+    /**
+     * Highest voltage of a voltage tag in kilovolts
+     * @param {string} voltage - OSM voltage tag in volts, e.g. '400000;220000'
+     * @returns {number|null} Voltage in kV, or null when untagged or unparseable
+     */
+    parseVoltageKv(voltage) {
+        if (!voltage) return null;
+
+        const volts = String(voltage)
+            .split(';')
+            .map(value => parseFloat(value))
+            .filter(value => Number.isFinite(value));
+
+        return volts.length > 0 ? Math.max(...volts) / 1000 : null;
+    }
+
     // ================================
     // QUERY EXECUTION
     // ================================
@@ -470,18 +1186,37 @@ out meta;`;
     // ================================
 
     /**
-     * Validate ISO code format
-     * @param {string} isoCode - ISO code to validate (e.g., 'IN-MH')
+     * Validate ISO 3166-2 code format
+     * @param {string} isoCode - ISO code to validate (e.g., 'IN-MH', 'KE-30')
+     * @param {string|null} countryCode - Also require this ISO 3166-1 country prefix
      * @returns {boolean} True if valid
      */
-    validateISOCode(isoCode) {
+    validateISOCode(isoCode, countryCode = null) {
         if (!isoCode || typeof isoCode !== 'string') {
             return false;
         }
         
-        // Check format: IN-XX where XX is 2-3 letters
-        const isoPattern = /^IN-[A-Z]{2,3}$/;
-        return isoPattern.test(isoCode.toUpperCase());
+        // Check format: CC-XXX where CC is the country and XXX is 1-3 letters/digits
+        const normalized = isoCode.toUpperCase();
+        if (!/^[A-Z]{2}-[A-Z0-9]{1,3}$/.test(normalized)) {
+            return false;
+        }
+
+        return !countryCode || normalized.startsWith(`${countryCode.toUpperCase()}-`);
+    }
+
+    /**
+     * Validate a bounding box
+     * @param {object} bounds - {minLat, minLon, maxLat, maxLon}
+     * @returns {boolean} True if valid
+     */
+    validateBounds(bounds) {
+        if (!bounds) return false;
+
+        const { minLat, minLon, maxLat, maxLon } = bounds;
+        return [minLat, minLon, maxLat, maxLon].every(value => Number.isFinite(value)) &&
+               minLat < maxLat && minLon < maxLon &&
+               minLat >= -90 && maxLat <= 90 && minLon >= -180 && maxLon <= 180;
     }
 
     /**
@@ -519,14 +1254,19 @@ out meta;`;
      * Determine place type from OSM tags
      * @private
      */
-    determinePlaceType(tags) {
-        if (tags.place === 'state') return 'state';
-        if (tags.place === 'territory') return 'union_territory';
-        
-        const name = tags.name?.toLowerCase() || '';
-        if (name.includes('territory') || name.includes('islands') || 
-            ['delhi', 'chandigarh', 'puducherry', 'lakshadweep'].some(ut => name.includes(ut))) {
-            return 'union_territory';
+    determinePlaceType(tags, countryCode = null) {
+        if (['state', 'province', 'region'].includes(tags.place)) return tags.place;
+
+        if (countryCode === 'IN') {
+            if (tags.place === 'territory') return 'union_territory';
+
+            const name = tags.name?.toLowerCase() || '';
+            if (name.includes('territory') || name.includes('islands') || 
+                ['delhi', 'chandigarh', 'puducherry', 'lakshadweep'].some(ut => name.includes(ut))) {
+                return 'union_territory';
+            }
+        } else if (tags.place === 'territory') {
+            return 'territory';
         }
         
         return 'state';
@@ -538,7 +1278,12 @@ out meta;`;
      * @returns {object|null} Territory object or null if not found
      */
     findTerritoryByISOCode(isoCode) {
-        return this.territories.find(territory => 
+        if (!this.validateISOCode(isoCode)) {
+            return null;
+        }
+
+        const country = getCountryConfig(isoCode.slice(0, 2));
+        return country.territories.find(territory => 
             territory.isoCode.toLowerCase() === isoCode.toLowerCase()
         ) || null;
     }
@@ -608,14 +1353,16 @@ The query uses ISO codes (like IN-MH for Maharashtra) for reliable territory ide
             servers: this.servers.length,
             currentServer: this.servers[this.currentServerIndex],
             timeout: this.timeout,
-            territories: this.territories.length,
+            configuredCountries: getConfiguredCountries().length,
             usesISOCodes: true,
             infrastructureTypes: 15,
             outputFormat: 'XML (JOSM compatible)',
             version: '3.3',
             features: [
                 'ISO code based queries',
+                'Any country by ISO 3166-1 code',
                 'Multi-server fallback',
+                'District and grid work units',
                 'Enhanced error reporting',
                 'Streamlined interface'
             ]
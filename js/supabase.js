@@ -11,28 +11,50 @@ class SupabaseTeamManager {
     constructor(config = null) {
         // Use provided config or global config
         this.config = config || window.GRID_TYCOON_CONFIG?.database || {};
-        
-        // Validate configuration
-        if (!this.config.url || !this.config.anonKey) {
-            throw new Error('Missing Supabase configuration. Please set database.url and database.anonKey in config');
-        }
-        
-        if (this.config.url === 'YOUR_SUPABASE_URL_HERE' || 
-            this.config.anonKey === 'YOUR_ANON_KEY_HERE') {
-            throw new Error('Please update configuration with your actual Supabase credentials');
-        }
 
-        // Validate Supabase client availability
-        if (!window.supabase) {
-            throw new Error('Supabase client library not loaded. Please include the Supabase script.');
+        if (this.config.client) {
+            // Client supplied by the caller (the offline mock backend, see js/mockBackend.js)
+            this.supabase = this.config.client;
+        } else {
+            // Validate configuration
+            if (!this.config.url || !this.config.anonKey) {
+                throw new Error('Missing Supabase configuration. Please set database.url and database.anonKey in config');
+            }
+
+            if (this.config.url === 'YOUR_SUPABASE_URL_HERE' ||
+                this.config.anonKey === 'YOUR_ANON_KEY_HERE') {
+                throw new Error('Please update configuration with your actual Supabase credentials');
+            }
+
+            // Validate Supabase client availability
+            if (!window.supabase) {
+                throw new Error('Supabase client library not loaded. Please include the Supabase script.');
+            }
+
+            // Initialize Supabase client
+            this.supabase = window.supabase.createClient(this.config.url, this.config.anonKey);
         }
         
-        // Initialize Supabase client
-        this.supabase = window.supabase.createClient(this.config.url, this.config.anonKey);
-        
         // Current user session
         this.currentUserId = null;
         this.currentSessionId = null;
+
+        // Coordinator token returned by coordinator_login (null for participants)
+        this.coordinatorToken = null;
+
+        // Participant access token issued by register_participant/link_participant_device
+        this.participantToken = null;
+
+        // Realtime channel for the active session (see subscribeToSession)
+        this.realtimeChannel = null;
+        this.realtimeSessionId = null;
+        this.realtimeTeamIds = new Set();
+        // team_members ID -> team ID for the session's rosters, to match DELETE events
+        this.realtimeTeamMemberIds = new Map();
+        // Subscription still being set up: { sessionId, promise }
+        this.realtimePending = null;
+        // Numbers channel topics, since realtime-js hands back a joined channel for a reused topic
+        this.realtimeChannelSequence = 0;
         
         // Team role definitions
         this.teamRoles = [
@@ -102,9 +124,10 @@ class SupabaseTeamManager {
      * @param {string} firstName - Participant's first name
      * @param {string} osmUsername - OSM username
      * @param {string} sessionId - Session identifier
+     * @param {object} profile - Optional { rolePreference, experienceLevel } used by team formation
      * @returns {Promise<{success: boolean, data?: object, error?: string}>}
      */
-    async registerParticipant(firstName, osmUsername, sessionId) {
+    async registerParticipant(firstName, osmUsername, sessionId, profile = {}) {
         try {
             console.log(`Registering participant: ${firstName} (@${osmUsername}) for session ${sessionId}`);
             
@@ -116,35 +139,41 @@ class SupabaseTeamManager {
                 };
             }
             
-            // Ensure session exists
-            const sessionResult = await this.ensureSessionExists(sessionId);
+            // Sessions are created by their coordinator; participants can only join
+            const sessionResult = await this.getSession(sessionId);
             if (!sessionResult.success) {
                 return sessionResult;
             }
+
+            if (!sessionResult.data.session) {
+                return {
+                    success: false,
+                    error: `Session "${sessionId}" not found. Ask your coordinator for the correct session ID.`
+                };
+            }
             
-            // Insert participant
-            const { data, error } = await this.supabase
-                .from('participants')
-                .insert([{
-                    first_name: firstName.trim(),
-                    osm_username: osmUsername.trim(),
-                    session_id: sessionId.trim()
-                }])
-                .select()
-                .single();
+            // Register through the RPC so the participant receives an access token
+            const { data, error } = await this.supabase.rpc('register_participant', {
+                session_id_param: sessionId.trim(),
+                first_name_param: firstName.trim(),
+                osm_username_param: osmUsername.trim(),
+                role_preference_param: profile.rolePreference || null,
+                experience_level_param: profile.experienceLevel || null
+            });
 
             if (error) {
                 return this.handleDatabaseError(error, 'Registration failed');
             }
 
-            this.currentUserId = data.id;
+            this.useParticipantCredentials(data.participant.id, data.access_token);
             this.currentSessionId = sessionId;
             
-            console.log('Registration successful:', data.first_name);
+            console.log('Registration successful:', data.participant.first_name);
             return {
                 success: true,
                 data: {
-                    participant: data,
+                    participant: data.participant,
+                    accessToken: data.access_token,
                     message: 'Registration successful'
                 }
             };
@@ -158,6 +187,62 @@ class SupabaseTeamManager {
         }
     }
 
+    /**
+     * Use a stored participant access token for subsequent writes
+     * @param {string} participantId - Participant UUID
+     * @param {string} accessToken - Access token issued at registration or device link
+     */
+    useParticipantCredentials(participantId, accessToken) {
+        this.currentUserId = participantId;
+        this.participantToken = accessToken || null;
+    }
+
+    /**
+     * Link this browser to an existing registration with the one-time link code
+     * the coordinator issued (seeded participants, or after the coordinator reset the link)
+     * @param {string} sessionId - Session identifier
+     * @param {string} osmUsername - OSM username
+     * @param {string} linkCode - Link code from the coordinator
+     * @returns {Promise<{success: boolean, data?: object, error?: string}>}
+     */
+    async linkParticipantDevice(sessionId, osmUsername, linkCode) {
+        try {
+            const { data, error } = await this.supabase.rpc('link_participant_device', {
+                session_id_param: sessionId,
+                osm_username_param: osmUsername,
+                link_code_param: linkCode
+            });
+
+            if (error) {
+                return this.handleDatabaseError(error, 'Device link failed');
+            }
+
+            if (!data.success) {
+                return {
+                    success: false,
+                    error: data.error
+                };
+            }
+
+            this.useParticipantCredentials(data.participant_id, data.access_token);
+
+            return {
+                success: true,
+                data: {
+                    participantId: data.participant_id,
+                    accessToken: data.access_token
+                }
+            };
+
+        } catch (error) {
+            console.error('Device link error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
     /**
      * Get user by OSM username and optional session
      * @param {string} osmUsername - OSM username
@@ -285,53 +370,102 @@ class SupabaseTeamManager {
     // ================================
 
     /**
-     * Ensure session exists, create if it doesn't
+     * Get a session by ID
      * @param {string} sessionId - Session identifier
-     * @returns {Promise<{success: boolean, data?: object, error?: string}>}
+     * @returns {Promise<{success: boolean, data?: object, error?: string}>} data.session is null if not found
      */
-    async ensureSessionExists(sessionId) {
+    async getSession(sessionId) {
         try {
-            // Check if session exists
-            const { data: existingSession, error: checkError } = await this.supabase
+            const { data, error } = await this.supabase
                 .from('sessions')
-                .select('id')
+                .select('id, name, status, country_code, team_size, distribution_strategy, osmose_issue_types, created_at, teams_formed_at, completed_at, archived_at, cloned_from')
                 .eq('id', sessionId)
                 .single();
 
-            if (checkError && checkError.code !== 'PGRST116') {
-                return this.handleDatabaseError(checkError, 'Failed to check session');
+            if (error) {
+                if (error.code === 'PGRST116') {
+                    return {
+                        success: true,
+                        data: { session: null }
+                    };
+                }
+                return this.handleDatabaseError(error, 'Failed to check session');
+            }
+
+            return {
+                success: true,
+                data: { session: data }
+            };
+
+        } catch (error) {
+            console.error('Error fetching session:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Set the country a session maps (coordinator only, before territories are distributed)
+     * @param {string} sessionId - Session identifier
+     * @param {string} countryCode - ISO 3166-1 alpha-2 code (e.g., 'IN')
+     * @returns {Promise<{success: boolean, data?: object, error?: string}>}
+     */
+    async updateSessionCountry(sessionId, countryCode) {
+        try {
+            const { data, error } = await this.supabase
+                .rpc('update_session_country', {
+                    session_id_param: sessionId,
+                    coordinator_token_param: this.coordinatorToken,
+                    country_code_param: countryCode
+                });
+
+            if (error) {
+                return this.handleDatabaseError(error, 'Failed to update session country');
             }
 
-            if (!existingSession) {
-                // Create new session
-                const { data: newSession, error: createError } = await this.supabase
-                    .from('sessions')
-                    .insert([{
-                        id: sessionId,
-                        name: `Session ${sessionId}`,
-                        status: 'registering'
-                    }])
-                    .select()
-                    .single();
+            console.log(`Session ${sessionId} country set to ${data.country_code}`);
+            return {
+                success: true,
+                data: data
+            };
 
-                if (createError) {
-                    return this.handleDatabaseError(createError, 'Failed to create session');
-                }
+        } catch (error) {
+            console.error('Error updating session country:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
 
-                console.log(`Created new session: ${sessionId}`);
-                return {
-                    success: true,
-                    data: { session: newSession, created: true }
-                };
+    /**
+     * Choose the Osmose issue types every participant of the session fetches (coordinator only)
+     * @param {string} sessionId - Session identifier
+     * @param {Array<string>} issueTypes - Osmose item/class keys (e.g. ['7040/2']); empty to use role defaults
+     * @returns {Promise<{success: boolean, data?: object, error?: string}>}
+     */
+    async updateSessionOsmoseIssueTypes(sessionId, issueTypes) {
+        try {
+            const { data, error } = await this.supabase
+                .rpc('update_session_osmose_issue_types', {
+                    session_id_param: sessionId,
+                    coordinator_token_param: this.coordinatorToken,
+                    issue_types_param: issueTypes
+                });
+
+            if (error) {
+                return this.handleDatabaseError(error, 'Failed to update Osmose issue types');
             }
 
             return {
                 success: true,
-                data: { session: existingSession, created: false }
+                data: data
             };
-            
+
         } catch (error) {
-            console.error('Error ensuring session exists:', error);
+            console.error('Error updating Osmose issue types:', error);
             return {
                 success: false,
                 error: error.message
@@ -401,66 +535,34 @@ class SupabaseTeamManager {
     }
 
     // ================================
-    // TEAM MANAGEMENT
+    // SESSION LIFECYCLE
     // ================================
 
     /**
-     * Create teams for a session with configurable team size
+     * Close a session (coordinator only). Team, territory and work unit changes are frozen afterwards.
      * @param {string} sessionId - Session identifier
-     * @param {number} teamSize - Desired team size (default: 3)
      * @returns {Promise<{success: boolean, data?: object, error?: string}>}
      */
-    async createTeamsForSession(sessionId, teamSize = 3) {
+    async closeSession(sessionId) {
         try {
-            console.log(`Creating teams for session: ${sessionId} with target team size: ${teamSize}`);
-
-            // Pre-flight validation: verify all participants belong to this session
-            const participantsResult = await this.getSessionParticipants(sessionId);
-            if (!participantsResult.success) {
-                return {
-                    success: false,
-                    error: `Failed to verify participants: ${participantsResult.error}`
-                };
-            }
-
-            const participants = participantsResult.data.participants;
-            console.log(`Session isolation check: Found ${participants.length} participants for session "${sessionId}"`);
-
-            // Verify no participants from other sessions
-            const { data: otherSessionParticipants, error: checkError } = await this.supabase
-                .from('participants')
-                .select('id, session_id')
-                .neq('session_id', sessionId)
-                .in('id', participants.map(p => p.id));
-
-            if (checkError) {
-                console.warn('Session isolation pre-check failed:', checkError);
-                // Continue anyway - the database trigger will catch any issues
-            } else if (otherSessionParticipants && otherSessionParticipants.length > 0) {
-                return {
-                    success: false,
-                    error: `Session isolation violation detected: ${otherSessionParticipants.length} participants belong to other sessions`
-                };
-            }
-
             const { data, error } = await this.supabase
-                .rpc('create_teams_with_role_assignment', {
+                .rpc('close_session', {
                     session_id_param: sessionId,
-                    desired_team_size: teamSize
+                    coordinator_token_param: this.coordinatorToken
                 });
 
             if (error) {
-                return this.handleDatabaseError(error, 'Team creation failed');
+                return this.handleDatabaseError(error, 'Session close failed');
             }
 
-            console.log('Teams created successfully with session isolation enforced:', data);
+            console.log(`Session ${sessionId} closed`);
             return {
                 success: true,
                 data: data
             };
 
         } catch (error) {
-            console.error('Team creation failed:', error);
+            console.error('Session close failed:', error);
             return {
                 success: false,
                 error: error.message
@@ -469,54 +571,30 @@ class SupabaseTeamManager {
     }
 
     /**
-     * Update a team member's role
-     * @param {string} participantId - Participant UUID
-     * @param {string} newRoleName - New role name (Pioneer, Technician, or Seeker)
+     * Archive a session (coordinator only); closes it first if still open
+     * @param {string} sessionId - Session identifier
      * @returns {Promise<{success: boolean, data?: object, error?: string}>}
      */
-    async updateTeamMemberRole(participantId, newRoleName) {
+    async archiveSession(sessionId) {
         try {
-            console.log(`Updating role for participant ${participantId} to ${newRoleName}`);
-
-            // Find the role details from teamRoles
-            const roleDetails = this.teamRoles.find(r => r.name === newRoleName);
-
-            if (!roleDetails) {
-                return {
-                    success: false,
-                    error: `Invalid role: ${newRoleName}. Must be Pioneer, Technician, or Seeker.`
-                };
-            }
-
-            // Update the team member's role
             const { data, error } = await this.supabase
-                .from('team_members')
-                .update({
-                    role_name: roleDetails.name,
-                    role_description: roleDetails.description,
-                    role_icon: roleDetails.icon
-                })
-                .eq('participant_id', participantId)
-                .select()
-                .single();
+                .rpc('archive_session', {
+                    session_id_param: sessionId,
+                    coordinator_token_param: this.coordinatorToken
+                });
 
             if (error) {
-                return this.handleDatabaseError(error, 'Failed to update role');
+                return this.handleDatabaseError(error, 'Session archive failed');
             }
 
-            console.log('Role updated successfully:', data);
+            console.log(`Session ${sessionId} archived`);
             return {
                 success: true,
-                data: {
-                    participant_id: participantId,
-                    role_name: roleDetails.name,
-                    role_description: roleDetails.description,
-                    role_icon: roleDetails.icon
-                }
+                data: data
             };
 
         } catch (error) {
-            console.error('Error updating team member role:', error);
+            console.error('Session archive failed:', error);
             return {
                 success: false,
                 error: error.message
@@ -525,29 +603,32 @@ class SupabaseTeamManager {
     }
 
     /**
-     * Get all teams for a session
+     * Delete a session's teams, assignments, work units and recorded changesets so it can start over
+     * (coordinator only).
+     * Participants and session settings are kept.
      * @param {string} sessionId - Session identifier
      * @returns {Promise<{success: boolean, data?: object, error?: string}>}
      */
-    async getSessionTeams(sessionId) {
+    async resetSession(sessionId) {
         try {
             const { data, error } = await this.supabase
-                .from('teams')
-                .select('id, team_name, team_index')
-                .eq('session_id', sessionId)
-                .order('team_index');
+                .rpc('reset_session', {
+                    session_id_param: sessionId,
+                    coordinator_token_param: this.coordinatorToken
+                });
 
             if (error) {
-                return this.handleDatabaseError(error, 'Failed to fetch teams');
+                return this.handleDatabaseError(error, 'Session reset failed');
             }
 
+            console.log(`Session ${sessionId} reset:`, data);
             return {
                 success: true,
-                data: { teams: data }
+                data: data
             };
 
         } catch (error) {
-            console.error('Error fetching teams:', error);
+            console.error('Session reset failed:', error);
             return {
                 success: false,
                 error: error.message
@@ -556,62 +637,34 @@ class SupabaseTeamManager {
     }
 
     /**
-     * Get detailed team information including members and territories
-     * @param {string} teamId - Team UUID
+     * Copy a session's settings and coordinator passphrase into a new session ID (coordinator only)
+     * @param {string} sessionId - Session identifier
+     * @param {string} newSessionId - ID for the new session
+     * @param {boolean} includeParticipants - Also copy the participant list (without device links)
      * @returns {Promise<{success: boolean, data?: object, error?: string}>}
      */
-    async getTeamDetails(teamId) {
+    async cloneSession(sessionId, newSessionId, includeParticipants = false) {
         try {
-            console.log(`Fetching detailed info for team: ${teamId}`);
-
-            // Get team basic info
-            const { data: teamData, error: teamError } = await this.supabase
-                .from('teams')
-                .select('id, team_name, team_index, session_id')
-                .eq('id', teamId)
-                .single();
-
-            if (teamError) {
-                return this.handleDatabaseError(teamError, 'Failed to fetch team info');
-            }
-
-            // Get team members with their roles
-            const { data: membersData, error: membersError } = await this.supabase
-                .from('team_members')
-                .select(`
-                    role_name,
-                    role_description,
-                    role_icon,
-                    participants (
-                        id,
-                        first_name,
-                        osm_username
-                    )
-                `)
-                .eq('team_id', teamId)
-                .order('role_name');
-
-            if (membersError) {
-                return this.handleDatabaseError(membersError, 'Failed to fetch team members');
-            }
+            const { data, error } = await this.supabase
+                .rpc('clone_session', {
+                    session_id_param: sessionId,
+                    coordinator_token_param: this.coordinatorToken,
+                    new_session_id_param: newSessionId,
+                    include_participants_param: includeParticipants
+                });
 
-            // Get team territories with status
-            const territoriesResult = await this.getTeamTerritories(teamId);
-            if (!territoriesResult.success) {
-                return territoriesResult;
+            if (error) {
+                return this.handleDatabaseError(error, 'Session clone failed');
             }
 
+            console.log(`Session ${sessionId} cloned to ${newSessionId}`);
             return {
                 success: true,
-                data: {
-                    team: teamData,
-                    members: membersData || [],
-                    territories: territoriesResult.data.territories || []
-                }
+                data: data
             };
 
         } catch (error) {
-            console.error('Error fetching team details:', error);
+            console.error('Session clone failed:', error);
             return {
                 success: false,
                 error: error.message
@@ -619,73 +672,136 @@ class SupabaseTeamManager {
         }
     }
 
+    // ================================
+    // COORDINATOR AUTHENTICATION
+    // ================================
+
     /**
-     * Update a team member's team assignment
-     * @param {string} participantId - Participant UUID
-     * @param {string} newTeamId - New team UUID
+     * Log in as session coordinator with the session passphrase.
+     * The first login for an unknown session ID creates the session and sets its passphrase.
+     * @param {string} sessionId - Session identifier
+     * @param {string} passphrase - Coordinator passphrase (min. 8 characters)
      * @returns {Promise<{success: boolean, data?: object, error?: string}>}
      */
-    async updateTeamMemberTeam(participantId, newTeamId) {
+    async coordinatorLogin(sessionId, passphrase) {
         try {
-            console.log(`Updating team for participant ${participantId} to team ${newTeamId}`);
+            const { data, error } = await this.supabase
+                .rpc('coordinator_login', {
+                    session_id_param: sessionId,
+                    passphrase_param: passphrase
+                });
 
-            // Session isolation validation: verify participant and team share same session
-            const { data: participant, error: participantError } = await this.supabase
-                .from('participants')
-                .select('session_id')
-                .eq('id', participantId)
-                .single();
+            if (error) {
+                return this.handleDatabaseError(error, 'Coordinator login failed');
+            }
 
-            if (participantError) {
-                return this.handleDatabaseError(participantError, 'Failed to fetch participant');
+            if (!data.success) {
+                return {
+                    success: false,
+                    error: data.error
+                };
             }
 
-            const { data: team, error: teamError } = await this.supabase
-                .from('teams')
-                .select('session_id')
-                .eq('id', newTeamId)
-                .single();
+            this.coordinatorToken = data.coordinator_token;
+            this.currentSessionId = sessionId;
 
-            if (teamError) {
-                return this.handleDatabaseError(teamError, 'Failed to fetch team');
+            console.log(`Coordinator access granted for session ${sessionId}${data.session_created ? ' (new session)' : ''}`);
+            return {
+                success: true,
+                data: {
+                    sessionId: sessionId,
+                    coordinatorToken: data.coordinator_token,
+                    sessionCreated: data.session_created,
+                    coordinatorRegistered: data.coordinator_registered
+                }
+            };
+
+        } catch (error) {
+            console.error('Coordinator login error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Verify a coordinator token server-side (e.g. when restoring a saved browser session)
+     * @param {string} sessionId - Session identifier
+     * @param {string} coordinatorToken - Token from a previous coordinatorLogin (defaults to the current one)
+     * @returns {Promise<{success: boolean, data?: object, error?: string}>}
+     */
+    async verifyCoordinatorAccess(sessionId, coordinatorToken = this.coordinatorToken) {
+        try {
+            if (!coordinatorToken) {
+                return {
+                    success: false,
+                    error: 'Coordinator login required'
+                };
             }
 
-            // Validate session match
-            if (participant.session_id !== team.session_id) {
+            const { data, error } = await this.supabase
+                .rpc('verify_coordinator_token', {
+                    session_id_param: sessionId,
+                    coordinator_token_param: coordinatorToken
+                });
+
+            if (error) {
+                return this.handleDatabaseError(error, 'Coordinator verification failed');
+            }
+
+            if (!data.valid) {
+                this.coordinatorToken = null;
                 return {
                     success: false,
-                    error: `Session isolation violation: Participant belongs to session "${participant.session_id}" but team belongs to session "${team.session_id}". Cross-session team assignments are not allowed.`
+                    error: `Coordinator access for session "${sessionId}" is no longer valid. Please log in again with the coordinator passphrase.`
                 };
             }
 
-            console.log(`Session isolation validated: Both participant and team belong to session "${participant.session_id}"`);
+            this.coordinatorToken = coordinatorToken;
+            this.currentSessionId = sessionId;
 
-            // Update the team member's team assignment
+            return {
+                success: true,
+                data: { sessionId, coordinatorToken }
+            };
+
+        } catch (error) {
+            console.error('Coordinator verification error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Reset a participant's device link so they can log in from a new browser
+     * @param {string} sessionId - Session identifier
+     * @param {string} participantId - Participant UUID
+     * @returns {Promise<{success: boolean, data?: object, error?: string}>} data.link_code is the
+     *          one-time code the participant enters on the new browser
+     */
+    async resetParticipantDeviceLink(sessionId, participantId) {
+        try {
             const { data, error } = await this.supabase
-                .from('team_members')
-                .update({
-                    team_id: newTeamId
-                })
-                .eq('participant_id', participantId)
-                .select()
-                .single();
+                .rpc('reset_participant_device_link', {
+                    session_id_param: sessionId,
+                    coordinator_token_param: this.coordinatorToken,
+                    participant_id_param: participantId
+                });
 
             if (error) {
-                return this.handleDatabaseError(error, 'Failed to update team assignment');
+                return this.handleDatabaseError(error, 'Device link reset failed');
             }
 
-            console.log('Team assignment updated successfully with session isolation enforced:', data);
             return {
                 success: true,
-                data: {
-                    participant_id: participantId,
-                    team_id: newTeamId,
-                    session_id: participant.session_id
-                }
+                data: data
             };
 
         } catch (error) {
-            console.error('Error updating team assignment:', error);
+            console.error('Device link reset error:', error);
             return {
                 success: false,
                 error: error.message
@@ -693,90 +809,71 @@ class SupabaseTeamManager {
         }
     }
 
+    // ================================
+    // TEAM MANAGEMENT
+    // ================================
+
     /**
-     * Assign an unassigned participant to a team (create new team_member record)
-     * @param {string} participantId - Participant UUID
-     * @param {string} teamId - Team UUID
-     * @param {string} roleName - Role name (Pioneer, Technician, or Seeker)
+     * Create teams for a session with configurable team size
+     * @param {string} sessionId - Session identifier
+     * @param {number} teamSize - Desired team size (default: 3)
+     * @param {number|null} expectedTeamCount - Team count the distribution was previewed for;
+     *                                          creation fails if the participants no longer give it
      * @returns {Promise<{success: boolean, data?: object, error?: string}>}
      */
-    async assignParticipantToTeam(participantId, teamId, roleName) {
+    async createTeamsForSession(sessionId, teamSize = 3, expectedTeamCount = null) {
         try {
-            console.log(`Assigning participant ${participantId} to team ${teamId} with role ${roleName}`);
-
-            // Find the role details from teamRoles
-            const roleDetails = this.teamRoles.find(r => r.name === roleName);
+            console.log(`Creating teams for session: ${sessionId} with target team size: ${teamSize}`);
 
-            if (!roleDetails) {
+            // Pre-flight validation: verify all participants belong to this session
+            const participantsResult = await this.getSessionParticipants(sessionId);
+            if (!participantsResult.success) {
                 return {
                     success: false,
-                    error: `Invalid role: ${roleName}. Must be Pioneer, Technician, or Seeker.`
+                    error: `Failed to verify participants: ${participantsResult.error}`
                 };
             }
 
-            // Session isolation validation: verify participant and team share same session
-            const { data: participant, error: participantError } = await this.supabase
-                .from('participants')
-                .select('session_id')
-                .eq('id', participantId)
-                .single();
-
-            if (participantError) {
-                return this.handleDatabaseError(participantError, 'Failed to fetch participant');
-            }
-
-            const { data: team, error: teamError } = await this.supabase
-                .from('teams')
-                .select('session_id')
-                .eq('id', teamId)
-                .single();
+            const participants = participantsResult.data.participants;
+            console.log(`Session isolation check: Found ${participants.length} participants for session "${sessionId}"`);
 
-            if (teamError) {
-                return this.handleDatabaseError(teamError, 'Failed to fetch team');
-            }
+            // Verify no participants from other sessions
+            const { data: otherSessionParticipants, error: checkError } = await this.supabase
+                .from('participants')
+                .select('id, session_id')
+                .neq('session_id', sessionId)
+                .in('id', participants.map(p => p.id));
 
-            // Validate session match
-            if (participant.session_id !== team.session_id) {
+            if (checkError) {
+                console.warn('Session isolation pre-check failed:', checkError);
+                // Continue anyway - the database trigger will catch any issues
+            } else if (otherSessionParticipants && otherSessionParticipants.length > 0) {
                 return {
                     success: false,
-                    error: `Session isolation violation: Participant belongs to session "${participant.session_id}" but team belongs to session "${team.session_id}". Cross-session team assignments are not allowed.`
+                    error: `Session isolation violation detected: ${otherSessionParticipants.length} participants belong to other sessions`
                 };
             }
 
-            console.log(`Session isolation validated: Both participant and team belong to session "${participant.session_id}"`);
-
-            // Insert new team member record
             const { data, error } = await this.supabase
-                .from('team_members')
-                .insert([{
-                    participant_id: participantId,
-                    team_id: teamId,
-                    role_name: roleDetails.name,
-                    role_description: roleDetails.description,
-                    role_icon: roleDetails.icon
-                }])
-                .select()
-                .single();
+                .rpc('create_teams_with_role_assignment', {
+                    session_id_param: sessionId,
+                    coordinator_token_param: this.coordinatorToken,
+                    desired_team_size: teamSize,
+                    expected_team_count: expectedTeamCount
+                });
 
             if (error) {
-                return this.handleDatabaseError(error, 'Failed to assign participant to team');
+                return this.handleDatabaseError(error, 'Team creation failed');
             }
 
-            console.log('Participant assigned to team successfully with session isolation enforced:', data);
+            console.log('Teams created successfully with session isolation enforced:', data);
             return {
                 success: true,
-                data: {
-                    participant_id: participantId,
-                    team_id: teamId,
-                    role_name: roleDetails.name,
-                    role_description: roleDetails.description,
-                    role_icon: roleDetails.icon,
-                    session_id: participant.session_id
-                }
+                data: data
             };
 
         } catch (error) {
-            console.error('Error assigning participant to team:', error);
+            console.error('Team creation failed:', error);
             return {
                 success: false,
                 error: error.message
@@ -784,40 +881,58 @@ class SupabaseTeamManager {
         }
     }
 
-    // ================================
-    // TERRITORY MANAGEMENT
-    // ================================
-
     /**
-     * Populate territories table with data from OverpassAPI
-     * @param {Array} territories - Territory data from OverpassAPI
+     * Update a team member's role. Coordinators may change any member of their
+     * session; participants may only change their own role.
+     * @param {string} participantId - Participant UUID
+     * @param {string} newRoleName - New role name (Pioneer, Technician, or Seeker)
      * @returns {Promise<{success: boolean, data?: object, error?: string}>}
      */
-    async populateTerritoriesTable(territories) {
+    async updateTeamMemberRole(participantId, newRoleName) {
         try {
-            console.log(`Populating territories table with ${territories.length} territories...`);
-            
-            // Insert territories with conflict resolution on ISO code
-            const { data, error } = await this.supabase
-                .from('indian_territories')
-                .upsert(territories, { 
-                    onConflict: 'iso_code',
-                    ignoreDuplicates: false // Update existing records
+            console.log(`Updating role for participant ${participantId} to ${newRoleName}`);
+
+            // Find the role details from teamRoles
+            const roleDetails = this.teamRoles.find(r => r.name === newRoleName);
+
+            if (!roleDetails) {
+                return {
+                    success: false,
+                    error: `Invalid role: ${newRoleName}. Must be Pioneer, Technician, or Seeker.`
+                };
+            }
+
+            // Update the team member's role
+            const { data, error } = this.coordinatorToken
+                ? await this.supabase.rpc('coordinator_update_team_member', {
+                    session_id_param: this.currentSessionId,
+                    coordinator_token_param: this.coordinatorToken,
+                    participant_id_param: participantId,
+                    role_name_param: roleDetails.name
                 })
-                .select();
+                : await this.supabase.rpc('update_own_team_role', {
+                    participant_id_param: participantId,
+                    participant_token_param: this.participantToken,
+                    role_name_param: roleDetails.name
+                });
 
             if (error) {
-                return this.handleDatabaseError(error, 'Territory population failed');
+                return this.handleDatabaseError(error, 'Failed to update role');
             }
 
-            console.log(`Successfully populated ${territories.length} territories in database`);
+            console.log('Role updated successfully:', data);
             return {
                 success: true,
-                data: { territories: data, count: territories.length }
+                data: {
+                    participant_id: participantId,
+                    role_name: roleDetails.name,
+                    role_description: roleDetails.description,
+                    role_icon: roleDetails.icon
+                }
             };
-            
+
         } catch (error) {
-            console.error('Territory population failed:', error);
+            console.error('Error updating team member role:', error);
             return {
                 success: false,
                 error: error.message
@@ -826,31 +941,29 @@ class SupabaseTeamManager {
     }
 
     /**
-     * Assign territories to teams for a session
+     * Get all teams for a session
      * @param {string} sessionId - Session identifier
      * @returns {Promise<{success: boolean, data?: object, error?: string}>}
      */
-    async assignTerritoriesToTeams(sessionId) {
+    async getSessionTeams(sessionId) {
         try {
-            console.log(`Assigning territories to teams for session: ${sessionId}`);
-            
             const { data, error } = await this.supabase
-                .rpc('distribute_territories_to_teams', {
-                    session_id_param: sessionId
-                });
+                .from('teams')
+                .select('id, team_name, team_index')
+                .eq('session_id', sessionId)
+                .order('team_index');
 
             if (error) {
-                return this.handleDatabaseError(error, 'Territory distribution failed');
+                return this.handleDatabaseError(error, 'Failed to fetch teams');
             }
 
-            console.log('Territories distributed successfully:', data);
             return {
                 success: true,
-                data: data
+                data: { teams: data }
             };
-            
+
         } catch (error) {
-            console.error('Territory distribution failed:', error);
+            console.error('Error fetching teams:', error);
             return {
                 success: false,
                 error: error.message
@@ -859,60 +972,1455 @@ class SupabaseTeamManager {
     }
 
     /**
-     * Get territories assigned to a team
+     * Get detailed team information including members and territories
      * @param {string} teamId - Team UUID
      * @returns {Promise<{success: boolean, data?: object, error?: string}>}
      */
-    async getTeamTerritories(teamId) {
+    async getTeamDetails(teamId) {
         try {
-            const { data, error } = await this.supabase
-                .from('team_territories')
-                .select(`
-                    id,
-                    status,
-                    assigned_at,
-                    started_at,
-                    completed_at,
-                    completed_by,
-                    notes,
-                    indian_territories (
-                        name,
-                        name_en,
-                        iso_code,
-                        osm_relation_id,
-                        place_type
+            console.log(`Fetching detailed info for team: ${teamId}`);
+
+            // Get team basic info
+            const { data: teamData, error: teamError } = await this.supabase
+                .from('teams')
+                .select('id, team_name, team_index, session_id')
+                .eq('id', teamId)
+                .single();
+
+            if (teamError) {
+                return this.handleDatabaseError(teamError, 'Failed to fetch team info');
+            }
+
+            // Get team members with their roles
+            const { data: membersData, error: membersError } = await this.supabase
+                .from('team_members')
+                .select(`
+                    role_name,
+                    role_description,
+                    role_icon,
+                    participants (
+                        id,
+                        first_name,
+                        osm_username
                     )
                 `)
                 .eq('team_id', teamId)
-                .order('indian_territories(name)');
+                .order('role_name');
+
+            if (membersError) {
+                return this.handleDatabaseError(membersError, 'Failed to fetch team members');
+            }
+
+            // Get team territories with status
+            const territoriesResult = await this.getTeamTerritories(teamId);
+            if (!territoriesResult.success) {
+                return territoriesResult;
+            }
+
+            return {
+                success: true,
+                data: {
+                    team: teamData,
+                    members: membersData || [],
+                    territories: territoriesResult.data.territories || []
+                }
+            };
+
+        } catch (error) {
+            console.error('Error fetching team details:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Update a team member's team assignment
+     * @param {string} participantId - Participant UUID
+     * @param {string} newTeamId - New team UUID
+     * @returns {Promise<{success: boolean, data?: object, error?: string}>}
+     */
+    async updateTeamMemberTeam(participantId, newTeamId) {
+        try {
+            console.log(`Updating team for participant ${participantId} to team ${newTeamId}`);
+
+            // Session isolation validation: verify participant and team share same session
+            const { data: participant, error: participantError } = await this.supabase
+                .from('participants')
+                .select('session_id')
+                .eq('id', participantId)
+                .single();
+
+            if (participantError) {
+                return this.handleDatabaseError(participantError, 'Failed to fetch participant');
+            }
+
+            const { data: team, error: teamError } = await this.supabase
+                .from('teams')
+                .select('session_id')
+                .eq('id', newTeamId)
+                .single();
+
+            if (teamError) {
+                return this.handleDatabaseError(teamError, 'Failed to fetch team');
+            }
+
+            // Validate session match
+            if (participant.session_id !== team.session_id) {
+                return {
+                    success: false,
+                    error: `Session isolation violation: Participant belongs to session "${participant.session_id}" but team belongs to session "${team.session_id}". Cross-session team assignments are not allowed.`
+                };
+            }
+
+            console.log(`Session isolation validated: Both participant and team belong to session "${participant.session_id}"`);
+
+            // Update the team member's team assignment (coordinator only)
+            const { data, error } = await this.supabase
+                .rpc('coordinator_update_team_member', {
+                    session_id_param: participant.session_id,
+                    coordinator_token_param: this.coordinatorToken,
+                    participant_id_param: participantId,
+                    team_id_param: newTeamId
+                });
 
             if (error) {
-                return this.handleDatabaseError(error, 'Failed to fetch team territories');
+                return this.handleDatabaseError(error, 'Failed to update team assignment');
+            }
+
+            console.log('Team assignment updated successfully with session isolation enforced:', data);
+            return {
+                success: true,
+                data: {
+                    participant_id: participantId,
+                    team_id: newTeamId,
+                    session_id: participant.session_id
+                }
+            };
+
+        } catch (error) {
+            console.error('Error updating team assignment:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Assign an unassigned participant to a team (create new team_member record)
+     * @param {string} participantId - Participant UUID
+     * @param {string} teamId - Team UUID
+     * @param {string} roleName - Role name (Pioneer, Technician, or Seeker)
+     * @returns {Promise<{success: boolean, data?: object, error?: string}>}
+     */
+    async assignParticipantToTeam(participantId, teamId, roleName) {
+        try {
+            console.log(`Assigning participant ${participantId} to team ${teamId} with role ${roleName}`);
+
+            // Find the role details from teamRoles
+            const roleDetails = this.teamRoles.find(r => r.name === roleName);
+
+            if (!roleDetails) {
+                return {
+                    success: false,
+                    error: `Invalid role: ${roleName}. Must be Pioneer, Technician, or Seeker.`
+                };
+            }
+
+            // Session isolation validation: verify participant and team share same session
+            const { data: participant, error: participantError } = await this.supabase
+                .from('participants')
+                .select('session_id')
+                .eq('id', participantId)
+                .single();
+
+            if (participantError) {
+                return this.handleDatabaseError(participantError, 'Failed to fetch participant');
+            }
+
+            const { data: team, error: teamError } = await this.supabase
+                .from('teams')
+                .select('session_id')
+                .eq('id', teamId)
+                .single();
+
+            if (teamError) {
+                return this.handleDatabaseError(teamError, 'Failed to fetch team');
+            }
+
+            // Validate session match
+            if (participant.session_id !== team.session_id) {
+                return {
+                    success: false,
+                    error: `Session isolation violation: Participant belongs to session "${participant.session_id}" but team belongs to session "${team.session_id}". Cross-session team assignments are not allowed.`
+                };
+            }
+
+            console.log(`Session isolation validated: Both participant and team belong to session "${participant.session_id}"`);
+
+            // Insert new team member record (coordinator only)
+            const { data, error } = await this.supabase
+                .rpc('coordinator_assign_participant', {
+                    session_id_param: participant.session_id,
+                    coordinator_token_param: this.coordinatorToken,
+                    participant_id_param: participantId,
+                    team_id_param: teamId,
+                    role_name_param: roleDetails.name
+                });
+
+            if (error) {
+                return this.handleDatabaseError(error, 'Failed to assign participant to team');
+            }
+
+            console.log('Participant assigned to team successfully with session isolation enforced:', data);
+            return {
+                success: true,
+                data: {
+                    participant_id: participantId,
+                    team_id: teamId,
+                    role_name: roleDetails.name,
+                    role_description: roleDetails.description,
+                    role_icon: roleDetails.icon,
+                    session_id: participant.session_id
+                }
+            };
+
+        } catch (error) {
+            console.error('Error assigning participant to team:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Join a team as a late joiner (the current participant, after teams are formed).
+     * Resolves with placed = false while the coordinator has not formed teams yet.
+     * @param {string} sessionId - Session identifier
+     * @returns {Promise<{success: boolean, data?: object, error?: string}>}
+     */
+    async joinFormedTeam(sessionId) {
+        try {
+            const { data, error } = await this.supabase
+                .rpc('join_formed_team', {
+                    session_id_param: sessionId,
+                    participant_id_param: this.currentUserId,
+                    participant_token_param: this.participantToken
+                });
+
+            if (error) {
+                return this.handleDatabaseError(error, 'Failed to join a team');
+            }
+
+            if (data.placed) {
+                console.log(`Late joiner placed on ${data.team_name} as ${data.role_name}`);
+            }
+
+            return {
+                success: true,
+                data: data
+            };
+
+        } catch (error) {
+            console.error('Error joining team:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Rebalance a session's teams after late joiners or manual moves (coordinator only).
+     * Places unassigned participants, evens out team sizes and roles, and moves
+     * unstarted territories; current and completed work stays where it is.
+     * @param {string} sessionId - Session identifier
+     * @returns {Promise<{success: boolean, data?: object, error?: string}>}
+     */
+    async rebalanceSessionTeams(sessionId) {
+        try {
+            const { data, error } = await this.supabase
+                .rpc('rebalance_session_teams', {
+                    session_id_param: sessionId,
+                    coordinator_token_param: this.coordinatorToken
+                });
+
+            if (error) {
+                return this.handleDatabaseError(error, 'Team rebalance failed');
             }
 
-            // Transform to expected format for frontend (with ISO code support)
-            const territories = data.map(assignment => ({
-                id: assignment.id, // This is the team_territories.id (assignmentId)
-                territory_name: assignment.indian_territories.name,
-                territory_osm_id: assignment.indian_territories.osm_relation_id, // For legacy compatibility
-                iso_code: assignment.indian_territories.iso_code, // Primary for Overpass queries
-                place_type: assignment.indian_territories.place_type,
-                status: assignment.status,
-                assigned_at: assignment.assigned_at,
-                started_at: assignment.started_at,
-                completed_at: assignment.completed_at,
-                completed_by: assignment.completed_by,
-                notes: assignment.notes,
-                overpass_ready: assignment.indian_territories.iso_code && assignment.indian_territories.iso_code !== ''
-            }));
+            console.log('Teams rebalanced:', data);
+            return {
+                success: true,
+                data: data
+            };
+
+        } catch (error) {
+            console.error('Team rebalance failed:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    // ================================
+    // TERRITORY MANAGEMENT
+    // ================================
+
+    /**
+     * Populate territories table with data from OverpassAPI (coordinator only)
+     * @param {Array} territories - Territory data from OverpassAPI
+     * @returns {Promise<{success: boolean, data?: object, error?: string}>}
+     */
+    async populateTerritoriesTable(territories) {
+        try {
+            console.log(`Populating territories table with ${territories.length} territories...`);
+            
+            // Upsert on ISO code: existing rows are shared, so only their missing bounds and metrics are filled in
+            const { data, error } = await this.supabase
+                .rpc('populate_territories', {
+                    session_id_param: this.currentSessionId,
+                    coordinator_token_param: this.coordinatorToken,
+                    territories_param: territories
+                });
+
+            if (error) {
+                return this.handleDatabaseError(error, 'Territory population failed');
+            }
+
+            console.log(`Successfully populated ${data.count} territories in database`);
+            return {
+                success: true,
+                data: { count: data.count }
+            };
+            
+        } catch (error) {
+            console.error('Territory population failed:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Fill in power feature counts for the power_features distribution strategy.
+     * Counts stored within the last week are reused instead of re-querying Overpass.
+     * @param {Array} territories - Formatted territories from OverpassAPI
+     * @param {object} overpassAPI - OverpassAPI instance used for counting
+     * @param {Function} onProgress - Optional callback (done, total) after each territory
+     * @returns {Promise<Array>} The territories with power_feature_count set where known
+     */
+    async attachPowerFeatureCounts(territories, overpassAPI, onProgress = null) {
+        const maxAgeMs = 7 * 24 * 60 * 60 * 1000;
+        const storedCounts = new Map();
+
+        const { data: stored, error } = await this.supabase
+            .from('territories')
+            .select('iso_code, power_feature_count, power_features_counted_at')
+            .in('iso_code', territories.map(t => t.iso_code))
+            .not('power_feature_count', 'is', null);
+
+        if (error) {
+            console.warn('Could not read stored power feature counts:', error.message);
+        } else {
+            stored.forEach(row => {
+                if (Date.now() - new Date(row.power_features_counted_at).getTime() < maxAgeMs) {
+                    storedCounts.set(row.iso_code, row.power_feature_count);
+                }
+            });
+        }
+
+        const counted = [];
+        for (const territory of territories) {
+            let powerFeatureCount = storedCounts.has(territory.iso_code)
+                ? storedCounts.get(territory.iso_code)
+                : null;
+
+            if (powerFeatureCount === null) {
+                const countResult = await overpassAPI.countPowerFeatures(territory.iso_code);
+                if (countResult.success) {
+                    powerFeatureCount = countResult.data.total;
+                } else {
+                    console.warn(`Power feature count failed for ${territory.name}:`, countResult.error);
+                }
+            }
+
+            counted.push({ ...territory, power_feature_count: powerFeatureCount });
+            if (onProgress) {
+                onProgress(counted.length, territories.length);
+            }
+        }
+
+        return counted;
+    }
+
+    /**
+     * Preview the per-team load of a distribution strategy (coordinator only)
+     * @param {string} sessionId - Session identifier
+     * @param {string} strategy - round_robin, area, population or power_features
+     * @param {number} teamCount - Number of teams that will be created
+     * @returns {Promise<{success: boolean, data?: object, error?: string}>}
+     */
+    async previewTerritoryDistribution(sessionId, strategy, teamCount) {
+        try {
+            const { data, error } = await this.supabase
+                .rpc('preview_territory_distribution', {
+                    session_id_param: sessionId,
+                    coordinator_token_param: this.coordinatorToken,
+                    strategy_param: strategy,
+                    team_count_param: teamCount
+                });
+
+            if (error) {
+                return this.handleDatabaseError(error, 'Distribution preview failed');
+            }
+
+            return {
+                success: true,
+                data: data
+            };
+
+        } catch (error) {
+            console.error('Distribution preview failed:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Assign territories to teams for a session
+     * @param {string} sessionId - Session identifier
+     * @param {string} strategy - round_robin, area, population or power_features
+     * @returns {Promise<{success: boolean, data?: object, error?: string}>}
+     */
+    async assignTerritoriesToTeams(sessionId, strategy = 'round_robin') {
+        try {
+            console.log(`Assigning territories to teams for session: ${sessionId} (strategy: ${strategy})`);
+            
+            const { data, error } = await this.supabase
+                .rpc('distribute_territories_to_teams', {
+                    session_id_param: sessionId,
+                    coordinator_token_param: this.coordinatorToken,
+                    strategy_param: strategy
+                });
+
+            if (error) {
+                return this.handleDatabaseError(error, 'Territory distribution failed');
+            }
+
+            console.log('Territories distributed successfully:', data);
+            return {
+                success: true,
+                data: data
+            };
+            
+        } catch (error) {
+            console.error('Territory distribution failed:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Move a territory assignment to another team of the session (coordinator only).
+     * The move is logged in territory_reassignments; completed territories cannot be moved.
+     * @param {string} sessionId - Session identifier
+     * @param {string} assignmentId - team_territories.id
+     * @param {string} teamId - Team UUID to move the territory to
+     * @param {string} reason - Optional reason kept in the territory's history
+     * @returns {Promise<{success: boolean, data?: object, error?: string}>}
+     */
+    async coordinatorReassignTerritory(sessionId, assignmentId, teamId, reason = null) {
+        try {
+            const { data, error } = await this.supabase
+                .rpc('coordinator_reassign_territory', {
+                    session_id_param: sessionId,
+                    coordinator_token_param: this.coordinatorToken,
+                    assignment_id_param: assignmentId,
+                    team_id_param: teamId,
+                    reason_param: reason
+                });
+
+            if (error) {
+                return this.handleDatabaseError(error, 'Territory reassignment failed');
+            }
+
+            console.log('Territory reassigned:', data);
+            return {
+                success: true,
+                data: data
+            };
+
+        } catch (error) {
+            console.error('Territory reassignment failed:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Get territories assigned to a team
+     * @param {string} teamId - Team UUID
+     * @returns {Promise<{success: boolean, data?: object, error?: string}>}
+     */
+    async getTeamTerritories(teamId) {
+        try {
+            const { data, error } = await this.supabase
+                .from('team_territories')
+                .select(`
+                    id,
+                    status,
+                    assigned_at,
+                    started_at,
+                    completed_at,
+                    completed_by,
+                    notes,
+                    territories (
+                        name,
+                        name_en,
+                        country_code,
+                        iso_code,
+                        osm_relation_id,
+                        place_type,
+                        center_lat,
+                        center_lon,
+                        min_lat,
+                        min_lon,
+                        max_lat,
+                        max_lon
+                    ),
+                    work_units (
+                        id,
+                        unit_index,
+                        unit_type,
+                        name,
+                        osm_relation_id,
+                        min_lat,
+                        min_lon,
+                        max_lat,
+                        max_lon,
+                        status,
+                        started_at,
+                        completed_at,
+                        completed_by
+                    )
+                `)
+                .eq('team_id', teamId)
+                .order('territories(name)');
+
+            if (error) {
+                return this.handleDatabaseError(error, 'Failed to fetch team territories');
+            }
+
+            // Transform to expected format for frontend (with ISO code support)
+            const territories = data.map(assignment => ({
+                id: assignment.id, // This is the team_territories.id (assignmentId)
+                territory_name: assignment.territories.name,
+                territory_osm_id: assignment.territories.osm_relation_id, // For legacy compatibility
+                country_code: assignment.territories.country_code,
+                iso_code: assignment.territories.iso_code, // Primary for Overpass queries
+                place_type: assignment.territories.place_type,
+                center: assignment.territories.center_lat !== null && assignment.territories.center_lon !== null
+                    ? [Number(assignment.territories.center_lat), Number(assignment.territories.center_lon)]
+                    : null,
+                bounds: assignment.territories.min_lat !== null
+                    ? {
+                        minLat: Number(assignment.territories.min_lat),
+                        minLon: Number(assignment.territories.min_lon),
+                        maxLat: Number(assignment.territories.max_lat),
+                        maxLon: Number(assignment.territories.max_lon)
+                    }
+                    : null,
+                status: assignment.status,
+                assigned_at: assignment.assigned_at,
+                started_at: assignment.started_at,
+                completed_at: assignment.completed_at,
+                completed_by: assignment.completed_by,
+                notes: assignment.notes,
+                overpass_ready: assignment.territories.iso_code && assignment.territories.iso_code !== '',
+                work_units: (assignment.work_units || [])
+                    .map(unit => this.formatWorkUnit(unit))
+                    .sort((a, b) => a.unit_index - b.unit_index)
+            }));
+
+            return {
+                success: true,
+                data: { territories }
+            };
+            
+        } catch (error) {
+            console.error('Error fetching team territories:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Get territory data for Overpass API operations (ISO code based)
+     * @param {string} assignmentId - team_territories.id (assignment record UUID)
+     * @returns {Promise<{success: boolean, data?: object, error?: string}>}
+     */
+    async getTerritoryForOverpass(assignmentId) {
+        try {
+            const { data, error } = await this.supabase
+                .rpc('get_territory_for_overpass_operations', {
+                    assignment_id_param: assignmentId
+                });
+
+            if (error) {
+                return this.handleDatabaseError(error, 'Failed to get territory data');
+            }
+            
+            if (!data) {
+                return {
+                    success: false,
+                    error: 'Territory assignment not found'
+                };
+            }
+
+            return {
+                success: true,
+                data: data
+            };
+            
+        } catch (error) {
+            console.error('Error getting territory for Overpass:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Get full details for a territory assignment, including the OSM edits and tag completeness measured for it
+     * @param {string} assignmentId - team_territories.id
+     * @returns {Promise<{success: boolean, data?: object, error?: string}>}
+     */
+    async getTerritoryAssignmentDetails(assignmentId) {
+        try {
+            const { data, error } = await this.supabase
+                .rpc('get_territory_assignment_details', {
+                    assignment_id_param: assignmentId
+                });
+
+            if (error) {
+                return this.handleDatabaseError(error, 'Failed to get territory details');
+            }
+
+            return {
+                success: true,
+                data: data
+            };
+
+        } catch (error) {
+            console.error('Error getting territory details:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Get every territory assignment of a session
+     * @param {string} sessionId - Session identifier
+     * @returns {Promise<{success: boolean, data?: object, error?: string}>}
+     */
+    async getAllTerritoryAssignments(sessionId) {
+        try {
+            const { data, error } = await this.supabase
+                .rpc('get_all_territory_assignments', {
+                    session_id_param: sessionId
+                });
+
+            if (error) {
+                return this.handleDatabaseError(error, 'Failed to get territory assignments');
+            }
+
+            return {
+                success: true,
+                data: data
+            };
+
+        } catch (error) {
+            console.error('Error getting territory assignments:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Update territory assignment status
+     * @param {string} assignmentId - team_territories.id
+     * @param {string} newStatus - New status ('available', 'current', 'completed')
+     * @param {string} notes - Optional notes
+     * @returns {Promise<{success: boolean, data?: object, error?: string}>}
+     */
+    async updateTerritoryStatus(assignmentId, newStatus, notes = null) {
+        try {
+            const { data, error } = await this.supabase
+                .rpc('update_territory_assignment_status', {
+                    assignment_id_param: assignmentId,
+                    new_status_param: newStatus,
+                    participant_id_param: this.currentUserId,
+                    participant_token_param: this.participantToken,
+                    notes_param: notes
+                });
+
+            if (error) {
+                return this.handleDatabaseError(error, 'Failed to update territory status');
+            }
+            
+            console.log(`Territory status updated to: ${newStatus}`);
+            return {
+                success: true,
+                data: data
+            };
+            
+        } catch (error) {
+            console.error('Error updating territory status:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Split a territory assignment into work units
+     * @param {string} assignmentId - Team territory assignment ID
+     * @param {string} unitType - 'district' or 'grid'
+     * @param {Array} units - Units from OverpassAPI.fetchDistricts/generateGridUnits
+     * @returns {Promise<{success: boolean, data?: object, error?: string}>}
+     */
+    async createWorkUnits(assignmentId, unitType, units) {
+        try {
+            const { data, error } = await this.supabase
+                .rpc('create_work_units', {
+                    assignment_id_param: assignmentId,
+                    participant_id_param: this.currentUserId,
+                    participant_token_param: this.participantToken,
+                    unit_type_param: unitType,
+                    units_param: units
+                });
+
+            if (error) {
+                return this.handleDatabaseError(error, 'Failed to create work units');
+            }
+
+            console.log(`Territory split into ${data.unit_count} ${unitType} work units`);
+            return {
+                success: true,
+                data: data
+            };
+
+        } catch (error) {
+            console.error('Error creating work units:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Update a work unit's status (territory status is rolled up server-side)
+     * @param {string} workUnitId - Work unit UUID
+     * @param {string} newStatus - New status (available/current/completed)
+     * @returns {Promise<{success: boolean, data?: object, error?: string}>}
+     */
+    async updateWorkUnitStatus(workUnitId, newStatus) {
+        try {
+            const { data, error } = await this.supabase
+                .rpc('update_work_unit_status', {
+                    work_unit_id_param: workUnitId,
+                    new_status_param: newStatus,
+                    participant_id_param: this.currentUserId,
+                    participant_token_param: this.participantToken
+                });
+
+            if (error) {
+                return this.handleDatabaseError(error, 'Failed to update work unit status');
+            }
+
+            console.log(`Work unit status updated to: ${newStatus} (territory: ${data.territory_status})`);
+            return {
+                success: true,
+                data: data
+            };
+
+        } catch (error) {
+            console.error('Error updating work unit status:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Normalize a work_units row (numeric columns arrive as strings)
+     * @private
+     */
+    formatWorkUnit(unit) {
+        return {
+            ...unit,
+            min_lat: Number(unit.min_lat),
+            min_lon: Number(unit.min_lon),
+            max_lat: Number(unit.max_lat),
+            max_lon: Number(unit.max_lon)
+        };
+    }
+
+    // ================================
+    // COORDINATOR OPERATIONS
+    // ================================
+
+    /**
+     * Prepare session setup - fetch and store territories, then preview how the
+     * chosen strategy would load each team. Nothing is created until
+     * coordinatorSetupSession() is called.
+     * @param {string} sessionId - Session identifier
+     * @param {object} overpassAPI - OverpassAPI instance for fetching territories
+     * @param {number} teamSize - Desired team size (default: 3)
+     * @param {string} strategy - round_robin, area, population or power_features
+     * @param {Function} onProgress - Optional callback (message) for long-running steps
+     * @returns {Promise<{success: boolean, data?: object, error?: string}>}
+     */
+    async coordinatorPrepareDistribution(sessionId, overpassAPI, teamSize = 3, strategy = 'round_robin', onProgress = null) {
+        try {
+            console.log(`Preparing distribution for session: ${sessionId} with team size: ${teamSize}`);
+
+            // Step 0: Confirm coordinator access before touching anything
+            const accessResult = await this.verifyCoordinatorAccess(sessionId);
+            if (!accessResult.success) {
+                return accessResult;
+            }
+
+            // Step 1: Validate participant count
+            const participantsResult = await this.getSessionParticipants(sessionId);
+            if (!participantsResult.success) {
+                throw new Error(participantsResult.error);
+            }
+
+            const participants = participantsResult.data.participants;
+            const participantCount = participants.length;
+
+            // Flexible validation for team formation
+            if (participantCount < 1) {
+                return {
+                    success: false,
+                    error: `Need at least 1 participant to form teams, found ${participantCount}`
+                };
+            }
+
+            // Validate team size
+            if (teamSize < 1) {
+                return {
+                    success: false,
+                    error: `Team size must be at least 1, got ${teamSize}`
+                };
+            }
+
+            // Calculate team count based on desired team size (matches create_teams_with_role_assignment)
+            const teamCount = Math.ceil(participantCount / teamSize);
+
+            console.log(`${participantCount} participants will be distributed across approximately ${teamCount} teams of size ${teamSize}`);
+
+            // Step 2: Fetch territories for the session's country
+            const sessionResult = await this.getSession(sessionId);
+            const countryCode = sessionResult.success && sessionResult.data.session
+                ? sessionResult.data.session.country_code
+                : DEFAULT_COUNTRY_CODE;
+
+            console.log(`Fetching ${countryCode} territories from Overpass API...`);
+            const territoriesResult = await overpassAPI.fetchTerritories(countryCode);
+            
+            if (!territoriesResult.success || !territoriesResult.data.length) {
+                return {
+                    success: false,
+                    error: territoriesResult.error || 'Failed to fetch territories from Overpass API'
+                };
+            }
+
+            console.log(`Retrieved ${territoriesResult.data.length} territories from Overpass API`);
+
+            let territories = territoriesResult.data;
+            if (strategy === 'power_features') {
+                territories = await this.attachPowerFeatureCounts(territories, overpassAPI, (done, total) => {
+                    if (onProgress) {
+                        onProgress(`Counting existing power features (${done}/${total})...`);
+                    }
+                });
+            }
+
+            // Step 3: Populate database with territories
+            const populateResult = await this.populateTerritoriesTable(territories);
+            if (!populateResult.success) {
+                console.warn('Territory population had issues:', populateResult.error);
+                // Continue anyway - territories might already exist
+            }
+
+            // Step 4: Preview the per-team load
+            const previewResult = await this.previewTerritoryDistribution(sessionId, strategy, teamCount);
+            if (!previewResult.success) {
+                return previewResult;
+            }
+
+            return {
+                success: true,
+                data: {
+                    sessionId: sessionId,
+                    countryCode: countryCode,
+                    participantsTotal: participantCount,
+                    teamSize: teamSize,
+                    teamCount: teamCount,
+                    strategy: strategy,
+                    preview: previewResult.data
+                }
+            };
+
+        } catch (error) {
+            console.error('Distribution preparation failed:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Complete session setup - create teams and assign territories
+     * @param {string} sessionId - Session identifier
+     * @param {object} overpassAPI - OverpassAPI instance for fetching territories
+     * @param {number} teamSize - Desired team size (default: 3)
+     * @param {object} options - { strategy, prepared } where prepared skips the
+     *                           territory fetch already done by coordinatorPrepareDistribution()
+     * @returns {Promise<{success: boolean, data?: object, error?: string}>}
+     */
+    async coordinatorSetupSession(sessionId, overpassAPI, teamSize = 3, options = {}) {
+        const strategy = options.strategy || 'round_robin';
+
+        try {
+            console.log(`Starting coordinator setup for session: ${sessionId} with team size: ${teamSize}`);
+
+            // Steps 0-4: Validate, fetch, populate and preview (unless already prepared)
+            let prepared = options.prepared;
+            if (!prepared) {
+                const prepareResult = await this.coordinatorPrepareDistribution(sessionId, overpassAPI, teamSize, strategy);
+                if (!prepareResult.success) {
+                    return prepareResult;
+                }
+                prepared = prepareResult.data;
+            }
+
+            const participantCount = prepared.participantsTotal;
+            const teamCount = prepared.teamCount;
+
+            // Step 5: Create teams with specified team size, as many as the preview showed
+            const teamResult = await this.createTeamsForSession(sessionId, teamSize, teamCount);
+            if (!teamResult.success) {
+                return {
+                    success: false,
+                    error: `Team creation failed: ${teamResult.error}`
+                };
+            }
+
+            // Step 6: Distribute territories
+            const distributionResult = await this.assignTerritoriesToTeams(sessionId, strategy);
+            if (!distributionResult.success) {
+                return {
+                    success: false,
+                    error: `Territory distribution failed: ${distributionResult.error}`
+                };
+            }
+
+            console.log('Coordinator setup completed successfully');
+
+            return {
+                success: true,
+                data: {
+                    sessionId: sessionId,
+                    participantsTotal: participantCount,
+                    teamsCreated: teamCount,
+                    territoriesDistributed: distributionResult.data.territories_distributed || 0,
+                    teamDetails: teamResult.data,
+                    territoryDetails: distributionResult.data
+                }
+            };
+            
+        } catch (error) {
+            console.error('Coordinator setup failed:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Get session progress and statistics
+     * @param {string} sessionId - Session identifier
+     * @returns {Promise<{success: boolean, data?: object, error?: string}>}
+     */
+    async getSessionProgress(sessionId) {
+        try {
+            const { data, error } = await this.supabase
+                .rpc('get_session_progress_overview', {
+                    session_id_param: sessionId
+                });
+
+            if (error) {
+                return this.handleDatabaseError(error, 'Failed to get session progress');
+            }
+
+            // Get leaderboard
+            const leaderboardResult = await this.getTeamLeaderboard(sessionId);
+            
+            return {
+                success: true,
+                data: {
+                    sessionId: sessionId,
+                    sessionStatus: data.session_status || 'unknown',
+                    countryCode: data.country_code || DEFAULT_COUNTRY_CODE,
+                    teamSize: data.team_size || null,
+                    distributionStrategy: data.distribution_strategy || null,
+                    osmoseIssueTypes: data.osmose_issue_types || [],
+                    completedAt: data.completed_at || null,
+                    archivedAt: data.archived_at || null,
+                    clonedFrom: data.cloned_from || null,
+                    teamCount: data.team_count || 0,
+                    unassignedParticipants: data.unassigned_participants || 0,
+                    totalTerritories: data.total_territories || 0,
+                    completedTerritories: data.completed_territories || 0,
+                    completionPercentage: data.completion_percentage || 0,
+                    teams_data: data.teams_data || [],
+                    tagCompleteness: data.tag_completeness || [],
+                    leaderboard: leaderboardResult.success ? leaderboardResult.data.leaderboard : []
+                }
+            };
+            
+        } catch (error) {
+            console.error('Error getting session progress:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Get team leaderboard for a session
+     * @param {string} sessionId - Session identifier  
+     * @returns {Promise<{success: boolean, data?: object, error?: string}>}
+     */
+    async getTeamLeaderboard(sessionId) {
+        try {
+            const { data, error } = await this.supabase
+                .rpc('get_team_leaderboard_for_session', {
+                    session_id_param: sessionId
+                });
+
+            if (error) {
+                return this.handleDatabaseError(error, 'Failed to get leaderboard');
+            }
+
+            return {
+                success: true,
+                data: { leaderboard: data }
+            };
+            
+        } catch (error) {
+            console.error('Error getting leaderboard:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    // ================================
+    // OSM EDIT MEASUREMENT
+    // ================================
+
+    /**
+     * Record analysed changesets for any participant of the session (coordinator only)
+     * @param {string} sessionId - Session identifier
+     * @param {string} participantId - Participant UUID
+     * @param {Array} changesets - Output of ChangesetAnalyzer.analyzeParticipant
+     * @returns {Promise<{success: boolean, data?: object, error?: string}>}
+     */
+    async recordSessionChangesets(sessionId, participantId, changesets) {
+        try {
+            const { data, error } = await this.supabase
+                .rpc('record_session_changesets', {
+                    session_id_param: sessionId,
+                    coordinator_token_param: this.coordinatorToken,
+                    participant_id_param: participantId,
+                    changesets_param: changesets
+                });
+
+            if (error) {
+                return this.handleDatabaseError(error, 'Failed to record OSM edits');
+            }
+
+            return {
+                success: true,
+                data: data
+            };
+
+        } catch (error) {
+            console.error('Error recording OSM edits:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Time from which a session's changesets count: team formation, or creation if teams are not formed yet
+     * @private
+     */
+    async getEditWindowStart(sessionId) {
+        const sessionResult = await this.getSession(sessionId);
+        if (!sessionResult.success || !sessionResult.data.session) {
+            throw new Error(sessionResult.error || `Session ${sessionId} not found`);
+        }
+
+        const session = sessionResult.data.session;
+        return session.teams_formed_at || session.created_at;
+    }
+
+    /**
+     * Fetch the bounds of session country territories stored without them (e.g. seeded rows),
+     * since changesets are attributed to territories by bounding box (coordinator only)
+     * @private
+     * @param {string} sessionId - Session identifier
+     * @param {object} overpassAPI - OverpassAPI instance for fetching territories
+     * @returns {Promise<number>} Number of territories still without bounds
+     */
+    async fillMissingTerritoryBounds(sessionId, overpassAPI) {
+        const sessionResult = await this.getSession(sessionId);
+        const countryCode = sessionResult.success && sessionResult.data.session
+            ? sessionResult.data.session.country_code
+            : DEFAULT_COUNTRY_CODE;
+
+        const { data: stored, error } = await this.supabase
+            .from('territories')
+            .select('iso_code, min_lat, min_lon, max_lat, max_lon')
+            .eq('country_code', countryCode)
+            .eq('is_active', true);
+
+        if (error) {
+            console.warn('Could not read territory bounds:', error.message);
+            return 0;
+        }
+
+        const unbounded = new Set(stored
+            .filter(row => [row.min_lat, row.min_lon, row.max_lat, row.max_lon].some(value => value === null))
+            .map(row => row.iso_code));
+        if (unbounded.size === 0 || !overpassAPI) {
+            return unbounded.size;
+        }
+
+        const territoriesResult = await overpassAPI.fetchTerritories(countryCode);
+        const fetched = territoriesResult.success
+            ? territoriesResult.data.filter(territory => unbounded.has(territory.iso_code) && territory.min_lat !== null)
+            : [];
+        if (fetched.length === 0) {
+            return unbounded.size;
+        }
+
+        const populateResult = await this.populateTerritoriesTable(fetched);
+        if (!populateResult.success) {
+            console.warn('Could not store territory bounds:', populateResult.error);
+            return unbounded.size;
+        }
+
+        return unbounded.size - fetched.length;
+    }
+
+    /**
+     * Analyse every participant's session changesets on the OSM API and record them (coordinator only).
+     * Territories without bounds are looked up on Overpass first; changesets that still cannot be
+     * attributed because of them are counted as unattributed.
+     * @param {string} sessionId - Session identifier
+     * @param {ChangesetAnalyzer} changesetAnalyzer - Analyzer instance
+     * @param {function} onProgress - Optional callback(participantsDone, participantsTotal, osmUsername)
+     * @param {object} overpassAPI - Optional OverpassAPI instance for fetching missing territory bounds
+     * @returns {Promise<{success: boolean, data?: object, error?: string}>}
+     */
+    async coordinatorSyncOsmEdits(sessionId, changesetAnalyzer, onProgress = null, overpassAPI = null) {
+        try {
+            const since = await this.getEditWindowStart(sessionId);
+            const unboundedTerritories = await this.fillMissingTerritoryBounds(sessionId, overpassAPI);
+
+            const participantsResult = await this.getSessionParticipants(sessionId);
+            if (!participantsResult.success) {
+                throw new Error(participantsResult.error);
+            }
+
+            const participants = participantsResult.data.participants;
+            const summary = {
+                participants: participants.length, recorded: 0, skipped: 0, unattributed: 0, failed: 0,
+                unboundedTerritories, errors: []
+            };
+
+            for (const [index, participant] of participants.entries()) {
+                if (onProgress) onProgress(index, participants.length, participant.osm_username);
+
+                const analysis = await changesetAnalyzer.analyzeParticipant(participant.osm_username, since);
+                if (!analysis.success) {
+                    summary.errors.push(`${participant.osm_username}: ${analysis.error}`);
+                    continue;
+                }
+                summary.failed += analysis.failed.length;
+
+                const recordResult = await this.recordSessionChangesets(sessionId, participant.id, analysis.data);
+                if (!recordResult.success) {
+                    summary.errors.push(`${participant.osm_username}: ${recordResult.error}`);
+                    continue;
+                }
+
+                summary.recorded += recordResult.data.recorded;
+                summary.skipped += recordResult.data.skipped;
+                summary.unattributed += recordResult.data.unattributed || 0;
+            }
+
+            console.log(`OSM edits synced for session ${sessionId}:`, summary);
+            return {
+                success: true,
+                data: summary
+            };
+
+        } catch (error) {
+            console.error('OSM edit sync failed:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Get a session's recorded changesets in the order they were made
+     * @param {string} sessionId - Session identifier
+     * @returns {Promise<{success: boolean, data?: Array, error?: string}>}
+     */
+    async getSessionChangesets(sessionId) {
+        try {
+            const { data, error } = await this.supabase
+                .from('territory_changesets')
+                .select(`
+                    changeset_id,
+                    changeset_created_at,
+                    team_territory_id,
+                    participant_id,
+                    min_lat,
+                    min_lon,
+                    max_lat,
+                    max_lon,
+                    power_created,
+                    power_modified,
+                    power_deleted
+                `)
+                .eq('session_id', sessionId)
+                .order('changeset_created_at');
+
+            if (error) {
+                return this.handleDatabaseError(error, 'Failed to get session changesets');
+            }
+
+            return {
+                success: true,
+                data: data || []
+            };
+
+        } catch (error) {
+            console.error('Error getting session changesets:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    // ================================
+    // TAG COMPLETENESS
+    // ================================
+
+    /**
+     * Count a territory's tag completeness on Overpass and record it on one of the
+     * current participant's team territories
+     * @param {string} assignmentId - team_territories.id
+     * @param {string} isoCode - Territory ISO code
+     * @param {OverpassAPI} overpassAPI - OverpassAPI instance used for counting
+     * @returns {Promise<{success: boolean, data?: object, error?: string}>}
+     */
+    async measureOwnTagCompleteness(assignmentId, isoCode, overpassAPI) {
+        try {
+            const countResult = await overpassAPI.countTagCompleteness(isoCode);
+            if (!countResult.success) {
+                throw new Error(countResult.error);
+            }
+
+            const { data, error } = await this.supabase
+                .rpc('record_assignment_tag_completeness', {
+                    assignment_id_param: assignmentId,
+                    participant_id_param: this.currentUserId,
+                    participant_token_param: this.participantToken,
+                    stats_param: countResult.data
+                });
+
+            if (error) {
+                return this.handleDatabaseError(error, 'Failed to record tag completeness');
+            }
+
+            return {
+                success: true,
+                data: data
+            };
+
+        } catch (error) {
+            console.error('Tag completeness measurement failed:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Count tag completeness on Overpass for every territory of a session and record it (coordinator only)
+     * @param {string} sessionId - Session identifier
+     * @param {OverpassAPI} overpassAPI - OverpassAPI instance used for counting
+     * @param {function} onProgress - Optional callback(territoriesDone, territoriesTotal, territoryName)
+     * @returns {Promise<{success: boolean, data?: object, error?: string}>}
+     */
+    async coordinatorMeasureTagCompleteness(sessionId, overpassAPI, onProgress = null) {
+        try {
+            const assignmentsResult = await this.getAllTerritoryAssignments(sessionId);
+            if (!assignmentsResult.success) {
+                throw new Error(assignmentsResult.error);
+            }
+
+            const assignments = assignmentsResult.data.assignments.filter(assignment => assignment.overpass_ready);
+            const summary = { territories: assignments.length, measured: 0, errors: [] };
+
+            for (const [index, assignment] of assignments.entries()) {
+                if (onProgress) onProgress(index, assignments.length, assignment.territory_name);
+
+                const countResult = await overpassAPI.countTagCompleteness(assignment.iso_code);
+                if (!countResult.success) {
+                    summary.errors.push(`${assignment.territory_name}: ${countResult.error}`);
+                    continue;
+                }
+
+                const { error } = await this.supabase
+                    .rpc('record_session_tag_completeness', {
+                        session_id_param: sessionId,
+                        coordinator_token_param: this.coordinatorToken,
+                        assignment_id_param: assignment.assignment_id,
+                        stats_param: countResult.data
+                    });
+
+                if (error) {
+                    summary.errors.push(`${assignment.territory_name}: ${error.message}`);
+                    continue;
+                }
+
+                summary.measured++;
+            }
+
+            console.log(`Tag completeness measured for session ${sessionId}:`, summary);
+            return {
+                success: true,
+                data: summary
+            };
+
+        } catch (error) {
+            console.error('Tag completeness measurement failed:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    // ================================
+    // INFRASTRUCTURE SNAPSHOTS
+    // ================================
+
+    /**
+     * Measure every session territory's power infrastructure on Overpass and record it
+     * as the session's start or end snapshot (coordinator only)
+     * @param {string} sessionId - Session identifier
+     * @param {string} phase - 'start' (after distribution) or 'end' (when the session closes)
+     * @param {OverpassAPI} overpassAPI - OverpassAPI instance used for measuring
+     * @param {function} onProgress - Optional callback(territoriesDone, territoriesTotal, territoryName)
+     * @returns {Promise<{success: boolean, data?: object, error?: string}>}
+     */
+    async captureSessionSnapshots(sessionId, phase, overpassAPI, onProgress = null) {
+        try {
+            const assignmentsResult = await this.getAllTerritoryAssignments(sessionId);
+            if (!assignmentsResult.success) {
+                throw new Error(assignmentsResult.error);
+            }
+
+            const assignments = assignmentsResult.data.assignments.filter(assignment => assignment.overpass_ready);
+            const summary = { phase: phase, territories: assignments.length, captured: 0, errors: [] };
+
+            for (const [index, assignment] of assignments.entries()) {
+                if (onProgress) onProgress(index, assignments.length, assignment.territory_name);
+
+                const measureResult = await overpassAPI.measurePowerInfrastructure(assignment.iso_code);
+                if (!measureResult.success) {
+                    summary.errors.push(`${assignment.territory_name}: ${measureResult.error}`);
+                    continue;
+                }
+
+                const { error } = await this.supabase
+                    .rpc('record_territory_snapshot', {
+                        session_id_param: sessionId,
+                        coordinator_token_param: this.coordinatorToken,
+                        assignment_id_param: assignment.assignment_id,
+                        phase_param: phase,
+                        metrics_param: measureResult.data
+                    });
+
+                if (error) {
+                    summary.errors.push(`${assignment.territory_name}: ${error.message}`);
+                    continue;
+                }
+
+                summary.captured++;
+            }
 
+            console.log(`${phase} snapshots captured for session ${sessionId}:`, summary);
             return {
                 success: true,
-                data: { territories }
+                data: summary
             };
-            
+
         } catch (error) {
-            console.error('Error fetching team territories:', error);
+            console.error('Snapshot capture failed:', error);
             return {
                 success: false,
                 error: error.message
@@ -921,35 +2429,28 @@ class SupabaseTeamManager {
     }
 
     /**
-     * Get territory data for Overpass API operations (ISO code based)
-     * @param {string} assignmentId - team_territories.id (assignment record UUID)
+     * Compare a session's start and end snapshots per territory and per team
+     * @param {string} sessionId - Session identifier
      * @returns {Promise<{success: boolean, data?: object, error?: string}>}
      */
-    async getTerritoryForOverpass(assignmentId) {
+    async getSessionImpactReport(sessionId) {
         try {
             const { data, error } = await this.supabase
-                .rpc('get_territory_for_overpass_operations', {
-                    assignment_id_param: assignmentId
+                .rpc('get_session_impact_report', {
+                    session_id_param: sessionId
                 });
 
             if (error) {
-                return this.handleDatabaseError(error, 'Failed to get territory data');
-            }
-            
-            if (!data) {
-                return {
-                    success: false,
-                    error: 'Territory assignment not found'
-                };
+                return this.handleDatabaseError(error, 'Failed to get impact report');
             }
 
             return {
                 success: true,
                 data: data
             };
-            
+
         } catch (error) {
-            console.error('Error getting territory for Overpass:', error);
+            console.error('Error getting impact report:', error);
             return {
                 success: false,
                 error: error.message
@@ -957,35 +2458,40 @@ class SupabaseTeamManager {
         }
     }
 
+    // ================================
+    // OSMOSE ISSUE CLAIMS
+    // ================================
+
     /**
-     * Update territory assignment status
-     * @param {string} assignmentId - team_territories.id
-     * @param {string} newStatus - New status ('available', 'current', 'completed')
-     * @param {string} notes - Optional notes
+     * Claim, release, resolve or mark false-positive an Osmose issue for the participant's team
+     * @param {string} assignmentId - Team territory assignment the issue lies in
+     * @param {object} issue - Issue details: id, issue_type, title, lat, lon
+     * @param {string} newStatus - 'claimed', 'resolved', 'false_positive' or 'open' (removes the claim)
      * @returns {Promise<{success: boolean, data?: object, error?: string}>}
      */
-    async updateTerritoryStatus(assignmentId, newStatus, notes = null) {
+    async updateOsmoseIssueClaim(assignmentId, issue, newStatus) {
         try {
             const { data, error } = await this.supabase
-                .rpc('update_territory_assignment_status', {
+                .rpc('update_osmose_issue_claim', {
                     assignment_id_param: assignmentId,
-                    new_status_param: newStatus,
                     participant_id_param: this.currentUserId,
-                    notes_param: notes
+                    participant_token_param: this.participantToken,
+                    issue_param: issue,
+                    new_status_param: newStatus
                 });
 
             if (error) {
-                return this.handleDatabaseError(error, 'Failed to update territory status');
+                return this.handleDatabaseError(error, 'Failed to update Osmose issue');
             }
-            
-            console.log(`Territory status updated to: ${newStatus}`);
+
+            console.log(`Osmose issue ${issue.id} is now ${newStatus}`);
             return {
                 success: true,
                 data: data
             };
-            
+
         } catch (error) {
-            console.error('Error updating territory status:', error);
+            console.error('Error updating Osmose issue claim:', error);
             return {
                 success: false,
                 error: error.message
@@ -993,105 +2499,68 @@ class SupabaseTeamManager {
         }
     }
 
-    // ================================
-    // COORDINATOR OPERATIONS
-    // ================================
-
     /**
-     * Complete session setup - create teams and assign territories
-     * @param {string} sessionId - Session identifier
-     * @param {object} overpassAPI - OverpassAPI instance for fetching territories
-     * @param {number} teamSize - Desired team size (default: 3)
+     * Resolve a territory's claimed issues that Osmose no longer reports
+     * @param {string} assignmentId - Team territory assignment ID
+     * @param {Array<string>} currentIssueIds - Issue IDs Osmose reported on this fetch
+     * @param {Array<string>} checkedIssueTypes - Issue type keys that were fetched successfully
      * @returns {Promise<{success: boolean, data?: object, error?: string}>}
      */
-    async coordinatorSetupSession(sessionId, overpassAPI, teamSize = 3) {
+    async autoResolveOsmoseIssueClaims(assignmentId, currentIssueIds, checkedIssueTypes) {
         try {
-            console.log(`Starting coordinator setup for session: ${sessionId} with team size: ${teamSize}`);
-
-            // Step 1: Validate participant count
-            const participantsResult = await this.getSessionParticipants(sessionId);
-            if (!participantsResult.success) {
-                throw new Error(participantsResult.error);
-            }
-
-            const participants = participantsResult.data.participants;
-            const participantCount = participants.length;
-
-            // Flexible validation for team formation
-            if (participantCount < 1) {
-                return {
-                    success: false,
-                    error: `Need at least 1 participant to form teams, found ${participantCount}`
-                };
-            }
+            const { data, error } = await this.supabase
+                .rpc('auto_resolve_osmose_issue_claims', {
+                    assignment_id_param: assignmentId,
+                    participant_id_param: this.currentUserId,
+                    participant_token_param: this.participantToken,
+                    current_issue_ids_param: currentIssueIds,
+                    checked_issue_types_param: checkedIssueTypes
+                });
 
-            // Validate team size
-            if (teamSize < 1) {
-                return {
-                    success: false,
-                    error: `Team size must be at least 1, got ${teamSize}`
-                };
+            if (error) {
+                return this.handleDatabaseError(error, 'Failed to auto-resolve Osmose issues');
             }
 
-            // Calculate team count based on desired team size
-            const teamCount = Math.ceil(participantCount / teamSize);
-
-            console.log(`${participantCount} participants will be distributed across approximately ${teamCount} teams of size ${teamSize}`);
-
-            // Step 2: Fetch and populate territories
-            console.log('Fetching territories from Overpass API...');
-            const territoriesResult = await overpassAPI.fetchIndianStates();
-            
-            if (!territoriesResult.success || !territoriesResult.data.length) {
-                return {
-                    success: false,
-                    error: 'Failed to fetch territories from Overpass API'
-                };
+            if (data.resolved_count > 0) {
+                console.log(`${data.resolved_count} claimed Osmose issues disappeared and were resolved`);
             }
+            return {
+                success: true,
+                data: data
+            };
 
-            console.log(`Retrieved ${territoriesResult.data.length} territories from Overpass API`);
-
-            // Step 3: Populate database with territories
-            const populateResult = await this.populateTerritoriesTable(territoriesResult.data);
-            if (!populateResult.success) {
-                console.warn('Territory population had issues:', populateResult.error);
-                // Continue anyway - territories might already exist
-            }
+        } catch (error) {
+            console.error('Error auto-resolving Osmose issue claims:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
 
-            // Step 4: Create teams with specified team size
-            const teamResult = await this.createTeamsForSession(sessionId, teamSize);
-            if (!teamResult.success) {
-                return {
-                    success: false,
-                    error: `Team creation failed: ${teamResult.error}`
-                };
-            }
+    /**
+     * Get a team's Osmose issue claims
+     * @param {string} teamId - Team UUID
+     * @returns {Promise<{success: boolean, data?: object, error?: string}>}
+     */
+    async getTeamOsmoseIssueClaims(teamId) {
+        try {
+            const { data, error } = await this.supabase
+                .rpc('get_team_osmose_issue_claims', {
+                    team_id_param: teamId
+                });
 
-            // Step 5: Distribute territories
-            const distributionResult = await this.assignTerritoriesToTeams(sessionId);
-            if (!distributionResult.success) {
-                return {
-                    success: false,
-                    error: `Territory distribution failed: ${distributionResult.error}`
-                };
+            if (error) {
+                return this.handleDatabaseError(error, 'Failed to get Osmose issue claims');
             }
 
-            console.log('Coordinator setup completed successfully');
-
             return {
                 success: true,
-                data: {
-                    sessionId: sessionId,
-                    participantsTotal: participantCount,
-                    teamsCreated: teamCount,
-                    territoriesDistributed: distributionResult.data.territories_distributed || 0,
-                    teamDetails: teamResult.data,
-                    territoryDetails: distributionResult.data
-                }
+                data: data
             };
-            
+
         } catch (error) {
-            console.error('Coordinator setup failed:', error);
+            console.error('Error getting Osmose issue claims:', error);
             return {
                 success: false,
                 error: error.message
@@ -1099,41 +2568,35 @@ class SupabaseTeamManager {
         }
     }
 
+    // ================================
+    // TERRITORY BOUNDARY CACHE
+    // ================================
+
     /**
-     * Get session progress and statistics
-     * @param {string} sessionId - Session identifier
-     * @returns {Promise<{success: boolean, data?: object, error?: string}>}
+     * Get shared territory boundaries stored with a cache version
+     * @param {Array<string|number>} osmRelationIds - OSM relation IDs of the territories
+     * @param {number} cacheVersion - Only boundaries stored with this version are returned
+     * @returns {Promise<{success: boolean, data?: Array, error?: string}>}
      */
-    async getSessionProgress(sessionId) {
+    async getTerritoryBoundaries(osmRelationIds, cacheVersion) {
         try {
             const { data, error } = await this.supabase
-                .rpc('get_session_progress_overview', {
-                    session_id_param: sessionId
-                });
+                .from('territory_boundaries')
+                .select('osm_relation_id, cache_version, geojson, fetched_at')
+                .in('osm_relation_id', osmRelationIds.map(Number))
+                .eq('cache_version', cacheVersion);
 
             if (error) {
-                return this.handleDatabaseError(error, 'Failed to get session progress');
+                return this.handleDatabaseError(error, 'Failed to get territory boundaries');
             }
 
-            // Get leaderboard
-            const leaderboardResult = await this.getTeamLeaderboard(sessionId);
-            
             return {
                 success: true,
-                data: {
-                    sessionId: sessionId,
-                    sessionStatus: data.session_status || 'unknown',
-                    teamCount: data.team_count || 0,
-                    totalTerritories: data.total_territories || 0,
-                    completedTerritories: data.completed_territories || 0,
-                    completionPercentage: data.completion_percentage || 0,
-                    teams_data: data.teams_data || [],
-                    leaderboard: leaderboardResult.success ? leaderboardResult.data.leaderboard : []
-                }
+                data: data || []
             };
-            
+
         } catch (error) {
-            console.error('Error getting session progress:', error);
+            console.error('Error getting territory boundaries:', error);
             return {
                 success: false,
                 error: error.message
@@ -1142,28 +2605,44 @@ class SupabaseTeamManager {
     }
 
     /**
-     * Get team leaderboard for a session
-     * @param {string} sessionId - Session identifier  
+     * Share a simplified territory boundary with other browsers
+     * Uses the coordinator token when logged in as coordinator, the participant token otherwise
+     * @param {string|number} osmRelationId - OSM relation ID of the territory
+     * @param {number} cacheVersion - Boundary cache version stamp
+     * @param {object} geoJSON - Simplified GeoJSON Feature
      * @returns {Promise<{success: boolean, data?: object, error?: string}>}
      */
-    async getTeamLeaderboard(sessionId) {
+    async saveTerritoryBoundary(osmRelationId, cacheVersion, geoJSON) {
         try {
+            if (!this.coordinatorToken && !this.participantToken) {
+                return {
+                    success: false,
+                    error: 'Log in to share territory boundaries'
+                };
+            }
+
             const { data, error } = await this.supabase
-                .rpc('get_team_leaderboard_for_session', {
-                    session_id_param: sessionId
+                .rpc('save_territory_boundary', {
+                    osm_relation_id_param: Number(osmRelationId),
+                    cache_version_param: cacheVersion,
+                    boundary_param: geoJSON,
+                    session_id_param: this.currentSessionId,
+                    coordinator_token_param: this.coordinatorToken,
+                    participant_id_param: this.currentUserId,
+                    participant_token_param: this.participantToken
                 });
 
             if (error) {
-                return this.handleDatabaseError(error, 'Failed to get leaderboard');
+                return this.handleDatabaseError(error, 'Failed to save territory boundary');
             }
 
             return {
                 success: true,
-                data: { leaderboard: data }
+                data: data
             };
-            
+
         } catch (error) {
-            console.error('Error getting leaderboard:', error);
+            console.error('Error saving territory boundary:', error);
             return {
                 success: false,
                 error: error.message
@@ -1235,6 +2714,172 @@ class SupabaseTeamManager {
         }
     }
 
+    // ================================
+    // REALTIME SUBSCRIPTIONS
+    // ================================
+
+    /**
+     * Subscribe to Postgres changes for a session. Replaces any existing subscription;
+     * overlapping calls for the same session share one subscription.
+     * team_members has no session_id column, so its events are matched against the
+     * session's team IDs (kept current from the teams table) before being passed on.
+     * DELETE payloads only carry the primary key, so removals are matched against the
+     * session's team member IDs, loaded with the teams and kept current from the events.
+     * @param {string} sessionId - Session identifier
+     * @param {object} handlers - Callbacks receiving the Supabase change payload
+     * @param {Function} [handlers.onTerritoryChange] - team_territories insert/update/delete
+     * @param {Function} [handlers.onWorkUnitChange] - work_units insert/update/delete
+     * @param {Function} [handlers.onTeamMemberChange] - team_members insert/update/delete
+     * @param {Function} [handlers.onParticipantChange] - participants insert/update/delete
+     * @param {Function} [handlers.onOsmoseClaimChange] - osmose_issue_claims insert/update/delete
+     * @param {Function} [handlers.onStatusChange] - Channel status (SUBSCRIBED, CHANNEL_ERROR, ...)
+     * @returns {Promise<{success: boolean, data?: object, error?: string}>}
+     */
+    async subscribeToSession(sessionId, handlers = {}) {
+        // Recorded before the first await, so a second call cannot open another channel meanwhile
+        if (this.realtimePending && this.realtimePending.sessionId === sessionId) {
+            return this.realtimePending.promise;
+        }
+
+        const pending = { sessionId };
+        this.realtimePending = pending;
+        pending.promise = this.openSessionChannel(sessionId, handlers, pending);
+        return pending.promise;
+    }
+
+    /**
+     * Open the realtime channel for subscribeToSession() and swap it in for the previous one
+     * @private
+     */
+    async openSessionChannel(sessionId, handlers, pending) {
+        try {
+            const teamsResult = await this.getSessionTeams(sessionId);
+            const teamIds = teamsResult.success ? teamsResult.data.teams.map(team => team.id) : [];
+            const { data: members, error: membersError } = teamIds.length > 0
+                ? await this.supabase.from('team_members').select('id, team_id').in('team_id', teamIds)
+                : { data: [], error: null };
+            if (membersError) {
+                console.warn('Could not load team members for live updates:', membersError.message);
+            }
+
+            // Another subscribe or an unsubscribe took over while the teams loaded
+            if (this.realtimePending !== pending) {
+                return {
+                    success: false,
+                    error: `Realtime subscription to session ${sessionId} was replaced`
+                };
+            }
+
+            const previousChannel = this.realtimeChannel;
+            this.realtimeTeamIds = new Set(teamIds);
+            this.realtimeTeamMemberIds = new Map((members || []).map(member => [member.id, member.team_id]));
+
+            const notify = (handler, payload) => {
+                try {
+                    if (handler) handler(payload);
+                } catch (error) {
+                    console.error('Realtime handler error:', error);
+                }
+            };
+
+            const channel = this.supabase
+                .channel(`grid-tycoon-session-${sessionId}-${++this.realtimeChannelSequence}`)
+                .on('postgres_changes',
+                    { event: '*', schema: 'public', table: 'teams', filter: `session_id=eq.${sessionId}` },
+                    payload => {
+                        if (payload.eventType === 'DELETE') {
+                            this.realtimeTeamIds.delete(payload.old.id);
+                        } else {
+                            this.realtimeTeamIds.add(payload.new.id);
+                        }
+                    })
+                .on('postgres_changes',
+                    { event: '*', schema: 'public', table: 'team_territories', filter: `session_id=eq.${sessionId}` },
+                    payload => notify(handlers.onTerritoryChange, payload))
+                .on('postgres_changes',
+                    { event: '*', schema: 'public', table: 'work_units', filter: `session_id=eq.${sessionId}` },
+                    payload => notify(handlers.onWorkUnitChange, payload))
+                .on('postgres_changes',
+                    { event: '*', schema: 'public', table: 'team_members' },
+                    payload => {
+                        if (payload.eventType === 'DELETE') {
+                            // Only the primary key is sent: resolve it against the session's rosters
+                            if (!this.realtimeTeamMemberIds.has(payload.old.id)) return;
+                            this.realtimeTeamMemberIds.delete(payload.old.id);
+                        } else if (this.realtimeTeamIds.has(payload.new.team_id)) {
+                            this.realtimeTeamMemberIds.set(payload.new.id, payload.new.team_id);
+                        } else {
+                            this.realtimeTeamMemberIds.delete(payload.new.id);
+                            return;
+                        }
+                        notify(handlers.onTeamMemberChange, payload);
+                    })
+                .on('postgres_changes',
+                    { event: '*', schema: 'public', table: 'participants', filter: `session_id=eq.${sessionId}` },
+                    payload => notify(handlers.onParticipantChange, payload))
+                .on('postgres_changes',
+                    { event: '*', schema: 'public', table: 'osmose_issue_claims', filter: `session_id=eq.${sessionId}` },
+                    payload => notify(handlers.onOsmoseClaimChange, payload))
+                .subscribe(status => {
+                    console.log(`Realtime channel for session ${sessionId}: ${status}`);
+                    notify(handlers.onStatusChange, status);
+                });
+
+            this.realtimeChannel = channel;
+            this.realtimeSessionId = sessionId;
+            this.realtimePending = null;
+
+            if (previousChannel) {
+                await this.removeRealtimeChannel(previousChannel);
+            }
+
+            return {
+                success: true,
+                data: { sessionId }
+            };
+
+        } catch (error) {
+            if (this.realtimePending === pending) {
+                this.realtimePending = null;
+            }
+
+            console.error('Realtime subscription failed:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Remove the active realtime subscription, if any, and cancel one still being set up
+     * @returns {Promise<void>}
+     */
+    async unsubscribeFromSession() {
+        this.realtimePending = null;
+        if (!this.realtimeChannel) return;
+
+        const channel = this.realtimeChannel;
+        this.realtimeChannel = null;
+        this.realtimeSessionId = null;
+        this.realtimeTeamIds = new Set();
+        this.realtimeTeamMemberIds = new Map();
+
+        await this.removeRealtimeChannel(channel);
+    }
+
+    /**
+     * Remove a realtime channel, logging rather than throwing on failure
+     * @private
+     */
+    async removeRealtimeChannel(channel) {
+        try {
+            await this.supabase.removeChannel(channel);
+        } catch (error) {
+            console.warn('Failed to remove realtime channel:', error);
+        }
+    }
+
     // ================================
     // UTILITY METHODS
     // ================================
@@ -1281,7 +2926,7 @@ class SupabaseTeamManager {
                 'teams',
                 'team_members',
                 'team_territories',
-                'indian_territories'
+                'territories'
             ];
             
             const results = {};
@@ -1351,6 +2996,7 @@ class SupabaseTeamManager {
             connected: !!this.supabase,
             currentUserId: this.currentUserId,
             currentSessionId: this.currentSessionId,
+            realtimeSessionId: this.realtimeSessionId,
             databaseUrl: this.config.url,
             teamRoles: this.teamRoles.length,
             version: '3.2',
@@ -1360,7 +3006,21 @@ class SupabaseTeamManager {
                 'Territory validation',
                 'Team verification',
                 'Session progress tracking',
-                'Coordinator dashboard'
+                'Coordinator dashboard',
+                'Passphrase-protected coordinator access',
+                'Token-checked participant writes',
+                'Realtime session updates',
+                'Territory work units',
+                'Multi-country sessions',
+                'Balanced territory distribution',
+                'Late joiner placement and team rebalancing',
+                'Session lifecycle (close, archive, reset, clone)',
+                'OSM edit measurement from changesets',
+                'Tag completeness statistics',
+                'Session impact snapshots',
+                'Osmose issue claims',
+                'Shared territory boundary cache',
+                'Territory reassignment log'
             ]
         };
     }
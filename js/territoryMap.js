@@ -1,7 +1,7 @@
 /**
  * Territory Map Component for Grid Tycoon v3.0
  *
- * Handles Leaflet map visualization of Indian territories with team assignments
+ * Handles Leaflet map visualization of a session's territories with team assignments
  * and status tracking for the Grid Tycoon mapping application.
  *
  * @version 3.0
@@ -10,7 +10,12 @@
  */
 
 class TerritoryMap {
-    constructor() {
+    /**
+     * @param {object} options - Optional settings
+     * @param {BoundaryCache} options.boundaryCache - Cache for territory boundaries (see js/boundaryCache.js)
+     * @param {Function} options.onTerritorySelect - Called with the assignment ID of a territory clicked in the coordinator view
+     */
+    constructor(options = {}) {
         // Dependency check
         if (typeof L === 'undefined') {
             throw new Error('Leaflet library (L) is not loaded. Please include Leaflet.js before territoryMap.js');
@@ -19,8 +24,33 @@ class TerritoryMap {
         // Map instance and layers
         this.map = null;
         this.territoriesLayer = null;
-        this.osmoseLayer = null; // Layer for Osmose quality assurance issues
+        this.osmoseLayer = null; // Layer for Osmose quality assurance issues (clustered)
+        this.osmoseBadgesLayer = null; // Issue count badge per territory
+        this.osmoseFilterControl = null; // Filter chips per issue type
+        this.workUnitsLayer = null; // Layer for sub-territory work units
         this.markers = new Map(); // territoryId -> marker instance
+        this.workUnitLayers = new Map(); // workUnitId -> rectangle/polygon instance
+        this.osmoseIssues = new Map(); // territoryId -> { territory, features }
+        this.osmoseHiddenTypes = new Set(); // Osmose issue type keys filtered out
+        this.osmoseClaims = new Map(); // Osmose issue ID -> team claim (claimed/resolved/false_positive)
+        this.infrastructureLayer = null; // Power lines, substations and plants of one territory
+        this.minorLinesLayer = null; // Minor lines and cables, shown only when zoomed in
+        this.infrastructureLegend = null; // Voltage classes and loading status
+        this.infrastructureArea = null; // What is being loaded: territory, bounds, loaded tiles
+        this.activityLayer = null; // Hexagonal bins of the session's changesets
+        this.activityTimeline = null; // Replay slider
+        this.activity = null; // Edits, timeline range and position, replay timer
+
+        // Boundaries already fetched from Overpass (null fetches every time)
+        this.boundaryCache = options.boundaryCache || null;
+        this.simplifiedBoundaries = new WeakMap(); // boundary GeoJSON -> Map(zoom -> simplified GeoJSON)
+
+        // Coordinator view: territory selection and filters by team and status
+        this.onTerritorySelect = options.onTerritorySelect || null;
+        this.sessionTeams = []; // Teams with their territories, as last displayed
+        this.hiddenTeams = new Set(); // Team IDs filtered out
+        this.hiddenStatuses = new Set(); // Territory statuses filtered out
+        this.sessionFilterControl = null; // Filter chips per team and status
 
         // State tracking
         this.currentTerritories = [];
@@ -28,15 +58,22 @@ class TerritoryMap {
         this.teamColor = null;
         this.mapInitialized = false;
 
-        // India-specific configuration
-        this.indiaCenter = [22.5937, 78.9629];
-        this.indiaZoom = 5;
+        // Country configuration (map view and fallback territory centres)
+        this.country = getCountryConfig(DEFAULT_COUNTRY_CODE);
 
-        // Map bounds for India
-        this.indiaBounds = [
-            [6.5, 68.0],  // Southwest
-            [35.5, 97.5]  // Northeast
-        ];
+        // View used for countries without a configured centre
+        this.worldCenter = [20, 0];
+        this.worldZoom = 4;
+
+        // Power grid loading: nothing below the minimum zoom, minor lines from the detail zoom
+        this.infrastructureMinZoom = 7;
+        this.infrastructureDetailZoom = 10;
+        this.infrastructureMaxTiles = 12; // Overpass requests per view
+
+        // Session activity: hexagon size in pixels, replay in 100 steps of 100 ms
+        this.activityHexRadius = 18;
+        this.activityTimelineSteps = 100;
+        this.activityReplayInterval = 100;
 
         console.log('TerritoryMap component initialized');
     }
@@ -45,6 +82,16 @@ class TerritoryMap {
     // MAP INITIALIZATION
     // ================================
 
+    /**
+     * Set the country whose map view and territory centres are used
+     * Call before initializeMap()
+     * @param {string} countryCode - ISO 3166-1 alpha-2 code
+     */
+    setCountry(countryCode) {
+        this.country = getCountryConfig(countryCode || DEFAULT_COUNTRY_CODE);
+        console.log(`Territory map country set to ${this.country.name}`);
+    }
+
     /**
      * Initialize Leaflet map in a container
      * @param {string} containerId - DOM element ID for map
@@ -61,19 +108,21 @@ class TerritoryMap {
 
             // Clear any existing map
             if (this.map) {
+                this.clearActivityLayer();
                 this.map.remove();
                 this.markers.clear();
+                this.sessionFilterControl = null;
             }
 
             // Default options
             const mapOptions = {
-                center: options.center || this.indiaCenter,
-                zoom: options.zoom || this.indiaZoom,
+                center: options.center || this.country.center || this.worldCenter,
+                zoom: options.zoom || this.country.zoom || this.worldZoom,
                 minZoom: options.minZoom || 4,
                 maxZoom: options.maxZoom || 12,
                 zoomControl: options.zoomControl !== false,
                 attributionControl: options.attributionControl !== false,
-                maxBounds: options.maxBounds || this.indiaBounds,
+                maxBounds: options.maxBounds || this.country.bounds || undefined,
                 maxBoundsViscosity: options.maxBoundsViscosity !== undefined ? options.maxBoundsViscosity : 1.0
             };
 
@@ -97,6 +146,12 @@ class TerritoryMap {
             // Initialize territories layer
             this.territoriesLayer = L.featureGroup().addTo(this.map);
 
+            // Work units are drawn above their parent territories
+            this.workUnitsLayer = L.featureGroup().addTo(this.map);
+
+            // Boundary polygons are simplified for the zoom level they are shown at
+            this.map.on('zoomend', () => this.resimplifyBoundaries());
+
             this.mapInitialized = true;
             console.log('Map initialized successfully');
 
@@ -145,7 +200,7 @@ class TerritoryMap {
         // PHASE 1: Add circle markers immediately (fast, synchronous)
         let markersAdded = 0;
         territories.forEach(territory => {
-            const coords = this.getTerritoryCoordinates(territory.iso_code);
+            const coords = this.getTerritoryCoordinates(territory);
 
             if (!coords) {
                 console.warn(`No coordinates found for ${territory.territory_name}`);
@@ -189,14 +244,17 @@ class TerritoryMap {
                 });
             } catch (error) {
                 console.warn('Could not fit bounds:', error);
-                this.map.setView(this.indiaCenter, this.indiaZoom);
+                this.resetView();
             }
         } else {
-            this.map.setView(this.indiaCenter, this.indiaZoom);
+            this.resetView();
         }
 
         console.log(`Phase 1: Displayed ${markersAdded}/${territories.length} circle markers`);
 
+        // Work units are cheap bbox rectangles, so draw them with phase 1
+        this.displayWorkUnits(territories);
+
         // PHASE 2: Upgrade to polygons in background (async, non-blocking)
         this.upgradeToPolygons(territories, teamInfo);
     }
@@ -210,8 +268,28 @@ class TerritoryMap {
     async upgradeToPolygons(territories, teamInfo = {}) {
         console.log('Phase 2: Starting background polygon upgrades...');
 
-        // Fetch all boundaries in parallel with timeout
-        const boundaryPromises = territories.map(territory =>
+        let upgraded = 0;
+        let failed = 0;
+
+        // Draw cached boundaries at once; only the rest are fetched from Overpass
+        const cachedBoundaries = await this.getCachedBoundaries(territories);
+        if (!this.territoriesLayer) return; // Map destroyed while waiting
+
+        territories.forEach(territory => {
+            const geoJSON = cachedBoundaries.get(territory.id);
+            if (geoJSON) {
+                if (this.replaceMarkerWithPolygon(territory, geoJSON, teamInfo)) {
+                    upgraded++;
+                } else {
+                    failed++;
+                }
+            }
+        });
+
+        const uncachedTerritories = territories.filter(territory => !cachedBoundaries.has(territory.id));
+
+        // Fetch remaining boundaries in parallel with timeout
+        const boundaryPromises = uncachedTerritories.map(territory =>
             this.fetchTerritoryBoundaryWithTimeout(
                 territory.territory_osm_id,
                 territory.territory_name,
@@ -220,12 +298,10 @@ class TerritoryMap {
         );
 
         const results = await Promise.allSettled(boundaryPromises);
-
-        let upgraded = 0;
-        let failed = 0;
+        if (!this.territoriesLayer) return;
 
         results.forEach((result, index) => {
-            const territory = territories[index];
+            const territory = uncachedTerritories[index];
 
             if (result.status === 'fulfilled' && result.value) {
                 // Successfully fetched boundary - replace marker with polygon
@@ -251,11 +327,12 @@ class TerritoryMap {
      * @param {string} osmRelationId - OSM relation ID
      * @param {string} territoryName - Territory name
      * @param {number} timeout - Timeout in milliseconds
+     * @param {boolean} shareBoundary - Also store the boundary in the shared territory_boundaries table
      * @returns {Promise<object|null>} GeoJSON or null
      */
-    async fetchTerritoryBoundaryWithTimeout(osmRelationId, territoryName, timeout = 10000) {
+    async fetchTerritoryBoundaryWithTimeout(osmRelationId, territoryName, timeout = 10000, shareBoundary = true) {
         return Promise.race([
-            this.fetchTerritoryBoundary(osmRelationId, territoryName),
+            this.fetchTerritoryBoundary(osmRelationId, territoryName, shareBoundary),
             new Promise(resolve => setTimeout(() => resolve(null), timeout))
         ]);
     }
@@ -278,14 +355,12 @@ class TerritoryMap {
             }
 
             // Create polygon layer
-            const polygonLayer = L.geoJSON(geoJSON, {
-                style: {
-                    fillColor: this.getStatusColor(territory.status),
-                    fillOpacity: this.getPolygonFillOpacity(territory.status),
-                    color: this.teamColor || '#3388ff',
-                    weight: 2,
-                    opacity: 0.8
-                }
+            const polygonLayer = this.createBoundaryLayer(geoJSON, {
+                fillColor: this.getStatusColor(territory.status),
+                fillOpacity: this.getPolygonFillOpacity(territory.status),
+                color: this.teamColor || '#3388ff',
+                weight: 2,
+                opacity: 0.8
             });
 
             // Bind popup and tooltip
@@ -396,6 +471,19 @@ class TerritoryMap {
             `;
         }
 
+        // Split territories are loaded unit by unit from the work unit popups
+        const isSplit = territory.work_units && territory.work_units.length > 0;
+        if (territory.status !== 'completed' && !isSplit) {
+            popupHtml += `
+                <div style="margin-top: 10px; text-align: center;">
+                    <button class="btn btn-success" style="padding: 4px 10px; font-size: 0.85em;"
+                            onclick="app.loadTerritoryInJOSM('${territory.id}')">
+                        Open in JOSM
+                    </button>
+                </div>
+            `;
+        }
+
         popupHtml += `</div>`;
 
         return popupHtml;
@@ -409,8 +497,10 @@ class TerritoryMap {
      * Display all session territories with team assignments (coordinator view)
      * Two-phase loading like displayTeamTerritories
      * @param {Array} allTeamsData - Array of team objects with their territories
+     * @param {object} options - Display options
+     * @param {boolean} options.fitBounds - Zoom to the territories (default true)
      */
-    displaySessionOverview(allTeamsData) {
+    displaySessionOverview(allTeamsData, options = {}) {
         if (!this.isReady()) {
             console.error('Map not initialized');
             return;
@@ -420,6 +510,7 @@ class TerritoryMap {
 
         this.territoriesLayer.clearLayers();
         this.markers.clear();
+        this.sessionTeams = allTeamsData;
 
         let totalTerritories = 0;
 
@@ -429,7 +520,7 @@ class TerritoryMap {
 
             if (team.territories && team.territories.length > 0) {
                 team.territories.forEach(territory => {
-                    const coords = this.getTerritoryCoordinates(territory.iso_code);
+                    const coords = this.getTerritoryCoordinates(territory);
                     if (!coords) {
                         console.warn(`No coordinates for ${territory.territory_name}`);
                         return;
@@ -477,6 +568,8 @@ class TerritoryMap {
                                     (${Math.round((team.completed_count / team.total_count) * 100)}%)
                                 </div>
                             ` : ''}
+
+                            ${this.renderReassignAction(territory)}
                         </div>
                     `;
 
@@ -490,10 +583,15 @@ class TerritoryMap {
                         { direction: 'top', offset: [0, -10] }
                     );
 
-                    marker.addTo(this.territoriesLayer);
+                    marker.on('click', () => this.selectTerritory(territory.id));
+
+                    if (this.isTerritoryShown(territory, team)) {
+                        marker.addTo(this.territoriesLayer);
+                    }
 
                     // Store marker with metadata
                     marker.territoryId = territory.id;
+                    marker.territory = territory;
                     marker.teamColor = teamColor;
                     marker.teamInfo = team;
                     this.markers.set(territory.id, marker);
@@ -501,21 +599,25 @@ class TerritoryMap {
             }
         });
 
-        // Fit to bounds
-        if (this.territoriesLayer.getLayers().length > 0) {
-            try {
-                this.map.fitBounds(this.territoriesLayer.getBounds(), {
-                    padding: [50, 50],
-                    maxZoom: 6
-                });
-            } catch (error) {
-                console.warn('Could not fit bounds:', error);
-                this.map.setView(this.indiaCenter, this.indiaZoom);
+        // Fit to bounds (live updates keep the coordinator's view)
+        if (options.fitBounds !== false) {
+            if (this.territoriesLayer.getLayers().length > 0) {
+                try {
+                    this.map.fitBounds(this.territoriesLayer.getBounds(), {
+                        padding: [50, 50],
+                        maxZoom: 6
+                    });
+                } catch (error) {
+                    console.warn('Could not fit bounds:', error);
+                    this.resetView();
+                }
+            } else {
+                this.resetView();
             }
-        } else {
-            this.map.setView(this.indiaCenter, this.indiaZoom);
         }
 
+        this.updateSessionFilterControl();
+
         console.log(`Coordinator Phase 1: Displayed ${totalTerritories} circle markers from ${allTeamsData.length} teams`);
 
         // PHASE 2: Upgrade to polygons in background
@@ -546,8 +648,26 @@ class TerritoryMap {
             }
         });
 
-        // Fetch all boundaries in parallel
-        const boundaryPromises = allTerritories.map(territory =>
+        let upgraded = 0;
+
+        // Draw cached boundaries at once; only the rest are fetched from Overpass
+        const cachedBoundaries = await this.getCachedBoundaries(allTerritories);
+        if (!this.territoriesLayer) return;
+
+        allTerritories.forEach(territory => {
+            const geoJSON = cachedBoundaries.get(territory.id);
+            const teamData = territoryTeamMap.get(territory.id);
+
+            if (geoJSON && teamData &&
+                this.replaceCoordinatorMarkerWithPolygon(territory, geoJSON, teamData.teamColor, teamData.teamInfo)) {
+                upgraded++;
+            }
+        });
+
+        const uncachedTerritories = allTerritories.filter(territory => !cachedBoundaries.has(territory.id));
+
+        // Fetch remaining boundaries in parallel
+        const boundaryPromises = uncachedTerritories.map(territory =>
             this.fetchTerritoryBoundaryWithTimeout(
                 territory.territory_osm_id,
                 territory.territory_name,
@@ -556,10 +676,10 @@ class TerritoryMap {
         );
 
         const results = await Promise.allSettled(boundaryPromises);
+        if (!this.territoriesLayer) return;
 
-        let upgraded = 0;
         results.forEach((result, index) => {
-            const territory = allTerritories[index];
+            const territory = uncachedTerritories[index];
             const teamData = territoryTeamMap.get(territory.id);
 
             if (result.status === 'fulfilled' && result.value && teamData) {
@@ -587,14 +707,12 @@ class TerritoryMap {
                 this.territoriesLayer.removeLayer(existingMarker);
             }
 
-            const polygonLayer = L.geoJSON(geoJSON, {
-                style: {
-                    fillColor: this.getStatusColor(territory.status),
-                    fillOpacity: this.getPolygonFillOpacity(territory.status),
-                    color: teamColor,
-                    weight: 2,
-                    opacity: 0.8
-                }
+            const polygonLayer = this.createBoundaryLayer(geoJSON, {
+                fillColor: this.getStatusColor(territory.status),
+                fillOpacity: this.getPolygonFillOpacity(territory.status),
+                color: teamColor,
+                weight: 2,
+                opacity: 0.8
             });
 
             // Recreate popup for polygon
@@ -613,6 +731,7 @@ class TerritoryMap {
                             ${this.getStatusIcon(territory.status)} ${this.getStatusText(territory.status)}
                         </span>
                     </div>
+                    ${this.renderReassignAction(territory)}
                 </div>
             `;
 
@@ -626,8 +745,15 @@ class TerritoryMap {
                 { direction: 'top', offset: [0, -10] }
             );
 
-            polygonLayer.addTo(this.territoriesLayer);
+            polygonLayer.on('click', () => this.selectTerritory(territory.id));
+
+            if (this.isTerritoryShown(territory, teamInfo)) {
+                polygonLayer.addTo(this.territoriesLayer);
+            }
             polygonLayer.territoryId = territory.id;
+            polygonLayer.territory = territory;
+            polygonLayer.teamColor = teamColor;
+            polygonLayer.teamInfo = teamInfo;
             this.markers.set(territory.id, polygonLayer);
 
             return true;
@@ -637,6 +763,144 @@ class TerritoryMap {
         }
     }
 
+    /**
+     * Reassign button for a coordinator popup (completed territories stay with their team)
+     * @private
+     * @param {object} territory - Territory assignment
+     * @returns {string} HTML
+     */
+    renderReassignAction(territory) {
+        if (territory.status === 'completed') return '';
+
+        return `
+            <div style="margin-top: 10px; padding-top: 8px; border-top: 1px solid #ddd;">
+                <button class="btn btn-warning" style="padding: 3px 8px; font-size: 0.8em;"
+                        onclick="app.showReassignTerritoryModal('${territory.id}')">
+                    ↔ Reassign to team…
+                </button>
+            </div>
+        `;
+    }
+
+    /**
+     * Report a clicked territory to the onTerritorySelect callback
+     * @private
+     * @param {string} territoryId - Territory assignment ID
+     */
+    selectTerritory(territoryId) {
+        if (this.onTerritorySelect) {
+            this.onTerritorySelect(territoryId);
+        }
+    }
+
+    /**
+     * Check a territory against the team and status filters
+     * @private
+     * @param {object} territory - Territory assignment
+     * @param {object} team - Team the territory is assigned to
+     * @returns {boolean}
+     */
+    isTerritoryShown(territory, team) {
+        return !this.hiddenTeams.has(team.team_id) && !this.hiddenStatuses.has(territory.status);
+    }
+
+    /**
+     * Show or hide the territories of one team
+     * @param {string} teamId - Team UUID
+     */
+    toggleTeamFilter(teamId) {
+        if (this.hiddenTeams.has(teamId)) {
+            this.hiddenTeams.delete(teamId);
+        } else {
+            this.hiddenTeams.add(teamId);
+        }
+        this.applySessionFilters();
+    }
+
+    /**
+     * Show or hide the territories with one status
+     * @param {string} status - Territory status (available/current/completed)
+     */
+    toggleStatusFilter(status) {
+        if (this.hiddenStatuses.has(status)) {
+            this.hiddenStatuses.delete(status);
+        } else {
+            this.hiddenStatuses.add(status);
+        }
+        this.applySessionFilters();
+    }
+
+    /**
+     * Add or remove each territory's layer according to the filters
+     * @private
+     */
+    applySessionFilters() {
+        if (!this.territoriesLayer) return;
+
+        this.markers.forEach(layer => {
+            if (!layer.territory || !layer.teamInfo) return;
+
+            const shown = this.isTerritoryShown(layer.territory, layer.teamInfo);
+            if (shown && !this.territoriesLayer.hasLayer(layer)) {
+                this.territoriesLayer.addLayer(layer);
+            } else if (!shown && this.territoriesLayer.hasLayer(layer)) {
+                this.territoriesLayer.removeLayer(layer);
+            }
+        });
+
+        this.updateSessionFilterControl();
+    }
+
+    /**
+     * Add or refresh the filter chips control with one chip per team and per status
+     * @private
+     */
+    updateSessionFilterControl() {
+        if (!this.sessionFilterControl) {
+            this.sessionFilterControl = L.control({ position: 'topright' });
+            this.sessionFilterControl.onAdd = () => {
+                const container = L.DomUtil.create('div', 'osmose-filter-control session-filter-control');
+                L.DomEvent.disableClickPropagation(container);
+                L.DomEvent.disableScrollPropagation(container);
+                L.DomEvent.on(container, 'click', event => {
+                    const chip = event.target.closest('[data-team-id], [data-status]');
+                    if (!chip) return;
+
+                    if (chip.dataset.teamId) {
+                        this.toggleTeamFilter(chip.dataset.teamId);
+                    } else {
+                        this.toggleStatusFilter(chip.dataset.status);
+                    }
+                });
+                return container;
+            };
+            this.sessionFilterControl.addTo(this.map);
+        }
+
+        const territories = this.sessionTeams.flatMap(team => team.territories || []);
+        const chip = (attribute, value, hidden, color, label, count) => `
+            <button type="button" class="osmose-filter-chip ${hidden ? 'inactive' : ''}"
+                    ${attribute}="${value}" title="${hidden ? 'Show' : 'Hide'} ${label}">
+                <span class="osmose-filter-swatch" style="background: ${color};"></span>
+                ${label} <strong>${count}</strong>
+            </button>
+        `;
+
+        this.sessionFilterControl.getContainer().innerHTML = `
+            <div class="osmose-filter-title">👥 Teams</div>
+            ${this.sessionTeams.map(team => chip(
+                'data-team-id', team.team_id, this.hiddenTeams.has(team.team_id),
+                this.getTeamColor(team.team_index || 0), team.team_name, (team.territories || []).length
+            )).join('')}
+            <div class="osmose-filter-title session-filter-group">📋 Status</div>
+            ${['available', 'current', 'completed'].map(status => chip(
+                'data-status', status, this.hiddenStatuses.has(status),
+                this.getStatusColor(status), this.getStatusText(status),
+                territories.filter(territory => territory.status === status).length
+            )).join('')}
+        `;
+    }
+
     // ================================
     // STYLING HELPERS
     // ================================
@@ -755,59 +1019,33 @@ class TerritoryMap {
     // ================================
 
     /**
-     * Get approximate center coordinates for Indian territories
+     * Get approximate center coordinates for a territory
      * @private
-     * @param {string} isoCode - ISO 3166-2 code (e.g., 'IN-MH')
+     * @param {object} territory - Territory data (center from the territories table, iso_code)
      * @returns {Array|null} [latitude, longitude] or null if not found
      *
-     * Note: These are approximate centers. For production with actual boundaries,
-     * you could load GeoJSON files for each territory.
-     */
-    getTerritoryCoordinates(isoCode) {
-        const coordinates = {
-            // States (28)
-            'IN-AP': [15.9129, 79.7400],  // Andhra Pradesh
-            'IN-AR': [28.2180, 94.7278],  // Arunachal Pradesh
-            'IN-AS': [26.2006, 92.9376],  // Assam
-            'IN-BR': [25.0961, 85.3131],  // Bihar
-            'IN-CT': [21.2787, 81.8661],  // Chhattisgarh
-            'IN-GA': [15.2993, 74.1240],  // Goa
-            'IN-GJ': [22.2587, 71.1924],  // Gujarat
-            'IN-HR': [29.0588, 76.0856],  // Haryana
-            'IN-HP': [31.1048, 77.1734],  // Himachal Pradesh
-            'IN-JH': [23.6102, 85.2799],  // Jharkhand
-            'IN-KA': [15.3173, 75.7139],  // Karnataka
-            'IN-KL': [10.8505, 76.2711],  // Kerala
-            'IN-MP': [22.9734, 78.6569],  // Madhya Pradesh
-            'IN-MH': [19.7515, 75.7139],  // Maharashtra
-            'IN-MN': [24.6637, 93.9063],  // Manipur
-            'IN-ML': [25.4670, 91.3662],  // Meghalaya
-            'IN-MZ': [23.1645, 92.9376],  // Mizoram
-            'IN-NL': [26.1584, 94.5624],  // Nagaland
-            'IN-OR': [20.9517, 85.0985],  // Odisha
-            'IN-PB': [31.1471, 75.3412],  // Punjab
-            'IN-RJ': [27.0238, 74.2179],  // Rajasthan
-            'IN-SK': [27.5330, 88.5122],  // Sikkim
-            'IN-TN': [11.1271, 78.6569],  // Tamil Nadu
-            'IN-TG': [18.1124, 79.0193],  // Telangana
-            'IN-TR': [23.9408, 91.9882],  // Tripura
-            'IN-UP': [26.8467, 80.9462],  // Uttar Pradesh
-            'IN-UT': [30.0668, 79.0193],  // Uttarakhand
-            'IN-WB': [22.9868, 87.8550],  // West Bengal
-
-            // Union Territories (8)
-            'IN-AN': [11.7401, 92.6586],  // Andaman and Nicobar Islands
-            'IN-CH': [30.7333, 76.7794],  // Chandigarh
-            'IN-DH': [20.3974, 72.8328],  // Dadra and Nagar Haveli and Daman and Diu
-            'IN-DL': [28.7041, 77.1025],  // Delhi (National Capital Territory)
-            'IN-JK': [33.7782, 76.5762],  // Jammu and Kashmir
-            'IN-LA': [34.1526, 77.5771],  // Ladakh
-            'IN-LD': [10.5667, 72.6417],  // Lakshadweep
-            'IN-PY': [11.9416, 79.8083]   // Puducherry
-        };
+     * Note: Centres come from the territory's Overpass bounding box; the country
+     * config's embedded list covers territories populated without one.
+     */
+    getTerritoryCoordinates(territory) {
+        if (territory.center) {
+            return territory.center;
+        }
+
+        const fallback = this.country.territories.find(t => t.isoCode === territory.iso_code);
+        return fallback ? fallback.center : null;
+    }
 
-        const coord = coordinates[isoCode];
-        return coord ? coord : null;
+    /**
+     * Reset the map to the country view (or a world view for unconfigured countries)
+     * @private
+     */
+    resetView() {
+        if (this.country.center) {
+            this.map.setView(this.country.center, this.country.zoom);
+        } else {
+            this.map.setView(this.worldCenter, this.worldZoom);
+        }
     }
 
     // ================================
@@ -815,18 +1053,56 @@ class TerritoryMap {
     // ================================
 
     /**
-     * Fetch territory boundary from Overpass API
+     * Look up the cached boundaries of territories
+     * @private
+     * @param {Array} territories - Territory assignment data (with territory_osm_id)
+     * @returns {Promise<Map>} Territory assignment ID -> cached GeoJSON
+     */
+    async getCachedBoundaries(territories) {
+        const cachedBoundaries = new Map();
+        if (!this.boundaryCache) {
+            return cachedBoundaries;
+        }
+
+        try {
+            await this.boundaryCache.preload(territories.map(territory => territory.territory_osm_id));
+
+            for (const territory of territories) {
+                const geoJSON = territory.territory_osm_id
+                    ? await this.boundaryCache.get(territory.territory_osm_id)
+                    : null;
+                if (geoJSON) {
+                    cachedBoundaries.set(territory.id, geoJSON);
+                }
+            }
+        } catch (error) {
+            console.warn('Boundary cache lookup failed, fetching from Overpass:', error);
+        }
+
+        return cachedBoundaries;
+    }
+
+    /**
+     * Fetch territory boundary, from the boundary cache or else from Overpass API
      * @private
      * @param {string} osmRelationId - OSM relation ID for the territory
      * @param {string} territoryName - Territory name for logging
+     * @param {boolean} shareBoundary - Also store the boundary in the shared territory_boundaries table
      * @returns {Promise<object|null>} GeoJSON object or null if failed
      */
-    async fetchTerritoryBoundary(osmRelationId, territoryName) {
+    async fetchTerritoryBoundary(osmRelationId, territoryName, shareBoundary = true) {
         if (!osmRelationId) {
             console.warn(`No OSM relation ID for ${territoryName}`);
             return null;
         }
 
+        if (this.boundaryCache) {
+            const cached = await this.boundaryCache.get(osmRelationId);
+            if (cached) {
+                return cached;
+            }
+        }
+
         const overpassServers = [
             'https://overpass-api.de/api/interpreter',
             'https://overpass.kumi.systems/api/interpreter',
@@ -868,7 +1144,9 @@ out geom;
 
                 if (geoJSON) {
                     console.log(`Successfully fetched boundary for ${territoryName}`);
-                    return geoJSON;
+                    return this.boundaryCache
+                        ? this.boundaryCache.put(osmRelationId, geoJSON, shareBoundary)
+                        : geoJSON;
                 }
 
             } catch (error) {
@@ -882,43 +1160,333 @@ out geom;
     }
 
     /**
-     * Convert Overpass API relation data to GeoJSON
+     * Convert an Overpass API relation (or closed way) to GeoJSON
+     * Member ways are stitched into closed rings; inner rings become holes of the
+     * outer ring that contains them, and every outer ring (islands, exclaves) is
+     * kept, giving a MultiPolygon when there is more than one.
      * @private
-     * @param {object} element - Overpass relation element
+     * @param {object} element - Overpass element fetched with "out geom"
      * @returns {object|null} GeoJSON Feature or null
      */
     overpassToGeoJSON(element) {
-        if (!element || !element.members) {
+        if (!element) {
             return null;
         }
 
-        // Extract outer way coordinates
-        const coordinates = [];
+        const toCoordinates = geometry => geometry
+            .filter(node => node)
+            .map(node => [node.lon, node.lat]);
+
+        let outerWays = [];
+        let innerWays = [];
+
+        if (element.type === 'way' && element.geometry) {
+            outerWays = [toCoordinates(element.geometry)];
+        } else if (element.members) {
+            for (const member of element.members) {
+                if (member.type !== 'way' || !member.geometry) continue;
 
-        for (const member of element.members) {
-            if (member.role === 'outer' && member.geometry) {
-                const wayCoords = member.geometry.map(node => [node.lon, node.lat]);
-                coordinates.push(wayCoords);
+                // Untagged members of old multipolygons count as outer
+                if (member.role === 'inner') {
+                    innerWays.push(toCoordinates(member.geometry));
+                } else if (member.role === 'outer' || member.role === '') {
+                    outerWays.push(toCoordinates(member.geometry));
+                }
             }
         }
 
-        if (coordinates.length === 0) {
+        const outerRings = this.assembleRings(outerWays);
+        const innerRings = this.assembleRings(innerWays);
+
+        if (outerRings.length === 0) {
+            console.warn(`No closed outer ring in relation ${element.id}`);
             return null;
         }
 
+        // Each hole belongs to the smallest outer ring containing it
+        const polygons = outerRings
+            .map(ring => ({ outer: ring, area: Math.abs(this.ringArea(ring)), holes: [] }))
+            .sort((a, b) => a.area - b.area);
+
+        let strayHoles = 0;
+        for (const inner of innerRings) {
+            const polygon = polygons.find(candidate => this.ringContainsPoint(candidate.outer, inner[0]));
+            if (polygon) {
+                polygon.holes.push(inner);
+            } else {
+                strayHoles++;
+            }
+        }
+
+        if (strayHoles > 0) {
+            console.warn(`Ignored ${strayHoles} inner rings outside every outer ring of relation ${element.id}`);
+        }
+
+        const polygonCoordinates = polygons
+            .sort((a, b) => b.area - a.area)
+            .map(polygon => [polygon.outer, ...polygon.holes]);
+
         return {
             type: 'Feature',
             properties: {
                 name: element.tags?.name || 'Unknown',
                 osmId: element.id
             },
-            geometry: {
-                type: 'Polygon',
-                coordinates: coordinates
-            }
+            geometry: polygonCoordinates.length === 1
+                ? { type: 'Polygon', coordinates: polygonCoordinates[0] }
+                : { type: 'MultiPolygon', coordinates: polygonCoordinates }
         };
     }
 
+    /**
+     * Stitch ways into closed rings by joining shared end nodes
+     * @private
+     * @param {Array<Array<Array<number>>>} ways - Way coordinates ([lon, lat] points)
+     * @returns {Array<Array<Array<number>>>} Closed rings; ways that cannot be closed are dropped
+     */
+    assembleRings(ways) {
+        const samePoint = (a, b) => a[0] === b[0] && a[1] === b[1];
+        const remaining = ways.filter(way => way.length >= 2);
+        const rings = [];
+        let unclosed = 0;
+
+        while (remaining.length > 0) {
+            let ring = remaining.shift();
+
+            while (!samePoint(ring[0], ring[ring.length - 1])) {
+                const end = ring[ring.length - 1];
+                const index = remaining.findIndex(way =>
+                    samePoint(way[0], end) || samePoint(way[way.length - 1], end)
+                );
+                if (index === -1) break;
+
+                // Ways in a relation may point either way
+                const [next] = remaining.splice(index, 1);
+                const oriented = samePoint(next[0], end) ? next : next.slice().reverse();
+                ring = ring.concat(oriented.slice(1));
+            }
+
+            if (samePoint(ring[0], ring[ring.length - 1]) && ring.length >= 4) {
+                rings.push(ring);
+            } else {
+                unclosed++;
+            }
+        }
+
+        if (unclosed > 0) {
+            console.warn(`Dropped ${unclosed} ring(s) that could not be closed`);
+        }
+
+        return rings;
+    }
+
+    /**
+     * Signed area of a ring in square degrees (shoelace formula)
+     * @private
+     * @param {Array<Array<number>>} ring - Closed ring of [lon, lat] points
+     * @returns {number} Positive for counter-clockwise rings
+     */
+    ringArea(ring) {
+        let area = 0;
+        for (let i = 0; i < ring.length - 1; i++) {
+            area += ring[i][0] * ring[i + 1][1] - ring[i + 1][0] * ring[i][1];
+        }
+        return area / 2;
+    }
+
+    /**
+     * Check whether a point lies inside a ring (ray casting)
+     * @private
+     * @param {Array<Array<number>>} ring - Closed ring of [lon, lat] points
+     * @param {Array<number>} point - [lon, lat]
+     * @returns {boolean}
+     */
+    ringContainsPoint(ring, point) {
+        const [x, y] = point;
+        let inside = false;
+
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            const [xi, yi] = ring[i];
+            const [xj, yj] = ring[j];
+            if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+                inside = !inside;
+            }
+        }
+
+        return inside;
+    }
+
+    // ================================
+    // BOUNDARY SIMPLIFICATION
+    // ================================
+
+    /**
+     * Create a GeoJSON layer for a boundary, simplified for the current zoom
+     * The full boundary is kept on the layer so it can be simplified again on zoom
+     * @private
+     * @param {object} geoJSON - Boundary GeoJSON Feature
+     * @param {object} style - Leaflet path style
+     * @returns {L.GeoJSON} Boundary layer
+     */
+    createBoundaryLayer(geoJSON, style) {
+        const layer = L.geoJSON(this.simplifyBoundaryForZoom(geoJSON, this.map.getZoom()), { style });
+        layer.boundaryGeoJSON = geoJSON;
+        layer.boundaryZoom = this.map.getZoom();
+        return layer;
+    }
+
+    /**
+     * Redraw boundary layers simplified for the new zoom level
+     * Popups, tooltips and the current style are kept
+     * @private
+     */
+    resimplifyBoundaries() {
+        if (!this.map) return;
+
+        const zoom = this.map.getZoom();
+        const layers = [...this.markers.values(), ...this.workUnitLayers.values()];
+
+        for (const layer of layers) {
+            if (!layer.boundaryGeoJSON || layer.boundaryZoom === zoom) continue;
+
+            // Status updates restyle the drawn paths, so take the style from them
+            const [path] = layer.getLayers();
+            const style = path ? {
+                fillColor: path.options.fillColor,
+                fillOpacity: path.options.fillOpacity,
+                color: path.options.color,
+                weight: path.options.weight,
+                opacity: path.options.opacity,
+                dashArray: path.options.dashArray
+            } : null;
+
+            layer.clearLayers();
+            layer.addData(this.simplifyBoundaryForZoom(layer.boundaryGeoJSON, zoom));
+            if (style) {
+                layer.setStyle(style);
+            }
+            layer.boundaryZoom = zoom;
+        }
+    }
+
+    /**
+     * Simplify a boundary to about one screen pixel at a zoom level (memoized)
+     * @private
+     * @param {object} geoJSON - Boundary GeoJSON Feature
+     * @param {number} zoom - Map zoom level
+     * @returns {object} Simplified GeoJSON Feature
+     */
+    simplifyBoundaryForZoom(geoJSON, zoom) {
+        let byZoom = this.simplifiedBoundaries.get(geoJSON);
+        if (!byZoom) {
+            byZoom = new Map();
+            this.simplifiedBoundaries.set(geoJSON, byZoom);
+        }
+
+        if (!byZoom.has(zoom)) {
+            // Degrees of longitude covered by one 256 px tile pixel at this zoom
+            const tolerance = 360 / (256 * Math.pow(2, zoom));
+            const simplifyRing = ring => this.douglasPeucker(ring, tolerance);
+            const geometry = geoJSON.geometry;
+
+            byZoom.set(zoom, {
+                ...geoJSON,
+                geometry: {
+                    type: geometry.type,
+                    coordinates: geometry.type === 'MultiPolygon'
+                        ? geometry.coordinates.map(polygon => polygon.map(simplifyRing))
+                        : geometry.coordinates.map(simplifyRing)
+                }
+            });
+        }
+
+        return byZoom.get(zoom);
+    }
+
+    /**
+     * Douglas-Peucker simplification of a closed ring
+     * @private
+     * @param {Array<Array<number>>} ring - Closed ring of [lon, lat] points
+     * @param {number} tolerance - Largest allowed deviation in degrees
+     * @returns {Array<Array<number>>} Simplified ring; small rings (islands) are kept whole
+     */
+    douglasPeucker(ring, tolerance) {
+        if (ring.length <= 4) {
+            return ring;
+        }
+
+        const keep = new Uint8Array(ring.length);
+        keep[0] = 1;
+        keep[ring.length - 1] = 1;
+
+        // A closed ring starts and ends on the same point, so split it at its farthest point first
+        let farthest = 1;
+        let farthestDistance = 0;
+        for (let i = 1; i < ring.length - 1; i++) {
+            const dx = ring[i][0] - ring[0][0];
+            const dy = ring[i][1] - ring[0][1];
+            const distance = dx * dx + dy * dy;
+            if (distance > farthestDistance) {
+                farthest = i;
+                farthestDistance = distance;
+            }
+        }
+        keep[farthest] = 1;
+
+        const toleranceSquared = tolerance * tolerance;
+        const stack = [[0, farthest], [farthest, ring.length - 1]];
+
+        while (stack.length > 0) {
+            const [first, last] = stack.pop();
+            let maxDistance = 0;
+            let index = -1;
+
+            for (let i = first + 1; i < last; i++) {
+                const distance = this.segmentDistanceSquared(ring[i], ring[first], ring[last]);
+                if (distance > maxDistance) {
+                    maxDistance = distance;
+                    index = i;
+                }
+            }
+
+            if (index !== -1 && maxDistance > toleranceSquared) {
+                keep[index] = 1;
+                stack.push([first, index], [index, last]);
+            }
+        }
+
+        const simplified = ring.filter((point, i) => keep[i]);
+        return simplified.length >= 4 ? simplified : ring;
+    }
+
+    /**
+     * Squared distance from a point to a segment (in degrees)
+     * @private
+     * @param {Array<number>} point - [lon, lat]
+     * @param {Array<number>} start - Segment start [lon, lat]
+     * @param {Array<number>} end - Segment end [lon, lat]
+     * @returns {number}
+     */
+    segmentDistanceSquared(point, start, end) {
+        let [x, y] = start;
+        let dx = end[0] - x;
+        let dy = end[1] - y;
+
+        if (dx !== 0 || dy !== 0) {
+            const t = ((point[0] - x) * dx + (point[1] - y) * dy) / (dx * dx + dy * dy);
+            if (t > 1) {
+                [x, y] = end;
+            } else if (t > 0) {
+                x += dx * t;
+                y += dy * t;
+            }
+        }
+
+        dx = point[0] - x;
+        dy = point[1] - y;
+        return dx * dx + dy * dy;
+    }
+
     // ================================
     // MAP CONTROLS & UPDATES
     // ================================
@@ -1035,6 +1603,7 @@ out geom;
         if (this.isReady() && this.territoriesLayer) {
             this.territoriesLayer.clearLayers();
             this.markers.clear();
+            this.clearWorkUnits();
             this.currentTerritories = [];
             console.log('Territories cleared from map');
         }
@@ -1048,118 +1617,615 @@ out geom;
         return {
             initialized: this.mapInitialized,
             territoriesDisplayed: this.markers.size,
+            workUnitsDisplayed: this.workUnitLayers.size,
             currentZoom: this.map ? this.map.getZoom() : null,
             currentCenter: this.map ? this.map.getCenter() : null,
             teamColor: this.teamColor,
-            osmoseIssuesDisplayed: this.osmoseLayer ? this.osmoseLayer.getLayers().length : 0
+            country: this.country.code,
+            osmoseIssuesDisplayed: this.osmoseLayer ? this.osmoseLayer.getLayers().length : 0,
+            osmoseTerritories: this.osmoseIssues.size
         };
     }
 
     // ================================
-    // OSMOSE QUALITY ASSURANCE LAYER
+    // WORK UNITS
     // ================================
 
     /**
-     * Display Osmose QA issues on the map
-     * @param {string} territoryName - Name of the territory
-     * @param {object} geoJSON - GeoJSON FeatureCollection of Osmose issues
-     * @param {number} issueCount - Number of issues
+     * Display the work units (districts or grid tiles) of the given territories
+     * Units are drawn as bbox rectangles first; district units are then upgraded
+     * to their real boundary in the background
+     * @param {Array} territories - Territory assignment data with work_units
      */
-    displayOsmoseIssues(territoryName, geoJSON, issueCount) {
-        if (!this.isReady()) {
-            console.error('Map not initialized');
-            return false;
+    displayWorkUnits(territories) {
+        if (!this.isReady() || !this.workUnitsLayer) {
+            return;
         }
 
-        // Clear existing Osmose layer if present
-        this.clearOsmoseLayer();
+        this.clearWorkUnits();
 
-        console.log(`Displaying ${issueCount} Osmose issues for ${territoryName}`);
+        const districtUnits = [];
 
-        // Create new Osmose layer
-        this.osmoseLayer = L.featureGroup();
+        territories.forEach(territory => {
+            (territory.work_units || []).forEach(unit => {
+                const rectangle = L.rectangle(
+                    [[unit.min_lat, unit.min_lon], [unit.max_lat, unit.max_lon]],
+                    this.getWorkUnitStyle(unit.status)
+                );
 
-        // Add markers for each issue
-        if (geoJSON && geoJSON.features && geoJSON.features.length > 0) {
-            geoJSON.features.forEach(feature => {
-                const coords = feature.geometry.coordinates;
-                const props = feature.properties;
+                this.bindWorkUnitPopup(rectangle, unit, territory);
+                rectangle.addTo(this.workUnitsLayer);
+                this.workUnitLayers.set(unit.id, rectangle);
 
-                // Create a red circle marker for Osmose issues
-                const marker = L.circleMarker([coords[1], coords[0]], {
-                    radius: 6,
-                    fillColor: '#e74c3c',  // Red color for issues
-                    color: '#c0392b',       // Darker red border
-                    weight: 2,
-                    opacity: 0.9,
-                    fillOpacity: 0.7
-                });
+                if (unit.unit_type === 'district' && unit.osm_relation_id) {
+                    districtUnits.push({ unit, territory });
+                }
+            });
+        });
 
-                // Create popup content
-                const popupContent = `
-                    <div style="max-width: 250px;">
-                        <h4 style="margin: 0 0 8px 0; color: #e74c3c; font-size: 0.95em;">
-                            🔍 Osmose Issue
-                        </h4>
-                        <div style="margin: 5px 0;">
-                            <strong>Type:</strong> ${props.title || 'Quality Issue'}
-                        </div>
-                        ${props.subtitle ? `
-                            <div style="margin: 5px 0; font-size: 0.9em; color: #666;">
-                                ${props.subtitle}
-                            </div>
-                        ` : ''}
-                        <div style="margin: 5px 0; font-size: 0.85em; color: #666;">
-                            <strong>Issue ID:</strong> ${props.id}
-                        </div>
-                        <div style="margin: 5px 0; font-size: 0.85em; color: #666;">
-                            <strong>Classification:</strong> Item ${props.item}, Class ${props.class}
-                        </div>
-                        <div style="margin-top: 8px; padding-top: 8px; border-top: 1px solid #ddd;">
-                            <a href="https://osmose.openstreetmap.fr/en/map/#zoom=16&lat=${props.lat}&lon=${props.lon}&item=${props.item}"
-                               target="_blank"
-                               rel="noopener noreferrer"
-                               style="color: #e74c3c; text-decoration: none; font-size: 0.85em;">
-                                View on Osmose →
-                            </a>
-                        </div>
+        if (this.workUnitLayers.size > 0) {
+            console.log(`Displayed ${this.workUnitLayers.size} work units`);
+        }
+
+        if (districtUnits.length > 0) {
+            this.upgradeWorkUnitsToPolygons(districtUnits);
+        }
+    }
+
+    /**
+     * Replace district rectangles with their boundary polygons
+     * Fetched one at a time so a large split does not flood Overpass
+     * @private
+     * @param {Array<{unit: object, territory: object}>} districtUnits - District units to upgrade
+     */
+    async upgradeWorkUnitsToPolygons(districtUnits) {
+        let upgraded = 0;
+
+        for (const { unit, territory } of districtUnits) {
+            // District relations are not territories, so they are only cached in this browser
+            const geoJSON = await this.fetchTerritoryBoundaryWithTimeout(
+                unit.osm_relation_id,
+                unit.name,
+                10000,
+                false
+            );
+
+            const existingLayer = this.workUnitLayers.get(unit.id);
+
+            // The units may have been cleared or redrawn while we were fetching
+            if (!geoJSON || !existingLayer || !this.workUnitsLayer) {
+                continue;
+            }
+
+            try {
+                const polygonLayer = this.createBoundaryLayer(geoJSON, this.getWorkUnitStyle(unit.status));
+
+                this.bindWorkUnitPopup(polygonLayer, unit, territory);
+                this.workUnitsLayer.removeLayer(existingLayer);
+                polygonLayer.addTo(this.workUnitsLayer);
+                this.workUnitLayers.set(unit.id, polygonLayer);
+                upgraded++;
+            } catch (error) {
+                console.warn(`Keeping rectangle for work unit ${unit.name}:`, error);
+            }
+        }
+
+        console.log(`Work units: ${upgraded}/${districtUnits.length} districts upgraded to polygons`);
+    }
+
+    /**
+     * Bind tooltip and popup to a work unit layer
+     * @private
+     * @param {L.Layer} layer - Rectangle or GeoJSON layer
+     * @param {object} unit - Work unit data
+     * @param {object} territory - Parent territory assignment
+     */
+    bindWorkUnitPopup(layer, unit, territory) {
+        layer.bindTooltip(this.getWorkUnitTooltip(unit), { sticky: true });
+
+        layer.bindPopup(`
+            <div class="territory-popup">
+                <h3 style="margin: 0 0 8px 0; font-size: 1.1em; color: #2c3e50;">${unit.name}</h3>
+                <div style="font-size: 0.9em; color: #555; margin-bottom: 6px;">
+                    ${territory.territory_name} · ${unit.unit_type === 'district' ? 'District' : 'Grid tile'}
+                </div>
+                <div style="color: ${this.getStatusColor(unit.status)}; font-weight: bold;">
+                    ${this.getStatusIcon(unit.status)} ${this.getStatusText(unit.status)}
+                </div>
+                ${unit.status !== 'completed' ? `
+                    <div style="margin-top: 8px; text-align: center;">
+                        <button class="btn btn-success" style="padding: 4px 10px; font-size: 0.85em;"
+                                onclick="app.loadTerritoryInJOSM('${territory.id}', '${unit.id}')">
+                            Open in JOSM
+                        </button>
                     </div>
-                `;
+                ` : ''}
+            </div>
+        `, { maxWidth: 260, className: 'territory-popup-container' });
+    }
 
-                marker.bindPopup(popupContent, {
-                    maxWidth: 300,
-                    className: 'osmose-popup'
-                });
+    /**
+     * Get styling for a work unit layer
+     * @private
+     * @param {string} status - Work unit status
+     * @returns {object} Leaflet path options
+     */
+    getWorkUnitStyle(status) {
+        return {
+            color: this.teamColor || '#3388ff',
+            weight: 1.5,
+            dashArray: '4 4',
+            fillColor: this.getStatusColor(status),
+            fillOpacity: this.getPolygonFillOpacity(status)
+        };
+    }
 
-                marker.bindTooltip(
-                    `🔍 ${props.title || 'Osmose Issue'}`,
-                    { direction: 'top', offset: [0, -8] }
-                );
+    /**
+     * Get tooltip content for a work unit
+     * @private
+     * @param {object} unit - Work unit data
+     * @returns {string} HTML content
+     */
+    getWorkUnitTooltip(unit) {
+        return `<strong>${unit.name}</strong><br>${this.getStatusText(unit.status)}`;
+    }
 
-                marker.addTo(this.osmoseLayer);
-            });
+    /**
+     * Update work unit status on map (visual update only)
+     * @param {string} workUnitId - Work unit ID
+     * @param {string} newStatus - New status (available/current/completed)
+     */
+    updateWorkUnitStatus(workUnitId, newStatus) {
+        const layer = this.workUnitLayers.get(workUnitId);
+
+        if (!layer) {
+            console.warn(`Work unit layer not found for update: ${workUnitId}`);
+            return;
+        }
+
+        layer.setStyle(this.getWorkUnitStyle(newStatus));
 
-            // Add the Osmose layer to the map
+        for (const territory of this.currentTerritories) {
+            const unit = (territory.work_units || []).find(u => u.id === workUnitId);
+            if (unit) {
+                unit.status = newStatus;
+                layer.setTooltipContent(this.getWorkUnitTooltip(unit));
+                this.bindWorkUnitPopup(layer, unit, territory);
+                break;
+            }
+        }
+    }
+
+    /**
+     * Focus map on a specific work unit
+     * @param {string} workUnitId - Work unit ID
+     */
+    focusOnWorkUnit(workUnitId) {
+        if (!this.isReady()) {
+            console.warn('Map not ready for focusing');
+            return;
+        }
+
+        const layer = this.workUnitLayers.get(workUnitId);
+
+        if (!layer) {
+            console.warn(`Work unit layer not found: ${workUnitId}`);
+            return;
+        }
+
+        this.map.fitBounds(layer.getBounds(), {
+            padding: [30, 30],
+            maxZoom: 10,
+            animate: true,
+            duration: 0.5
+        });
+    }
+
+    /**
+     * Remove all work units from the map
+     */
+    clearWorkUnits() {
+        if (this.workUnitsLayer) {
+            this.workUnitsLayer.clearLayers();
+        }
+        this.workUnitLayers.clear();
+    }
+
+    // ================================
+    // OSMOSE QUALITY ASSURANCE LAYER
+    // ================================
+
+    /**
+     * Display a territory's Osmose QA issues on the map
+     *
+     * Issues are kept per territory, so showing a second territory adds to the
+     * layer instead of replacing it. Markers are clustered when the
+     * Leaflet.markercluster plugin is loaded.
+     *
+     * @param {object} territory - Territory data (id, territory_name, center, iso_code)
+     * @param {object} geoJSON - GeoJSON FeatureCollection from fetchOsmoseIssuesForTerritory
+     * @returns {boolean} True if any issues were displayed
+     */
+    displayOsmoseIssues(territory, geoJSON) {
+        if (!this.isReady()) {
+            console.error('Map not initialized');
+            return false;
+        }
+
+        const features = (geoJSON && geoJSON.features || []).filter(feature =>
+            feature.geometry && feature.geometry.type === 'Point'
+        );
+
+        console.log(`Displaying ${features.length} Osmose issues for ${territory.territory_name}`);
+
+        this.osmoseIssues.set(territory.id, { territory, features });
+        this.renderOsmoseLayer();
+
+        return features.length > 0;
+    }
+
+    /**
+     * Rebuild the issue markers, territory badges and filter chips from the stored issues
+     * @private
+     */
+    renderOsmoseLayer() {
+        if (!this.osmoseLayer) {
+            this.osmoseLayer = typeof L.markerClusterGroup === 'function'
+                ? L.markerClusterGroup({
+                    chunkedLoading: true,
+                    showCoverageOnHover: false,
+                    maxClusterRadius: 50,
+                    disableClusteringAtZoom: 15
+                })
+                : L.featureGroup();
             this.osmoseLayer.addTo(this.map);
+        }
+        if (!this.osmoseBadgesLayer) {
+            this.osmoseBadgesLayer = L.layerGroup().addTo(this.map);
+        }
 
-            console.log(`Successfully displayed ${geoJSON.features.length} Osmose markers`);
+        this.osmoseLayer.clearLayers();
+        this.osmoseBadgesLayer.clearLayers();
 
-            return true;
+        const markers = [];
+
+        this.osmoseIssues.forEach(({ territory, features }) => {
+            const visible = features.filter(feature =>
+                !this.osmoseHiddenTypes.has(this.getOsmoseIssueTypeKey(feature))
+            );
+
+            visible.forEach(feature => markers.push(this.createOsmoseMarker(feature, territory)));
+
+            // Resolved and false-positive issues are still drawn, but not counted as open
+            const openCount = visible.filter(feature => !this.isOsmoseIssueDone(feature.properties.id)).length;
+            const badge = this.createOsmoseCountBadge(territory, openCount, features.length);
+            if (badge) {
+                badge.addTo(this.osmoseBadgesLayer);
+            }
+        });
+
+        // addLayers lets the cluster group add thousands of markers in chunks
+        if (typeof this.osmoseLayer.addLayers === 'function') {
+            this.osmoseLayer.addLayers(markers);
         } else {
-            console.log('No Osmose issues to display');
-            return false;
+            markers.forEach(marker => marker.addTo(this.osmoseLayer));
         }
+
+        this.updateOsmoseFilterControl();
+
+        console.log(`Osmose layer shows ${markers.length} markers`);
     }
 
     /**
-     * Clear Osmose issues layer from map
+     * Create the marker and popup for one Osmose issue
+     * @private
+     * @param {object} feature - GeoJSON Point feature of an Osmose issue
+     * @param {object} territory - Territory the issue was fetched for
+     * @returns {L.CircleMarker}
      */
-    clearOsmoseLayer() {
-        if (this.osmoseLayer) {
-            this.map.removeLayer(this.osmoseLayer);
-            this.osmoseLayer = null;
-            console.log('Osmose layer cleared');
+    createOsmoseMarker(feature, territory) {
+        const coords = feature.geometry.coordinates;
+        const props = feature.properties;
+        const color = this.getOsmoseIssueTypeColor(this.getOsmoseIssueTypeKey(feature));
+        const claim = this.osmoseClaims.get(props.id) || null;
+        const done = this.isOsmoseIssueDone(props.id);
+
+        const marker = L.circleMarker([coords[1], coords[0]], {
+            radius: claim ? 7 : 6,
+            fillColor: done ? '#9CA3AF' : color,
+            color: claim && claim.status === 'claimed' ? '#2563EB' : '#1F2937',
+            weight: claim && claim.status === 'claimed' ? 3 : 1,
+            opacity: 0.9,
+            fillOpacity: done ? 0.4 : 0.8
+        });
+
+        // Osmose text and IDs are set as text and handlers attached here, never parsed as HTML
+        const popupContent = L.DomUtil.create('div');
+        popupContent.style.maxWidth = '250px';
+        popupContent.innerHTML = `
+            <h4 style="margin: 0 0 8px 0; color: ${color}; font-size: 0.95em;">
+                🔍 Osmose Issue
+            </h4>
+            <div style="margin: 5px 0;">
+                <strong>Type:</strong> <span class="osmose-popup-title"></span>
+            </div>
+            <div class="osmose-popup-subtitle" style="margin: 5px 0; font-size: 0.9em; color: #666;"></div>
+            <div style="margin: 5px 0; font-size: 0.85em; color: #666;">
+                <strong>Issue ID:</strong> <span class="osmose-popup-id"></span>
+            </div>
+            <div style="margin: 5px 0; font-size: 0.85em; color: #666;">
+                <strong>Classification:</strong> <span class="osmose-popup-classification"></span>
+            </div>
+            <div style="margin: 5px 0; font-size: 0.85em;">
+                <strong>Team status:</strong> <span class="osmose-popup-status"></span>
+            </div>
+            <div class="osmose-popup-actions" style="margin-top: 8px; display: flex; gap: 4px; flex-wrap: wrap;">
+                ${this.renderOsmoseClaimActions(claim)}
+            </div>
+            <div style="margin-top: 8px; padding-top: 8px; border-top: 1px solid #ddd; display: flex; justify-content: space-between; align-items: center;">
+                <button type="button" class="btn btn-success osmose-popup-josm" style="padding: 4px 8px; font-size: 0.8em;">
+                    Fix in JOSM
+                </button>
+                <a class="osmose-popup-link"
+                   target="_blank"
+                   rel="noopener noreferrer"
+                   style="color: #e74c3c; text-decoration: none; font-size: 0.85em;">
+                    View on Osmose →
+                </a>
+            </div>
+        `;
+
+        const setText = (selector, text) => {
+            popupContent.querySelector(selector).textContent = text;
+        };
+        setText('.osmose-popup-title', props.title || 'Quality Issue');
+        setText('.osmose-popup-id', props.id ?? '');
+        setText('.osmose-popup-classification', `Item ${props.item}, Class ${props.class}`);
+        setText('.osmose-popup-status', this.getOsmoseClaimText(claim));
+        if (props.subtitle) {
+            setText('.osmose-popup-subtitle', props.subtitle);
+        } else {
+            popupContent.querySelector('.osmose-popup-subtitle').remove();
+        }
+
+        const osmoseUrl = new URL('https://osmose.openstreetmap.fr/en/map/');
+        osmoseUrl.hash = new URLSearchParams({ zoom: 16, lat: coords[1], lon: coords[0], item: props.item ?? '' }).toString();
+        popupContent.querySelector('.osmose-popup-link').href = osmoseUrl.href;
+
+        L.DomEvent.on(popupContent.querySelector('.osmose-popup-josm'), 'click', () => {
+            app.fixOsmoseIssueInJOSM(props.id, coords[1], coords[0]);
+        });
+        L.DomEvent.on(popupContent.querySelector('.osmose-popup-actions'), 'click', event => {
+            const button = event.target.closest('[data-claim-status]');
+            if (button) {
+                app.updateOsmoseIssueClaim(territory.id, props.id, button.dataset.claimStatus);
+            }
+        });
+
+        marker.bindPopup(popupContent, {
+            maxWidth: 300,
+            className: 'osmose-popup'
+        });
+
+        const tooltipContent = document.createElement('span');
+        tooltipContent.textContent = `🔍 ${props.issue_label || props.title || 'Osmose Issue'}${claim ? ` · ${this.getOsmoseClaimText(claim)}` : ''}`;
+        marker.bindTooltip(tooltipContent, { direction: 'top', offset: [0, -8] });
+
+        return marker;
+    }
+
+    /**
+     * Describe a team claim for popups and tooltips
+     * @private
+     * @param {object|null} claim - Claim from get_team_osmose_issue_claims
+     * @returns {string}
+     */
+    getOsmoseClaimText(claim) {
+        if (!claim) return 'Open';
+
+        switch (claim.status) {
+            case 'claimed': return `🙋 Claimed by ${claim.claimed_by_name || 'a teammate'}`;
+            case 'resolved': return claim.auto_resolved
+                ? '✅ Resolved (no longer reported by Osmose)'
+                : `✅ Resolved by ${claim.updated_by_name || 'a teammate'}`;
+            case 'false_positive': return `🚫 False positive (${claim.updated_by_name || 'a teammate'})`;
+            default: return 'Open';
+        }
+    }
+
+    /**
+     * Claim action buttons for an issue popup; the popup handles their clicks by data-claim-status
+     * @private
+     * @param {object|null} claim - Current team claim, if any
+     * @returns {string} HTML
+     */
+    renderOsmoseClaimActions(claim) {
+        const status = claim ? claim.status : 'open';
+        const button = (newStatus, label, style) => `
+            <button type="button" class="btn ${style}" style="padding: 3px 6px; font-size: 0.75em;" data-claim-status="${newStatus}">
+                ${label}
+            </button>
+        `;
+
+        return [
+            status === 'open' ? button('claimed', '🙋 Claim', 'btn-warning') : '',
+            status !== 'open' ? button('open', status === 'claimed' ? '↩ Release' : '↩ Reopen', 'btn-secondary') : '',
+            status !== 'resolved' ? button('resolved', '✅ Resolved', 'btn-success') : '',
+            status !== 'false_positive' ? button('false_positive', '🚫 False positive', 'btn-secondary') : ''
+        ].join('');
+    }
+
+    /**
+     * Check whether the team has resolved an issue or marked it a false positive
+     * @private
+     * @param {string} issueId - Osmose issue UUID
+     * @returns {boolean}
+     */
+    isOsmoseIssueDone(issueId) {
+        const claim = this.osmoseClaims.get(issueId);
+        return !!claim && (claim.status === 'resolved' || claim.status === 'false_positive');
+    }
+
+    /**
+     * Replace the team's Osmose issue claims and redraw the issue markers
+     * @param {Array} claims - Claims from get_team_osmose_issue_claims
+     */
+    setOsmoseClaims(claims) {
+        this.osmoseClaims = new Map((claims || []).map(claim => [claim.issue_id, claim]));
+
+        if (this.isReady() && this.osmoseIssues.size > 0) {
+            this.renderOsmoseLayer();
+        }
+    }
+
+    /**
+     * Create the issue count badge shown at a territory's centre
+     * @private
+     * @param {object} territory - Territory data
+     * @param {number} visibleCount - Open issues passing the type filter
+     * @param {number} totalCount - All fetched issues
+     * @returns {L.Marker|null} Badge marker, or null if the territory has no known position
+     */
+    createOsmoseCountBadge(territory, visibleCount, totalCount) {
+        const layer = this.markers.get(territory.id);
+        const center = layer && typeof layer.getBounds === 'function'
+            ? layer.getBounds().getCenter()
+            : this.getTerritoryCoordinates(territory);
+
+        if (!center) return null;
+
+        const label = visibleCount === totalCount ? `${totalCount}` : `${visibleCount}/${totalCount}`;
+
+        const badge = L.marker(center, {
+            icon: L.divIcon({
+                className: 'osmose-count-badge-icon',
+                html: `<span class="osmose-count-badge ${visibleCount === 0 ? 'empty' : ''}">🔍 ${label}</span>`,
+                iconSize: null
+            }),
+            keyboard: false,
+            zIndexOffset: 1000
+        });
+
+        badge.bindTooltip(
+            `${territory.territory_name}: ${visibleCount} open of ${totalCount} Osmose issues`,
+            { direction: 'top' }
+        );
+
+        return badge;
+    }
+
+    /**
+     * Add or refresh the filter chips control with one chip per issue type
+     * @private
+     */
+    updateOsmoseFilterControl() {
+        const types = new Map(); // issue type key -> { label, count }
+        this.osmoseIssues.forEach(({ features }) => {
+            features.forEach(feature => {
+                const key = this.getOsmoseIssueTypeKey(feature);
+                const entry = types.get(key) || { label: feature.properties.issue_label || feature.properties.title || key, count: 0 };
+                entry.count++;
+                types.set(key, entry);
+            });
+        });
+
+        if (!this.osmoseFilterControl) {
+            this.osmoseFilterControl = L.control({ position: 'topright' });
+            this.osmoseFilterControl.onAdd = () => {
+                const container = L.DomUtil.create('div', 'osmose-filter-control');
+                L.DomEvent.disableClickPropagation(container);
+                L.DomEvent.disableScrollPropagation(container);
+                L.DomEvent.on(container, 'click', event => {
+                    const chip = event.target.closest('[data-issue-type]');
+                    if (chip) {
+                        this.toggleOsmoseIssueType(chip.dataset.issueType);
+                    }
+                });
+                return container;
+            };
+            this.osmoseFilterControl.addTo(this.map);
+        }
+
+        const container = this.osmoseFilterControl.getContainer();
+        if (types.size === 0) {
+            container.innerHTML = '<div class="osmose-filter-title">🔍 No Osmose issues</div>';
+            return;
         }
+
+        container.innerHTML = `
+            <div class="osmose-filter-title">🔍 Osmose issues</div>
+            ${[...types.entries()].sort(([a], [b]) => a.localeCompare(b, undefined, { numeric: true })).map(([key, type]) => `
+                <button type="button" class="osmose-filter-chip ${this.osmoseHiddenTypes.has(key) ? 'inactive' : ''}"
+                        data-issue-type="${key}" title="${this.osmoseHiddenTypes.has(key) ? 'Show' : 'Hide'} ${type.label}">
+                    <span class="osmose-filter-swatch" style="background: ${this.getOsmoseIssueTypeColor(key)};"></span>
+                    ${type.label} <strong>${type.count}</strong>
+                </button>
+            `).join('')}
+        `;
+    }
+
+    /**
+     * Show or hide the issues of one type
+     * @param {string} issueTypeKey - Osmose issue type key, e.g. '7040/2'
+     */
+    toggleOsmoseIssueType(issueTypeKey) {
+        if (this.osmoseHiddenTypes.has(issueTypeKey)) {
+            this.osmoseHiddenTypes.delete(issueTypeKey);
+        } else {
+            this.osmoseHiddenTypes.add(issueTypeKey);
+        }
+        this.renderOsmoseLayer();
+    }
+
+    /**
+     * Issue type key of an Osmose feature (set by fetchOsmoseIssuesForTerritory)
+     * @private
+     * @param {object} feature - GeoJSON feature of an Osmose issue
+     * @returns {string}
+     */
+    getOsmoseIssueTypeKey(feature) {
+        const props = feature.properties || {};
+        return props.issue_type || `${props.item}/${props.class}`;
+    }
+
+    /**
+     * Colour for an Osmose issue type, stable across renders
+     * @private
+     * @param {string} issueTypeKey - Osmose issue type key
+     * @returns {string} Hex colour
+     */
+    getOsmoseIssueTypeColor(issueTypeKey) {
+        const colors = ['#e74c3c', '#e67e22', '#8e44ad', '#f1c40f', '#16a085', '#c0392b', '#2c3e50', '#d35400'];
+        const issueClass = parseInt(String(issueTypeKey).split('/')[1], 10);
+        return colors[((Number.isNaN(issueClass) ? 1 : issueClass) - 1 + colors.length) % colors.length];
+    }
+
+    /**
+     * Clear Osmose issues from the map
+     * @param {string|null} territoryId - Only clear this territory's issues (default: all)
+     */
+    clearOsmoseLayer(territoryId = null) {
+        if (territoryId) {
+            this.osmoseIssues.delete(territoryId);
+            if (this.osmoseIssues.size > 0 && this.isReady()) {
+                this.renderOsmoseLayer();
+                return;
+            }
+        }
+
+        this.osmoseIssues.clear();
+        this.osmoseHiddenTypes.clear();
+        this.osmoseClaims.clear();
+
+        if (this.map) {
+            if (this.osmoseLayer) this.map.removeLayer(this.osmoseLayer);
+            if (this.osmoseBadgesLayer) this.map.removeLayer(this.osmoseBadgesLayer);
+            if (this.osmoseFilterControl) this.osmoseFilterControl.remove();
+        }
+        this.osmoseLayer = null;
+        this.osmoseBadgesLayer = null;
+        this.osmoseFilterControl = null;
+        console.log('Osmose layer cleared');
     }
 
     /**
@@ -1167,11 +2233,11 @@ out geom;
      * @returns {boolean}
      */
     hasOsmoseLayer() {
-        return this.osmoseLayer !== null && this.osmoseLayer.getLayers().length > 0;
+        return this.osmoseLayer !== null && this.osmoseIssues.size > 0;
     }
 
     /**
-     * Toggle Osmose layer visibility
+     * Toggle Osmose layer visibility (markers, badges and filter chips together)
      */
     toggleOsmoseLayer() {
         if (!this.osmoseLayer) {
@@ -1181,13 +2247,706 @@ out geom;
 
         if (this.map.hasLayer(this.osmoseLayer)) {
             this.map.removeLayer(this.osmoseLayer);
+            this.map.removeLayer(this.osmoseBadgesLayer);
+            this.osmoseFilterControl.remove();
             console.log('Osmose layer hidden');
         } else {
             this.osmoseLayer.addTo(this.map);
+            this.osmoseBadgesLayer.addTo(this.map);
+            this.osmoseFilterControl.addTo(this.map);
+            this.updateOsmoseFilterControl();
             console.log('Osmose layer shown');
         }
     }
 
+    // ================================
+    // POWER INFRASTRUCTURE
+    // ================================
+
+    /**
+     * Voltage classes used to colour lines and substations (as on OpenInfraMap)
+     * @private
+     * @returns {Array<{minKv: number, label: string, color: string}>} Highest class first
+     */
+    getVoltageClasses() {
+        return [
+            { minKv: 550, label: '≥ 550 kV', color: '#00C1CF' },
+            { minKv: 330, label: '330–549 kV', color: '#B54EB2' },
+            { minKv: 220, label: '220–329 kV', color: '#C73030' },
+            { minKv: 132, label: '132–219 kV', color: '#B55D00' },
+            { minKv: 52, label: '52–131 kV', color: '#B59F10' },
+            { minKv: 25, label: '25–51 kV', color: '#55B555' },
+            { minKv: 10, label: '10–24 kV', color: '#6E97B8' },
+            { minKv: 0, label: '< 10 kV or unknown', color: '#7A7A85' }
+        ];
+    }
+
+    /**
+     * Colour for a voltage
+     * @private
+     * @param {number|null} voltageKv - Voltage in kV
+     * @returns {string} Hex colour
+     */
+    getVoltageColor(voltageKv) {
+        const voltageClass = this.getVoltageClasses().find(c => (voltageKv || 0) >= c.minKv);
+        return voltageClass.color;
+    }
+
+    /**
+     * Show the power grid of a territory: lines by voltage class, substations and plants
+     * Data is loaded lazily from Overpass for the visible part of the territory as
+     * the map is panned and zoomed; nothing is loaded below infrastructureMinZoom.
+     * @param {OverpassAPI} overpassAPI - Overpass API client
+     * @param {object} territory - Territory assignment data (id, territory_name, bounds)
+     */
+    showPowerInfrastructure(overpassAPI, territory) {
+        if (!this.isReady()) {
+            console.warn('Map not ready for power infrastructure');
+            return;
+        }
+
+        this.clearInfrastructureLayer();
+
+        // Without stored bounds, fall back to the drawn territory's extent
+        const layer = this.markers.get(territory.id);
+        let bounds = territory.bounds || null;
+        if (!bounds && layer && typeof layer.getBounds === 'function') {
+            const layerBounds = layer.getBounds();
+            bounds = {
+                minLat: layerBounds.getSouth(),
+                minLon: layerBounds.getWest(),
+                maxLat: layerBounds.getNorth(),
+                maxLon: layerBounds.getEast()
+            };
+        }
+
+        // One canvas for all grid features keeps thousands of lines responsive
+        const renderer = L.canvas({ padding: 0.5 });
+        this.infrastructureLayer = L.featureGroup().addTo(this.map);
+        this.minorLinesLayer = L.featureGroup();
+
+        this.infrastructureArea = {
+            overpassAPI,
+            territoryId: territory.id,
+            territoryName: territory.territory_name,
+            bounds,
+            renderer,
+            loadedTiles: [], // { bounds, detailed } of every tile already fetched
+            drawnIds: new Set(), // OSM element IDs already on the map
+            counts: { lines: 0, substations: 0, plants: 0 },
+            loading: false,
+            reloadPending: false,
+            status: '',
+            onMoveEnd: () => this.loadVisibleInfrastructure()
+        };
+
+        this.map.on('moveend', this.infrastructureArea.onMoveEnd);
+        this.addInfrastructureLegend();
+        this.loadVisibleInfrastructure();
+
+        console.log(`Power infrastructure shown for ${territory.territory_name}`);
+    }
+
+    /**
+     * Load grid data for the part of the territory in view (tiles already loaded are skipped)
+     * @private
+     */
+    async loadVisibleInfrastructure() {
+        const area = this.infrastructureArea;
+        if (!area || !this.map) return;
+
+        const zoom = this.map.getZoom();
+        const detailed = zoom >= this.infrastructureDetailZoom;
+
+        // Minor lines are only readable close in
+        if (detailed) {
+            this.minorLinesLayer.addTo(this.map);
+        } else {
+            this.map.removeLayer(this.minorLinesLayer);
+        }
+
+        if (zoom < this.infrastructureMinZoom) {
+            this.updateInfrastructureLegend('Zoom in to load the power grid');
+            return;
+        }
+
+        // A move while loading reloads once the current tiles are done
+        if (area.loading) {
+            area.reloadPending = true;
+            return;
+        }
+
+        const view = this.map.getBounds();
+        const visible = {
+            minLat: Math.max(view.getSouth(), area.bounds ? area.bounds.minLat : -90),
+            minLon: Math.max(view.getWest(), area.bounds ? area.bounds.minLon : -180),
+            maxLat: Math.min(view.getNorth(), area.bounds ? area.bounds.maxLat : 90),
+            maxLon: Math.min(view.getEast(), area.bounds ? area.bounds.maxLon : 180)
+        };
+
+        if (visible.minLat >= visible.maxLat || visible.minLon >= visible.maxLon) {
+            this.updateInfrastructureLegend(`Pan to ${area.territoryName} to see its grid`);
+            return;
+        }
+
+        // Tiles of 4° at the minimum zoom, halving per zoom level, 0.5° once detailed
+        const tileSize = detailed ? 0.5 : Math.pow(2, this.infrastructureMinZoom + 2 - zoom);
+        const tiles = this.getInfrastructureTiles(visible, tileSize)
+            .filter(tile => !this.isInfrastructureTileLoaded(tile.bounds, detailed));
+
+        if (tiles.length > this.infrastructureMaxTiles) {
+            this.updateInfrastructureLegend('Zoom in further to load this area');
+            return;
+        }
+
+        area.loading = true;
+        let failed = 0;
+
+        for (const [index, tile] of tiles.entries()) {
+            this.updateInfrastructureLegend(`Loading ${index + 1}/${tiles.length}…`);
+
+            const result = await area.overpassAPI.fetchMapInfrastructure(tile.bounds, { includeMinor: detailed });
+
+            // The layer was cleared or replaced while loading
+            if (this.infrastructureArea !== area) return;
+
+            if (result.success) {
+                area.loadedTiles.push({ bounds: tile.bounds, detailed });
+                this.drawInfrastructure(result.data);
+            } else {
+                failed++;
+                console.warn(`Power grid tile ${tile.key} failed:`, result.error);
+            }
+        }
+
+        area.loading = false;
+        this.updateInfrastructureLegend(failed > 0 ? `${failed} area(s) failed to load; move the map to retry` : '');
+
+        if (area.reloadPending) {
+            area.reloadPending = false;
+            this.loadVisibleInfrastructure();
+        }
+    }
+
+    /**
+     * Check whether a tile lies inside a tile fetched before at the same or more detail
+     * @private
+     * @param {object} bounds - Tile bounds
+     * @param {boolean} detailed - Whether the tile needs minor lines and cables
+     * @returns {boolean}
+     */
+    isInfrastructureTileLoaded(bounds, detailed) {
+        return this.infrastructureArea.loadedTiles.some(loaded =>
+            (loaded.detailed || !detailed) &&
+            loaded.bounds.minLat <= bounds.minLat && loaded.bounds.maxLat >= bounds.maxLat &&
+            loaded.bounds.minLon <= bounds.minLon && loaded.bounds.maxLon >= bounds.maxLon
+        );
+    }
+
+    /**
+     * Split an area into fixed grid tiles so each tile is fetched only once
+     * @private
+     * @param {{minLat: number, minLon: number, maxLat: number, maxLon: number}} bounds - Area
+     * @param {number} tileSize - Tile size in degrees
+     * @returns {Array<{key: string, bounds: object}>}
+     */
+    getInfrastructureTiles(bounds, tileSize) {
+        const tiles = [];
+        const round = value => Math.round(value * 1e6) / 1e6;
+
+        for (let x = Math.floor(bounds.minLon / tileSize); x < Math.ceil(bounds.maxLon / tileSize); x++) {
+            for (let y = Math.floor(bounds.minLat / tileSize); y < Math.ceil(bounds.maxLat / tileSize); y++) {
+                tiles.push({
+                    key: `${tileSize}:${x}:${y}`,
+                    bounds: {
+                        minLat: round(y * tileSize),
+                        minLon: round(x * tileSize),
+                        maxLat: round((y + 1) * tileSize),
+                        maxLon: round((x + 1) * tileSize)
+                    }
+                });
+            }
+        }
+
+        return tiles;
+    }
+
+    /**
+     * Draw fetched lines, substations and plants that are not on the map yet
+     * @private
+     * @param {{lines: Array, substations: Array, plants: Array}} infrastructure - From OverpassAPI.fetchMapInfrastructure
+     */
+    drawInfrastructure(infrastructure) {
+        const area = this.infrastructureArea;
+        // OSM tag values (names, sources) are set as text, never parsed as HTML
+        const textTooltip = text => {
+            const tooltipContent = document.createElement('span');
+            tooltipContent.textContent = text;
+            return tooltipContent;
+        };
+        const isNew = feature => {
+            if (area.drawnIds.has(feature.id)) return false;
+            area.drawnIds.add(feature.id);
+            return true;
+        };
+
+        infrastructure.lines.filter(isNew).forEach(line => {
+            const kv = line.voltageKv || 0;
+            const polyline = L.polyline(line.coordinates, {
+                renderer: area.renderer,
+                color: this.getVoltageColor(line.voltageKv),
+                weight: kv >= 330 ? 4 : kv >= 132 ? 3 : kv >= 52 ? 2 : 1.5,
+                opacity: 0.9,
+                dashArray: line.power === 'cable' ? '4 4' : null
+            });
+
+            const label = `${line.voltageKv ? `${line.voltageKv} kV ` : ''}${line.power.replace('_', ' ')}`;
+            polyline.bindTooltip(textTooltip(`⚡ ${line.tags.name ? `${line.tags.name} · ` : ''}${label}`), { sticky: true });
+            polyline.bindPopup(this.createInfrastructurePopup(line, label), { maxWidth: 280 });
+            polyline.addTo(line.power === 'line' ? this.infrastructureLayer : this.minorLinesLayer);
+            area.counts.lines++;
+        });
+
+        infrastructure.substations.filter(isNew).forEach(substation => {
+            const marker = L.circleMarker([substation.lat, substation.lon], {
+                renderer: area.renderer,
+                radius: 4,
+                color: '#333',
+                weight: 1,
+                fillColor: this.getVoltageColor(substation.voltageKv),
+                fillOpacity: 1
+            });
+
+            const label = `Substation${substation.voltageKv ? ` · ${substation.voltageKv} kV` : ''}`;
+            marker.bindTooltip(textTooltip(`🔌 ${substation.tags.name ? `${substation.tags.name} · ` : ''}${label}`));
+            marker.bindPopup(this.createInfrastructurePopup(substation, label), { maxWidth: 280 });
+            marker.addTo(this.infrastructureLayer);
+            area.counts.substations++;
+        });
+
+        infrastructure.plants.filter(isNew).forEach(plant => {
+            const marker = L.circleMarker([plant.lat, plant.lon], {
+                renderer: area.renderer,
+                radius: 7,
+                color: '#fff',
+                weight: 2,
+                fillColor: '#2c3e50',
+                fillOpacity: 0.9
+            });
+
+            const source = plant.tags['plant:source'];
+            const output = plant.tags['plant:output:electricity'];
+            const label = `${source ? `${source.replace(/_/g, ' ')} ` : ''}power plant${output ? ` · ${output}` : ''}`;
+            marker.bindTooltip(textTooltip(`🏭 ${plant.tags.name ? `${plant.tags.name} · ` : ''}${label}`));
+            marker.bindPopup(this.createInfrastructurePopup(plant, label), { maxWidth: 280 });
+            marker.addTo(this.infrastructureLayer);
+            area.counts.plants++;
+        });
+    }
+
+    /**
+     * Popup for a line, substation or plant; tag values are set as text
+     * @private
+     * @param {object} feature - Infrastructure feature (id 'way/123', tags)
+     * @param {string} label - Short description
+     * @returns {HTMLElement} Popup content
+     */
+    createInfrastructurePopup(feature, label) {
+        const popupContent = L.DomUtil.create('div', 'territory-popup');
+
+        const title = L.DomUtil.create('h4', '', popupContent);
+        title.style.cssText = 'margin: 0 0 8px 0; color: #2c3e50;';
+        title.textContent = feature.tags.name || label;
+
+        if (feature.tags.name) {
+            const description = L.DomUtil.create('div', '', popupContent);
+            description.style.cssText = 'margin: 3px 0; font-size: 0.9em; color: #555;';
+            description.textContent = label;
+        }
+
+        ['operator', 'ref', 'cables', 'circuits', 'frequency', 'substation', 'start_date']
+            .filter(key => feature.tags[key])
+            .forEach(key => {
+                const detail = L.DomUtil.create('div', '', popupContent);
+                detail.style.cssText = 'margin: 3px 0; font-size: 0.85em;';
+                L.DomUtil.create('strong', '', detail).textContent = `${key}:`;
+                detail.append(` ${feature.tags[key]}`);
+            });
+
+        const footer = L.DomUtil.create('div', '', popupContent);
+        footer.style.cssText = 'margin-top: 8px; padding-top: 8px; border-top: 1px solid #ddd;';
+        const link = L.DomUtil.create('a', '', footer);
+        link.href = `https://www.openstreetmap.org/${feature.id}`;
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+        link.style.fontSize = '0.85em';
+        link.textContent = 'View on OpenStreetMap →';
+
+        return popupContent;
+    }
+
+    /**
+     * Add the legend control with voltage classes, symbols and loading status
+     * @private
+     */
+    addInfrastructureLegend() {
+        this.infrastructureLegend = L.control({ position: 'bottomright' });
+        this.infrastructureLegend.onAdd = () => {
+            const container = L.DomUtil.create('div', 'infrastructure-legend');
+            L.DomEvent.disableClickPropagation(container);
+            L.DomEvent.disableScrollPropagation(container);
+            return container;
+        };
+        this.infrastructureLegend.addTo(this.map);
+        this.updateInfrastructureLegend('');
+    }
+
+    /**
+     * Redraw the legend with the current counts and a status message
+     * @private
+     * @param {string} status - Loading status ('' when idle)
+     */
+    updateInfrastructureLegend(status) {
+        const area = this.infrastructureArea;
+        if (!area || !this.infrastructureLegend) return;
+
+        area.status = status;
+        const container = this.infrastructureLegend.getContainer();
+        if (!container) return;
+
+        container.innerHTML = `
+            <div class="infrastructure-legend-title"></div>
+            ${this.getVoltageClasses().map(voltageClass => `
+                <div class="infrastructure-legend-row">
+                    <span class="infrastructure-legend-line" style="background: ${voltageClass.color};"></span>
+                    ${voltageClass.label}
+                </div>
+            `).join('')}
+            <div class="infrastructure-legend-row">
+                <span class="infrastructure-legend-line cable"></span> Cable (dashed)
+            </div>
+            <div class="infrastructure-legend-row">
+                <span class="infrastructure-legend-symbol substation"></span> Substation (voltage colour)
+            </div>
+            <div class="infrastructure-legend-row">
+                <span class="infrastructure-legend-symbol plant"></span> Power plant
+            </div>
+            <div class="infrastructure-legend-status"></div>
+        `;
+
+        // Territory names come from OSM: set as text
+        container.querySelector('.infrastructure-legend-title').textContent = `⚡ Power grid · ${area.territoryName}`;
+        container.querySelector('.infrastructure-legend-status').textContent =
+            status || `${area.counts.lines} lines · ${area.counts.substations} substations · ${area.counts.plants} plants`;
+    }
+
+    /**
+     * Check if the power infrastructure layer is displayed
+     * @returns {boolean}
+     */
+    hasInfrastructureLayer() {
+        return this.infrastructureArea !== null;
+    }
+
+    /**
+     * Territory assignment whose power grid is displayed
+     * @returns {string|null}
+     */
+    getInfrastructureTerritoryId() {
+        return this.infrastructureArea ? this.infrastructureArea.territoryId : null;
+    }
+
+    /**
+     * Remove the power infrastructure layers and legend
+     */
+    clearInfrastructureLayer() {
+        if (this.map) {
+            if (this.infrastructureArea) this.map.off('moveend', this.infrastructureArea.onMoveEnd);
+            if (this.infrastructureLayer) this.map.removeLayer(this.infrastructureLayer);
+            if (this.minorLinesLayer) this.map.removeLayer(this.minorLinesLayer);
+            if (this.infrastructureLegend) this.infrastructureLegend.remove();
+        }
+        this.infrastructureLayer = null;
+        this.minorLinesLayer = null;
+        this.infrastructureLegend = null;
+        this.infrastructureArea = null;
+    }
+
+    // ================================
+    // SESSION ACTIVITY HEATMAP
+    // ================================
+
+    /**
+     * Show where the session's recorded changesets were made as hexagonal bins,
+     * with a time slider to replay the session (coordinator view)
+     * @param {Array} changesets - territory_changesets rows of the session
+     * @returns {number} Number of changesets placed on the map
+     */
+    showSessionActivity(changesets) {
+        if (!this.isReady()) {
+            console.error('Map not initialized');
+            return 0;
+        }
+
+        this.clearActivityLayer();
+
+        // Each changeset counts at the centre of its bounding box, weighted by its power edits
+        const edits = changesets
+            .filter(changeset => changeset.changeset_created_at && changeset.min_lat !== null && changeset.max_lat !== null)
+            .map(changeset => ({
+                time: Date.parse(changeset.changeset_created_at),
+                lat: (Number(changeset.min_lat) + Number(changeset.max_lat)) / 2,
+                lon: (Number(changeset.min_lon) + Number(changeset.max_lon)) / 2,
+                weight: Math.max(1, changeset.power_created + changeset.power_modified + changeset.power_deleted),
+                participantId: changeset.participant_id
+            }))
+            .filter(edit => !isNaN(edit.time) && !isNaN(edit.lat) && !isNaN(edit.lon))
+            .sort((a, b) => a.time - b.time);
+
+        if (edits.length === 0) {
+            return 0;
+        }
+
+        this.activityLayer = L.featureGroup().addTo(this.map);
+        this.activity = {
+            edits: edits,
+            start: edits[0].time,
+            end: edits[edits.length - 1].time,
+            time: edits[edits.length - 1].time, // Edits made up to this time are shown
+            timer: null,
+            onZoomEnd: () => this.renderActivityHexbins()
+        };
+
+        // Bins are sized in screen pixels, so they are rebuilt on every zoom
+        this.map.on('zoomend', this.activity.onZoomEnd);
+
+        this.addActivityTimeline();
+        this.renderActivityHexbins();
+
+        console.log(`Session activity: ${edits.length} changesets`);
+        return edits.length;
+    }
+
+    /**
+     * Aggregate the edits made up to the timeline position into hexagons and draw them
+     * @private
+     */
+    renderActivityHexbins() {
+        if (!this.activity || !this.activityLayer) return;
+
+        this.activityLayer.clearLayers();
+
+        const zoom = this.map.getZoom();
+        const radius = this.activityHexRadius;
+        const width = Math.sqrt(3) * radius;
+        const bins = new Map(); // "column,row" -> { x, y, weight, changesets, participants }
+
+        // Heaviest bin over the whole session, so replayed frames share one colour scale
+        let maxWeight = 0;
+        const totals = new Map();
+
+        this.activity.edits.forEach(edit => {
+            const point = this.map.project([edit.lat, edit.lon], zoom);
+
+            // Pointy-top hexagon grid: odd rows are shifted by half a hexagon
+            const row = Math.round(point.y / (1.5 * radius));
+            const column = Math.round((point.x - (row % 2 !== 0 ? width / 2 : 0)) / width);
+            const key = `${column},${row}`;
+
+            const total = (totals.get(key) || 0) + edit.weight;
+            totals.set(key, total);
+            maxWeight = Math.max(maxWeight, total);
+
+            if (edit.time > this.activity.time) return;
+
+            const bin = bins.get(key) || {
+                x: column * width + (row % 2 !== 0 ? width / 2 : 0),
+                y: row * 1.5 * radius,
+                weight: 0,
+                changesets: 0,
+                participants: new Set()
+            };
+            bin.weight += edit.weight;
+            bin.changesets++;
+            bin.participants.add(edit.participantId);
+            bins.set(key, bin);
+        });
+
+        bins.forEach(bin => {
+            const corners = [];
+            for (let i = 0; i < 6; i++) {
+                const angle = Math.PI / 180 * (60 * i - 30);
+                corners.push(this.map.unproject([bin.x + radius * Math.cos(angle), bin.y + radius * Math.sin(angle)], zoom));
+            }
+
+            const intensity = bin.weight / maxWeight;
+            L.polygon(corners, {
+                color: this.getActivityColor(intensity),
+                weight: 1,
+                fillColor: this.getActivityColor(intensity),
+                fillOpacity: 0.35 + 0.5 * intensity
+            })
+                .bindTooltip(
+                    `<strong>${bin.weight} power edit${bin.weight === 1 ? '' : 's'}</strong><br>` +
+                    `${bin.changesets} changeset${bin.changesets === 1 ? '' : 's'} · ` +
+                    `${bin.participants.size} mapper${bin.participants.size === 1 ? '' : 's'}`,
+                    { direction: 'top' }
+                )
+                .addTo(this.activityLayer);
+        });
+
+        this.updateActivityTimeline();
+    }
+
+    /**
+     * Colour for a bin from pale yellow (little activity) to dark red (most activity)
+     * @private
+     * @param {number} intensity - Bin weight relative to the heaviest bin (0-1)
+     * @returns {string} Hex color code
+     */
+    getActivityColor(intensity) {
+        const colors = ['#ffffb2', '#fecc5c', '#fd8d3c', '#f03b20', '#bd0026'];
+        return colors[Math.min(colors.length - 1, Math.floor(intensity * colors.length))];
+    }
+
+    /**
+     * Add the timeline control: a play button and a slider over the session's edits
+     * @private
+     */
+    addActivityTimeline() {
+        this.activityTimeline = L.control({ position: 'bottomleft' });
+        this.activityTimeline.onAdd = () => {
+            const container = L.DomUtil.create('div', 'activity-timeline');
+            L.DomEvent.disableClickPropagation(container);
+            L.DomEvent.disableScrollPropagation(container);
+
+            container.innerHTML = `
+                <div class="activity-timeline-title">🔥 Mapping activity</div>
+                <div class="activity-timeline-controls">
+                    <button type="button" class="activity-timeline-play" title="Replay the session">▶</button>
+                    <input type="range" class="activity-timeline-slider" min="0" max="${this.activityTimelineSteps}" value="${this.activityTimelineSteps}">
+                </div>
+                <div class="activity-timeline-label"></div>
+            `;
+
+            L.DomEvent.on(container.querySelector('.activity-timeline-play'), 'click', () => {
+                if (this.activity.timer) {
+                    this.pauseSessionActivity();
+                } else {
+                    this.playSessionActivity();
+                }
+            });
+            L.DomEvent.on(container.querySelector('.activity-timeline-slider'), 'input', event => {
+                this.pauseSessionActivity();
+                this.setActivityTime(this.getActivityStepTime(Number(event.target.value)));
+            });
+
+            return container;
+        };
+        this.activityTimeline.addTo(this.map);
+    }
+
+    /**
+     * Sync the slider, play button and label with the timeline position
+     * @private
+     */
+    updateActivityTimeline() {
+        const container = this.activityTimeline?.getContainer();
+        if (!container || !this.activity) return;
+
+        const { edits, start, end, time, timer } = this.activity;
+        const shown = edits.filter(edit => edit.time <= time).length;
+
+        container.querySelector('.activity-timeline-slider').value =
+            end > start ? Math.round((time - start) / (end - start) * this.activityTimelineSteps) : this.activityTimelineSteps;
+        container.querySelector('.activity-timeline-play').textContent = timer ? '⏸' : '▶';
+        container.querySelector('.activity-timeline-label').textContent =
+            `${new Date(time).toLocaleString()} · ${shown}/${edits.length} changesets`;
+    }
+
+    /**
+     * Timestamp of a slider step
+     * @private
+     * @param {number} step - Slider position (0 to activityTimelineSteps)
+     * @returns {number} Timestamp (ms)
+     */
+    getActivityStepTime(step) {
+        const { start, end } = this.activity;
+        return start + (end - start) * step / this.activityTimelineSteps;
+    }
+
+    /**
+     * Show the edits made up to a point in time
+     * @param {number} time - Timestamp (ms)
+     */
+    setActivityTime(time) {
+        if (!this.activity) return;
+
+        this.activity.time = Math.min(this.activity.end, Math.max(this.activity.start, time));
+        this.renderActivityHexbins();
+    }
+
+    /**
+     * Replay the session's edits, from the start if the timeline is at its end
+     */
+    playSessionActivity() {
+        if (!this.activity || this.activity.timer) return;
+
+        if (this.activity.time >= this.activity.end) {
+            this.activity.time = this.activity.start;
+        }
+
+        let step = Math.round((this.activity.time - this.activity.start) /
+            ((this.activity.end - this.activity.start) || 1) * this.activityTimelineSteps);
+
+        this.activity.timer = setInterval(() => {
+            step++;
+            this.setActivityTime(this.getActivityStepTime(step));
+
+            if (step >= this.activityTimelineSteps) {
+                this.pauseSessionActivity();
+            }
+        }, this.activityReplayInterval);
+
+        this.updateActivityTimeline();
+    }
+
+    /**
+     * Stop the replay at the current position
+     */
+    pauseSessionActivity() {
+        if (!this.activity || !this.activity.timer) return;
+
+        clearInterval(this.activity.timer);
+        this.activity.timer = null;
+        this.updateActivityTimeline();
+    }
+
+    /**
+     * Check if the session activity layer is displayed
+     * @returns {boolean}
+     */
+    hasActivityLayer() {
+        return this.activity !== null;
+    }
+
+    /**
+     * Remove the session activity layer and its timeline
+     */
+    clearActivityLayer() {
+        if (this.activity) {
+            clearInterval(this.activity.timer);
+            if (this.map) this.map.off('zoomend', this.activity.onZoomEnd);
+        }
+        if (this.map) {
+            if (this.activityLayer) this.map.removeLayer(this.activityLayer);
+            if (this.activityTimeline) this.activityTimeline.remove();
+        }
+        this.activityLayer = null;
+        this.activityTimeline = null;
+        this.activity = null;
+    }
+
     // ================================
     // CLEANUP
     // ================================
@@ -1199,11 +2958,15 @@ out geom;
         if (this.map) {
             console.log('Destroying map instance');
             this.clearOsmoseLayer();
+            this.clearInfrastructureLayer();
+            this.clearActivityLayer();
             this.map.remove();
             this.map = null;
+            this.sessionFilterControl = null;
             this.territoriesLayer = null;
-            this.osmoseLayer = null;
+            this.workUnitsLayer = null;
             this.markers.clear();
+            this.workUnitLayers.clear();
             this.currentTerritories = [];
             this.mapInitialized = false;
         }
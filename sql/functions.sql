@@ -1,243 +1,139 @@
 -- ============================================================================
--- TEAM CREATION FUNCTION WITH CONFIGURABLE TEAM SIZE
+-- COORDINATOR AUTHENTICATION
 -- ============================================================================
-
--- Drop old versions of the function
-DROP FUNCTION IF EXISTS create_teams_with_role_assignment(VARCHAR);
-DROP FUNCTION IF EXISTS create_teams_with_role_assignment(VARCHAR, INTEGER);
-
-CREATE OR REPLACE FUNCTION create_teams_with_role_assignment(
+-- Coordinator access is granted by a per-session passphrase that is hashed
+-- with pgcrypto and stored in session_coordinators. A successful login
+-- returns the session's coordinator token, which every coordinator-only
+-- function below requires and checks with assert_session_coordinator().
+
+-- Function: coordinator_login
+-- Purpose: Verify a coordinator passphrase and return the coordinator token.
+--          A new session ID is created and claimed by the first login. An
+--          existing session without a coordinator can only be claimed while it
+--          has no participants or teams, so nobody takes over a running event.
+CREATE OR REPLACE FUNCTION coordinator_login(
     session_id_param VARCHAR(50),
-    desired_team_size INTEGER DEFAULT 3
+    passphrase_param TEXT
 )
 RETURNS JSON
 LANGUAGE plpgsql
 SECURITY DEFINER
 AS $$
 DECLARE
-    participant_count INTEGER;
-    team_count INTEGER;
-    current_team_id UUID;
-    shuffled_participants UUID[];
-    participant_idx INTEGER;
-    current_role_idx INTEGER;
     result JSON;
-    role_names VARCHAR[] := ARRAY['Pioneer', 'Technician', 'Seeker'];
-    role_descriptions VARCHAR[] := ARRAY[
-        'In charge of traditional style mapping of annotating on a map',
-        'Ensures assets are correctly named and missing voltages are added', 
-        'Seeks out missing Power Plants, good first lines and available credible information sources, checks industries as well'
-    ];
-    role_icons VARCHAR[] := ARRAY['🗺️', '⚡', '🔍'];
+    coordinator_record RECORD;
+    session_created BOOLEAN := false;
+    max_failed_attempts INTEGER := 5;
 BEGIN
-    -- Validate session exists
-    IF NOT EXISTS (SELECT 1 FROM sessions WHERE id = session_id_param) THEN
-        RAISE EXCEPTION 'Session % does not exist', session_id_param;
+    IF session_id_param IS NULL OR length(trim(session_id_param)) < 3 THEN
+        RAISE EXCEPTION 'Session ID must be at least 3 characters long';
     END IF;
 
-    -- Check if teams already exist for this session
-    SELECT COUNT(*) INTO team_count FROM teams WHERE session_id = session_id_param;
-    IF team_count > 0 THEN
-        RAISE EXCEPTION 'Teams already exist for session %. Cannot recreate teams.', session_id_param;
+    IF passphrase_param IS NULL OR length(passphrase_param) < 8 THEN
+        RAISE EXCEPTION 'Coordinator passphrase must be at least 8 characters long';
     END IF;
 
-    -- Get participant count
-    SELECT COUNT(*) INTO participant_count 
-    FROM participants 
-    WHERE session_id = session_id_param;
-    
-    RAISE NOTICE 'Found % participants for session %', participant_count, session_id_param;
-
-    -- Validate participant count for team formation
-    IF participant_count < 1 THEN
-        RAISE EXCEPTION 'Need at least 1 participant to form teams, found %', participant_count;
+    -- Create the session on first coordinator login
+    IF NOT EXISTS (SELECT 1 FROM sessions WHERE id = session_id_param) THEN
+        INSERT INTO sessions (id, name, status)
+        VALUES (session_id_param, 'Session ' || session_id_param, 'registering');
+        session_created := true;
     END IF;
 
-    -- Validate desired team size
-    IF desired_team_size < 1 THEN
-        RAISE EXCEPTION 'Desired team size must be at least 1, got %', desired_team_size;
-    END IF;
+    SELECT * INTO coordinator_record
+    FROM session_coordinators
+    WHERE session_id = session_id_param
+    FOR UPDATE;
+
+    -- Claim an unclaimed session
+    IF NOT FOUND THEN
+        IF EXISTS (SELECT 1 FROM participants WHERE session_id = session_id_param)
+           OR EXISTS (SELECT 1 FROM teams WHERE session_id = session_id_param) THEN
+            RETURN json_build_object(
+                'success', false,
+                'error', 'Session ' || session_id_param || ' already has participants but no coordinator passphrase, ' ||
+                         'so it cannot be claimed. Ask your database administrator to set one in session_coordinators.'
+            );
+        END IF;
 
-    -- Calculate number of teams based on desired team size
-    -- Uses ceiling division to ensure all participants are assigned
-    team_count := CEIL(participant_count::FLOAT / desired_team_size)::INTEGER;
+        INSERT INTO session_coordinators (session_id, passphrase_hash, last_login_at)
+        VALUES (session_id_param, crypt(passphrase_param, gen_salt('bf')), NOW())
+        RETURNING * INTO coordinator_record;
 
-    RAISE NOTICE 'Will create % teams with target size of % members (actual sizes may vary slightly)',
-                 team_count, desired_team_size;
-    
-    -- Get shuffled list of participant IDs
-    SELECT ARRAY(
-        SELECT id FROM participants 
-        WHERE session_id = session_id_param 
-        ORDER BY RANDOM()
-    ) INTO shuffled_participants;
-    
-    RAISE NOTICE 'Shuffled % participants', array_length(shuffled_participants, 1);
-    
-    -- Create teams first
-    DECLARE
-        team_ids UUID[];
-    BEGIN
-        FOR team_idx IN 0..(team_count - 1) LOOP
-            INSERT INTO teams (session_id, team_name, team_index)
-            VALUES (session_id_param, 'Team ' || CASE
-                WHEN team_idx = 0 THEN 'Alpha'
-                WHEN team_idx = 1 THEN 'Beta'
-                WHEN team_idx = 2 THEN 'Gamma'
-                WHEN team_idx = 3 THEN 'Delta'
-                WHEN team_idx = 4 THEN 'Epsilon'
-                WHEN team_idx = 5 THEN 'Zeta'
-                WHEN team_idx = 6 THEN 'Eta'
-                WHEN team_idx = 7 THEN 'Theta'
-                WHEN team_idx = 8 THEN 'Iota'
-                WHEN team_idx = 9 THEN 'Kappa'
-                ELSE 'Team ' || (team_idx + 1)::TEXT
-            END, team_idx)
-            RETURNING id INTO current_team_id;
+        RAISE NOTICE 'Coordinator registered for session %', session_id_param;
 
-            team_ids := array_append(team_ids, current_team_id);
-            RAISE NOTICE 'Created team % with ID %', team_idx + 1, current_team_id;
-        END LOOP;
+        RETURN json_build_object(
+            'success', true,
+            'session_id', session_id_param,
+            'coordinator_token', coordinator_record.coordinator_token,
+            'session_created', session_created,
+            'coordinator_registered', true
+        );
+    END IF;
 
-        -- Assign participants to teams using round-robin distribution
-        FOR participant_idx IN 1..array_length(shuffled_participants, 1) LOOP
-            -- Calculate which team this participant goes to (round-robin)
-            current_team_id := team_ids[((participant_idx - 1) % team_count) + 1];
+    IF coordinator_record.locked_until IS NOT NULL AND coordinator_record.locked_until > NOW() THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', 'Too many failed attempts. Coordinator login is locked until ' ||
+                     to_char(coordinator_record.locked_until, 'HH24:MI') || ' UTC.'
+        );
+    END IF;
 
-            -- Calculate role based on participant index (cycles through all 3 roles)
-            current_role_idx := ((participant_idx - 1) % 3) + 1;
+    -- Wrong passphrase: record the attempt (returned, not raised, so it is committed)
+    IF coordinator_record.passphrase_hash <> crypt(passphrase_param, coordinator_record.passphrase_hash) THEN
+        UPDATE session_coordinators
+        SET failed_attempts = failed_attempts + 1,
+            locked_until = CASE
+                WHEN failed_attempts + 1 >= max_failed_attempts THEN NOW() + INTERVAL '15 minutes'
+                ELSE NULL
+            END
+        WHERE session_id = session_id_param;
+
+        RETURN json_build_object(
+            'success', false,
+            'error', 'Invalid coordinator passphrase for session ' || session_id_param
+        );
+    END IF;
 
-            RAISE NOTICE 'Assigning participant % to team % as role %',
-                         participant_idx,
-                         ((participant_idx - 1) % team_count) + 1,
-                         role_names[current_role_idx];
+    UPDATE session_coordinators
+    SET failed_attempts = 0,
+        locked_until = NULL,
+        last_login_at = NOW()
+    WHERE session_id = session_id_param;
 
-            -- Insert team member
-            INSERT INTO team_members (
-                team_id,
-                participant_id,
-                role_name,
-                role_description,
-                role_icon
-            ) VALUES (
-                current_team_id,
-                shuffled_participants[participant_idx],
-                role_names[current_role_idx],
-                role_descriptions[current_role_idx],
-                role_icons[current_role_idx]
-            );
-        END LOOP;
-    END;
-    
-    -- Update session status
-    UPDATE sessions 
-    SET status = 'teams_formed', teams_formed_at = NOW()
-    WHERE id = session_id_param;
-    
-    RAISE NOTICE 'Team formation completed successfully';
-    
-    -- Return comprehensive result with FIXED GROUP BY clause
     SELECT json_build_object(
         'success', true,
         'session_id', session_id_param,
-        'teams_created', team_count,
-        'participants_assigned', participant_count,
-        'unassigned_participants', 0,
-        'role_distribution_balanced', true,
-        'team_details', (
-            SELECT json_agg(
-                json_build_object(
-                    'team_id', t.id,
-                    'team_name', t.team_name,
-                    'team_index', t.team_index,
-                    'member_count', team_member_counts.member_count,
-                    'members', team_members_json.members_json
-                )
-                ORDER BY t.team_index
-            )
-            FROM teams t
-            -- Get member count for each team
-            LEFT JOIN (
-                SELECT team_id, COUNT(*) as member_count
-                FROM team_members
-                GROUP BY team_id
-            ) team_member_counts ON team_member_counts.team_id = t.id
-            -- Get members JSON for each team
-            LEFT JOIN (
-                SELECT 
-                    tm.team_id,
-                    json_agg(
-                        json_build_object(
-                            'participant_id', p.id,
-                            'first_name', p.first_name,
-                            'osm_username', p.osm_username,
-                            'role_name', tm.role_name,
-                            'role_icon', tm.role_icon
-                        ) ORDER BY tm.role_name
-                    ) as members_json
-                FROM team_members tm
-                JOIN participants p ON p.id = tm.participant_id
-                GROUP BY tm.team_id
-            ) team_members_json ON team_members_json.team_id = t.id
-            WHERE t.session_id = session_id_param
-        )
+        'coordinator_token', coordinator_record.coordinator_token,
+        'session_created', session_created,
+        'coordinator_registered', false
     ) INTO result;
-    
+
     RETURN result;
 END;
 $$;
 
--- Grant permissions (for both signatures)
-GRANT EXECUTE ON FUNCTION create_teams_with_role_assignment(VARCHAR, INTEGER) TO anon, authenticated;
-
--- ============================================================================
--- GET SESSION PARTICIPANTS WITH DETAILED INFORMATION
--- ============================================================================
+GRANT EXECUTE ON FUNCTION coordinator_login(VARCHAR, TEXT) TO anon, authenticated;
 
-CREATE OR REPLACE FUNCTION get_session_participants_detailed(session_id_param VARCHAR(50))
+-- Function: verify_coordinator_token
+-- Purpose: Check a stored coordinator token (used when restoring a browser session)
+CREATE OR REPLACE FUNCTION verify_coordinator_token(
+    session_id_param VARCHAR(50),
+    coordinator_token_param UUID
+)
 RETURNS JSON
 LANGUAGE plpgsql
 SECURITY DEFINER
 AS $$
 DECLARE
     result JSON;
-    participant_count INTEGER;
-    team_formation_ready BOOLEAN;
 BEGIN
-    -- Get participant count
-    SELECT COUNT(*) INTO participant_count
-    FROM participants
-    WHERE session_id = session_id_param;
-
-    -- Check if ready for team formation (at least 1 participant)
-    team_formation_ready := (participant_count >= 1);
-
-    -- Build detailed result
     SELECT json_build_object(
         'session_id', session_id_param,
-        'participant_count', participant_count,
-        'team_formation_ready', team_formation_ready,
-        'participants', (
-            SELECT COALESCE(json_agg(
-                json_build_object(
-                    'participant_id', p.id,
-                    'first_name', p.first_name,
-                    'osm_username', p.osm_username,
-                    'created_at', p.created_at,
-                    'team_assigned', (tm.id IS NOT NULL),
-                    'team_id', t.id,
-                    'team_name', t.team_name,
-                    'team_index', t.team_index,
-                    'role_name', tm.role_name,
-                    'role_description', tm.role_description,
-                    'role_icon', tm.role_icon
-                )
-                ORDER BY p.created_at
-            ), '[]'::json)
-            FROM participants p
-            LEFT JOIN team_members tm ON tm.participant_id = p.id
-            LEFT JOIN teams t ON t.id = tm.team_id
-            WHERE p.session_id = session_id_param
+        'valid', EXISTS (
+            SELECT 1 FROM session_coordinators
+            WHERE session_id = session_id_param
+            AND coordinator_token = coordinator_token_param
         )
     ) INTO result;
 
@@ -245,97 +141,163 @@ BEGIN
 END;
 $$;
 
--- Grant permissions
-GRANT EXECUTE ON FUNCTION get_session_participants_detailed(VARCHAR) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION verify_coordinator_token(VARCHAR, UUID) TO anon, authenticated;
 
--- ============================================================================
--- TERRITORY AVAILABILITY MONITORING FUNCTIONS
--- ============================================================================
+-- Function: assert_session_coordinator
+-- Purpose: Raise unless the token is the coordinator token of the session.
+--          Internal helper for coordinator-only functions; not granted to anon.
+CREATE OR REPLACE FUNCTION assert_session_coordinator(
+    session_id_param VARCHAR(50),
+    coordinator_token_param UUID
+)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+    IF coordinator_token_param IS NULL OR NOT EXISTS (
+        SELECT 1 FROM session_coordinators
+        WHERE session_id = session_id_param
+        AND coordinator_token = coordinator_token_param
+    ) THEN
+        RAISE EXCEPTION 'Coordinator authorization required for session %', session_id_param;
+    END IF;
+END;
+$$;
 
--- Function: get_territory_availability_overview
--- Purpose: Get counts and percentages of territories by status for a session
-CREATE OR REPLACE FUNCTION get_territory_availability_overview(session_id_param VARCHAR(50))
-RETURNS JSON
+-- Supabase grants EXECUTE on new functions to anon and authenticated directly,
+-- so internal helpers are revoked from those roles too, not only from PUBLIC
+REVOKE EXECUTE ON FUNCTION assert_session_coordinator(VARCHAR, UUID) FROM PUBLIC, anon, authenticated;
+
+-- Function: assert_session_open
+-- Purpose: Raise if the session has been closed or archived (see SESSION LIFECYCLE).
+--          Internal helper for functions that change teams or territories.
+CREATE OR REPLACE FUNCTION assert_session_open(session_id_param VARCHAR(50))
+RETURNS VOID
 LANGUAGE plpgsql
 SECURITY DEFINER
 AS $$
 DECLARE
-    result JSON;
-    total_territories INTEGER;
-    available_count INTEGER;
-    current_count INTEGER;
-    completed_count INTEGER;
+    session_status VARCHAR;
 BEGIN
-    -- Get counts by status
-    SELECT
-        COUNT(*) FILTER (WHERE status = 'available') as available,
-        COUNT(*) FILTER (WHERE status = 'current') as current,
-        COUNT(*) FILTER (WHERE status = 'completed') as completed,
-        COUNT(*) as total
-    INTO available_count, current_count, completed_count, total_territories
-    FROM team_territories
-    WHERE session_id = session_id_param;
-
-    -- Build result
-    SELECT json_build_object(
-        'session_id', session_id_param,
-        'total_territories', total_territories,
-        'available', available_count,
-        'current', current_count,
-        'completed', completed_count,
-        'available_percentage', CASE WHEN total_territories > 0 THEN ROUND((available_count::NUMERIC / total_territories) * 100, 2) ELSE 0 END,
-        'current_percentage', CASE WHEN total_territories > 0 THEN ROUND((current_count::NUMERIC / total_territories) * 100, 2) ELSE 0 END,
-        'completed_percentage', CASE WHEN total_territories > 0 THEN ROUND((completed_count::NUMERIC / total_territories) * 100, 2) ELSE 0 END
-    ) INTO result;
+    SELECT status INTO session_status FROM sessions WHERE id = session_id_param;
 
-    RETURN result;
+    IF session_status IN ('completed', 'archived') THEN
+        RAISE EXCEPTION 'Session % is closed; no further changes are allowed', session_id_param;
+    END IF;
 END;
 $$;
 
-GRANT EXECUTE ON FUNCTION get_territory_availability_overview(VARCHAR) TO anon, authenticated;
+REVOKE EXECUTE ON FUNCTION assert_session_open(VARCHAR) FROM PUBLIC, anon, authenticated;
 
--- Function: get_available_territories_for_team
--- Purpose: Get all available territories for a specific team
-CREATE OR REPLACE FUNCTION get_available_territories_for_team(team_id_param UUID)
+-- Function: update_session_country
+-- Purpose: Set the country whose territories a session maps (ISO 3166-1 alpha-2).
+--          Only allowed until territories have been distributed.
+CREATE OR REPLACE FUNCTION update_session_country(
+    session_id_param VARCHAR(50),
+    coordinator_token_param UUID,
+    country_code_param VARCHAR(2)
+)
 RETURNS JSON
 LANGUAGE plpgsql
 SECURITY DEFINER
 AS $$
 DECLARE
-    result JSON;
+    normalized_code VARCHAR(2) := upper(trim(country_code_param));
 BEGIN
-    SELECT json_build_object(
-        'team_id', team_id_param,
-        'available_count', COUNT(*),
-        'territories', COALESCE(json_agg(
-            json_build_object(
-                'assignment_id', tt.id,
-                'territory_id', it.id,
-                'territory_name', it.name,
-                'iso_code', it.iso_code,
-                'place_type', it.place_type,
-                'assigned_at', tt.assigned_at,
-                'overpass_ready', (it.iso_code IS NOT NULL AND it.iso_code != '')
-            )
-            ORDER BY it.name
-        ), '[]'::json)
-    ) INTO result
-    FROM team_territories tt
-    JOIN indian_territories it ON it.id = tt.territory_id
-    WHERE tt.team_id = team_id_param
-    AND tt.status = 'available';
+    PERFORM assert_session_coordinator(session_id_param, coordinator_token_param);
+    PERFORM assert_session_open(session_id_param);
 
-    RETURN result;
+    IF normalized_code IS NULL OR normalized_code !~ '^[A-Z]{2}$' THEN
+        RAISE EXCEPTION 'Invalid country code: %. Use an ISO 3166-1 alpha-2 code such as IN', country_code_param;
+    END IF;
+
+    IF EXISTS (SELECT 1 FROM team_territories WHERE session_id = session_id_param) THEN
+        RAISE EXCEPTION 'Territories are already distributed for session %; the country can no longer be changed', session_id_param;
+    END IF;
+
+    UPDATE sessions
+    SET country_code = normalized_code
+    WHERE id = session_id_param;
+
+    RETURN json_build_object(
+        'success', true,
+        'session_id', session_id_param,
+        'country_code', normalized_code
+    );
 END;
 $$;
 
-GRANT EXECUTE ON FUNCTION get_available_territories_for_team(UUID) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION update_session_country(VARCHAR, UUID, VARCHAR) TO anon, authenticated;
 
--- Function: get_territories_by_status
--- Purpose: Get all territories with a specific status for a session
-CREATE OR REPLACE FUNCTION get_territories_by_status(
+-- Function: update_session_osmose_issue_types
+-- Purpose: Choose the Osmose issue types (item/class keys such as '7040/2') every
+--          participant of the session fetches. An empty array or NULL clears the
+--          choice so each participant gets the types of their role.
+CREATE OR REPLACE FUNCTION update_session_osmose_issue_types(
     session_id_param VARCHAR(50),
-    status_param VARCHAR(20)
+    coordinator_token_param UUID,
+    issue_types_param JSON
+)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    issue_types JSONB := NULL;
+    issue_type TEXT;
+BEGIN
+    PERFORM assert_session_coordinator(session_id_param, coordinator_token_param);
+    PERFORM assert_session_open(session_id_param);
+
+    IF issue_types_param IS NOT NULL AND json_typeof(issue_types_param) <> 'array' THEN
+        RAISE EXCEPTION 'Osmose issue types must be a JSON array of item/class keys';
+    END IF;
+
+    IF issue_types_param IS NOT NULL AND json_array_length(issue_types_param) > 0 THEN
+        FOR issue_type IN SELECT * FROM json_array_elements_text(issue_types_param) LOOP
+            IF issue_type !~ '^[0-9]+/[0-9]+$' THEN
+                RAISE EXCEPTION 'Invalid Osmose issue type: %. Use item/class, e.g. 7040/2', issue_type;
+            END IF;
+        END LOOP;
+
+        SELECT jsonb_agg(DISTINCT value) INTO issue_types
+        FROM json_array_elements_text(issue_types_param);
+    END IF;
+
+    UPDATE sessions
+    SET osmose_issue_types = issue_types
+    WHERE id = session_id_param;
+
+    RETURN json_build_object(
+        'success', true,
+        'session_id', session_id_param,
+        'osmose_issue_types', issue_types
+    );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION update_session_osmose_issue_types(VARCHAR, UUID, JSON) TO anon, authenticated;
+
+-- ============================================================================
+-- PARTICIPANT IDENTITY
+-- ============================================================================
+-- Participants receive a session-scoped access token when they register.
+-- The anon role can no longer write to team tables directly; every write goes
+-- through one of the SECURITY DEFINER functions below, which check that token
+-- (or the coordinator token) before touching any row.
+
+-- Function: register_participant
+-- Purpose: Register a participant and issue the access token their browser keeps.
+--          Role preference and experience level are optional hints for team formation.
+DROP FUNCTION IF EXISTS register_participant(VARCHAR, VARCHAR, VARCHAR);
+
+CREATE OR REPLACE FUNCTION register_participant(
+    session_id_param VARCHAR(50),
+    first_name_param VARCHAR,
+    osm_username_param VARCHAR,
+    role_preference_param VARCHAR DEFAULT NULL,
+    experience_level_param VARCHAR DEFAULT NULL
 )
 RETURNS JSON
 LANGUAGE plpgsql
@@ -343,688 +305,3487 @@ SECURITY DEFINER
 AS $$
 DECLARE
     result JSON;
+    new_participant participants%ROWTYPE;
+    new_token UUID;
 BEGIN
-    -- Validate status
-    IF status_param NOT IN ('available', 'current', 'completed') THEN
-        RAISE EXCEPTION 'Invalid status: %. Must be available, current, or completed', status_param;
+    IF NOT EXISTS (SELECT 1 FROM sessions WHERE id = session_id_param) THEN
+        RAISE EXCEPTION 'Session % does not exist. Ask your coordinator for the correct session ID.', session_id_param;
+    END IF;
+
+    PERFORM assert_session_open(session_id_param);
+
+    IF trim(COALESCE(first_name_param, '')) = '' OR trim(COALESCE(osm_username_param, '')) = '' THEN
+        RAISE EXCEPTION 'First name and OSM username are required';
+    END IF;
+
+    IF NULLIF(role_preference_param, '') IS NOT NULL
+       AND role_preference_param NOT IN ('Pioneer', 'Technician', 'Seeker') THEN
+        RAISE EXCEPTION 'Invalid role preference: %. Must be Pioneer, Technician or Seeker', role_preference_param;
+    END IF;
+
+    IF NULLIF(experience_level_param, '') IS NOT NULL
+       AND experience_level_param NOT IN ('beginner', 'intermediate', 'experienced') THEN
+        RAISE EXCEPTION 'Invalid experience level: %. Must be beginner, intermediate or experienced', experience_level_param;
+    END IF;
+
+    IF EXISTS (
+        SELECT 1 FROM participants
+        WHERE session_id = session_id_param
+        AND lower(osm_username) = lower(trim(osm_username_param))
+    ) THEN
+        RAISE EXCEPTION 'OSM username % is already registered in session %', trim(osm_username_param), session_id_param;
     END IF;
 
+    INSERT INTO participants (first_name, osm_username, session_id, role_preference, experience_level)
+    VALUES (
+        trim(first_name_param),
+        trim(osm_username_param),
+        session_id_param,
+        NULLIF(role_preference_param, ''),
+        NULLIF(experience_level_param, '')
+    )
+    RETURNING * INTO new_participant;
+
+    INSERT INTO participant_credentials (participant_id, last_used_at)
+    VALUES (new_participant.id, NOW())
+    RETURNING access_token INTO new_token;
+
     SELECT json_build_object(
-        'session_id', session_id_param,
-        'status', status_param,
-        'count', COUNT(*),
-        'territories', COALESCE(json_agg(
-            json_build_object(
-                'assignment_id', tt.id,
-                'territory_id', it.id,
-                'territory_name', it.name,
-                'iso_code', it.iso_code,
-                'team_id', t.id,
-                'team_name', t.team_name,
-                'team_index', t.team_index,
-                'assigned_at', tt.assigned_at,
-                'started_at', tt.started_at,
-                'completed_at', tt.completed_at,
-                'completed_by', tt.completed_by,
-                'notes', tt.notes
-            )
-            ORDER BY t.team_index, it.name
-        ), '[]'::json)
-    ) INTO result
-    FROM team_territories tt
-    JOIN indian_territories it ON it.id = tt.territory_id
-    JOIN teams t ON t.id = tt.team_id
-    WHERE tt.session_id = session_id_param
-    AND tt.status = status_param;
+        'participant', row_to_json(new_participant),
+        'access_token', new_token
+    ) INTO result;
 
     RETURN result;
 END;
 $$;
 
-GRANT EXECUTE ON FUNCTION get_territories_by_status(VARCHAR, VARCHAR) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION register_participant(VARCHAR, VARCHAR, VARCHAR, VARCHAR, VARCHAR) TO anon, authenticated;
 
--- Function: get_territory_assignment_details
--- Purpose: Get detailed information about a specific territory assignment
-CREATE OR REPLACE FUNCTION get_territory_assignment_details(assignment_id_param UUID)
+-- Function: link_participant_device
+-- Purpose: Issue an access token to a returning participant on a new browser.
+--          Requires the one-time link code from reset_participant_device_link, so
+--          knowing someone's OSM username is not enough to act as them.
+DROP FUNCTION IF EXISTS link_participant_device(VARCHAR, VARCHAR);
+
+CREATE OR REPLACE FUNCTION link_participant_device(
+    session_id_param VARCHAR(50),
+    osm_username_param VARCHAR,
+    link_code_param VARCHAR
+)
 RETURNS JSON
 LANGUAGE plpgsql
 SECURITY DEFINER
 AS $$
 DECLARE
-    result JSON;
+    participant_record participants%ROWTYPE;
+    new_token UUID;
 BEGIN
-    SELECT json_build_object(
-        'assignment_id', tt.id,
-        'status', tt.status,
-        'assigned_at', tt.assigned_at,
-        'started_at', tt.started_at,
-        'completed_at', tt.completed_at,
-        'notes', tt.notes,
-        'territory', json_build_object(
-            'territory_id', it.id,
-            'name', it.name,
-            'name_en', it.name_en,
-            'iso_code', it.iso_code,
-            'osm_relation_id', it.osm_relation_id,
-            'place_type', it.place_type,
-            'area_km2', it.area_km2,
-            'population', it.population,
-            'capital', it.capital,
-            'overpass_ready', (it.iso_code IS NOT NULL AND it.iso_code != '')
-        ),
-        'team', json_build_object(
-            'team_id', t.id,
-            'team_name', t.team_name,
-            'team_index', t.team_index
-        ),
-        'session', json_build_object(
-            'session_id', s.id,
-            'session_name', s.name,
-            'session_status', s.status
-        ),
-        'completed_by_participant', CASE
-            WHEN tt.completed_by IS NOT NULL THEN
-                json_build_object(
-                    'participant_id', p.id,
-                    'first_name', p.first_name,
-                    'osm_username', p.osm_username
-                )
-            ELSE NULL
-        END,
-        'duration', CASE
-            WHEN tt.completed_at IS NOT NULL AND tt.started_at IS NOT NULL
-            THEN EXTRACT(EPOCH FROM (tt.completed_at - tt.started_at))
-            ELSE NULL
-        END
-    ) INTO result
-    FROM team_territories tt
-    JOIN indian_territories it ON it.id = tt.territory_id
-    JOIN teams t ON t.id = tt.team_id
-    JOIN sessions s ON s.id = tt.session_id
-    LEFT JOIN participants p ON p.id = tt.completed_by
-    WHERE tt.id = assignment_id_param;
+    SELECT * INTO participant_record
+    FROM participants
+    WHERE session_id = session_id_param
+    AND lower(osm_username) = lower(trim(osm_username_param));
 
-    IF result IS NULL THEN
-        RAISE EXCEPTION 'Territory assignment % not found', assignment_id_param;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Participant % is not registered in session %', osm_username_param, session_id_param;
     END IF;
 
-    RETURN result;
+    UPDATE participant_credentials
+    SET access_token = gen_random_uuid(),
+        link_code = NULL,
+        last_used_at = NOW()
+    WHERE participant_id = participant_record.id
+    AND link_code IS NOT NULL
+    AND link_code = upper(trim(COALESCE(link_code_param, '')))
+    RETURNING access_token INTO new_token;
+
+    IF new_token IS NULL THEN
+        RETURN json_build_object(
+            'success', false,
+            'participant_id', participant_record.id,
+            'error', 'This browser is not linked to your registration. Ask your coordinator for a device link code.'
+        );
+    END IF;
+
+    RETURN json_build_object(
+        'success', true,
+        'participant_id', participant_record.id,
+        'access_token', new_token
+    );
 END;
 $$;
 
-GRANT EXECUTE ON FUNCTION get_territory_assignment_details(UUID) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION link_participant_device(VARCHAR, VARCHAR, VARCHAR) TO anon, authenticated;
 
--- Function: get_all_territory_assignments
--- Purpose: Get all territory assignments for a session with full details
-CREATE OR REPLACE FUNCTION get_all_territory_assignments(session_id_param VARCHAR(50))
+-- Function: reset_participant_device_link
+-- Purpose: Coordinator action that revokes a participant's access token and issues
+--          a one-time link code; the next browser that logs in with the code is linked
+CREATE OR REPLACE FUNCTION reset_participant_device_link(
+    session_id_param VARCHAR(50),
+    coordinator_token_param UUID,
+    participant_id_param UUID
+)
 RETURNS JSON
 LANGUAGE plpgsql
 SECURITY DEFINER
 AS $$
 DECLARE
-    result JSON;
+    new_link_code VARCHAR;
 BEGIN
-    SELECT json_build_object(
-        'session_id', session_id_param,
-        'total_assignments', COUNT(*),
-        'assignments', COALESCE(json_agg(
-            json_build_object(
-                'assignment_id', tt.id,
-                'status', tt.status,
-                'territory_name', it.name,
-                'iso_code', it.iso_code,
-                'team_name', t.team_name,
-                'team_index', t.team_index,
-                'assigned_at', tt.assigned_at,
-                'started_at', tt.started_at,
-                'completed_at', tt.completed_at,
-                'notes', tt.notes,
-                'overpass_ready', (it.iso_code IS NOT NULL AND it.iso_code != '')
-            )
-            ORDER BY t.team_index, it.name
-        ), '[]'::json)
-    ) INTO result
-    FROM team_territories tt
-    JOIN indian_territories it ON it.id = tt.territory_id
-    JOIN teams t ON t.id = tt.team_id
-    WHERE tt.session_id = session_id_param;
+    PERFORM assert_session_coordinator(session_id_param, coordinator_token_param);
 
-    RETURN result;
+    IF NOT EXISTS (
+        SELECT 1 FROM participants
+        WHERE id = participant_id_param AND session_id = session_id_param
+    ) THEN
+        RAISE EXCEPTION 'Participant % is not registered in session %', participant_id_param, session_id_param;
+    END IF;
+
+    new_link_code := upper(substr(replace(gen_random_uuid()::text, '-', ''), 1, 8));
+
+    INSERT INTO participant_credentials (participant_id, link_code)
+    VALUES (participant_id_param, new_link_code)
+    ON CONFLICT (participant_id) DO UPDATE SET
+        access_token = gen_random_uuid(),
+        link_code = EXCLUDED.link_code,
+        last_used_at = NULL;
+
+    RETURN json_build_object(
+        'success', true,
+        'participant_id', participant_id_param,
+        'link_code', new_link_code
+    );
 END;
 $$;
 
-GRANT EXECUTE ON FUNCTION get_all_territory_assignments(VARCHAR) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION reset_participant_device_link(VARCHAR, UUID, UUID) TO anon, authenticated;
 
--- Function: get_team_territory_progress
--- Purpose: Get detailed progress information for a specific team
-CREATE OR REPLACE FUNCTION get_team_territory_progress(team_id_param UUID)
+-- Function: assert_participant_token
+-- Purpose: Raise unless the token belongs to the participant.
+--          Internal helper for participant write functions; not granted to anon.
+CREATE OR REPLACE FUNCTION assert_participant_token(
+    participant_id_param UUID,
+    participant_token_param UUID
+)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+    IF participant_token_param IS NULL OR NOT EXISTS (
+        SELECT 1 FROM participant_credentials
+        WHERE participant_id = participant_id_param
+        AND access_token = participant_token_param
+    ) THEN
+        RAISE EXCEPTION 'Participant authorization failed. Please log in again on your registered browser.';
+    END IF;
+
+    UPDATE participant_credentials
+    SET last_used_at = NOW()
+    WHERE participant_id = participant_id_param;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION assert_participant_token(UUID, UUID) FROM PUBLIC, anon, authenticated;
+
+-- Function: team_role_details
+-- Purpose: Look up description and icon for a team role name
+CREATE OR REPLACE FUNCTION team_role_details(role_name_param VARCHAR)
+RETURNS JSON
+LANGUAGE plpgsql
+IMMUTABLE
+AS $$
+BEGIN
+    RETURN CASE role_name_param
+        WHEN 'Pioneer' THEN json_build_object(
+            'role_name', 'Pioneer',
+            'role_description', 'In charge of traditional style mapping of annotating on a map',
+            'role_icon', '🗺️')
+        WHEN 'Technician' THEN json_build_object(
+            'role_name', 'Technician',
+            'role_description', 'Ensures assets are correctly named and missing voltages are added',
+            'role_icon', '⚡')
+        WHEN 'Seeker' THEN json_build_object(
+            'role_name', 'Seeker',
+            'role_description', 'Seeks out missing Power Plants, good first lines and available credible information sources, checks industries as well',
+            'role_icon', '🔍')
+        ELSE NULL
+    END;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION team_role_details(VARCHAR) TO anon, authenticated;
+
+-- Function: update_own_team_role
+-- Purpose: Let a participant change the role on their own team_members row
+CREATE OR REPLACE FUNCTION update_own_team_role(
+    participant_id_param UUID,
+    participant_token_param UUID,
+    role_name_param VARCHAR
+)
 RETURNS JSON
 LANGUAGE plpgsql
 SECURITY DEFINER
 AS $$
 DECLARE
-    result JSON;
-    total_count INTEGER;
-    available_count INTEGER;
-    current_count INTEGER;
-    completed_count INTEGER;
+    role_info JSON;
 BEGIN
-    -- Get counts by status
-    SELECT
-        COUNT(*) FILTER (WHERE status = 'available') as available,
-        COUNT(*) FILTER (WHERE status = 'current') as current,
-        COUNT(*) FILTER (WHERE status = 'completed') as completed,
-        COUNT(*) as total
-    INTO available_count, current_count, completed_count, total_count
-    FROM team_territories
-    WHERE team_id = team_id_param;
+    PERFORM assert_participant_token(participant_id_param, participant_token_param);
+    PERFORM assert_session_open((SELECT session_id FROM participants WHERE id = participant_id_param));
 
-    -- Build result with team details
-    SELECT json_build_object(
-        'team_id', t.id,
-        'team_name', t.team_name,
-        'team_index', t.team_index,
-        'session_id', t.session_id,
-        'total_territories', total_count,
-        'available', available_count,
-        'current', current_count,
-        'completed', completed_count,
-        'completion_percentage', CASE WHEN total_count > 0 THEN ROUND((completed_count::NUMERIC / total_count) * 100, 2) ELSE 0 END,
-        'territories_by_status', json_build_object(
-            'available', (
-                SELECT COALESCE(json_agg(
-                    json_build_object(
-                        'assignment_id', tt.id,
-                        'territory_name', it.name,
-                        'iso_code', it.iso_code
-                    )
-                    ORDER BY it.name
-                ), '[]'::json)
-                FROM team_territories tt
-                JOIN indian_territories it ON it.id = tt.territory_id
-                WHERE tt.team_id = team_id_param AND tt.status = 'available'
-            ),
-            'current', (
-                SELECT COALESCE(json_agg(
-                    json_build_object(
-                        'assignment_id', tt.id,
-                        'territory_name', it.name,
-                        'iso_code', it.iso_code,
-                        'started_at', tt.started_at
-                    )
-                    ORDER BY tt.started_at DESC
-                ), '[]'::json)
-                FROM team_territories tt
-                JOIN indian_territories it ON it.id = tt.territory_id
-                WHERE tt.team_id = team_id_param AND tt.status = 'current'
-            ),
-            'completed', (
-                SELECT COALESCE(json_agg(
-                    json_build_object(
-                        'assignment_id', tt.id,
-                        'territory_name', it.name,
-                        'iso_code', it.iso_code,
-                        'completed_at', tt.completed_at,
-                        'completed_by', p.first_name
-                    )
-                    ORDER BY tt.completed_at DESC
-                ), '[]'::json)
-                FROM team_territories tt
-                JOIN indian_territories it ON it.id = tt.territory_id
-                LEFT JOIN participants p ON p.id = tt.completed_by
-                WHERE tt.team_id = team_id_param AND tt.status = 'completed'
-            )
-        )
-    ) INTO result
-    FROM teams t
-    WHERE t.id = team_id_param;
+    role_info := team_role_details(role_name_param);
+    IF role_info IS NULL THEN
+        RAISE EXCEPTION 'Invalid role: %. Must be Pioneer, Technician, or Seeker.', role_name_param;
+    END IF;
 
-    IF result IS NULL THEN
-        RAISE EXCEPTION 'Team % not found', team_id_param;
+    UPDATE team_members
+    SET role_name = role_info->>'role_name',
+        role_description = role_info->>'role_description',
+        role_icon = role_info->>'role_icon'
+    WHERE participant_id = participant_id_param;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Participant % is not on a team yet', participant_id_param;
     END IF;
 
-    RETURN result;
+    RETURN json_build_object(
+        'participant_id', participant_id_param,
+        'role_name', role_info->>'role_name',
+        'role_description', role_info->>'role_description',
+        'role_icon', role_info->>'role_icon'
+    );
 END;
 $$;
 
-GRANT EXECUTE ON FUNCTION get_team_territory_progress(UUID) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION update_own_team_role(UUID, UUID, VARCHAR) TO anon, authenticated;
 
 -- ============================================================================
--- FUNCTION USAGE EXAMPLES AND DOCUMENTATION
+-- COORDINATOR TEAM MANAGEMENT
 -- ============================================================================
 
-/*
-TERRITORY MONITORING FUNCTIONS - USAGE EXAMPLES:
+-- Function: coordinator_update_team_member
+-- Purpose: Move a team member to another team and/or change their role.
+--          NULL team or role leaves that field unchanged.
+CREATE OR REPLACE FUNCTION coordinator_update_team_member(
+    session_id_param VARCHAR(50),
+    coordinator_token_param UUID,
+    participant_id_param UUID,
+    team_id_param UUID DEFAULT NULL,
+    role_name_param VARCHAR DEFAULT NULL
+)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    result JSON;
+    role_info JSON;
+BEGIN
+    PERFORM assert_session_coordinator(session_id_param, coordinator_token_param);
+    PERFORM assert_session_open(session_id_param);
+
+    IF NOT EXISTS (
+        SELECT 1 FROM participants
+        WHERE id = participant_id_param AND session_id = session_id_param
+    ) THEN
+        RAISE EXCEPTION 'Participant % is not registered in session %', participant_id_param, session_id_param;
+    END IF;
 
-1. GET OVERVIEW OF TERRITORY AVAILABILITY FOR A SESSION
-   Returns counts and percentages of territories by status
+    IF role_name_param IS NOT NULL THEN
+        role_info := team_role_details(role_name_param);
+        IF role_info IS NULL THEN
+            RAISE EXCEPTION 'Invalid role: %. Must be Pioneer, Technician, or Seeker.', role_name_param;
+        END IF;
+    END IF;
 
-   SELECT get_territory_availability_overview('GRID2025');
+    -- Session isolation is also enforced by the validate_team_member_session_match trigger
+    UPDATE team_members
+    SET team_id = COALESCE(team_id_param, team_id),
+        role_name = COALESCE(role_info->>'role_name', role_name),
+        role_description = COALESCE(role_info->>'role_description', role_description),
+        role_icon = COALESCE(role_info->>'role_icon', role_icon)
+    WHERE participant_id = participant_id_param;
 
-   Returns:
-   {
-     "session_id": "GRID2025",
-     "total_territories": 36,
-     "available": 20,
-     "current": 10,
-     "completed": 6,
-     "available_percentage": 55.56,
-     "current_percentage": 27.78,
-     "completed_percentage": 16.67
-   }
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Participant % is not on a team yet', participant_id_param;
+    END IF;
 
-2. GET AVAILABLE TERRITORIES FOR A SPECIFIC TEAM
-   Returns all territories not yet started by a team
+    SELECT json_build_object(
+        'participant_id', tm.participant_id,
+        'team_id', tm.team_id,
+        'role_name', tm.role_name,
+        'role_description', tm.role_description,
+        'role_icon', tm.role_icon,
+        'session_id', session_id_param
+    ) INTO result
+    FROM team_members tm
+    WHERE tm.participant_id = participant_id_param;
 
-   SELECT get_available_territories_for_team('team-uuid-here');
+    RETURN result;
+END;
+$$;
 
-   Returns:
-   {
-     "team_id": "...",
-     "available_count": 8,
-     "territories": [
-       {
-         "assignment_id": "...",
-         "territory_id": "...",
-         "territory_name": "Maharashtra",
-         "iso_code": "IN-MH",
-         "place_type": "state",
-         "assigned_at": "2024-11-06T...",
-         "overpass_ready": true
-       },
-       ...
-     ]
-   }
+GRANT EXECUTE ON FUNCTION coordinator_update_team_member(VARCHAR, UUID, UUID, UUID, VARCHAR) TO anon, authenticated;
 
-3. GET TERRITORIES BY STATUS
-   Filter all territories in a session by their status
+-- Function: coordinator_assign_participant
+-- Purpose: Put an unassigned participant on a team with a role
+CREATE OR REPLACE FUNCTION coordinator_assign_participant(
+    session_id_param VARCHAR(50),
+    coordinator_token_param UUID,
+    participant_id_param UUID,
+    team_id_param UUID,
+    role_name_param VARCHAR
+)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    role_info JSON;
+BEGIN
+    PERFORM assert_session_coordinator(session_id_param, coordinator_token_param);
+    PERFORM assert_session_open(session_id_param);
 
-   SELECT get_territories_by_status('GRID2025', 'completed');
+    role_info := team_role_details(role_name_param);
+    IF role_info IS NULL THEN
+        RAISE EXCEPTION 'Invalid role: %. Must be Pioneer, Technician, or Seeker.', role_name_param;
+    END IF;
 
-   Valid statuses: 'available', 'current', 'completed'
+    IF NOT EXISTS (SELECT 1 FROM teams WHERE id = team_id_param AND session_id = session_id_param) THEN
+        RAISE EXCEPTION 'Team % does not belong to session %', team_id_param, session_id_param;
+    END IF;
 
-   Returns:
-   {
-     "session_id": "GRID2025",
-     "status": "completed",
-     "count": 6,
-     "territories": [...]
-   }
+    INSERT INTO team_members (team_id, participant_id, role_name, role_description, role_icon)
+    VALUES (
+        team_id_param,
+        participant_id_param,
+        role_info->>'role_name',
+        role_info->>'role_description',
+        role_info->>'role_icon'
+    );
 
-4. GET DETAILED INFO ABOUT A TERRITORY ASSIGNMENT
-   Get full details including duration, who completed it, etc.
+    RETURN json_build_object(
+        'participant_id', participant_id_param,
+        'team_id', team_id_param,
+        'role_name', role_info->>'role_name',
+        'role_description', role_info->>'role_description',
+        'role_icon', role_info->>'role_icon',
+        'session_id', session_id_param
+    );
+END;
+$$;
 
-   SELECT get_territory_assignment_details('assignment-uuid-here');
+GRANT EXECUTE ON FUNCTION coordinator_assign_participant(VARCHAR, UUID, UUID, UUID, VARCHAR) TO anon, authenticated;
 
-   Returns detailed JSON with territory info, team info, session info,
-   completion details, and duration in seconds.
+-- Function: place_participant_on_team
+-- Purpose: Put an unassigned participant on the smallest team, preferring a team
+--          that lacks their preferred role (or any role), and give them the role
+--          that team has least of. Internal helper; not granted to anon.
+--          Checks that the session is open itself rather than relying on its callers.
+CREATE OR REPLACE FUNCTION place_participant_on_team(
+    session_id_param VARCHAR(50),
+    participant_id_param UUID
+)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    preferred_role VARCHAR;
+    target_team RECORD;
+    chosen_role VARCHAR;
+    role_info JSON;
+BEGIN
+    PERFORM assert_session_open(session_id_param);
 
-5. GET ALL TERRITORY ASSIGNMENTS FOR A SESSION
-   Complete list of all territory assignments with status
+    SELECT role_preference INTO preferred_role
+    FROM participants
+    WHERE id = participant_id_param AND session_id = session_id_param;
 
-   SELECT get_all_territory_assignments('GRID2025');
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Participant % is not registered in session %', participant_id_param, session_id_param;
+    END IF;
 
-   Returns:
-   {
-     "session_id": "GRID2025",
-     "total_assignments": 36,
-     "assignments": [...]
-   }
+    IF EXISTS (SELECT 1 FROM team_members WHERE participant_id = participant_id_param) THEN
+        RAISE EXCEPTION 'Participant % is already on a team', participant_id_param;
+    END IF;
 
-6. GET DETAILED PROGRESS FOR A SPECIFIC TEAM
-   Shows breakdown of territories by status for one team
+    SELECT t.id, t.team_name INTO target_team
+    FROM teams t
+    LEFT JOIN team_members tm ON tm.team_id = t.id
+    WHERE t.session_id = session_id_param
+    GROUP BY t.id, t.team_name, t.team_index
+    ORDER BY
+        COUNT(tm.id),
+        (COUNT(tm.id) FILTER (WHERE tm.role_name = preferred_role) = 0) DESC,
+        (COUNT(DISTINCT tm.role_name) < 3) DESC,
+        t.team_index
+    LIMIT 1;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'No teams found for session %. Form teams first.', session_id_param;
+    END IF;
 
-   SELECT get_team_territory_progress('team-uuid-here');
+    SELECT r.role_name INTO chosen_role
+    FROM unnest(ARRAY['Pioneer', 'Technician', 'Seeker']::VARCHAR[]) WITH ORDINALITY AS r(role_name, role_order)
+    LEFT JOIN team_members tm ON tm.team_id = target_team.id AND tm.role_name = r.role_name
+    GROUP BY r.role_name, r.role_order
+    ORDER BY COUNT(tm.id), (r.role_name = preferred_role) DESC NULLS LAST, r.role_order
+    LIMIT 1;
+
+    role_info := team_role_details(chosen_role);
+
+    INSERT INTO team_members (team_id, participant_id, role_name, role_description, role_icon)
+    VALUES (
+        target_team.id,
+        participant_id_param,
+        role_info->>'role_name',
+        role_info->>'role_description',
+        role_info->>'role_icon'
+    );
 
-   Returns:
-   {
-     "team_id": "...",
-     "team_name": "Team Alpha",
-     "total_territories": 12,
-     "available": 4,
-     "current": 3,
-     "completed": 5,
-     "completion_percentage": 41.67,
-     "territories_by_status": {
-       "available": [...],
-       "current": [...],
-       "completed": [...]
-     }
-   }
+    RETURN json_build_object(
+        'participant_id', participant_id_param,
+        'team_id', target_team.id,
+        'team_name', target_team.team_name,
+        'role_name', role_info->>'role_name',
+        'role_description', role_info->>'role_description',
+        'role_icon', role_info->>'role_icon',
+        'session_id', session_id_param
+    );
+END;
+$$;
 
-COORDINATOR USE CASES:
-- Monitor overall session progress: get_territory_availability_overview()
-- See which territories are still available: get_territories_by_status(session, 'available')
-- Check team progress: get_team_territory_progress()
-- Find stalled territories: get_territories_by_status(session, 'current')
+REVOKE EXECUTE ON FUNCTION place_participant_on_team(VARCHAR, UUID) FROM PUBLIC, anon, authenticated;
 
-PARTICIPANT USE CASES:
-- See what's left to work on: get_available_territories_for_team()
-- Track team progress: get_team_territory_progress()
-- View assignment details: get_territory_assignment_details()
+-- Function: join_formed_team
+-- Purpose: Let a participant who registered after team formation join a team
+--          on their own. Returns placed = false while teams are not formed yet.
+CREATE OR REPLACE FUNCTION join_formed_team(
+    session_id_param VARCHAR(50),
+    participant_id_param UUID,
+    participant_token_param UUID
+)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    placement JSON;
+BEGIN
+    PERFORM assert_participant_token(participant_id_param, participant_token_param);
+    PERFORM assert_session_open(session_id_param);
+
+    IF NOT EXISTS (
+        SELECT 1 FROM participants
+        WHERE id = participant_id_param AND session_id = session_id_param
+    ) THEN
+        RAISE EXCEPTION 'Participant % is not registered in session %', participant_id_param, session_id_param;
+    END IF;
 
-*/
+    IF EXISTS (SELECT 1 FROM team_members WHERE participant_id = participant_id_param) THEN
+        RETURN json_build_object(
+            'placed', false,
+            'reason', 'already_on_team',
+            'participant_id', participant_id_param
+        );
+    END IF;
 
--- ============================================================================
--- CRITICAL COORDINATOR FUNCTIONS
--- ============================================================================
--- These functions are called by supabase.js and are essential for
--- coordinator operations, territory distribution, and status tracking
+    IF NOT EXISTS (SELECT 1 FROM teams WHERE session_id = session_id_param) THEN
+        RETURN json_build_object(
+            'placed', false,
+            'reason', 'teams_not_formed',
+            'participant_id', participant_id_param
+        );
+    END IF;
 
--- Function: distribute_territories_to_teams
--- Purpose: Distribute all active territories evenly across teams in a session
-CREATE OR REPLACE FUNCTION distribute_territories_to_teams(session_id_param VARCHAR(50))
+    placement := place_participant_on_team(session_id_param, participant_id_param);
+
+    RETURN json_build_object(
+        'placed', true,
+        'participant_id', participant_id_param,
+        'team_id', placement->>'team_id',
+        'team_name', placement->>'team_name',
+        'role_name', placement->>'role_name',
+        'role_icon', placement->>'role_icon'
+    );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION join_formed_team(VARCHAR, UUID, UUID) TO anon, authenticated;
+
+-- Function: rebalance_session_teams
+-- Purpose: Even out a session after late joiners or manual moves:
+--            1. place participants who are not on a team yet
+--            2. move members from the largest to the smallest team until sizes
+--               differ by at most one (duplicated roles move first)
+--            3. give every team of three or more a Pioneer, Technician and Seeker
+--            4. move unstarted territories (available, no work unit started) from
+--               the team with most open territories to the team with fewest
+--               (logged in territory_reassignments)
+--          Current and completed territories, and completed_by credits, are never touched.
+CREATE OR REPLACE FUNCTION rebalance_session_teams(
+    session_id_param VARCHAR(50),
+    coordinator_token_param UUID
+)
 RETURNS JSON
 LANGUAGE plpgsql
 SECURITY DEFINER
 AS $$
 DECLARE
-    result JSON;
-    team_count INTEGER;
-    territory_count INTEGER;
-    territories_distributed INTEGER := 0;
-    team_ids UUID[];
-    territory_records RECORD;
-    current_team_idx INTEGER := 0;
+    participants_placed INTEGER := 0;
+    members_moved INTEGER := 0;
+    roles_changed INTEGER := 0;
+    territories_moved INTEGER := 0;
+    unassigned RECORD;
+    largest RECORD;
+    smallest RECORD;
+    mover RECORD;
+    team_record RECORD;
+    missing_role VARCHAR;
+    chosen_role VARCHAR;
+    role_info JSON;
+    heavy RECORD;
+    light RECORD;
+    movable_assignment UUID;
 BEGIN
-    -- Validate session exists
-    IF NOT EXISTS (SELECT 1 FROM sessions WHERE id = session_id_param) THEN
-        RAISE EXCEPTION 'Session % does not exist', session_id_param;
+    PERFORM assert_session_coordinator(session_id_param, coordinator_token_param);
+    PERFORM assert_session_open(session_id_param);
+
+    IF NOT EXISTS (SELECT 1 FROM teams WHERE session_id = session_id_param) THEN
+        RAISE EXCEPTION 'No teams found for session %. Form teams first.', session_id_param;
     END IF;
 
-    -- Get all team IDs for this session
-    SELECT ARRAY(
-        SELECT id FROM teams
-        WHERE session_id = session_id_param
-        ORDER BY team_index
-    ) INTO team_ids;
+    -- Step 1: late joiners
+    FOR unassigned IN
+        SELECT p.id
+        FROM participants p
+        WHERE p.session_id = session_id_param
+        AND NOT EXISTS (SELECT 1 FROM team_members tm WHERE tm.participant_id = p.id)
+        ORDER BY p.created_at
+    LOOP
+        PERFORM place_participant_on_team(session_id_param, unassigned.id);
+        participants_placed := participants_placed + 1;
+    END LOOP;
 
-    team_count := array_length(team_ids, 1);
+    -- Step 2: team sizes
+    LOOP
+        SELECT t.id, COUNT(tm.id) AS member_count INTO largest
+        FROM teams t
+        LEFT JOIN team_members tm ON tm.team_id = t.id
+        WHERE t.session_id = session_id_param
+        GROUP BY t.id, t.team_index
+        ORDER BY COUNT(tm.id) DESC, t.team_index DESC
+        LIMIT 1;
 
-    IF team_count IS NULL OR team_count = 0 THEN
-        RAISE EXCEPTION 'No teams found for session %. Create teams first.', session_id_param;
-    END IF;
+        SELECT t.id, COUNT(tm.id) AS member_count INTO smallest
+        FROM teams t
+        LEFT JOIN team_members tm ON tm.team_id = t.id
+        WHERE t.session_id = session_id_param
+        GROUP BY t.id, t.team_index
+        ORDER BY COUNT(tm.id), t.team_index
+        LIMIT 1;
+
+        EXIT WHEN largest.member_count - smallest.member_count <= 1;
+
+        SELECT tm.participant_id, tm.role_name INTO mover
+        FROM team_members tm
+        WHERE tm.team_id = largest.id
+        ORDER BY
+            (SELECT COUNT(*) FROM team_members same
+             WHERE same.team_id = tm.team_id AND same.role_name = tm.role_name) DESC,
+            tm.created_at DESC
+        LIMIT 1;
+
+        SELECT r.role_name INTO chosen_role
+        FROM unnest(ARRAY['Pioneer', 'Technician', 'Seeker']::VARCHAR[]) WITH ORDINALITY AS r(role_name, role_order)
+        LEFT JOIN team_members tm ON tm.team_id = smallest.id AND tm.role_name = r.role_name
+        GROUP BY r.role_name, r.role_order
+        ORDER BY COUNT(tm.id), (r.role_name = mover.role_name) DESC, r.role_order
+        LIMIT 1;
+
+        role_info := team_role_details(chosen_role);
+
+        UPDATE team_members
+        SET team_id = smallest.id,
+            role_name = role_info->>'role_name',
+            role_description = role_info->>'role_description',
+            role_icon = role_info->>'role_icon'
+        WHERE participant_id = mover.participant_id;
+
+        members_moved := members_moved + 1;
+    END LOOP;
 
-    RAISE NOTICE 'Distributing territories to % teams', team_count;
+    -- Step 3: role coverage within each team
+    FOR team_record IN
+        SELECT t.id
+        FROM teams t
+        JOIN team_members tm ON tm.team_id = t.id
+        WHERE t.session_id = session_id_param
+        GROUP BY t.id
+        HAVING COUNT(*) >= 3
+    LOOP
+        LOOP
+            SELECT r.role_name INTO missing_role
+            FROM unnest(ARRAY['Pioneer', 'Technician', 'Seeker']::VARCHAR[]) WITH ORDINALITY AS r(role_name, role_order)
+            WHERE NOT EXISTS (
+                SELECT 1 FROM team_members tm
+                WHERE tm.team_id = team_record.id AND tm.role_name = r.role_name
+            )
+            ORDER BY r.role_order
+            LIMIT 1;
 
-    -- Check if territories already assigned
-    SELECT COUNT(*) INTO territory_count
-    FROM team_territories
-    WHERE session_id = session_id_param;
+            EXIT WHEN NOT FOUND;
+
+            -- Take someone whose role is duplicated, preferring who asked for the missing role
+            SELECT tm.participant_id INTO mover
+            FROM team_members tm
+            JOIN participants p ON p.id = tm.participant_id
+            WHERE tm.team_id = team_record.id
+            AND (SELECT COUNT(*) FROM team_members same
+                 WHERE same.team_id = tm.team_id AND same.role_name = tm.role_name) > 1
+            ORDER BY (p.role_preference = missing_role) DESC NULLS LAST, tm.created_at DESC
+            LIMIT 1;
+
+            EXIT WHEN NOT FOUND;
+
+            role_info := team_role_details(missing_role);
+
+            UPDATE team_members
+            SET role_name = role_info->>'role_name',
+                role_description = role_info->>'role_description',
+                role_icon = role_info->>'role_icon'
+            WHERE participant_id = mover.participant_id;
+
+            roles_changed := roles_changed + 1;
+        END LOOP;
+    END LOOP;
+
+    -- Step 4: unstarted territories
+    LOOP
+        SELECT t.id, COUNT(tt.id) AS open_count INTO heavy
+        FROM teams t
+        LEFT JOIN team_territories tt ON tt.team_id = t.id AND tt.status <> 'completed'
+        WHERE t.session_id = session_id_param
+        AND EXISTS (
+            SELECT 1 FROM team_territories movable
+            WHERE movable.team_id = t.id
+            AND movable.status = 'available'
+            AND NOT EXISTS (
+                SELECT 1 FROM work_units wu
+                WHERE wu.team_territory_id = movable.id AND wu.status <> 'available'
+            )
+        )
+        GROUP BY t.id, t.team_index
+        ORDER BY COUNT(tt.id) DESC, t.team_index
+        LIMIT 1;
+
+        EXIT WHEN NOT FOUND;
+
+        SELECT t.id, COUNT(tt.id) AS open_count INTO light
+        FROM teams t
+        LEFT JOIN team_territories tt ON tt.team_id = t.id AND tt.status <> 'completed'
+        WHERE t.session_id = session_id_param
+        GROUP BY t.id, t.team_index
+        ORDER BY COUNT(tt.id), t.team_index
+        LIMIT 1;
+
+        EXIT WHEN heavy.open_count - light.open_count <= 1;
+
+        SELECT tt.id INTO movable_assignment
+        FROM team_territories tt
+        WHERE tt.team_id = heavy.id
+        AND tt.status = 'available'
+        AND NOT EXISTS (
+            SELECT 1 FROM work_units wu
+            WHERE wu.team_territory_id = tt.id AND wu.status <> 'available'
+        )
+        ORDER BY tt.territory_name DESC
+        LIMIT 1;
+
+        UPDATE team_territories
+        SET team_id = light.id,
+            assigned_at = NOW()
+        WHERE id = movable_assignment;
+
+        INSERT INTO territory_reassignments (
+            session_id, team_territory_id, from_team_id, to_team_id,
+            territory_name, from_team_name, to_team_name, status, reason
+        ) VALUES (
+            session_id_param, movable_assignment, heavy.id, light.id,
+            (SELECT territory_name FROM team_territories WHERE id = movable_assignment),
+            (SELECT team_name FROM teams WHERE id = heavy.id),
+            (SELECT team_name FROM teams WHERE id = light.id),
+            'available', 'Team rebalance'
+        );
+
+        territories_moved := territories_moved + 1;
+    END LOOP;
+
+    RETURN json_build_object(
+        'success', true,
+        'session_id', session_id_param,
+        'participants_placed', participants_placed,
+        'members_moved', members_moved,
+        'roles_changed', roles_changed,
+        'territories_moved', territories_moved
+    );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION rebalance_session_teams(VARCHAR, UUID) TO anon, authenticated;
+
+-- Function: populate_territories
+-- Purpose: Store territory definitions fetched by the coordinator's browser.
+--          Territories are stored under the session's country; every ISO code
+--          must carry that country's prefix. Territory rows are shared by all
+--          sessions, so an existing row keeps its name, relation, place type and
+--          active flag; only its missing bounds, centre and metrics are filled in,
+--          and a newly counted power feature total replaces the stored one.
+CREATE OR REPLACE FUNCTION populate_territories(
+    session_id_param VARCHAR(50),
+    coordinator_token_param UUID,
+    territories_param JSON
+)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    stored_count INTEGER;
+    session_country VARCHAR(2);
+BEGIN
+    PERFORM assert_session_coordinator(session_id_param, coordinator_token_param);
+    PERFORM assert_session_open(session_id_param);
+
+    SELECT country_code INTO session_country
+    FROM sessions
+    WHERE id = session_id_param;
+
+    IF EXISTS (
+        SELECT 1 FROM json_array_elements(territories_param) t
+        WHERE COALESCE(btrim(t->>'iso_code'), '') = ''
+           OR upper(t->>'iso_code') NOT LIKE session_country || '-_%'
+    ) THEN
+        RAISE EXCEPTION 'All territories must belong to the session country %', session_country;
+    END IF;
+
+    INSERT INTO territories (
+        country_code, name, name_en, iso_code, osm_relation_id, place_type,
+        center_lat, center_lon, min_lat, min_lon, max_lat, max_lon,
+        area_km2, population, power_feature_count, power_features_counted_at,
+        capital, is_active
+    )
+    SELECT
+        session_country,
+        t->>'name',
+        COALESCE(t->>'name_en', t->>'name'),
+        upper(t->>'iso_code'),
+        (t->>'osm_relation_id')::BIGINT,
+        t->>'place_type',
+        (t->>'center_lat')::NUMERIC,
+        (t->>'center_lon')::NUMERIC,
+        (t->>'min_lat')::NUMERIC,
+        (t->>'min_lon')::NUMERIC,
+        (t->>'max_lat')::NUMERIC,
+        (t->>'max_lon')::NUMERIC,
+        (t->>'area_km2')::NUMERIC,
+        (t->>'population')::INTEGER,
+        (t->>'power_feature_count')::INTEGER,
+        CASE WHEN t->>'power_feature_count' IS NOT NULL THEN NOW() END,
+        t->>'capital',
+        COALESCE((t->>'is_active')::BOOLEAN, true)
+    FROM json_array_elements(territories_param) t
+    ON CONFLICT (iso_code) DO UPDATE
+    SET center_lat = COALESCE(territories.center_lat, EXCLUDED.center_lat),
+        center_lon = COALESCE(territories.center_lon, EXCLUDED.center_lon),
+        min_lat = COALESCE(territories.min_lat, EXCLUDED.min_lat),
+        min_lon = COALESCE(territories.min_lon, EXCLUDED.min_lon),
+        max_lat = COALESCE(territories.max_lat, EXCLUDED.max_lat),
+        max_lon = COALESCE(territories.max_lon, EXCLUDED.max_lon),
+        area_km2 = COALESCE(territories.area_km2, EXCLUDED.area_km2),
+        population = COALESCE(territories.population, EXCLUDED.population),
+        power_feature_count = COALESCE(EXCLUDED.power_feature_count, territories.power_feature_count),
+        power_features_counted_at = COALESCE(EXCLUDED.power_features_counted_at, territories.power_features_counted_at),
+        capital = COALESCE(territories.capital, EXCLUDED.capital);
+
+    GET DIAGNOSTICS stored_count = ROW_COUNT;
+
+    RETURN json_build_object(
+        'success', true,
+        'country_code', session_country,
+        'count', stored_count
+    );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION populate_territories(VARCHAR, UUID, JSON) TO anon, authenticated;
+
+-- ============================================================================
+-- TEAM CREATION FUNCTION WITH CONFIGURABLE TEAM SIZE
+-- ============================================================================
+
+-- Drop old versions of the function
+DROP FUNCTION IF EXISTS create_teams_with_role_assignment(VARCHAR);
+DROP FUNCTION IF EXISTS create_teams_with_role_assignment(VARCHAR, INTEGER);
+DROP FUNCTION IF EXISTS create_teams_with_role_assignment(VARCHAR, UUID, INTEGER);
+
+-- expected_team_count is the team count the coordinator previewed the distribution
+-- for; if participants joined or left since, nothing is created
+CREATE OR REPLACE FUNCTION create_teams_with_role_assignment(
+    session_id_param VARCHAR(50),
+    coordinator_token_param UUID,
+    desired_team_size INTEGER DEFAULT 3,
+    expected_team_count INTEGER DEFAULT NULL
+)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    participant_count INTEGER;
+    team_count INTEGER;
+    current_team_id UUID;
+    ordered_participants UUID[];
+    ordered_preferences VARCHAR[];
+    participant_idx INTEGER;
+    current_role_idx INTEGER;
+    result JSON;
+    role_names VARCHAR[] := ARRAY['Pioneer', 'Technician', 'Seeker'];
+    role_descriptions VARCHAR[] := ARRAY[
+        'In charge of traditional style mapping of annotating on a map',
+        'Ensures assets are correctly named and missing voltages are added', 
+        'Seeks out missing Power Plants, good first lines and available credible information sources, checks industries as well'
+    ];
+    role_icons VARCHAR[] := ARRAY['🗺️', '⚡', '🔍'];
+BEGIN
+    -- Validate session exists
+    IF NOT EXISTS (SELECT 1 FROM sessions WHERE id = session_id_param) THEN
+        RAISE EXCEPTION 'Session % does not exist', session_id_param;
+    END IF;
+
+    -- Only the session coordinator may form teams
+    PERFORM assert_session_coordinator(session_id_param, coordinator_token_param);
+    PERFORM assert_session_open(session_id_param);
+
+    -- Check if teams already exist for this session
+    SELECT COUNT(*) INTO team_count FROM teams WHERE session_id = session_id_param;
+    IF team_count > 0 THEN
+        RAISE EXCEPTION 'Teams already exist for session %. Cannot recreate teams.', session_id_param;
+    END IF;
+
+    -- Get participant count
+    SELECT COUNT(*) INTO participant_count 
+    FROM participants 
+    WHERE session_id = session_id_param;
+    
+    RAISE NOTICE 'Found % participants for session %', participant_count, session_id_param;
+
+    -- Validate participant count for team formation
+    IF participant_count < 1 THEN
+        RAISE EXCEPTION 'Need at least 1 participant to form teams, found %', participant_count;
+    END IF;
+
+    -- Validate desired team size
+    IF desired_team_size < 1 THEN
+        RAISE EXCEPTION 'Desired team size must be at least 1, got %', desired_team_size;
+    END IF;
+
+    -- Calculate number of teams based on desired team size
+    -- Uses ceiling division to ensure all participants are assigned
+    team_count := CEIL(participant_count::FLOAT / desired_team_size)::INTEGER;
+
+    IF expected_team_count IS NOT NULL AND team_count <> expected_team_count THEN
+        RAISE EXCEPTION 'The session now needs % teams, not the % previewed, because participants joined or left. Preview the distribution again.',
+            team_count, expected_team_count;
+    END IF;
+
+    RAISE NOTICE 'Will create % teams with target size of % members (actual sizes may vary slightly)',
+                 team_count, desired_team_size;
+    
+    -- Order participants by experience (most experienced first), shuffled within each level.
+    -- Participants without a stated level count as intermediate.
+    SELECT
+        ARRAY_AGG(ordered.id ORDER BY ordered.position),
+        ARRAY_AGG(ordered.role_preference ORDER BY ordered.position)
+    INTO ordered_participants, ordered_preferences
+    FROM (
+        SELECT
+            p.id,
+            p.role_preference,
+            ROW_NUMBER() OVER (
+                ORDER BY CASE COALESCE(p.experience_level, 'intermediate')
+                    WHEN 'experienced' THEN 1
+                    WHEN 'intermediate' THEN 2
+                    ELSE 3
+                END,
+                RANDOM()
+            ) AS position
+        FROM participants p
+        WHERE p.session_id = session_id_param
+    ) ordered;
+    
+    RAISE NOTICE 'Ordered % participants by experience', array_length(ordered_participants, 1);
+    
+    -- Create teams first
+    DECLARE
+        team_ids UUID[];
+        team_slots INTEGER[];
+        member_roles INTEGER[];
+        role_counts INTEGER[];
+        draft_round INTEGER;
+        draft_position INTEGER;
+        preferred_role_idx INTEGER;
+    BEGIN
+        FOR team_idx IN 0..(team_count - 1) LOOP
+            INSERT INTO teams (session_id, team_name, team_index)
+            VALUES (session_id_param, 'Team ' || CASE
+                WHEN team_idx = 0 THEN 'Alpha'
+                WHEN team_idx = 1 THEN 'Beta'
+                WHEN team_idx = 2 THEN 'Gamma'
+                WHEN team_idx = 3 THEN 'Delta'
+                WHEN team_idx = 4 THEN 'Epsilon'
+                WHEN team_idx = 5 THEN 'Zeta'
+                WHEN team_idx = 6 THEN 'Eta'
+                WHEN team_idx = 7 THEN 'Theta'
+                WHEN team_idx = 8 THEN 'Iota'
+                WHEN team_idx = 9 THEN 'Kappa'
+                ELSE 'Team ' || (team_idx + 1)::TEXT
+            END, team_idx)
+            RETURNING id INTO current_team_id;
+
+            team_ids := array_append(team_ids, current_team_id);
+            RAISE NOTICE 'Created team % with ID %', team_idx + 1, current_team_id;
+        END LOOP;
+
+        -- Snake draft: teams pick 1..n then n..1 so experience is spread evenly
+        -- and team sizes differ by at most one
+        FOR participant_idx IN 1..array_length(ordered_participants, 1) LOOP
+            draft_round := (participant_idx - 1) / team_count;
+            draft_position := (participant_idx - 1) % team_count;
+            team_slots[participant_idx] := CASE
+                WHEN draft_round % 2 = 0 THEN draft_position + 1
+                ELSE team_count - draft_position
+            END;
+        END LOOP;
+
+        -- Assign roles within each team so every role is covered when the team has
+        -- at least three members. Stated preferences are honoured first while the
+        -- role is still free in that team; everyone else fills the least-covered role.
+        FOR team_slot IN 1..team_count LOOP
+            role_counts := ARRAY[0, 0, 0];
+
+            FOR participant_idx IN 1..array_length(ordered_participants, 1) LOOP
+                CONTINUE WHEN team_slots[participant_idx] <> team_slot;
+
+                preferred_role_idx := array_position(role_names, ordered_preferences[participant_idx]);
+                IF preferred_role_idx IS NOT NULL AND role_counts[preferred_role_idx] = 0 THEN
+                    member_roles[participant_idx] := preferred_role_idx;
+                    role_counts[preferred_role_idx] := 1;
+                END IF;
+            END LOOP;
+
+            FOR participant_idx IN 1..array_length(ordered_participants, 1) LOOP
+                CONTINUE WHEN team_slots[participant_idx] <> team_slot
+                    OR member_roles[participant_idx] IS NOT NULL;
+
+                preferred_role_idx := array_position(role_names, ordered_preferences[participant_idx]);
+                current_role_idx := 1;
+                FOR role_idx IN 2..3 LOOP
+                    IF role_counts[role_idx] < role_counts[current_role_idx] THEN
+                        current_role_idx := role_idx;
+                    END IF;
+                END LOOP;
+
+                -- Among equally covered roles, prefer the participant's choice
+                IF preferred_role_idx IS NOT NULL
+                   AND role_counts[preferred_role_idx] = role_counts[current_role_idx] THEN
+                    current_role_idx := preferred_role_idx;
+                END IF;
+
+                member_roles[participant_idx] := current_role_idx;
+                role_counts[current_role_idx] := role_counts[current_role_idx] + 1;
+            END LOOP;
+        END LOOP;
+
+        FOR participant_idx IN 1..array_length(ordered_participants, 1) LOOP
+            current_team_id := team_ids[team_slots[participant_idx]];
+            current_role_idx := member_roles[participant_idx];
+
+            RAISE NOTICE 'Assigning participant % to team % as role %',
+                         participant_idx,
+                         team_slots[participant_idx],
+                         role_names[current_role_idx];
+
+            -- Insert team member
+            INSERT INTO team_members (
+                team_id,
+                participant_id,
+                role_name,
+                role_description,
+                role_icon
+            ) VALUES (
+                current_team_id,
+                ordered_participants[participant_idx],
+                role_names[current_role_idx],
+                role_descriptions[current_role_idx],
+                role_icons[current_role_idx]
+            );
+        END LOOP;
+    END;
+    
+    -- Update session status and remember the team size for clone_session
+    UPDATE sessions 
+    SET status = 'teams_formed', teams_formed_at = NOW(), team_size = desired_team_size
+    WHERE id = session_id_param;
+    
+    RAISE NOTICE 'Team formation completed successfully';
+    
+    -- Return comprehensive result with FIXED GROUP BY clause
+    SELECT json_build_object(
+        'success', true,
+        'session_id', session_id_param,
+        'teams_created', team_count,
+        'participants_assigned', participant_count,
+        'unassigned_participants', 0,
+        -- Balanced when every team of three or more covers all three roles
+        'role_distribution_balanced', NOT EXISTS (
+            SELECT 1
+            FROM teams t
+            JOIN team_members tm ON tm.team_id = t.id
+            WHERE t.session_id = session_id_param
+            GROUP BY t.id
+            HAVING COUNT(*) >= 3 AND COUNT(DISTINCT tm.role_name) < 3
+        ),
+        'team_details', (
+            SELECT json_agg(
+                json_build_object(
+                    'team_id', t.id,
+                    'team_name', t.team_name,
+                    'team_index', t.team_index,
+                    'member_count', team_member_counts.member_count,
+                    'members', team_members_json.members_json
+                )
+                ORDER BY t.team_index
+            )
+            FROM teams t
+            -- Get member count for each team
+            LEFT JOIN (
+                SELECT team_id, COUNT(*) as member_count
+                FROM team_members
+                GROUP BY team_id
+            ) team_member_counts ON team_member_counts.team_id = t.id
+            -- Get members JSON for each team
+            LEFT JOIN (
+                SELECT 
+                    tm.team_id,
+                    json_agg(
+                        json_build_object(
+                            'participant_id', p.id,
+                            'first_name', p.first_name,
+                            'osm_username', p.osm_username,
+                            'experience_level', p.experience_level,
+                            'role_preference', p.role_preference,
+                            'role_name', tm.role_name,
+                            'role_icon', tm.role_icon
+                        ) ORDER BY tm.role_name
+                    ) as members_json
+                FROM team_members tm
+                JOIN participants p ON p.id = tm.participant_id
+                GROUP BY tm.team_id
+            ) team_members_json ON team_members_json.team_id = t.id
+            WHERE t.session_id = session_id_param
+        )
+    ) INTO result;
+    
+    RETURN result;
+END;
+$$;
+
+-- Grant permissions
+GRANT EXECUTE ON FUNCTION create_teams_with_role_assignment(VARCHAR, UUID, INTEGER, INTEGER) TO anon, authenticated;
+
+-- ============================================================================
+-- GET SESSION PARTICIPANTS WITH DETAILED INFORMATION
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION get_session_participants_detailed(session_id_param VARCHAR(50))
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    result JSON;
+    participant_count INTEGER;
+    team_formation_ready BOOLEAN;
+BEGIN
+    -- Get participant count
+    SELECT COUNT(*) INTO participant_count
+    FROM participants
+    WHERE session_id = session_id_param;
+
+    -- Check if ready for team formation (at least 1 participant)
+    team_formation_ready := (participant_count >= 1);
+
+    -- Build detailed result
+    SELECT json_build_object(
+        'session_id', session_id_param,
+        'participant_count', participant_count,
+        'team_formation_ready', team_formation_ready,
+        'participants', (
+            SELECT COALESCE(json_agg(
+                json_build_object(
+                    'participant_id', p.id,
+                    'first_name', p.first_name,
+                    'osm_username', p.osm_username,
+                    'role_preference', p.role_preference,
+                    'experience_level', p.experience_level,
+                    'created_at', p.created_at,
+                    'team_assigned', (tm.id IS NOT NULL),
+                    'team_id', t.id,
+                    'team_name', t.team_name,
+                    'team_index', t.team_index,
+                    'role_name', tm.role_name,
+                    'role_description', tm.role_description,
+                    'role_icon', tm.role_icon
+                )
+                ORDER BY p.created_at
+            ), '[]'::json)
+            FROM participants p
+            LEFT JOIN team_members tm ON tm.participant_id = p.id
+            LEFT JOIN teams t ON t.id = tm.team_id
+            WHERE p.session_id = session_id_param
+        )
+    ) INTO result;
+
+    RETURN result;
+END;
+$$;
+
+-- Grant permissions
+GRANT EXECUTE ON FUNCTION get_session_participants_detailed(VARCHAR) TO anon, authenticated;
+
+-- ============================================================================
+-- TERRITORY AVAILABILITY MONITORING FUNCTIONS
+-- ============================================================================
+
+-- Function: get_territory_availability_overview
+-- Purpose: Get counts and percentages of territories by status for a session
+CREATE OR REPLACE FUNCTION get_territory_availability_overview(session_id_param VARCHAR(50))
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    result JSON;
+    total_territories INTEGER;
+    available_count INTEGER;
+    current_count INTEGER;
+    completed_count INTEGER;
+BEGIN
+    -- Get counts by status
+    SELECT
+        COUNT(*) FILTER (WHERE status = 'available') as available,
+        COUNT(*) FILTER (WHERE status = 'current') as current,
+        COUNT(*) FILTER (WHERE status = 'completed') as completed,
+        COUNT(*) as total
+    INTO available_count, current_count, completed_count, total_territories
+    FROM team_territories
+    WHERE session_id = session_id_param;
+
+    -- Build result
+    SELECT json_build_object(
+        'session_id', session_id_param,
+        'total_territories', total_territories,
+        'available', available_count,
+        'current', current_count,
+        'completed', completed_count,
+        'available_percentage', CASE WHEN total_territories > 0 THEN ROUND((available_count::NUMERIC / total_territories) * 100, 2) ELSE 0 END,
+        'current_percentage', CASE WHEN total_territories > 0 THEN ROUND((current_count::NUMERIC / total_territories) * 100, 2) ELSE 0 END,
+        'completed_percentage', CASE WHEN total_territories > 0 THEN ROUND((completed_count::NUMERIC / total_territories) * 100, 2) ELSE 0 END
+    ) INTO result;
+
+    RETURN result;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION get_territory_availability_overview(VARCHAR) TO anon, authenticated;
+
+-- Function: get_available_territories_for_team
+-- Purpose: Get all available territories for a specific team
+CREATE OR REPLACE FUNCTION get_available_territories_for_team(team_id_param UUID)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    result JSON;
+BEGIN
+    SELECT json_build_object(
+        'team_id', team_id_param,
+        'available_count', COUNT(*),
+        'territories', COALESCE(json_agg(
+            json_build_object(
+                'assignment_id', tt.id,
+                'territory_id', it.id,
+                'territory_name', it.name,
+                'iso_code', it.iso_code,
+                'place_type', it.place_type,
+                'assigned_at', tt.assigned_at,
+                'overpass_ready', (it.iso_code IS NOT NULL AND it.iso_code != '')
+            )
+            ORDER BY it.name
+        ), '[]'::json)
+    ) INTO result
+    FROM team_territories tt
+    JOIN territories it ON it.id = tt.territory_id
+    WHERE tt.team_id = team_id_param
+    AND tt.status = 'available';
+
+    RETURN result;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION get_available_territories_for_team(UUID) TO anon, authenticated;
+
+-- Function: get_territories_by_status
+-- Purpose: Get all territories with a specific status for a session
+CREATE OR REPLACE FUNCTION get_territories_by_status(
+    session_id_param VARCHAR(50),
+    status_param VARCHAR(20)
+)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    result JSON;
+BEGIN
+    -- Validate status
+    IF status_param NOT IN ('available', 'current', 'completed') THEN
+        RAISE EXCEPTION 'Invalid status: %. Must be available, current, or completed', status_param;
+    END IF;
+
+    SELECT json_build_object(
+        'session_id', session_id_param,
+        'status', status_param,
+        'count', COUNT(*),
+        'territories', COALESCE(json_agg(
+            json_build_object(
+                'assignment_id', tt.id,
+                'territory_id', it.id,
+                'territory_name', it.name,
+                'iso_code', it.iso_code,
+                'team_id', t.id,
+                'team_name', t.team_name,
+                'team_index', t.team_index,
+                'assigned_at', tt.assigned_at,
+                'started_at', tt.started_at,
+                'completed_at', tt.completed_at,
+                'completed_by', tt.completed_by,
+                'notes', tt.notes
+            )
+            ORDER BY t.team_index, it.name
+        ), '[]'::json)
+    ) INTO result
+    FROM team_territories tt
+    JOIN territories it ON it.id = tt.territory_id
+    JOIN teams t ON t.id = tt.team_id
+    WHERE tt.session_id = session_id_param
+    AND tt.status = status_param;
+
+    RETURN result;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION get_territories_by_status(VARCHAR, VARCHAR) TO anon, authenticated;
+
+-- Function: get_territory_assignment_details
+-- Purpose: Get detailed information about a specific territory assignment
+CREATE OR REPLACE FUNCTION get_territory_assignment_details(assignment_id_param UUID)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    result JSON;
+BEGIN
+    SELECT json_build_object(
+        'assignment_id', tt.id,
+        'status', tt.status,
+        'created_at', tt.created_at,
+        'assigned_at', tt.assigned_at,
+        'started_at', tt.started_at,
+        'completed_at', tt.completed_at,
+        'notes', tt.notes,
+        'territory', json_build_object(
+            'territory_id', it.id,
+            'name', it.name,
+            'name_en', it.name_en,
+            'country_code', it.country_code,
+            'iso_code', it.iso_code,
+            'osm_relation_id', it.osm_relation_id,
+            'place_type', it.place_type,
+            'area_km2', it.area_km2,
+            'population', it.population,
+            'capital', it.capital,
+            'overpass_ready', (it.iso_code IS NOT NULL AND it.iso_code != '')
+        ),
+        'team', json_build_object(
+            'team_id', t.id,
+            'team_name', t.team_name,
+            'team_index', t.team_index
+        ),
+        'session', json_build_object(
+            'session_id', s.id,
+            'session_name', s.name,
+            'session_status', s.status,
+            'country_code', s.country_code
+        ),
+        'completed_by_participant', CASE
+            WHEN tt.completed_by IS NOT NULL THEN
+                json_build_object(
+                    'participant_id', p.id,
+                    'first_name', p.first_name,
+                    'osm_username', p.osm_username
+                )
+            ELSE NULL
+        END,
+        'duration', CASE
+            WHEN tt.completed_at IS NOT NULL AND tt.started_at IS NOT NULL
+            THEN EXTRACT(EPOCH FROM (tt.completed_at - tt.started_at))
+            ELSE NULL
+        END,
+        'osm_edits', (
+            SELECT json_build_object(
+                'changesets', COUNT(tc.id),
+                'power_created', COALESCE(SUM(tc.power_created), 0),
+                'power_modified', COALESCE(SUM(tc.power_modified), 0),
+                'power_deleted', COALESCE(SUM(tc.power_deleted), 0),
+                'last_analyzed_at', MAX(tc.analyzed_at),
+                'by_participant', COALESCE((
+                    SELECT json_agg(json_build_object(
+                        'participant_id', pe.participant_id,
+                        'first_name', pe.first_name,
+                        'osm_username', pe.osm_username,
+                        'changesets', pe.changesets,
+                        'power_created', pe.power_created,
+                        'power_modified', pe.power_modified,
+                        'power_deleted', pe.power_deleted
+                    ) ORDER BY pe.power_created + pe.power_modified DESC, pe.first_name)
+                    FROM (
+                        SELECT
+                            ep.id as participant_id,
+                            ep.first_name,
+                            ep.osm_username,
+                            COUNT(etc.id) as changesets,
+                            SUM(etc.power_created) as power_created,
+                            SUM(etc.power_modified) as power_modified,
+                            SUM(etc.power_deleted) as power_deleted
+                        FROM territory_changesets etc
+                        JOIN participants ep ON ep.id = etc.participant_id
+                        WHERE etc.team_territory_id = tt.id
+                        GROUP BY ep.id, ep.first_name, ep.osm_username
+                    ) pe
+                ), '[]'::json)
+            )
+            FROM territory_changesets tc
+            WHERE tc.team_territory_id = tt.id
+        ),
+        'reassignments', COALESCE((
+            SELECT json_agg(json_build_object(
+                'from_team_id', tr.from_team_id,
+                'from_team_name', tr.from_team_name,
+                'to_team_id', tr.to_team_id,
+                'to_team_name', tr.to_team_name,
+                'status', tr.status,
+                'reason', tr.reason,
+                'reassigned_at', tr.reassigned_at
+            ) ORDER BY tr.reassigned_at)
+            FROM territory_reassignments tr
+            WHERE tr.team_territory_id = tt.id
+        ), '[]'::json),
+        'tag_completeness', json_build_object(
+            'baseline', tt.tag_completeness_baseline,
+            'baseline_at', tt.tag_completeness_baseline_at,
+            'latest', tt.tag_completeness_latest,
+            'latest_at', tt.tag_completeness_latest_at
+        )
+    ) INTO result
+    FROM team_territories tt
+    JOIN territories it ON it.id = tt.territory_id
+    JOIN teams t ON t.id = tt.team_id
+    JOIN sessions s ON s.id = tt.session_id
+    LEFT JOIN participants p ON p.id = tt.completed_by
+    WHERE tt.id = assignment_id_param;
+
+    IF result IS NULL THEN
+        RAISE EXCEPTION 'Territory assignment % not found', assignment_id_param;
+    END IF;
+
+    RETURN result;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION get_territory_assignment_details(UUID) TO anon, authenticated;
+
+-- Function: get_all_territory_assignments
+-- Purpose: Get all territory assignments for a session with full details
+CREATE OR REPLACE FUNCTION get_all_territory_assignments(session_id_param VARCHAR(50))
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    result JSON;
+BEGIN
+    SELECT json_build_object(
+        'session_id', session_id_param,
+        'total_assignments', COUNT(*),
+        'assignments', COALESCE(json_agg(
+            json_build_object(
+                'assignment_id', tt.id,
+                'status', tt.status,
+                'territory_name', it.name,
+                'iso_code', it.iso_code,
+                'territory_osm_id', it.osm_relation_id,
+                'center_lat', it.center_lat,
+                'center_lon', it.center_lon,
+                'team_id', t.id,
+                'team_name', t.team_name,
+                'team_index', t.team_index,
+                'assigned_at', tt.assigned_at,
+                'started_at', tt.started_at,
+                'completed_at', tt.completed_at,
+                'notes', tt.notes,
+                'overpass_ready', (it.iso_code IS NOT NULL AND it.iso_code != '')
+            )
+            ORDER BY t.team_index, it.name
+        ), '[]'::json)
+    ) INTO result
+    FROM team_territories tt
+    JOIN territories it ON it.id = tt.territory_id
+    JOIN teams t ON t.id = tt.team_id
+    WHERE tt.session_id = session_id_param;
+
+    RETURN result;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION get_all_territory_assignments(VARCHAR) TO anon, authenticated;
+
+-- Function: get_team_territory_progress
+-- Purpose: Get detailed progress information for a specific team
+CREATE OR REPLACE FUNCTION get_team_territory_progress(team_id_param UUID)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    result JSON;
+    total_count INTEGER;
+    available_count INTEGER;
+    current_count INTEGER;
+    completed_count INTEGER;
+BEGIN
+    -- Get counts by status
+    SELECT
+        COUNT(*) FILTER (WHERE status = 'available') as available,
+        COUNT(*) FILTER (WHERE status = 'current') as current,
+        COUNT(*) FILTER (WHERE status = 'completed') as completed,
+        COUNT(*) as total
+    INTO available_count, current_count, completed_count, total_count
+    FROM team_territories
+    WHERE team_id = team_id_param;
+
+    -- Build result with team details
+    SELECT json_build_object(
+        'team_id', t.id,
+        'team_name', t.team_name,
+        'team_index', t.team_index,
+        'session_id', t.session_id,
+        'total_territories', total_count,
+        'available', available_count,
+        'current', current_count,
+        'completed', completed_count,
+        'completion_percentage', CASE WHEN total_count > 0 THEN ROUND((completed_count::NUMERIC / total_count) * 100, 2) ELSE 0 END,
+        'territories_by_status', json_build_object(
+            'available', (
+                SELECT COALESCE(json_agg(
+                    json_build_object(
+                        'assignment_id', tt.id,
+                        'territory_name', it.name,
+                        'iso_code', it.iso_code
+                    )
+                    ORDER BY it.name
+                ), '[]'::json)
+                FROM team_territories tt
+                JOIN territories it ON it.id = tt.territory_id
+                WHERE tt.team_id = team_id_param AND tt.status = 'available'
+            ),
+            'current', (
+                SELECT COALESCE(json_agg(
+                    json_build_object(
+                        'assignment_id', tt.id,
+                        'territory_name', it.name,
+                        'iso_code', it.iso_code,
+                        'started_at', tt.started_at
+                    )
+                    ORDER BY tt.started_at DESC
+                ), '[]'::json)
+                FROM team_territories tt
+                JOIN territories it ON it.id = tt.territory_id
+                WHERE tt.team_id = team_id_param AND tt.status = 'current'
+            ),
+            'completed', (
+                SELECT COALESCE(json_agg(
+                    json_build_object(
+                        'assignment_id', tt.id,
+                        'territory_name', it.name,
+                        'iso_code', it.iso_code,
+                        'completed_at', tt.completed_at,
+                        'completed_by', p.first_name
+                    )
+                    ORDER BY tt.completed_at DESC
+                ), '[]'::json)
+                FROM team_territories tt
+                JOIN territories it ON it.id = tt.territory_id
+                LEFT JOIN participants p ON p.id = tt.completed_by
+                WHERE tt.team_id = team_id_param AND tt.status = 'completed'
+            )
+        )
+    ) INTO result
+    FROM teams t
+    WHERE t.id = team_id_param;
+
+    IF result IS NULL THEN
+        RAISE EXCEPTION 'Team % not found', team_id_param;
+    END IF;
+
+    RETURN result;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION get_team_territory_progress(UUID) TO anon, authenticated;
+
+-- ============================================================================
+-- FUNCTION USAGE EXAMPLES AND DOCUMENTATION
+-- ============================================================================
+
+/*
+TERRITORY MONITORING FUNCTIONS - USAGE EXAMPLES:
+
+1. GET OVERVIEW OF TERRITORY AVAILABILITY FOR A SESSION
+   Returns counts and percentages of territories by status
+
+   SELECT get_territory_availability_overview('GRID2025');
+
+   Returns:
+   {
+     "session_id": "GRID2025",
+     "total_territories": 36,
+     "available": 20,
+     "current": 10,
+     "completed": 6,
+     "available_percentage": 55.56,
+     "current_percentage": 27.78,
+     "completed_percentage": 16.67
+   }
+
+2. GET AVAILABLE TERRITORIES FOR A SPECIFIC TEAM
+   Returns all territories not yet started by a team
+
+   SELECT get_available_territories_for_team('team-uuid-here');
+
+   Returns:
+   {
+     "team_id": "...",
+     "available_count": 8,
+     "territories": [
+       {
+         "assignment_id": "...",
+         "territory_id": "...",
+         "territory_name": "Maharashtra",
+         "iso_code": "IN-MH",
+         "place_type": "state",
+         "assigned_at": "2024-11-06T...",
+         "overpass_ready": true
+       },
+       ...
+     ]
+   }
+
+3. GET TERRITORIES BY STATUS
+   Filter all territories in a session by their status
+
+   SELECT get_territories_by_status('GRID2025', 'completed');
+
+   Valid statuses: 'available', 'current', 'completed'
+
+   Returns:
+   {
+     "session_id": "GRID2025",
+     "status": "completed",
+     "count": 6,
+     "territories": [...]
+   }
+
+4. GET DETAILED INFO ABOUT A TERRITORY ASSIGNMENT
+   Get full details including duration, who completed it, etc.
+
+   SELECT get_territory_assignment_details('assignment-uuid-here');
+
+   Returns detailed JSON with territory info, team info, session info,
+   completion details, and duration in seconds.
+
+5. GET ALL TERRITORY ASSIGNMENTS FOR A SESSION
+   Complete list of all territory assignments with status
+
+   SELECT get_all_territory_assignments('GRID2025');
+
+   Returns:
+   {
+     "session_id": "GRID2025",
+     "total_assignments": 36,
+     "assignments": [...]
+   }
+
+6. GET DETAILED PROGRESS FOR A SPECIFIC TEAM
+   Shows breakdown of territories by status for one team
+
+   SELECT get_team_territory_progress('team-uuid-here');
+
+   Returns:
+   {
+     "team_id": "...",
+     "team_name": "Team Alpha",
+     "total_territories": 12,
+     "available": 4,
+     "current": 3,
+     "completed": 5,
+     "completion_percentage": 41.67,
+     "territories_by_status": {
+       "available": [...],
+       "current": [...],
+       "completed": [...]
+     }
+   }
+
+COORDINATOR USE CASES:
+- Monitor overall session progress: get_territory_availability_overview()
+- See which territories are still available: get_territories_by_status(session, 'available')
+- Check team progress: get_team_territory_progress()
+- Find stalled territories: get_territories_by_status(session, 'current')
+
+PARTICIPANT USE CASES:
+- See what's left to work on: get_available_territories_for_team()
+- Track team progress: get_team_territory_progress()
+- View assignment details: get_territory_assignment_details()
+
+*/
+
+-- ============================================================================
+-- CRITICAL COORDINATOR FUNCTIONS
+-- ============================================================================
+-- These functions are called by supabase.js and are essential for
+-- coordinator operations, territory distribution, and status tracking
+
+-- Function: plan_territory_distribution
+-- Purpose: Plan which team slot (1..team_count) each active territory of the
+--          session's country goes to. Strategies:
+--            round_robin    - alphabetical, dealt in turn (the original behaviour)
+--            area           - balance the bounding-box area (area_km2 overrides it
+--                             where set; the app does not fill it in)
+--            population     - balance population
+--            power_features - balance the count of existing power features
+--          Balanced strategies use greedy longest-processing-time: the largest
+--          remaining territory goes to the least loaded team. Territories without
+--          the metric are weighted at the average of those that have it; if none
+--          has it, the strategy is refused rather than quietly dealing equal weights.
+--          Internal helper for preview and distribution; not granted to anon.
+CREATE OR REPLACE FUNCTION plan_territory_distribution(
+    session_id_param VARCHAR(50),
+    strategy_param VARCHAR(20),
+    team_count_param INTEGER
+)
+RETURNS TABLE (
+    planned_territory_id UUID,
+    planned_territory_name VARCHAR,
+    team_slot INTEGER,
+    effort NUMERIC,
+    has_metric BOOLEAN
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    loads NUMERIC[];
+    counts INTEGER[];
+    best_slot INTEGER;
+    dealt INTEGER := 0;
+    measured_count INTEGER := 0;
+    candidate RECORD;
+BEGIN
+    IF strategy_param NOT IN ('round_robin', 'area', 'population', 'power_features') THEN
+        RAISE EXCEPTION 'Invalid distribution strategy: %. Must be round_robin, area, population or power_features', strategy_param;
+    END IF;
+
+    IF team_count_param IS NULL OR team_count_param < 1 THEN
+        RAISE EXCEPTION 'At least one team is required to plan a distribution';
+    END IF;
+
+    loads := array_fill(0::NUMERIC, ARRAY[team_count_param]);
+    counts := array_fill(0, ARRAY[team_count_param]);
+
+    FOR candidate IN
+        WITH candidates AS (
+            SELECT
+                t.id,
+                t.name,
+                CASE strategy_param
+                    WHEN 'area' THEN COALESCE(
+                        t.area_km2,
+                        -- Bounding-box estimate: degrees to km, narrowed by latitude
+                        (t.max_lat - t.min_lat) * 111.32 *
+                        (t.max_lon - t.min_lon) * 111.32 * cos(radians((t.max_lat + t.min_lat) / 2))
+                    )
+                    WHEN 'population' THEN t.population::NUMERIC
+                    WHEN 'power_features' THEN t.power_feature_count::NUMERIC
+                    ELSE 1
+                END AS metric
+            FROM territories t
+            JOIN sessions s ON s.country_code = t.country_code
+            WHERE s.id = session_id_param
+            AND t.is_active = true
+        ),
+        fallback AS (
+            SELECT COALESCE(AVG(metric), 1) AS average_metric FROM candidates
+        )
+        SELECT
+            c.id,
+            c.name,
+            COALESCE(c.metric, f.average_metric) AS weight,
+            c.metric IS NOT NULL AS measured
+        FROM candidates c
+        CROSS JOIN fallback f
+        ORDER BY
+            CASE WHEN strategy_param = 'round_robin' THEN 0 ELSE COALESCE(c.metric, f.average_metric) END DESC,
+            c.name
+    LOOP
+        IF strategy_param = 'round_robin' THEN
+            best_slot := (dealt % team_count_param) + 1;
+        ELSE
+            best_slot := 1;
+            FOR slot IN 2..team_count_param LOOP
+                IF loads[slot] < loads[best_slot]
+                   OR (loads[slot] = loads[best_slot] AND counts[slot] < counts[best_slot]) THEN
+                    best_slot := slot;
+                END IF;
+            END LOOP;
+        END IF;
+
+        loads[best_slot] := loads[best_slot] + candidate.weight;
+        counts[best_slot] := counts[best_slot] + 1;
+        dealt := dealt + 1;
+        IF candidate.measured THEN
+            measured_count := measured_count + 1;
+        END IF;
+
+        planned_territory_id := candidate.id;
+        planned_territory_name := candidate.name;
+        team_slot := best_slot;
+        effort := candidate.weight;
+        has_metric := candidate.measured;
+        RETURN NEXT;
+    END LOOP;
+
+    IF strategy_param <> 'round_robin' AND dealt > 0 AND measured_count = 0 THEN
+        RAISE EXCEPTION 'No territory of the session country has % data, so the % strategy cannot balance the teams. Choose another strategy.',
+            CASE strategy_param WHEN 'area' THEN 'bounding-box' WHEN 'population' THEN 'population' ELSE 'power feature count' END,
+            strategy_param;
+    END IF;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION plan_territory_distribution(VARCHAR, VARCHAR, INTEGER) FROM PUBLIC, anon, authenticated;
+
+-- Function: preview_territory_distribution
+-- Purpose: Show the expected load per team for a strategy before any teams or
+--          assignments are created. Team slots match team_index + 1 of the teams
+--          that create_teams_with_role_assignment will create.
+CREATE OR REPLACE FUNCTION preview_territory_distribution(
+    session_id_param VARCHAR(50),
+    coordinator_token_param UUID,
+    strategy_param VARCHAR(20),
+    team_count_param INTEGER
+)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    result JSON;
+BEGIN
+    PERFORM assert_session_coordinator(session_id_param, coordinator_token_param);
+
+    WITH plan AS (
+        SELECT * FROM plan_territory_distribution(session_id_param, strategy_param, team_count_param)
+    ),
+    team_loads AS (
+        SELECT
+            team_slot,
+            COUNT(*) AS territory_count,
+            SUM(effort) AS total_effort,
+            json_agg(planned_territory_name ORDER BY effort DESC, planned_territory_name) AS territories
+        FROM plan
+        GROUP BY team_slot
+    ),
+    totals AS (
+        SELECT
+            COUNT(*) AS territory_count,
+            COUNT(*) FILTER (WHERE NOT has_metric) AS missing_metric,
+            COALESCE(SUM(effort), 0) AS total_effort
+        FROM plan
+    )
+    SELECT json_build_object(
+        'session_id', session_id_param,
+        'strategy', strategy_param,
+        'team_count', team_count_param,
+        'territory_count', totals.territory_count,
+        'territories_missing_metric', totals.missing_metric,
+        'teams', COALESCE((
+            SELECT json_agg(
+                json_build_object(
+                    'team_slot', tl.team_slot,
+                    'territory_count', tl.territory_count,
+                    'total_effort', ROUND(tl.total_effort, 2),
+                    'share_percentage', CASE WHEN totals.total_effort > 0
+                        THEN ROUND(tl.total_effort / totals.total_effort * 100, 2) ELSE 0 END,
+                    'territories', tl.territories
+                )
+                ORDER BY tl.team_slot
+            )
+            FROM team_loads tl
+        ), '[]'::json),
+        'max_to_min_ratio', (
+            SELECT CASE WHEN MIN(tl.total_effort) > 0
+                THEN ROUND(MAX(tl.total_effort) / MIN(tl.total_effort), 2) END
+            FROM team_loads tl
+        )
+    ) INTO result
+    FROM totals;
+
+    RETURN result;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION preview_territory_distribution(VARCHAR, UUID, VARCHAR, INTEGER) TO anon, authenticated;
+
+-- Function: distribute_territories_to_teams
+-- Purpose: Distribute all active territories of the session's country across its
+--          teams using the chosen strategy (see plan_territory_distribution)
+DROP FUNCTION IF EXISTS distribute_territories_to_teams(VARCHAR);
+DROP FUNCTION IF EXISTS distribute_territories_to_teams(VARCHAR, UUID);
+
+CREATE OR REPLACE FUNCTION distribute_territories_to_teams(
+    session_id_param VARCHAR(50),
+    coordinator_token_param UUID,
+    strategy_param VARCHAR(20) DEFAULT 'round_robin'
+)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    result JSON;
+    team_count INTEGER;
+    territory_count INTEGER;
+    territories_distributed INTEGER := 0;
+    team_ids UUID[];
+    session_country VARCHAR(2);
+BEGIN
+    -- Validate session exists
+    SELECT country_code INTO session_country
+    FROM sessions
+    WHERE id = session_id_param;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Session % does not exist', session_id_param;
+    END IF;
+
+    -- Only the session coordinator may distribute territories
+    PERFORM assert_session_coordinator(session_id_param, coordinator_token_param);
+    PERFORM assert_session_open(session_id_param);
+
+    -- Get all team IDs for this session
+    SELECT ARRAY(
+        SELECT id FROM teams
+        WHERE session_id = session_id_param
+        ORDER BY team_index
+    ) INTO team_ids;
+
+    team_count := array_length(team_ids, 1);
+
+    IF team_count IS NULL OR team_count = 0 THEN
+        RAISE EXCEPTION 'No teams found for session %. Create teams first.', session_id_param;
+    END IF;
+
+    RAISE NOTICE 'Distributing territories to % teams (strategy: %)', team_count, strategy_param;
+
+    -- Check if territories already assigned
+    SELECT COUNT(*) INTO territory_count
+    FROM team_territories
+    WHERE session_id = session_id_param;
+
+    IF territory_count > 0 THEN
+        RAISE EXCEPTION 'Territories already distributed for session %. Cannot redistribute.', session_id_param;
+    END IF;
+
+    INSERT INTO team_territories (
+        session_id,
+        team_id,
+        territory_id,
+        status,
+        territory_name,
+        territory_osm_id
+    )
+    SELECT
+        session_id_param,
+        team_ids[plan.team_slot],
+        t.id,
+        'available',
+        t.name,
+        t.osm_relation_id
+    FROM plan_territory_distribution(session_id_param, strategy_param, team_count) plan
+    JOIN territories t ON t.id = plan.planned_territory_id;
+
+    GET DIAGNOSTICS territories_distributed = ROW_COUNT;
+
+    IF territories_distributed = 0 THEN
+        RAISE EXCEPTION 'No active territories found for country %. Populate territories first.', session_country;
+    END IF;
+
+    -- Update session status
+    UPDATE sessions
+    SET status = 'active',
+        distribution_strategy = strategy_param
+    WHERE id = session_id_param;
+
+    RAISE NOTICE 'Distributed % territories across % teams', territories_distributed, team_count;
+
+    -- Build result
+    SELECT json_build_object(
+        'success', true,
+        'session_id', session_id_param,
+        'country_code', session_country,
+        'strategy', strategy_param,
+        'teams_count', team_count,
+        'territories_distributed', territories_distributed,
+        'avg_territories_per_team', ROUND(territories_distributed::NUMERIC / team_count, 2)
+    ) INTO result;
+
+    RETURN result;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION distribute_territories_to_teams(VARCHAR, UUID, VARCHAR) TO anon, authenticated;
+
+-- Function: coordinator_reassign_territory
+-- Purpose: Move a territory assignment to another team of the session and log it
+--          in territory_reassignments. Status, work units and recorded edits move
+--          with it; completed territories stay with the team that completed them.
+CREATE OR REPLACE FUNCTION coordinator_reassign_territory(
+    session_id_param VARCHAR(50),
+    coordinator_token_param UUID,
+    assignment_id_param UUID,
+    team_id_param UUID,
+    reason_param TEXT DEFAULT NULL
+)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    assignment RECORD;
+    target_team_name VARCHAR;
+    logged_at TIMESTAMPTZ;
+BEGIN
+    PERFORM assert_session_coordinator(session_id_param, coordinator_token_param);
+    PERFORM assert_session_open(session_id_param);
+
+    SELECT tt.id, tt.team_id, tt.status, it.name AS territory_name, t.team_name
+    INTO assignment
+    FROM team_territories tt
+    JOIN territories it ON it.id = tt.territory_id
+    JOIN teams t ON t.id = tt.team_id
+    WHERE tt.id = assignment_id_param
+    AND tt.session_id = session_id_param;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Territory assignment % not found in session %', assignment_id_param, session_id_param;
+    END IF;
+
+    SELECT team_name INTO target_team_name
+    FROM teams
+    WHERE id = team_id_param
+    AND session_id = session_id_param;
+
+    IF target_team_name IS NULL THEN
+        RAISE EXCEPTION 'Team % not found in session %', team_id_param, session_id_param;
+    END IF;
+
+    IF assignment.team_id = team_id_param THEN
+        RAISE EXCEPTION '% is already assigned to %', assignment.territory_name, target_team_name;
+    END IF;
+
+    IF assignment.status = 'completed' THEN
+        RAISE EXCEPTION '% is completed; completed territories stay with the team that completed them', assignment.territory_name;
+    END IF;
+
+    UPDATE team_territories
+    SET team_id = team_id_param,
+        assigned_at = NOW()
+    WHERE id = assignment_id_param;
+
+    INSERT INTO territory_reassignments (
+        session_id, team_territory_id, from_team_id, to_team_id,
+        territory_name, from_team_name, to_team_name, status, reason
+    ) VALUES (
+        session_id_param, assignment_id_param, assignment.team_id, team_id_param,
+        assignment.territory_name, assignment.team_name, target_team_name,
+        assignment.status, NULLIF(BTRIM(reason_param), '')
+    )
+    RETURNING reassigned_at INTO logged_at;
+
+    RAISE NOTICE 'Territory % moved from % to %', assignment.territory_name, assignment.team_name, target_team_name;
+
+    RETURN json_build_object(
+        'success', true,
+        'assignment_id', assignment_id_param,
+        'territory_name', assignment.territory_name,
+        'status', assignment.status,
+        'from_team_id', assignment.team_id,
+        'from_team_name', assignment.team_name,
+        'to_team_id', team_id_param,
+        'to_team_name', target_team_name,
+        'reassigned_at', logged_at
+    );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION coordinator_reassign_territory(VARCHAR, UUID, UUID, UUID, TEXT) TO anon, authenticated;
+
+-- Function: get_territory_for_overpass_operations
+-- Purpose: Get territory ISO code and details for Overpass API queries
+CREATE OR REPLACE FUNCTION get_territory_for_overpass_operations(assignment_id_param UUID)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    result JSON;
+BEGIN
+    SELECT json_build_object(
+        'assignment_id', tt.id,
+        'territory_id', it.id,
+        'territory_name', it.name,
+        'country_code', it.country_code,
+        'iso_code', it.iso_code,
+        'osm_relation_id', it.osm_relation_id,
+        'place_type', it.place_type,
+        'min_lat', it.min_lat,
+        'min_lon', it.min_lon,
+        'max_lat', it.max_lat,
+        'max_lon', it.max_lon,
+        'team_id', tt.team_id,
+        'session_id', tt.session_id,
+        'status', tt.status
+    ) INTO result
+    FROM team_territories tt
+    JOIN territories it ON it.id = tt.territory_id
+    WHERE tt.id = assignment_id_param;
+
+    IF result IS NULL THEN
+        RAISE EXCEPTION 'Territory assignment % not found', assignment_id_param;
+    END IF;
+
+    RETURN result;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION get_territory_for_overpass_operations(UUID) TO anon, authenticated;
+
+-- Function: assert_assignment_member
+-- Purpose: Raise unless the participant token is valid and the participant is on
+--          the team the territory is assigned to. Returns the assignment's team ID.
+--          Internal helper for participant write functions; not granted to anon.
+CREATE OR REPLACE FUNCTION assert_assignment_member(
+    assignment_id_param UUID,
+    participant_id_param UUID,
+    participant_token_param UUID
+)
+RETURNS UUID
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    assignment_team_id UUID;
+    assignment_session_id VARCHAR(50);
+BEGIN
+    PERFORM assert_participant_token(participant_id_param, participant_token_param);
+
+    SELECT team_id, session_id INTO assignment_team_id, assignment_session_id
+    FROM team_territories
+    WHERE id = assignment_id_param;
+
+    IF assignment_team_id IS NULL THEN
+        RAISE EXCEPTION 'Territory assignment % not found', assignment_id_param;
+    END IF;
+
+    PERFORM assert_session_open(assignment_session_id);
+
+    IF NOT EXISTS (
+        SELECT 1 FROM team_members
+        WHERE team_id = assignment_team_id
+        AND participant_id = participant_id_param
+    ) THEN
+        RAISE EXCEPTION 'Only members of the assigned team can update territory %', assignment_id_param;
+    END IF;
+
+    RETURN assignment_team_id;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION assert_assignment_member(UUID, UUID, UUID) FROM PUBLIC, anon, authenticated;
+
+-- Function: update_territory_assignment_status
+-- Purpose: Update territory status with automatic timestamp management.
+--          Only members of the team the territory is assigned to may change it.
+DROP FUNCTION IF EXISTS update_territory_assignment_status(UUID, VARCHAR, UUID, TEXT);
+
+CREATE OR REPLACE FUNCTION update_territory_assignment_status(
+    assignment_id_param UUID,
+    new_status_param VARCHAR(20),
+    participant_id_param UUID,
+    participant_token_param UUID,
+    notes_param TEXT DEFAULT NULL
+)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    result JSON;
+    old_status VARCHAR(20);
+BEGIN
+    -- Validate status
+    IF new_status_param NOT IN ('available', 'current', 'completed') THEN
+        RAISE EXCEPTION 'Invalid status: %. Must be available, current, or completed', new_status_param;
+    END IF;
+
+    PERFORM assert_assignment_member(assignment_id_param, participant_id_param, participant_token_param);
+
+    -- Split territories take their status from their work units
+    IF EXISTS (SELECT 1 FROM work_units WHERE team_territory_id = assignment_id_param) THEN
+        RAISE EXCEPTION 'Territory % is split into work units; update the work units instead', assignment_id_param;
+    END IF;
+
+    -- Get current status
+    SELECT status INTO old_status
+    FROM team_territories
+    WHERE id = assignment_id_param;
+
+    -- Update based on new status
+    IF new_status_param = 'current' THEN
+        -- Starting work on territory
+        UPDATE team_territories
+        SET status = new_status_param,
+            started_at = COALESCE(started_at, NOW()),
+            notes = COALESCE(notes_param, notes)
+        WHERE id = assignment_id_param;
+
+    ELSIF new_status_param = 'completed' THEN
+        -- Completing territory
+        UPDATE team_territories
+        SET status = new_status_param,
+            started_at = COALESCE(started_at, NOW()),
+            completed_at = NOW(),
+            completed_by = participant_id_param,
+            notes = COALESCE(notes_param, notes)
+        WHERE id = assignment_id_param;
+
+    ELSE
+        -- Reverting to available
+        UPDATE team_territories
+        SET status = new_status_param,
+            notes = COALESCE(notes_param, notes)
+        WHERE id = assignment_id_param;
+    END IF;
+
+    -- Get updated record
+    SELECT json_build_object(
+        'assignment_id', tt.id,
+        'territory_name', it.name,
+        'old_status', old_status,
+        'new_status', tt.status,
+        'started_at', tt.started_at,
+        'completed_at', tt.completed_at,
+        'completed_by', tt.completed_by,
+        'notes', tt.notes
+    ) INTO result
+    FROM team_territories tt
+    JOIN territories it ON it.id = tt.territory_id
+    WHERE tt.id = assignment_id_param;
+
+    RAISE NOTICE 'Territory % status: % -> %', assignment_id_param, old_status, new_status_param;
+
+    RETURN result;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION update_territory_assignment_status(UUID, VARCHAR, UUID, UUID, TEXT) TO anon, authenticated;
+
+-- Function: get_session_progress_overview
+-- Purpose: Get comprehensive session progress statistics for coordinator dashboard
+CREATE OR REPLACE FUNCTION get_session_progress_overview(session_id_param VARCHAR(50))
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    result JSON;
+    session_status VARCHAR;
+    session_country VARCHAR(2);
+    session_record sessions%ROWTYPE;
+    team_count INTEGER;
+    total_territories INTEGER;
+    completed_territories INTEGER;
+    current_territories INTEGER;
+    available_territories INTEGER;
+    unassigned_participants INTEGER;
+BEGIN
+    -- Get session status
+    SELECT * INTO session_record
+    FROM sessions
+    WHERE id = session_id_param;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Session % not found', session_id_param;
+    END IF;
+
+    session_status := session_record.status;
+    session_country := session_record.country_code;
+
+    -- Count teams
+    SELECT COUNT(*) INTO team_count
+    FROM teams
+    WHERE session_id = session_id_param;
+
+    -- Count territories by status
+    SELECT
+        COUNT(*) as total,
+        COUNT(*) FILTER (WHERE status = 'completed') as completed,
+        COUNT(*) FILTER (WHERE status = 'current') as current,
+        COUNT(*) FILTER (WHERE status = 'available') as available
+    INTO total_territories, completed_territories, current_territories, available_territories
+    FROM team_territories
+    WHERE session_id = session_id_param;
+
+    -- Count participants not on a team (late joiners once teams exist)
+    SELECT COUNT(*) INTO unassigned_participants
+    FROM participants p
+    WHERE p.session_id = session_id_param
+    AND NOT EXISTS (SELECT 1 FROM team_members tm WHERE tm.participant_id = p.id);
+
+    -- Build comprehensive result
+    SELECT json_build_object(
+        'session_id', session_id_param,
+        'session_status', session_status,
+        'country_code', session_country,
+        'team_size', session_record.team_size,
+        'distribution_strategy', session_record.distribution_strategy,
+        'osmose_issue_types', session_record.osmose_issue_types,
+        'completed_at', session_record.completed_at,
+        'archived_at', session_record.archived_at,
+        'cloned_from', session_record.cloned_from,
+        'team_count', team_count,
+        'unassigned_participants', unassigned_participants,
+        'total_territories', total_territories,
+        'completed_territories', completed_territories,
+        'current_territories', current_territories,
+        'available_territories', available_territories,
+        'completion_percentage', CASE
+            WHEN total_territories > 0
+            THEN ROUND((completed_territories::NUMERIC / total_territories) * 100, 2)
+            ELSE 0
+        END,
+        'teams_data', (
+            SELECT COALESCE(json_agg(
+                json_build_object(
+                    'team_id', t.id,
+                    'team_name', t.team_name,
+                    'team_index', t.team_index,
+                    'total_territories', (
+                        SELECT COUNT(*)
+                        FROM team_territories tt
+                        WHERE tt.team_id = t.id
+                    ),
+                    'completed_territories', (
+                        SELECT COUNT(*)
+                        FROM team_territories tt
+                        WHERE tt.team_id = t.id AND tt.status = 'completed'
+                    ),
+                    'current_territories', (
+                        SELECT COUNT(*)
+                        FROM team_territories tt
+                        WHERE tt.team_id = t.id AND tt.status = 'current'
+                    ),
+                    'member_count', (
+                        SELECT COUNT(*)
+                        FROM team_members tm
+                        WHERE tm.team_id = t.id
+                    )
+                )
+                ORDER BY t.team_index
+            ), '[]'::json)
+            FROM teams t
+            WHERE t.session_id = session_id_param
+        ),
+        'tag_completeness', (
+            SELECT COALESCE(json_agg(
+                json_build_object(
+                    'assignment_id', tt.id,
+                    'territory_name', it.name,
+                    'team_name', t.team_name,
+                    'baseline', tt.tag_completeness_baseline,
+                    'baseline_at', tt.tag_completeness_baseline_at,
+                    'latest', tt.tag_completeness_latest,
+                    'latest_at', tt.tag_completeness_latest_at
+                )
+                ORDER BY it.name
+            ), '[]'::json)
+            FROM team_territories tt
+            JOIN territories it ON it.id = tt.territory_id
+            JOIN teams t ON t.id = tt.team_id
+            WHERE tt.session_id = session_id_param
+            AND tt.tag_completeness_latest IS NOT NULL
+        )
+    ) INTO result;
+
+    RETURN result;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION get_session_progress_overview(VARCHAR) TO anon, authenticated;
+
+-- Function: get_team_leaderboard_for_session
+-- Purpose: Get team rankings by completion percentage, with the power edits
+--          measured from each team's changesets (see OSM EDIT MEASUREMENT)
+CREATE OR REPLACE FUNCTION get_team_leaderboard_for_session(session_id_param VARCHAR(50))
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    result JSON;
+BEGIN
+    SELECT COALESCE(json_agg(
+        json_build_object(
+            'rank', row_number() OVER (ORDER BY completion_percentage DESC, team_name),
+            'team_id', team_id,
+            'team_name', team_name,
+            'team_index', team_index,
+            'total_territories', total_territories,
+            'completed_territories', completed_territories,
+            'current_territories', current_territories,
+            'completion_percentage', completion_percentage,
+            'changesets', changesets,
+            'power_created', power_created,
+            'power_modified', power_modified,
+            'power_deleted', power_deleted
+        )
+        ORDER BY completion_percentage DESC, team_name
+    ), '[]'::json) INTO result
+    FROM (
+        SELECT
+            t.id as team_id,
+            t.team_name,
+            t.team_index,
+            COUNT(tt.id) as total_territories,
+            COUNT(tt.id) FILTER (WHERE tt.status = 'completed') as completed_territories,
+            COUNT(tt.id) FILTER (WHERE tt.status = 'current') as current_territories,
+            CASE
+                WHEN COUNT(tt.id) > 0
+                THEN ROUND((COUNT(tt.id) FILTER (WHERE tt.status = 'completed')::NUMERIC / COUNT(tt.id)) * 100, 2)
+                ELSE 0
+            END as completion_percentage,
+            COALESCE(SUM(edits.changesets), 0) as changesets,
+            COALESCE(SUM(edits.power_created), 0) as power_created,
+            COALESCE(SUM(edits.power_modified), 0) as power_modified,
+            COALESCE(SUM(edits.power_deleted), 0) as power_deleted
+        FROM teams t
+        LEFT JOIN team_territories tt ON tt.team_id = t.id
+        LEFT JOIN (
+            SELECT
+                team_territory_id,
+                COUNT(*) as changesets,
+                SUM(power_created) as power_created,
+                SUM(power_modified) as power_modified,
+                SUM(power_deleted) as power_deleted
+            FROM territory_changesets
+            GROUP BY team_territory_id
+        ) edits ON edits.team_territory_id = tt.id
+        WHERE t.session_id = session_id_param
+        GROUP BY t.id, t.team_name, t.team_index
+    ) team_stats;
+
+    RETURN result;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION get_team_leaderboard_for_session(VARCHAR) TO anon, authenticated;
+
+-- Function: verify_session_teams
+-- Purpose: Verify session team composition and validate session isolation
+CREATE OR REPLACE FUNCTION verify_session_teams(session_id_param VARCHAR(50))
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    result JSON;
+    total_teams INTEGER;
+    total_members INTEGER;
+    cross_session_violations INTEGER;
+    teams_without_members INTEGER;
+BEGIN
+    -- Count teams
+    SELECT COUNT(*) INTO total_teams
+    FROM teams
+    WHERE session_id = session_id_param;
+
+    -- Count team members
+    SELECT COUNT(*) INTO total_members
+    FROM team_members tm
+    JOIN teams t ON t.id = tm.team_id
+    WHERE t.session_id = session_id_param;
+
+    -- Check for session isolation violations
+    SELECT COUNT(*) INTO cross_session_violations
+    FROM team_members tm
+    JOIN teams t ON t.id = tm.team_id
+    JOIN participants p ON p.id = tm.participant_id
+    WHERE t.session_id = session_id_param
+    AND p.session_id != session_id_param;
+
+    -- Count teams without members
+    SELECT COUNT(*) INTO teams_without_members
+    FROM teams t
+    WHERE t.session_id = session_id_param
+    AND NOT EXISTS (
+        SELECT 1 FROM team_members tm WHERE tm.team_id = t.id
+    );
+
+    -- Build result
+    SELECT json_build_object(
+        'session_id', session_id_param,
+        'total_teams', total_teams,
+        'total_members', total_members,
+        'teams_without_members', teams_without_members,
+        'cross_session_violations', cross_session_violations,
+        'session_isolation_valid', (cross_session_violations = 0),
+        'all_teams_have_members', (teams_without_members = 0),
+        'verification_passed', (cross_session_violations = 0 AND teams_without_members = 0)
+    ) INTO result;
+
+    RETURN result;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION verify_session_teams(VARCHAR) TO anon, authenticated;
+
+-- Function: validate_territory_assignments
+-- Purpose: Validate territory assignments for a session
+CREATE OR REPLACE FUNCTION validate_territory_assignments(session_id_param VARCHAR(50))
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    result JSON;
+    total_assignments INTEGER;
+    duplicate_territories INTEGER;
+    orphaned_assignments INTEGER;
+    territories_per_team JSON;
+BEGIN
+    -- Count total assignments
+    SELECT COUNT(*) INTO total_assignments
+    FROM team_territories
+    WHERE session_id = session_id_param;
+
+    -- Check for duplicate territory assignments (same territory to multiple teams)
+    SELECT COUNT(*) INTO duplicate_territories
+    FROM (
+        SELECT territory_id
+        FROM team_territories
+        WHERE session_id = session_id_param
+        GROUP BY territory_id
+        HAVING COUNT(*) > 1
+    ) duplicates;
+
+    -- Check for orphaned assignments (team or territory doesn't exist)
+    SELECT COUNT(*) INTO orphaned_assignments
+    FROM team_territories tt
+    WHERE tt.session_id = session_id_param
+    AND (
+        NOT EXISTS (SELECT 1 FROM teams t WHERE t.id = tt.team_id)
+        OR NOT EXISTS (SELECT 1 FROM territories it WHERE it.id = tt.territory_id)
+    );
+
+    -- Get distribution of territories per team
+    SELECT json_agg(
+        json_build_object(
+            'team_name', t.team_name,
+            'territory_count', COUNT(tt.id)
+        )
+        ORDER BY t.team_index
+    ) INTO territories_per_team
+    FROM teams t
+    LEFT JOIN team_territories tt ON tt.team_id = t.id
+    WHERE t.session_id = session_id_param
+    GROUP BY t.id, t.team_name, t.team_index;
+
+    -- Build result
+    SELECT json_build_object(
+        'session_id', session_id_param,
+        'total_assignments', total_assignments,
+        'duplicate_territories', duplicate_territories,
+        'orphaned_assignments', orphaned_assignments,
+        'no_duplicates', (duplicate_territories = 0),
+        'no_orphans', (orphaned_assignments = 0),
+        'validation_passed', (duplicate_territories = 0 AND orphaned_assignments = 0),
+        'territories_per_team', COALESCE(territories_per_team, '[]'::json)
+    ) INTO result;
+
+    RETURN result;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION validate_territory_assignments(VARCHAR) TO anon, authenticated;
+
+-- Function: get_territory_statistics
+-- Purpose: Get global territory statistics (optional utility function)
+CREATE OR REPLACE FUNCTION get_territory_statistics()
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    result JSON;
+BEGIN
+    SELECT json_build_object(
+        'total_territories', COUNT(*),
+        'active_territories', COUNT(*) FILTER (WHERE is_active = true),
+        'inactive_territories', COUNT(*) FILTER (WHERE is_active = false),
+        'states', COUNT(*) FILTER (WHERE place_type = 'state'),
+        'union_territories', COUNT(*) FILTER (WHERE place_type IN ('union_territory', 'territory')),
+        'territories_by_type', (
+            SELECT json_object_agg(place_type, count)
+            FROM (
+                SELECT place_type, COUNT(*) as count
+                FROM territories
+                GROUP BY place_type
+            ) type_counts
+        ),
+        'territories_by_country', (
+            SELECT json_object_agg(country_code, count)
+            FROM (
+                SELECT country_code, COUNT(*) as count
+                FROM territories
+                GROUP BY country_code
+            ) country_counts
+        ),
+        'territories_with_iso_code', COUNT(*) FILTER (WHERE iso_code IS NOT NULL AND iso_code != ''),
+        'territories_ready_for_overpass', COUNT(*) FILTER (
+            WHERE iso_code IS NOT NULL
+            AND iso_code != ''
+            AND is_active = true
+        )
+    ) INTO result
+    FROM territories;
+
+    RETURN result;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION get_territory_statistics() TO anon, authenticated;
+
+-- ============================================================================
+-- WORK UNITS
+-- ============================================================================
+-- Large territories can be split into work units (admin_level 5/6 districts
+-- or a bbox grid) that are small enough for one JOSM session. The unit
+-- geometry is fetched from Overpass in the browser and stored here; each unit
+-- has its own status and the territory status is rolled up from its units.
+
+-- Function: create_work_units
+-- Purpose: Split an assigned territory into work units (replaces an existing
+--          split as long as no unit has been started)
+CREATE OR REPLACE FUNCTION create_work_units(
+    assignment_id_param UUID,
+    participant_id_param UUID,
+    participant_token_param UUID,
+    unit_type_param VARCHAR(20),
+    units_param JSON
+)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    assignment_session_id VARCHAR(50);
+    assignment_status VARCHAR(20);
+    unit_count INTEGER;
+BEGIN
+    PERFORM assert_assignment_member(assignment_id_param, participant_id_param, participant_token_param);
+
+    IF unit_type_param NOT IN ('district', 'grid') THEN
+        RAISE EXCEPTION 'Invalid work unit type: %. Must be district or grid', unit_type_param;
+    END IF;
+
+    IF units_param IS NULL OR json_array_length(units_param) = 0 THEN
+        RAISE EXCEPTION 'At least one work unit is required';
+    END IF;
+
+    SELECT session_id, status INTO assignment_session_id, assignment_status
+    FROM team_territories
+    WHERE id = assignment_id_param;
+
+    IF assignment_status = 'completed' THEN
+        RAISE EXCEPTION 'Territory % is already completed', assignment_id_param;
+    END IF;
+
+    IF EXISTS (
+        SELECT 1 FROM work_units
+        WHERE team_territory_id = assignment_id_param
+        AND status <> 'available'
+    ) THEN
+        RAISE EXCEPTION 'Work has already started on this territory''s units; it cannot be split again';
+    END IF;
+
+    DELETE FROM work_units WHERE team_territory_id = assignment_id_param;
+
+    INSERT INTO work_units (
+        session_id, team_territory_id, unit_index, unit_type, name,
+        osm_relation_id, min_lat, min_lon, max_lat, max_lon
+    )
+    SELECT
+        assignment_session_id,
+        assignment_id_param,
+        (u.ordinality - 1)::INTEGER,
+        unit_type_param,
+        u.value->>'name',
+        (u.value->>'osm_relation_id')::BIGINT,
+        (u.value->>'min_lat')::NUMERIC,
+        (u.value->>'min_lon')::NUMERIC,
+        (u.value->>'max_lat')::NUMERIC,
+        (u.value->>'max_lon')::NUMERIC
+    FROM json_array_elements(units_param) WITH ORDINALITY AS u(value, ordinality);
+
+    GET DIAGNOSTICS unit_count = ROW_COUNT;
+
+    RAISE NOTICE 'Territory % split into % % work units', assignment_id_param, unit_count, unit_type_param;
+
+    RETURN json_build_object(
+        'assignment_id', assignment_id_param,
+        'unit_type', unit_type_param,
+        'unit_count', unit_count
+    );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION create_work_units(UUID, UUID, UUID, VARCHAR, JSON) TO anon, authenticated;
+
+-- Function: roll_up_territory_status
+-- Purpose: Derive a split territory's status from its work units:
+--          all completed -> completed, any started -> current, otherwise available.
+--          Internal helper for update_work_unit_status; not granted to anon.
+CREATE OR REPLACE FUNCTION roll_up_territory_status(
+    assignment_id_param UUID,
+    participant_id_param UUID
+)
+RETURNS VARCHAR
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    total_units INTEGER;
+    completed_units INTEGER;
+    started_units INTEGER;
+    rolled_up_status VARCHAR(20);
+BEGIN
+    SELECT
+        COUNT(*),
+        COUNT(*) FILTER (WHERE status = 'completed'),
+        COUNT(*) FILTER (WHERE status IN ('current', 'completed'))
+    INTO total_units, completed_units, started_units
+    FROM work_units
+    WHERE team_territory_id = assignment_id_param;
+
+    IF total_units = 0 THEN
+        RETURN NULL;
+    END IF;
+
+    rolled_up_status := CASE
+        WHEN completed_units = total_units THEN 'completed'
+        WHEN started_units > 0 THEN 'current'
+        ELSE 'available'
+    END;
+
+    UPDATE team_territories
+    SET status = rolled_up_status,
+        started_at = CASE WHEN rolled_up_status = 'available' THEN started_at ELSE COALESCE(started_at, NOW()) END,
+        completed_at = CASE WHEN rolled_up_status = 'completed' THEN COALESCE(completed_at, NOW()) ELSE NULL END,
+        completed_by = CASE WHEN rolled_up_status = 'completed' THEN COALESCE(completed_by, participant_id_param) ELSE NULL END
+    WHERE id = assignment_id_param
+    AND status IS DISTINCT FROM rolled_up_status;
+
+    RETURN rolled_up_status;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION roll_up_territory_status(UUID, UUID) FROM PUBLIC, anon, authenticated;
+
+-- Function: update_work_unit_status
+-- Purpose: Update a work unit's status and roll the change up to its territory
+CREATE OR REPLACE FUNCTION update_work_unit_status(
+    work_unit_id_param UUID,
+    new_status_param VARCHAR(20),
+    participant_id_param UUID,
+    participant_token_param UUID
+)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    unit_record work_units%ROWTYPE;
+    territory_status VARCHAR(20);
+BEGIN
+    IF new_status_param NOT IN ('available', 'current', 'completed') THEN
+        RAISE EXCEPTION 'Invalid status: %. Must be available, current, or completed', new_status_param;
+    END IF;
+
+    SELECT * INTO unit_record FROM work_units WHERE id = work_unit_id_param;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Work unit % not found', work_unit_id_param;
+    END IF;
+
+    PERFORM assert_assignment_member(unit_record.team_territory_id, participant_id_param, participant_token_param);
+
+    UPDATE work_units
+    SET status = new_status_param,
+        started_at = CASE WHEN new_status_param = 'available' THEN started_at ELSE COALESCE(started_at, NOW()) END,
+        completed_at = CASE WHEN new_status_param = 'completed' THEN NOW() ELSE NULL END,
+        completed_by = CASE WHEN new_status_param = 'completed' THEN participant_id_param ELSE NULL END
+    WHERE id = work_unit_id_param
+    RETURNING * INTO unit_record;
+
+    territory_status := roll_up_territory_status(unit_record.team_territory_id, participant_id_param);
+
+    RETURN json_build_object(
+        'work_unit_id', unit_record.id,
+        'assignment_id', unit_record.team_territory_id,
+        'name', unit_record.name,
+        'status', unit_record.status,
+        'started_at', unit_record.started_at,
+        'completed_at', unit_record.completed_at,
+        'completed_by', unit_record.completed_by,
+        'territory_status', territory_status
+    );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION update_work_unit_status(UUID, VARCHAR, UUID, UUID) TO anon, authenticated;
+
+-- ============================================================================
+-- OSM EDIT MEASUREMENT
+-- ============================================================================
+-- Territory status says a team finished a territory, not what it changed in
+-- OSM. The coordinator's browser reads each participant's changesets carrying
+-- the session hashtag from the OSM API, counts the power objects in each
+-- changeset's osmChange (see js/changesets.js) and sends the totals here.
+-- Participants cannot record counts themselves, so nobody reports their own
+-- score. Each changeset is attributed to the session territory its bounding
+-- box overlaps most, preferring territories assigned to the participant's own
+-- team. Edits are still recorded after a session is closed, since uploads
+-- often trail the event; archived sessions are frozen.
+
+-- Function: record_territory_changesets
+-- Purpose: Attribute analysed changesets to territories and upsert their power
+--          edit counts. Changesets without a bounding box or outside every
+--          assigned territory are skipped. While an assigned territory has no
+--          bounds yet, unmatched changesets are reported as unattributed instead,
+--          since they may belong to it.
+--          Internal helper for the coordinator wrapper record_session_changesets below.
+CREATE OR REPLACE FUNCTION record_territory_changesets(
+    session_id_param VARCHAR(50),
+    participant_id_param UUID,
+    changesets_param JSON
+)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    changeset JSON;
+    participant_team_id UUID;
+    matched_assignment_id UUID;
+    recorded_count INTEGER := 0;
+    skipped_count INTEGER := 0;
+    unattributed_count INTEGER := 0;
+    has_unbounded_territory BOOLEAN;
+BEGIN
+    IF EXISTS (SELECT 1 FROM sessions WHERE id = session_id_param AND status = 'archived') THEN
+        RAISE EXCEPTION 'Session % is archived; OSM edits can no longer be recorded', session_id_param;
+    END IF;
 
-    IF territory_count > 0 THEN
-        RAISE EXCEPTION 'Territories already distributed for session %. Cannot redistribute.', session_id_param;
+    IF NOT EXISTS (
+        SELECT 1 FROM participants
+        WHERE id = participant_id_param AND session_id = session_id_param
+    ) THEN
+        RAISE EXCEPTION 'Participant % is not registered for session %', participant_id_param, session_id_param;
     END IF;
 
-    -- Get count of active territories
-    SELECT COUNT(*) INTO territory_count
-    FROM indian_territories
-    WHERE is_active = true;
-
-    RAISE NOTICE 'Found % active territories to distribute', territory_count;
-
-    -- Distribute territories round-robin across teams
-    FOR territory_records IN (
-        SELECT id, name, osm_relation_id
-        FROM indian_territories
-        WHERE is_active = true
-        ORDER BY name
-    ) LOOP
-        -- Insert territory assignment
-        INSERT INTO team_territories (
-            session_id,
-            team_id,
-            territory_id,
-            status,
-            territory_name,
-            territory_osm_id
+    SELECT tm.team_id INTO participant_team_id
+    FROM team_members tm
+    JOIN teams t ON t.id = tm.team_id
+    WHERE tm.participant_id = participant_id_param
+    AND t.session_id = session_id_param
+    LIMIT 1;
+
+    SELECT EXISTS (
+        SELECT 1 FROM team_territories tt
+        JOIN territories it ON it.id = tt.territory_id
+        WHERE tt.session_id = session_id_param
+        AND (it.min_lat IS NULL OR it.min_lon IS NULL OR it.max_lat IS NULL OR it.max_lon IS NULL)
+    ) INTO has_unbounded_territory;
+
+    FOR changeset IN SELECT * FROM json_array_elements(COALESCE(changesets_param, '[]'::json)) LOOP
+        matched_assignment_id := NULL;
+
+        IF changeset->>'min_lat' IS NOT NULL AND changeset->>'max_lat' IS NOT NULL THEN
+            SELECT tt.id INTO matched_assignment_id
+            FROM team_territories tt
+            JOIN territories it ON it.id = tt.territory_id
+            WHERE tt.session_id = session_id_param
+            AND it.min_lat IS NOT NULL
+            AND it.min_lat <= (changeset->>'max_lat')::NUMERIC
+            AND it.max_lat >= (changeset->>'min_lat')::NUMERIC
+            AND it.min_lon <= (changeset->>'max_lon')::NUMERIC
+            AND it.max_lon >= (changeset->>'min_lon')::NUMERIC
+            ORDER BY
+                (tt.team_id IS NOT DISTINCT FROM participant_team_id) DESC,
+                (LEAST(it.max_lat, (changeset->>'max_lat')::NUMERIC) - GREATEST(it.min_lat, (changeset->>'min_lat')::NUMERIC)) *
+                (LEAST(it.max_lon, (changeset->>'max_lon')::NUMERIC) - GREATEST(it.min_lon, (changeset->>'min_lon')::NUMERIC)) DESC
+            LIMIT 1;
+        END IF;
+
+        IF matched_assignment_id IS NULL THEN
+            IF has_unbounded_territory AND changeset->>'min_lat' IS NOT NULL THEN
+                unattributed_count := unattributed_count + 1;
+            ELSE
+                skipped_count := skipped_count + 1;
+            END IF;
+            CONTINUE;
+        END IF;
+
+        INSERT INTO territory_changesets (
+            session_id, team_territory_id, participant_id, changeset_id, changeset_created_at,
+            min_lat, min_lon, max_lat, max_lon,
+            power_created, power_modified, power_deleted, power_by_type, analyzed_at
         ) VALUES (
             session_id_param,
-            team_ids[(current_team_idx % team_count) + 1],
-            territory_records.id,
-            'available',
-            territory_records.name,
-            territory_records.osm_relation_id
-        );
-
-        territories_distributed := territories_distributed + 1;
-        current_team_idx := current_team_idx + 1;
+            matched_assignment_id,
+            participant_id_param,
+            (changeset->>'changeset_id')::BIGINT,
+            (changeset->>'created_at')::TIMESTAMPTZ,
+            (changeset->>'min_lat')::NUMERIC,
+            (changeset->>'min_lon')::NUMERIC,
+            (changeset->>'max_lat')::NUMERIC,
+            (changeset->>'max_lon')::NUMERIC,
+            COALESCE((changeset->>'power_created')::INTEGER, 0),
+            COALESCE((changeset->>'power_modified')::INTEGER, 0),
+            COALESCE((changeset->>'power_deleted')::INTEGER, 0),
+            COALESCE((changeset->'power_by_type')::JSONB, '{}'::JSONB),
+            NOW()
+        )
+        ON CONFLICT (session_id, changeset_id) DO UPDATE SET
+            team_territory_id = EXCLUDED.team_territory_id,
+            participant_id = EXCLUDED.participant_id,
+            power_created = EXCLUDED.power_created,
+            power_modified = EXCLUDED.power_modified,
+            power_deleted = EXCLUDED.power_deleted,
+            power_by_type = EXCLUDED.power_by_type,
+            analyzed_at = NOW();
+
+        recorded_count := recorded_count + 1;
     END LOOP;
 
-    -- Update session status
-    UPDATE sessions
-    SET status = 'active'
-    WHERE id = session_id_param;
-
-    RAISE NOTICE 'Distributed % territories across % teams', territories_distributed, team_count;
-
-    -- Build result
-    SELECT json_build_object(
+    RETURN json_build_object(
         'success', true,
         'session_id', session_id_param,
-        'teams_count', team_count,
-        'territories_distributed', territories_distributed,
-        'avg_territories_per_team', ROUND(territories_distributed::NUMERIC / team_count, 2)
-    ) INTO result;
+        'participant_id', participant_id_param,
+        'recorded', recorded_count,
+        'skipped', skipped_count,
+        'unattributed', unattributed_count
+    );
+END;
+$$;
 
-    RETURN result;
+REVOKE EXECUTE ON FUNCTION record_territory_changesets(VARCHAR, UUID, JSON) FROM PUBLIC, anon, authenticated;
+
+-- Participants used to record their own counts; only the coordinator does now
+DROP FUNCTION IF EXISTS record_participant_changesets(UUID, UUID, JSON);
+
+-- Function: record_session_changesets
+-- Purpose: Record analysed changesets for any participant of the session (coordinator only)
+CREATE OR REPLACE FUNCTION record_session_changesets(
+    session_id_param VARCHAR(50),
+    coordinator_token_param UUID,
+    participant_id_param UUID,
+    changesets_param JSON
+)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+    PERFORM assert_session_coordinator(session_id_param, coordinator_token_param);
+
+    RETURN record_territory_changesets(session_id_param, participant_id_param, changesets_param);
 END;
 $$;
 
-GRANT EXECUTE ON FUNCTION distribute_territories_to_teams(VARCHAR) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION record_session_changesets(VARCHAR, UUID, UUID, JSON) TO anon, authenticated;
 
--- Function: get_territory_for_overpass_operations
--- Purpose: Get territory ISO code and details for Overpass API queries
-CREATE OR REPLACE FUNCTION get_territory_for_overpass_operations(assignment_id_param UUID)
+-- ============================================================================
+-- TAG COMPLETENESS
+-- ============================================================================
+-- The browser counts, per territory, the power objects and how many of them lack
+-- a key tag (see OverpassAPI.countTagCompleteness) and stores the counts on the
+-- assignment. The first count becomes the baseline, every count replaces the
+-- latest, so the two give before/after numbers for the session. Like OSM edits,
+-- counts are still accepted from the coordinator after a session is closed;
+-- archived sessions are frozen.
+
+-- Function: record_tag_completeness
+-- Purpose: Store a tag completeness count on an assignment. With set_baseline_param
+--          the first such count is kept as the baseline; only the coordinator
+--          wrapper sets it, so participants cannot choose the "before" numbers.
+--          Internal helper for the participant and coordinator wrappers below.
+DROP FUNCTION IF EXISTS record_tag_completeness(UUID, JSON);
+
+CREATE OR REPLACE FUNCTION record_tag_completeness(
+    assignment_id_param UUID,
+    stats_param JSON,
+    set_baseline_param BOOLEAN
+)
 RETURNS JSON
 LANGUAGE plpgsql
 SECURITY DEFINER
 AS $$
 DECLARE
-    result JSON;
+    assignment_record team_territories%ROWTYPE;
 BEGIN
-    SELECT json_build_object(
-        'assignment_id', tt.id,
-        'territory_id', it.id,
-        'territory_name', it.name,
-        'iso_code', it.iso_code,
-        'osm_relation_id', it.osm_relation_id,
-        'place_type', it.place_type,
-        'team_id', tt.team_id,
-        'session_id', tt.session_id,
-        'status', tt.status
-    ) INTO result
-    FROM team_territories tt
-    JOIN indian_territories it ON it.id = tt.territory_id
-    WHERE tt.id = assignment_id_param;
+    IF stats_param IS NULL OR json_typeof(stats_param) <> 'object' THEN
+        RAISE EXCEPTION 'Tag completeness counts must be a JSON object';
+    END IF;
 
-    IF result IS NULL THEN
+    IF EXISTS (
+        SELECT 1 FROM team_territories tt
+        JOIN sessions s ON s.id = tt.session_id
+        WHERE tt.id = assignment_id_param AND s.status = 'archived'
+    ) THEN
+        RAISE EXCEPTION 'Session is archived; tag completeness can no longer be recorded';
+    END IF;
+
+    UPDATE team_territories
+    SET tag_completeness_baseline = CASE WHEN set_baseline_param
+            THEN COALESCE(tag_completeness_baseline, stats_param::JSONB) ELSE tag_completeness_baseline END,
+        tag_completeness_baseline_at = CASE WHEN set_baseline_param
+            THEN COALESCE(tag_completeness_baseline_at, NOW()) ELSE tag_completeness_baseline_at END,
+        tag_completeness_latest = stats_param::JSONB,
+        tag_completeness_latest_at = NOW()
+    WHERE id = assignment_id_param
+    RETURNING * INTO assignment_record;
+
+    IF NOT FOUND THEN
         RAISE EXCEPTION 'Territory assignment % not found', assignment_id_param;
     END IF;
 
-    RETURN result;
+    RETURN json_build_object(
+        'success', true,
+        'assignment_id', assignment_record.id,
+        'baseline', assignment_record.tag_completeness_baseline,
+        'baseline_at', assignment_record.tag_completeness_baseline_at,
+        'latest', assignment_record.tag_completeness_latest,
+        'latest_at', assignment_record.tag_completeness_latest_at
+    );
 END;
 $$;
 
-GRANT EXECUTE ON FUNCTION get_territory_for_overpass_operations(UUID) TO anon, authenticated;
+REVOKE EXECUTE ON FUNCTION record_tag_completeness(UUID, JSON, BOOLEAN) FROM PUBLIC, anon, authenticated;
 
--- Function: update_territory_assignment_status
--- Purpose: Update territory status with automatic timestamp management
-CREATE OR REPLACE FUNCTION update_territory_assignment_status(
+-- Function: record_assignment_tag_completeness
+-- Purpose: Record a tag completeness count for one of the calling participant's
+--          team territories (open sessions only). Only the latest count is
+--          updated; the baseline comes from the coordinator.
+CREATE OR REPLACE FUNCTION record_assignment_tag_completeness(
     assignment_id_param UUID,
-    new_status_param VARCHAR(20),
     participant_id_param UUID,
-    notes_param TEXT DEFAULT NULL
+    participant_token_param UUID,
+    stats_param JSON
 )
 RETURNS JSON
 LANGUAGE plpgsql
 SECURITY DEFINER
 AS $$
-DECLARE
-    result JSON;
-    old_status VARCHAR(20);
 BEGIN
-    -- Validate status
-    IF new_status_param NOT IN ('available', 'current', 'completed') THEN
-        RAISE EXCEPTION 'Invalid status: %. Must be available, current, or completed', new_status_param;
-    END IF;
+    PERFORM assert_assignment_member(assignment_id_param, participant_id_param, participant_token_param);
 
-    -- Get current status
-    SELECT status INTO old_status
-    FROM team_territories
-    WHERE id = assignment_id_param;
+    RETURN record_tag_completeness(assignment_id_param, stats_param, false);
+END;
+$$;
 
-    IF old_status IS NULL THEN
-        RAISE EXCEPTION 'Territory assignment % not found', assignment_id_param;
+GRANT EXECUTE ON FUNCTION record_assignment_tag_completeness(UUID, UUID, UUID, JSON) TO anon, authenticated;
+
+-- Function: record_session_tag_completeness
+-- Purpose: Record a tag completeness count for any territory of the session (coordinator only)
+CREATE OR REPLACE FUNCTION record_session_tag_completeness(
+    session_id_param VARCHAR(50),
+    coordinator_token_param UUID,
+    assignment_id_param UUID,
+    stats_param JSON
+)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+    PERFORM assert_session_coordinator(session_id_param, coordinator_token_param);
+
+    IF NOT EXISTS (
+        SELECT 1 FROM team_territories
+        WHERE id = assignment_id_param AND session_id = session_id_param
+    ) THEN
+        RAISE EXCEPTION 'Territory assignment % is not part of session %', assignment_id_param, session_id_param;
     END IF;
 
-    -- Update based on new status
-    IF new_status_param = 'current' THEN
-        -- Starting work on territory
-        UPDATE team_territories
-        SET status = new_status_param,
-            started_at = COALESCE(started_at, NOW()),
-            notes = COALESCE(notes_param, notes)
-        WHERE id = assignment_id_param;
+    RETURN record_tag_completeness(assignment_id_param, stats_param, true);
+END;
+$$;
 
-    ELSIF new_status_param = 'completed' THEN
-        -- Completing territory
-        UPDATE team_territories
-        SET status = new_status_param,
-            started_at = COALESCE(started_at, NOW()),
-            completed_at = NOW(),
-            completed_by = participant_id_param,
-            notes = COALESCE(notes_param, notes)
-        WHERE id = assignment_id_param;
+GRANT EXECUTE ON FUNCTION record_session_tag_completeness(VARCHAR, UUID, UUID, JSON) TO anon, authenticated;
 
-    ELSE
-        -- Reverting to available
-        UPDATE team_territories
-        SET status = new_status_param,
-            notes = COALESCE(notes_param, notes)
-        WHERE id = assignment_id_param;
+-- ============================================================================
+-- INFRASTRUCTURE SNAPSHOTS
+-- ============================================================================
+-- To show what a session changed, the coordinator's browser counts the power
+-- features and line kilometres mapped in every assigned territory (see
+-- OverpassAPI.measurePowerInfrastructure) right after distribute_territories_to_teams
+-- ('start') and again when the session is closed ('end').
+-- get_session_impact_report compares the two per territory, per team and for
+-- the whole session. Only territories with both snapshots are compared.
+
+-- Function: record_territory_snapshot
+-- Purpose: Store a start or end snapshot for a session territory (coordinator only).
+--          Capturing a phase again replaces it; archived sessions are frozen.
+CREATE OR REPLACE FUNCTION record_territory_snapshot(
+    session_id_param VARCHAR(50),
+    coordinator_token_param UUID,
+    assignment_id_param UUID,
+    phase_param VARCHAR(10),
+    metrics_param JSON
+)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    snapshot_record territory_snapshots%ROWTYPE;
+BEGIN
+    PERFORM assert_session_coordinator(session_id_param, coordinator_token_param);
+
+    IF phase_param NOT IN ('start', 'end') THEN
+        RAISE EXCEPTION 'Invalid snapshot phase: %. Must be start or end', phase_param;
     END IF;
 
-    -- Get updated record
-    SELECT json_build_object(
-        'assignment_id', tt.id,
-        'territory_name', it.name,
-        'old_status', old_status,
-        'new_status', tt.status,
-        'started_at', tt.started_at,
-        'completed_at', tt.completed_at,
-        'completed_by', tt.completed_by,
-        'notes', tt.notes
-    ) INTO result
-    FROM team_territories tt
-    JOIN indian_territories it ON it.id = tt.territory_id
-    WHERE tt.id = assignment_id_param;
+    IF EXISTS (SELECT 1 FROM sessions WHERE id = session_id_param AND status = 'archived') THEN
+        RAISE EXCEPTION 'Session % is archived; snapshots can no longer be recorded', session_id_param;
+    END IF;
 
-    RAISE NOTICE 'Territory % status: % -> %', assignment_id_param, old_status, new_status_param;
+    IF NOT EXISTS (
+        SELECT 1 FROM team_territories
+        WHERE id = assignment_id_param AND session_id = session_id_param
+    ) THEN
+        RAISE EXCEPTION 'Territory assignment % is not part of session %', assignment_id_param, session_id_param;
+    END IF;
 
-    RETURN result;
+    INSERT INTO territory_snapshots (
+        session_id, team_territory_id, phase,
+        lines, cables, substations, plants, generators, total_features,
+        line_km, cable_km, captured_at
+    ) VALUES (
+        session_id_param,
+        assignment_id_param,
+        phase_param,
+        COALESCE((metrics_param->>'lines')::INTEGER, 0),
+        COALESCE((metrics_param->>'cables')::INTEGER, 0),
+        COALESCE((metrics_param->>'substations')::INTEGER, 0),
+        COALESCE((metrics_param->>'plants')::INTEGER, 0),
+        COALESCE((metrics_param->>'generators')::INTEGER, 0),
+        COALESCE((metrics_param->>'total')::INTEGER, 0),
+        COALESCE((metrics_param->>'line_km')::NUMERIC, 0),
+        COALESCE((metrics_param->>'cable_km')::NUMERIC, 0),
+        NOW()
+    )
+    ON CONFLICT (team_territory_id, phase) DO UPDATE SET
+        lines = EXCLUDED.lines,
+        cables = EXCLUDED.cables,
+        substations = EXCLUDED.substations,
+        plants = EXCLUDED.plants,
+        generators = EXCLUDED.generators,
+        total_features = EXCLUDED.total_features,
+        line_km = EXCLUDED.line_km,
+        cable_km = EXCLUDED.cable_km,
+        captured_at = NOW()
+    RETURNING * INTO snapshot_record;
+
+    RETURN json_build_object(
+        'success', true,
+        'assignment_id', snapshot_record.team_territory_id,
+        'phase', snapshot_record.phase,
+        'total_features', snapshot_record.total_features,
+        'line_km', snapshot_record.line_km,
+        'captured_at', snapshot_record.captured_at
+    );
 END;
 $$;
 
-GRANT EXECUTE ON FUNCTION update_territory_assignment_status(UUID, VARCHAR, UUID, TEXT) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION record_territory_snapshot(VARCHAR, UUID, UUID, VARCHAR, JSON) TO anon, authenticated;
 
--- Function: get_session_progress_overview
--- Purpose: Get comprehensive session progress statistics for coordinator dashboard
-CREATE OR REPLACE FUNCTION get_session_progress_overview(session_id_param VARCHAR(50))
+-- Function: get_session_impact_report
+-- Purpose: Compare start and end snapshots per territory, per team and for the session
+CREATE OR REPLACE FUNCTION get_session_impact_report(session_id_param VARCHAR(50))
 RETURNS JSON
 LANGUAGE plpgsql
 SECURITY DEFINER
 AS $$
 DECLARE
     result JSON;
-    session_status VARCHAR;
-    team_count INTEGER;
-    total_territories INTEGER;
-    completed_territories INTEGER;
-    current_territories INTEGER;
-    available_territories INTEGER;
 BEGIN
-    -- Get session status
-    SELECT status INTO session_status
-    FROM sessions
-    WHERE id = session_id_param;
-
-    IF session_status IS NULL THEN
+    IF NOT EXISTS (SELECT 1 FROM sessions WHERE id = session_id_param) THEN
         RAISE EXCEPTION 'Session % not found', session_id_param;
     END IF;
 
-    -- Count teams
-    SELECT COUNT(*) INTO team_count
-    FROM teams
-    WHERE session_id = session_id_param;
-
-    -- Count territories by status
-    SELECT
-        COUNT(*) as total,
-        COUNT(*) FILTER (WHERE status = 'completed') as completed,
-        COUNT(*) FILTER (WHERE status = 'current') as current,
-        COUNT(*) FILTER (WHERE status = 'available') as available
-    INTO total_territories, completed_territories, current_territories, available_territories
-    FROM team_territories
-    WHERE session_id = session_id_param;
-
-    -- Build comprehensive result
+    WITH snapshot_pairs AS (
+        SELECT
+            tt.id as assignment_id,
+            it.name as territory_name,
+            it.iso_code,
+            tt.status,
+            t.id as team_id,
+            t.team_name,
+            t.team_index,
+            st.id IS NOT NULL AND en.id IS NOT NULL as compared,
+            CASE WHEN st.id IS NOT NULL THEN json_build_object(
+                'lines', st.lines, 'cables', st.cables, 'substations', st.substations,
+                'plants', st.plants, 'generators', st.generators, 'total_features', st.total_features,
+                'line_km', ROUND(st.line_km, 1), 'cable_km', ROUND(st.cable_km, 1),
+                'captured_at', st.captured_at
+            ) END as start_snapshot,
+            CASE WHEN en.id IS NOT NULL THEN json_build_object(
+                'lines', en.lines, 'cables', en.cables, 'substations', en.substations,
+                'plants', en.plants, 'generators', en.generators, 'total_features', en.total_features,
+                'line_km', ROUND(en.line_km, 1), 'cable_km', ROUND(en.cable_km, 1),
+                'captured_at', en.captured_at
+            ) END as end_snapshot,
+            en.lines - st.lines as lines_change,
+            en.cables - st.cables as cables_change,
+            en.substations - st.substations as substations_change,
+            en.plants - st.plants as plants_change,
+            en.generators - st.generators as generators_change,
+            en.total_features - st.total_features as features_change,
+            en.line_km - st.line_km as line_km_change,
+            en.cable_km - st.cable_km as cable_km_change
+        FROM team_territories tt
+        JOIN territories it ON it.id = tt.territory_id
+        JOIN teams t ON t.id = tt.team_id
+        LEFT JOIN territory_snapshots st ON st.team_territory_id = tt.id AND st.phase = 'start'
+        LEFT JOIN territory_snapshots en ON en.team_territory_id = tt.id AND en.phase = 'end'
+        WHERE tt.session_id = session_id_param
+    )
     SELECT json_build_object(
         'session_id', session_id_param,
-        'session_status', session_status,
-        'team_count', team_count,
-        'total_territories', total_territories,
-        'completed_territories', completed_territories,
-        'current_territories', current_territories,
-        'available_territories', available_territories,
-        'completion_percentage', CASE
-            WHEN total_territories > 0
-            THEN ROUND((completed_territories::NUMERIC / total_territories) * 100, 2)
-            ELSE 0
-        END,
-        'teams_data', (
+        'session_status', (SELECT status FROM sessions WHERE id = session_id_param),
+        'territories_total', (SELECT COUNT(*) FROM snapshot_pairs),
+        'territories_with_start', (SELECT COUNT(*) FROM snapshot_pairs WHERE start_snapshot IS NOT NULL),
+        'territories_with_end', (SELECT COUNT(*) FROM snapshot_pairs WHERE end_snapshot IS NOT NULL),
+        'territories_compared', (SELECT COUNT(*) FROM snapshot_pairs WHERE compared),
+        'totals', (
+            SELECT json_build_object(
+                'lines', COALESCE(SUM(lines_change), 0),
+                'cables', COALESCE(SUM(cables_change), 0),
+                'substations', COALESCE(SUM(substations_change), 0),
+                'plants', COALESCE(SUM(plants_change), 0),
+                'generators', COALESCE(SUM(generators_change), 0),
+                'total_features', COALESCE(SUM(features_change), 0),
+                'line_km', ROUND(COALESCE(SUM(line_km_change), 0), 1),
+                'cable_km', ROUND(COALESCE(SUM(cable_km_change), 0), 1)
+            )
+            FROM snapshot_pairs
+            WHERE compared
+        ),
+        'teams', (
             SELECT COALESCE(json_agg(
                 json_build_object(
-                    'team_id', t.id,
-                    'team_name', t.team_name,
-                    'team_index', t.team_index,
-                    'total_territories', (
-                        SELECT COUNT(*)
-                        FROM team_territories tt
-                        WHERE tt.team_id = t.id
-                    ),
-                    'completed_territories', (
-                        SELECT COUNT(*)
-                        FROM team_territories tt
-                        WHERE tt.team_id = t.id AND tt.status = 'completed'
-                    ),
-                    'current_territories', (
-                        SELECT COUNT(*)
-                        FROM team_territories tt
-                        WHERE tt.team_id = t.id AND tt.status = 'current'
-                    ),
-                    'member_count', (
-                        SELECT COUNT(*)
-                        FROM team_members tm
-                        WHERE tm.team_id = t.id
+                    'team_id', team_id,
+                    'team_name', team_name,
+                    'team_index', team_index,
+                    'territories', territories,
+                    'territories_compared', territories_compared,
+                    'change', json_build_object(
+                        'lines', lines_change,
+                        'cables', cables_change,
+                        'substations', substations_change,
+                        'plants', plants_change,
+                        'generators', generators_change,
+                        'total_features', features_change,
+                        'line_km', ROUND(line_km_change, 1),
+                        'cable_km', ROUND(cable_km_change, 1)
                     )
                 )
-                ORDER BY t.team_index
+                ORDER BY features_change DESC, team_index
             ), '[]'::json)
-            FROM teams t
-            WHERE t.session_id = session_id_param
+            FROM (
+                SELECT
+                    team_id,
+                    team_name,
+                    team_index,
+                    COUNT(*) as territories,
+                    COUNT(*) FILTER (WHERE compared) as territories_compared,
+                    COALESCE(SUM(lines_change), 0) as lines_change,
+                    COALESCE(SUM(cables_change), 0) as cables_change,
+                    COALESCE(SUM(substations_change), 0) as substations_change,
+                    COALESCE(SUM(plants_change), 0) as plants_change,
+                    COALESCE(SUM(generators_change), 0) as generators_change,
+                    COALESCE(SUM(features_change), 0) as features_change,
+                    COALESCE(SUM(line_km_change), 0) as line_km_change,
+                    COALESCE(SUM(cable_km_change), 0) as cable_km_change
+                FROM snapshot_pairs
+                GROUP BY team_id, team_name, team_index
+            ) team_changes
+        ),
+        'territories', (
+            SELECT COALESCE(json_agg(
+                json_build_object(
+                    'assignment_id', assignment_id,
+                    'territory_name', territory_name,
+                    'iso_code', iso_code,
+                    'status', status,
+                    'team_id', team_id,
+                    'team_name', team_name,
+                    'start', start_snapshot,
+                    'end', end_snapshot,
+                    'change', CASE WHEN compared THEN json_build_object(
+                        'lines', lines_change,
+                        'cables', cables_change,
+                        'substations', substations_change,
+                        'plants', plants_change,
+                        'generators', generators_change,
+                        'total_features', features_change,
+                        'line_km', ROUND(line_km_change, 1),
+                        'cable_km', ROUND(cable_km_change, 1)
+                    ) END
+                )
+                ORDER BY team_index, territory_name
+            ), '[]'::json)
+            FROM snapshot_pairs
         )
     ) INTO result;
 
-    RETURN result;
+    RETURN result;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION get_session_impact_report(VARCHAR) TO anon, authenticated;
+
+-- ============================================================================
+-- OSMOSE ISSUE CLAIMS
+-- ============================================================================
+-- Teammates load the same Osmose issues, so they record what they are doing
+-- with each one: claimed (someone is on it), resolved or false_positive. Claims
+-- are keyed by the Osmose issue UUID per session and team; teams do not see
+-- each other's claims in the app. Removing a claim ('open') puts the issue back.
+-- When a participant reloads the issues, the browser sends the issue IDs
+-- Osmose still reports and auto_resolve_osmose_issue_claims resolves claimed
+-- issues that have disappeared (Osmose drops an issue once its cause is fixed).
+
+-- Function: update_osmose_issue_claim
+-- Purpose: Claim, release, resolve or mark false-positive an Osmose issue in a
+--          territory assigned to the participant's team. An issue claimed by a
+--          teammate cannot be claimed again until it is released.
+CREATE OR REPLACE FUNCTION update_osmose_issue_claim(
+    assignment_id_param UUID,
+    participant_id_param UUID,
+    participant_token_param UUID,
+    issue_param JSON,
+    new_status_param VARCHAR(20)
+)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    assignment_team_id UUID;
+    assignment_session_id VARCHAR(50);
+    issue_id_value VARCHAR;
+    claim_record osmose_issue_claims%ROWTYPE;
+    claimer_name VARCHAR;
+BEGIN
+    IF new_status_param NOT IN ('open', 'claimed', 'resolved', 'false_positive') THEN
+        RAISE EXCEPTION 'Invalid issue status: %. Must be open, claimed, resolved or false_positive', new_status_param;
+    END IF;
+
+    assignment_team_id := assert_assignment_member(assignment_id_param, participant_id_param, participant_token_param);
+
+    issue_id_value := NULLIF(TRIM(issue_param->>'id'), '');
+    IF issue_id_value IS NULL THEN
+        RAISE EXCEPTION 'Osmose issue ID is required';
+    END IF;
+
+    SELECT session_id INTO assignment_session_id
+    FROM team_territories
+    WHERE id = assignment_id_param;
+
+    SELECT * INTO claim_record
+    FROM osmose_issue_claims
+    WHERE session_id = assignment_session_id
+    AND team_id = assignment_team_id
+    AND issue_id = issue_id_value;
+
+    IF new_status_param = 'claimed'
+       AND claim_record.status = 'claimed'
+       AND claim_record.claimed_by IS DISTINCT FROM participant_id_param THEN
+        SELECT first_name INTO claimer_name FROM participants WHERE id = claim_record.claimed_by;
+        RAISE EXCEPTION 'Osmose issue % is already claimed by %', issue_id_value, COALESCE(claimer_name, 'a teammate');
+    END IF;
+
+    IF new_status_param = 'open' THEN
+        DELETE FROM osmose_issue_claims
+        WHERE session_id = assignment_session_id
+        AND team_id = assignment_team_id
+        AND issue_id = issue_id_value;
+
+        RETURN json_build_object(
+            'success', true,
+            'issue_id', issue_id_value,
+            'status', 'open'
+        );
+    END IF;
+
+    INSERT INTO osmose_issue_claims (
+        session_id, team_id, team_territory_id, issue_id, issue_type, title, lat, lon,
+        status, claimed_by, updated_by, auto_resolved, created_at, updated_at
+    ) VALUES (
+        assignment_session_id,
+        assignment_team_id,
+        assignment_id_param,
+        issue_id_value,
+        issue_param->>'issue_type',
+        issue_param->>'title',
+        (issue_param->>'lat')::NUMERIC,
+        (issue_param->>'lon')::NUMERIC,
+        new_status_param,
+        CASE WHEN new_status_param = 'claimed' THEN participant_id_param END,
+        participant_id_param,
+        false,
+        NOW(),
+        NOW()
+    )
+    ON CONFLICT (session_id, team_id, issue_id) DO UPDATE SET
+        team_territory_id = EXCLUDED.team_territory_id,
+        status = EXCLUDED.status,
+        claimed_by = CASE WHEN EXCLUDED.status = 'claimed' THEN EXCLUDED.claimed_by ELSE osmose_issue_claims.claimed_by END,
+        updated_by = EXCLUDED.updated_by,
+        auto_resolved = false,
+        updated_at = NOW()
+    RETURNING * INTO claim_record;
+
+    RETURN json_build_object(
+        'success', true,
+        'issue_id', claim_record.issue_id,
+        'status', claim_record.status,
+        'claimed_by', claim_record.claimed_by,
+        'updated_at', claim_record.updated_at
+    );
 END;
 $$;
 
-GRANT EXECUTE ON FUNCTION get_session_progress_overview(VARCHAR) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION update_osmose_issue_claim(UUID, UUID, UUID, JSON, VARCHAR) TO anon, authenticated;
 
--- Function: get_team_leaderboard_for_session
--- Purpose: Get team rankings by completion percentage
-CREATE OR REPLACE FUNCTION get_team_leaderboard_for_session(session_id_param VARCHAR(50))
+-- Function: auto_resolve_osmose_issue_claims
+-- Purpose: Resolve a territory's claimed issues that Osmose no longer reports.
+--          Only issues of the types that were actually re-checked are considered,
+--          so a type that failed to load does not resolve its claims.
+CREATE OR REPLACE FUNCTION auto_resolve_osmose_issue_claims(
+    assignment_id_param UUID,
+    participant_id_param UUID,
+    participant_token_param UUID,
+    current_issue_ids_param JSON,
+    checked_issue_types_param JSON
+)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    assignment_team_id UUID;
+    resolved_ids JSON;
+BEGIN
+    assignment_team_id := assert_assignment_member(assignment_id_param, participant_id_param, participant_token_param);
+
+    WITH resolved AS (
+        UPDATE osmose_issue_claims
+        SET status = 'resolved',
+            auto_resolved = true,
+            updated_by = NULL,
+            updated_at = NOW()
+        WHERE team_id = assignment_team_id
+        AND team_territory_id = assignment_id_param
+        AND status = 'claimed'
+        AND issue_type IN (SELECT json_array_elements_text(COALESCE(checked_issue_types_param, '[]'::json)))
+        AND issue_id NOT IN (SELECT json_array_elements_text(COALESCE(current_issue_ids_param, '[]'::json)))
+        RETURNING issue_id
+    )
+    SELECT COALESCE(json_agg(issue_id), '[]'::json) INTO resolved_ids FROM resolved;
+
+    RETURN json_build_object(
+        'success', true,
+        'assignment_id', assignment_id_param,
+        'resolved_count', json_array_length(resolved_ids),
+        'resolved_issue_ids', resolved_ids
+    );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION auto_resolve_osmose_issue_claims(UUID, UUID, UUID, JSON, JSON) TO anon, authenticated;
+
+-- Function: get_team_osmose_issue_claims
+-- Purpose: A team's Osmose issue claims with the names of who claimed and last
+--          updated them, for the map popups and markers
+CREATE OR REPLACE FUNCTION get_team_osmose_issue_claims(team_id_param UUID)
 RETURNS JSON
 LANGUAGE plpgsql
 SECURITY DEFINER
@@ -1032,210 +3793,371 @@ AS $$
 DECLARE
     result JSON;
 BEGIN
-    SELECT COALESCE(json_agg(
-        json_build_object(
-            'rank', row_number() OVER (ORDER BY completion_percentage DESC, team_name),
-            'team_id', team_id,
-            'team_name', team_name,
-            'team_index', team_index,
-            'total_territories', total_territories,
-            'completed_territories', completed_territories,
-            'current_territories', current_territories,
-            'completion_percentage', completion_percentage
-        )
-        ORDER BY completion_percentage DESC, team_name
-    ), '[]'::json) INTO result
-    FROM (
-        SELECT
-            t.id as team_id,
-            t.team_name,
-            t.team_index,
-            COUNT(tt.id) as total_territories,
-            COUNT(tt.id) FILTER (WHERE tt.status = 'completed') as completed_territories,
-            COUNT(tt.id) FILTER (WHERE tt.status = 'current') as current_territories,
-            CASE
-                WHEN COUNT(tt.id) > 0
-                THEN ROUND((COUNT(tt.id) FILTER (WHERE tt.status = 'completed')::NUMERIC / COUNT(tt.id)) * 100, 2)
-                ELSE 0
-            END as completion_percentage
-        FROM teams t
-        LEFT JOIN team_territories tt ON tt.team_id = t.id
-        WHERE t.session_id = session_id_param
-        GROUP BY t.id, t.team_name, t.team_index
-    ) team_stats;
+    SELECT json_build_object(
+        'team_id', team_id_param,
+        'claimed', COUNT(*) FILTER (WHERE c.status = 'claimed'),
+        'resolved', COUNT(*) FILTER (WHERE c.status = 'resolved'),
+        'false_positive', COUNT(*) FILTER (WHERE c.status = 'false_positive'),
+        'claims', COALESCE(json_agg(
+            json_build_object(
+                'issue_id', c.issue_id,
+                'assignment_id', c.team_territory_id,
+                'issue_type', c.issue_type,
+                'title', c.title,
+                'lat', c.lat,
+                'lon', c.lon,
+                'status', c.status,
+                'auto_resolved', c.auto_resolved,
+                'claimed_by', c.claimed_by,
+                'claimed_by_name', claimer.first_name,
+                'updated_by_name', updater.first_name,
+                'updated_at', c.updated_at
+            ) ORDER BY c.updated_at DESC
+        ) FILTER (WHERE c.id IS NOT NULL), '[]'::json)
+    ) INTO result
+    FROM osmose_issue_claims c
+    LEFT JOIN participants claimer ON claimer.id = c.claimed_by
+    LEFT JOIN participants updater ON updater.id = c.updated_by
+    WHERE c.team_id = team_id_param;
 
     RETURN result;
 END;
 $$;
 
-GRANT EXECUTE ON FUNCTION get_team_leaderboard_for_session(VARCHAR) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION get_team_osmose_issue_claims(UUID) TO anon, authenticated;
 
--- Function: verify_session_teams
--- Purpose: Verify session team composition and validate session isolation
-CREATE OR REPLACE FUNCTION verify_session_teams(session_id_param VARCHAR(50))
+-- ============================================================================
+-- TERRITORY BOUNDARY CACHE
+-- ============================================================================
+-- Territory maps draw each state's boundary from its OSM relation geometry.
+-- Browsers keep the simplified GeoJSON in IndexedDB (see js/boundaryCache.js)
+-- and share it through territory_boundaries, so Overpass is asked for a
+-- relation once rather than by every map on every visit. The table is read
+-- directly (SELECT); writes go through save_territory_boundary.
+
+-- Function: save_territory_boundary
+-- Purpose: Store a territory's simplified boundary for every browser to reuse.
+--          The caller must belong to a session: coordinators pass the session ID and
+--          coordinator token, participants their ID and access token.
+--          The cache version is the app's BOUNDARY_CACHE_VERSION (js/boundaryCache.js),
+--          so the server keeps no copy of it: a boundary is added when none is stored,
+--          replaces one of an older version or an expired one, and is never stored over
+--          one of a newer version. A fresh boundary of the same version is shared by
+--          every session and is never replaced from a browser.
+CREATE OR REPLACE FUNCTION save_territory_boundary(
+    osm_relation_id_param BIGINT,
+    cache_version_param INTEGER,
+    boundary_param JSON,
+    session_id_param VARCHAR(50),
+    coordinator_token_param UUID,
+    participant_id_param UUID,
+    participant_token_param UUID
+)
 RETURNS JSON
 LANGUAGE plpgsql
 SECURITY DEFINER
 AS $$
 DECLARE
-    result JSON;
-    total_teams INTEGER;
-    total_members INTEGER;
-    cross_session_violations INTEGER;
-    teams_without_members INTEGER;
+    max_boundary_bytes INTEGER := 1000000;
+    -- Keep in step with maxAgeDays in js/boundaryCache.js
+    max_boundary_age INTERVAL := INTERVAL '90 days';
+    boundary_record territory_boundaries%ROWTYPE;
 BEGIN
-    -- Count teams
-    SELECT COUNT(*) INTO total_teams
-    FROM teams
-    WHERE session_id = session_id_param;
+    IF coordinator_token_param IS NOT NULL THEN
+        PERFORM assert_session_coordinator(session_id_param, coordinator_token_param);
+    ELSE
+        PERFORM assert_participant_token(participant_id_param, participant_token_param);
+    END IF;
 
-    -- Count team members
-    SELECT COUNT(*) INTO total_members
-    FROM team_members tm
-    JOIN teams t ON t.id = tm.team_id
-    WHERE t.session_id = session_id_param;
+    IF NOT EXISTS (SELECT 1 FROM territories WHERE osm_relation_id = osm_relation_id_param) THEN
+        RAISE EXCEPTION 'No territory with OSM relation %', osm_relation_id_param;
+    END IF;
 
-    -- Check for session isolation violations
-    SELECT COUNT(*) INTO cross_session_violations
-    FROM team_members tm
-    JOIN teams t ON t.id = tm.team_id
-    JOIN participants p ON p.id = tm.participant_id
-    WHERE t.session_id = session_id_param
-    AND p.session_id != session_id_param;
+    IF cache_version_param IS NULL OR cache_version_param < 1 THEN
+        RAISE EXCEPTION 'A boundary cache version is required';
+    END IF;
 
-    -- Count teams without members
-    SELECT COUNT(*) INTO teams_without_members
-    FROM teams t
-    WHERE t.session_id = session_id_param
-    AND NOT EXISTS (
-        SELECT 1 FROM team_members tm WHERE tm.team_id = t.id
+    IF boundary_param IS NULL
+       OR boundary_param->>'type' <> 'Feature'
+       OR boundary_param->'geometry'->>'type' NOT IN ('Polygon', 'MultiPolygon') THEN
+        RAISE EXCEPTION 'Boundary must be a GeoJSON Feature with a Polygon or MultiPolygon geometry';
+    END IF;
+
+    IF octet_length(boundary_param::TEXT) > max_boundary_bytes THEN
+        RAISE EXCEPTION 'Boundary for relation % is too large to cache (% bytes); simplify it first',
+            osm_relation_id_param, octet_length(boundary_param::TEXT);
+    END IF;
+
+    INSERT INTO territory_boundaries (osm_relation_id, cache_version, geojson, fetched_at)
+    VALUES (osm_relation_id_param, cache_version_param, boundary_param::JSONB, NOW())
+    ON CONFLICT (osm_relation_id) DO UPDATE SET
+        cache_version = EXCLUDED.cache_version,
+        geojson = EXCLUDED.geojson,
+        fetched_at = NOW()
+    WHERE territory_boundaries.cache_version < EXCLUDED.cache_version
+       OR (territory_boundaries.cache_version = EXCLUDED.cache_version
+           AND (territory_boundaries.fetched_at IS NULL
+                OR territory_boundaries.fetched_at < NOW() - max_boundary_age))
+    RETURNING * INTO boundary_record;
+
+    -- A fresh boundary or one of a newer version is already stored: keep it
+    IF NOT FOUND THEN
+        SELECT * INTO boundary_record
+        FROM territory_boundaries
+        WHERE osm_relation_id = osm_relation_id_param;
+
+        RETURN json_build_object(
+            'success', true,
+            'osm_relation_id', osm_relation_id_param,
+            'cache_version', boundary_record.cache_version,
+            'saved', false
+        );
+    END IF;
+
+    RETURN json_build_object(
+        'success', true,
+        'osm_relation_id', boundary_record.osm_relation_id,
+        'cache_version', boundary_record.cache_version,
+        'saved', true,
+        'fetched_at', boundary_record.fetched_at
     );
+END;
+$$;
 
-    -- Build result
-    SELECT json_build_object(
-        'session_id', session_id_param,
-        'total_teams', total_teams,
-        'total_members', total_members,
-        'teams_without_members', teams_without_members,
-        'cross_session_violations', cross_session_violations,
-        'session_isolation_valid', (cross_session_violations = 0),
-        'all_teams_have_members', (teams_without_members = 0),
-        'verification_passed', (cross_session_violations = 0 AND teams_without_members = 0)
-    ) INTO result;
+GRANT EXECUTE ON FUNCTION save_territory_boundary(BIGINT, INTEGER, JSON, VARCHAR, UUID, UUID, UUID) TO anon, authenticated;
 
-    RETURN result;
+-- ============================================================================
+-- SESSION LIFECYCLE
+-- ============================================================================
+-- registering -> teams_formed -> active -> completed -> archived.
+-- A completed (closed) or archived session is frozen: assert_session_open()
+-- rejects team, territory and work unit changes. reset_session() wipes teams
+-- and assignments so a session can start over; clone_session() copies a
+-- session's settings into a new session ID.
+
+-- Function: close_session
+-- Purpose: End a session. Territory and work unit statuses are frozen as they are.
+CREATE OR REPLACE FUNCTION close_session(
+    session_id_param VARCHAR(50),
+    coordinator_token_param UUID
+)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    session_record sessions%ROWTYPE;
+BEGIN
+    PERFORM assert_session_coordinator(session_id_param, coordinator_token_param);
+    PERFORM assert_session_open(session_id_param);
+
+    UPDATE sessions
+    SET status = 'completed',
+        completed_at = NOW()
+    WHERE id = session_id_param
+    RETURNING * INTO session_record;
+
+    RETURN json_build_object(
+        'success', true,
+        'session_id', session_record.id,
+        'status', session_record.status,
+        'completed_at', session_record.completed_at
+    );
 END;
 $$;
 
-GRANT EXECUTE ON FUNCTION verify_session_teams(VARCHAR) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION close_session(VARCHAR, UUID) TO anon, authenticated;
 
--- Function: validate_territory_assignments
--- Purpose: Validate territory assignments for a session
-CREATE OR REPLACE FUNCTION validate_territory_assignments(session_id_param VARCHAR(50))
+-- Function: archive_session
+-- Purpose: Archive a session so it no longer shows up as in progress.
+--          Closes it first if it is still open.
+CREATE OR REPLACE FUNCTION archive_session(
+    session_id_param VARCHAR(50),
+    coordinator_token_param UUID
+)
 RETURNS JSON
 LANGUAGE plpgsql
 SECURITY DEFINER
 AS $$
 DECLARE
-    result JSON;
-    total_assignments INTEGER;
-    duplicate_territories INTEGER;
-    orphaned_assignments INTEGER;
-    territories_per_team JSON;
+    session_record sessions%ROWTYPE;
 BEGIN
-    -- Count total assignments
-    SELECT COUNT(*) INTO total_assignments
-    FROM team_territories
-    WHERE session_id = session_id_param;
+    PERFORM assert_session_coordinator(session_id_param, coordinator_token_param);
 
-    -- Check for duplicate territory assignments (same territory to multiple teams)
-    SELECT COUNT(*) INTO duplicate_territories
-    FROM (
-        SELECT territory_id
-        FROM team_territories
-        WHERE session_id = session_id_param
-        GROUP BY territory_id
-        HAVING COUNT(*) > 1
-    ) duplicates;
+    UPDATE sessions
+    SET status = 'archived',
+        completed_at = COALESCE(completed_at, NOW()),
+        archived_at = NOW()
+    WHERE id = session_id_param
+    AND status <> 'archived'
+    RETURNING * INTO session_record;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Session % is already archived', session_id_param;
+    END IF;
 
-    -- Check for orphaned assignments (team or territory doesn't exist)
-    SELECT COUNT(*) INTO orphaned_assignments
-    FROM team_territories tt
-    WHERE tt.session_id = session_id_param
-    AND (
-        NOT EXISTS (SELECT 1 FROM teams t WHERE t.id = tt.team_id)
-        OR NOT EXISTS (SELECT 1 FROM indian_territories it WHERE it.id = tt.territory_id)
+    RETURN json_build_object(
+        'success', true,
+        'session_id', session_record.id,
+        'status', session_record.status,
+        'archived_at', session_record.archived_at
     );
+END;
+$$;
 
-    -- Get distribution of territories per team
-    SELECT json_agg(
-        json_build_object(
-            'team_name', t.team_name,
-            'territory_count', COUNT(tt.id)
-        )
-        ORDER BY t.team_index
-    ) INTO territories_per_team
-    FROM teams t
-    LEFT JOIN team_territories tt ON tt.team_id = t.id
-    WHERE t.session_id = session_id_param
-    GROUP BY t.id, t.team_name, t.team_index;
+GRANT EXECUTE ON FUNCTION archive_session(VARCHAR, UUID) TO anon, authenticated;
 
-    -- Build result
-    SELECT json_build_object(
-        'session_id', session_id_param,
-        'total_assignments', total_assignments,
-        'duplicate_territories', duplicate_territories,
-        'orphaned_assignments', orphaned_assignments,
-        'no_duplicates', (duplicate_territories = 0),
-        'no_orphans', (orphaned_assignments = 0),
-        'validation_passed', (duplicate_territories = 0 AND orphaned_assignments = 0),
-        'territories_per_team', COALESCE(territories_per_team, '[]'::json)
-    ) INTO result;
+-- Function: reset_session
+-- Purpose: Delete a session's teams, memberships, territory assignments, work units,
+--          recorded changesets, snapshots and Osmose issue claims so team formation
+--          can run again.
+--          Participants, settings and the territory_reassignments audit log stay;
+--          log entries are stamped with session_reset_at.
+--          A closed session is reopened; an archived session cannot be reset.
+CREATE OR REPLACE FUNCTION reset_session(
+    session_id_param VARCHAR(50),
+    coordinator_token_param UUID
+)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    work_units_deleted INTEGER;
+    changesets_deleted INTEGER;
+    snapshots_deleted INTEGER;
+    claims_deleted INTEGER;
+    assignments_deleted INTEGER;
+    members_deleted INTEGER;
+    teams_deleted INTEGER;
+BEGIN
+    PERFORM assert_session_coordinator(session_id_param, coordinator_token_param);
 
-    RETURN result;
+    IF EXISTS (SELECT 1 FROM sessions WHERE id = session_id_param AND status = 'archived') THEN
+        RAISE EXCEPTION 'Session % is archived and cannot be reset. Clone it instead.', session_id_param;
+    END IF;
+
+    DELETE FROM work_units WHERE session_id = session_id_param;
+    GET DIAGNOSTICS work_units_deleted = ROW_COUNT;
+
+    DELETE FROM territory_changesets WHERE session_id = session_id_param;
+    GET DIAGNOSTICS changesets_deleted = ROW_COUNT;
+
+    DELETE FROM territory_snapshots WHERE session_id = session_id_param;
+    GET DIAGNOSTICS snapshots_deleted = ROW_COUNT;
+
+    DELETE FROM osmose_issue_claims WHERE session_id = session_id_param;
+    GET DIAGNOSTICS claims_deleted = ROW_COUNT;
+
+    -- Kept as an audit log; deleting teams and assignments below clears their references
+    UPDATE territory_reassignments
+    SET session_reset_at = NOW()
+    WHERE session_id = session_id_param
+    AND session_reset_at IS NULL;
+
+    DELETE FROM team_territories WHERE session_id = session_id_param;
+    GET DIAGNOSTICS assignments_deleted = ROW_COUNT;
+
+    DELETE FROM team_members
+    WHERE team_id IN (SELECT id FROM teams WHERE session_id = session_id_param);
+    GET DIAGNOSTICS members_deleted = ROW_COUNT;
+
+    DELETE FROM teams WHERE session_id = session_id_param;
+    GET DIAGNOSTICS teams_deleted = ROW_COUNT;
+
+    UPDATE sessions
+    SET status = 'registering',
+        teams_formed_at = NULL,
+        completed_at = NULL,
+        distribution_strategy = NULL
+    WHERE id = session_id_param;
+
+    RETURN json_build_object(
+        'success', true,
+        'session_id', session_id_param,
+        'status', 'registering',
+        'teams_deleted', teams_deleted,
+        'members_deleted', members_deleted,
+        'assignments_deleted', assignments_deleted,
+        'work_units_deleted', work_units_deleted,
+        'changesets_deleted', changesets_deleted,
+        'snapshots_deleted', snapshots_deleted,
+        'osmose_claims_deleted', claims_deleted
+    );
 END;
 $$;
 
-GRANT EXECUTE ON FUNCTION validate_territory_assignments(VARCHAR) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION reset_session(VARCHAR, UUID) TO anon, authenticated;
 
--- Function: get_territory_statistics
--- Purpose: Get global territory statistics (optional utility function)
-CREATE OR REPLACE FUNCTION get_territory_statistics()
+-- Function: clone_session
+-- Purpose: Create a new session with the same settings (name, country, team size,
+--          distribution strategy, Osmose issue types) and coordinator passphrase. Participants are
+--          copied without device links when include_participants_param is true.
+CREATE OR REPLACE FUNCTION clone_session(
+    session_id_param VARCHAR(50),
+    coordinator_token_param UUID,
+    new_session_id_param VARCHAR(50),
+    include_participants_param BOOLEAN DEFAULT false
+)
 RETURNS JSON
 LANGUAGE plpgsql
 SECURITY DEFINER
 AS $$
 DECLARE
-    result JSON;
+    new_token UUID;
+    participants_copied INTEGER := 0;
 BEGIN
-    SELECT json_build_object(
-        'total_territories', COUNT(*),
-        'active_territories', COUNT(*) FILTER (WHERE is_active = true),
-        'inactive_territories', COUNT(*) FILTER (WHERE is_active = false),
-        'states', COUNT(*) FILTER (WHERE place_type = 'state'),
-        'union_territories', COUNT(*) FILTER (WHERE place_type IN ('union_territory', 'territory')),
-        'territories_by_type', (
-            SELECT json_object_agg(place_type, count)
-            FROM (
-                SELECT place_type, COUNT(*) as count
-                FROM indian_territories
-                GROUP BY place_type
-            ) type_counts
-        ),
-        'territories_with_iso_code', COUNT(*) FILTER (WHERE iso_code IS NOT NULL AND iso_code != ''),
-        'territories_ready_for_overpass', COUNT(*) FILTER (
-            WHERE iso_code IS NOT NULL
-            AND iso_code != ''
-            AND is_active = true
-        )
-    ) INTO result
-    FROM indian_territories;
+    PERFORM assert_session_coordinator(session_id_param, coordinator_token_param);
 
-    RETURN result;
+    IF new_session_id_param IS NULL OR length(trim(new_session_id_param)) < 3 THEN
+        RAISE EXCEPTION 'Session ID must be at least 3 characters long';
+    END IF;
+
+    IF EXISTS (SELECT 1 FROM sessions WHERE id = new_session_id_param) THEN
+        RAISE EXCEPTION 'Session % already exists', new_session_id_param;
+    END IF;
+
+    INSERT INTO sessions (id, name, description, status, country_code, distribution_strategy, team_size, osmose_issue_types, cloned_from)
+    SELECT
+        new_session_id_param,
+        'Session ' || new_session_id_param,
+        s.description,
+        'registering',
+        s.country_code,
+        s.distribution_strategy,
+        s.team_size,
+        s.osmose_issue_types,
+        s.id
+    FROM sessions s
+    WHERE s.id = session_id_param;
+
+    INSERT INTO session_coordinators (session_id, passphrase_hash, last_login_at)
+    SELECT new_session_id_param, sc.passphrase_hash, NOW()
+    FROM session_coordinators sc
+    WHERE sc.session_id = session_id_param
+    RETURNING coordinator_token INTO new_token;
+
+    IF include_participants_param THEN
+        INSERT INTO participants (first_name, osm_username, session_id, role_preference, experience_level)
+        SELECT p.first_name, p.osm_username, new_session_id_param, p.role_preference, p.experience_level
+        FROM participants p
+        WHERE p.session_id = session_id_param
+        ORDER BY p.created_at;
+
+        GET DIAGNOSTICS participants_copied = ROW_COUNT;
+    END IF;
+
+    RETURN json_build_object(
+        'success', true,
+        'session_id', new_session_id_param,
+        'cloned_from', session_id_param,
+        'coordinator_token', new_token,
+        'participants_copied', participants_copied
+    );
 END;
 $$;
 
-GRANT EXECUTE ON FUNCTION get_territory_statistics() TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION clone_session(VARCHAR, UUID, VARCHAR, BOOLEAN) TO anon, authenticated;
 
 -- ============================================================================
 -- SESSION ISOLATION ENFORCEMENT
@@ -1328,6 +4250,11 @@ ENFORCEMENT LAYERS:
    - Prevents INSERT/UPDATE that would violate session boundaries
    - Cannot be bypassed by application code
 
+4. ACCESS LAYER (sql/rls_policies.sql):
+   - anon has read-only table access; all writes go through RPC functions
+   - Participant writes require the participant access token
+   - Coordinator writes require the coordinator token
+
 EXAMPLE ENFORCEMENT:
 
 -- This will SUCCEED (same session):
@@ -1341,18 +4268,20 @@ ERROR: Session mismatch: Participant belongs to session "testalpha"
 TESTING SESSION ISOLATION:
 
 -- 1. Create two sessions with participants
-INSERT INTO sessions (id, name) VALUES ('session_a', 'Session A');
-INSERT INTO sessions (id, name) VALUES ('session_b', 'Session B');
-INSERT INTO participants (first_name, osm_username, session_id)
-VALUES ('Alice', 'alice_osm', 'session_a');
-INSERT INTO participants (first_name, osm_username, session_id)
-VALUES ('Bob', 'bob_osm', 'session_b');
-
--- 2. Form teams for each session
-SELECT create_teams_with_role_assignment('session_a', 3);
-SELECT create_teams_with_role_assignment('session_b', 3);
-
--- 3. Try to move Alice to Bob's team (should FAIL)
+SELECT coordinator_login('session_a', 'session-a-passphrase');
+SELECT coordinator_login('session_b', 'session-b-passphrase');
+SELECT register_participant('session_a', 'Alice', 'alice_osm');
+SELECT register_participant('session_b', 'Bob', 'bob_osm');
+
+-- 2. Form teams for each session (as the postgres role, reading each
+--    session's coordinator token directly)
+SELECT create_teams_with_role_assignment('session_a',
+    (SELECT coordinator_token FROM session_coordinators WHERE session_id = 'session_a'), 3);
+SELECT create_teams_with_role_assignment('session_b',
+    (SELECT coordinator_token FROM session_coordinators WHERE session_id = 'session_b'), 3);
+
+-- 3. Try to move Alice to Bob's team (should FAIL; run as postgres, since
+--    anon has no direct write access to team_members)
 UPDATE team_members
 SET team_id = (SELECT id FROM teams WHERE session_id = 'session_b' LIMIT 1)
 WHERE participant_id = (SELECT id FROM participants WHERE osm_username = 'alice_osm');
@@ -1361,11 +4290,12 @@ WHERE participant_id = (SELECT id FROM participants WHERE osm_username = 'alice_
 
 COORDINATOR WORKFLOW:
 
-When a coordinator logs in with session ID "testalpha-COORD":
-1. cleanSessionId() strips suffix -> "testalpha"
+When a coordinator logs in to session "testalpha" with its passphrase:
+1. coordinator_login() checks the passphrase and returns the coordinator token
 2. All operations use session_id = "testalpha"
 3. Only participants with session_id = "testalpha" are visible
-4. Only teams with session_id = "testalpha" are created/modified
+4. Only teams with session_id = "testalpha" are created/modified, and only
+   when the coordinator token for "testalpha" is supplied
 5. Database trigger prevents accidents
 
 This multi-layer approach ensures session isolation is GUARANTEED, not just
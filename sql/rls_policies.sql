@@ -12,10 +12,15 @@
 -- - These policies allow controlled access for the public-facing app
 --
 -- SECURITY MODEL:
--- - Allow anyone to check/create sessions (needed for registration)
--- - Allow anyone to register as participant
--- - Allow anyone to read team and territory data
--- - Allow participants to update their territory status
+-- - anon can only READ tables; it has no INSERT/UPDATE/DELETE on any table
+-- - Every write goes through a SECURITY DEFINER function:
+--   - Coordinators create sessions, form teams, distribute territories and
+--     edit team members with the session's coordinator token
+--   - Participants register with register_participant(), which issues a
+--     session-scoped access token
+--   - Territory status and own-role changes require that access token, and
+--     territory updates are limited to members of the assigned team
+-- - Secrets (session_coordinators, participant_credentials) are never exposed to anon
 -- - All operations are still validated by database functions and triggers
 -- ============================================================================
 
@@ -41,23 +46,37 @@ BEGIN
     RAISE NOTICE '📋 Step 1: Granting table-level permissions to anon role...';
 END $$;
 
--- Sessions table: SELECT and INSERT (for checking/creating sessions)
-GRANT SELECT, INSERT, UPDATE ON public.sessions TO anon;
-
--- Indian territories table: SELECT and INSERT (for reading and populating territories)
-GRANT SELECT, INSERT, UPDATE ON public.indian_territories TO anon;
-
--- Participants table: SELECT and INSERT (for registration)
-GRANT SELECT, INSERT ON public.participants TO anon;
-
--- Teams table: SELECT and INSERT (for team creation)
-GRANT SELECT, INSERT, UPDATE ON public.teams TO anon;
-
--- Team members table: SELECT, INSERT, UPDATE (for team assignments)
-GRANT SELECT, INSERT, UPDATE ON public.team_members TO anon;
-
--- Team territories table: SELECT, INSERT, UPDATE (for territory assignments and status)
-GRANT SELECT, INSERT, UPDATE ON public.team_territories TO anon;
+-- Remove any write access granted by earlier versions of this script
+REVOKE INSERT, UPDATE, DELETE ON public.sessions FROM anon;
+REVOKE INSERT, UPDATE, DELETE ON public.territories FROM anon;
+REVOKE INSERT, UPDATE, DELETE ON public.participants FROM anon;
+REVOKE INSERT, UPDATE, DELETE ON public.teams FROM anon;
+REVOKE INSERT, UPDATE, DELETE ON public.team_members FROM anon;
+REVOKE INSERT, UPDATE, DELETE ON public.team_territories FROM anon;
+REVOKE INSERT, UPDATE, DELETE ON public.work_units FROM anon;
+REVOKE INSERT, UPDATE, DELETE ON public.territory_changesets FROM anon;
+REVOKE INSERT, UPDATE, DELETE ON public.territory_snapshots FROM anon;
+REVOKE INSERT, UPDATE, DELETE ON public.osmose_issue_claims FROM anon;
+REVOKE INSERT, UPDATE, DELETE ON public.territory_boundaries FROM anon;
+REVOKE INSERT, UPDATE, DELETE ON public.territory_reassignments FROM anon;
+
+-- Read-only access; all writes go through SECURITY DEFINER functions
+GRANT SELECT ON public.sessions TO anon;
+GRANT SELECT ON public.territories TO anon;
+GRANT SELECT ON public.participants TO anon;
+GRANT SELECT ON public.teams TO anon;
+GRANT SELECT ON public.team_members TO anon;
+GRANT SELECT ON public.team_territories TO anon;
+GRANT SELECT ON public.work_units TO anon;
+GRANT SELECT ON public.territory_changesets TO anon;
+GRANT SELECT ON public.territory_snapshots TO anon;
+GRANT SELECT ON public.osmose_issue_claims TO anon;
+GRANT SELECT ON public.territory_boundaries TO anon;
+GRANT SELECT ON public.territory_reassignments TO anon;
+
+-- Secret tables: no access (read only by SECURITY DEFINER functions)
+REVOKE ALL ON public.session_coordinators FROM anon, authenticated;
+REVOKE ALL ON public.participant_credentials FROM anon, authenticated;
 
 -- Grant usage on sequences (needed for auto-incrementing IDs if any)
 GRANT USAGE ON ALL SEQUENCES IN SCHEMA public TO anon;
@@ -65,12 +84,19 @@ GRANT USAGE ON ALL SEQUENCES IN SCHEMA public TO anon;
 DO $$
 BEGIN
     RAISE NOTICE '   ✓ Table permissions granted to anon role';
-    RAISE NOTICE '     - sessions: SELECT, INSERT, UPDATE';
-    RAISE NOTICE '     - indian_territories: SELECT, INSERT, UPDATE';
-    RAISE NOTICE '     - participants: SELECT, INSERT';
-    RAISE NOTICE '     - teams: SELECT, INSERT, UPDATE';
-    RAISE NOTICE '     - team_members: SELECT, INSERT, UPDATE';
-    RAISE NOTICE '     - team_territories: SELECT, INSERT, UPDATE';
+    RAISE NOTICE '     - sessions: SELECT';
+    RAISE NOTICE '     - territories: SELECT';
+    RAISE NOTICE '     - participants: SELECT';
+    RAISE NOTICE '     - teams: SELECT';
+    RAISE NOTICE '     - team_members: SELECT';
+    RAISE NOTICE '     - team_territories: SELECT';
+    RAISE NOTICE '     - work_units: SELECT';
+    RAISE NOTICE '     - territory_changesets: SELECT';
+    RAISE NOTICE '     - territory_snapshots: SELECT';
+    RAISE NOTICE '     - osmose_issue_claims: SELECT';
+    RAISE NOTICE '     - territory_boundaries: SELECT';
+    RAISE NOTICE '     - territory_reassignments: SELECT';
+    RAISE NOTICE '     - session_coordinators, participant_credentials: no access';
     RAISE NOTICE '';
 END $$;
 
@@ -84,15 +110,23 @@ BEGIN
 END $$;
 
 ALTER TABLE public.sessions ENABLE ROW LEVEL SECURITY;
-ALTER TABLE public.indian_territories ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.territories ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.participants ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.teams ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.team_members ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.team_territories ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.work_units ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.territory_changesets ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.territory_snapshots ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.osmose_issue_claims ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.territory_boundaries ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.territory_reassignments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.session_coordinators ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.participant_credentials ENABLE ROW LEVEL SECURITY;
 
 DO $$
 BEGIN
-    RAISE NOTICE '   ✓ RLS enabled on 6 tables';
+    RAISE NOTICE '   ✓ RLS enabled on 14 tables (secret tables have no anon policies)';
     RAISE NOTICE '';
 END $$;
 
@@ -105,7 +139,7 @@ BEGIN
     RAISE NOTICE '📋 Step 3: Creating policies for sessions table...';
 END $$;
 
--- Drop existing policies if they exist
+-- Drop existing policies if they exist (insert/update policies are no longer used)
 DROP POLICY IF EXISTS "Allow anon to read sessions" ON public.sessions;
 DROP POLICY IF EXISTS "Allow anon to insert sessions" ON public.sessions;
 DROP POLICY IF EXISTS "Allow anon to update sessions" ON public.sessions;
@@ -117,64 +151,35 @@ CREATE POLICY "Allow anon to read sessions"
     TO anon
     USING (true);
 
--- Allow anyone to create new sessions
-CREATE POLICY "Allow anon to insert sessions"
-    ON public.sessions
-    FOR INSERT
-    TO anon
-    WITH CHECK (true);
-
--- Allow anyone to update session status (for coordinator operations)
-CREATE POLICY "Allow anon to update sessions"
-    ON public.sessions
-    FOR UPDATE
-    TO anon
-    USING (true)
-    WITH CHECK (true);
-
 DO $$
 BEGIN
-    RAISE NOTICE '   ✓ Sessions policies created (SELECT, INSERT, UPDATE)';
+    RAISE NOTICE '   ✓ Sessions read policy created (SELECT only)';
 END $$;
 
 -- ============================================================================
--- PART 4: CREATE POLICIES FOR INDIAN_TERRITORIES TABLE
+-- PART 4: CREATE POLICIES FOR TERRITORIES TABLE
 -- ============================================================================
 
 DO $$
 BEGIN
-    RAISE NOTICE '📋 Step 4: Creating policies for indian_territories table...';
+    RAISE NOTICE '📋 Step 4: Creating policies for territories table...';
 END $$;
 
--- Drop existing policies if they exist
-DROP POLICY IF EXISTS "Allow anon to read territories" ON public.indian_territories;
-DROP POLICY IF EXISTS "Allow anon to insert territories" ON public.indian_territories;
-DROP POLICY IF EXISTS "Allow anon to update territories" ON public.indian_territories;
+-- Drop existing policies if they exist (insert/update policies are no longer used)
+DROP POLICY IF EXISTS "Allow anon to read territories" ON public.territories;
+DROP POLICY IF EXISTS "Allow anon to insert territories" ON public.territories;
+DROP POLICY IF EXISTS "Allow anon to update territories" ON public.territories;
 
 -- Allow anyone to read territory data
 CREATE POLICY "Allow anon to read territories"
-    ON public.indian_territories
+    ON public.territories
     FOR SELECT
     TO anon
     USING (true);
 
--- Allow anyone to insert/update territories (needed for coordinator setup)
-CREATE POLICY "Allow anon to insert territories"
-    ON public.indian_territories
-    FOR INSERT
-    TO anon
-    WITH CHECK (true);
-
-CREATE POLICY "Allow anon to update territories"
-    ON public.indian_territories
-    FOR UPDATE
-    TO anon
-    USING (true)
-    WITH CHECK (true);
-
 DO $$
 BEGIN
-    RAISE NOTICE '   ✓ Territories policies created (SELECT, INSERT, UPDATE)';
+    RAISE NOTICE '   ✓ Territories read policy created (SELECT only)';
 END $$;
 
 -- ============================================================================
@@ -186,7 +191,7 @@ BEGIN
     RAISE NOTICE '📋 Step 5: Creating policies for participants table...';
 END $$;
 
--- Drop existing policies if they exist
+-- Drop existing policies if they exist (insert/update policies are no longer used)
 DROP POLICY IF EXISTS "Allow anon to read participants" ON public.participants;
 DROP POLICY IF EXISTS "Allow anon to insert participants" ON public.participants;
 
@@ -197,16 +202,9 @@ CREATE POLICY "Allow anon to read participants"
     TO anon
     USING (true);
 
--- Allow anyone to register as a participant
-CREATE POLICY "Allow anon to insert participants"
-    ON public.participants
-    FOR INSERT
-    TO anon
-    WITH CHECK (true);
-
 DO $$
 BEGIN
-    RAISE NOTICE '   ✓ Participants policies created (SELECT, INSERT)';
+    RAISE NOTICE '   ✓ Participants read policy created (SELECT only)';
 END $$;
 
 -- ============================================================================
@@ -218,7 +216,7 @@ BEGIN
     RAISE NOTICE '📋 Step 6: Creating policies for teams table...';
 END $$;
 
--- Drop existing policies if they exist
+-- Drop existing policies if they exist (insert/update policies are no longer used)
 DROP POLICY IF EXISTS "Allow anon to read teams" ON public.teams;
 DROP POLICY IF EXISTS "Allow anon to insert teams" ON public.teams;
 DROP POLICY IF EXISTS "Allow anon to update teams" ON public.teams;
@@ -230,24 +228,9 @@ CREATE POLICY "Allow anon to read teams"
     TO anon
     USING (true);
 
--- Allow anyone to create teams (needed for coordinator operations)
-CREATE POLICY "Allow anon to insert teams"
-    ON public.teams
-    FOR INSERT
-    TO anon
-    WITH CHECK (true);
-
--- Allow anyone to update teams
-CREATE POLICY "Allow anon to update teams"
-    ON public.teams
-    FOR UPDATE
-    TO anon
-    USING (true)
-    WITH CHECK (true);
-
 DO $$
 BEGIN
-    RAISE NOTICE '   ✓ Teams policies created (SELECT, INSERT, UPDATE)';
+    RAISE NOTICE '   ✓ Teams read policy created (SELECT only)';
 END $$;
 
 -- ============================================================================
@@ -259,7 +242,7 @@ BEGIN
     RAISE NOTICE '📋 Step 7: Creating policies for team_members table...';
 END $$;
 
--- Drop existing policies if they exist
+-- Drop existing policies if they exist (insert/update policies are no longer used)
 DROP POLICY IF EXISTS "Allow anon to read team members" ON public.team_members;
 DROP POLICY IF EXISTS "Allow anon to insert team members" ON public.team_members;
 DROP POLICY IF EXISTS "Allow anon to update team members" ON public.team_members;
@@ -271,24 +254,9 @@ CREATE POLICY "Allow anon to read team members"
     TO anon
     USING (true);
 
--- Allow anyone to create team member assignments (for team formation)
-CREATE POLICY "Allow anon to insert team members"
-    ON public.team_members
-    FOR INSERT
-    TO anon
-    WITH CHECK (true);
-
--- Allow anyone to update team member roles
-CREATE POLICY "Allow anon to update team members"
-    ON public.team_members
-    FOR UPDATE
-    TO anon
-    USING (true)
-    WITH CHECK (true);
-
 DO $$
 BEGIN
-    RAISE NOTICE '   ✓ Team members policies created (SELECT, INSERT, UPDATE)';
+    RAISE NOTICE '   ✓ Team members read policy created (SELECT only)';
 END $$;
 
 -- ============================================================================
@@ -300,7 +268,7 @@ BEGIN
     RAISE NOTICE '📋 Step 8: Creating policies for team_territories table...';
 END $$;
 
--- Drop existing policies if they exist
+-- Drop existing policies if they exist (insert/update policies are no longer used)
 DROP POLICY IF EXISTS "Allow anon to read team territories" ON public.team_territories;
 DROP POLICY IF EXISTS "Allow anon to insert team territories" ON public.team_territories;
 DROP POLICY IF EXISTS "Allow anon to update team territories" ON public.team_territories;
@@ -312,24 +280,152 @@ CREATE POLICY "Allow anon to read team territories"
     TO anon
     USING (true);
 
--- Allow anyone to create territory assignments (for distribution)
-CREATE POLICY "Allow anon to insert team territories"
-    ON public.team_territories
-    FOR INSERT
+DO $$
+BEGIN
+    RAISE NOTICE '   ✓ Team territories read policy created (SELECT only)';
+END $$;
+
+-- ============================================================================
+-- PART 8b: CREATE POLICIES FOR WORK_UNITS TABLE
+-- ============================================================================
+
+DO $$
+BEGIN
+    RAISE NOTICE '📋 Step 8b: Creating policies for work_units table...';
+END $$;
+
+DROP POLICY IF EXISTS "Allow anon to read work units" ON public.work_units;
+
+-- Allow anyone to read work units (writes go through create_work_units/update_work_unit_status)
+CREATE POLICY "Allow anon to read work units"
+    ON public.work_units
+    FOR SELECT
     TO anon
-    WITH CHECK (true);
+    USING (true);
 
--- Allow anyone to update territory status
-CREATE POLICY "Allow anon to update team territories"
-    ON public.team_territories
-    FOR UPDATE
+DO $$
+BEGIN
+    RAISE NOTICE '   ✓ Work units read policy created (SELECT only)';
+    RAISE NOTICE '';
+END $$;
+
+-- ============================================================================
+-- PART 8c: CREATE POLICIES FOR TERRITORY_CHANGESETS TABLE
+-- ============================================================================
+
+DO $$
+BEGIN
+    RAISE NOTICE '📋 Step 8c: Creating policies for territory_changesets table...';
+END $$;
+
+DROP POLICY IF EXISTS "Allow anon to read territory changesets" ON public.territory_changesets;
+
+-- Allow anyone to read measured edits (writes go through record_session_changesets)
+CREATE POLICY "Allow anon to read territory changesets"
+    ON public.territory_changesets
+    FOR SELECT
+    TO anon
+    USING (true);
+
+DO $$
+BEGIN
+    RAISE NOTICE '   ✓ Territory changesets read policy created (SELECT only)';
+    RAISE NOTICE '';
+END $$;
+
+-- ============================================================================
+-- PART 8d: CREATE POLICIES FOR TERRITORY_SNAPSHOTS TABLE
+-- ============================================================================
+
+DO $$
+BEGIN
+    RAISE NOTICE '📋 Step 8d: Creating policies for territory_snapshots table...';
+END $$;
+
+DROP POLICY IF EXISTS "Allow anon to read territory snapshots" ON public.territory_snapshots;
+
+-- Allow anyone to read snapshots (writes go through record_territory_snapshot)
+CREATE POLICY "Allow anon to read territory snapshots"
+    ON public.territory_snapshots
+    FOR SELECT
+    TO anon
+    USING (true);
+
+DO $$
+BEGIN
+    RAISE NOTICE '   ✓ Territory snapshots read policy created (SELECT only)';
+    RAISE NOTICE '';
+END $$;
+
+-- ============================================================================
+-- PART 8e: CREATE POLICIES FOR OSMOSE_ISSUE_CLAIMS TABLE
+-- ============================================================================
+
+DO $$
+BEGIN
+    RAISE NOTICE '📋 Step 8e: Creating policies for osmose_issue_claims table...';
+END $$;
+
+DROP POLICY IF EXISTS "Allow read access to osmose_issue_claims" ON public.osmose_issue_claims;
+
+-- Anyone can read Osmose issue claims (teammates see each other's claims)
+CREATE POLICY "Allow read access to osmose_issue_claims"
+    ON public.osmose_issue_claims
+    FOR SELECT
+    TO anon
+    USING (true);
+
+DO $$
+BEGIN
+    RAISE NOTICE '   ✓ osmose_issue_claims: read-only for anon';
+    RAISE NOTICE '';
+END $$;
+
+-- ============================================================================
+-- PART 8f: CREATE POLICIES FOR TERRITORY_BOUNDARIES TABLE
+-- ============================================================================
+
+DO $$
+BEGIN
+    RAISE NOTICE '📋 Step 8f: Creating policies for territory_boundaries table...';
+END $$;
+
+DROP POLICY IF EXISTS "Allow read access to territory_boundaries" ON public.territory_boundaries;
+
+-- Anyone can read cached territory boundaries (public OpenStreetMap geometry)
+CREATE POLICY "Allow read access to territory_boundaries"
+    ON public.territory_boundaries
+    FOR SELECT
+    TO anon
+    USING (true);
+
+DO $$
+BEGIN
+    RAISE NOTICE '   ✓ territory_boundaries: read-only for anon';
+    RAISE NOTICE '';
+END $$;
+
+-- ============================================================================
+-- PART 8g: CREATE POLICIES FOR TERRITORY_REASSIGNMENTS TABLE
+-- ============================================================================
+
+DO $$
+BEGIN
+    RAISE NOTICE '📋 Step 8g: Creating policies for territory_reassignments table...';
+END $$;
+
+DROP POLICY IF EXISTS "Allow anon to read territory reassignments" ON public.territory_reassignments;
+
+-- Anyone can read the reassignment log (territory history); only RPC functions write it
+CREATE POLICY "Allow anon to read territory reassignments"
+    ON public.territory_reassignments
+    FOR SELECT
     TO anon
-    USING (true)
-    WITH CHECK (true);
+    USING (true);
 
 DO $$
 BEGIN
-    RAISE NOTICE '   ✓ Team territories policies created (SELECT, INSERT, UPDATE)';
+    RAISE NOTICE '   ✓ Territory reassignments: read-only';
     RAISE NOTICE '';
 END $$;
 
@@ -344,8 +440,32 @@ END $$;
 
 -- Grant execute permission on all Grid Tycoon RPC functions
 
+-- Coordinator authentication
+GRANT EXECUTE ON FUNCTION public.coordinator_login(VARCHAR, TEXT) TO anon;
+GRANT EXECUTE ON FUNCTION public.verify_coordinator_token(VARCHAR, UUID) TO anon;
+
+-- Participant identity
+GRANT EXECUTE ON FUNCTION public.register_participant(VARCHAR, VARCHAR, VARCHAR, VARCHAR, VARCHAR) TO anon;
+GRANT EXECUTE ON FUNCTION public.link_participant_device(VARCHAR, VARCHAR, VARCHAR) TO anon;
+GRANT EXECUTE ON FUNCTION public.reset_participant_device_link(VARCHAR, UUID, UUID) TO anon;
+GRANT EXECUTE ON FUNCTION public.team_role_details(VARCHAR) TO anon;
+GRANT EXECUTE ON FUNCTION public.update_own_team_role(UUID, UUID, VARCHAR) TO anon;
+
+-- Coordinator team and session management
+GRANT EXECUTE ON FUNCTION public.coordinator_update_team_member(VARCHAR, UUID, UUID, UUID, VARCHAR) TO anon;
+GRANT EXECUTE ON FUNCTION public.coordinator_assign_participant(VARCHAR, UUID, UUID, UUID, VARCHAR) TO anon;
+GRANT EXECUTE ON FUNCTION public.populate_territories(VARCHAR, UUID, JSON) TO anon;
+GRANT EXECUTE ON FUNCTION public.update_session_country(VARCHAR, UUID, VARCHAR) TO anon;
+GRANT EXECUTE ON FUNCTION public.update_session_osmose_issue_types(VARCHAR, UUID, JSON) TO anon;
+GRANT EXECUTE ON FUNCTION public.close_session(VARCHAR, UUID) TO anon;
+GRANT EXECUTE ON FUNCTION public.archive_session(VARCHAR, UUID) TO anon;
+GRANT EXECUTE ON FUNCTION public.reset_session(VARCHAR, UUID) TO anon;
+GRANT EXECUTE ON FUNCTION public.clone_session(VARCHAR, UUID, VARCHAR, BOOLEAN) TO anon;
+
 -- Team formation and participant management
-GRANT EXECUTE ON FUNCTION public.create_teams_with_role_assignment(VARCHAR, INTEGER) TO anon;
+GRANT EXECUTE ON FUNCTION public.create_teams_with_role_assignment(VARCHAR, UUID, INTEGER, INTEGER) TO anon;
+GRANT EXECUTE ON FUNCTION public.join_formed_team(VARCHAR, UUID, UUID) TO anon;
+GRANT EXECUTE ON FUNCTION public.rebalance_session_teams(VARCHAR, UUID) TO anon;
 GRANT EXECUTE ON FUNCTION public.get_session_participants_detailed(VARCHAR) TO anon;
 
 -- Territory monitoring and availability
@@ -356,22 +476,77 @@ GRANT EXECUTE ON FUNCTION public.get_territory_assignment_details(UUID) TO anon;
 GRANT EXECUTE ON FUNCTION public.get_all_territory_assignments(VARCHAR) TO anon;
 GRANT EXECUTE ON FUNCTION public.get_team_territory_progress(UUID) TO anon;
 
--- Critical coordinator functions
-GRANT EXECUTE ON FUNCTION public.distribute_territories_to_teams(VARCHAR) TO anon;
+-- Critical coordinator and work unit functions
+GRANT EXECUTE ON FUNCTION public.preview_territory_distribution(VARCHAR, UUID, VARCHAR, INTEGER) TO anon;
+GRANT EXECUTE ON FUNCTION public.distribute_territories_to_teams(VARCHAR, UUID, VARCHAR) TO anon;
+GRANT EXECUTE ON FUNCTION public.coordinator_reassign_territory(VARCHAR, UUID, UUID, UUID, TEXT) TO anon;
 GRANT EXECUTE ON FUNCTION public.get_territory_for_overpass_operations(UUID) TO anon;
-GRANT EXECUTE ON FUNCTION public.update_territory_assignment_status(UUID, VARCHAR, UUID, TEXT) TO anon;
+GRANT EXECUTE ON FUNCTION public.update_territory_assignment_status(UUID, VARCHAR, UUID, UUID, TEXT) TO anon;
+GRANT EXECUTE ON FUNCTION public.create_work_units(UUID, UUID, UUID, VARCHAR, JSON) TO anon;
+GRANT EXECUTE ON FUNCTION public.update_work_unit_status(UUID, VARCHAR, UUID, UUID) TO anon;
 GRANT EXECUTE ON FUNCTION public.get_session_progress_overview(VARCHAR) TO anon;
 GRANT EXECUTE ON FUNCTION public.get_team_leaderboard_for_session(VARCHAR) TO anon;
 GRANT EXECUTE ON FUNCTION public.verify_session_teams(VARCHAR) TO anon;
 GRANT EXECUTE ON FUNCTION public.validate_territory_assignments(VARCHAR) TO anon;
 GRANT EXECUTE ON FUNCTION public.get_territory_statistics() TO anon;
 
+-- OSM edit measurement
+GRANT EXECUTE ON FUNCTION public.record_session_changesets(VARCHAR, UUID, UUID, JSON) TO anon;
+
+-- Tag completeness
+GRANT EXECUTE ON FUNCTION public.record_assignment_tag_completeness(UUID, UUID, UUID, JSON) TO anon;
+GRANT EXECUTE ON FUNCTION public.record_session_tag_completeness(VARCHAR, UUID, UUID, JSON) TO anon;
+
+-- Infrastructure snapshots
+GRANT EXECUTE ON FUNCTION public.record_territory_snapshot(VARCHAR, UUID, UUID, VARCHAR, JSON) TO anon;
+GRANT EXECUTE ON FUNCTION public.get_session_impact_report(VARCHAR) TO anon;
+
+-- Osmose issue claims
+GRANT EXECUTE ON FUNCTION public.update_osmose_issue_claim(UUID, UUID, UUID, JSON, VARCHAR) TO anon;
+GRANT EXECUTE ON FUNCTION public.auto_resolve_osmose_issue_claims(UUID, UUID, UUID, JSON, JSON) TO anon;
+GRANT EXECUTE ON FUNCTION public.get_team_osmose_issue_claims(UUID) TO anon;
+
+-- Territory boundary cache
+GRANT EXECUTE ON FUNCTION public.save_territory_boundary(BIGINT, INTEGER, JSON, VARCHAR, UUID, UUID, UUID) TO anon;
+
 -- Session isolation trigger function
 GRANT EXECUTE ON FUNCTION public.validate_team_member_session_match() TO anon;
 
 DO $$
 BEGIN
-    RAISE NOTICE '   ✓ Execute permissions granted on 18 RPC functions';
+    RAISE NOTICE '   ✓ Execute permissions granted on 49 RPC functions';
+    RAISE NOTICE '';
+END $$;
+
+-- ============================================================================
+-- PART 10: ENABLE REALTIME FOR LIVE DASHBOARDS
+-- ============================================================================
+-- The app subscribes to postgres_changes on these tables so dashboards,
+-- territory cards and the map update without a manual refresh. Realtime
+-- delivers rows to anon through the SELECT policies above.
+
+DO $$
+DECLARE
+    realtime_table TEXT;
+BEGIN
+    RAISE NOTICE '📋 Step 10: Adding tables to the supabase_realtime publication...';
+
+    IF NOT EXISTS (SELECT 1 FROM pg_publication WHERE pubname = 'supabase_realtime') THEN
+        CREATE PUBLICATION supabase_realtime;
+    END IF;
+
+    FOREACH realtime_table IN ARRAY ARRAY['participants', 'teams', 'team_members', 'team_territories', 'work_units', 'osmose_issue_claims'] LOOP
+        IF NOT EXISTS (
+            SELECT 1 FROM pg_publication_tables
+            WHERE pubname = 'supabase_realtime'
+            AND schemaname = 'public'
+            AND tablename = realtime_table
+        ) THEN
+            EXECUTE format('ALTER PUBLICATION supabase_realtime ADD TABLE public.%I', realtime_table);
+        END IF;
+    END LOOP;
+
+    RAISE NOTICE '   ✓ Realtime enabled for participants, teams, team_members, team_territories, work_units, osmose_issue_claims';
     RAISE NOTICE '';
 END $$;
 
@@ -387,6 +562,12 @@ DECLARE
     teams_policies INTEGER;
     members_policies INTEGER;
     team_territories_policies INTEGER;
+    work_units_policies INTEGER;
+    changesets_policies INTEGER;
+    snapshots_policies INTEGER;
+    osmose_claims_policies INTEGER;
+    territory_boundaries_policies INTEGER;
+    reassignments_policies INTEGER;
     total_policies INTEGER;
 BEGIN
     RAISE NOTICE '🔍 Verifying RLS configuration...';
@@ -394,38 +575,60 @@ BEGIN
 
     -- Count policies per table
     SELECT COUNT(*) INTO sessions_policies FROM pg_policies WHERE tablename = 'sessions';
-    SELECT COUNT(*) INTO territories_policies FROM pg_policies WHERE tablename = 'indian_territories';
+    SELECT COUNT(*) INTO territories_policies FROM pg_policies WHERE tablename = 'territories';
     SELECT COUNT(*) INTO participants_policies FROM pg_policies WHERE tablename = 'participants';
     SELECT COUNT(*) INTO teams_policies FROM pg_policies WHERE tablename = 'teams';
     SELECT COUNT(*) INTO members_policies FROM pg_policies WHERE tablename = 'team_members';
     SELECT COUNT(*) INTO team_territories_policies FROM pg_policies WHERE tablename = 'team_territories';
+    SELECT COUNT(*) INTO work_units_policies FROM pg_policies WHERE tablename = 'work_units';
+    SELECT COUNT(*) INTO changesets_policies FROM pg_policies WHERE tablename = 'territory_changesets';
+    SELECT COUNT(*) INTO snapshots_policies FROM pg_policies WHERE tablename = 'territory_snapshots';
+    SELECT COUNT(*) INTO osmose_claims_policies FROM pg_policies WHERE tablename = 'osmose_issue_claims';
+    SELECT COUNT(*) INTO territory_boundaries_policies FROM pg_policies WHERE tablename = 'territory_boundaries';
+    SELECT COUNT(*) INTO reassignments_policies FROM pg_policies WHERE tablename = 'territory_reassignments';
 
     total_policies := sessions_policies + territories_policies + participants_policies +
-                      teams_policies + members_policies + team_territories_policies;
+                      teams_policies + members_policies + team_territories_policies +
+                      work_units_policies + changesets_policies + snapshots_policies +
+                      osmose_claims_policies + territory_boundaries_policies +
+                      reassignments_policies;
 
     RAISE NOTICE '╔════════════════════════════════════════════════════════════════════════════╗';
     RAISE NOTICE '║                    RLS CONFIGURATION COMPLETE                              ║';
     RAISE NOTICE '╚════════════════════════════════════════════════════════════════════════════╝';
     RAISE NOTICE '';
     RAISE NOTICE 'Table-Level Permissions:';
-    RAISE NOTICE '   ✓ 6 tables granted SELECT, INSERT, UPDATE to anon';
+    RAISE NOTICE '   ✓ 12 tables granted SELECT only to anon (no direct writes)';
     RAISE NOTICE '   ✓ Sequence usage granted to anon';
     RAISE NOTICE '';
     RAISE NOTICE 'Row-Level Security Policies:';
     RAISE NOTICE '   ✓ sessions: % policies', sessions_policies;
-    RAISE NOTICE '   ✓ indian_territories: % policies', territories_policies;
+    RAISE NOTICE '   ✓ territories: % policies', territories_policies;
     RAISE NOTICE '   ✓ participants: % policies', participants_policies;
     RAISE NOTICE '   ✓ teams: % policies', teams_policies;
     RAISE NOTICE '   ✓ team_members: % policies', members_policies;
     RAISE NOTICE '   ✓ team_territories: % policies', team_territories_policies;
+    RAISE NOTICE '   ✓ work_units: % policies', work_units_policies;
+    RAISE NOTICE '   ✓ territory_changesets: % policies', changesets_policies;
+    RAISE NOTICE '   ✓ territory_snapshots: % policies', snapshots_policies;
+    RAISE NOTICE '   ✓ osmose_issue_claims: % policies', osmose_claims_policies;
+    RAISE NOTICE '   ✓ territory_boundaries: % policies', territory_boundaries_policies;
+    RAISE NOTICE '   ✓ territory_reassignments: % policies', reassignments_policies;
     RAISE NOTICE '';
     RAISE NOTICE 'Total: % RLS policies active', total_policies;
     RAISE NOTICE '';
     RAISE NOTICE 'Function Permissions:';
-    RAISE NOTICE '   ✓ 18 RPC functions granted to anon role';
-    RAISE NOTICE '     - Team formation & participant management (2)';
+    RAISE NOTICE '   ✓ 49 RPC functions granted to anon role';
+    RAISE NOTICE '     - Coordinator authentication (2)';
+    RAISE NOTICE '     - Participant identity (5)';
+    RAISE NOTICE '     - Coordinator team & session management (9)';
+    RAISE NOTICE '     - Team formation & participant management (4)';
     RAISE NOTICE '     - Territory monitoring & availability (6)';
-    RAISE NOTICE '     - Critical coordinator functions (8)';
+    RAISE NOTICE '     - Critical coordinator & work unit functions (11)';
+    RAISE NOTICE '     - OSM edit measurement (2)';
+    RAISE NOTICE '     - Tag completeness (2)';
+    RAISE NOTICE '     - Infrastructure snapshots (2)';
+    RAISE NOTICE '     - Osmose issue claims (3)';
     RAISE NOTICE '     - Session isolation trigger (1)';
     RAISE NOTICE '     - Utility functions (1)';
     RAISE NOTICE '';
@@ -434,21 +637,25 @@ BEGIN
     RAISE NOTICE '═══════════════════════════════════════════════════════════════════════════';
     RAISE NOTICE '';
     RAISE NOTICE 'The anon role can now:';
-    RAISE NOTICE '  ✓ Check and create sessions';
-    RAISE NOTICE '  ✓ Register participants';
-    RAISE NOTICE '  ✓ Form teams with role assignment';
-    RAISE NOTICE '  ✓ Distribute territories across teams';
-    RAISE NOTICE '  ✓ View teams and assignments';
-    RAISE NOTICE '  ✓ Update territory status (available/current/completed)';
+    RAISE NOTICE '  ✓ Read sessions, teams and assignments';
+    RAISE NOTICE '  ✓ Register participants (issues a participant access token)';
+    RAISE NOTICE '  ✓ Update own team''s territory status (with participant access token)';
     RAISE NOTICE '  ✓ Load territory data for JOSM/Overpass queries';
-    RAISE NOTICE '  ✓ Execute coordinator functions';
+    RAISE NOTICE '  ✓ Create sessions, form teams and distribute territories (with coordinator token)';
+    RAISE NOTICE '  ✓ Close, archive, reset and clone sessions (with coordinator token)';
     RAISE NOTICE '  ✓ Query session progress and leaderboards';
+    RAISE NOTICE '  ✓ Record measured OSM edits (with participant or coordinator token)';
+    RAISE NOTICE '  ✓ Record tag completeness counts (with participant or coordinator token)';
+    RAISE NOTICE '  ✓ Record start/end infrastructure snapshots (with coordinator token) and read impact reports';
+    RAISE NOTICE '  ✓ Receive realtime changes for session tables';
     RAISE NOTICE '  ✓ Validate teams and territory assignments';
     RAISE NOTICE '';
     RAISE NOTICE 'Security Features:';
-    RAISE NOTICE '  ✓ Row Level Security (RLS) enabled on all 6 tables';
+    RAISE NOTICE '  ✓ Row Level Security (RLS) enabled on all 14 tables';
+    RAISE NOTICE '  ✓ No direct table writes for anon; writes only through checked RPC functions';
     RAISE NOTICE '  ✓ All operations validated by database functions and triggers';
     RAISE NOTICE '  ✓ Session isolation enforced at trigger level';
+    RAISE NOTICE '  ✓ Coordinator passphrases and participant tokens hidden from anon';
     RAISE NOTICE '  ✓ Foreign key constraints prevent invalid references';
     RAISE NOTICE '  ✓ Automatic timestamp management for territory workflow';
     RAISE NOTICE '';
@@ -456,14 +663,14 @@ BEGIN
     RAISE NOTICE '  1. Start local server: python -m http.server 8000';
     RAISE NOTICE '  2. Open http://localhost:8000';
     RAISE NOTICE '  3. Try registering with session ID "testalpha"';
-    RAISE NOTICE '  4. Try coordinator login with "testalpha-COORD"';
+    RAISE NOTICE '  4. Try coordinator login to "testalpha" with its coordinator passphrase';
     RAISE NOTICE '  5. Coordinator: Click "Setup Teams & Territories"';
     RAISE NOTICE '  6. Participant: View team assignment and load territories';
     RAISE NOTICE '  7. Monitor browser console for any errors';
     RAISE NOTICE '';
     RAISE NOTICE 'Database Execution Order:';
-    RAISE NOTICE '  1. schema.sql        - Creates all 6 tables';
-    RAISE NOTICE '  2. functions.sql     - Creates 18 RPC functions + trigger';
+    RAISE NOTICE '  1. schema.sql        - Creates all 14 tables';
+    RAISE NOTICE '  2. functions.sql     - Creates 49 RPC functions + trigger';
     RAISE NOTICE '  3. rls_policies.sql  - Configures RLS and permissions (this file)';
     RAISE NOTICE '  4. seed_test_data.sql - Loads test session "testalpha" (optional)';
     RAISE NOTICE '═══════════════════════════════════════════════════════════════════════════';
@@ -5,58 +5,126 @@
 -- Safe to run in Supabase SQL Editor
 -- ============================================================================
 
+-- pgcrypto provides crypt()/gen_salt() for hashing coordinator passphrases
+CREATE EXTENSION IF NOT EXISTS pgcrypto;
+
 -- ============================================================================
 -- BASE TABLES (no foreign key dependencies)
 -- ============================================================================
 
 -- Table: sessions
 -- Purpose: Stores mapping session information
+-- Note: 'completed' (closed) and 'archived' sessions are frozen; team_size,
+--       distribution_strategy and osmose_issue_types are the settings clone_session
+--       copies. osmose_issue_types is a JSON array of Osmose item/class keys
+--       (e.g. ["7040/2"]); NULL means each participant gets their role's types
 CREATE TABLE public.sessions (
   id character varying NOT NULL,
   name character varying,
   description text,
   status character varying DEFAULT 'registering'::character varying
-    CHECK (status::text = ANY (ARRAY['registering'::character varying, 'teams_formed'::character varying, 'active'::character varying, 'completed'::character varying]::text[])),
+    CHECK (status::text = ANY (ARRAY['registering'::character varying, 'teams_formed'::character varying, 'active'::character varying, 'completed'::character varying, 'archived'::character varying]::text[])),
   created_at timestamp with time zone DEFAULT now(),
   teams_formed_at timestamp with time zone,
+  completed_at timestamp with time zone,
+  archived_at timestamp with time zone,
+  team_size integer CHECK (team_size > 0),
+  cloned_from character varying,
+  country_code character varying NOT NULL DEFAULT 'IN'::character varying
+    CHECK (country_code::text ~ '^[A-Z]{2}$'::text),
+  distribution_strategy character varying
+    CHECK (distribution_strategy::text = ANY (ARRAY['round_robin'::character varying, 'area'::character varying, 'population'::character varying, 'power_features'::character varying]::text[])),
+  osmose_issue_types jsonb
+    CHECK (osmose_issue_types IS NULL OR jsonb_typeof(osmose_issue_types) = 'array'),
   CONSTRAINT sessions_pkey PRIMARY KEY (id)
 );
 
--- Table: indian_territories
--- Purpose: Stores information about Indian states and union territories
-CREATE TABLE public.indian_territories (
+-- Table: territories
+-- Purpose: Stores the first-level subdivisions (states, provinces, regions) of each
+--          country, fetched from Overpass by ISO 3166-1 code
+-- Note: Sessions only distribute territories whose country_code matches the session.
+--       area_km2, population and power_feature_count are the effort estimates used by
+--       the balanced distribution strategies
+CREATE TABLE public.territories (
   id uuid NOT NULL DEFAULT gen_random_uuid(),
-  name character varying NOT NULL UNIQUE,
+  country_code character varying NOT NULL
+    CHECK (country_code::text ~ '^[A-Z]{2}$'::text),
+  name character varying NOT NULL,
   name_en character varying,
   iso_code character varying UNIQUE,
   osm_relation_id bigint NOT NULL UNIQUE,
   place_type character varying NOT NULL
-    CHECK (place_type::text = ANY (ARRAY['state'::character varying, 'territory'::character varying, 'union_territory'::character varying]::text[])),
+    CHECK (place_type::text = ANY (ARRAY['state'::character varying, 'province'::character varying, 'region'::character varying, 'territory'::character varying, 'union_territory'::character varying]::text[])),
+  center_lat numeric,
+  center_lon numeric,
+  min_lat numeric,
+  min_lon numeric,
+  max_lat numeric,
+  max_lon numeric,
   area_km2 numeric,
   population integer,
+  power_feature_count integer,
+  power_features_counted_at timestamp with time zone,
   capital character varying,
   is_active boolean DEFAULT true,
   created_at timestamp with time zone DEFAULT now(),
-  CONSTRAINT indian_territories_pkey PRIMARY KEY (id)
+  CONSTRAINT territories_pkey PRIMARY KEY (id),
+  CONSTRAINT territories_country_name_key UNIQUE (country_code, name)
 );
 
 -- ============================================================================
 -- DEPENDENT TABLES (with foreign keys)
 -- ============================================================================
 
+-- Table: session_coordinators
+-- Purpose: Stores the hashed coordinator passphrase and coordinator token for a session
+-- Depends on: sessions
+-- Note: Only read by SECURITY DEFINER functions; the anon role has no access
+CREATE TABLE public.session_coordinators (
+  session_id character varying NOT NULL,
+  passphrase_hash text NOT NULL,
+  coordinator_token uuid NOT NULL DEFAULT gen_random_uuid(),
+  failed_attempts integer NOT NULL DEFAULT 0,
+  locked_until timestamp with time zone,
+  created_at timestamp with time zone DEFAULT now(),
+  last_login_at timestamp with time zone,
+  CONSTRAINT session_coordinators_pkey PRIMARY KEY (session_id),
+  CONSTRAINT session_coordinators_session_id_fkey FOREIGN KEY (session_id) REFERENCES public.sessions(id)
+);
+
 -- Table: participants
 -- Purpose: Stores participant registration information
 -- Depends on: sessions
+-- Note: role_preference and experience_level are optional and only guide team formation
 CREATE TABLE public.participants (
   id uuid NOT NULL DEFAULT gen_random_uuid(),
   first_name character varying NOT NULL,
   osm_username character varying NOT NULL,
   session_id character varying NOT NULL,
+  role_preference character varying
+    CHECK (role_preference::text = ANY (ARRAY['Pioneer'::character varying, 'Technician'::character varying, 'Seeker'::character varying]::text[])),
+  experience_level character varying
+    CHECK (experience_level::text = ANY (ARRAY['beginner'::character varying, 'intermediate'::character varying, 'experienced'::character varying]::text[])),
   created_at timestamp with time zone DEFAULT now(),
   CONSTRAINT participants_pkey PRIMARY KEY (id),
   CONSTRAINT participants_session_id_fkey FOREIGN KEY (session_id) REFERENCES public.sessions(id)
 );
 
+-- Table: participant_credentials
+-- Purpose: Stores the session-scoped access token issued to a participant at registration,
+--          and the one-time link code the coordinator issues to move it to a new browser
+-- Depends on: participants
+-- Note: Only read by SECURITY DEFINER functions; the anon role has no access
+CREATE TABLE public.participant_credentials (
+  participant_id uuid NOT NULL,
+  access_token uuid NOT NULL DEFAULT gen_random_uuid(),
+  link_code character varying,
+  created_at timestamp with time zone DEFAULT now(),
+  last_used_at timestamp with time zone,
+  CONSTRAINT participant_credentials_pkey PRIMARY KEY (participant_id),
+  CONSTRAINT participant_credentials_participant_id_fkey FOREIGN KEY (participant_id) REFERENCES public.participants(id) ON DELETE CASCADE
+);
+
 -- Table: teams
 -- Purpose: Stores team information for each session
 -- Depends on: sessions
@@ -89,7 +157,10 @@ CREATE TABLE public.team_members (
 
 -- Table: team_territories
 -- Purpose: Assigns territories to teams and tracks mapping progress
--- Depends on: sessions, teams, indian_territories, participants
+-- Depends on: sessions, teams, territories, participants
+-- Note: tag_completeness_baseline is the first tag completeness count taken for
+--       the assignment, tag_completeness_latest the most recent one; both map a
+--       check key to {total, missing} (see OverpassAPI.countTagCompleteness)
 CREATE TABLE public.team_territories (
   id uuid NOT NULL DEFAULT gen_random_uuid(),
   session_id character varying NOT NULL,
@@ -105,13 +176,181 @@ CREATE TABLE public.team_territories (
   created_at timestamp with time zone DEFAULT now(),
   territory_name character varying,
   territory_osm_id bigint,
+  tag_completeness_baseline jsonb,
+  tag_completeness_baseline_at timestamp with time zone,
+  tag_completeness_latest jsonb,
+  tag_completeness_latest_at timestamp with time zone,
   CONSTRAINT team_territories_pkey PRIMARY KEY (id),
   CONSTRAINT team_territories_session_id_fkey FOREIGN KEY (session_id) REFERENCES public.sessions(id),
   CONSTRAINT team_territories_team_id_fkey FOREIGN KEY (team_id) REFERENCES public.teams(id),
-  CONSTRAINT team_territories_territory_id_fkey FOREIGN KEY (territory_id) REFERENCES public.indian_territories(id),
+  CONSTRAINT team_territories_territory_id_fkey FOREIGN KEY (territory_id) REFERENCES public.territories(id),
   CONSTRAINT team_territories_completed_by_fkey FOREIGN KEY (completed_by) REFERENCES public.participants(id)
 );
 
+-- Table: work_units
+-- Purpose: Splits an assigned territory into districts or bbox grid tiles small
+--          enough for one JOSM session; territory status is rolled up from its units
+-- Depends on: sessions, team_territories, participants
+CREATE TABLE public.work_units (
+  id uuid NOT NULL DEFAULT gen_random_uuid(),
+  session_id character varying NOT NULL,
+  team_territory_id uuid NOT NULL,
+  unit_index integer NOT NULL,
+  unit_type character varying NOT NULL
+    CHECK (unit_type::text = ANY (ARRAY['district'::character varying, 'grid'::character varying]::text[])),
+  name character varying NOT NULL,
+  osm_relation_id bigint,
+  min_lat numeric NOT NULL,
+  min_lon numeric NOT NULL,
+  max_lat numeric NOT NULL,
+  max_lon numeric NOT NULL,
+  status character varying DEFAULT 'available'::character varying
+    CHECK (status::text = ANY (ARRAY['available'::character varying, 'current'::character varying, 'completed'::character varying]::text[])),
+  started_at timestamp with time zone,
+  completed_at timestamp with time zone,
+  completed_by uuid,
+  created_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT work_units_pkey PRIMARY KEY (id),
+  CONSTRAINT work_units_territory_index_key UNIQUE (team_territory_id, unit_index),
+  CONSTRAINT work_units_session_id_fkey FOREIGN KEY (session_id) REFERENCES public.sessions(id),
+  CONSTRAINT work_units_team_territory_id_fkey FOREIGN KEY (team_territory_id) REFERENCES public.team_territories(id) ON DELETE CASCADE,
+  CONSTRAINT work_units_completed_by_fkey FOREIGN KEY (completed_by) REFERENCES public.participants(id)
+);
+
+-- Table: territory_changesets
+-- Purpose: OSM changesets tagged with the session hashtag, attributed to a territory
+--          by bounding box, with the number of power objects they touched
+-- Depends on: sessions, team_territories, participants
+-- Note: Written by the browser after reading the OSM API (see js/changesets.js);
+--       re-analysing a changeset replaces its counts
+CREATE TABLE public.territory_changesets (
+  id uuid NOT NULL DEFAULT gen_random_uuid(),
+  session_id character varying NOT NULL,
+  team_territory_id uuid NOT NULL,
+  participant_id uuid NOT NULL,
+  changeset_id bigint NOT NULL,
+  changeset_created_at timestamp with time zone,
+  min_lat numeric,
+  min_lon numeric,
+  max_lat numeric,
+  max_lon numeric,
+  power_created integer NOT NULL DEFAULT 0,
+  power_modified integer NOT NULL DEFAULT 0,
+  power_deleted integer NOT NULL DEFAULT 0,
+  power_by_type jsonb NOT NULL DEFAULT '{}'::jsonb,
+  analyzed_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT territory_changesets_pkey PRIMARY KEY (id),
+  CONSTRAINT territory_changesets_session_changeset_key UNIQUE (session_id, changeset_id),
+  CONSTRAINT territory_changesets_session_id_fkey FOREIGN KEY (session_id) REFERENCES public.sessions(id),
+  CONSTRAINT territory_changesets_team_territory_id_fkey FOREIGN KEY (team_territory_id) REFERENCES public.team_territories(id) ON DELETE CASCADE,
+  CONSTRAINT territory_changesets_participant_id_fkey FOREIGN KEY (participant_id) REFERENCES public.participants(id)
+);
+
+-- Table: territory_snapshots
+-- Purpose: Power infrastructure mapped in an assigned territory when the session's
+--          territories were distributed ('start') and when it was closed ('end')
+-- Depends on: sessions, team_territories
+-- Note: Counted on Overpass by the coordinator's browser (see
+--       OverpassAPI.measurePowerInfrastructure); capturing a phase again replaces it
+CREATE TABLE public.territory_snapshots (
+  id uuid NOT NULL DEFAULT gen_random_uuid(),
+  session_id character varying NOT NULL,
+  team_territory_id uuid NOT NULL,
+  phase character varying NOT NULL
+    CHECK (phase::text = ANY (ARRAY['start'::character varying, 'end'::character varying]::text[])),
+  lines integer NOT NULL DEFAULT 0,
+  cables integer NOT NULL DEFAULT 0,
+  substations integer NOT NULL DEFAULT 0,
+  plants integer NOT NULL DEFAULT 0,
+  generators integer NOT NULL DEFAULT 0,
+  total_features integer NOT NULL DEFAULT 0,
+  line_km numeric NOT NULL DEFAULT 0,
+  cable_km numeric NOT NULL DEFAULT 0,
+  captured_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT territory_snapshots_pkey PRIMARY KEY (id),
+  CONSTRAINT territory_snapshots_territory_phase_key UNIQUE (team_territory_id, phase),
+  CONSTRAINT territory_snapshots_session_id_fkey FOREIGN KEY (session_id) REFERENCES public.sessions(id),
+  CONSTRAINT territory_snapshots_team_territory_id_fkey FOREIGN KEY (team_territory_id) REFERENCES public.team_territories(id) ON DELETE CASCADE
+);
+
+-- Table: osmose_issue_claims
+-- Purpose: A team's work on individual Osmose QA issues, so teammates do not fix
+--          the same issue twice: claimed, resolved or marked a false positive
+-- Depends on: sessions, teams, team_territories, participants
+-- Note: Keyed by the Osmose issue UUID per session and team. Issues that vanish
+--       from Osmose while claimed are resolved automatically (auto_resolved)
+CREATE TABLE public.osmose_issue_claims (
+  id uuid NOT NULL DEFAULT gen_random_uuid(),
+  session_id character varying NOT NULL,
+  team_id uuid NOT NULL,
+  team_territory_id uuid NOT NULL,
+  issue_id character varying NOT NULL,
+  issue_type character varying,
+  title text,
+  lat numeric,
+  lon numeric,
+  status character varying NOT NULL DEFAULT 'claimed'::character varying
+    CHECK (status::text = ANY (ARRAY['claimed'::character varying, 'resolved'::character varying, 'false_positive'::character varying]::text[])),
+  claimed_by uuid,
+  updated_by uuid,
+  auto_resolved boolean NOT NULL DEFAULT false,
+  created_at timestamp with time zone DEFAULT now(),
+  updated_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT osmose_issue_claims_pkey PRIMARY KEY (id),
+  CONSTRAINT osmose_issue_claims_session_team_issue_key UNIQUE (session_id, team_id, issue_id),
+  CONSTRAINT osmose_issue_claims_session_id_fkey FOREIGN KEY (session_id) REFERENCES public.sessions(id),
+  CONSTRAINT osmose_issue_claims_team_id_fkey FOREIGN KEY (team_id) REFERENCES public.teams(id) ON DELETE CASCADE,
+  CONSTRAINT osmose_issue_claims_team_territory_id_fkey FOREIGN KEY (team_territory_id) REFERENCES public.team_territories(id) ON DELETE CASCADE,
+  CONSTRAINT osmose_issue_claims_claimed_by_fkey FOREIGN KEY (claimed_by) REFERENCES public.participants(id),
+  CONSTRAINT osmose_issue_claims_updated_by_fkey FOREIGN KEY (updated_by) REFERENCES public.participants(id)
+);
+
+-- Table: territory_boundaries
+-- Purpose: Shared copy of each territory's simplified boundary GeoJSON, so maps can
+--          draw polygons without asking Overpass for every relation's geometry
+-- Depends on: territories
+-- Note: Filled by the first browser that fetches a boundary from Overpass (see
+--       BoundaryCache in js/boundaryCache.js). Not session data: reset_session keeps it.
+--       Rows stamped with an older cache_version than the app's, or older than 90 days,
+--       are ignored and replaced
+CREATE TABLE public.territory_boundaries (
+  osm_relation_id bigint NOT NULL,
+  cache_version integer NOT NULL,
+  geojson jsonb NOT NULL
+    CHECK (jsonb_typeof(geojson) = 'object'),
+  fetched_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT territory_boundaries_pkey PRIMARY KEY (osm_relation_id),
+  CONSTRAINT territory_boundaries_osm_relation_id_fkey FOREIGN KEY (osm_relation_id) REFERENCES public.territories(osm_relation_id) ON DELETE CASCADE
+);
+
+-- Table: territory_reassignments
+-- Purpose: Audit log of territory assignments moved between teams, by the
+--          coordinator from the session map or by team rebalancing
+-- Depends on: sessions, team_territories, teams
+-- Note: Written only by coordinator_reassign_territory and rebalance_session_teams;
+--       status is the assignment's status when it was moved. Names are copied so
+--       the log survives reset_session, which stamps session_reset_at and leaves
+--       the assignment and team references NULL
+CREATE TABLE public.territory_reassignments (
+  id uuid NOT NULL DEFAULT gen_random_uuid(),
+  session_id character varying NOT NULL,
+  team_territory_id uuid,
+  from_team_id uuid,
+  to_team_id uuid,
+  territory_name character varying,
+  from_team_name character varying,
+  to_team_name character varying,
+  status character varying,
+  reason text,
+  reassigned_at timestamp with time zone DEFAULT now(),
+  session_reset_at timestamp with time zone,
+  CONSTRAINT territory_reassignments_pkey PRIMARY KEY (id),
+  CONSTRAINT territory_reassignments_session_id_fkey FOREIGN KEY (session_id) REFERENCES public.sessions(id),
+  CONSTRAINT territory_reassignments_team_territory_id_fkey FOREIGN KEY (team_territory_id) REFERENCES public.team_territories(id) ON DELETE SET NULL,
+  CONSTRAINT territory_reassignments_from_team_id_fkey FOREIGN KEY (from_team_id) REFERENCES public.teams(id) ON DELETE SET NULL,
+  CONSTRAINT territory_reassignments_to_team_id_fkey FOREIGN KEY (to_team_id) REFERENCES public.teams(id) ON DELETE SET NULL
+);
+
 -- ============================================================================
 -- SCHEMA CREATION COMPLETE
 -- ============================================================================
@@ -123,11 +362,19 @@ BEGIN
     RAISE NOTICE '';
     RAISE NOTICE 'Tables created in order:';
     RAISE NOTICE '  1. sessions (base table)';
-    RAISE NOTICE '  2. indian_territories (base table)';
-    RAISE NOTICE '  3. participants (depends on sessions)';
-    RAISE NOTICE '  4. teams (depends on sessions)';
-    RAISE NOTICE '  5. team_members (depends on teams, participants)';
-    RAISE NOTICE '  6. team_territories (depends on sessions, teams, territories, participants)';
+    RAISE NOTICE '  2. territories (base table)';
+    RAISE NOTICE '  3. session_coordinators (depends on sessions)';
+    RAISE NOTICE '  4. participants (depends on sessions)';
+    RAISE NOTICE '  5. participant_credentials (depends on participants)';
+    RAISE NOTICE '  6. teams (depends on sessions)';
+    RAISE NOTICE '  7. team_members (depends on teams, participants)';
+    RAISE NOTICE '  8. team_territories (depends on sessions, teams, territories, participants)';
+    RAISE NOTICE '  9. work_units (depends on sessions, team_territories, participants)';
+    RAISE NOTICE ' 10. territory_changesets (depends on sessions, team_territories, participants)';
+    RAISE NOTICE ' 11. territory_snapshots (depends on sessions, team_territories)';
+    RAISE NOTICE ' 12. osmose_issue_claims (depends on sessions, teams, team_territories, participants)';
+    RAISE NOTICE ' 13. territory_boundaries (depends on territories)';
+    RAISE NOTICE ' 14. territory_reassignments (depends on sessions, team_territories, teams)';
     RAISE NOTICE '';
     RAISE NOTICE 'Next step: Run sql/functions.sql to create database functions';
     RAISE NOTICE '';
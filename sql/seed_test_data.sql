@@ -12,7 +12,7 @@
 -- - Provides a complete test environment for development
 --
 -- NEXT STEPS AFTER RUNNING:
--- 1. Login as coordinator with session ID 'testalpha-COORD'
+-- 1. Login as coordinator to session 'testalpha' with passphrase 'testalpha-coordinator'
 -- 2. Form teams using the coordinator dashboard
 -- 3. Test territory distribution and mapping workflows
 -- ============================================================================
@@ -31,19 +31,30 @@ BEGIN
     RAISE NOTICE '📊 Seeding test session...';
 END $$;
 
-INSERT INTO public.sessions (id, name, description, status, created_at)
+INSERT INTO public.sessions (id, name, description, status, country_code, created_at)
 VALUES (
     'testalpha',
     'Test Session Alpha',
     'Test session for development and testing with 9 participants',
     'registering',
+    'IN',
     NOW()
 )
 ON CONFLICT (id) DO UPDATE
 SET
     name = EXCLUDED.name,
     description = EXCLUDED.description,
-    status = EXCLUDED.status;
+    status = EXCLUDED.status,
+    country_code = EXCLUDED.country_code;
+
+-- Coordinator passphrase for the test session (hashed with pgcrypto)
+INSERT INTO public.session_coordinators (session_id, passphrase_hash)
+VALUES ('testalpha', crypt('testalpha-coordinator', gen_salt('bf')))
+ON CONFLICT (session_id) DO UPDATE
+SET
+    passphrase_hash = EXCLUDED.passphrase_hash,
+    failed_attempts = 0,
+    locked_until = NULL;
 
 DO $$
 BEGIN
@@ -60,49 +71,50 @@ BEGIN
     RAISE NOTICE '🗺️  Seeding Indian territories...';
 END $$;
 
-INSERT INTO public.indian_territories (name, name_en, iso_code, osm_relation_id, place_type, is_active)
+INSERT INTO public.territories (country_code, name, name_en, iso_code, osm_relation_id, place_type, is_active)
 VALUES
     -- STATES (28)
-    ('Andhra Pradesh', 'Andhra Pradesh', 'IN-AP', 1656186, 'state', true),
-    ('Arunachal Pradesh', 'Arunachal Pradesh', 'IN-AR', 1656183, 'state', true),
-    ('Assam', 'Assam', 'IN-AS', 1656184, 'state', true),
-    ('Bihar', 'Bihar', 'IN-BR', 1656168, 'state', true),
-    ('Chhattisgarh', 'Chhattisgarh', 'IN-CT', 1656170, 'state', true),
-    ('Goa', 'Goa', 'IN-GA', 1656929, 'state', true),
-    ('Gujarat', 'Gujarat', 'IN-GJ', 1656190, 'state', true),
-    ('Haryana', 'Haryana', 'IN-HR', 1656180, 'state', true),
-    ('Himachal Pradesh', 'Himachal Pradesh', 'IN-HP', 1656178, 'state', true),
-    ('Jharkhand', 'Jharkhand', 'IN-JH', 1656166, 'state', true),
-    ('Karnataka', 'Karnataka', 'IN-KA', 1656160, 'state', true),
-    ('Kerala', 'Kerala', 'IN-KL', 1656161, 'state', true),
-    ('Madhya Pradesh', 'Madhya Pradesh', 'IN-MP', 1656172, 'state', true),
-    ('Maharashtra', 'Maharashtra', 'IN-MH', 1656179, 'state', true),
-    ('Manipur', 'Manipur', 'IN-MN', 1656227, 'state', true),
-    ('Meghalaya', 'Meghalaya', 'IN-ML', 1656174, 'state', true),
-    ('Mizoram', 'Mizoram', 'IN-MZ', 1656175, 'state', true),
-    ('Nagaland', 'Nagaland', 'IN-NL', 1656176, 'state', true),
-    ('Odisha', 'Odisha', 'IN-OR', 1656177, 'state', true),
-    ('Punjab', 'Punjab', 'IN-PB', 1656181, 'state', true),
-    ('Rajasthan', 'Rajasthan', 'IN-RJ', 1656182, 'state', true),
-    ('Sikkim', 'Sikkim', 'IN-SK', 1656185, 'state', true),
-    ('Tamil Nadu', 'Tamil Nadu', 'IN-TN', 1656187, 'state', true),
-    ('Telangana', 'Telangana', 'IN-TG', 1656188, 'state', true),
-    ('Tripura', 'Tripura', 'IN-TR', 1656189, 'state', true),
-    ('Uttar Pradesh', 'Uttar Pradesh', 'IN-UP', 1656191, 'state', true),
-    ('Uttarakhand', 'Uttarakhand', 'IN-UT', 1656192, 'state', true),
-    ('West Bengal', 'West Bengal', 'IN-WB', 1656193, 'state', true),
+    ('IN', 'Andhra Pradesh', 'Andhra Pradesh', 'IN-AP', 1656186, 'state', true),
+    ('IN', 'Arunachal Pradesh', 'Arunachal Pradesh', 'IN-AR', 1656183, 'state', true),
+    ('IN', 'Assam', 'Assam', 'IN-AS', 1656184, 'state', true),
+    ('IN', 'Bihar', 'Bihar', 'IN-BR', 1656168, 'state', true),
+    ('IN', 'Chhattisgarh', 'Chhattisgarh', 'IN-CT', 1656170, 'state', true),
+    ('IN', 'Goa', 'Goa', 'IN-GA', 1656929, 'state', true),
+    ('IN', 'Gujarat', 'Gujarat', 'IN-GJ', 1656190, 'state', true),
+    ('IN', 'Haryana', 'Haryana', 'IN-HR', 1656180, 'state', true),
+    ('IN', 'Himachal Pradesh', 'Himachal Pradesh', 'IN-HP', 1656178, 'state', true),
+    ('IN', 'Jharkhand', 'Jharkhand', 'IN-JH', 1656166, 'state', true),
+    ('IN', 'Karnataka', 'Karnataka', 'IN-KA', 1656160, 'state', true),
+    ('IN', 'Kerala', 'Kerala', 'IN-KL', 1656161, 'state', true),
+    ('IN', 'Madhya Pradesh', 'Madhya Pradesh', 'IN-MP', 1656172, 'state', true),
+    ('IN', 'Maharashtra', 'Maharashtra', 'IN-MH', 1656179, 'state', true),
+    ('IN', 'Manipur', 'Manipur', 'IN-MN', 1656227, 'state', true),
+    ('IN', 'Meghalaya', 'Meghalaya', 'IN-ML', 1656174, 'state', true),
+    ('IN', 'Mizoram', 'Mizoram', 'IN-MZ', 1656175, 'state', true),
+    ('IN', 'Nagaland', 'Nagaland', 'IN-NL', 1656176, 'state', true),
+    ('IN', 'Odisha', 'Odisha', 'IN-OR', 1656177, 'state', true),
+    ('IN', 'Punjab', 'Punjab', 'IN-PB', 1656181, 'state', true),
+    ('IN', 'Rajasthan', 'Rajasthan', 'IN-RJ', 1656182, 'state', true),
+    ('IN', 'Sikkim', 'Sikkim', 'IN-SK', 1656185, 'state', true),
+    ('IN', 'Tamil Nadu', 'Tamil Nadu', 'IN-TN', 1656187, 'state', true),
+    ('IN', 'Telangana', 'Telangana', 'IN-TG', 1656188, 'state', true),
+    ('IN', 'Tripura', 'Tripura', 'IN-TR', 1656189, 'state', true),
+    ('IN', 'Uttar Pradesh', 'Uttar Pradesh', 'IN-UP', 1656191, 'state', true),
+    ('IN', 'Uttarakhand', 'Uttarakhand', 'IN-UT', 1656192, 'state', true),
+    ('IN', 'West Bengal', 'West Bengal', 'IN-WB', 1656193, 'state', true),
 
     -- UNION TERRITORIES (8)
-    ('Andaman and Nicobar Islands', 'Andaman and Nicobar Islands', 'IN-AN', 1656194, 'union_territory', true),
-    ('Chandigarh', 'Chandigarh', 'IN-CH', 1656195, 'union_territory', true),
-    ('Dadra and Nagar Haveli and Daman and Diu', 'Dadra and Nagar Haveli and Daman and Diu', 'IN-DH', 1656196, 'union_territory', true),
-    ('Delhi', 'Delhi', 'IN-DL', 1656197, 'union_territory', true),
-    ('Jammu and Kashmir', 'Jammu and Kashmir', 'IN-JK', 1656198, 'union_territory', true),
-    ('Ladakh', 'Ladakh', 'IN-LA', 1656199, 'union_territory', true),
-    ('Lakshadweep', 'Lakshadweep', 'IN-LD', 1656200, 'union_territory', true),
-    ('Puducherry', 'Puducherry', 'IN-PY', 1656201, 'union_territory', true)
+    ('IN', 'Andaman and Nicobar Islands', 'Andaman and Nicobar Islands', 'IN-AN', 1656194, 'union_territory', true),
+    ('IN', 'Chandigarh', 'Chandigarh', 'IN-CH', 1656195, 'union_territory', true),
+    ('IN', 'Dadra and Nagar Haveli and Daman and Diu', 'Dadra and Nagar Haveli and Daman and Diu', 'IN-DH', 1656196, 'union_territory', true),
+    ('IN', 'Delhi', 'Delhi', 'IN-DL', 1656197, 'union_territory', true),
+    ('IN', 'Jammu and Kashmir', 'Jammu and Kashmir', 'IN-JK', 1656198, 'union_territory', true),
+    ('IN', 'Ladakh', 'Ladakh', 'IN-LA', 1656199, 'union_territory', true),
+    ('IN', 'Lakshadweep', 'Lakshadweep', 'IN-LD', 1656200, 'union_territory', true),
+    ('IN', 'Puducherry', 'Puducherry', 'IN-PY', 1656201, 'union_territory', true)
 ON CONFLICT (iso_code) DO UPDATE
 SET
+    country_code = EXCLUDED.country_code,
     name = EXCLUDED.name,
     name_en = EXCLUDED.name_en,
     osm_relation_id = EXCLUDED.osm_relation_id,
@@ -115,9 +127,9 @@ DECLARE
     state_count INTEGER;
     ut_count INTEGER;
 BEGIN
-    SELECT COUNT(*) INTO territory_count FROM public.indian_territories;
-    SELECT COUNT(*) INTO state_count FROM public.indian_territories WHERE place_type = 'state';
-    SELECT COUNT(*) INTO ut_count FROM public.indian_territories WHERE place_type = 'union_territory';
+    SELECT COUNT(*) INTO territory_count FROM public.territories WHERE country_code = 'IN';
+    SELECT COUNT(*) INTO state_count FROM public.territories WHERE country_code = 'IN' AND place_type = 'state';
+    SELECT COUNT(*) INTO ut_count FROM public.territories WHERE country_code = 'IN' AND place_type = 'union_territory';
 
     RAISE NOTICE '   ✓ Inserted/Updated % territories', territory_count;
     RAISE NOTICE '     - % states', state_count;
@@ -134,6 +146,8 @@ BEGIN
     RAISE NOTICE '👥 Seeding test participants...';
 END $$;
 
+-- Seeded participants have no participant_credentials row yet; the coordinator
+-- issues each of them a link code (Reset Link) that link_participant_device() accepts
 INSERT INTO public.participants (first_name, osm_username, session_id, created_at)
 VALUES
     ('Alice', 'alice_mapper', 'testalpha', NOW()),
@@ -178,7 +192,7 @@ BEGIN
     SELECT EXISTS(SELECT 1 FROM public.sessions WHERE id = 'testalpha') INTO session_exists;
 
     -- Count territories
-    SELECT COUNT(*) INTO territory_count FROM public.indian_territories;
+    SELECT COUNT(*) INTO territory_count FROM public.territories WHERE country_code = 'IN';
 
     -- Count participants
     SELECT COUNT(*) INTO participant_count FROM public.participants WHERE session_id = 'testalpha';
@@ -205,7 +219,8 @@ BEGIN
     RAISE NOTICE 'TEST ENVIRONMENT READY';
     RAISE NOTICE '';
     RAISE NOTICE 'Coordinator Login:';
-    RAISE NOTICE '  Session ID: testalpha-COORD (or testalpha-ADMIN)';
+    RAISE NOTICE '  Session ID: testalpha';
+    RAISE NOTICE '  Coordinator passphrase: testalpha-coordinator';
     RAISE NOTICE '';
     RAISE NOTICE 'Team Formation:';
     RAISE NOTICE '  • % participants ready for team assignment', participant_count;
@@ -213,7 +228,7 @@ BEGIN
     RAISE NOTICE '  • % territories available for distribution', territory_count;
     RAISE NOTICE '';
     RAISE NOTICE 'Next Steps:';
-    RAISE NOTICE '  1. Login as coordinator (testalpha-COORD)';
+    RAISE NOTICE '  1. Login as coordinator (testalpha + coordinator passphrase)';
     RAISE NOTICE '  2. Click "Setup Teams & Territories"';
     RAISE NOTICE '  3. Test team formation and territory distribution';
     RAISE NOTICE '  4. Login as participant to test mapping workflow';
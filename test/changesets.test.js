@@ -0,0 +1,162 @@
+/**
+ * ChangesetAnalyzer tests against a local OSM API mock
+ *
+ * Run with: node --test test/*.test.js
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startOsmApiMock } = require('./support/osmApiMock');
+const { DOMParser } = require('./support/xmlDom');
+
+global.DOMParser = DOMParser;
+const ChangesetAnalyzer = require('../js/changesets.js');
+
+const SESSION_START = '2025-06-01T00:00:00Z';
+
+/**
+ * A changeset as GET /changesets.json returns it
+ */
+function changeset(id, createdAt, comment, extra = {}) {
+    return {
+        id,
+        created_at: createdAt,
+        closed_at: new Date(Date.parse(createdAt) + 60 * 1000).toISOString(),
+        min_lat: 12.9, min_lon: 77.5, max_lat: 13.0, max_lon: 77.6,
+        tags: comment === null ? {} : { comment },
+        ...extra
+    };
+}
+
+function osmChange(blocks) {
+    return `<?xml version="1.0" encoding="UTF-8"?>\n<osmChange version="0.6" generator="test">${blocks}</osmChange>`;
+}
+
+// 230 tagged changesets, one a minute after the session start, so paging takes three requests
+const manyChangesets = Array.from({ length: 230 }, (_, index) =>
+    changeset(1000 + index, new Date(Date.parse(SESSION_START) + (index + 1) * 60 * 1000).toISOString(), 'Power lines #mapyourgrid')
+);
+
+const mixedChangesets = [
+    changeset(1, '2025-06-01T10:00:00Z', 'Added lines #mapyourgrid, thanks'),
+    changeset(2, '2025-06-01T10:05:00Z', '#MapYourGrid;#osm'),
+    changeset(3, '2025-06-01T10:10:00Z', 'Substations (#mapyourgrid)'),
+    changeset(4, '2025-06-01T10:15:00Z', 'Other event #mapyourgrid-2'),
+    changeset(5, '2025-06-01T10:20:00Z', 'No hashtag at all'),
+    changeset(6, '2025-06-01T10:25:00Z', null, { tags: { comment: 'Towers', hashtags: '#hotosm;#mapyourgrid' } }),
+    changeset(7, '2025-05-31T10:00:00Z', 'Before the session #mapyourgrid')
+];
+
+const emptyAndDeleting = [
+    changeset(20, '2025-06-01T11:00:00Z', 'Deleted duplicate towers #mapyourgrid'),
+    changeset(21, '2025-06-01T11:05:00Z', 'Opened by mistake #mapyourgrid', {
+        min_lat: undefined, min_lon: undefined, max_lat: undefined, max_lon: undefined
+    })
+];
+
+let osmApi;
+
+before(async () => {
+    osmApi = await startOsmApiMock({
+        users: {
+            busy_mapper: manyChangesets,
+            mixed_mapper: mixedChangesets,
+            tidy_mapper: emptyAndDeleting
+        },
+        downloads: {
+            20: osmChange(`
+                <create>
+                    <node id="-1" version="1" lat="12.95" lon="77.55"><tag k="power" v="tower"/></node>
+                    <node id="-2" version="1" lat="12.96" lon="77.56"/>
+                </create>
+                <modify>
+                    <way id="500" version="4"><nd ref="1"/><nd ref="2"/><tag k="power" v="line"/><tag k="voltage" v="220000"/></way>
+                </modify>
+                <delete>
+                    <node id="600" version="3" lat="12.97" lon="77.57"/>
+                    <node id="601" version="2" lat="12.97" lon="77.57"/>
+                    <node id="602" version="1" lat="12.97" lon="77.57"/>
+                </delete>
+            `)
+        },
+        versions: {
+            'node/600/2': { type: 'node', id: 600, version: 2, tags: { power: 'tower' } },
+            'node/601/1': { type: 'node', id: 601, version: 1, tags: { highway: 'street_lamp' } }
+        }
+    });
+});
+
+after(async () => {
+    await osmApi.close();
+});
+
+function createAnalyzer() {
+    return new ChangesetAnalyzer({ apiUrl: osmApi.apiUrl, timeout: 5000 });
+}
+
+test('pages back through more than one response of changesets', async () => {
+    osmApi.requests.length = 0;
+    const result = await createAnalyzer().fetchUserChangesets('busy_mapper', SESSION_START);
+
+    assert.equal(result.success, true);
+    assert.equal(result.data.length, 230);
+    assert.equal(new Set(result.data.map(found => found.id)).size, 230);
+    assert.equal(osmApi.requests.filter(path => path.startsWith('/api/0.6/changesets.json')).length, 3);
+});
+
+test('stops paging at maxChangesets', async () => {
+    const analyzer = new ChangesetAnalyzer({ apiUrl: osmApi.apiUrl, maxChangesets: 100 });
+    const result = await analyzer.fetchUserChangesets('busy_mapper', SESSION_START);
+
+    assert.equal(result.success, true);
+    assert.equal(result.data.length, 100);
+});
+
+test('keeps only changesets carrying the session hashtag', async () => {
+    const result = await createAnalyzer().fetchUserChangesets('mixed_mapper', SESSION_START);
+
+    assert.equal(result.success, true);
+    assert.deepEqual(result.data.map(found => found.id).sort(), [1, 2, 3, 6]);
+});
+
+test('reports an unknown OSM user', async () => {
+    const result = await createAnalyzer().fetchUserChangesets('nobody_here', SESSION_START);
+
+    assert.equal(result.success, false);
+    assert.match(result.error, /not found/);
+});
+
+test('counts deleted power objects from their previous version', async () => {
+    osmApi.requests.length = 0;
+    const result = await createAnalyzer().analyzeChangeset(20);
+
+    assert.equal(result.success, true);
+    assert.deepEqual(result.data, {
+        created: 1,
+        modified: 1,
+        deleted: 1,
+        byType: { tower: 2, line: 1 }
+    });
+
+    // Version 1 has no previous version to ask for
+    assert.ok(osmApi.requests.includes('/api/0.6/node/600/2.json'));
+    assert.ok(osmApi.requests.includes('/api/0.6/node/601/1.json'));
+    assert.ok(!osmApi.requests.some(path => path.startsWith('/api/0.6/node/602/')));
+});
+
+test('skips empty changesets without downloading them', async () => {
+    osmApi.requests.length = 0;
+    const progress = [];
+    const result = await createAnalyzer().analyzeParticipant('tidy_mapper', SESSION_START,
+        (done, total) => progress.push(`${done}/${total}`));
+
+    assert.equal(result.success, true);
+    assert.deepEqual(result.failed, []);
+    assert.equal(result.data.length, 1);
+    assert.equal(result.data[0].changeset_id, 20);
+    assert.equal(result.data[0].power_deleted, 1);
+    assert.deepEqual(result.data[0].power_by_type, { tower: 2, line: 1 });
+    assert.deepEqual(progress.sort(), ['1/2', '2/2']);
+    assert.ok(!osmApi.requests.includes('/api/0.6/changeset/21/download'));
+});
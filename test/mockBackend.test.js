@@ -0,0 +1,350 @@
+/**
+ * Database RPC logic tests, run against the offline mock backend
+ * (js/mockBackend.js mirrors sql/functions.sql)
+ *
+ * Run with: node --test test/*.test.js
+ */
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+global.SupabaseTeamManager = require('../js/supabase.js');
+const { MockSupabaseClient, MockTeamManager } = require('../js/mockBackend.js');
+
+const SESSION_ID = 'testalpha';
+
+let client;
+let coordinatorToken;
+
+/**
+ * A territory as sql/seed_test_data.sql inserts it: identity only, no bounds or metrics
+ */
+function seedTerritory(values = {}) {
+    return client.insertRow('territories', {
+        country_code: 'IN',
+        name: 'Karnataka',
+        name_en: 'Karnataka',
+        iso_code: 'IN-KA',
+        osm_relation_id: 1656160,
+        place_type: 'state',
+        is_active: true,
+        ...values
+    });
+}
+
+/**
+ * A territory as OverpassAPI.fetchTerritories formats it
+ */
+function fetchedTerritory(values = {}) {
+    return {
+        country_code: 'IN',
+        name: 'Karnataka',
+        name_en: 'Karnataka',
+        iso_code: 'IN-KA',
+        osm_relation_id: 1656160,
+        place_type: 'state',
+        center_lat: 14.5,
+        center_lon: 76.2,
+        min_lat: 11.5,
+        min_lon: 74.0,
+        max_lat: 18.5,
+        max_lon: 78.6,
+        is_active: true,
+        area_km2: null,
+        population: 61095297,
+        power_feature_count: 5400,
+        capital: null,
+        ...values
+    };
+}
+
+async function rpc(name, params) {
+    const { data, error } = await client.rpc(name, params);
+    assert.equal(error, null, error && error.message);
+    return data;
+}
+
+beforeEach(async () => {
+    client = new MockSupabaseClient({ persist: false });
+    const login = await rpc('coordinator_login', { session_id_param: SESSION_ID, passphrase_param: 'test-passphrase' });
+    coordinatorToken = login.coordinator_token;
+});
+
+test('populate_territories fills in the bounds and metrics of a seeded territory', async () => {
+    const seeded = seedTerritory();
+
+    const result = await rpc('populate_territories', {
+        session_id_param: SESSION_ID,
+        coordinator_token_param: coordinatorToken,
+        territories_param: [fetchedTerritory()]
+    });
+
+    assert.equal(result.count, 1);
+    const stored = client.findRow('territories', row => row.iso_code === 'IN-KA');
+    assert.equal(stored.id, seeded.id);
+    assert.deepEqual(
+        [stored.min_lat, stored.min_lon, stored.max_lat, stored.max_lon, stored.center_lat, stored.center_lon],
+        [11.5, 74.0, 18.5, 78.6, 14.5, 76.2]
+    );
+    assert.equal(stored.population, 61095297);
+    assert.equal(stored.power_feature_count, 5400);
+    assert.ok(stored.power_features_counted_at);
+});
+
+test('populate_territories keeps the shared identity of an existing territory', async () => {
+    seedTerritory({ min_lat: 11.6, population: 60000000 });
+
+    await rpc('populate_territories', {
+        session_id_param: SESSION_ID,
+        coordinator_token_param: coordinatorToken,
+        territories_param: [fetchedTerritory({
+            name: 'Renamed',
+            osm_relation_id: 1,
+            place_type: 'region',
+            is_active: false,
+            power_feature_count: 6000
+        })]
+    });
+
+    const stored = client.findRow('territories', row => row.iso_code === 'IN-KA');
+    assert.equal(stored.name, 'Karnataka');
+    assert.equal(stored.osm_relation_id, 1656160);
+    assert.equal(stored.place_type, 'state');
+    assert.equal(stored.is_active, true);
+    assert.equal(stored.min_lat, 11.6);
+    assert.equal(stored.population, 60000000);
+    assert.equal(stored.power_feature_count, 6000);
+});
+
+test('populate_territories rejects an empty ISO code', async () => {
+    const { error } = await client.rpc('populate_territories', {
+        session_id_param: SESSION_ID,
+        coordinator_token_param: coordinatorToken,
+        territories_param: [fetchedTerritory({ iso_code: '' })]
+    });
+
+    assert.match(error.message, /must belong to the session country IN/);
+});
+
+test('preview_territory_distribution balances on stored power feature counts', async () => {
+    await rpc('populate_territories', {
+        session_id_param: SESSION_ID,
+        coordinator_token_param: coordinatorToken,
+        territories_param: [
+            fetchedTerritory(),
+            fetchedTerritory({ name: 'Goa', iso_code: 'IN-GA', osm_relation_id: 1656929, power_feature_count: 600 }),
+            fetchedTerritory({ name: 'Kerala', iso_code: 'IN-KL', osm_relation_id: 1656161, power_feature_count: 4000 })
+        ]
+    });
+
+    const preview = await rpc('preview_territory_distribution', {
+        session_id_param: SESSION_ID,
+        coordinator_token_param: coordinatorToken,
+        strategy_param: 'power_features',
+        team_count_param: 2
+    });
+
+    assert.equal(preview.territories_missing_metric, 0);
+    assert.deepEqual(preview.teams.map(team => team.total_effort), [5400, 4600]);
+});
+
+test('preview_territory_distribution refuses a strategy no territory has data for', async () => {
+    seedTerritory();
+    seedTerritory({ name: 'Goa', iso_code: 'IN-GA', osm_relation_id: 1656929 });
+
+    const { error } = await client.rpc('preview_territory_distribution', {
+        session_id_param: SESSION_ID,
+        coordinator_token_param: coordinatorToken,
+        strategy_param: 'population',
+        team_count_param: 2
+    });
+
+    assert.match(error.message, /No territory of the session country has population data/);
+});
+
+/**
+ * A participant in a team with the given territory assigned, as team formation and distribution leave them
+ */
+function assignTerritory(territory) {
+    const participant = client.insertRow('participants', {
+        first_name: 'Asha', osm_username: 'asha_maps', session_id: SESSION_ID
+    });
+    const team = client.insertRow('teams', { session_id: SESSION_ID, team_name: 'Team Alpha', team_index: 0 });
+    client.insertRow('team_members', { team_id: team.id, participant_id: participant.id });
+    const assignment = client.insertRow('team_territories', {
+        session_id: SESSION_ID, team_id: team.id, territory_id: territory.id,
+        status: 'available', territory_name: territory.name, territory_osm_id: territory.osm_relation_id
+    });
+    return { participant, assignment };
+}
+
+function analysedChangeset(changesetId, values = {}) {
+    return {
+        changeset_id: changesetId,
+        created_at: '2025-06-01T10:00:00Z',
+        min_lat: 12.9, min_lon: 77.5, max_lat: 13.0, max_lon: 77.6,
+        power_created: 3, power_modified: 1, power_deleted: 0,
+        power_by_type: { tower: 3, line: 1 },
+        ...values
+    };
+}
+
+test('record_session_changesets attributes a changeset to the territory its bounding box overlaps', async () => {
+    const territory = seedTerritory({ min_lat: 11.5, min_lon: 74.0, max_lat: 18.5, max_lon: 78.6 });
+    const { participant, assignment } = assignTerritory(territory);
+
+    const result = await rpc('record_session_changesets', {
+        session_id_param: SESSION_ID,
+        coordinator_token_param: coordinatorToken,
+        participant_id_param: participant.id,
+        changesets_param: [analysedChangeset(101), analysedChangeset(102, { min_lat: 40, max_lat: 41 })]
+    });
+
+    assert.deepEqual([result.recorded, result.skipped, result.unattributed], [1, 1, 0]);
+    assert.equal(client.findRow('territory_changesets', row => row.changeset_id === 101).team_territory_id, assignment.id);
+});
+
+test('record_session_changesets reports changesets as unattributed while a territory has no bounds', async () => {
+    const { participant } = assignTerritory(seedTerritory());
+
+    const result = await rpc('record_session_changesets', {
+        session_id_param: SESSION_ID,
+        coordinator_token_param: coordinatorToken,
+        participant_id_param: participant.id,
+        changesets_param: [analysedChangeset(101), analysedChangeset(102, { min_lat: null, max_lat: null })]
+    });
+
+    assert.deepEqual([result.recorded, result.skipped, result.unattributed], [0, 1, 1]);
+    assert.equal(client.rows('territory_changesets', () => true).length, 0);
+});
+
+test('coordinatorSyncOsmEdits fetches missing territory bounds before recording', async () => {
+    const manager = new MockTeamManager({ persist: false });
+    client = manager.supabase;
+    await manager.coordinatorLogin(SESSION_ID, 'test-passphrase');
+    const { participant, assignment } = assignTerritory(seedTerritory());
+
+    const overpassAPI = { fetchTerritories: async () => ({ success: true, data: [fetchedTerritory()] }) };
+    const changesetAnalyzer = {
+        analyzeParticipant: async () => ({ success: true, data: [analysedChangeset(101)], failed: [] })
+    };
+
+    const result = await manager.coordinatorSyncOsmEdits(SESSION_ID, changesetAnalyzer, null, overpassAPI);
+
+    assert.equal(result.success, true);
+    assert.deepEqual([result.data.recorded, result.data.unattributed, result.data.unboundedTerritories], [1, 0, 0]);
+    const recorded = client.findRow('territory_changesets', row => row.changeset_id === 101);
+    assert.equal(recorded.team_territory_id, assignment.id);
+    assert.equal(recorded.participant_id, participant.id);
+});
+
+test('reset_session keeps the territory reassignment audit log', async () => {
+    const territory = seedTerritory();
+    const { assignment } = assignTerritory(territory);
+    const otherTeam = client.insertRow('teams', { session_id: SESSION_ID, team_name: 'Team Beta', team_index: 1 });
+
+    await rpc('coordinator_reassign_territory', {
+        session_id_param: SESSION_ID,
+        coordinator_token_param: coordinatorToken,
+        assignment_id_param: assignment.id,
+        team_id_param: otherTeam.id,
+        reason_param: 'Team Alpha is short of a Pioneer'
+    });
+
+    const result = await rpc('reset_session', { session_id_param: SESSION_ID, coordinator_token_param: coordinatorToken });
+
+    assert.equal(result.reassignments_deleted, undefined);
+    const [logged] = client.rows('territory_reassignments', row => row.session_id === SESSION_ID);
+    assert.deepEqual(
+        [logged.territory_name, logged.from_team_name, logged.to_team_name, logged.reason],
+        ['Karnataka', 'Team Alpha', 'Team Beta', 'Team Alpha is short of a Pioneer']
+    );
+    assert.equal(logged.team_territory_id, null);
+    assert.ok(logged.session_reset_at);
+});
+
+test('record_assignment_tag_completeness leaves the baseline to the coordinator', async () => {
+    const { participant, assignment } = assignTerritory(seedTerritory());
+    client.insertRow('participant_credentials', { participant_id: participant.id, access_token: 'participant-token' });
+    const counts = missing => ({ towers: { total: 100, missing } });
+
+    const recordOwn = missing => rpc('record_assignment_tag_completeness', {
+        assignment_id_param: assignment.id,
+        participant_id_param: participant.id,
+        participant_token_param: 'participant-token',
+        stats_param: counts(missing)
+    });
+    const recordSession = missing => rpc('record_session_tag_completeness', {
+        session_id_param: SESSION_ID,
+        coordinator_token_param: coordinatorToken,
+        assignment_id_param: assignment.id,
+        stats_param: counts(missing)
+    });
+
+    const own = await recordOwn(0);
+    assert.deepEqual([own.baseline, own.baseline_at, own.latest], [null, null, counts(0)]);
+
+    await recordSession(60);
+    const later = await recordOwn(10);
+    assert.deepEqual([later.baseline, later.latest], [counts(60), counts(10)]);
+    assert.ok(later.baseline_at);
+});
+
+function boundaryFeature(lon) {
+    return {
+        type: 'Feature',
+        properties: {},
+        geometry: { type: 'Polygon', coordinates: [[[lon, 11.5], [lon + 4, 11.5], [lon + 4, 18.5], [lon, 11.5]]] }
+    };
+}
+
+async function saveBoundary(cacheVersion, lon) {
+    return rpc('save_territory_boundary', {
+        osm_relation_id_param: 1656160,
+        cache_version_param: cacheVersion,
+        boundary_param: boundaryFeature(lon),
+        session_id_param: SESSION_ID,
+        coordinator_token_param: coordinatorToken,
+        participant_id_param: null,
+        participant_token_param: null
+    });
+}
+
+test('save_territory_boundary lets only a newer cache version replace a fresh boundary', async () => {
+    seedTerritory();
+
+    assert.equal((await saveBoundary(3, 74)).saved, true);
+    assert.equal((await saveBoundary(3, 75)).saved, false);
+    assert.equal((await saveBoundary(2, 76)).saved, false);
+    assert.equal((await saveBoundary(4, 77)).saved, true);
+
+    const stored = client.findRow('territory_boundaries', row => row.osm_relation_id === 1656160);
+    assert.equal(stored.cache_version, 4);
+    assert.equal(stored.geojson.geometry.coordinates[0][0][0], 77);
+});
+
+test('subscribeToSession passes on only removals from the session\'s own team rosters', async () => {
+    const manager = new MockTeamManager({ persist: false });
+    client = manager.supabase;
+    await manager.coordinatorLogin(SESSION_ID, 'test-passphrase');
+
+    const ownTeam = client.insertRow('teams', { session_id: SESSION_ID, team_name: 'Team Alpha', team_index: 0 });
+    const otherTeam = client.insertRow('teams', { session_id: 'othersession', team_name: 'Team Alpha', team_index: 0 });
+    const ownMember = client.insertRow('team_members', { team_id: ownTeam.id, participant_id: 'p1' });
+    const otherMember = client.insertRow('team_members', { team_id: otherTeam.id, participant_id: 'p2' });
+    client.flushEvents();
+
+    const removed = [];
+    const result = await manager.subscribeToSession(SESSION_ID, {
+        onTeamMemberChange: payload => removed.push(payload.old.id)
+    });
+    assert.equal(result.success, true);
+
+    client.deleteRows('team_members', row => row.id === otherMember.id);
+    client.deleteRows('team_members', row => row.id === ownMember.id);
+    client.flushEvents();
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    assert.deepEqual(removed, [ownMember.id]);
+    await manager.unsubscribeFromSession();
+});
@@ -0,0 +1,75 @@
+/**
+ * Osmose issue type catalog tests, with the Osmose items API stubbed
+ *
+ * Run with: node --test test/*.test.js
+ */
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadPowerIssueTypes, getOsmoseIssueTypes, powerIssueTypes } = require('../js/osmose.js');
+
+const builtInCount = powerIssueTypes.length;
+const realFetch = global.fetch;
+
+/**
+ * An items API response: one power item next to a built-in 7040 class and a non-power item
+ */
+const itemsResponse = {
+  categories: [
+    {
+      categ: 70,
+      title: { auto: 'Structural' },
+      items: [
+        {
+          item: 7040,
+          tags: ['power', 'fix:imagery'],
+          title: { auto: 'Power lines' },
+          class: [{ class: 1, title: { auto: 'Lone power tower or pole (Osmose title)' } }]
+        },
+        {
+          item: 8280,
+          tags: ['merge', 'power'],
+          title: { auto: 'Power substation not integrated' },
+          class: [{ class: 1, title: { auto: 'Power substation not integrated' } }, { class: 2 }]
+        },
+        {
+          item: 3020,
+          tags: ['highway'],
+          title: { auto: 'Road without name' },
+          class: [{ class: 1, title: { auto: 'Road without name' } }]
+        }
+      ]
+    }
+  ]
+};
+
+afterEach(() => {
+  global.fetch = realFetch;
+  powerIssueTypes.splice(builtInCount);
+});
+
+test('loadPowerIssueTypes adds the classes of power-tagged items and keeps the built-in types', async () => {
+  global.fetch = async () => ({ ok: true, json: async () => itemsResponse });
+
+  const result = await loadPowerIssueTypes();
+
+  assert.equal(result.success, true);
+  assert.deepEqual(result.data, { added: 2, total: builtInCount + 2 });
+  assert.deepEqual(
+    powerIssueTypes.slice(builtInCount).map(type => [type.key, type.name]),
+    [['8280/1', 'Power substation not integrated'], ['8280/2', 'Power substation not integrated (class 2)']]
+  );
+  assert.equal(powerIssueTypes.find(type => type.key === '7040/1').name, 'Lone power tower or pole');
+  assert.equal(getOsmoseIssueTypes({ sessionTypes: ['8280/1'] })[0].name, 'Power substation not integrated');
+});
+
+test('loadPowerIssueTypes keeps the built-in types when Osmose is unavailable', async () => {
+  global.fetch = async () => ({ ok: false, status: 503, statusText: 'Service Unavailable' });
+
+  const result = await loadPowerIssueTypes();
+
+  assert.equal(result.success, false);
+  assert.match(result.error, /503/);
+  assert.equal(powerIssueTypes.length, builtInCount);
+});
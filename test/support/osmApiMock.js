@@ -0,0 +1,84 @@
+/**
+ * Local OSM API mock for the Grid Tycoon tests
+ *
+ * Serves the three OSM API 0.6 calls ChangesetAnalyzer makes, from fixtures
+ * held in memory:
+ *   GET /api/0.6/changesets.json?display_name=&time=&closed=true
+ *   GET /api/0.6/changeset/:id/download
+ *   GET /api/0.6/:type/:id/:version.json
+ *
+ * Changeset queries behave like the real API: newest first, at most 100 per
+ * response, and time=T1,T2 keeps changesets closed after T1 and created
+ * before T2. Every request path is recorded so tests can check what was asked.
+ */
+
+const http = require('http');
+
+const PAGE_SIZE = 100;
+
+/**
+ * Start the mock on a free local port
+ * @param {object} fixtures
+ * @param {object} fixtures.users - Display name -> array of changeset objects as the API returns them
+ * @param {object} fixtures.downloads - Changeset ID -> osmChange XML
+ * @param {object} fixtures.versions - "type/id/version" -> element object (with tags)
+ * @returns {Promise<{apiUrl: string, requests: Array<string>, close: function}>}
+ */
+async function startOsmApiMock(fixtures = {}) {
+    const users = fixtures.users || {};
+    const downloads = fixtures.downloads || {};
+    const versions = fixtures.versions || {};
+    const requests = [];
+
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        requests.push(url.pathname + url.search);
+
+        const send = (status, body, type = 'application/json') => {
+            res.writeHead(status, { 'Content-Type': type });
+            res.end(typeof body === 'string' ? body : JSON.stringify(body));
+        };
+
+        if (url.pathname === '/api/0.6/changesets.json') {
+            const changesets = users[url.searchParams.get('display_name')];
+            if (!changesets) return send(404, 'Object not found', 'text/plain');
+
+            const [since, before] = (url.searchParams.get('time') || '').split(',');
+            const page = changesets
+                .filter(changeset => !since || Date.parse(changeset.closed_at) > Date.parse(since))
+                .filter(changeset => !before || Date.parse(changeset.created_at) <= Date.parse(before))
+                .sort((a, b) => Date.parse(b.created_at) - Date.parse(a.created_at))
+                .slice(0, PAGE_SIZE);
+
+            return send(200, { version: '0.6', changesets: page });
+        }
+
+        const download = url.pathname.match(/^\/api\/0\.6\/changeset\/(\d+)\/download$/);
+        if (download) {
+            const osmChange = downloads[download[1]];
+            return osmChange
+                ? send(200, osmChange, 'application/xml')
+                : send(404, 'Object not found', 'text/plain');
+        }
+
+        const version = url.pathname.match(/^\/api\/0\.6\/(node|way|relation)\/(\d+)\/(\d+)\.json$/);
+        if (version) {
+            const element = versions[`${version[1]}/${version[2]}/${version[3]}`];
+            return element
+                ? send(200, { version: '0.6', elements: [element] })
+                : send(404, 'Object not found', 'text/plain');
+        }
+
+        send(404, 'Unknown endpoint', 'text/plain');
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    return {
+        apiUrl: `http://127.0.0.1:${server.address().port}/api/0.6`,
+        requests,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+module.exports = { startOsmApiMock };
@@ -0,0 +1,83 @@
+/**
+ * Minimal DOMParser for the Grid Tycoon tests
+ *
+ * Node has no DOMParser, which ChangesetAnalyzer uses to read osmChange. This
+ * parses the XML subset the OSM API returns (elements, quoted attributes,
+ * self-closing tags, an XML declaration) into objects offering the DOM calls
+ * the analyzer makes: getElementsByTagName, children, tagName, getAttribute.
+ * Malformed input yields a document containing a parsererror element, as in
+ * browsers.
+ */
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+class XmlElement {
+    constructor(tagName, attributes = {}) {
+        this.tagName = tagName;
+        this.attributes = attributes;
+        this.children = [];
+    }
+
+    getAttribute(name) {
+        return Object.prototype.hasOwnProperty.call(this.attributes, name) ? this.attributes[name] : null;
+    }
+
+    getElementsByTagName(name) {
+        const found = [];
+        const visit = element => {
+            for (const child of element.children) {
+                if (child.tagName === name) found.push(child);
+                visit(child);
+            }
+        };
+        visit(this);
+        return found;
+    }
+}
+
+class DOMParser {
+    parseFromString(text) {
+        const document = new XmlElement('#document');
+        const stack = [document];
+        const tagPattern = /<(\/?)([\w:-]+)((?:\s+[\w:-]+\s*=\s*"[^"]*")*)\s*(\/?)>|<\?[^>]*\?>|<!--[\s\S]*?-->/g;
+        let match;
+        let lastIndex = 0;
+
+        const fail = () => {
+            const errorDocument = new XmlElement('#document');
+            errorDocument.children.push(new XmlElement('parsererror'));
+            return errorDocument;
+        };
+
+        while ((match = tagPattern.exec(text)) !== null) {
+            if (text.slice(lastIndex, match.index).includes('<')) return fail();
+            lastIndex = tagPattern.lastIndex;
+
+            const [, closing, tagName, attributeText, selfClosing] = match;
+            if (!tagName) continue;
+
+            if (closing) {
+                if (stack.length < 2 || stack[stack.length - 1].tagName !== tagName) return fail();
+                stack.pop();
+                continue;
+            }
+
+            const attributes = {};
+            for (const [, name, value] of (attributeText || '').matchAll(/([\w:-]+)\s*=\s*"([^"]*)"/g)) {
+                attributes[name] = value.replace(/&(\w+);/g, (entity, key) => ENTITIES[key] ?? entity);
+            }
+
+            const element = new XmlElement(tagName, attributes);
+            stack[stack.length - 1].children.push(element);
+            if (!selfClosing) stack.push(element);
+        }
+
+        if (stack.length !== 1 || text.slice(lastIndex).includes('<') || document.children.length === 0) {
+            return fail();
+        }
+
+        return document;
+    }
+}
+
+module.exports = { DOMParser };